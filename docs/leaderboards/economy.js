@@ -0,0 +1,201 @@
+// ===== DAZZA'S ECONOMY WATCH - ECONOMY PAGE SCRIPT =====
+
+// Configuration - same API as the leaderboards
+const API_BASE = window.location.protocol === 'https:'
+    ? 'https://seg.tplinkdns.com:3001/api/v1'
+    : 'http://seg.tplinkdns.com:3001/api/v1';
+const HISTORY_DAYS = 90;
+
+// DOM Elements
+const elements = {
+    daysSelect: document.getElementById('days-select'),
+    roomInput: document.getElementById('room-input'),
+    summary: document.getElementById('economy-summary'),
+    supplyChart: document.getElementById('supply-chart'),
+    giniChart: document.getElementById('gini-chart'),
+    faucets: document.getElementById('faucets-list'),
+    sinks: document.getElementById('sinks-list')
+};
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    elements.daysSelect.addEventListener('change', loadFlows);
+    elements.roomInput.addEventListener('change', loadFlows);
+
+    loadOverview();
+    loadFlows();
+});
+
+async function fetchEconomy(path) {
+    const response = await fetch(`${API_BASE}/economy/${path}`, {
+        method: 'GET',
+        headers: {
+            'Accept': 'application/json',
+            'Origin': window.location.origin
+        }
+    });
+
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+    const data = await response.json();
+    if (!data.success) throw new Error(data.error?.message || 'Request failed');
+    return data.data;
+}
+
+// Supply history and projection
+async function loadOverview() {
+    try {
+        const overview = await fetchEconomy(`overview?days=${HISTORY_DAYS}`);
+        renderSummary(overview);
+        renderSupplyChart(overview);
+        renderGiniChart(overview);
+    } catch (error) {
+        console.error('Failed to load economy overview:', error);
+        elements.summary.innerHTML = '<div class="economy-empty">Couldn\'t get the numbers, the books must be cooked</div>';
+    }
+}
+
+// Faucets and sinks for the chosen days and room
+async function loadFlows() {
+    const params = new URLSearchParams({ days: elements.daysSelect.value });
+    const room = elements.roomInput.value.trim();
+    if (room) params.set('room', room);
+
+    try {
+        const flows = await fetchEconomy(`flows?${params}`);
+        const games = flows.games || [];
+        renderFlows(elements.faucets, games.filter(game => game.kind === 'faucet'), 'faucet');
+        renderFlows(elements.sinks, games.filter(game => game.kind === 'sink'), 'sink');
+    } catch (error) {
+        console.error('Failed to load economy flows:', error);
+        elements.faucets.innerHTML = elements.sinks.innerHTML = '<div class="economy-empty">Nothin\' to show</div>';
+    }
+}
+
+function renderSummary({ history, projection }) {
+    const latest = history[history.length - 1];
+    if (!latest) {
+        elements.summary.innerHTML = '<div class="economy-empty">No money\'s changed hands yet</div>';
+        return;
+    }
+
+    const ahead = projection?.days?.[projection.days.length - 1];
+    const change = ahead ? ahead.supply - latest.supply : null;
+    const stats = [
+        { label: 'Money Supply', value: formatMoney(latest.supply) },
+        {
+            label: 'Inflation Today',
+            value: latest.inflation === null ? '-' : formatPercent(latest.inflation),
+            className: latest.inflation > 0 ? 'loss' : 'profit'
+        },
+        { label: 'Gini', value: latest.gini === null ? '-' : latest.gini.toFixed(2) },
+        { label: 'Median Balance', value: latest.medianBalance === null ? '-' : formatMoney(latest.medianBalance) },
+        { label: 'Richest 10% Hold', value: latest.top10Share === null ? '-' : formatPercent(latest.top10Share) },
+        {
+            label: ahead ? `In ${ahead.day} Days` : 'Projection',
+            value: change === null ? '-' : `${change >= 0 ? '+' : '-'}${formatMoney(Math.abs(change))}`,
+            className: change > 0 ? 'loss' : 'profit'
+        }
+    ];
+
+    elements.summary.innerHTML = stats.map(stat => `
+        <div class="stat-item">
+            <span class="stat-label">${escapeHtml(stat.label)}</span>
+            <span class="stat-value ${stat.className || ''}">${escapeHtml(stat.value)}</span>
+        </div>
+    `).join('');
+}
+
+function renderSupplyChart({ history, projection }) {
+    const actual = history.map(day => day.supply);
+    const ahead = (projection?.days || []).slice(1).map(day => day.supply);
+    elements.supplyChart.innerHTML = lineChart(actual, ahead, formatMoney);
+}
+
+function renderGiniChart({ history, projection }) {
+    const actual = history.filter(day => day.gini !== null).map(day => day.gini);
+    const ahead = (projection?.days || []).slice(1).map(day => day.gini);
+    elements.giniChart.innerHTML = lineChart(actual, ahead, value => value.toFixed(2));
+}
+
+/**
+ * A plain SVG line chart, actual values solid and the projection carrying on dashed
+ * @param {number[]} actual
+ * @param {number[]} projected - follows on from the last actual value
+ * @param {Function} format - for the axis labels
+ */
+function lineChart(actual, projected, format) {
+    const values = [...actual, ...projected];
+    if (values.length < 2) {
+        return '<div class="economy-empty">Needs a couple of days of history first</div>';
+    }
+
+    const width = 800;
+    const height = 220;
+    const pad = { top: 10, right: 10, bottom: 20, left: 70 };
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+
+    const x = i => pad.left + (i / (values.length - 1)) * (width - pad.left - pad.right);
+    const y = value => pad.top + (1 - (value - min) / range) * (height - pad.top - pad.bottom);
+    const path = (points, offset) => points
+        .map((value, i) => `${i === 0 ? 'M' : 'L'}${x(i + offset).toFixed(1)},${y(value).toFixed(1)}`)
+        .join(' ');
+
+    const grid = [min, min + range / 2, max].map(value => `
+        <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}"></line>
+        <text class="chart-axis" x="${pad.left - 8}" y="${y(value) + 4}" text-anchor="end">${escapeHtml(format(value))}</text>
+    `).join('');
+
+    // The projection starts from the last actual point so the lines join up
+    const joined = actual.length ? [actual[actual.length - 1], ...projected] : projected;
+    const offset = Math.max(actual.length - 1, 0);
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            ${grid}
+            ${actual.length > 1 ? `<path class="chart-line" d="${path(actual, 0)}"></path>` : ''}
+            ${projected.length ? `<path class="chart-projection" d="${path(joined, offset)}"></path>` : ''}
+            <text class="chart-axis" x="${pad.left}" y="${height - 4}">${actual.length} days ago</text>
+            <text class="chart-axis" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${projected.length ? `+${projected.length} days` : 'today'}</text>
+        </svg>
+    `;
+}
+
+function renderFlows(container, games, kind) {
+    if (games.length === 0) {
+        container.innerHTML = '<div class="economy-empty">Nothin\' to show</div>';
+        return;
+    }
+
+    // Biggest movers first, bars against the biggest
+    const sorted = [...games].sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+    const biggest = Math.abs(sorted[0].net) || 1;
+
+    container.innerHTML = sorted.map((game, index) => `
+        <div class="leaderboard-item">
+            <div class="rank">#${index + 1}</div>
+            <div class="user-info">
+                <div class="username">${escapeHtml(game.game)}</div>
+                <div class="user-value">${game.net >= 0 ? '+' : '-'}${escapeHtml(formatMoney(Math.abs(game.net)))}</div>
+                <div class="user-extra">${escapeHtml(`${formatMoney(game.minted)} in, ${formatMoney(game.burned)} out over ${game.entries} plays`)}</div>
+                <div class="flow-bar ${kind}" style="width: ${(Math.abs(game.net) / biggest * 100).toFixed(1)}%"></div>
+            </div>
+        </div>
+    `).join('');
+}
+
+function formatMoney(amount) {
+    return `$${Math.round(amount).toLocaleString()}`;
+}
+
+function formatPercent(fraction) {
+    return `${(fraction * 100).toFixed(1)}%`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -26,6 +26,8 @@ const elements = {
     modal: document.getElementById('user-modal'),
     modalContent: document.getElementById('user-details'),
     modalClose: document.querySelector('.modal-close'),
+    eventsStrip: document.getElementById('events-strip'),
+    eventsList: document.getElementById('events-list'),
     toastContainer: document.getElementById('toast-container')
 };
 
@@ -33,6 +35,7 @@ const elements = {
 document.addEventListener('DOMContentLoaded', () => {
     initializeEventListeners();
     loadLeaderboards();
+    loadEvents();
     initializeWebSocket();
     startAutoUpdate();
     initializeQuoteRotator();
@@ -3611,10 +3614,76 @@ function startAutoUpdate() {
     updateTimer = setInterval(() => {
         if (elements.animateChanges.checked) {
             loadLeaderboards();
+            loadEvents();
         }
     }, UPDATE_INTERVAL);
 }
 
+// Upcoming Events
+async function loadEvents() {
+    try {
+        const response = await fetch(`${API_BASE}/events?limit=6`, {
+            method: 'GET',
+            headers: { 
+                'Accept': 'application/json',
+                'Origin': window.location.origin
+            }
+        });
+
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        
+        const data = await response.json();
+        if (data.success) {
+            renderEvents(data.data.events);
+        }
+    } catch (error) {
+        // The strip just stays hidden, the leaderboards are what matter
+        console.error('Failed to load events:', error);
+    }
+}
+
+function renderEvents(events) {
+    if (!events || events.length === 0) {
+        elements.eventsStrip.hidden = true;
+        return;
+    }
+
+    elements.eventsList.innerHTML = events.map(event => {
+        const startsAt = new Date(event.startsAt);
+        const when = startsAt.toLocaleString('en-AU', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        
+        return `
+            <div class="event-card">
+                <div class="event-when">${escapeHtml(when)}</div>
+                <div class="event-name">${escapeHtml(event.title)}</div>
+                <div class="event-meta">
+                    <span class="event-room">${escapeHtml(event.room)}</span>
+                    ${event.schedule ? `<span class="event-schedule">${escapeHtml(event.schedule)}</span>` : ''}
+                    <span class="event-going">${event.going} going</span>
+                </div>
+                <div class="event-countdown">${formatCountdown(startsAt - Date.now())}</div>
+            </div>
+        `;
+    }).join('');
+    elements.eventsStrip.hidden = false;
+}
+
+function formatCountdown(ms) {
+    if (ms <= 0) return 'ON NOW';
+    const minutes = Math.ceil(ms / 60000);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `in ${days}d ${hours}h`;
+    if (hours > 0) return `in ${hours}h ${minutes % 60}m`;
+    return `in ${minutes}m`;
+}
+
 // Toast Notifications
 function showToast(message, type = 'info') {
     const toast = document.createElement('div');
@@ -13,6 +13,7 @@ class RoomContext extends EventEmitter {
         // Room-specific state
         this.userlist = new Map();
         this.currentMedia = null;
+        this.currentUid = null; // Playlist uid of what's playing
         this.playlist = [];
         this.playlistLocked = false;
         this.leader = null;
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { ApiError, ForbiddenError } from './errorHandler.js';
+
+// Middleware for admin endpoints: requires the key from config.api.adminKey
+// in an X-API-Key header or as "Authorization: Bearer <key>". Extra key names
+// (e.g. 'moderationKey') let other config.api keys in as well
+export function requireApiKey(apiServer, ...extraKeys) {
+    return (req, res, next) => {
+        const apiConfig = apiServer.bot.config?.api || {};
+        const configuredKeys = ['adminKey', ...extraKeys]
+            .map(name => apiConfig[name])
+            .filter(Boolean);
+        
+        // No key configured means these endpoints are switched off entirely
+        if (configuredKeys.length === 0) {
+            return next(new ForbiddenError('Admin API is disabled - no API key configured'));
+        }
+        
+        const authHeader = req.get('authorization') || '';
+        const providedKey = req.get('x-api-key') || authHeader.replace(/^Bearer\s+/i, '');
+        
+        if (!providedKey) {
+            return next(new ApiError('API key required', 'UNAUTHORIZED', 401));
+        }
+        
+        const provided = Buffer.from(providedKey);
+        const matches = configuredKeys.some(configuredKey => {
+            const expected = Buffer.from(configuredKey);
+            return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+        });
+        
+        if (!matches) {
+            apiServer.bot.logger.warn(`[API] Invalid API key for ${req.method} ${req.path} from ${req.ip}`);
+            return next(new ForbiddenError('Invalid API key'));
+        }
+        
+        next();
+    };
+}
@@ -25,7 +25,7 @@ export function createCorsMiddleware(apiServer) {
         },
         credentials: true,
         methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
         maxAge: 86400 // 24 hours
     };
     
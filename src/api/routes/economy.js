@@ -0,0 +1,282 @@
+import { Router } from 'express';
+import { asyncHandler, ValidationError, NotFoundError, ApiError } from '../middleware/errorHandler.js';
+import { HOUSE_GAMES } from '../../modules/economy/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKETS = ['hour', 'day', 'week'];
+
+export function createEconomyRoutes(apiServer) {
+    const router = Router();
+
+    const getLedger = () => {
+        const ledger = apiServer.bot.heistManager?.ledger;
+        if (!ledger) {
+            throw new ApiError('Economy system not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        return ledger;
+    };
+
+    const parseDays = (value, fallback, max) => {
+        if (value === undefined) return fallback;
+        const days = parseInt(value);
+        if (!days || days < 1 || days > max) {
+            throw new ValidationError(`days must be between 1 and ${max}`, 'days');
+        }
+        return days;
+    };
+
+    const formatTransaction = (row) => ({
+        id: row.id,
+        transferId: row.transfer_id,
+        type: row.transaction_type,
+        amount: row.amount,
+        trustChange: row.trust_change,
+        balanceAfter: row.balance_after,
+        counterparty: row.counterparty,
+        description: row.description,
+        room: row.room_id,
+        createdAt: row.created_at
+    });
+
+    // GET /api/v1/economy/users/:username - Balance and trust for a user
+    router.get('/users/:username', asyncHandler(async (req, res) => {
+        const { username } = req.params;
+        const ledger = getLedger();
+
+        const user = await apiServer.bot.db.get(
+            'SELECT username, balance, COALESCE(trust_score, 50) as trust FROM user_economy WHERE LOWER(username) = LOWER(?)',
+            [username]
+        );
+
+        if (!user) {
+            throw new NotFoundError('Economy account');
+        }
+
+        const [latest] = await ledger.getHistory(user.username, { limit: 1 });
+        const trustLevel = apiServer.bot.heistManager.getTrustLevel(user.trust);
+
+        res.json({
+            success: true,
+            data: {
+                username: user.username,
+                balance: user.balance,
+                trust: user.trust,
+                trustLevel: trustLevel.title,
+                lastTransactionAt: latest?.created_at || null
+            }
+        });
+    }));
+
+    // GET /api/v1/economy/users/:username/transactions - Paged ledger entries for a user
+    router.get('/users/:username/transactions', asyncHandler(async (req, res) => {
+        const { username } = req.params;
+        const { limit = 50, offset = 0, type = null } = req.query;
+        const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+        const offsetNum = Math.max(parseInt(offset) || 0, 0);
+        const ledger = getLedger();
+
+        const [transactions, total] = await Promise.all([
+            ledger.getHistory(username, { limit: limitNum, offset: offsetNum, type }),
+            ledger.countHistory(username, { type })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                username,
+                transactions: transactions.map(formatTransaction),
+                pagination: {
+                    total,
+                    limit: limitNum,
+                    offset: offsetNum
+                }
+            }
+        });
+    }));
+
+    // GET /api/v1/economy/transfers/:transferId - Every leg of one transfer
+    router.get('/transfers/:transferId', asyncHandler(async (req, res) => {
+        const entries = await getLedger().getTransfer(req.params.transferId);
+        if (entries.length === 0) {
+            throw new NotFoundError('Transfer');
+        }
+
+        res.json({
+            success: true,
+            data: {
+                transferId: req.params.transferId,
+                entries: entries.map(formatTransaction)
+            }
+        });
+    }));
+
+    // GET /api/v1/economy/richest - Biggest balances
+    router.get('/richest', asyncHandler(async (req, res) => {
+        const { limit = 10 } = req.query;
+        const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+        const botName = apiServer.bot.username?.toLowerCase() || 'dazza';
+
+        const users = await getLedger().getRichest(limitNum, [botName]);
+
+        res.json({
+            success: true,
+            data: users.map((user, index) => ({
+                rank: index + 1,
+                username: user.username,
+                balance: user.balance,
+                trust: user.trust
+            }))
+        });
+    }));
+
+    // GET /api/v1/economy/supply - Money supply over time (?bucket=hour|day|week&days=30&room=)
+    router.get('/supply', asyncHandler(async (req, res) => {
+        const { bucket = 'day', room = null } = req.query;
+        if (!BUCKETS.includes(bucket)) {
+            throw new ValidationError(`bucket must be one of ${BUCKETS.join(', ')}`, 'bucket');
+        }
+        const days = parseDays(req.query.days, 30, 365);
+
+        const supply = await getLedger().getMoneySupply({
+            bucket,
+            since: Date.now() - days * DAY_MS,
+            roomId: room
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...supply,
+                days,
+                room
+            }
+        });
+    }));
+
+    // GET /api/v1/economy/house-edge - What the house keeps per game (?days=&room=)
+    router.get('/house-edge', asyncHandler(async (req, res) => {
+        const { room = null } = req.query;
+        const days = parseDays(req.query.days, null, 3650);
+
+        const games = await getLedger().getHouseEdge({
+            games: HOUSE_GAMES,
+            since: days ? Date.now() - days * DAY_MS : 0,
+            roomId: room
+        });
+
+        res.json({
+            success: true,
+            data: {
+                days,
+                room,
+                games
+            }
+        });
+    }));
+
+    // GET /api/v1/economy/flows - What each game put in and took out, from the EconomyAnalyzer job (?days=30&room=)
+    router.get('/flows', asyncHandler(async (req, res) => {
+        const { room = null } = req.query;
+        const days = parseDays(req.query.days, 30, 365);
+        const since = new Date(Date.now() - (days - 1) * DAY_MS).toISOString().split('T')[0];
+
+        const params = [since];
+        let roomFilter = '';
+        if (room) {
+            roomFilter = 'AND room_id = ?';
+            params.push(room);
+        }
+
+        const [games, daily] = await Promise.all([
+            apiServer.bot.db.all(`
+                SELECT game, SUM(minted) as minted, SUM(burned) as burned, SUM(entries) as entries, MAX(players) as players
+                FROM economy_daily_flows
+                WHERE date >= ? ${roomFilter}
+                GROUP BY game
+                ORDER BY SUM(minted) - SUM(burned) DESC
+            `, params),
+            apiServer.bot.db.all(`
+                SELECT date, SUM(minted) as minted, SUM(burned) as burned
+                FROM economy_daily_flows
+                WHERE date >= ? ${roomFilter}
+                GROUP BY date
+                ORDER BY date
+            `, params)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                days,
+                room,
+                // A game's a faucet if it's put more in than it's taken out over the window
+                games: games.map(game => ({
+                    game: game.game,
+                    kind: game.minted >= game.burned ? 'faucet' : 'sink',
+                    minted: game.minted,
+                    burned: game.burned,
+                    net: game.minted - game.burned,
+                    entries: game.entries,
+                    busiestDayPlayers: game.players
+                })),
+                daily: daily.map(day => ({
+                    date: day.date,
+                    minted: day.minted,
+                    burned: day.burned,
+                    net: day.minted - day.burned
+                }))
+            }
+        });
+    }));
+
+    // GET /api/v1/economy/overview - Daily supply, inflation and Gini, plus the latest projection (?days=90)
+    router.get('/overview', asyncHandler(async (req, res) => {
+        const days = parseDays(req.query.days, 90, 365);
+        const since = new Date(Date.now() - (days - 1) * DAY_MS).toISOString().split('T')[0];
+
+        const [history, projection] = await Promise.all([
+            apiServer.bot.db.all('SELECT * FROM economy_daily_supply WHERE date >= ? ORDER BY date', [since]),
+            apiServer.bot.db.all('SELECT * FROM economy_projection ORDER BY day')
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                days,
+                history: history.map(day => ({
+                    date: day.date,
+                    supply: day.supply,
+                    minted: day.minted,
+                    burned: day.burned,
+                    inflation: day.inflation,
+                    gini: day.gini,
+                    holders: day.holders,
+                    medianBalance: day.median_balance,
+                    top10Share: day.top10_share
+                })),
+                projection: {
+                    generatedAt: projection[0]?.generated_at || null,
+                    days: projection.map(day => ({
+                        day: day.day,
+                        supply: day.supply,
+                        gini: day.gini,
+                        medianBalance: day.median_balance,
+                        top10Share: day.top10_share
+                    }))
+                }
+            }
+        });
+    }));
+
+    // Register endpoints
+    apiServer.registerEndpoint('GET', '/api/v1/economy/users/:username');
+    apiServer.registerEndpoint('GET', '/api/v1/economy/users/:username/transactions');
+    apiServer.registerEndpoint('GET', '/api/v1/economy/transfers/:transferId');
+    apiServer.registerEndpoint('GET', '/api/v1/economy/richest');
+    apiServer.registerEndpoint('GET', '/api/v1/economy/supply');
+    apiServer.registerEndpoint('GET', '/api/v1/economy/house-edge');
+    apiServer.registerEndpoint('GET', '/api/v1/economy/flows');
+    apiServer.registerEndpoint('GET', '/api/v1/economy/overview');
+
+    return router;
+}
@@ -0,0 +1,132 @@
+import { Router } from 'express';
+import { asyncHandler, ValidationError, NotFoundError, ApiError } from '../middleware/errorHandler.js';
+import { requireApiKey } from '../middleware/apiKey.js';
+import { describeError } from '../../modules/events/index.js';
+import { parseWhen, resolveTimezone, DEFAULT_TIMEZONE } from '../../utils/timeParser.js';
+
+export function createEventRoutes(apiServer) {
+    const router = Router();
+
+    const getEvents = () => {
+        if (!apiServer.bot.eventManager) {
+            throw new ApiError('Events system not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        return apiServer.bot.eventManager;
+    };
+
+    // GET /api/v1/events - Upcoming events, soonest first (?room=&limit=)
+    router.get('/', asyncHandler(async (req, res) => {
+        const { room = null, limit = 10 } = req.query;
+        const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+        const events = getEvents();
+
+        const upcoming = await events.listUpcoming(room, limitNum);
+        const data = [];
+        for (const event of upcoming) {
+            data.push(events.toJSON(event, await events.getRsvps(event)));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                room,
+                events: data
+            }
+        });
+    }));
+
+    // GET /api/v1/events/:id - One event and who's RSVP'd to its next occurrence
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const id = parseInt(req.params.id);
+        if (isNaN(id)) {
+            throw new ValidationError('Event id must be a number', 'id');
+        }
+
+        const events = getEvents();
+        const event = await events.getEvent(id);
+        if (!event) {
+            throw new NotFoundError('Event');
+        }
+
+        res.json({
+            success: true,
+            data: events.toJSON(event, event.status === 'scheduled' ? await events.getRsvps(event) : [])
+        });
+    }));
+
+    // POST /api/v1/events - Schedule an event (admin)
+    // { room, title, startsAt (ISO) or when ("every friday 8pm"), timezone, playlist: [links], createdBy }
+    router.post('/', requireApiKey(apiServer), asyncHandler(async (req, res) => {
+        const { room, title, startsAt, when, playlist = [], createdBy = 'api' } = req.body || {};
+        if (!room) {
+            throw new ValidationError('room is required', 'room');
+        }
+        if (!Array.isArray(playlist)) {
+            throw new ValidationError('playlist must be an array of links', 'playlist');
+        }
+
+        const timezone = req.body?.timezone ? resolveTimezone(req.body.timezone) : DEFAULT_TIMEZONE;
+        if (!timezone) {
+            throw new ValidationError('Unknown timezone', 'timezone');
+        }
+
+        let schedule;
+        if (when) {
+            schedule = parseWhen(String(when).split(/\s+/), { timezone });
+            if (!schedule || schedule.error) {
+                throw new ValidationError(schedule?.error || 'Could not read when', 'when');
+            }
+        } else {
+            const at = Date.parse(startsAt);
+            if (isNaN(at)) {
+                throw new ValidationError('startsAt (ISO date) or when is required', 'startsAt');
+            }
+            schedule = { at, recurrence: null };
+        }
+
+        const result = await getEvents().createEvent(room, {
+            title,
+            startsAt: schedule.at,
+            recurrence: schedule.recurrence,
+            timezone,
+            playlist,
+            createdBy
+        });
+        if (!result.success) {
+            throw new ValidationError(describeError(result), result.error === 'bad_title' ? 'title' : null);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: getEvents().toJSON(result.event, [])
+        });
+    }));
+
+    // DELETE /api/v1/events/:id - Cancel an event (admin)
+    router.delete('/:id', requireApiKey(apiServer), asyncHandler(async (req, res) => {
+        const id = parseInt(req.params.id);
+        const events = getEvents();
+        const event = isNaN(id) ? null : await events.getEvent(id);
+        if (!event) {
+            throw new NotFoundError('Event');
+        }
+
+        const result = await events.cancelEvent(event.room_id, id, 'api');
+        if (!result.success) {
+            throw new ApiError(describeError(result), 'CONFLICT', 409);
+        }
+
+        res.json({
+            success: true,
+            data: { id, status: 'cancelled' }
+        });
+    }));
+
+    // Register endpoints
+    apiServer.registerEndpoint('GET', '/api/v1/events');
+    apiServer.registerEndpoint('GET', '/api/v1/events/:id');
+    apiServer.registerEndpoint('POST', '/api/v1/events');
+    apiServer.registerEndpoint('DELETE', '/api/v1/events/:id');
+
+    return router;
+}
@@ -0,0 +1,108 @@
+import { Router } from 'express';
+import { asyncHandler, ValidationError, ApiError } from '../middleware/errorHandler.js';
+
+export function createMediaRoutes(apiServer) {
+    const router = Router();
+
+    const getTracker = () => {
+        if (!apiServer.bot.mediaTracker?.enabled) {
+            throw new ApiError('Media tracker not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        return apiServer.bot.mediaTracker;
+    };
+
+    const parsePaging = (query) => ({
+        limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+        offset: Math.max(parseInt(query.offset) || 0, 0)
+    });
+
+    // GET /api/v1/media/top - Most played media (?room=&limit=&offset=)
+    router.get('/top', asyncHandler(async (req, res) => {
+        const { room = null } = req.query;
+        const paging = parsePaging(req.query);
+        const tracker = getTracker();
+
+        const rows = await tracker.getTopPlayed({ roomId: room, ...paging });
+
+        res.json({
+            success: true,
+            data: {
+                room,
+                ...paging,
+                media: rows.map(row => tracker.toJSON(row))
+            }
+        });
+    }));
+
+    // GET /api/v1/media/recent - Recently played media, newest first (?room=&limit=&offset=)
+    router.get('/recent', asyncHandler(async (req, res) => {
+        const { room = null } = req.query;
+        const paging = parsePaging(req.query);
+        const tracker = getTracker();
+
+        const rows = await tracker.getRecentlyPlayed({ roomId: room, ...paging });
+
+        res.json({
+            success: true,
+            data: {
+                room,
+                ...paging,
+                media: rows.map(row => tracker.toJSON(row))
+            }
+        });
+    }));
+
+    // addedBy is null on media imported from the old media_encountered.db,
+    // which only knew who queued it last (lastAddedBy)
+
+    // GET /api/v1/media/users/:username - Media a user brought in first (?room=&limit=&offset=)
+    router.get('/users/:username', asyncHandler(async (req, res) => {
+        const { username } = req.params;
+        const { room = null } = req.query;
+        const paging = parsePaging(req.query);
+        const tracker = getTracker();
+
+        const { total, media } = await tracker.getUserAdds(username, { roomId: room, ...paging });
+
+        res.json({
+            success: true,
+            data: {
+                username,
+                room,
+                total,
+                ...paging,
+                media: media.map(row => tracker.toJSON(row))
+            }
+        });
+    }));
+
+    // GET /api/v1/media/first-seen - When and by whom media first turned up (?q=<link or title>&room=&limit=)
+    router.get('/first-seen', asyncHandler(async (req, res) => {
+        const { room = null } = req.query;
+        const q = String(req.query.q || '');
+        if (!q.trim()) {
+            throw new ValidationError('q is required (a link or part of a title)', 'q');
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50);
+        const tracker = getTracker();
+
+        const rows = await tracker.findMedia(q, { roomId: room, limit });
+
+        res.json({
+            success: true,
+            data: {
+                query: q,
+                room,
+                media: rows.map(row => tracker.toJSON(row))
+            }
+        });
+    }));
+
+    // Register endpoints
+    apiServer.registerEndpoint('GET', '/api/v1/media/top');
+    apiServer.registerEndpoint('GET', '/api/v1/media/recent');
+    apiServer.registerEndpoint('GET', '/api/v1/media/users/:username');
+    apiServer.registerEndpoint('GET', '/api/v1/media/first-seen');
+
+    return router;
+}
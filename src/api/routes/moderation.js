@@ -0,0 +1,188 @@
+import { Router } from 'express';
+import { asyncHandler, ValidationError, NotFoundError, ApiError } from '../middleware/errorHandler.js';
+import { requireApiKey } from '../middleware/apiKey.js';
+import { CASE_TYPES } from '../../modules/moderation/cases.js';
+
+const APPEAL_STATUSES = ['pending', 'upheld', 'overturned'];
+
+export function createModerationRoutes(apiServer) {
+    const router = Router();
+
+    // Moderation history is for mods only (adminKey or moderationKey)
+    router.use(requireApiKey(apiServer, 'moderationKey'));
+
+    const getCases = () => {
+        if (!apiServer.bot.moderationCases) {
+            throw new ApiError('Moderation cases not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        return apiServer.bot.moderationCases;
+    };
+
+    const parsePaging = (query, defaultLimit = 20) => ({
+        limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100),
+        offset: Math.max(parseInt(query.offset) || 0, 0)
+    });
+
+    const formatAppeal = (appeal) => ({
+        id: appeal.id,
+        caseId: appeal.case_id,
+        username: appeal.username,
+        message: appeal.message,
+        status: appeal.status,
+        createdAt: appeal.created_at,
+        decidedBy: appeal.decided_by,
+        decidedAt: appeal.decided_at,
+        response: appeal.response
+    });
+
+    const formatCase = (record) => ({
+        id: record.id,
+        username: record.username,
+        room: record.room_id,
+        type: record.type,
+        action: record.action,
+        reason: record.reason,
+        moderator: record.moderator,
+        createdAt: record.created_at,
+        expiresAt: record.expires_at,
+        active: getCases().isActive(record),
+        revokedAt: record.revoked_at,
+        revokedBy: record.revoked_by,
+        revokeReason: record.revoke_reason,
+        ...(record.appeals && { appeals: record.appeals.map(formatAppeal) })
+    });
+
+    // GET /api/v1/moderation/cases - Cases newest first (?username=&room=&type=&active=true&limit=&offset=)
+    router.get('/cases', asyncHandler(async (req, res) => {
+        const { username = null, room = null, type = null, active } = req.query;
+        if (type && !CASE_TYPES.includes(type)) {
+            throw new ValidationError(`type must be one of ${CASE_TYPES.join(', ')}`, 'type');
+        }
+        const paging = parsePaging(req.query);
+
+        const cases = await getCases().listCases({
+            username,
+            roomId: room,
+            type,
+            activeOnly: active === 'true',
+            ...paging
+        });
+
+        res.json({
+            success: true,
+            data: {
+                ...paging,
+                cases: cases.map(formatCase)
+            }
+        });
+    }));
+
+    // GET /api/v1/moderation/cases/:id - One case with its appeal history
+    router.get('/cases/:id', asyncHandler(async (req, res) => {
+        const id = parseInt(req.params.id);
+        if (isNaN(id)) {
+            throw new ValidationError('Case id must be a number', 'id');
+        }
+
+        const record = await getCases().getCase(id);
+        if (!record) {
+            throw new NotFoundError('Case');
+        }
+
+        res.json({
+            success: true,
+            data: formatCase(record)
+        });
+    }));
+
+    // GET /api/v1/moderation/users/:username - A user's record: counts, latest cases and appeals
+    router.get('/users/:username', asyncHandler(async (req, res) => {
+        const { username } = req.params;
+        const cases = getCases();
+
+        const [summary, latest, appeals] = await Promise.all([
+            cases.getSummary(username),
+            cases.listCases({ username, limit: 20 }),
+            cases.listAppeals({ status: null, username, limit: 20 })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...summary,
+                cases: latest.map(formatCase),
+                appeals: appeals.map(formatAppeal)
+            }
+        });
+    }));
+
+    // GET /api/v1/moderation/appeals - Appeals, pending by default (?status=&username=&limit=&offset=)
+    router.get('/appeals', asyncHandler(async (req, res) => {
+        const { status = 'pending', username = null } = req.query;
+        if (status !== 'all' && !APPEAL_STATUSES.includes(status)) {
+            throw new ValidationError(`status must be all or one of ${APPEAL_STATUSES.join(', ')}`, 'status');
+        }
+        const paging = parsePaging(req.query);
+
+        const appeals = await getCases().listAppeals({
+            status: status === 'all' ? null : status,
+            username,
+            ...paging
+        });
+
+        res.json({
+            success: true,
+            data: {
+                status,
+                ...paging,
+                appeals: appeals.map(appeal => ({
+                    ...formatAppeal(appeal),
+                    case: { type: appeal.type, action: appeal.action, reason: appeal.reason, moderator: appeal.moderator }
+                }))
+            }
+        });
+    }));
+
+    // GET /api/v1/moderation/automod - What automod's done (?room=&username=&limit=)
+    router.get('/automod', asyncHandler(async (req, res) => {
+        const { room, username = null } = req.query;
+        if (!room) {
+            throw new ValidationError('room is required', 'room');
+        }
+        if (!apiServer.bot.autoModManager) {
+            throw new ApiError('Automod not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        const { limit } = parsePaging(req.query, 50);
+
+        const entries = await apiServer.bot.autoModManager.getLog(room, { username, limit });
+
+        res.json({
+            success: true,
+            data: {
+                room,
+                entries: entries.map(entry => ({
+                    id: entry.id,
+                    username: entry.username,
+                    rule: entry.rule,
+                    action: entry.action,
+                    strike: entry.strike,
+                    detail: entry.detail,
+                    message: entry.message,
+                    moderator: entry.moderator,
+                    createdAt: entry.created_at,
+                    expiresAt: entry.expires_at,
+                    liftedAt: entry.lifted_at
+                }))
+            }
+        });
+    }));
+
+    // Register endpoints
+    apiServer.registerEndpoint('GET', '/api/v1/moderation/cases');
+    apiServer.registerEndpoint('GET', '/api/v1/moderation/cases/:id');
+    apiServer.registerEndpoint('GET', '/api/v1/moderation/users/:username');
+    apiServer.registerEndpoint('GET', '/api/v1/moderation/appeals');
+    apiServer.registerEndpoint('GET', '/api/v1/moderation/automod');
+
+    return router;
+}
@@ -0,0 +1,65 @@
+import { Router } from 'express';
+import { asyncHandler, ValidationError, NotFoundError, ApiError } from '../middleware/errorHandler.js';
+import { POLL_STATUSES, POLL_MODES } from '../../modules/polls/index.js';
+
+export function createPollRoutes(apiServer) {
+    const router = Router();
+
+    const getPolls = () => {
+        if (!apiServer.bot.pollManager) {
+            throw new ApiError('Polls not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        return apiServer.bot.pollManager;
+    };
+
+    // GET /api/v1/polls - Poll history, newest first (?room=&status=&mode=&limit=)
+    router.get('/', asyncHandler(async (req, res) => {
+        const { room = null, status = null, mode = null, limit = 20 } = req.query;
+        if (status && !POLL_STATUSES.includes(status)) {
+            throw new ValidationError(`status must be one of ${POLL_STATUSES.join(', ')}`, 'status');
+        }
+        if (mode && !POLL_MODES.includes(mode)) {
+            throw new ValidationError(`mode must be one of ${POLL_MODES.join(', ')}`, 'mode');
+        }
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const polls = getPolls();
+
+        const data = [];
+        for (const poll of await polls.list(room, limitNum, status, mode)) {
+            data.push(await polls.toJSON(poll));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                room,
+                polls: data
+            }
+        });
+    }));
+
+    // GET /api/v1/polls/:id - One poll with its tally, and stakes for a money poll
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const id = parseInt(req.params.id);
+        if (isNaN(id)) {
+            throw new ValidationError('Poll id must be a number', 'id');
+        }
+
+        const polls = getPolls();
+        const poll = await polls.getPoll(id);
+        if (!poll) {
+            throw new NotFoundError('Poll');
+        }
+
+        res.json({
+            success: true,
+            data: await polls.toJSON(poll)
+        });
+    }));
+
+    // Register endpoints
+    apiServer.registerEndpoint('GET', '/api/v1/polls');
+    apiServer.registerEndpoint('GET', '/api/v1/polls/:id');
+
+    return router;
+}
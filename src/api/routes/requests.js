@@ -0,0 +1,64 @@
+import { Router } from 'express';
+import { asyncHandler, ValidationError, ApiError } from '../middleware/errorHandler.js';
+import { REQUEST_STATUSES } from '../../modules/media/requests.js';
+
+export function createRequestRoutes(apiServer) {
+    const router = Router();
+
+    const getRequests = () => {
+        if (!apiServer.bot.mediaRequests) {
+            throw new ApiError('Requests not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        return apiServer.bot.mediaRequests;
+    };
+
+    const parsePaging = (query) => ({
+        limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+        offset: Math.max(parseInt(query.offset) || 0, 0)
+    });
+
+    // GET /api/v1/requests - Playlist requests, newest first (?room=&username=&status=&limit=&offset=)
+    router.get('/', asyncHandler(async (req, res) => {
+        const { room = null, username = null, status = null } = req.query;
+        if (status && !REQUEST_STATUSES.includes(status)) {
+            throw new ValidationError(`status must be one of ${REQUEST_STATUSES.join(', ')}`, 'status');
+        }
+        const paging = parsePaging(req.query);
+        const requests = getRequests();
+
+        const rows = await requests.listRequests({ roomId: room, username, status, ...paging });
+
+        res.json({
+            success: true,
+            data: {
+                room,
+                ...paging,
+                requests: rows.map(request => requests.requestToJSON(request))
+            }
+        });
+    }));
+
+    // GET /api/v1/requests/bumps - Paid bumps, newest first (?room=&username=&limit=&offset=)
+    router.get('/bumps', asyncHandler(async (req, res) => {
+        const { room = null, username = null } = req.query;
+        const paging = parsePaging(req.query);
+        const requests = getRequests();
+
+        const rows = await requests.listBumps({ roomId: room, username, ...paging });
+
+        res.json({
+            success: true,
+            data: {
+                room,
+                ...paging,
+                bumps: rows.map(bump => requests.bumpToJSON(bump))
+            }
+        });
+    }));
+
+    // Register endpoints
+    apiServer.registerEndpoint('GET', '/api/v1/requests');
+    apiServer.registerEndpoint('GET', '/api/v1/requests/bumps');
+
+    return router;
+}
@@ -0,0 +1,151 @@
+import { Router } from 'express';
+import { asyncHandler, ValidationError, NotFoundError, ApiError } from '../middleware/errorHandler.js';
+import { requireApiKey } from '../middleware/apiKey.js';
+import { GLOBAL_SCOPE } from '../../modules/permissions/index.js';
+
+export function createRoleRoutes(apiServer) {
+    const router = Router();
+
+    // Role management is admin-only
+    router.use(requireApiKey(apiServer));
+
+    const getPermissions = () => {
+        if (!apiServer.bot.permissions) {
+            throw new ApiError('Permission system not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        return apiServer.bot.permissions;
+    };
+
+    const formatGrant = (grant) => ({
+        username: grant.username,
+        role: grant.role,
+        room: grant.room_id,
+        grantedBy: grant.granted_by,
+        grantedAt: grant.granted_at
+    });
+
+    // GET /api/v1/roles - List role grants and rank mappings
+    router.get('/', asyncHandler(async (req, res) => {
+        const { room = null } = req.query;
+        const permissions = getPermissions();
+
+        res.json({
+            success: true,
+            data: {
+                room: room || GLOBAL_SCOPE,
+                grants: permissions.listGrants({ roomId: room }).map(formatGrant),
+                rankRoles: permissions.listRankMappings(room).map(m => ({
+                    room: m.room_id,
+                    minRank: m.min_rank,
+                    role: m.role
+                }))
+            }
+        });
+    }));
+
+    // GET /api/v1/roles/users/:username - Effective roles for a user in a room
+    router.get('/users/:username', asyncHandler(async (req, res) => {
+        const { username } = req.params;
+        const { room = null } = req.query;
+        const permissions = getPermissions();
+
+        res.json({
+            success: true,
+            data: {
+                username,
+                room: room || GLOBAL_SCOPE,
+                roles: Array.from(permissions.getRoles(username, room)).sort(),
+                bootstrapRoles: permissions.getBootstrapRoles(username),
+                grants: permissions.listGrants({ roomId: room, username }).map(formatGrant)
+            }
+        });
+    }));
+
+    // POST /api/v1/roles/users/:username - Grant a role { role, room }
+    router.post('/users/:username', asyncHandler(async (req, res) => {
+        const { username } = req.params;
+        const { role, room = GLOBAL_SCOPE, grantedBy = 'api' } = req.body || {};
+        const permissions = getPermissions();
+
+        if (!role || !permissions.isValidRoleName(role)) {
+            throw new ValidationError('Role must be lowercase letters, numbers, - or _', 'role');
+        }
+
+        const result = await permissions.grantRole(username, role, room, grantedBy);
+        if (!result.success) {
+            throw new ApiError(`${username} already has ${role} in ${room}`, 'CONFLICT', 409);
+        }
+
+        apiServer.broadcast('roles:changed', { username, role: result.grant.role, room, action: 'grant' });
+
+        res.status(201).json({
+            success: true,
+            data: formatGrant(result.grant)
+        });
+    }));
+
+    // DELETE /api/v1/roles/users/:username/:role - Revoke a role (?room=)
+    router.delete('/users/:username/:role', asyncHandler(async (req, res) => {
+        const { username, role } = req.params;
+        const { room = GLOBAL_SCOPE } = req.query;
+        const permissions = getPermissions();
+
+        const result = await permissions.revokeRole(username, role, room);
+        if (!result.success) {
+            throw new NotFoundError('Role grant');
+        }
+
+        apiServer.broadcast('roles:changed', { username, role, room, action: 'revoke' });
+
+        res.json({
+            success: true,
+            data: { username, role, room }
+        });
+    }));
+
+    // PUT /api/v1/roles/rank/:role - Map a minimum CyTube rank to a role { minRank, room }
+    router.put('/rank/:role', asyncHandler(async (req, res) => {
+        const { role } = req.params;
+        const { minRank, room = GLOBAL_SCOPE } = req.body || {};
+        const permissions = getPermissions();
+
+        const result = await permissions.mapRank(parseInt(minRank), role, room, 'api');
+        if (!result.success) {
+            throw new ValidationError(
+                result.error === 'invalid_rank' ? 'minRank must be a non-negative integer' : 'Invalid role name',
+                result.error === 'invalid_rank' ? 'minRank' : 'role'
+            );
+        }
+
+        res.json({
+            success: true,
+            data: { role, minRank: parseInt(minRank), room }
+        });
+    }));
+
+    // DELETE /api/v1/roles/rank/:role - Remove a rank mapping (?room=)
+    router.delete('/rank/:role', asyncHandler(async (req, res) => {
+        const { role } = req.params;
+        const { room = GLOBAL_SCOPE } = req.query;
+
+        const result = await getPermissions().unmapRank(role, room);
+        if (!result.success) {
+            throw new NotFoundError('Rank mapping');
+        }
+
+        res.json({
+            success: true,
+            data: { role, room }
+        });
+    }));
+
+    // Register endpoints
+    apiServer.registerEndpoint('GET', '/api/v1/roles');
+    apiServer.registerEndpoint('GET', '/api/v1/roles/users/:username');
+    apiServer.registerEndpoint('POST', '/api/v1/roles/users/:username');
+    apiServer.registerEndpoint('DELETE', '/api/v1/roles/users/:username/:role');
+    apiServer.registerEndpoint('PUT', '/api/v1/roles/rank/:role');
+    apiServer.registerEndpoint('DELETE', '/api/v1/roles/rank/:role');
+
+    return router;
+}
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { asyncHandler, ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { asyncHandler, ValidationError, NotFoundError, ApiError } from '../middleware/errorHandler.js';
 import { getCacheStatus } from '../../batch/registerAnalyzers.js';
 
 export function createStatsRoutes(apiServer) {
@@ -83,7 +83,8 @@ export function createStatsRoutes(apiServer) {
             { type: 'cashie', title: '💪 Hardest Workers' },
             { type: 'sign_spinning', title: '🪧 Sign Spinners' },
             { type: 'beggars', title: '🤲 Shameless Beggars' },
-            { type: 'pissers', title: '🏆 Top Pissers' }
+            { type: 'pissers', title: '🏆 Top Pissers' },
+            { type: 'ladder', title: '📈 Pissing Ladder' }
         ];
         
         // Fetch all leaderboards in parallel
@@ -237,6 +238,23 @@ export function createStatsRoutes(apiServer) {
                                     };
                                 })
                             };
+                        case 'ladder': {
+                            if (!apiServer.bot.ladderManager) {
+                                return { type, title, error: true, data: [] };
+                            }
+                            const { season, standings } = await apiServer.bot.ladderManager.getLadder(null, limitNum);
+                            return {
+                                type,
+                                title: `${title} (Season ${season.id})`,
+                                data: standings.map(r => ({
+                                    rank: r.rank,
+                                    username: r.username,
+                                    value: `${r.rating}`,
+                                    extra: `${r.wins}W/${r.losses}L • peak ${r.peak_rating}`,
+                                    achievement: r.rank === 1 ? '👑' : null
+                                }))
+                            };
+                        }
                     }
                 } catch (error) {
                     console.error(`Error fetching ${type} leaderboard:`, error);
@@ -260,14 +278,14 @@ export function createStatsRoutes(apiServer) {
         const { limit = 10, room = 'fatpizza' } = req.query;
         
         const validTypes = ['talkers', 'bongs', 'drinks', 'gamblers', 'fishing', 
-                          'bottles', 'cashie', 'sign_spinning', 'beggars', 'pissers',
+                          'bottles', 'cashie', 'sign_spinning', 'beggars', 'pissers', 'ladder',
                           'money', 'criminal', 'messages', 'images'];
         if (!validTypes.includes(type)) {
             throw new ValidationError(`Invalid leaderboard type. Must be one of: ${validTypes.join(', ')}`, 'type');
         }
         
         const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
-        let results, data;
+        let results, data, season;
         
         switch (type) {
             case 'talkers':
@@ -406,6 +424,40 @@ export function createStatsRoutes(apiServer) {
                 });
                 break;
             
+            case 'ladder': {
+                // ?season=<id> for a past season's final standings
+                if (!apiServer.bot.ladderManager) {
+                    throw new ApiError('Pissing ladder not initialized', 'SERVICE_UNAVAILABLE', 503);
+                }
+                const seasonId = req.query.season ? parseInt(req.query.season) : null;
+                if (req.query.season && isNaN(seasonId)) {
+                    throw new ValidationError('season must be a number', 'season');
+                }
+                const ladder = await apiServer.bot.ladderManager.getLadder(seasonId, limitNum);
+                if (!ladder) {
+                    throw new NotFoundError('Season');
+                }
+                season = {
+                    id: ladder.season.id,
+                    status: ladder.season.status,
+                    champion: ladder.season.champion,
+                    startedAt: new Date(ladder.season.started_at).toISOString(),
+                    endsAt: new Date(ladder.season.ends_at).toISOString(),
+                    endedAt: ladder.season.ended_at ? new Date(ladder.season.ended_at).toISOString() : null
+                };
+                data = ladder.standings.map(row => ({
+                    rank: row.rank,
+                    username: row.username,
+                    rating: row.rating,
+                    peakRating: row.peak_rating,
+                    wins: row.wins,
+                    losses: row.losses,
+                    matches: row.matches,
+                    achievement: row.rank === 1 ? '👑' : null
+                }));
+                break;
+            }
+            
             case 'money':
                 results = await apiServer.bot.db.all(`
                     SELECT username, balance as count
@@ -474,6 +526,7 @@ export function createStatsRoutes(apiServer) {
             data: {
                 type,
                 leaderboard: data,
+                season,
                 room: room
             }
         });
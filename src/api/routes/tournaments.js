@@ -0,0 +1,63 @@
+import { Router } from 'express';
+import { asyncHandler, ValidationError, NotFoundError, ApiError } from '../middleware/errorHandler.js';
+
+const STATUSES = ['signup', 'running', 'finished', 'cancelled'];
+
+export function createTournamentRoutes(apiServer) {
+    const router = Router();
+
+    const getTournaments = () => {
+        if (!apiServer.bot.tournamentManager) {
+            throw new ApiError('Tournaments not initialized', 'SERVICE_UNAVAILABLE', 503);
+        }
+        return apiServer.bot.tournamentManager;
+    };
+
+    // GET /api/v1/tournaments - Pissing contest tournaments, newest first (?room=&status=&limit=)
+    router.get('/', asyncHandler(async (req, res) => {
+        const { room = null, status = null, limit = 10 } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            throw new ValidationError(`status must be one of ${STATUSES.join(', ')}`, 'status');
+        }
+        const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+        const tournaments = getTournaments();
+
+        const data = [];
+        for (const tournament of await tournaments.list(room, limitNum, status)) {
+            data.push(await tournaments.toJSON(tournament));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                room,
+                tournaments: data
+            }
+        });
+    }));
+
+    // GET /api/v1/tournaments/:id - One tournament with its seeds and full bracket
+    router.get('/:id', asyncHandler(async (req, res) => {
+        const id = parseInt(req.params.id);
+        if (isNaN(id)) {
+            throw new ValidationError('Tournament id must be a number', 'id');
+        }
+
+        const tournaments = getTournaments();
+        const tournament = await tournaments.getTournament(id);
+        if (!tournament) {
+            throw new NotFoundError('Tournament');
+        }
+
+        res.json({
+            success: true,
+            data: await tournaments.toJSON(tournament)
+        });
+    }));
+
+    // Register endpoints
+    apiServer.registerEndpoint('GET', '/api/v1/tournaments');
+    apiServer.registerEndpoint('GET', '/api/v1/tournaments/:id');
+
+    return router;
+}
@@ -14,6 +14,14 @@ import { createHealthRoutes } from './routes/health.js';
 import { createGalleryRoutes } from './routes/gallery.js';
 import { createStatsRoutes } from './routes/stats.js';
 import { createChatRoutes } from './routes/chat.js';
+import { createRoleRoutes } from './routes/roles.js';
+import { createEconomyRoutes } from './routes/economy.js';
+import { createEventRoutes } from './routes/events.js';
+import { createTournamentRoutes } from './routes/tournaments.js';
+import { createModerationRoutes } from './routes/moderation.js';
+import { createPollRoutes } from './routes/polls.js';
+import { createRequestRoutes } from './routes/requests.js';
+import { createMediaRoutes } from './routes/media.js';
 import { setupWebSocketEvents } from './websocket/events.js';
 import { UpnpManager } from '../services/upnpManager.js';
 import { EnhancedDoubleNatManager } from '../services/enhancedDoubleNat.js';
@@ -256,6 +264,14 @@ export class ApiServer extends EventEmitter {
         router.use('/gallery', createGalleryRoutes(this));
         router.use('/stats', createStatsRoutes(this));
         router.use('/chat', createChatRoutes(this));
+        router.use('/roles', createRoleRoutes(this));
+        router.use('/economy', createEconomyRoutes(this));
+        router.use('/events', createEventRoutes(this));
+        router.use('/tournaments', createTournamentRoutes(this));
+        router.use('/moderation', createModerationRoutes(this));
+        router.use('/polls', createPollRoutes(this));
+        router.use('/requests', createRequestRoutes(this));
+        router.use('/media', createMediaRoutes(this));
         
         // Mount versioned API
         this.app.use('/api/v1', router);
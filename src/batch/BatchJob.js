@@ -49,18 +49,13 @@ export class BatchJob {
             }
 
             // Process batch in a transaction
-            await this.db.run('BEGIN TRANSACTION');
-            try {
+            await this.db.transaction(async () => {
                 for (const item of batch) {
                     await processor(item);
                 }
-                await this.db.run('COMMIT');
-                totalProcessed += batch.length;
-                this.logger.debug(`[${this.name}] Processed batch: ${batch.length} items`);
-            } catch (error) {
-                await this.db.run('ROLLBACK');
-                throw error;
-            }
+            });
+            totalProcessed += batch.length;
+            this.logger.debug(`[${this.name}] Processed batch: ${batch.length} items`);
 
             offset += batchSize;
             hasMore = batch.length === batchSize;
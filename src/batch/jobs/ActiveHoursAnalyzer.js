@@ -81,8 +81,7 @@ export class ActiveHoursAnalyzer extends BatchJob {
         }
 
         // Insert in batches
-        await this.db.run('BEGIN TRANSACTION');
-        try {
+        await this.db.transaction(async () => {
             for (const stat of hourlyStats) {
                 await this.db.run(`
                     INSERT INTO user_active_hours 
@@ -97,16 +96,10 @@ export class ActiveHoursAnalyzer extends BatchJob {
                     Math.round(stat.avg_message_length || 0)
                 ]);
             }
-            
-            await this.db.run('COMMIT');
-            
-            // Calculate and store user activity summaries
-            await this.calculateActivitySummaries();
-            
-        } catch (error) {
-            await this.db.run('ROLLBACK');
-            throw error;
-        }
+        });
+
+        // Calculate and store user activity summaries
+        await this.calculateActivitySummaries();
 
         const duration = Date.now() - startTime;
         this.logger.info(
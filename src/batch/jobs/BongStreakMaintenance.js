@@ -26,8 +26,7 @@ export class BongStreakMaintenance extends BatchJob {
         const now = new Date();
         const todayUTC10 = new Date(now.getTime() + this.TIMEZONE_OFFSET).toISOString().split('T')[0];
         
-        await this.db.run('BEGIN TRANSACTION');
-        try {
+        await this.db.transaction(async () => {
             for (const streak of activeStreaks) {
                 try {
                     const lastBongDate = new Date(streak.last_bong_date);
@@ -59,12 +58,7 @@ export class BongStreakMaintenance extends BatchJob {
                     errors++;
                 }
             }
-            
-            await this.db.run('COMMIT');
-        } catch (error) {
-            await this.db.run('ROLLBACK');
-            throw error;
-        }
+        });
 
         const duration = Date.now() - startTime;
         this.logger.info(
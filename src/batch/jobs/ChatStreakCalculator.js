@@ -20,8 +20,7 @@ export class ChatStreakCalculator extends BatchJob {
 
         let processedCount = 0;
         
-        await this.db.run('BEGIN TRANSACTION');
-        try {
+        await this.db.transaction(async () => {
             for (const user of users) {
                 await this.calculateUserStreak(user.username);
                 processedCount++;
@@ -30,12 +29,7 @@ export class ChatStreakCalculator extends BatchJob {
                     this.logger.debug(`[ChatStreakCalculator] Processed ${processedCount}/${users.length} users`);
                 }
             }
-            
-            await this.db.run('COMMIT');
-        } catch (error) {
-            await this.db.run('ROLLBACK');
-            throw error;
-        }
+        });
 
         const duration = Date.now() - startTime;
         this.logger.info(
@@ -40,8 +40,7 @@ export class DailyActivityTracker extends BatchJob {
         }
 
         // Process in batches
-        await this.db.run('BEGIN TRANSACTION');
-        try {
+        await this.db.transaction(async () => {
             for (const activity of activities) {
                 await this.db.run(`
                     INSERT INTO user_daily_activity 
@@ -62,23 +61,17 @@ export class DailyActivityTracker extends BatchJob {
                     activity.last_message_time
                 ]);
             }
-            
-            await this.db.run('COMMIT');
-            
-            // Clean up old data (keep last 90 days for performance)
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - 90);
-            const cutoffDateStr = cutoffDate.toISOString().split('T')[0];
-            
-            await this.db.run(
-                'DELETE FROM user_daily_activity WHERE date < ?',
-                [cutoffDateStr]
-            );
-            
-        } catch (error) {
-            await this.db.run('ROLLBACK');
-            throw error;
-        }
+        });
+
+        // Clean up old data (keep last 90 days for performance)
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - 90);
+        const cutoffDateStr = cutoffDate.toISOString().split('T')[0];
+
+        await this.db.run(
+            'DELETE FROM user_daily_activity WHERE date < ?',
+            [cutoffDateStr]
+        );
 
         const duration = Date.now() - startTime;
         this.logger.info(
@@ -0,0 +1,177 @@
+import { BatchJob } from '../BatchJob.js';
+import { OUTSIDE_ACCOUNTS, gameOf, balanceStats, buildModel, projectEconomy } from '../../modules/economy/simulation.js';
+import { createRng } from '../../utils/rng.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Daily faucet/sink totals per game and room, the money supply and how it's
+ * spread, and a projection of where it's heading, for the economy page on
+ * the leaderboards site. Every run redoes the last day it got to (it'll have
+ * been part way through) and anything since.
+ */
+export class EconomyAnalyzer extends BatchJob {
+    constructor(db, logger, options = {}) {
+        super('EconomyAnalyzer', db, logger);
+        this.botName = (options.botName || db.botUsername || 'dazza').toLowerCase();
+        this.backfillDays = options.backfillDays || 365;
+        this.windowDays = options.windowDays || 30; // Odds the projection plays with
+        this.projectionDays = options.projectionDays || 30;
+    }
+
+    async execute() {
+        const now = Date.now();
+        const today = new Date(now).toISOString().split('T')[0];
+
+        // First time through, go back to the first transaction (up to backfillDays)
+        const lastProcessed = await this.db.get('SELECT MAX(date) as last_date FROM economy_daily_flows');
+        const first = await this.db.get('SELECT MIN(created_at) as first_at FROM economy_transactions');
+        const fromDate = lastProcessed?.last_date ||
+            new Date(Math.max(now - this.backfillDays * DAY, first?.first_at ?? now)).toISOString().split('T')[0];
+        const from = Date.parse(`${fromDate}T00:00:00Z`);
+
+        const flows = await this.computeFlows(from);
+        const days = await this.computeSupply(from, today);
+        await this.snapshotBalances(today);
+        await this.computeProjection(today, now);
+
+        this.logger.info(`[EconomyAnalyzer] ${flows} game/room/day flows and ${days} days of supply since ${fromDate}`);
+        return flows + days;
+    }
+
+    // What each game minted and burned per room per day
+    async computeFlows(from) {
+        const placeholders = OUTSIDE_ACCOUNTS.map(() => '?').join(', ');
+        const rows = await this.db.all(`
+            SELECT
+                DATE(created_at / 1000, 'unixepoch') as date,
+                COALESCE(room_id, 'fatpizza') as room_id,
+                transaction_type,
+                SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as minted,
+                SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END) as burned,
+                COUNT(*) as entries,
+                COUNT(DISTINCT LOWER(username)) as players
+            FROM economy_transactions
+            WHERE created_at >= ?
+            AND (counterparty IS NULL OR counterparty IN (${placeholders}))
+            AND LOWER(username) != ?
+            GROUP BY date, room_id, transaction_type
+        `, [from, ...OUTSIDE_ACCOUNTS, this.botName]);
+
+        // Fold pokies_bet into pokies and so on. Players can only be counted
+        // per type, so a game's is the busiest of its types
+        const games = new Map();
+        for (const row of rows) {
+            const game = gameOf(row.transaction_type);
+            const key = `${row.date}|${row.room_id}|${game}`;
+            const flow = games.get(key) || { date: row.date, roomId: row.room_id, game, minted: 0, burned: 0, entries: 0, players: 0 };
+            flow.minted += row.minted;
+            flow.burned += row.burned;
+            flow.entries += row.entries;
+            flow.players = Math.max(flow.players, row.players);
+            games.set(key, flow);
+        }
+
+        const fromDate = new Date(from).toISOString().split('T')[0];
+        await this.db.transaction(async () => {
+            await this.db.run('DELETE FROM economy_daily_flows WHERE date >= ?', [fromDate]);
+            for (const flow of games.values()) {
+                await this.db.run(`
+                    INSERT INTO economy_daily_flows (date, room_id, game, minted, burned, entries, players)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [flow.date, flow.roomId, flow.game, flow.minted, flow.burned, flow.entries, flow.players]);
+            }
+        });
+
+        return games.size;
+    }
+
+    /**
+     * End of day money supply, walked back from today's total the same way
+     * EconomyLedger.getMoneySupply does. Escrow legs count here (money in
+     * escrow isn't in anyone's balance) even though they're not a faucet or sink
+     */
+    async computeSupply(from, today) {
+        const nets = await this.db.all(`
+            SELECT
+                DATE(created_at / 1000, 'unixepoch') as date,
+                SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as minted,
+                SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END) as burned
+            FROM economy_transactions
+            WHERE created_at >= ?
+            AND (counterparty IS NULL OR counterparty LIKE '@%')
+            GROUP BY date
+        `, [from]);
+        const byDate = new Map(nets.map(row => [row.date, row]));
+
+        const { total } = await this.db.get('SELECT COALESCE(SUM(balance), 0) as total FROM user_economy');
+
+        // Every day from the start to today, quiet ones included
+        const dates = [];
+        for (let day = from; ; day += DAY) {
+            const date = new Date(day).toISOString().split('T')[0];
+            dates.push(date);
+            if (date >= today) break;
+        }
+
+        let supply = total;
+        const rows = [];
+        for (const date of dates.reverse()) {
+            const { minted = 0, burned = 0 } = byDate.get(date) || {};
+            const opening = supply - (minted - burned);
+            rows.push({
+                date,
+                supply,
+                minted,
+                burned,
+                inflation: opening > 0 ? (minted - burned) / opening : null
+            });
+            supply = opening;
+        }
+
+        await this.db.transaction(async () => {
+            for (const row of rows) {
+                await this.db.run(`
+                    INSERT INTO economy_daily_supply (date, supply, minted, burned, inflation)
+                    VALUES (?, ?, ?, ?, ?)
+                    ON CONFLICT(date) DO UPDATE SET
+                        supply = excluded.supply,
+                        minted = excluded.minted,
+                        burned = excluded.burned,
+                        inflation = excluded.inflation,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [row.date, row.supply, row.minted, row.burned, row.inflation]);
+            }
+        });
+
+        return rows.length;
+    }
+
+    // How money's spread right now, kept against today
+    async snapshotBalances(today) {
+        const accounts = await this.db.all('SELECT balance FROM user_economy WHERE LOWER(username) != ?', [this.botName]);
+        const stats = balanceStats(accounts.map(row => row.balance));
+
+        await this.db.run(`
+            UPDATE economy_daily_supply
+            SET gini = ?, holders = ?, median_balance = ?, top10_share = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE date = ?
+        `, [stats.gini, stats.holders, stats.median, stats.top10Share, today]);
+    }
+
+    // Where the economy's heading if the odds stay as they've been. Seeded on the day so reruns agree
+    async computeProjection(today, now) {
+        const model = await buildModel(this.db, { windowDays: this.windowDays, exclude: [this.botName], now });
+        const projection = projectEconomy(model, { days: this.projectionDays, rng: createRng(today) });
+
+        await this.db.transaction(async () => {
+            await this.db.run('DELETE FROM economy_projection');
+            for (const day of projection.days) {
+                await this.db.run(`
+                    INSERT INTO economy_projection (day, supply, gini, median_balance, top10_share, generated_at)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `, [day.day, day.supply, day.gini, day.median, day.top10Share, now]);
+            }
+        });
+    }
+}
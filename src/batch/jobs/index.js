@@ -5,6 +5,7 @@ export { ChatStreakCalculator } from './ChatStreakCalculator.js';
 export { ActiveHoursAnalyzer } from './ActiveHoursAnalyzer.js';
 export { MessageContentAnalyzer } from './MessageContentAnalyzer.js';
 export { ChatAchievementCalculator } from './ChatAchievementCalculator.js';
+export { EconomyAnalyzer } from './EconomyAnalyzer.js';
 
 // Add other batch jobs here as they are created
 // export { MessageArchiver } from './MessageArchiver.js';
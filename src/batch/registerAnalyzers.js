@@ -5,6 +5,7 @@ import { ActiveHoursAnalyzer } from './jobs/ActiveHoursAnalyzer.js';
 import { MessageContentAnalyzer } from './jobs/MessageContentAnalyzer.js';
 import { ChatAchievementCalculator } from './jobs/ChatAchievementCalculator.js';
 import { BongStreakMaintenance } from './jobs/BongStreakMaintenance.js';
+import { EconomyAnalyzer } from './jobs/EconomyAnalyzer.js';
 
 /**
  * Registers all chat analyzers with the batch scheduler
@@ -90,7 +91,17 @@ export async function registerChatAnalyzers(scheduler, db, logger, options = {})
         24 // Run once daily regardless of intervalHours setting
     );
 
-    logger.info(`Registered 7 chat analyzers with ${intervalHours} hour intervals (BongStreakMaintenance runs daily)`);
+    // Register Economy Analyzer (faucets, sinks, money supply and projection)
+    scheduler.registerJob(
+        'EconomyAnalyzer',
+        async () => {
+            const analyzer = new EconomyAnalyzer(db, logger);
+            return await analyzer.run();
+        },
+        intervalHours
+    );
+
+    logger.info(`Registered 8 analyzers with ${intervalHours} hour intervals (BongStreakMaintenance runs daily)`);
 
     // Run all analyzers once on startup if requested
     if (runOnStartup) {
@@ -114,7 +125,8 @@ export async function runAllAnalyzersOnce(scheduler, db, logger, timezoneOffset
         { name: 'ActiveHoursAnalyzer', class: ActiveHoursAnalyzer, options: { timezoneOffset } },
         { name: 'MessageContentAnalyzer', class: MessageContentAnalyzer },
         { name: 'ChatAchievementCalculator', class: ChatAchievementCalculator },
-        { name: 'BongStreakMaintenance', class: BongStreakMaintenance }
+        { name: 'BongStreakMaintenance', class: BongStreakMaintenance },
+        { name: 'EconomyAnalyzer', class: EconomyAnalyzer }
     ];
 
     for (const { name, class: AnalyzerClass, options = {} } of analyzers) {
@@ -142,7 +154,9 @@ export async function getCacheStatus(db) {
         { name: 'user_chat_streaks', key: 'current_streak' },
         { name: 'user_active_hours', key: 'message_count' },
         { name: 'message_analysis_cache', key: 'total_messages' },
-        { name: 'chat_achievements', key: 'achievement_type', hasUpdatedAt: false }
+        { name: 'chat_achievements', key: 'achievement_type', hasUpdatedAt: false },
+        { name: 'economy_daily_flows', key: 'game' },
+        { name: 'economy_daily_supply', key: 'supply' }
     ];
 
     const status = {};
@@ -8,6 +8,7 @@ import { ChatStreakCalculator } from './jobs/ChatStreakCalculator.js';
 import { ActiveHoursAnalyzer } from './jobs/ActiveHoursAnalyzer.js';
 import { MessageContentAnalyzer } from './jobs/MessageContentAnalyzer.js';
 import { ChatAchievementCalculator } from './jobs/ChatAchievementCalculator.js';
+import { EconomyAnalyzer } from './jobs/EconomyAnalyzer.js';
 import { getCacheStatus } from './registerAnalyzers.js';
 import config from '../config/index.js';
 
@@ -43,6 +44,7 @@ Analyzers:
   hours       - Analyze active hours patterns
   content     - Analyze message content (emojis, caps, etc)
   achievement - Calculate and award achievements
+  economy     - Faucet/sink totals, money supply, Gini and projection
   all         - Run all analyzers in sequence
 
 Options:
@@ -91,7 +93,8 @@ async function main() {
         streak: { name: 'ChatStreakCalculator', class: ChatStreakCalculator, options: [options.timezoneOffset] },
         hours: { name: 'ActiveHoursAnalyzer', class: ActiveHoursAnalyzer, options: [options.timezoneOffset] },
         content: { name: 'MessageContentAnalyzer', class: MessageContentAnalyzer },
-        achievement: { name: 'ChatAchievementCalculator', class: ChatAchievementCalculator }
+        achievement: { name: 'ChatAchievementCalculator', class: ChatAchievementCalculator },
+        economy: { name: 'EconomyAnalyzer', class: EconomyAnalyzer }
     };
     
     // Determine which analyzers to run
@@ -99,7 +102,7 @@ async function main() {
     
     if (analyzersToRun.length === 0 || analyzersToRun.includes('all')) {
         // Run all analyzers in order
-        selectedAnalyzers = ['word', 'activity', 'streak', 'hours', 'content', 'achievement'];
+        selectedAnalyzers = ['word', 'activity', 'streak', 'hours', 'content', 'achievement', 'economy'];
     } else {
         // Run specific analyzers
         selectedAnalyzers = analyzersToRun.filter(name => analyzers[name]);
@@ -142,6 +145,9 @@ async function main() {
             } else if (analyzerKey === 'achievement') {
                 const recent = await analyzer.getRecentAchievements(5);
                 console.log(`   Recent achievements: ${recent.length}`);
+            } else if (analyzerKey === 'economy') {
+                const latest = await db.get('SELECT * FROM economy_daily_supply ORDER BY date DESC LIMIT 1');
+                console.log(`   Money supply: $${latest?.supply ?? 0}, Gini ${latest?.gini?.toFixed(3) ?? '-'}`);
             }
             
         } catch (error) {
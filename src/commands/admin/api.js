@@ -6,16 +6,10 @@ export default new Command({
     description: 'Display API server status',
     usage: '!api',
     category: 'admin',
-    adminOnly: true,
+    roles: ['developer'],
     cooldown: 3000,
     
     async handler(bot, message, args) {
-        // Check if user is hildolfr
-        if (message.username.toLowerCase() !== 'hildolfr') {
-            bot.sendMessage(message.roomId, `Oi -${message.username}, ya not authorized for that one mate`);
-            return { success: false };
-        }
-        
         if (!bot.apiServer) {
             bot.sendMessage(message.roomId, 'API server not initialized mate');
             return { success: true };
@@ -0,0 +1,217 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { parseTimeString, formatDuration } from '../../utils/formatting.js';
+import { describeError, ACTIONS } from '../../modules/moderation/index.js';
+
+// "6/5" -> [6, 5]
+const parsePair = (value) => {
+    const match = (value || '').match(/^(\d+)\/(\d+)$/);
+    return match ? [parseInt(match[1]), parseInt(match[2])] : null;
+};
+
+const LISTS = {
+    word: 'bannedWords',
+    words: 'bannedWords',
+    domain: 'blockedDomains',
+    domains: 'blockedDomains'
+};
+
+export default new Command({
+    name: 'automod',
+    aliases: ['am'],
+    description: 'See and tune this room\'s chat filters, check the moderation log and pardon people (mods only)',
+    usage: '!automod [on|off|flood|repeats|caps|ladder|mutetime|word|domain|log|pardon|reset] ...',
+    examples: [
+        '!automod - What\'s switched on in here',
+        '!automod on / off - Switch automod on or off for this room',
+        '!automod flood 6/5 - More than 6 messages in 5 seconds is flooding (off to stop checking)',
+        '!automod repeats 3/60 - Same message 3 times in 60 seconds',
+        '!automod caps 70 - Messages that are 70% capitals (off to allow shouting)',
+        '!automod ladder warn,pm,mute,kick,ban - What each strike gets',
+        '!automod mutetime 10m - How long mutes last',
+        '!automod word add /c[o0]ck/i - Ban a word or regex (word remove, word list)',
+        '!automod domain add grabify.link - Block links to a site (domain remove, domain list)',
+        '!automod log [user] - What automod\'s done lately',
+        '!automod pardon bob - Wipe bob\'s strikes and lift any mute',
+        '!automod reset - Drop live changes and use the room file again'
+    ],
+    category: 'admin',
+    roles: ['moderator'],
+    cooldown: 1000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const automod = bot.autoModManager;
+        if (!automod || !message.roomId) {
+            respond(bot, message, 'automod\'s cactus right now mate');
+            return { success: false };
+        }
+
+        const { roomId, username } = message;
+        const subcommand = (args[0] || 'show').toLowerCase();
+        const value = (args[1] || '').toLowerCase();
+        const fail = (result) => {
+            respond(bot, message, describeError(result));
+            return { success: false };
+        };
+        const set = async (key, setting, confirmation) => {
+            const result = await automod.setRule(roomId, key, setting, username);
+            if (!result.success) return fail(result);
+            respond(bot, message, confirmation);
+            return { success: true };
+        };
+
+        try {
+            switch (subcommand) {
+                case 'show':
+                case 'status': {
+                    const config = automod.getConfig(roomId);
+                    const parts = [config.enabled ? 'ON' : 'OFF'];
+                    parts.push(config.flood ? `flood >${config.flood.messages}/${config.flood.seconds}s` : 'flood off');
+                    parts.push(config.repeats ? `repeats ${config.repeats.count}/${config.repeats.seconds}s` : 'repeats off');
+                    parts.push(config.caps ? `caps ${Math.round(config.caps.ratio * 100)}%` : 'caps off');
+                    parts.push(`${config.bannedWords.length} banned words`);
+                    parts.push(`${config.blockedDomains.length} blocked domains`);
+                    parts.push(`ladder ${config.ladder.join('→')}`);
+                    parts.push(`mutes ${formatDuration(config.muteTime)}`);
+                    respond(bot, message, `automod in ${roomId} | ${parts.join(' | ')}`);
+                    return { success: true };
+                }
+
+                case 'on':
+                case 'off':
+                    return set('enabled', subcommand === 'on', subcommand === 'on'
+                        ? `automod's on in ${roomId}, behave yaselves`
+                        : `automod's off in ${roomId}, it's a free for all`);
+
+                case 'flood':
+                case 'repeats': {
+                    if (value === 'off') {
+                        return set(subcommand, false, `not checkin' for ${subcommand} in ${roomId} anymore`);
+                    }
+
+                    const pair = parsePair(value);
+                    if (!pair || pair[0] < 1 || pair[1] < 1) {
+                        respond(bot, message, `usage: !automod ${subcommand} <${subcommand === 'flood' ? 'messages' : 'count'}>/<seconds> or off`);
+                        return { success: false };
+                    }
+
+                    return subcommand === 'flood'
+                        ? set('flood', { messages: pair[0], seconds: pair[1] }, `flooding is more than ${pair[0]} messages in ${pair[1]}s now`)
+                        : set('repeats', { count: pair[0], seconds: pair[1] }, `sayin' the same thing ${pair[0]} times in ${pair[1]}s is a strike now`);
+                }
+
+                case 'caps': {
+                    if (value === 'off') {
+                        return set('caps', false, 'shout all ya like');
+                    }
+
+                    const percent = parseInt(value);
+                    if (!(percent > 0 && percent <= 100)) {
+                        respond(bot, message, 'usage: !automod caps <percent> or off');
+                        return { success: false };
+                    }
+
+                    const current = automod.getConfig(roomId).caps;
+                    return set('caps', { minLength: current?.minLength || 15, ratio: percent / 100 },
+                        `messages that are ${percent}% capitals count as yellin' now`);
+                }
+
+                case 'ladder': {
+                    const ladder = value.split(',').map(action => action.trim()).filter(Boolean);
+                    if (ladder.length === 0) {
+                        respond(bot, message, `usage: !automod ladder <actions> - any of ${ACTIONS.join(', ')}, comma separated`);
+                        return { success: false };
+                    }
+                    return set('ladder', ladder, `strikes get: ${ladder.join(' → ')}`);
+                }
+
+                case 'mutetime': {
+                    const muteTime = parseTimeString(value);
+                    if (!muteTime) {
+                        respond(bot, message, 'dunno how long that is mate, try somethin like 30s, 5m or 2h');
+                        return { success: false };
+                    }
+                    return set('muteTime', muteTime, `mutes last ${formatDuration(muteTime)} now`);
+                }
+
+                case 'word':
+                case 'words':
+                case 'domain':
+                case 'domains': {
+                    const list = LISTS[subcommand];
+                    // Regexes keep their case
+                    const entry = list === 'bannedWords' ? args.slice(2).join(' ') : (args[2] || '').toLowerCase();
+
+                    if (value === 'list' || value === '') {
+                        const entries = automod.getConfig(roomId)[list];
+                        respond(bot, message, entries.length > 0
+                            ? `${list === 'bannedWords' ? 'banned words' : 'blocked domains'}: ${entries.join(', ')}`
+                            : 'nothin\' on that list');
+                        return { success: true };
+                    }
+
+                    if (!['add', 'remove'].includes(value) || !entry) {
+                        respond(bot, message, `usage: !automod ${subcommand.replace(/s$/, '')} <add|remove|list> <${list === 'bannedWords' ? 'word or /regex/' : 'domain'}>`);
+                        return { success: false };
+                    }
+
+                    const result = value === 'add'
+                        ? await automod.addToList(roomId, list, entry, username)
+                        : await automod.removeFromList(roomId, list, entry, username);
+                    if (!result.success) return fail(result);
+
+                    respond(bot, message, value === 'add' ? `added ${entry}` : `took ${entry} off the list`);
+                    return { success: true };
+                }
+
+                case 'log': {
+                    const entries = await automod.getLog(roomId, { username: args[1] || null });
+                    if (entries.length === 0) {
+                        respond(bot, message, args[1] ? `nothin' logged for ${args[1]}` : 'nothin\' logged in here yet');
+                        return { success: true };
+                    }
+
+                    const lines = entries.map(entry => {
+                        const ago = formatDuration(Date.now() - entry.created_at);
+                        return entry.action === 'pardon'
+                            ? `${entry.username} pardoned by ${entry.moderator} (${ago} ago)`
+                            : `${entry.username} ${entry.action} #${entry.strike} for ${entry.rule}: ${entry.detail} (${ago} ago)`;
+                    });
+                    respond(bot, message, lines.join(' | '));
+                    return { success: true };
+                }
+
+                case 'pardon': {
+                    const target = args[1];
+                    if (!target) {
+                        respond(bot, message, 'usage: !automod pardon <user>');
+                        return { success: false };
+                    }
+
+                    const result = await automod.pardon(roomId, target, username);
+                    if (!result.success) return fail(result);
+
+                    respond(bot, message, `${target}'s slate is clean${result.unmuted ? ' and they can talk again' : ''}`);
+                    return { success: true };
+                }
+
+                case 'reset': {
+                    const result = await automod.reset(roomId);
+                    respond(bot, message, result.success
+                        ? `live automod changes dropped, ${roomId} is back to the room file`
+                        : 'nothin\' was changed live in here');
+                    return { success: true };
+                }
+
+                default:
+                    respond(bot, message, 'usage: !automod [on|off|flood|repeats|caps|ladder|mutetime|word|domain|log|pardon|reset] ...');
+                    return { success: false };
+            }
+        } catch (error) {
+            bot.logger.error('Automod command error:', error);
+            respond(bot, message, 'automod carked it, try again');
+            return { success: false };
+        }
+    }
+});
@@ -5,7 +5,7 @@ import { sendPM } from '../../utils/pmHelper.js';
 export default new Command({
     name: 'award',
     aliases: ['givemoney', 'devpay'],
-    description: 'Award money to a user (hildolfr only)',
+    description: 'Award money to a user (economy-admin only)',
     usage: '!award <username> <amount> [reason]',
     examples: [
         '!award Bob 100 - Give Bob $100',
@@ -13,14 +13,14 @@ export default new Command({
         '!award Spazztik 1000 bug bounty - Give Spazztik $1000 for finding a bug'
     ],
     category: 'admin',
-    users: ['hildolfr'], // Only hildolfr can use this
+    roles: ['economy-admin'],
     cooldown: 1000,
     pmAccepted: true, // This command accepts PMs
     
     async handler(bot, message, args) {
         try {
-            // Double-check it's hildolfr (case-insensitive)
-            if (message.username.toLowerCase() !== 'hildolfr') {
+            // Double-check the role against the room the command came from
+            if (!bot.hasRole(message.username, 'economy-admin', message.roomId)) {
                 sendPM(bot, message.username, `nice try ${message.username}, but this command is for the big boss only`, message.roomContext || message.roomId);
                 return { success: false };
             }
@@ -64,19 +64,16 @@ export default new Command({
             // Ensure user exists in economy system
             await bot.heistManager.getOrCreateUser(canonicalTarget);
             
-            // Award the money (no trust change for dev awards)
-            await bot.heistManager.updateUserEconomy(canonicalTarget, amount, 0);
+            // Award the money (no trust change for dev awards), logged to the ledger for accountability
+            await bot.heistManager.updateUserEconomy(canonicalTarget, amount, 0, {
+                type: 'dev_award',
+                description: `Awarded by ${message.username}: ${reason}`,
+                roomId: message.roomId
+            });
             
             // Get new balance
             const newBalance = await bot.heistManager.getUserBalance(canonicalTarget);
             
-            // Log the transaction for accountability
-            await bot.db.run(`
-                INSERT INTO economy_transactions 
-                (username, amount, trust_change, transaction_type, description, room_id, created_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `, [canonicalTarget, amount, 0, 'dev_award', `Awarded by hildolfr: ${reason}`, message.roomId || 'fatpizza', Date.now()]);
-            
             // Send confirmation via PM
             let confirmMsg;
             if (targetUser.toLowerCase() === bot.username.toLowerCase()) {
@@ -109,12 +106,12 @@ export default new Command({
                 }
                 
                 if (targetOnline) {
-                    sendPM(bot, canonicalTarget, `💰 hildolfr awarded you $${amount}! Reason: ${reason} | Your new balance: $${newBalance.balance}`, message.roomId);
+                    sendPM(bot, canonicalTarget, `💰 ${message.username} awarded you $${amount}! Reason: ${reason} | Your new balance: $${newBalance.balance}`, message.roomId);
                 }
             }
             
             // Log to console for tracking
-            bot.logger.info(`DEV AWARD: hildolfr awarded $${amount} to ${canonicalTarget} - Reason: ${reason}`);
+            bot.logger.info(`DEV AWARD: ${message.username} awarded $${amount} to ${canonicalTarget} - Reason: ${reason}`);
             
             return { success: true };
             
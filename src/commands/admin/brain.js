@@ -0,0 +1,112 @@
+import { Command } from '../base.js';
+import { respond, sendPM } from '../../utils/pmHelper.js';
+import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+
+export default new Command({
+    name: 'brain',
+    aliases: ['recall', 'dazzamemory'],
+    description: 'See or wipe what Dazza remembers about someone for his AI replies (admin only)',
+    usage: '!brain <user> | add <user> <fact> | forget <user> <id> | wipe <user> [here]',
+    examples: [
+        '!brain Bob - PM yourself what Dazza knows about Bob',
+        '!brain add Bob supports the eels - Give Dazza something to bring up',
+        '!brain forget Bob 12 - Drop fact #12',
+        '!brain wipe Bob - Forget Bob\'s facts and past chats everywhere',
+        '!brain wipe Bob here - Forget Bob\'s facts, but only past chats from this room'
+    ],
+    category: 'admin',
+    adminOnly: true,
+    cooldown: 2000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const memory = bot.conversationMemory;
+        if (!memory) {
+            respond(bot, message, 'dazza\'s got no memory to speak of right now');
+            return { success: false };
+        }
+
+        const subcommands = ['add', 'forget', 'wipe', 'show'];
+        const subcommand = subcommands.includes(args[0]?.toLowerCase()) ? args[0].toLowerCase() : 'show';
+        const rest = subcommand === 'show' && args[0]?.toLowerCase() !== 'show' ? args : args.slice(1);
+
+        if (!rest[0]) {
+            respond(bot, message, 'usage: !brain <user> | add <user> <fact> | forget <user> <id> | wipe <user> [here]');
+            return { success: false };
+        }
+
+        try {
+            const target = await getCanonicalUsername(bot, rest[0]);
+
+            switch (subcommand) {
+                case 'show': {
+                    const facts = await memory.getFacts(target);
+                    const exchanges = await memory.countExchanges(target);
+
+                    if (facts.length === 0 && exchanges === 0) {
+                        respond(bot, message, `dazza doesn't remember a thing about ${target}`);
+                        return { success: true };
+                    }
+
+                    sendPM(bot, message.username, `${target}: ${facts.length} fact(s), ${exchanges} recent exchange(s)`, message.roomId);
+                    for (const fact of facts) {
+                        const by = fact.source === 'admin' ? `added by ${fact.added_by}` : 'told dazza';
+                        sendPM(bot, message.username, `#${fact.id} ${fact.fact} (${by})`, message.roomId);
+                    }
+                    if (!message.isPM) {
+                        respond(bot, message, `sent ya what dazza knows about ${target} in PM`);
+                    }
+                    return { success: true };
+                }
+
+                case 'add': {
+                    const fact = rest.slice(1).join(' ');
+                    if (!fact) {
+                        respond(bot, message, 'usage: !brain add <user> <fact>');
+                        return { success: false };
+                    }
+
+                    const result = await memory.addFact(target, fact, {
+                        source: 'admin',
+                        addedBy: message.username,
+                        roomId: message.roomId
+                    });
+                    if (!result.success) {
+                        respond(bot, message, result.message);
+                        return { success: false };
+                    }
+
+                    respond(bot, message, `righto, dazza'll remember that about ${target} (#${result.id})`);
+                    return { success: true };
+                }
+
+                case 'forget': {
+                    const id = parseInt(rest[1]);
+                    if (isNaN(id)) {
+                        respond(bot, message, 'usage: !brain forget <user> <id> (ids are in !brain <user>)');
+                        return { success: false };
+                    }
+
+                    if (!await memory.forgetFact(target, id)) {
+                        respond(bot, message, `${target} hasn't got a fact #${id}`);
+                        return { success: false };
+                    }
+
+                    respond(bot, message, `forgot fact #${id} about ${target}`);
+                    return { success: true };
+                }
+
+                case 'wipe': {
+                    const here = rest[1]?.toLowerCase() === 'here';
+                    const result = await memory.wipe(target, here ? message.roomId : null);
+                    respond(bot, message, `wiped ${target} from dazza's brain: ${result.facts} fact(s), ${result.exchanges} exchange(s)${here ? ' in this room' : ''}`);
+                    return { success: true };
+                }
+            }
+        } catch (error) {
+            bot.logger.error('Brain command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'dazza\'s brain is too fried for that right now');
+            return { success: false };
+        }
+    }
+});
@@ -0,0 +1,169 @@
+import { Command } from '../base.js';
+import { sendPM } from '../../utils/pmHelper.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { describeError, CASE_ACTIONS } from '../../modules/moderation/cases.js';
+
+const SUBCOMMANDS = ['revoke', 'action', 'appeals', 'uphold', 'overturn'];
+
+export default new Command({
+    name: 'cases',
+    aliases: ['modlog'],
+    description: 'Look through and manage users\' moderation records and appeals (mods only, PM only)',
+    usage: '!cases <user | id | revoke | action | appeals | uphold | overturn> ...',
+    examples: [
+        '!cases bob - bob\'s record and latest cases',
+        '!cases 12 - Case #12 and any appeals on it',
+        '!cases revoke 12 [reason] - Take case #12 off their record',
+        '!cases action bob kick [reason] - Record a kick/ban/mute/unban done by hand',
+        '!cases appeals - Appeals waiting on a decision',
+        '!cases uphold 3 [response] - Appeal #3 knocked back, the case stands',
+        '!cases overturn 3 [response] - Appeal #3 accepted, the case is revoked'
+    ],
+    category: 'admin',
+    roles: ['moderator'],
+    cooldown: 1000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const reply = (text) => sendPM(bot, message.username, text, message.roomContext || message.roomId);
+
+        if (!message.isPM) {
+            reply('case files only come out in PMs mate');
+            return { success: false };
+        }
+
+        const cases = bot.moderationCases;
+        if (!cases) {
+            reply('the case files are locked up right now, try again later');
+            return { success: false };
+        }
+
+        const fail = (result) => {
+            reply(describeError(result));
+            return { success: false };
+        };
+        const ago = (timestamp) => `${formatDuration(Date.now() - timestamp)} ago`;
+        const describeCase = (record) => {
+            const what = record.type === 'action' ? record.action : record.type;
+            let status = '';
+            if (record.revoked_at) status = ' [revoked]';
+            else if (record.expires_at && record.expires_at <= Date.now()) status = ' [expired]';
+            return `#${record.id} ${what}${status} by ${record.moderator}, ${ago(record.created_at)}: ${record.reason}`;
+        };
+
+        const first = (args[0] || '').toLowerCase();
+
+        try {
+            if (!first) {
+                reply('usage: !cases <user | id | revoke | action | appeals | uphold | overturn> ...');
+                return { success: false };
+            }
+
+            // !cases 12 / !cases #12
+            if (/^#?\d+$/.test(first)) {
+                const caseId = parseInt(first.replace('#', ''));
+                const record = await cases.getCase(caseId);
+                if (!record) return fail({ error: 'no_case', caseId });
+
+                const lines = [`${record.username} ${describeCase(record)}`];
+                if (record.revoked_at) {
+                    lines.push(`revoked by ${record.revoked_by}${record.revoke_reason ? `: ${record.revoke_reason}` : ''}`);
+                }
+                for (const appeal of record.appeals) {
+                    lines.push(`appeal #${appeal.id} (${appeal.status}): ${appeal.message}` +
+                        (appeal.decided_by ? ` - ${appeal.decided_by}${appeal.response ? `: ${appeal.response}` : ''}` : ''));
+                }
+                reply(lines.join(' | '));
+                return { success: true };
+            }
+
+            if (!SUBCOMMANDS.includes(first)) {
+                const username = args[0].replace(/^@/, '');
+                const summary = await cases.getSummary(username);
+                if (summary.total === 0) {
+                    reply(`${username}'s record is clean`);
+                    return { success: true };
+                }
+
+                const latest = await cases.listCases({ username, limit: 5 });
+                reply(`${username}: ${summary.activeWarnings} active warning(s), ${summary.warnings} all up, ` +
+                    `${summary.actions} action(s), ${summary.notes} note(s)` +
+                    (summary.pendingAppeals ? `, ${summary.pendingAppeals} appeal(s) pending` : '') +
+                    ` | ${latest.map(describeCase).join(' | ')}`);
+                return { success: true };
+            }
+
+            switch (first) {
+                case 'revoke': {
+                    const caseId = parseInt((args[1] || '').replace('#', ''));
+                    if (isNaN(caseId)) {
+                        reply('usage: !cases revoke <id> [reason]');
+                        return { success: false };
+                    }
+
+                    const result = await cases.revoke(caseId, message.username, args.slice(2).join(' ') || null);
+                    if (!result.success) return fail(result);
+
+                    reply(`case #${caseId} is off ${result.case.username}'s record`);
+                    return { success: true };
+                }
+
+                case 'action': {
+                    const username = args[1]?.replace(/^@/, '');
+                    const action = (args[2] || '').toLowerCase();
+                    if (!username || !action) {
+                        reply(`usage: !cases action <user> <${CASE_ACTIONS.join('|')}> [reason]`);
+                        return { success: false };
+                    }
+
+                    const reason = args.slice(3).join(' ') || `${action} (no reason given)`;
+                    const result = await cases.recordAction(username, action, reason, message.username, message.roomId);
+                    if (!result.success) return fail(result);
+
+                    reply(`case #${result.case.id}: ${action} on ${username} recorded`);
+                    return { success: true };
+                }
+
+                case 'appeals': {
+                    const appeals = await cases.listAppeals({ limit: 5 });
+                    if (appeals.length === 0) {
+                        reply('no appeals waitin\' on ya');
+                        return { success: true };
+                    }
+
+                    reply(appeals.map(appeal =>
+                        `appeal #${appeal.id} from ${appeal.username} on case #${appeal.case_id} ` +
+                        `(${appeal.type === 'action' ? appeal.action : appeal.type}: ${appeal.reason}): ${appeal.message}`
+                    ).join(' | '));
+                    return { success: true };
+                }
+
+                case 'uphold':
+                case 'overturn': {
+                    const appealId = parseInt((args[1] || '').replace('#', ''));
+                    if (isNaN(appealId)) {
+                        reply(`usage: !cases ${first} <appeal id> [response]`);
+                        return { success: false };
+                    }
+
+                    const response = args.slice(2).join(' ') || null;
+                    const decision = first === 'uphold' ? 'upheld' : 'overturned';
+                    const result = await cases.decideAppeal(appealId, decision, message.username, response);
+                    if (!result.success) return fail(result);
+
+                    const { appeal } = result;
+                    reply(`appeal #${appealId} ${decision}${decision === 'overturned' ? `, case #${appeal.case_id} revoked` : ''}`);
+                    sendPM(bot, appeal.username, decision === 'overturned'
+                        ? `Good news ${appeal.username}, the mods had another look at case #${appeal.case_id} and it's off ya record${response ? `: ${response}` : ''}`
+                        : `Sorry ${appeal.username}, the mods had another look at case #${appeal.case_id} and it stands${response ? `: ${response}` : ''}`,
+                    message.roomId);
+                    return { success: true };
+                }
+            }
+        } catch (error) {
+            bot.logger.error('Cases command error:', error);
+            reply('the case files got shuffled, try again');
+            return { success: false };
+        }
+    }
+});
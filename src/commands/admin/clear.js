@@ -1,13 +1,10 @@
 import { Command } from '../base.js';
 import { sendPM } from '../../utils/pmHelper.js';
 
-// Hardcoded allowed users (case-insensitive)
-const ALLOWED_USERS = ['Spazztik', 'hildolfr', 'ilovechinks'];
-
 export default new Command({
     name: 'clear',
     aliases: ['cls', 'clearchat'],
-    description: 'Clear the chat after a delay (admin only)',
+    description: 'Clear the chat after a delay (mods only)',
     usage: '!clear [time] [reason]',
     examples: [
         '!clear - Clear chat after 2 seconds',
@@ -16,27 +13,12 @@ export default new Command({
         '!clear 0 offensive content - Clear chat immediately with reason'
     ],
     category: 'admin',
-    persistentCooldown: false, // No cooldown for admin command
-    pmAccepted: true, // Works in PM for admins
+    roles: ['moderator'],
+    persistentCooldown: false, // No cooldown for mod command
+    pmAccepted: true, // Works in PM for mods
     
     async handler(bot, message, args) {
         try {
-            // Check if user is in hardcoded allowed list (case-insensitive)
-            const isAllowed = ALLOWED_USERS.some(user => 
-                user.toLowerCase() === message.username.toLowerCase()
-            );
-            
-            if (!isAllowed) {
-                const errorMsg = "you're not the boss of me cunt";
-                if (message.isPM) {
-                    sendPM(bot, message.username, errorMsg, message.roomContext || message.roomId);
-                } else {
-                    bot.sendMessage(message.roomId, `${message.username}: ${errorMsg}`);
-                }
-                return { success: false };
-            }
-            
-            
             // Default delay is 2 seconds
             let delay = 2;
             let reason = null;
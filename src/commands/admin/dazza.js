@@ -10,7 +10,7 @@ export default new Command({
         '!dazza - See how rich Dazza is'
     ],
     category: 'economy',
-    users: ['hildolfr'],
+    roles: ['developer'],
     cooldown: 5000,
     pmAccepted: true,
 
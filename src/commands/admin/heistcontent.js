@@ -0,0 +1,70 @@
+import { Command } from '../base.js';
+import { respond, sendPM } from '../../utils/pmHelper.js';
+import { contentLoader } from '../../modules/heist/contentLoader.js';
+
+// How many problems to show in chat before pointing at the PM list, and how many to PM
+const CHAT_ERRORS = 2;
+const PM_ERRORS = 20;
+
+export default new Command({
+    name: 'heistcontent',
+    aliases: ['heistreload'],
+    description: 'Reload heist crimes and lines from disk, or list what\'s wrong with them (admin only)',
+    usage: '!heistcontent [reload | errors]',
+    examples: [
+        '!heistcontent - Reload content/*.json and rooms/<room>/heist/*.json',
+        '!heistcontent errors - PM yourself every problem from the last load'
+    ],
+    category: 'admin',
+    adminOnly: true,
+    cooldown: 5000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const subcommand = (args[0] || 'reload').toLowerCase();
+
+        try {
+            switch (subcommand) {
+                case 'reload': {
+                    // Only the content gets swapped, a heist that's underway carries on with the crime it started
+                    const result = await contentLoader.reload();
+                    const rooms = result.rooms.length > 0 ? `, room packs: ${result.rooms.join(', ')}` : '';
+
+                    if (result.errors.length === 0) {
+                        respond(bot, message, `heist content reloaded: ${result.crimes} crimes${rooms}`);
+                        return { success: true };
+                    }
+
+                    const shown = result.errors.slice(0, CHAT_ERRORS).join(' | ');
+                    const more = result.errors.length > CHAT_ERRORS ? ` (+${result.errors.length - CHAT_ERRORS} more, !heistcontent errors)` : '';
+                    respond(bot, message, `heist content reloaded with ${result.errors.length} problem(s), bad files skipped: ${shown}${more}`);
+                    return { success: true };
+                }
+
+                case 'errors':
+                case 'check': {
+                    if (contentLoader.errors.length === 0) {
+                        respond(bot, message, 'heist content\'s all good');
+                        return { success: true };
+                    }
+
+                    for (const error of contentLoader.errors.slice(0, PM_ERRORS)) {
+                        sendPM(bot, message.username, error, message.roomId);
+                    }
+                    if (!message.isPM) {
+                        respond(bot, message, `sent ya the ${contentLoader.errors.length} problem(s) in PM`);
+                    }
+                    return { success: true };
+                }
+
+                default:
+                    respond(bot, message, 'usage: !heistcontent [reload | errors]');
+                    return { success: false };
+            }
+        } catch (error) {
+            bot.logger.error('Heist content command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'couldn\'t reload the heist content, check the logs');
+            return { success: false };
+        }
+    }
+});
@@ -6,7 +6,7 @@ export default new Command({
     description: 'Show current memory usage and statistics',
     usage: '!memory [-v|--verbose]',
     category: 'admin',
-    users: ['hildolfr'],
+    roles: ['developer'],
     cooldown: 5000,
     
     async handler(bot, message, args) {
@@ -31,7 +31,8 @@ export default new Command({
                 // Show status
                 const status = stats.isRunning ? 'RUNNING' : 'STOPPED';
                 const debugStatus = bot.cashMonitor.debugMode ? ' [DEBUG]' : '';
-                bot.sendMessage(message.roomId, `Cash Monitor: ${status}${debugStatus} | Users: ${stats.usersTracked} | Total: $${stats.totalBalance} | Interval: ${stats.interval/1000}s`);
+                const ledgerStatus = stats.ledger ? ` | Ledger txns: ${stats.transactionsSeen} | Off-ledger changes: ${stats.unledgeredChanges}` : '';
+                bot.sendMessage(message.roomId, `Cash Monitor: ${status}${debugStatus} | Users: ${stats.usersTracked} | Total: $${stats.totalBalance} | Interval: ${stats.interval/1000}s${ledgerStatus}`);
             }
             
             return { success: true };
@@ -0,0 +1,53 @@
+import { Command } from '../base.js';
+import { sendPM } from '../../utils/pmHelper.js';
+import { describeError } from '../../modules/moderation/cases.js';
+
+export default new Command({
+    name: 'note',
+    aliases: ['modnote'],
+    description: 'Leave a note on someone\'s record for the other mods, they never see it (mods only, PM only)',
+    usage: '!note <user> <text>',
+    examples: [
+        '!note bob alt of that bloke banned last week, keep an eye out'
+    ],
+    category: 'admin',
+    roles: ['moderator'],
+    cooldown: 1000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const reply = (text) => sendPM(bot, message.username, text, message.roomContext || message.roomId);
+
+        if (!message.isPM) {
+            reply('notes only go through PMs mate, the whole room can read the chat');
+            return { success: false };
+        }
+
+        const cases = bot.moderationCases;
+        if (!cases) {
+            reply('the case files are locked up right now, try again later');
+            return { success: false };
+        }
+
+        const target = args[0]?.replace(/^@/, '');
+        if (!target || args.length < 2) {
+            reply('usage: !note <user> <text>');
+            return { success: false };
+        }
+
+        try {
+            const result = await cases.note(target, args.slice(1).join(' '), message.username, message.roomId);
+            if (!result.success) {
+                reply(describeError(result));
+                return { success: false };
+            }
+
+            reply(`case #${result.case.id}: noted on ${target}'s record`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Note command error:', error);
+            reply('couldn\'t write that one down, try again');
+            return { success: false };
+        }
+    }
+});
@@ -0,0 +1,182 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+import { GLOBAL_SCOPE } from '../../modules/permissions/index.js';
+
+// Turn the optional scope argument into a room id ('here' or nothing = current room)
+function resolveScope(arg, message) {
+    if (!arg || arg.toLowerCase() === 'here') return message.roomId || GLOBAL_SCOPE;
+    if (['global', 'all', '*'].includes(arg.toLowerCase())) return GLOBAL_SCOPE;
+    return arg;
+}
+
+function scopeLabel(scope) {
+    return scope === GLOBAL_SCOPE ? 'every room' : scope;
+}
+
+export default new Command({
+    name: 'role',
+    aliases: ['roles', 'perm', 'perms'],
+    description: 'Manage named roles that unlock commands (admin only)',
+    usage: '!role <list|grant|revoke|rank|unrank> ...',
+    examples: [
+        '!role list - Show who holds roles in this room',
+        '!role list Bob - Show Bob\'s roles here',
+        '!role grant Bob moderator - Make Bob a moderator in this room',
+        '!role grant Bob economy-admin global - Make Bob an economy admin everywhere',
+        '!role revoke Bob moderator - Take moderator off Bob in this room',
+        '!role rank 2 moderator - Anyone with CyTube rank 2+ here is a moderator',
+        '!role unrank moderator - Remove that rank mapping'
+    ],
+    category: 'admin',
+    adminOnly: true,
+    cooldown: 1000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        if (!bot.permissions) {
+            respond(bot, message, 'permission system is cactus mate, try again later');
+            return { success: false };
+        }
+
+        const subcommand = (args[0] || 'list').toLowerCase();
+        const permissions = bot.permissions;
+
+        try {
+            switch (subcommand) {
+                case 'list': {
+                    if (args[1]) {
+                        const target = await getCanonicalUsername(bot, args[1]);
+                        const roles = Array.from(permissions.getRoles(target, message.roomId));
+                        const bootstrap = permissions.getBootstrapRoles(target);
+
+                        if (roles.length === 0) {
+                            respond(bot, message, `${target} hasn't got any roles here mate`);
+                        } else {
+                            const labelled = roles.map(r => bootstrap.includes(r) ? `${r} (config)` : r);
+                            respond(bot, message, `${target}'s roles: ${labelled.join(', ')}`);
+                        }
+                        return { success: true };
+                    }
+
+                    const grants = permissions.listGrants({ roomId: message.roomId });
+                    const mappings = permissions.listRankMappings(message.roomId);
+
+                    if (grants.length === 0 && mappings.length === 0) {
+                        respond(bot, message, 'no roles handed out in here yet');
+                        return { success: true };
+                    }
+
+                    // Group usernames by role
+                    const byRole = new Map();
+                    for (const grant of grants) {
+                        if (!byRole.has(grant.role)) byRole.set(grant.role, []);
+                        byRole.get(grant.role).push(grant.room_id === GLOBAL_SCOPE ? `${grant.username}*` : grant.username);
+                    }
+
+                    const parts = Array.from(byRole.entries()).map(([role, users]) => `${role}: ${users.join(', ')}`);
+                    if (mappings.length > 0) {
+                        parts.push(`rank: ${mappings.map(m => `${m.min_rank}+ → ${m.role}`).join(', ')}`);
+                    }
+
+                    respond(bot, message, `Roles | ${parts.join(' | ')}`);
+                    return { success: true };
+                }
+
+                case 'grant':
+                case 'give':
+                case 'add':
+                case 'revoke':
+                case 'take':
+                case 'remove': {
+                    if (args.length < 3) {
+                        respond(bot, message, `usage: !role ${subcommand} <user> <role> [here|global|<room>]`);
+                        return { success: false };
+                    }
+
+                    const target = await getCanonicalUsername(bot, args[1]);
+                    const role = permissions.normalizeRole(args[2]);
+                    const scope = resolveScope(args[3], message);
+
+                    if (!permissions.isValidRoleName(role)) {
+                        respond(bot, message, 'role names are lowercase letters, numbers, - and _ mate');
+                        return { success: false };
+                    }
+
+                    if (['grant', 'give', 'add'].includes(subcommand)) {
+                        const result = await permissions.grantRole(target, role, scope, message.username);
+                        if (!result.success) {
+                            respond(bot, message, `${target} is already ${role} in ${scopeLabel(scope)}`);
+                            return { success: false };
+                        }
+                        respond(bot, message, `sorted, ${target} is now ${role} in ${scopeLabel(scope)}`);
+                    } else {
+                        if (permissions.getBootstrapRoles(target).includes(role)) {
+                            respond(bot, message, `${target}'s ${role} comes from the config file, can't take it off from here`);
+                            return { success: false };
+                        }
+
+                        const result = await permissions.revokeRole(target, role, scope);
+                        if (!result.success) {
+                            respond(bot, message, `${target} wasn't ${role} in ${scopeLabel(scope)} anyway`);
+                            return { success: false };
+                        }
+                        respond(bot, message, `done, ${target} is no longer ${role} in ${scopeLabel(scope)}`);
+                    }
+
+                    bot.logger.info(`Role ${subcommand}: ${role} for ${target} in ${scope} by ${message.username}`);
+                    return { success: true };
+                }
+
+                case 'rank': {
+                    const minRank = parseInt(args[1]);
+                    const role = permissions.normalizeRole(args[2]);
+                    const scope = resolveScope(args[3], message);
+
+                    if (isNaN(minRank) || !role) {
+                        respond(bot, message, 'usage: !role rank <min rank> <role> [here|global|<room>]');
+                        return { success: false };
+                    }
+
+                    const result = await permissions.mapRank(minRank, role, scope, message.username);
+                    if (!result.success) {
+                        respond(bot, message, result.error === 'invalid_rank'
+                            ? 'rank has to be 0 or higher mate'
+                            : 'role names are lowercase letters, numbers, - and _ mate');
+                        return { success: false };
+                    }
+
+                    respond(bot, message, `righto, CyTube rank ${minRank}+ gets ${role} in ${scopeLabel(scope)}`);
+                    return { success: true };
+                }
+
+                case 'unrank': {
+                    const role = permissions.normalizeRole(args[1]);
+                    const scope = resolveScope(args[2], message);
+
+                    if (!role) {
+                        respond(bot, message, 'usage: !role unrank <role> [here|global|<room>]');
+                        return { success: false };
+                    }
+
+                    const result = await permissions.unmapRank(role, scope);
+                    if (!result.success) {
+                        respond(bot, message, `no rank mapping for ${role} in ${scopeLabel(scope)}`);
+                        return { success: false };
+                    }
+
+                    respond(bot, message, `rank mapping for ${role} in ${scopeLabel(scope)} binned`);
+                    return { success: true };
+                }
+
+                default:
+                    respond(bot, message, 'usage: !role <list|grant|revoke|rank|unrank> ...');
+                    return { success: false };
+            }
+        } catch (error) {
+            bot.logger.error('Role command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'somethin went wrong with the roles mate');
+            return { success: false };
+        }
+    }
+});
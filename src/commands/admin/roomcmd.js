@@ -0,0 +1,182 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { parseTimeString, formatDuration } from '../../utils/formatting.js';
+import { PROTECTED_COMMANDS } from '../../modules/room_commands/index.js';
+
+export default new Command({
+    name: 'roomcmd',
+    aliases: ['cmdcfg', 'roomcommand'],
+    description: 'Switch commands on/off, tweak cooldowns and add aliases for this room (admin only)',
+    usage: '!roomcmd <show|enable|disable|cooldown|alias|unalias|reset> ...',
+    examples: [
+        '!roomcmd show - Show this room\'s command settings',
+        '!roomcmd disable heist - Switch !heist off in this room',
+        '!roomcmd enable heist - Switch it back on',
+        '!roomcmd cooldown fish 30m - Fishing cooldown is 30 minutes here',
+        '!roomcmd cooldown fish default - Back to the normal cooldown',
+        '!roomcmd alias cone bong - !cone runs !bong in this room',
+        '!roomcmd unalias cone - Remove that alias',
+        '!roomcmd reset heist - Drop live overrides and use the room file again'
+    ],
+    category: 'admin',
+    adminOnly: true,
+    cooldown: 1000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        if (!bot.roomCommands || !message.roomId) {
+            respond(bot, message, 'room command settings are cactus mate, try again later');
+            return { success: false };
+        }
+
+        const settings = bot.roomCommands;
+        const roomId = message.roomId;
+        const subcommand = (args[0] || 'show').toLowerCase();
+
+        // Look up a command by name or alias (global or room alias)
+        const findCommand = (name) => {
+            if (!name) return null;
+            return bot.commands.get(settings.resolveAlias(roomId, name.toLowerCase())) || null;
+        };
+
+        try {
+            switch (subcommand) {
+                case 'show':
+                case 'list': {
+                    const info = settings.describe(roomId);
+                    const parts = [];
+
+                    if (info.allow) parts.push(`only: ${info.allow.join(', ')}`);
+                    const off = [...new Set([...info.deny, ...info.disabled])]
+                        .filter(name => !info.enabled.includes(name));
+                    if (off.length > 0) parts.push(`off: ${off.join(', ')}`);
+                    if (info.enabled.length > 0) parts.push(`forced on: ${info.enabled.join(', ')}`);
+
+                    const cooldowns = { ...info.fileCooldowns, ...info.cooldowns };
+                    const cooldownList = Object.entries(cooldowns).map(([name, ms]) => `${name} ${formatDuration(ms)}`);
+                    if (cooldownList.length > 0) parts.push(`cooldowns: ${cooldownList.join(', ')}`);
+
+                    const aliases = { ...info.fileAliases, ...info.aliases };
+                    const aliasList = Object.entries(aliases).map(([alias, command]) => `${alias}→${command}`);
+                    if (aliasList.length > 0) parts.push(`aliases: ${aliasList.join(', ')}`);
+
+                    if (parts.length === 0) {
+                        respond(bot, message, `nothin special set up for commands in ${roomId}`);
+                    } else {
+                        respond(bot, message, `${roomId} commands | ${parts.join(' | ')}`);
+                    }
+                    return { success: true };
+                }
+
+                case 'enable':
+                case 'on':
+                case 'disable':
+                case 'off': {
+                    const command = findCommand(args[1]);
+                    if (!command) {
+                        respond(bot, message, `never heard of !${args[1] || '???'} mate`);
+                        return { success: false };
+                    }
+
+                    const enable = ['enable', 'on'].includes(subcommand);
+                    if (!enable && PROTECTED_COMMANDS.has(command.name)) {
+                        respond(bot, message, `can't switch !${command.name} off, you'd lock yourself out ya drongo`);
+                        return { success: false };
+                    }
+
+                    await settings.setEnabled(roomId, command.name, enable, message.username);
+                    respond(bot, message, enable
+                        ? `righto, !${command.name} is back on in ${roomId}`
+                        : `done, !${command.name} is switched off in ${roomId}`);
+                    bot.logger.info(`Room command ${command.name} ${enable ? 'enabled' : 'disabled'} in ${roomId} by ${message.username}`);
+                    return { success: true };
+                }
+
+                case 'cooldown':
+                case 'cd': {
+                    const command = findCommand(args[1]);
+                    const value = args.slice(2).join(' ').toLowerCase();
+                    if (!command || !value) {
+                        respond(bot, message, 'usage: !roomcmd cooldown <command> <time|default> (e.g. 30s, 5m, 2h)');
+                        return { success: false };
+                    }
+
+                    if (value === 'default') {
+                        await settings.setCooldown(roomId, command.name, null, message.username);
+                        const cooldown = settings.getCooldown(roomId, command);
+                        respond(bot, message, `!${command.name} cooldown back to normal (${formatDuration(cooldown)})`);
+                        return { success: true };
+                    }
+
+                    const cooldownMs = value === '0' ? 0 : parseTimeString(value);
+                    if (cooldownMs === 0 && value !== '0') {
+                        respond(bot, message, 'dunno how long that is mate, try somethin like 30s, 5m or 2h');
+                        return { success: false };
+                    }
+
+                    await settings.setCooldown(roomId, command.name, cooldownMs, message.username);
+                    respond(bot, message, cooldownMs === 0
+                        ? `no cooldown on !${command.name} in ${roomId} now, go nuts`
+                        : `sorted, !${command.name} cooldown is ${formatDuration(cooldownMs)} in ${roomId}`);
+                    return { success: true };
+                }
+
+                case 'alias': {
+                    const alias = args[1]?.toLowerCase();
+                    const command = findCommand(args[2]);
+                    if (!alias || !command) {
+                        respond(bot, message, 'usage: !roomcmd alias <alias> <command>');
+                        return { success: false };
+                    }
+
+                    if (bot.commands.get(alias)) {
+                        respond(bot, message, `!${alias} is already a command mate, pick somethin else`);
+                        return { success: false };
+                    }
+
+                    await settings.addAlias(roomId, alias, command.name, message.username);
+                    respond(bot, message, `!${alias} now runs !${command.name} in ${roomId}`);
+                    return { success: true };
+                }
+
+                case 'unalias': {
+                    const alias = args[1]?.toLowerCase();
+                    if (!alias) {
+                        respond(bot, message, 'usage: !roomcmd unalias <alias>');
+                        return { success: false };
+                    }
+
+                    const result = await settings.removeAlias(roomId, alias);
+                    if (!result.success) {
+                        respond(bot, message, `!${alias} isn't a live alias in ${roomId} (room file aliases gotta be edited in the file)`);
+                        return { success: false };
+                    }
+                    respond(bot, message, `!${alias} alias binned`);
+                    return { success: true };
+                }
+
+                case 'reset': {
+                    const command = findCommand(args[1]);
+                    if (!command) {
+                        respond(bot, message, 'usage: !roomcmd reset <command>');
+                        return { success: false };
+                    }
+
+                    const result = await settings.reset(roomId, command.name);
+                    respond(bot, message, result.success
+                        ? `!${command.name} is back to the room file settings`
+                        : `!${command.name} had no live overrides anyway`);
+                    return { success: true };
+                }
+
+                default:
+                    respond(bot, message, 'usage: !roomcmd <show|enable|disable|cooldown|alias|unalias|reset> ...');
+                    return { success: false };
+            }
+        } catch (error) {
+            bot.logger.error('Roomcmd command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'somethin went wrong with the room settings mate');
+            return { success: false };
+        }
+    }
+});
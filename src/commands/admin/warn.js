@@ -0,0 +1,72 @@
+import { Command } from '../base.js';
+import { sendPM } from '../../utils/pmHelper.js';
+import { parseTimeString, formatDuration } from '../../utils/formatting.js';
+import { describeError } from '../../modules/moderation/cases.js';
+
+export default new Command({
+    name: 'warn',
+    aliases: ['warning'],
+    description: 'Put a warning on someone\'s record and let them know (mods only, PM only)',
+    usage: '!warn <user> [time] <reason>',
+    examples: [
+        '!warn bob spamming links - Warn bob, counts for the usual 30 days',
+        '!warn bob 7d being a knob - Warning that drops off after a week'
+    ],
+    category: 'admin',
+    roles: ['moderator'],
+    cooldown: 1000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const reply = (text) => sendPM(bot, message.username, text, message.roomContext || message.roomId);
+
+        if (!message.isPM) {
+            reply('warnings only go through PMs mate, keep it off the main chat');
+            return { success: false };
+        }
+
+        const cases = bot.moderationCases;
+        if (!cases) {
+            reply('the case files are locked up right now, try again later');
+            return { success: false };
+        }
+
+        const target = args[0]?.replace(/^@/, '');
+        if (!target || args.length < 2) {
+            reply('usage: !warn <user> [time] <reason>');
+            return { success: false };
+        }
+
+        // Optional length up front, like 7d or 12h
+        let duration;
+        let reasonArgs = args.slice(1);
+        if (/^\d+[smhd]$/i.test(args[1]) && args.length > 2) {
+            duration = parseTimeString(args[1]);
+            reasonArgs = args.slice(2);
+        }
+
+        try {
+            const result = await cases.warn(target, reasonArgs.join(' '), message.username, message.roomId, { duration });
+            if (!result.success) {
+                reply(describeError(result));
+                return { success: false };
+            }
+
+            const record = result.case;
+            const expires = formatDuration(record.expires_at - record.created_at);
+            reply(`case #${record.id}: ${target} warned (${result.activeWarnings} active), drops off in ${expires}`);
+
+            sendPM(bot, target,
+                `Oi ${target}, you've copped a warning from the mods: ${record.reason}. That's ${result.activeWarnings} on ya record. ` +
+                `Reckon it's unfair? !appeal ${record.id} <why>`,
+                message.roomId);
+
+            bot.logger.info(`${message.username} warned ${target} (case #${record.id})`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Warn command error:', error);
+            reply('couldn\'t write that one down, try again');
+            return { success: false };
+        }
+    }
+});
@@ -10,6 +10,7 @@ export class Command {
         this.enabled = options.enabled !== false;
         this.adminOnly = options.adminOnly || false;
         this.users = options.users || null; // Array of allowed usernames or null for all
+        this.roles = options.roles || null; // Array of role names (any one grants access) or null for all
         this.pmAccepted = options.pmAccepted || false; // Can this command be invoked via PM
         this.pmResponses = options.pmResponses || false; // Should responses go to PM instead of chat
         this.persistentCooldown = options.persistentCooldown || false; // Use persistent cooldown storage
@@ -23,6 +24,17 @@ export class Command {
         }
     }
 
+    /**
+     * Get the cooldown for this command in the message's room,
+     * honouring per-room overrides and falling back to defaultMs
+     */
+    getCooldown(bot, message, defaultMs = this.cooldown) {
+        if (bot.roomCommands && message?.roomId) {
+            return bot.roomCommands.getCooldown(message.roomId, this, defaultMs);
+        }
+        return defaultMs;
+    }
+
     async execute(bot, message, args) {
         if (!this.enabled) {
             return { success: false, error: 'nah that command\'s fucked mate, turned off' };
@@ -56,6 +68,11 @@ export class Command {
             }
         }
 
+        // Check role-based permissions (no admin bypass, silently ignored like users)
+        if (this.roles && !bot.hasRole?.(message.username, this.roles, message.roomId)) {
+            return { success: false };
+        }
+
         try {
             return await this.handler(bot, message, args);
         } catch (error) {
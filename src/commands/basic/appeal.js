@@ -0,0 +1,52 @@
+import { Command } from '../base.js';
+import { sendPM } from '../../utils/pmHelper.js';
+import { describeError } from '../../modules/moderation/cases.js';
+
+export default new Command({
+    name: 'appeal',
+    aliases: [],
+    description: 'Ask the mods to have another look at a warning or action against ya (PM only)',
+    usage: '!appeal <case id> <why>',
+    examples: [
+        '!appeal 12 I was quoting someone else ya muppets'
+    ],
+    category: 'basic',
+    cooldown: 10000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const reply = (text) => sendPM(bot, message.username, text, message.roomContext || message.roomId);
+
+        if (!message.isPM) {
+            reply('appeals go through PMs mate, !appeal <case id> <why>');
+            return { success: false };
+        }
+
+        const cases = bot.moderationCases;
+        if (!cases) {
+            reply('the case files are locked up right now, try again later');
+            return { success: false };
+        }
+
+        const caseId = parseInt((args[0] || '').replace('#', ''));
+        if (isNaN(caseId) || args.length < 2) {
+            reply('usage: !appeal <case id> <why> - the case number was in the warning I sent ya');
+            return { success: false };
+        }
+
+        try {
+            const result = await cases.appeal(caseId, message.username, args.slice(1).join(' '));
+            if (!result.success) {
+                reply(describeError(result));
+                return { success: false };
+            }
+
+            reply(`righto, appeal #${result.appealId} on case #${caseId} is in. the mods'll get back to ya`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Appeal command error:', error);
+            reply('ya appeal got lost in the mail, try again');
+            return { success: false };
+        }
+    }
+});
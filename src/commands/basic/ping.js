@@ -5,7 +5,7 @@ export default new Command({
     description: 'Check if the bot is responsive',
     usage: '!ping',
     category: 'basic',
-    users: ['hildolfr'],
+    roles: ['developer'],
     cooldown: 2000,
     
     async handler(bot, message, args) {
@@ -5,7 +5,7 @@ export default new Command({
     description: 'Show bot uptime',
     usage: '!uptime',
     category: 'basic',
-    users: ['hildolfr'],
+    roles: ['developer'],
     cooldown: 5000,
     
     async handler(bot, message, args) {
@@ -1,115 +1,238 @@
 import { Command } from '../base.js';
-import { parseTimeString } from '../../utils/formatting.js';
+import { respond } from '../../utils/pmHelper.js';
+import { parseWhen, parseDuration, formatInTimezone, describeRecurrence, DEFAULT_TIMEZONE } from '../../utils/timeParser.js';
+
+const USAGE = 'usage: !remind [user] <when> <message> | !remind list | !remind cancel <id> | !remind snooze [id] [time]';
+const LIST_LIMIT = 5;
+
+// Can this person see or change this reminder
+function ownsReminder(bot, reminder, username) {
+    const lower = username.toLowerCase();
+    return reminder.from_user.toLowerCase() === lower ||
+        (reminder.to_user !== '@me' && reminder.to_user.toLowerCase() === lower) ||
+        bot.isAdmin(username);
+}
+
+function describeReminder(reminder, timezone) {
+    const recurrence = reminder.recurrence ? JSON.parse(reminder.recurrence) : null;
+    const who = reminder.to_user === '@me' ? '' : ` for ${reminder.to_user}`;
+    const text = reminder.message.length > 40 ? `${reminder.message.substring(0, 37)}...` : reminder.message;
+    const repeat = recurrence ? ` (${describeRecurrence(recurrence)})` : '';
+    return `#${reminder.id}${who} ${formatInTimezone(reminder.remind_at, timezone)}${repeat}: ${text}`;
+}
 
 export default new Command({
     name: 'remind',
     aliases: ['reminder', 'remindme'],
     description: 'Set a reminder for yourself or another user',
-    usage: '!remind <time> <message> or !remind <user> <time> <message>',
+    usage: '!remind [user] <when> <message> | list | cancel <id> | snooze [id] [time]',
     examples: [
         '!remind 5m check the oven',
         '!remind 2h take medication', 
         '!remind Bob 30m meeting time',
+        '!remind at 8pm put the bins out',
+        '!remind tomorrow 9am ring the dole office',
+        '!remind 2025-12-25 7pm call mum',
+        '!remind every friday 5pm knock off drinks',
+        '!remind list - What you\'ve got coming up',
+        '!remind cancel 12 - Call off reminder #12',
+        '!remind snooze 15m - Push back the one that just went off',
         '!remind dazza 1h stop smoking cones'
     ],
     category: 'communication',
     cooldown: 3000,
+    pmAccepted: true,
     
     async handler(bot, message, args) {
-        if (args.length < 2) {
-            bot.sendMessage(message.roomId, 'usage: !remind <time> <message> or !remind <user> <time> <message>');
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const settings = bot.config.reminder || {};
+        
+        if (args.length === 0) {
+            say(USAGE);
             return { success: true };
         }
 
-        let targetUser = '@me';
-        let timeIndex = 0;
-        
-        // Check if first arg is a username (not a time string)
-        // If it doesn't match a time pattern, assume it's a username
-        const timePattern = /^\d+[smhd]$/i;
-        if (!timePattern.test(args[0])) {
-            targetUser = args[0];
-            timeIndex = 1;
-            
-            // Make sure we have enough args when targeting another user
-            if (args.length < 3) {
-                bot.sendMessage(message.roomId, 'usage: !remind <time> <message> or !remind <user> <time> <message>');
+        try {
+            const timezone = await bot.db.getUserTimezone(message.username) || settings.defaultTimezone || DEFAULT_TIMEZONE;
+            const subcommand = args[0].toLowerCase();
+
+            if (subcommand === 'list' && args.length === 1) {
+                const pending = await bot.db.getPendingReminders(message.username);
+                if (pending.length === 0) {
+                    say(`-${message.username} ya got no reminders set mate`);
+                    return { success: true };
+                }
+
+                const shown = pending.slice(0, LIST_LIMIT).map(reminder => describeReminder(reminder, timezone));
+                const more = pending.length > LIST_LIMIT ? ` (+${pending.length - LIST_LIMIT} more)` : '';
+                say(`-${message.username} ${shown.join(' | ')}${more}`);
                 return { success: true };
             }
-        }
 
-        const timeStr = args[timeIndex];
-        const reminderMessage = args.slice(timeIndex + 1).join(' ');
+            if (subcommand === 'cancel' && args.length <= 2) {
+                if (args[1]?.toLowerCase() === 'all') {
+                    const pending = await bot.db.getPendingReminders(message.username);
+                    for (const reminder of pending) {
+                        await bot.db.cancelReminder(reminder.id);
+                    }
+                    say(`-${message.username} binned all ${pending.length} of ya reminders`);
+                    return { success: true };
+                }
 
-        if (!reminderMessage) {
-            bot.sendMessage(message.roomId, 'oi what am I supposed to remind about?');
-            return { success: true };
-        }
+                const id = parseInt((args[1] || '').replace('#', ''));
+                const reminder = isNaN(id) ? null : await bot.db.getReminder(id);
+                if (!reminder || !ownsReminder(bot, reminder, message.username)) {
+                    say(`-${message.username} can't find that one, check !remind list for the number`);
+                    return { success: true };
+                }
 
-        const delay = parseTimeString(timeStr);
-        
-        if (!delay || delay <= 0) {
-            bot.sendMessage(message.roomId, 'dunno what time that is mate, try like "5m" or "2h"');
-            return { success: true };
-        }
+                await bot.db.cancelReminder(id);
+                say(`-${message.username} righto, forgot all about #${id}`);
+                return { success: true };
+            }
 
-        if (delay > bot.config.reminder.maxDuration) {
-            bot.sendMessage(message.roomId, 'fuck off I\'m not remembering that for more than a day');
-            return { success: true };
-        }
+            if (subcommand === 'snooze') {
+                let rest = args.slice(1);
+                let reminder;
+                if (/^#?\d+$/.test(rest[0] || '') && !parseDuration(rest[0])) {
+                    reminder = await bot.db.getReminder(parseInt(rest[0].replace('#', '')));
+                    rest = rest.slice(1);
+                } else {
+                    reminder = await bot.db.getLastDeliveredReminder(message.username);
+                }
+                if (!reminder || !ownsReminder(bot, reminder, message.username)) {
+                    say(`-${message.username} nothin to snooze mate`);
+                    return { success: true };
+                }
 
-        const remindAt = Date.now() + delay;
-        
-        try {
-            await bot.db.addReminder(message.username, targetUser, reminderMessage, remindAt, message.roomId);
+                const when = rest.length > 0 ? parseWhen(rest, { timezone }) : { at: Date.now() + (settings.snoozeDefault || 600000) };
+                if (!when || when.error || when.recurrence) {
+                    say(`-${message.username} ${when?.error || 'snooze till when? try like "15m" or "at 8pm"'}`);
+                    return { success: true };
+                }
+
+                // Snoozing one go of a repeat makes a one-off copy, the schedule carries on as normal
+                if (reminder.recurrence) {
+                    await bot.db.addReminder(reminder.from_user, reminder.to_user, reminder.message, when.at, reminder.room_id, { timezone });
+                } else {
+                    await bot.db.rescheduleReminder(reminder.id, when.at);
+                }
+                say(`-${message.username} snoozed "${reminder.message}" till ${formatInTimezone(when.at, timezone)}`);
+                return { success: true };
+            }
+
+            let targetUser = '@me';
+            let when = parseWhen(args, { timezone });
+            let offset = 0;
             
+            // If it doesn't start with a time, the first word is who it's for
+            if (!when && args.length >= 2) {
+                targetUser = args[0];
+                offset = 1;
+                when = parseWhen(args.slice(1), { timezone });
+            }
+            if (targetUser.toLowerCase() === message.username.toLowerCase()) {
+                targetUser = '@me';
+            }
+
+            if (!when) {
+                say('dunno what time that is mate, try like "5m", "at 8pm", "tomorrow 9am" or "every friday 5pm"');
+                return { success: true };
+            }
+            if (when.error) {
+                say(`-${message.username} ${when.error}`);
+                return { success: true };
+            }
+
+            const reminderMessage = args.slice(offset + when.consumed).join(' ');
+            if (!reminderMessage) {
+                say('oi what am I supposed to remind about?');
+                return { success: true };
+            }
+
+            const delay = when.at - Date.now();
+            if (delay > settings.maxDuration) {
+                say(`fuck off I'm not remembering that for more than ${Math.round(settings.maxDuration / 86400000)} days`);
+                return { success: true };
+            }
+            if (when.recurrence?.type === 'interval' && when.recurrence.every < (settings.minInterval || 0)) {
+                const fastest = describeRecurrence({ type: 'interval', every: settings.minInterval });
+                say(`${describeRecurrence(when.recurrence)}? get stuffed, ${fastest} at most`);
+                return { success: true };
+            }
+
+            const pending = await bot.db.getPendingReminders(message.username);
+            if (settings.maxPerUser && pending.length >= settings.maxPerUser) {
+                say(`-${message.username} ya got ${pending.length} reminders on the go already, cancel one first`);
+                return { success: true };
+            }
+
+            const id = await bot.db.addReminder(message.username, targetUser, reminderMessage, when.at, message.roomId, {
+                recurrence: when.recurrence,
+                timezone
+            });
+
+            // Relative times read back the way they were typed ("in 5m"), the rest as a date
+            if (when.relative) {
+                const timeStr = args.slice(offset, offset + when.consumed).filter(word => word.toLowerCase() !== 'in').join(' ');
+                if (targetUser === '@me') {
+                    const selfResponses = [
+                        `righto -${message.username}, I'll remind ya in ${timeStr}`,
+                        `no worries -${message.username}, I'll give ya a buzz in ${timeStr}`,
+                        `yeah mate, I'll yell at ya in ${timeStr}`,
+                        `sweet as -${message.username}, reminder set for ${timeStr}`,
+                        `got it -${message.username}, I'll poke ya in ${timeStr}`,
+                        `easy -${message.username}, I'll hassle ya in ${timeStr}`,
+                        `too easy mate, I'll remind ya in ${timeStr} unless I'm on the piss`,
+                        `alright -${message.username}, ${timeStr} from now I'll give ya a shout`,
+                        `set a reminder on me phone... if I remember to charge it`,
+                        `yeah nah I'll try remember mate, no promises after this cone`,
+                        `reminders set, unless I'm passed out by then`,
+                        `I'll remind ya in ${timeStr} unless shazza's got me doin chores`,
+                        `${timeStr} from now I'll yell at ya, if I'm not too cooked`,
+                        `wrote it on me hand in permanent marker, see ya in ${timeStr}`,
+                        `reminder set for ${timeStr}, right after me next bong`,
+                        `I'll remind ya mate but ${timeStr} is a long time to stay sober`,
+                        `got it, I'll hassle ya in ${timeStr} like shazza hassles me for rent`,
+                        `reminder locked in tighter than me balls in these boardies`,
+                        `${timeStr} reminder set, that's about 3 cones from now`,
+                        `I'll ping ya in ${timeStr} unless I'm balls deep in somethin`,
+                        `reminder set mate, written on the back of a durrie packet`
+                    ];
+                    say(`${selfResponses[Math.floor(Math.random() * selfResponses.length)]} (#${id})`);
+                } else {
+                    const userResponses = [
+                        `yeah alright, I'll tell -${targetUser} in ${timeStr}`,
+                        `no wukkas, I'll pass it on to -${targetUser} in ${timeStr}`,
+                        `righto, I'll hassle -${targetUser} about it in ${timeStr}`,
+                        `sweet, I'll give -${targetUser} a yell in ${timeStr}`,
+                        `easy done, -${targetUser} gets the message in ${timeStr}`,
+                        `got it mate, I'll bug -${targetUser} in ${timeStr}`,
+                        `sure thing, I'll let -${targetUser} know in ${timeStr}`,
+                        `no dramas, I'll remind -${targetUser} in ${timeStr} if they're around`,
+                        `I'll nag -${targetUser} worse than me missus in ${timeStr}`,
+                        `gonna hassle -${targetUser} like a debt collector in ${timeStr}`,
+                        `I'll pester -${targetUser} in ${timeStr} unless they fucked off`,
+                        `reminder set to annoy the shit outta -${targetUser} in ${timeStr}`,
+                        `I'll harass -${targetUser} about it in ${timeStr}`,
+                        `gonna remind -${targetUser} harder than shazza reminds me about child support`,
+                        `I'll tell -${targetUser} in ${timeStr} if they haven't carked it`,
+                        `set to bother -${targetUser} in ${timeStr} like a mozzie at night`,
+                        `I'll bug -${targetUser} about it in ${timeStr}, no escape`,
+                        `gonna remind -${targetUser} like I'm their disappointed mother in ${timeStr}`
+                    ];
+                    say(`${userResponses[Math.floor(Math.random() * userResponses.length)]} (#${id})`);
+                }
+                return { success: true };
+            }
+
+            const whenStr = when.recurrence
+                ? `${describeRecurrence(when.recurrence)}, first one ${formatInTimezone(when.at, timezone)}`
+                : formatInTimezone(when.at, timezone);
             if (targetUser === '@me') {
-                const selfResponses = [
-                    `righto -${message.username}, I'll remind ya in ${timeStr}`,
-                    `no worries -${message.username}, I'll give ya a buzz in ${timeStr}`,
-                    `yeah mate, I'll yell at ya in ${timeStr}`,
-                    `sweet as -${message.username}, reminder set for ${timeStr}`,
-                    `got it -${message.username}, I'll poke ya in ${timeStr}`,
-                    `easy -${message.username}, I'll hassle ya in ${timeStr}`,
-                    `too easy mate, I'll remind ya in ${timeStr} unless I'm on the piss`,
-                    `alright -${message.username}, ${timeStr} from now I'll give ya a shout`,
-                    `set a reminder on me phone... if I remember to charge it`,
-                    `yeah nah I'll try remember mate, no promises after this cone`,
-                    `reminders set, unless I'm passed out by then`,
-                    `I'll remind ya in ${timeStr} unless shazza's got me doin chores`,
-                    `${timeStr} from now I'll yell at ya, if I'm not too cooked`,
-                    `wrote it on me hand in permanent marker, see ya in ${timeStr}`,
-                    `reminder set for ${timeStr}, right after me next bong`,
-                    `I'll remind ya mate but ${timeStr} is a long time to stay sober`,
-                    `got it, I'll hassle ya in ${timeStr} like shazza hassles me for rent`,
-                    `reminder locked in tighter than me balls in these boardies`,
-                    `${timeStr} reminder set, that's about 3 cones from now`,
-                    `I'll ping ya in ${timeStr} unless I'm balls deep in somethin`,
-                    `reminder set mate, written on the back of a durrie packet`
-                ];
-                bot.sendMessage(message.roomId, selfResponses[Math.floor(Math.random() * selfResponses.length)]);
+                say(`righto -${message.username}, I'll give ya a yell ${whenStr} (#${id})`);
             } else {
-                const userResponses = [
-                    `yeah alright, I'll tell -${targetUser} in ${timeStr}`,
-                    `no wukkas, I'll pass it on to -${targetUser} in ${timeStr}`,
-                    `righto, I'll hassle -${targetUser} about it in ${timeStr}`,
-                    `sweet, I'll give -${targetUser} a yell in ${timeStr}`,
-                    `easy done, -${targetUser} gets the message in ${timeStr}`,
-                    `got it mate, I'll bug -${targetUser} in ${timeStr}`,
-                    `sure thing, I'll let -${targetUser} know in ${timeStr}`,
-                    `no dramas, I'll remind -${targetUser} in ${timeStr} if they're around`,
-                    `I'll nag -${targetUser} worse than me missus in ${timeStr}`,
-                    `gonna hassle -${targetUser} like a debt collector in ${timeStr}`,
-                    `I'll pester -${targetUser} in ${timeStr} unless they fucked off`,
-                    `reminder set to annoy the shit outta -${targetUser} in ${timeStr}`,
-                    `I'll harass -${targetUser} about it in ${timeStr}`,
-                    `gonna remind -${targetUser} harder than shazza reminds me about child support`,
-                    `I'll tell -${targetUser} in ${timeStr} if they haven't carked it`,
-                    `set to bother -${targetUser} in ${timeStr} like a mozzie at night`,
-                    `I'll bug -${targetUser} about it in ${timeStr}, no escape`,
-                    `gonna remind -${targetUser} like I'm their disappointed mother in ${timeStr}`
-                ];
-                bot.sendMessage(message.roomId, userResponses[Math.floor(Math.random() * userResponses.length)]);
+                say(`no wukkas, I'll hassle -${targetUser} ${whenStr} (#${id})`);
             }
             
             return { success: true };
@@ -119,4 +242,4 @@ export default new Command({
             return { success: false };
         }
     }
-});
\ No newline at end of file
+});
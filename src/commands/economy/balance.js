@@ -1,14 +1,21 @@
 import { Command } from '../base.js';
 import { sendPM } from '../../utils/pmHelper.js';
+import { formatTimestamp } from '../../utils/formatting.js';
+import { normalizeUsernameForDb } from '../../utils/usernameNormalizer.js';
+
+const HISTORY_DEFAULT = 5;
+const HISTORY_MAX = 20;
 
 export default new Command({
     name: 'balance',
     aliases: ['bal', 'money', '$'],
     description: 'Check your balance and trust level',
-    usage: '!balance [username]',
+    usage: '!balance [username] | !balance history [count] [username]',
     examples: [
         '!balance - Check your own balance',
-        '!balance Bob - Check Bob\'s balance'
+        '!balance Bob - Check Bob\'s balance',
+        '!balance history - Your last 5 transactions',
+        '!balance history 20 Bob - Bob\'s last 20 transactions'
     ],
     category: 'economy',
     users: ['all'],
@@ -17,9 +24,6 @@ export default new Command({
 
     async handler(bot, message, args) {
         try {
-            // Check whose balance to show
-            const targetUser = args[0] || message.username;
-            
             // Get balance from HeistManager
             if (!bot.heistManager) {
                 const errorMsg = 'economy system not ready yet mate';
@@ -27,6 +31,13 @@ export default new Command({
                 sendPM(bot, message.username, errorMsg, message.roomContext || message.roomId);
                 return { success: false };
             }
+
+            if (args[0]?.toLowerCase() === 'history') {
+                return await this.showHistory(bot, message, args.slice(1));
+            }
+
+            // Check whose balance to show
+            const targetUser = args[0] || message.username;
             
             const economy = await bot.heistManager.getUserBalance(targetUser);
             
@@ -62,5 +73,39 @@ export default new Command({
             sendPM(bot, message.username, errorMsg, message.roomContext || message.roomId);
             return { success: false };
         }
+    },
+
+    async showHistory(bot, message, args) {
+        let limit = HISTORY_DEFAULT;
+        let targetUser = message.username;
+        for (const arg of args) {
+            if (/^\d+$/.test(arg)) {
+                limit = Math.min(Math.max(parseInt(arg), 1), HISTORY_MAX);
+            } else {
+                targetUser = arg;
+            }
+        }
+
+        const username = await normalizeUsernameForDb(bot, targetUser);
+        const rows = await bot.heistManager.ledger.getHistory(username, { limit });
+        const isSelf = targetUser.toLowerCase() === message.username.toLowerCase();
+
+        if (rows.length === 0) {
+            sendPM(bot, message.username, isSelf
+                ? 'no transactions on the books for ya yet mate'
+                : `no transactions on the books for ${targetUser}`, message.roomContext || message.roomId);
+            return { success: true };
+        }
+
+        const lines = rows.map(row => {
+            const amount = row.amount >= 0 ? `+$${row.amount}` : `-$${Math.abs(row.amount)}`;
+            const other = row.counterparty && !row.counterparty.startsWith('@') ? ` (${row.counterparty})` : '';
+            const after = row.balance_after !== null && row.balance_after !== undefined ? ` → $${row.balance_after}` : '';
+            return `${formatTimestamp(row.created_at)} ${amount} ${row.transaction_type}${other}${after}`;
+        });
+
+        const heading = isSelf ? 'Your last' : `${targetUser}'s last`;
+        sendPM(bot, message.username, `${heading} ${rows.length} transactions:\n${lines.join('\n')}`, message.roomContext || message.roomId);
+        return { success: true };
     }
 });
\ No newline at end of file
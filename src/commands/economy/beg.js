@@ -170,7 +170,7 @@ export default new Command({
             // Check persistent cooldown (48 hours)
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, 172800000); // 48 hours
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message, 172800000)); // 48 hours
                 
                 if (!cooldownCheck.allowed) {
                     const hours = Math.floor(cooldownCheck.remaining / 3600);
@@ -195,12 +195,11 @@ export default new Command({
                 bot.sendMessage(message.roomId, brokeMsg);
                 
                 // Still record the attempt
-                if (bot.db) {
-                    await bot.db.run(`
-                        INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                        VALUES (?, 0, 'beg', 'Dazza was too broke', ?, ?)
-                    `, [message.username, message.roomId || 'fatpizza', Date.now()]);
-                }
+                await bot.heistManager.updateUserEconomy(message.username, 0, 0, {
+                    type: 'beg',
+                    description: 'Dazza was too broke',
+                    roomId: message.roomId
+                });
                 
                 return { success: true };
             }
@@ -222,13 +221,12 @@ export default new Command({
                     bot.sendMessage(message.roomId, mockeryMsg.replace('-username', `-${message.username}`));
                     
                     // Log the attempted robbery
-                    if (bot.db) {
-                        bot.logger.debug(`Attempted to rob ${message.username} but they have balance: ${userEcon.balance}`);
-                        await bot.db.run(`
-                            INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                            VALUES (?, 0, 'beg', 'Too broke to rob', ?, ?)
-                        `, [message.username, message.roomId || 'fatpizza', Date.now()]);
-                    }
+                    bot.logger.debug(`Attempted to rob ${message.username} but they have balance: ${userEcon.balance}`);
+                    await bot.heistManager.updateUserEconomy(message.username, 0, 0, {
+                        type: 'beg',
+                        description: 'Too broke to rob',
+                        roomId: message.roomId
+                    });
                     
                     return { success: true };
                 } else {
@@ -242,9 +240,13 @@ export default new Command({
                         // Log balance before robbery
                         bot.logger.debug(`Robbing ${message.username}: balance before=${userEcon.balance}, stealing=${robberyAmount}`);
                         
-                        // Transfer money from user to Dazza
-                        await bot.heistManager.updateUserEconomy(message.username, -robberyAmount, 0);
-                        await bot.heistManager.updateUserEconomy('dazza', robberyAmount, 0);
+                        // Transfer money from user to Dazza (dazza's side isn't a beg, keep him off the beggar board)
+                        await bot.heistManager.transferMoney(message.username, 'dazza', robberyAmount, {
+                            type: 'beg',
+                            toType: 'beg_robbery',
+                            description: 'Robbed by Dazza for begging',
+                            roomId: message.roomId
+                        });
                         
                         // Verify balance after robbery
                         const updatedBalance = await bot.heistManager.getUserBalance(message.username);
@@ -256,14 +258,6 @@ export default new Command({
                         robberyMsg = robberyMsg.replace('-amount', robberyAmount);
                         
                         bot.sendMessage(message.roomId, robberyMsg);
-                        
-                        // Log the robbery
-                        if (bot.db) {
-                            await bot.db.run(`
-                                INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                                VALUES (?, ?, 'beg', 'Robbed by Dazza for begging', ?, ?)
-                            `, [message.username, -robberyAmount, message.roomId || 'fatpizza', Date.now()]);
-                        }
                     } catch (error) {
                         bot.logger.error('Error during robbery:', { error: error.message, stack: error.stack });
                         bot.sendMessage(message.roomId, 'somethin went wrong with the robbery, lucky escape for ya');
@@ -279,12 +273,17 @@ export default new Command({
             
             if (successRoll < successChance) {
                 // Success! Calculate payout
-                const payout = calculatePayout(trust);
+                // Dazza can't hand out more than he's got
+                const payout = Math.min(calculatePayout(trust), dazzaBalance.balance);
                 
                 if (payout > 0) {
                     // Transfer money from Dazza to user
-                    await bot.heistManager.updateUserEconomy('dazza', -payout, 0);
-                    await bot.heistManager.updateUserEconomy(message.username, payout, 0);
+                    await bot.heistManager.transferMoney('dazza', message.username, payout, {
+                        type: 'beg',
+                        fromType: 'beg_handout',
+                        description: `Successful beg (${trustTier})`,
+                        roomId: message.roomId
+                    });
                     
                     // Get appropriate success message
                     const successMsgs = successResponses[trustTier];
@@ -293,14 +292,6 @@ export default new Command({
                     successMsg = successMsg.replace('-amount', payout);
                     
                     bot.sendMessage(message.roomId, successMsg);
-                    
-                    // Log the transaction
-                    if (bot.db) {
-                        await bot.db.run(`
-                            INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                            VALUES (?, ?, 'beg', ?, ?, ?)
-                        `, [message.username, payout, `Successful beg (${trustTier})`, message.roomId || 'fatpizza', Date.now()]);
-                    }
                 } else {
                     // Rolled success but $0 payout
                     bot.sendMessage(message.roomId, `*looks at -${message.username}* here's fuck all mate, exactly what you deserve`);
@@ -314,12 +305,11 @@ export default new Command({
                 bot.sendMessage(message.roomId, failureMsg);
                 
                 // Log failed attempt
-                if (bot.db) {
-                    await bot.db.run(`
-                        INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                        VALUES (?, 0, 'beg', ?, ?, ?)
-                    `, [message.username, `Failed beg attempt (${trustTier})`, message.roomId || 'fatpizza', Date.now()]);
-                }
+                await bot.heistManager.updateUserEconomy(message.username, 0, 0, {
+                    type: 'beg',
+                    description: `Failed beg attempt (${trustTier})`,
+                    roomId: message.roomId
+                });
             }
 
             return { success: true };
@@ -0,0 +1,125 @@
+import { Command } from '../base.js';
+import { respond, sendPM } from '../../utils/pmHelper.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { describeError, parseMove } from '../../modules/card_table/index.js';
+
+export default new Command({
+    name: 'blackjack',
+    aliases: ['bj', '21'],
+    description: 'Sit down at the room\'s blackjack table against dazza',
+    usage: '!blackjack [<bet> | hit | stand | double | hand | leave | deal]',
+    examples: [
+        '!bj - Show the table',
+        '!bj 50 - Sit down with a $50 bet (opens a table if there isn\'t one)',
+        '!bj hit - Take a card (or just say "hit" when it\'s your turn)',
+        '!bj double - Double your bet for one more card',
+        '!bj hand - PM yourself your hand again',
+        '!bj leave - Get up before the deal and take your bet back',
+        '!bj deal - Deal now instead of waiting (whoever opened the table)'
+    ],
+    category: 'economy',
+    users: ['all'],
+    cooldown: 1000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const manager = bot.cardTableManager;
+        if (!manager || !bot.heistManager) {
+            respond(bot, message, 'the card room\'s shut mate, try again later');
+            return { success: false };
+        }
+
+        const roomId = message.roomId;
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        let subcommand = (args[0] || 'table').toLowerCase();
+
+        // !bj 50 is short for !bj join 50
+        if (/^\d+$/.test(subcommand)) {
+            args = ['join', ...args];
+            subcommand = 'join';
+        }
+
+        try {
+            switch (subcommand) {
+                case 'table':
+                case 'status': {
+                    const table = await manager.getOpenTable(roomId, 'blackjack');
+                    if (!table) {
+                        const config = manager.getConfig(roomId);
+                        say(`no blackjack table goin'. !bj <bet> to open one, $${config.minBet}-$${config.maxBet}`);
+                        return { success: true };
+                    }
+                    say(manager.describeTable(table));
+                    return { success: true };
+                }
+
+                case 'join':
+                case 'sit': {
+                    const bet = parseInt(args[1]);
+                    if (!bet) {
+                        say('usage: !bj <bet>');
+                        return { success: false };
+                    }
+
+                    const result = await manager.join(roomId, 'blackjack', message.username, bet);
+                    if (!result.success) {
+                        say(describeError(result));
+                        return { success: false };
+                    }
+
+                    say(result.opened
+                        ? `🃏 -${result.username} opens the blackjack table with $${bet}. !bj <bet> to sit in, cards in ${formatDuration(result.dealsIn)}`
+                        : `🃏 -${result.username} sits down with $${bet} (${result.seats}/${result.max})`);
+                    return { success: true };
+                }
+
+                case 'leave': {
+                    const result = await manager.leave(roomId, 'blackjack', message.username);
+                    if (!result.success) {
+                        say(describeError(result));
+                        return { success: false };
+                    }
+                    say(`🃏 -${result.player.username} gets up from the table, $${result.player.bet} back in the pocket`);
+                    return { success: true };
+                }
+
+                case 'deal': {
+                    const force = bot.isAdmin(message.username) || bot.hasRole?.(message.username, 'economy-admin', roomId);
+                    const result = await manager.dealNow(roomId, 'blackjack', message.username, force);
+                    if (!result.success) {
+                        say(describeError(result));
+                        return { success: false };
+                    }
+                    return { success: true };
+                }
+
+                case 'hand':
+                case 'cards': {
+                    const table = await manager.findTable(roomId, 'blackjack', message.username);
+                    const hand = table?.status === 'playing' && manager.describeHand(table, message.username);
+                    sendPM(bot, message.username, hand ? `🃏 your hand: ${hand}` : 'ya haven\'t got a hand mate', roomId);
+                    return { success: true };
+                }
+
+                default: {
+                    const move = parseMove(subcommand);
+                    if (!move) {
+                        say('usage: !bj [<bet> | hit | stand | double | hand | leave | deal]');
+                        return { success: false };
+                    }
+
+                    const result = await manager.act(roomId, 'blackjack', message.username, move.action);
+                    if (!result.success) {
+                        say(describeError(result));
+                        return { success: false };
+                    }
+                    return { success: true };
+                }
+            }
+        } catch (error) {
+            bot.logger.error('Blackjack command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'dazza knocked the shoe off the table, try again');
+            return { success: false };
+        }
+    }
+});
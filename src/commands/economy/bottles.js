@@ -99,7 +99,7 @@ export default new Command({
             // Check persistent cooldown
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, 86400000); // 24 hours
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message, 86400000)); // 24 hours
                 
                 if (!cooldownCheck.allowed) {
                     const hours = Math.floor(cooldownCheck.remaining / 3600);
@@ -147,12 +147,11 @@ export default new Command({
                 sendPM(bot, message.username, pmMessage, message.roomContext || message.roomId);
                 
                 // Record the transaction as failed
-                if (bot.db) {
-                    await bot.db.run(`
-                        INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                        VALUES (?, 0, 'bottles', 'Bottle run failed', ?, ?)
-                    `, [message.username, message.roomId || 'fatpizza', Date.now()]);
-                }
+                await bot.heistManager.updateUserEconomy(message.username, 0, 0, {
+                    type: 'bottles',
+                    description: 'Bottle run failed',
+                    roomId: message.roomId
+                });
                 
                 return { success: true };
             }
@@ -191,12 +190,22 @@ export default new Command({
             if (multiplier > 1) {
                 amount = Math.floor(amount * multiplier);
             }
+
+            // A trolley from the inventory carts more empties
+            const trolleyBonus = await bot.inventoryManager?.getEffect(message.username, 'bottle_bonus') || 0;
+            if (trolleyBonus > 0) {
+                amount = Math.floor(amount * (1 + trolleyBonus));
+            }
             
             // Get tier message
             const tierMessage = tierMessages[tier][Math.floor(Math.random() * tierMessages[tier].length)];
             
             // Give money
-            await bot.heistManager.updateUserEconomy(message.username, amount, 0);
+            await bot.heistManager.updateUserEconomy(message.username, amount, 0, {
+                type: 'bottles',
+                description: `${tier} haul${multiplier > 1 ? ` (${multiplier}x ${reason})` : ''}`,
+                roomId: message.roomId
+            });
             
             // Build PM message
             let pmMessage = "";
@@ -214,6 +223,9 @@ export default new Command({
             if (multiplier > 1) {
                 pmMessage += ` (${multiplier}x ${reason}!)`;
             }
+            if (trolleyBonus > 0) {
+                pmMessage += ` (+${Math.round(trolleyBonus * 100)}% with the trolley)`;
+            }
             
             pmMessage += `\n\n`;
             
@@ -228,6 +240,12 @@ export default new Command({
                 pmMessage += "Every bit helps mate. That's lunch at the servo!";
             }
             
+            // Sometimes there's somethin' worth keepin' in the bags
+            const found = await bot.inventoryManager?.award(message.username, 'bottles', { roomId: message.roomId });
+            if (found) {
+                pmMessage += `\n\n🎒 Kept a ${found.name} outta the bags (!inventory)`;
+            }
+            
             // Get updated balance
             const newBalance = await bot.heistManager.getUserBalance(message.username);
             pmMessage += `\n\nNew balance: $${newBalance.balance}`;
@@ -249,14 +267,6 @@ export default new Command({
                 }, 2000);
             }
             
-            // Record the transaction
-            if (bot.db) {
-                await bot.db.run(`
-                    INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                    VALUES (?, ?, 'bottles', ?, ?, ?)
-                `, [message.username, amount, `${tier} haul${multiplier > 1 ? ` (${multiplier}x ${reason})` : ''}`, message.roomId || 'fatpizza', Date.now()]);
-            }
-            
             return { success: true };
             
         } catch (error) {
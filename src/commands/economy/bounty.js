@@ -0,0 +1,87 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+import { describeError } from '../../modules/crime/index.js';
+
+export default new Command({
+    name: 'bounty',
+    aliases: ['bounties', 'wanted'],
+    description: 'Put cash on a repeat mugger\'s head, paid to whoever fights them off',
+    usage: '!bounty [<user> [amount] | cancel <id>]',
+    examples: [
+        '!bounty - Most wanted muggers',
+        '!bounty Bob 100 - $100 to whoever fights Bob off next',
+        '!bounty Bob - What\'s on Bob\'s head',
+        '!bounty cancel 3 - Take back bounty #3'
+    ],
+    category: 'economy',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const crime = bot.crimeManager;
+        if (!crime || !bot.heistManager) {
+            say('the wanted board\'s blown away, try again later');
+            return { success: false };
+        }
+
+        try {
+            if (args.length === 0) {
+                const wanted = await crime.listWanted();
+                if (wanted.length === 0) {
+                    say('nobody\'s got a price on their head');
+                    return { success: true };
+                }
+
+                say(`🎯 most wanted: ${wanted.map(row => `${row.target} $${row.total}`).join(' | ')}`);
+                return { success: true };
+            }
+
+            if (args[0].toLowerCase() === 'cancel') {
+                const id = parseInt((args[1] || '').replace('#', ''));
+                const result = await crime.withdrawBounty(message.username, id);
+                if (!result.success) {
+                    say(`-${message.username} ${describeError(result)}`);
+                    return { success: false };
+                }
+
+                say(`-${message.username} took back their $${result.bounty.amount} on ${result.bounty.target}`);
+                return { success: true };
+            }
+
+            const target = await getCanonicalUsername(bot, args[0]);
+            if (!args[1]) {
+                const bounties = await crime.getBounties(target);
+                if (bounties.length === 0) {
+                    say(`nobody's put anything on ${target}`);
+                    return { success: true };
+                }
+
+                const total = bounties.reduce((sum, bounty) => sum + bounty.amount, 0);
+                say(`🎯 $${total} on ${target}'s head: ${bounties.map(bounty => `#${bounty.id} $${bounty.amount} from ${bounty.placed_by}`).join(', ')}`);
+                return { success: true };
+            }
+
+            const amount = (args[1].match(/^\$?(\d+)$/) || [])[1];
+            if (!amount) {
+                say('usage: !bounty <user> <amount>');
+                return { success: false };
+            }
+
+            const result = await crime.placeBounty(message.roomId, message.username, target, parseInt(amount));
+            if (!result.success) {
+                say(`-${message.username} ${describeError(result)}`);
+                return { success: false };
+            }
+
+            // Bounties always go up in the room, that's the point
+            bot.sendMessage(message.roomId, `🎯 ${message.username} put $${result.bounty.amount} on ${target}'s head (#${result.bounty.id}), $${result.total} all up. fight 'em off next time they try ya`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Bounty command error:', { error: error.message, stack: error.stack });
+            say('the wanted board\'s blown away, try again later');
+            return { success: false };
+        }
+    }
+});
@@ -115,7 +115,7 @@ export default new Command({
             // Check persistent cooldown (12 hours)
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, 43200000); // 12 hours
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message, 43200000)); // 12 hours
                 
                 if (!cooldownCheck.allowed) {
                     const hours = Math.floor(cooldownCheck.remaining / 3600);
@@ -162,12 +162,11 @@ export default new Command({
                 sendPM(bot, message.username, pmMessage, message.roomContext || message.roomId);
                 
                 // Record failed attempt
-                if (bot.db) {
-                    await bot.db.run(`
-                        INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                        VALUES (?, 0, 'cashie', 'Cash job failed', ?, ?)
-                    `, [message.username, message.roomId || 'fatpizza', Date.now()]);
-                }
+                await bot.heistManager.updateUserEconomy(message.username, 0, 0, {
+                    type: 'cashie',
+                    description: 'Cash job failed',
+                    roomId: message.roomId
+                });
                 
                 return { success: true };
             }
@@ -211,7 +210,11 @@ export default new Command({
             const jobDesc = jobDescriptions[tier][Math.floor(Math.random() * jobDescriptions[tier].length)];
             
             // Give money
-            await bot.heistManager.updateUserEconomy(message.username, amount, 0);
+            await bot.heistManager.updateUserEconomy(message.username, amount, 0, {
+                type: 'cashie',
+                description: `${tier} job${multiplier > 1 ? ` (${reasons.join(', ')})` : ''}`,
+                roomId: message.roomId
+            });
             
             // Build PM message
             let pmMessage = "";
@@ -264,14 +267,6 @@ export default new Command({
                 }, 2000);
             }
             
-            // Record the transaction
-            if (bot.db) {
-                await bot.db.run(`
-                    INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                    VALUES (?, ?, 'cashie', ?, ?, ?)
-                `, [message.username, amount, `${tier} job${multiplier > 1 ? ` (${reasons.join(', ')})` : ''}`, message.roomId || 'fatpizza', Date.now()]);
-            }
-            
             return { success: true };
             
         } catch (error) {
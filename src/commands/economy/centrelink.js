@@ -126,7 +126,7 @@ export default new Command({
             // Check persistent cooldown if database is available
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.cooldown);
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message));
                 
                 if (!cooldownCheck.allowed) {
                     const hours = Math.floor(cooldownCheck.remaining / 3600);
@@ -191,7 +191,11 @@ export default new Command({
                 }
                 
                 // Give money
-                await bot.heistManager.updateUserEconomy(message.username, amount, 0);
+                await bot.heistManager.updateUserEconomy(message.username, amount, 0, {
+                    type: 'centrelink',
+                    description: rarePayment.name,
+                    roomId: message.roomId
+                });
                 
             } else if (paymentChance < 0.50) {
                 // SUCCESS - Payment approved!
@@ -200,7 +204,11 @@ export default new Command({
                 const reason = paymentReasons[Math.floor(Math.random() * paymentReasons.length)];
                 
                 // Give money
-                await bot.heistManager.updateUserEconomy(message.username, amount, 0);
+                await bot.heistManager.updateUserEconomy(message.username, amount, 0, {
+                    type: 'centrelink',
+                    description: benefit.name,
+                    roomId: message.roomId
+                });
                 
                 pmMessage = `✅ APPROVED! You got $${amount} from ${benefit.name}!\n`;
                 pmMessage += `📄 Reason: "${reason}"\n\n`;
@@ -266,16 +274,16 @@ export default new Command({
                             const sharePerUser = Math.floor(remainingAmount / (onlineUsers.length + 1)); // +1 for dazza
                             const dazzaShare = remainingAmount - (sharePerUser * onlineUsers.length);
                             
-                            // Deduct the shared amount from recipient (they already got the full amount)
-                            await bot.heistManager.updateUserEconomy(message.username, -remainingAmount, 0);
-                            
-                            // Give each user their share
-                            for (const user of onlineUsers) {
-                                await bot.heistManager.updateUserEconomy(user.name, sharePerUser, 0);
-                            }
-                            
-                            // Dazza gets his cut
-                            await bot.heistManager.updateUserEconomy('dazza', dazzaShare, 0);
+                            // Split the shared amount from recipient (they already got the full amount)
+                            // across each online user, with Dazza's cut on top
+                            await bot.heistManager.splitMoney(message.username, [
+                                ...onlineUsers.map(user => ({ username: user.name, amount: sharePerUser })),
+                                { username: 'dazza', amount: dazzaShare }
+                            ], {
+                                type: 'centrelink_share',
+                                description: `Forced share of ${message.username}'s centrelink payout`,
+                                roomId: message.roomId
+                            });
                             
                             // Announce the sharing
                             const shareMessages = [
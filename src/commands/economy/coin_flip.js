@@ -1,5 +1,6 @@
 import { Command } from '../base.js';
 import { sendPM } from '../../utils/pmHelper.js';
+import { HOUSE, ESCROW, InsufficientFundsError } from '../../modules/economy/index.js';
 
 const coinFlipCommand = {
 
@@ -114,13 +115,11 @@ const coinFlipCommand = {
     },
 
     async createChallenge(bot, message, challengedUser, amount) {
-        let challengeId = null;
+        const roomId = message.roomId || 'fatpizza';
         
         try {
-            // Use a transaction for atomic operations
-            await bot.db.run('BEGIN TRANSACTION');
-            
-            try {
+            // Claim the challenge slot and hold the challenger's stake in one transaction
+            const outcome = await bot.db.transaction(async () => {
                 // Check if challenger already has a pending challenge
                 const existingChallenge = await bot.db.get(
                     'SELECT * FROM coin_flip_challenges WHERE challenger = ? AND status = ?',
@@ -128,37 +127,35 @@ const coinFlipCommand = {
                 );
 
                 if (existingChallenge) {
-                    await bot.db.run('ROLLBACK');
-                    bot.sendMessage(message.roomId, 'ya already got a challenge pending mate, wait for that one first');
-                    return { success: false };
+                    return { error: 'ya already got a challenge pending mate, wait for that one first' };
                 }
 
                 // Check challenger's balance again with lock
                 const challengerBalance = await bot.heistManager.getUserBalance(message.username);
                 if (challengerBalance.balance < amount) {
-                    await bot.db.run('ROLLBACK');
-                    bot.sendMessage(message.roomId, `ya don't have enough money mate, need $${amount} but only got $${challengerBalance.balance}`);
-                    return { success: false };
+                    return { error: `ya don't have enough money mate, need $${amount} but only got $${challengerBalance.balance}` };
                 }
 
                 // Check if challenged user has enough money
                 const challengedBalance = await bot.heistManager.getUserBalance(challengedUser);
                 if (challengedBalance.balance < amount) {
-                    await bot.db.run('ROLLBACK');
-                    bot.sendMessage(message.roomId, `-${challengedUser} is too broke for a $${amount} flip (only has $${challengedBalance.balance}`);
-                    return { success: false };
+                    return { error: `-${challengedUser} is too broke for a $${amount} flip (only has $${challengedBalance.balance}` };
                 }
 
-                // Deduct bet from challenger - this will fail if balance goes negative
-                const deductResult = await bot.db.run(
-                    'UPDATE user_economy SET balance = balance - ? WHERE username = ? AND balance >= ?',
-                    [amount, message.username, amount]
-                );
-                
-                if (deductResult.changes === 0) {
-                    await bot.db.run('ROLLBACK');
-                    bot.sendMessage(message.roomId, 'couldn\'t deduct ya bet mate, try again');
-                    return { success: false };
+                // Hold the challenger's stake - the ledger refuses if it would go negative
+                try {
+                    await bot.heistManager.updateUserEconomy(message.username, -amount, 0, {
+                        type: 'coin_flip_bet',
+                        description: `Coin flip challenge vs ${challengedUser}`,
+                        counterparty: ESCROW,
+                        requireFunds: true,
+                        roomId
+                    });
+                } catch (error) {
+                    if (error instanceof InsufficientFundsError) {
+                        return { error: 'couldn\'t deduct ya bet mate, try again' };
+                    }
+                    throw error;
                 }
 
                 // Create challenge
@@ -169,83 +166,75 @@ const coinFlipCommand = {
                     `INSERT INTO coin_flip_challenges 
                     (challenger, challenged, amount, status, room_id, created_at, expires_at) 
                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                    [message.username, challengedUser, amount, 'pending', message.roomId || 'fatpizza', now, expiresAt]
+                    [message.username, challengedUser, amount, 'pending', roomId, now, expiresAt]
                 );
-                
-                challengeId = result.lastID;
-                
-                bot.logger.info('Coin flip challenge created', {
-                    id: challengeId,
-                    challenger: message.username,
-                    challenged: challengedUser,
-                    amount: amount,
-                    expiresAt: new Date(expiresAt).toISOString()
-                });
-                
-                // Commit the transaction
-                await bot.db.run('COMMIT');
 
-                // Public announcement
-                const announcements = [
-                    `oi -${challengedUser}! -${message.username} challenges ya to flip for $${amount}! respond with heads or tails in 30 seconds`,
-                    `-${message.username} throws down $${amount} for a coin flip! -${challengedUser} ya in? heads or tails mate`,
-                    `COIN FLIP CHALLENGE! -${message.username} vs -${challengedUser} for $${amount}! pick heads or tails quick`,
-                    `$${amount} on the line! -${message.username} wants to flip against -${challengedUser}! heads or tails?`
-                ];
+                return { challengeId: result.lastID, expiresAt };
+            });
 
-                bot.sendMessage(message.roomId, announcements[Math.floor(Math.random() * announcements.length)]);
+            if (outcome.error) {
+                bot.sendMessage(message.roomId, outcome.error);
+                return { success: false };
+            }
+
+            const { challengeId, expiresAt } = outcome;
 
-                // Set timeout to cancel challenge
-                setTimeout(async () => {
-                    try {
-                        await bot.db.run('BEGIN TRANSACTION');
-                        
+            bot.logger.info('Coin flip challenge created', {
+                id: challengeId,
+                challenger: message.username,
+                challenged: challengedUser,
+                amount: amount,
+                expiresAt: new Date(expiresAt).toISOString()
+            });
+
+            // Public announcement
+            const announcements = [
+                `oi -${challengedUser}! -${message.username} challenges ya to flip for $${amount}! respond with heads or tails in 30 seconds`,
+                `-${message.username} throws down $${amount} for a coin flip! -${challengedUser} ya in? heads or tails mate`,
+                `COIN FLIP CHALLENGE! -${message.username} vs -${challengedUser} for $${amount}! pick heads or tails quick`,
+                `$${amount} on the line! -${message.username} wants to flip against -${challengedUser}! heads or tails?`
+            ];
+
+            bot.sendMessage(message.roomId, announcements[Math.floor(Math.random() * announcements.length)]);
+
+            // Set timeout to cancel challenge
+            setTimeout(async () => {
+                try {
+                    const refunded = await bot.db.transaction(async () => {
                         // Check if challenge is still pending
                         const challenge = await bot.db.get(
                             'SELECT * FROM coin_flip_challenges WHERE id = ? AND status = ?',
                             [challengeId, 'pending']
                         );
 
-                        if (challenge) {
-                            // Cancel and refund
-                            await bot.db.run(
-                                'UPDATE coin_flip_challenges SET status = ? WHERE id = ?',
-                                ['cancelled', challenge.id]
-                            );
-
-                            // Refund the challenger
-                            await bot.db.run(
-                                'UPDATE user_economy SET balance = balance + ? WHERE username = ?',
-                                [amount, message.username]
-                            );
-                            
-                            await bot.db.run('COMMIT');
-
-                            const timeoutMessages = [
-                                `-${challengedUser} chickened out! refunding -${message.username}'s $${amount}`,
-                                `no response from -${challengedUser}, giving -${message.username} their $${amount} back`,
-                                `-${challengedUser} too scared to flip! -${message.username} gets their $${amount} back`,
-                                `times up! -${challengedUser} didn't respond, -${message.username} keeps their $${amount}`
-                            ];
-
-                            bot.sendMessage(message.roomId, timeoutMessages[Math.floor(Math.random() * timeoutMessages.length)]);
-                        } else {
-                            await bot.db.run('ROLLBACK');
-                        }
-                    } catch (error) {
-                        bot.logger.error('Error in challenge timeout:', { error: error.message, stack: error.stack });
-                        try {
-                            await bot.db.run('ROLLBACK');
-                        } catch {}
-                    }
-                }, 30000); // 30 seconds
+                        if (!challenge) return false;
+
+                        // Cancel and refund
+                        await bot.db.run(
+                            'UPDATE coin_flip_challenges SET status = ? WHERE id = ?',
+                            ['cancelled', challenge.id]
+                        );
 
-                return { success: true };
+                        await coinFlipCommand.refundChallenger(bot, challenge, 'no response');
+                        return true;
+                    });
 
-            } catch (error) {
-                await bot.db.run('ROLLBACK');
-                throw error;
-            }
+                    if (refunded) {
+                        const timeoutMessages = [
+                            `-${challengedUser} chickened out! refunding -${message.username}'s $${amount}`,
+                            `no response from -${challengedUser}, giving -${message.username} their $${amount} back`,
+                            `-${challengedUser} too scared to flip! -${message.username} gets their $${amount} back`,
+                            `times up! -${challengedUser} didn't respond, -${message.username} keeps their $${amount}`
+                        ];
+
+                        bot.sendMessage(message.roomId, timeoutMessages[Math.floor(Math.random() * timeoutMessages.length)]);
+                    }
+                } catch (error) {
+                    bot.logger.error('Error in challenge timeout:', { error: error.message, stack: error.stack });
+                }
+            }, 30000); // 30 seconds
+
+            return { success: true };
 
         } catch (error) {
             bot.logger.error('Error creating coin flip challenge:', { error: error.message, stack: error.stack });
@@ -254,11 +243,18 @@ const coinFlipCommand = {
         }
     },
 
+    async refundChallenger(bot, challenge, reason) {
+        return bot.heistManager.updateUserEconomy(challenge.challenger, challenge.amount, 0, {
+            type: 'coin_flip_refund',
+            description: `Coin flip challenge #${challenge.id} refunded (${reason})`,
+            counterparty: ESCROW,
+            roomId: challenge.room_id
+        });
+    },
+
     async handleChallengeResponse(bot, message, choice) {
         try {
-            await bot.db.run('BEGIN TRANSACTION');
-            
-            try {
+            const outcome = await bot.db.transaction(async () => {
                 // Use UPDATE with WHERE to atomically claim the challenge
                 const updateResult = await bot.db.run(
                     `UPDATE coin_flip_challenges 
@@ -278,58 +274,43 @@ const coinFlipCommand = {
                 }
 
                 if (!challenge) {
-                    await bot.db.run('ROLLBACK');
-                    bot.sendMessage(message.roomId, 'no pending coin flip for ya mate');
-                    return { success: false };
+                    return { error: 'no pending coin flip for ya mate' };
                 }
 
                 // Check if challenged user has enough money with lock
-                const userBalance = await bot.db.get(
-                    'SELECT balance FROM user_economy WHERE username = ?',
-                    [message.username]
-                );
-                
-                if (!userBalance || userBalance.balance < challenge.amount) {
+                const userBalance = await bot.heistManager.getUserBalance(message.username);
+
+                if (userBalance.balance < challenge.amount) {
                     // Cancel challenge and refund
                     await bot.db.run(
                         'UPDATE coin_flip_challenges SET status = ? WHERE id = ?',
                         ['cancelled', challenge.id]
                     );
+                    await coinFlipCommand.refundChallenger(bot, challenge, 'challenged player too broke');
 
-                    // Refund challenger
-                    await bot.db.run(
-                        'UPDATE user_economy SET balance = balance + ? WHERE username = ?',
-                        [challenge.amount, challenge.challenger]
-                    );
-                    
-                    await bot.db.run('COMMIT');
-
-                    bot.sendMessage(message.roomId, `-${message.username} is too broke now! only has $${userBalance ? userBalance.balance : 0}, need $${challenge.amount}. refunding -${challenge.challenger}`);
-                    return { success: false };
+                    return { error: `-${message.username} is too broke now! only has $${userBalance.balance}, need $${challenge.amount}. refunding -${challenge.challenger}` };
                 }
 
-                // Deduct from challenged user atomically
-                const deductResult = await bot.db.run(
-                    'UPDATE user_economy SET balance = balance - ? WHERE username = ? AND balance >= ?',
-                    [challenge.amount, message.username, challenge.amount]
-                );
-                
-                if (deductResult.changes === 0) {
+                // Take the challenged user's stake atomically
+                try {
+                    await bot.heistManager.updateUserEconomy(message.username, -challenge.amount, 0, {
+                        type: 'coin_flip_bet',
+                        description: `Coin flip challenge #${challenge.id} vs ${challenge.challenger}`,
+                        counterparty: ESCROW,
+                        requireFunds: true,
+                        roomId: challenge.room_id
+                    });
+                } catch (error) {
+                    if (!(error instanceof InsufficientFundsError)) throw error;
+
                     // Failed to deduct, cancel and refund
                     await bot.db.run(
                         'UPDATE coin_flip_challenges SET status = ? WHERE id = ?',
                         ['cancelled', challenge.id]
                     );
+                    await coinFlipCommand.refundChallenger(bot, challenge, 'couldn\'t take the challenged stake');
 
-                    await bot.db.run(
-                        'UPDATE user_economy SET balance = balance + ? WHERE username = ?',
-                        [challenge.amount, challenge.challenger]
-                    );
-                    
-                    await bot.db.run('COMMIT');
-                    
-                    bot.sendMessage(message.roomId, 'couldn\'t deduct from ya balance mate, challenge cancelled');
-                    return { success: false };
+                    return { error: 'couldn\'t deduct from ya balance mate, challenge cancelled' };
                 }
 
                 // Challenger gets opposite choice
@@ -349,53 +330,57 @@ const coinFlipCommand = {
                     ['completed', challengerChoice, result, winner, Date.now(), challenge.id]
                 );
 
-                // Pay winner atomically
-                await bot.db.run(
-                    'UPDATE user_economy SET balance = balance + ? WHERE username = ?',
-                    [prize, winner]
-                );
-                
-                // Commit the transaction
-                await bot.db.run('COMMIT');
-
-                // Update stats for both players (outside transaction for performance)
-                await this.updateStats(bot, challenge.challenger, challengerChoice === result, challenge.amount, message.roomId || 'fatpizza');
-                await this.updateStats(bot, message.username, choice === result, challenge.amount, message.roomId || 'fatpizza');
-
-                // Announce result
-                const winnerTag = `-${winner}`;
-                const loserTag = `-${loser}`;
-
-                const resultMessages = [
-                    `🪙 COIN FLIP: ${result.toUpperCase()}! ${winnerTag} takes $${prize} from ${loserTag}!`,
-                    `it's ${result}! ${winnerTag} wins $${prize}! ${loserTag} is $${challenge.amount} poorer!`,
-                    `${result.toUpperCase()}! ${winnerTag} cleans out ${loserTag} for $${prize}!`,
-                    `coin says ${result}! ${winnerTag} pockets $${prize} while ${loserTag} cries!`
-                ];
+                // Pay winner out of the held stakes
+                await bot.heistManager.updateUserEconomy(winner, prize, 0, {
+                    type: 'coin_flip',
+                    description: `Won coin flip challenge #${challenge.id} vs ${loser}`,
+                    counterparty: ESCROW,
+                    roomId: challenge.room_id
+                });
 
-                bot.sendMessage(message.roomId, resultMessages[Math.floor(Math.random() * resultMessages.length)]);
+                return { challenge, challengerChoice, result, winner, loser, prize };
+            });
 
-                // Add snide commentary
-                if (Math.random() < 0.4) {
-                    setTimeout(() => {
-                        const comments = [
-                            `${loserTag} shoulda picked ${result === 'heads' ? 'heads' : 'tails'} ya muppet`,
-                            `easy money for ${winnerTag}`,
-                            `${loserTag}'s luck is shithouse today`,
-                            `another victim of the flip`,
-                            `${winnerTag} laughin all the way to the bottlo`
-                        ];
-                        bot.sendMessage(message.roomId, comments[Math.floor(Math.random() * comments.length)]);
-                    }, 2000);
-                }
+            if (outcome.error) {
+                bot.sendMessage(message.roomId, outcome.error);
+                return { success: false };
+            }
 
-                return { success: true };
-                
-            } catch (error) {
-                await bot.db.run('ROLLBACK');
-                throw error;
+            const { challenge, challengerChoice, result, winner, loser, prize } = outcome;
+
+            // Update stats for both players (outside transaction for performance)
+            await this.updateStats(bot, challenge.challenger, challengerChoice === result, challenge.amount, message.roomId || 'fatpizza');
+            await this.updateStats(bot, message.username, choice === result, challenge.amount, message.roomId || 'fatpizza');
+
+            // Announce result
+            const winnerTag = `-${winner}`;
+            const loserTag = `-${loser}`;
+
+            const resultMessages = [
+                `🪙 COIN FLIP: ${result.toUpperCase()}! ${winnerTag} takes $${prize} from ${loserTag}!`,
+                `it's ${result}! ${winnerTag} wins $${prize}! ${loserTag} is $${challenge.amount} poorer!`,
+                `${result.toUpperCase()}! ${winnerTag} cleans out ${loserTag} for $${prize}!`,
+                `coin says ${result}! ${winnerTag} pockets $${prize} while ${loserTag} cries!`
+            ];
+
+            bot.sendMessage(message.roomId, resultMessages[Math.floor(Math.random() * resultMessages.length)]);
+
+            // Add snide commentary
+            if (Math.random() < 0.4) {
+                setTimeout(() => {
+                    const comments = [
+                        `${loserTag} shoulda picked ${result === 'heads' ? 'heads' : 'tails'} ya muppet`,
+                        `easy money for ${winnerTag}`,
+                        `${loserTag}'s luck is shithouse today`,
+                        `another victim of the flip`,
+                        `${winnerTag} laughin all the way to the bottlo`
+                    ];
+                    bot.sendMessage(message.roomId, comments[Math.floor(Math.random() * comments.length)]);
+                }, 2000);
             }
 
+            return { success: true };
+
         } catch (error) {
             bot.logger.error('Error handling coin flip response:', { error: error.message, stack: error.stack });
             bot.sendMessage(message.roomId, 'coin flip machine exploded');
@@ -405,31 +390,19 @@ const coinFlipCommand = {
 
     async flipVsHouse(bot, message, amount) {
         try {
-            await bot.db.run('BEGIN TRANSACTION');
-            
-            try {
-                // Check balance and deduct bet atomically
-                const deductResult = await bot.db.run(
-                    'UPDATE user_economy SET balance = balance - ? WHERE username = ? AND balance >= ?',
-                    [amount, message.username, amount]
-                );
-                
-                if (deductResult.changes === 0) {
-                    await bot.db.run('ROLLBACK');
-                    const balance = await bot.heistManager.getUserBalance(message.username);
-                    bot.sendMessage(message.roomId, `ya don't have enough money mate, need $${amount} but only got $${balance.balance}`);
-                    return { success: false };
-                }
-
-                // Public acknowledgment
-                if (!message.isPM) {
-                    const announcements = [
-                        `-${message.username} flips a coin against dazza for $${amount}...`,
-                        `dazza accepts -${message.username}'s $${amount} coin flip challenge...`,
-                        `-${message.username} tosses $${amount} in the air...`,
-                        `$${amount} coin flip! -${message.username} vs the house...`
-                    ];
-                    bot.sendMessage(message.roomId, announcements[Math.floor(Math.random() * announcements.length)]);
+            // Take the bet and pay out in one ledger transaction
+            const outcome = await bot.db.transaction(async () => {
+                try {
+                    await bot.heistManager.updateUserEconomy(message.username, -amount, 0, {
+                        type: 'coin_flip_bet',
+                        description: `Coin flip vs dazza for $${amount}`,
+                        counterparty: HOUSE,
+                        requireFunds: true,
+                        roomId: message.roomId
+                    });
+                } catch (error) {
+                    if (error instanceof InsufficientFundsError) return { broke: true };
+                    throw error;
                 }
 
                 // Player always calls it
@@ -437,69 +410,80 @@ const coinFlipCommand = {
                 const result = Math.random() < 0.5 ? 'heads' : 'tails';
                 const won = playerChoice === result;
 
-                let resultMessage = '';
-                let balance;
-
                 if (won) {
-                    // Pay out atomically
-                    const winnings = amount * 2;
-                    await bot.db.run(
-                        'UPDATE user_economy SET balance = balance + ? WHERE username = ?',
-                        [winnings, message.username]
-                    );
-                    
-                    // Commit the transaction
-                    await bot.db.run('COMMIT');
-                    
-                    balance = await bot.heistManager.getUserBalance(message.username);
-
-                    resultMessage = `🪙 You called ${playerChoice}, it's ${result}! You WIN $${winnings}!\nBalance: $${balance.balance}`;
-
-                    // Public win announcement for big wins
-                    if (!message.isPM && amount >= 100) {
-                        setTimeout(() => {
-                            bot.sendMessage(message.roomId, `fuckin hell! ${message.username} just won $${winnings} on a coin flip!`);
-                        }, 1500);
-                    }
-                } else {
-                    // Lost - just commit the deduction
-                    await bot.db.run('COMMIT');
-                    
-                    balance = await bot.heistManager.getUserBalance(message.username);
-                    resultMessage = `🪙 You called ${playerChoice}, it's ${result}! You LOST $${amount}!\nBalance: $${balance.balance}`;
-
-                    // Dazza's commentary on losses
-                    if (Math.random() < 0.3) {
-                        setTimeout(() => {
-                            const taunts = [
-                                `shoulda called ${result} mate`,
-                                `dazza's beer money grows by $${amount}`,
-                                `${message.username}'s donation appreciated`,
-                                `better luck next flip... or not`,
-                                `the house always wins eventually`
-                            ];
-                            const taunt = taunts[Math.floor(Math.random() * taunts.length)];
-                            sendPM(bot, message.username, taunt, message.roomContext || message.roomId);
-                        }, 2000);
-                    }
+                    await bot.heistManager.updateUserEconomy(message.username, amount * 2, 0, {
+                        type: 'coin_flip',
+                        description: `Won coin flip vs dazza (${result})`,
+                        counterparty: HOUSE,
+                        roomId: message.roomId
+                    });
                 }
 
-                // Always send detailed result via PM
-                sendPM(bot, message.username, resultMessage, message.roomContext || message.roomId);
+                return { playerChoice, result, won };
+            });
 
-                // Update stats (outside transaction for performance)
-                await this.updateStats(bot, message.username, won, amount, message.roomId || 'fatpizza');
+            if (outcome.broke) {
+                const balance = await bot.heistManager.getUserBalance(message.username);
+                bot.sendMessage(message.roomId, `ya don't have enough money mate, need $${amount} but only got $${balance.balance}`);
+                return { success: false };
+            }
 
-                // Track house stats under "dazza"
-                await this.updateStats(bot, 'dazza', !won, amount, message.roomId || 'fatpizza');
+            const { playerChoice, result, won } = outcome;
 
-                return { success: true };
-                
-            } catch (error) {
-                await bot.db.run('ROLLBACK');
-                throw error;
+            // Public acknowledgment
+            if (!message.isPM) {
+                const announcements = [
+                    `-${message.username} flips a coin against dazza for $${amount}...`,
+                    `dazza accepts -${message.username}'s $${amount} coin flip challenge...`,
+                    `-${message.username} tosses $${amount} in the air...`,
+                    `$${amount} coin flip! -${message.username} vs the house...`
+                ];
+                bot.sendMessage(message.roomId, announcements[Math.floor(Math.random() * announcements.length)]);
             }
 
+            const balance = await bot.heistManager.getUserBalance(message.username);
+            let resultMessage = '';
+
+            if (won) {
+                const winnings = amount * 2;
+                resultMessage = `🪙 You called ${playerChoice}, it's ${result}! You WIN $${winnings}!\nBalance: $${balance.balance}`;
+
+                // Public win announcement for big wins
+                if (!message.isPM && amount >= 100) {
+                    setTimeout(() => {
+                        bot.sendMessage(message.roomId, `fuckin hell! ${message.username} just won $${winnings} on a coin flip!`);
+                    }, 1500);
+                }
+            } else {
+                resultMessage = `🪙 You called ${playerChoice}, it's ${result}! You LOST $${amount}!\nBalance: $${balance.balance}`;
+
+                // Dazza's commentary on losses
+                if (Math.random() < 0.3) {
+                    setTimeout(() => {
+                        const taunts = [
+                            `shoulda called ${result} mate`,
+                            `dazza's beer money grows by $${amount}`,
+                            `${message.username}'s donation appreciated`,
+                            `better luck next flip... or not`,
+                            `the house always wins eventually`
+                        ];
+                        const taunt = taunts[Math.floor(Math.random() * taunts.length)];
+                        sendPM(bot, message.username, taunt, message.roomContext || message.roomId);
+                    }, 2000);
+                }
+            }
+
+            // Always send detailed result via PM
+            sendPM(bot, message.username, resultMessage, message.roomContext || message.roomId);
+
+            // Update stats (outside transaction for performance)
+            await this.updateStats(bot, message.username, won, amount, message.roomId || 'fatpizza');
+
+            // Track house stats under "dazza"
+            await this.updateStats(bot, 'dazza', !won, amount, message.roomId || 'fatpizza');
+
+            return { success: true };
+
         } catch (error) {
             bot.logger.error('Error in house coin flip:', { error: error.message, stack: error.stack });
             bot.sendMessage(message.roomId, 'coin vanished into thin air mate');
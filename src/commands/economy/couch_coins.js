@@ -142,7 +142,7 @@ export default new Command({
             // Check persistent cooldown (12 hours)
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, 43200000); // 12 hours
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message, 43200000)); // 12 hours
                 
                 if (!cooldownCheck.allowed) {
                     const hours = Math.floor(cooldownCheck.remaining / 3600);
@@ -182,8 +182,9 @@ export default new Command({
             const userEcon = await bot.heistManager.getUserBalance(message.username);
             const isDesperate = userEcon.balance < 20;
             
-            // Roll for bad event (8% base chance, 5% if desperate)
-            const badEventChance = isDesperate ? 0.05 : 0.08;
+            // Roll for bad event (8% base chance, 5% if desperate, less with a lucky charm)
+            const luck = await bot.inventoryManager?.getEffect(message.username, 'luck') || 0;
+            const badEventChance = (isDesperate ? 0.05 : 0.08) * (1 - luck);
             const badEventRoll = Math.random();
             
             if (badEventRoll < badEventChance) {
@@ -195,7 +196,11 @@ export default new Command({
                 const actualCost = Math.min(cost, userEcon.balance);
                 
                 if (actualCost > 0) {
-                    await bot.heistManager.updateUserEconomy(message.username, -actualCost, 0);
+                    await bot.heistManager.updateUserEconomy(message.username, -actualCost, 0, {
+                        type: 'couch_coins',
+                        description: 'Bad event while searching',
+                        roomId: message.roomId
+                    });
                     
                     let pmMessage = "❌ FUCKIN DISASTER!\n";
                     pmMessage += `📄 ${badEvent.message.replace('-amount', `$${actualCost}`)}\n\n`;
@@ -218,11 +223,6 @@ export default new Command({
                                 last_played = ?,
                                 updated_at = CURRENT_TIMESTAMP
                         `, [message.username, Date.now(), Date.now()]);
-                        
-                        await bot.db.run(`
-                            INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                            VALUES (?, ?, 'couch_coins', ?, ?, ?)
-                        `, [message.username, -actualCost, 'Bad event while searching', message.roomId || 'fatpizza', Date.now()]);
                     }
                 } else {
                     // User is broke, can't charge them
@@ -303,15 +303,20 @@ export default new Command({
                             last_played = ?,
                             updated_at = CURRENT_TIMESTAMP
                     `, [message.username, Date.now(), Date.now()]);
-                    
-                    await bot.db.run(`
-                        INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                        VALUES (?, 0, 'couch_coins', 'Found nothing', ?, ?)
-                    `, [message.username, message.roomId || 'fatpizza', Date.now()]);
                 }
+                
+                await bot.heistManager.updateUserEconomy(message.username, 0, 0, {
+                    type: 'couch_coins',
+                    description: 'Found nothing',
+                    roomId: message.roomId
+                });
             } else {
                 // Found money!
-                await bot.heistManager.updateUserEconomy(message.username, amount, 0);
+                await bot.heistManager.updateUserEconomy(message.username, amount, 0, {
+                    type: 'couch_coins',
+                    description: `Found in ${location}`,
+                    roomId: message.roomId
+                });
                 
                 let messageType;
                 if (amount <= 5) {
@@ -362,11 +367,6 @@ export default new Command({
                             last_played = ?,
                             updated_at = CURRENT_TIMESTAMP
                     `, [message.username, amount, amount, Date.now(), amount, bestFind, Date.now()]);
-                    
-                    await bot.db.run(`
-                        INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                        VALUES (?, ?, 'couch_coins', ?, ?, ?)
-                    `, [message.username, amount, `Found in ${location}`, message.roomId || 'fatpizza', Date.now()]);
                 }
                 
                 // Public announcement for big finds
@@ -377,6 +377,12 @@ export default new Command({
                 }
             }
 
+            // Not everything down there is money
+            const found = await bot.inventoryManager?.award(message.username, 'couch_coins', { roomId: message.roomId });
+            if (found) {
+                pmMessage += `\n\n🎒 Also pulled out a ${found.name} (!inventory)`;
+            }
+
             // Send PM
             sendPM(bot, message.username, pmMessage, message.roomContext || message.roomId);
             
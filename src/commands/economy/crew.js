@@ -0,0 +1,123 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { contentLoader } from '../../modules/heist/contentLoader.js';
+
+// Match a role or gear id, or its full name ("getaway driver")
+function findKey(items, wanted) {
+    return Object.keys(items).find(id => id === wanted || items[id].name.toLowerCase() === wanted);
+}
+
+export default new Command({
+    name: 'crew',
+    aliases: ['heistcrew'],
+    description: 'Pick a role and gear up for the heist being voted on',
+    usage: '!crew [roles | role <role> | gear | buy <item>]',
+    examples: [
+        '!crew - Who\'s in the crew and what\'s still up for grabs',
+        '!crew roles - What each role does and the trust you need for it',
+        '!crew role driver - Be the getaway driver (vote for a job first)',
+        '!crew gear - What dazza\'s got for sale',
+        '!crew buy crowbar - Buy a crowbar for this job'
+    ],
+    category: 'economy',
+    users: ['all'],
+    cooldown: 2000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const manager = bot.heistManager;
+        if (!manager) {
+            respond(bot, message, 'heist crew\'s not takin\' calls right now');
+            return { success: false };
+        }
+
+        const roomId = message.roomId;
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const subcommand = (args[0] || 'show').toLowerCase();
+        const wanted = args.slice(1).join(' ').toLowerCase();
+        const roles = contentLoader.getRoles(roomId);
+        const gear = contentLoader.getGear(roomId);
+
+        try {
+            switch (subcommand) {
+                case 'show':
+                case 'list': {
+                    if (manager.checkCrewOpen(roomId)) {
+                        say('no crew gettin\' together right now. wait for dazza to call a heist');
+                        return { success: true };
+                    }
+
+                    const crew = await manager.getCrew();
+                    if (crew.length === 0) {
+                        say('nobody\'s in yet. vote for a job to join the crew');
+                        return { success: true };
+                    }
+
+                    const members = crew.map(member => {
+                        const extras = [roles[member.role]?.name, ...member.gear.map(id => gear[id]?.name)].filter(Boolean);
+                        return extras.length > 0 ? `${member.username} (${extras.join(', ')})` : member.username;
+                    });
+                    const taken = new Set(crew.map(member => member.role));
+                    const free = Object.keys(roles).filter(id => !taken.has(id));
+
+                    say(`🕶️ crew: ${members.join(', ')}${free.length > 0 ? ` | up for grabs: ${free.join(', ')}` : ''}`);
+                    return { success: true };
+                }
+
+                case 'roles': {
+                    const list = Object.entries(roles).map(([id, role]) => `${id} (${role.min_level}+, ${role.description})`);
+                    say(`roles: ${list.join(' | ')}`);
+                    return { success: true };
+                }
+
+                case 'role':
+                case 'claim': {
+                    if (!wanted) {
+                        say(`usage: !crew role <${Object.keys(roles).join(' | ')}>`);
+                        return { success: false };
+                    }
+
+                    const result = await manager.claimRole(message.username, findKey(roles, wanted) || wanted, roomId);
+                    if (!result.success) {
+                        say(result.message);
+                        return { success: false };
+                    }
+
+                    say(`🕶️ -${result.username} is the ${result.role.name}`);
+                    return { success: true };
+                }
+
+                case 'gear':
+                case 'shop': {
+                    const list = Object.entries(gear).map(([id, item]) => `${id} $${item.price} (${item.description})`);
+                    say(`dazza's boot sale: ${list.join(' | ')}`);
+                    return { success: true };
+                }
+
+                case 'buy': {
+                    if (!wanted) {
+                        say(`usage: !crew buy <${Object.keys(gear).join(' | ')}>`);
+                        return { success: false };
+                    }
+
+                    const result = await manager.buyGear(message.username, findKey(gear, wanted) || wanted, roomId);
+                    if (!result.success) {
+                        say(result.message);
+                        return { success: false };
+                    }
+
+                    say(`🕶️ -${result.username} picks up a ${result.item.name} for $${result.item.price}`);
+                    return { success: true };
+                }
+
+                default:
+                    say('usage: !crew [roles | role <role> | gear | buy <item>]');
+                    return { success: false };
+            }
+        } catch (error) {
+            bot.logger.error('Crew command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'crew meeting got raided, try again');
+            return { success: false };
+        }
+    }
+});
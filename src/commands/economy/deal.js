@@ -0,0 +1,242 @@
+import { Command } from '../base.js';
+import { respond, sendPM } from '../../utils/pmHelper.js';
+import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+import { parseDuration } from '../../utils/timeParser.js';
+import { describeError } from '../../modules/market/index.js';
+import { formatLeadTime } from '../../modules/events/index.js';
+
+const USAGE = 'usage: !deal <user> lend|borrow <$> [<rate>% | back <$>] [3d] | !deal <user> bet <$> <what> | accept|decline|cancel [id] | repay [id] [$] | won|lost <id> | board';
+
+// Besides bot admins, these roles can rule on disputed bets
+const REF_ROLES = ['moderator'];
+
+function parseCash(token) {
+    const match = (token || '').match(/^\$?(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Pull the loan terms out of "100 10% 3d" / "100 back 150 1w"
+ */
+function parseLoan(words) {
+    const amount = parseCash(words[0]);
+    let repay = amount;
+    let termMs = null;
+
+    for (let i = 1; i < words.length; i++) {
+        const word = words[i].toLowerCase();
+        const rate = word.match(/^(\d+(?:\.\d+)?)%$/);
+        if (rate) {
+            repay = Math.round(amount * (1 + parseFloat(rate[1]) / 100));
+        } else if (word === 'back' && parseCash(words[i + 1]) !== null) {
+            repay = parseCash(words[++i]);
+        } else if (parseDuration(word)) {
+            termMs = parseDuration(word);
+        } else {
+            return null;
+        }
+    }
+
+    return amount === null ? null : { amount, repay, termMs };
+}
+
+export default new Command({
+    name: 'deal',
+    aliases: ['deals', 'loan', 'sidebet'],
+    description: 'Loans and side bets with other users, money held by Dazza till both sides agree',
+    usage: '!deal <user> lend|borrow <amount> [<rate>% | back <amount>] [term] | !deal <user> bet <amount> <what> | accept | decline | cancel | repay | won | lost | board',
+    examples: [
+        '!deal Bob lend 100 10% 3d - Offer Bob $100, $110 back in 3 days',
+        '!deal Bob borrow 50 back 60 1w - Ask Bob for $50, pay back $60 in a week',
+        '!deal Bob bet 20 the Broncos win tonight - $20 each, you back the Broncos',
+        '!deal accept - Take the last deal offered to ya (or !deal accept 4)',
+        '!deal repay 4 - Pay off loan #4 early',
+        '!deal won 5 / !deal lost 5 - Call side bet #5, pays out when both sides agree',
+        '!deal board - Every live deal in the room',
+        '!deal 4 - Where deal #4 is at',
+        '!deal - Ya own deals'
+    ],
+    category: 'economy',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        // Deals always go up in the room so everyone can see who's dealin' with who
+        const announce = (text) => bot.sendMessage(message.roomId, text);
+        const market = bot.dealManager;
+        if (!market || !bot.heistManager) {
+            say('the market\'s shut, try again later');
+            return { success: false };
+        }
+
+        try {
+            const subcommand = (args[0] || 'mine').toLowerCase();
+            const id = parseInt((args[1] || '').replace('#', '')) || null;
+
+            switch (subcommand) {
+                case 'mine':
+                case 'list':
+                case 'board': {
+                    const deals = subcommand === 'board'
+                        ? await market.listRoom(message.roomId)
+                        : await market.listFor(message.username);
+                    if (deals.length === 0) {
+                        say(subcommand === 'board' ? 'no deals goin\' on in here' : `-${message.username} ya got no deals on`);
+                        return { success: true };
+                    }
+
+                    say(`🤝 ${deals.map(deal => `${market.describeDeal(deal)}${deal.status === 'proposed' ? ' (offered)' : ''}`).join(' | ')}`);
+                    return { success: true };
+                }
+
+                case 'accept': {
+                    const result = await market.accept(message.username, id, message.roomId);
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    const { deal } = result;
+                    announce(deal.kind === 'bet'
+                        ? `🤝 bet's on! $${deal.amount * 2} in the pot for #${deal.id}: "${deal.claim}". both of ya !deal won|lost ${deal.id} when it's decided`
+                        : `🤝 deal done! ${market.describeDeal(deal)}`);
+                    return { success: true };
+                }
+
+                case 'decline':
+                case 'cancel': {
+                    const result = subcommand === 'decline'
+                        ? await market.decline(message.username, id)
+                        : await market.cancel(message.username, id);
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    announce(subcommand === 'decline'
+                        ? `❌ ${message.username} knocked back deal #${result.deal.id}`
+                        : `❌ ${message.username} pulled deal #${result.deal.id}`);
+                    return { success: true };
+                }
+
+                case 'repay':
+                case 'payback': {
+                    const amount = parseCash(args[2]);
+                    const result = await market.repay(message.username, id, amount, message.roomId);
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    announce(result.owed === 0
+                        ? `💸 ${message.username} paid off loan #${result.deal.id}, square with ${result.deal.lender}`
+                        : `💸 ${message.username} put $${result.paid} towards loan #${result.deal.id}, $${result.owed} to go`);
+                    return { success: true };
+                }
+
+                case 'won':
+                case 'lost': {
+                    if (!id) {
+                        say(`usage: !deal ${subcommand} <id>`);
+                        return { success: false };
+                    }
+
+                    const result = await market.callBet(message.username, id, subcommand === 'won');
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    const { deal } = result;
+                    if (result.settled) {
+                        announce(`🏆 ${result.winner} takes the $${deal.amount * 2} pot on bet #${deal.id} ("${deal.claim}")`);
+                    } else if (result.disputed) {
+                        announce(`⚠️ bet #${deal.id} is disputed, ya can't agree who won. money stays put till a mod sorts it (!deal rule ${deal.id} <winner|refund>)`);
+                    } else {
+                        say(`-${message.username} reckons ${result.winner} won #${deal.id}, waitin' on the other side to agree`);
+                    }
+                    return { success: true };
+                }
+
+                case 'rule': {
+                    if (!bot.isAdmin(message.username) && !bot.hasRole(message.username, REF_ROLES, message.roomId)) {
+                        say(`-${message.username} only mods can ref a bet`);
+                        return { success: false };
+                    }
+
+                    const call = args[2]?.toLowerCase();
+                    if (!id || !call) {
+                        say('usage: !deal rule <id> <winner | refund>');
+                        return { success: false };
+                    }
+
+                    const result = await market.rule(id, call === 'refund' ? null : args[2]);
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    announce(result.winner
+                        ? `⚖️ ${message.username} rules ${result.winner} won bet #${id}, $${result.deal.amount * 2} paid out`
+                        : `⚖️ ${message.username} called off bet #${id}, stakes handed back`);
+                    return { success: true };
+                }
+            }
+
+            if (/^#?\d+$/.test(args[0])) {
+                const deal = await market.getDeal(parseInt(args[0].replace('#', '')));
+                if (!deal) {
+                    say(`-${message.username} no deal #${args[0].replace('#', '')}`);
+                    return { success: false };
+                }
+
+                say(`🤝 ${market.describeDeal(deal)} [${deal.status}${deal.winner ? `, ${deal.winner} won` : ''}]`);
+                return { success: true };
+            }
+
+            // Anything else is a new deal: !deal <user> lend|borrow|bet ...
+            const kind = args[1]?.toLowerCase();
+            if (args.length < 3 || !['lend', 'borrow', 'bet'].includes(kind)) {
+                say(USAGE);
+                return { success: false };
+            }
+
+            let terms;
+            if (kind === 'bet') {
+                terms = { kind: 'bet', amount: parseCash(args[2]), claim: args.slice(3).join(' ') };
+            } else {
+                const loan = parseLoan(args.slice(2));
+                terms = loan && { kind: 'loan', lending: kind === 'lend', ...loan };
+            }
+            if (!terms || terms.amount === null) {
+                say(USAGE);
+                return { success: false };
+            }
+
+            const target = await getCanonicalUsername(bot, args[0]);
+            const result = await market.propose(message.roomId, message.username, target, terms);
+            if (!result.success) {
+                say(`-${message.username} ${describeError(result)}`);
+                return { success: false };
+            }
+
+            const { deal, trust } = result;
+            const tag = (name) => `${name} (${trust[name].icon} ${trust[name].title})`;
+            const window = formatLeadTime(deal.expires_at - Date.now());
+            const offer = deal.kind === 'bet'
+                ? `${tag(deal.proposer)} bets ${tag(deal.counterparty)} $${deal.amount} each that "${deal.claim}"`
+                : `${tag(deal.lender)} lends ${tag(deal.borrower)} $${deal.amount}, $${deal.repay_amount} back ${formatLeadTime(deal.term_ms)} after`;
+
+            announce(`📜 DEAL #${deal.id}: ${offer} | ${deal.counterparty}: !deal accept ${deal.id} or !deal decline ${deal.id} within ${window}`);
+            if (message.isPM) {
+                sendPM(bot, deal.counterparty, `📜 ${deal.proposer} offered ya deal #${deal.id}: ${offer}. !deal accept ${deal.id} or !deal decline ${deal.id}`, message.roomId);
+            }
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Deal command error:', { error: error.message, stack: error.stack });
+            say('the deal fell through, try again later');
+            return { success: false };
+        }
+    }
+});
@@ -9,7 +9,7 @@ export default new Command({
         '!forceheist - Force Dazza to start a heist immediately'
     ],
     category: 'economy',
-    users: ['hildolfr'],
+    roles: ['developer'],
     cooldown: 1000,
     pmAccepted: true,
     pmResponses: true,
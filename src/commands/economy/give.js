@@ -1,15 +1,57 @@
 import { Command } from '../base.js';
 import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
 import { sendPM } from '../../utils/pmHelper.js';
+import { InsufficientFundsError } from '../../modules/economy/index.js';
+import { resolveItem, describeError } from '../../modules/inventory/index.js';
+
+// !give <user> <item> [amount] - hand over items instead of cash
+async function giveItem(bot, message, args) {
+    const reply = (text) => {
+        if (message.isPM) {
+            // Only the - in front of names, item names can have their own
+            sendPM(bot, message.username, text.replace(/(^|\s)-/g, '$1'), message.roomContext || message.roomId);
+        } else {
+            bot.sendMessage(message.roomId, text);
+        }
+    };
+
+    if (!bot.inventoryManager) {
+        reply('someone nicked the bag, try again later');
+        return { success: false };
+    }
+
+    const hasAmount = args.length > 2 && /^\d+$/.test(args[args.length - 1]);
+    const quantity = hasAmount ? parseInt(args[args.length - 1]) : 1;
+    const itemId = resolveItem((hasAmount ? args.slice(1, -1) : args.slice(1)).join(' '));
+    if (!itemId || quantity < 1) {
+        reply(`oi -${message.username}, dunno what that is. usage: !give <user> <amount> or !give <user> <item> [amount]`);
+        return { success: false };
+    }
+
+    const target = await getCanonicalUsername(bot, args[0]);
+    const result = await bot.inventoryManager.give(message.username, target, itemId, quantity, message.roomId);
+    if (!result.success) {
+        reply(`-${message.username} ${describeError(result)}`);
+        return { success: false };
+    }
+
+    const gift = `${result.quantity > 1 ? `${result.quantity}x ` : 'a '}${result.name}`;
+    reply(`🎁 -${message.username} handed -${target} ${gift}`);
+    if (message.isPM) {
+        sendPM(bot, target, `🎁 ${message.username} just gave ya ${gift}`, message.roomContext || message.roomId);
+    }
+    return { success: true };
+}
 
 export default new Command({
     name: 'give',
     aliases: ['transfer', 'send', 'pay'],
-    description: 'Give money to another user',
-    usage: '!give <username> <amount>',
+    description: 'Give money or items to another user',
+    usage: '!give <username> <amount> | !give <username> <item> [amount]',
     examples: [
         '!give Bob 10 - Give $10 to Bob',
-        '!give Shazza 50 - Give $50 to Shazza'
+        '!give Shazza 50 - Give $50 to Shazza',
+        '!give Bob vintage bottle 3 - Give Bob three Vintage Bottles'
     ],
     category: 'economy',
     cooldown: 5000,
@@ -38,6 +80,10 @@ export default new Command({
                 return { success: false };
             }
 
+            if (!/^\d+$/.test(args[1])) {
+                return await giveItem(bot, message, args);
+            }
+
             const targetUser = args[0];
             const amount = parseInt(args[1]);
 
@@ -72,8 +118,11 @@ export default new Command({
             // Special handling for giving to Dazza
             if (targetUser.toLowerCase() === bot.username.toLowerCase()) {
                 // Actually give the money to Dazza
-                await bot.heistManager.updateUserEconomy(message.username, -amount, 0);
-                await bot.heistManager.updateUserEconomy('dazza', amount, 0);
+                await bot.heistManager.transferMoney(message.username, 'dazza', amount, {
+                    type: 'give',
+                    description: `${message.username} shouted dazza $${amount}`,
+                    roomId: message.roomId
+                });
                 
                 // Get updated sender balance
                 const newSenderBalance = await bot.heistManager.getUserBalance(message.username);
@@ -164,8 +213,11 @@ export default new Command({
             const targetEcon = await bot.heistManager.getUserBalance(properTargetUsername);
             
             // Perform the transfer
-            await bot.heistManager.updateUserEconomy(message.username, -amount, 0);
-            await bot.heistManager.updateUserEconomy(properTargetUsername, amount, 0);
+            await bot.heistManager.transferMoney(message.username, properTargetUsername, amount, {
+                type: 'give',
+                description: `${message.username} gave ${properTargetUsername} $${amount}`,
+                roomId: message.roomId
+            });
 
             // Get updated balances
             const newSenderBalance = await bot.heistManager.getUserBalance(message.username);
@@ -220,8 +272,12 @@ export default new Command({
             return { success: true };
             
         } catch (error) {
-            bot.logger.error('Give command error:', { error: error.message, stack: error.stack });
-            const errorMsg = 'somethin went wrong with the transfer mate';
+            let errorMsg = 'somethin went wrong with the transfer mate';
+            if (error instanceof InsufficientFundsError) {
+                errorMsg = 'ya can\'t afford that mate, check ya balance';
+            } else {
+                bot.logger.error('Give command error:', { error: error.message, stack: error.stack });
+            }
             if (message.isPM) {
                 sendPM(bot, message.username, errorMsg, message.roomContext || message.roomId);
             } else {
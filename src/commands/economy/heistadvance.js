@@ -9,7 +9,7 @@ export default new Command({
         '!heistadvance - Skip to the next heist phase'
     ],
     category: 'economy',
-    users: ['hildolfr'],
+    roles: ['developer'],
     cooldown: 1000,
     pmAccepted: true,
     pmResponses: true,
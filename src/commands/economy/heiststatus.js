@@ -9,7 +9,7 @@ export default new Command({
         '!heiststatus - Shows current heist state, votes, and timers'
     ],
     category: 'economy',
-    users: ['hildolfr'],
+    roles: ['developer'],
     cooldown: 1000,
     pmAccepted: true,
     pmResponses: true,
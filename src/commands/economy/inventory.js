@@ -0,0 +1,59 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+import { ITEMS, ITEM_RARITIES, resolveItem } from '../../modules/inventory/index.js';
+
+export default new Command({
+    name: 'inventory',
+    aliases: ['inv', 'items', 'bag'],
+    description: 'See what ya carryin\', or what an item does',
+    usage: '!inventory [user] | !inventory info <item>',
+    examples: [
+        '!inventory - What\'s in ya bag',
+        '!inventory Bob - What\'s in Bob\'s bag',
+        '!inventory info lucky penny - What a Lucky Two-Up Penny does and what it sells for'
+    ],
+    category: 'economy',
+    cooldown: 5000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const inventory = bot.inventoryManager;
+        if (!inventory) {
+            say('someone nicked the bag, try again later');
+            return { success: false };
+        }
+
+        try {
+            if (args[0]?.toLowerCase() === 'info') {
+                const itemId = resolveItem(args.slice(1).join(' '));
+                if (!itemId) {
+                    say(`-${message.username} never heard of it`);
+                    return { success: false };
+                }
+
+                const item = ITEMS[itemId];
+                say(`${ITEM_RARITIES[item.rarity].emoji} ${item.name} (${item.rarity} ${item.kind}): ${item.description} | ` +
+                    `sells for $${item.value}, carry up to ${item.stack}`);
+                return { success: true };
+            }
+
+            const target = await getCanonicalUsername(bot, args[0] || message.username);
+            const items = await inventory.getItems(target);
+            if (items.length === 0) {
+                say(`${target}'s got nothin' but lint and a bus ticket`);
+                return { success: true };
+            }
+
+            const worth = items.reduce((sum, item) => sum + item.value * item.quantity, 0);
+            const list = items.map(item => `${ITEM_RARITIES[item.rarity].emoji} ${item.name}${item.quantity > 1 ? ` x${item.quantity}` : ''}`);
+            say(`🎒 ${target}'s carryin': ${list.join(', ')} | worth $${worth} at the pawn shop`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Inventory command error:', { error: error.message, stack: error.stack });
+            say('bag split open, try again later');
+            return { success: false };
+        }
+    }
+});
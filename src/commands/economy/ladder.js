@@ -0,0 +1,82 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+import { formatLeadTime } from '../../modules/events/index.js';
+
+export default new Command({
+    name: 'ladder',
+    aliases: ['elo', 'pissladder'],
+    description: 'Pissing contest ratings for the season, and past seasons\' final standings',
+    usage: '!ladder [<user> | season <n>]',
+    examples: [
+        '!ladder - Top of this season\'s ladder and where ya sit',
+        '!ladder Bob - Bob\'s rating and rank',
+        '!ladder season 2 - How season 2 finished'
+    ],
+    category: 'economy',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const ladder = bot.ladderManager;
+        if (!ladder) {
+            say('the ladder\'s fallen over, try again later');
+            return { success: false };
+        }
+
+        try {
+            if (args[0]?.toLowerCase() === 'season') {
+                const id = parseInt((args[1] || '').replace('#', ''));
+                const result = isNaN(id) ? null : await ladder.getLadder(id, 5);
+                if (!result) {
+                    say('no season like that');
+                    return { success: false };
+                }
+
+                const { season, standings } = result;
+                if (standings.length === 0) {
+                    say(`nobody's pissed in season ${season.id}`);
+                    return { success: true };
+                }
+
+                const top = standings.map(row => `${row.rank}. ${row.username} ${row.rating}`).join(' | ');
+                say(`🏆 season ${season.id}${season.status === 'archived' ? ' final standings' : ' so far'}: ${top}`);
+                return { success: true };
+            }
+
+            if (args[0]) {
+                const username = await getCanonicalUsername(bot, args[0]);
+                const season = await ladder.getSeason();
+                const rating = await ladder.getRating(username, season);
+                const rank = await ladder.getRank(username, season);
+                if (!rank) {
+                    say(`${username} hasn't pissed this season`);
+                    return { success: true };
+                }
+
+                say(`📈 ${username}: ${rating.rating} (#${rank}, peak ${rating.peak_rating}) ${rating.wins}W/${rating.losses}L this season`);
+                return { success: true };
+            }
+
+            const { season, standings } = await ladder.getLadder(null, 5);
+            const left = formatLeadTime(season.ends_at - Date.now());
+            if (standings.length === 0) {
+                say(`🏆 season ${season.id}'s wide open, ${left} left. !piss someone to get on the ladder`);
+                return { success: true };
+            }
+
+            const top = standings.map(row => `${row.rank}. ${row.username} ${row.rating}`).join(' | ');
+            const rank = await ladder.getRank(message.username, season);
+            const mine = rank && rank > standings.length
+                ? ` | ya #${rank} on ${(await ladder.getRating(message.username, season)).rating}`
+                : '';
+            say(`🏆 season ${season.id} (${left} left): ${top}${mine}`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Ladder command error:', { error: error.message, stack: error.stack });
+            say('the ladder\'s fallen over, try again later');
+            return { success: false };
+        }
+    }
+});
@@ -30,6 +30,14 @@ const responseMessages = {
     ]
 };
 
+// Guard dog messages, when the victim's dog sees the mugger off
+const dogMessages = [
+    "🐕 -victim's staffy latched onto -attacker's leg and wouldn't let go! cops fine ya $-fine",
+    "🐕 -victim's dog chased -attacker three blocks and up a tree. $-fine fine when the cops got ya down",
+    "🐕 -attacker went for -victim's pocket and copped a mouthful of dog. $-fine fine",
+    "🐕 -victim didn't even wake up, the dog handled it. -attacker fined $-fine"
+];
+
 // Successful mug messages by amount
 const successMessages = {
     small: [ // $1-20
@@ -139,7 +147,8 @@ export default new Command({
     usage: '!mug <username>',
     examples: [
         '!mug jimmy - Try to mug jimmy',
-        '!mug dazza - Attempt to mug dazza (not recommended)'
+        '!mug dazza - Attempt to mug dazza (not recommended)',
+        '!protection - Dogs, mates and wallet chains to stop it happening to you'
     ],
     category: 'economy',
     pmAccepted: true,
@@ -180,7 +189,7 @@ export default new Command({
             // Check persistent cooldown (2 hours)
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, 7200000); // 2 hours
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message, 7200000)); // 2 hours
                 
                 if (!cooldownCheck.allowed) {
                     const hours = Math.floor(cooldownCheck.remaining / 3600);
@@ -214,13 +223,18 @@ export default new Command({
                     const amount = Math.min(Math.floor(Math.random() * 50) + 1, dazzaBalance.balance);
                     
                     if (amount > 0) {
-                        await bot.heistManager.updateUserEconomy('dazza', -amount, 0);
-                        await bot.heistManager.updateUserEconomy(message.username, amount, 5); // +5 trust for balls
+                        await bot.heistManager.transferMoney('dazza', message.username, amount, {
+                            type: 'mug',
+                            fromType: 'mugged',
+                            toTrust: 5, // +5 trust for balls
+                            description: 'Mugged dazza',
+                            roomId: message.roomId
+                        });
                         
                         bot.sendMessage(message.roomId, `HOLY SHIT! -${message.username} actually mugged dazza for $${amount}! legendary! (-${message.username} +5 trust)`);
                         
                         // Update mug stats
-                        await updateMugStats(bot.db, message.username, targetUsername, true, amount, message.roomId || 'fatpizza');
+                        await updateMugStats(bot.db, message.username, targetUsername, true, amount);
                     } else {
                         bot.sendMessage(message.roomId, `-${message.username} tried to mug dazza but he's broke as usual`);
                     }
@@ -233,8 +247,13 @@ export default new Command({
                     );
                     
                     if (reversalAmount > 0) {
-                        await bot.heistManager.updateUserEconomy(message.username, -reversalAmount, -2); // -2 trust
-                        await bot.heistManager.updateUserEconomy('dazza', reversalAmount, 0);
+                        await bot.heistManager.transferMoney(message.username, 'dazza', reversalAmount, {
+                            type: 'mug',
+                            toType: 'mug_reversal',
+                            fromTrust: -2,
+                            description: 'Failed to mug dazza',
+                            roomId: message.roomId
+                        });
                         
                         let reversalMsg = dazzaReversalMessages[Math.floor(Math.random() * dazzaReversalMessages.length)];
                         reversalMsg = reversalMsg.replace('-attacker', `-${message.username}`);
@@ -243,13 +262,19 @@ export default new Command({
                         bot.sendMessage(message.roomId, `${reversalMsg} (-${message.username} -2 trust)`);
                         
                         // Update stats
-                        await updateMugStats(bot.db, message.username, 'dazza', false, -reversalAmount, message.roomId || 'fatpizza');
+                        await updateMugStats(bot.db, message.username, 'dazza', false, -reversalAmount);
                     } else {
                         bot.sendMessage(message.roomId, `*dazza beats up -${message.username}* would've robbed ya but you're broke!`);
-                        await updateMugStats(bot.db, message.username, 'dazza', false, 0, message.roomId || 'fatpizza');
+                        await bot.heistManager.updateUserEconomy(message.username, 0, 0, {
+                            type: 'mug',
+                            description: 'Failed to mug dazza',
+                            roomId: message.roomId
+                        });
+                        await updateMugStats(bot.db, message.username, 'dazza', false, 0);
                     }
                 }
                 
+                await bot.crimeManager?.addHeat(message.username, 'dazza');
                 return { success: true };
             }
 
@@ -348,37 +373,70 @@ export default new Command({
             // Calculate success
             let successChance = calculateSuccessChance(attackerTrust, victimTrust, victimAFK);
             
+            // Whatever protection the victim's got, and any heat the mugger's carrying
+            const crime = bot.crimeManager;
+            const protection = crime ? await crime.getProtection(targetUsername) : { guard: 0, backup: 0, shield: 0 };
+            const heat = crime ? await crime.getHeat(message.username) : 0;
+            const policeFine = () => crime ? crime.applyHeat(calculateFine(), heat) : calculateFine();
+            
+            // A mate on call turns up for one mugging and cuts the odds
+            const backedUp = protection.backup > 0 && await crime.callBackup(targetUsername, message.roomId);
+            if (backedUp) {
+                bot.sendMessage(message.roomId, `📞 -${targetUsername}'s mate rocks up to back them in!`);
+            }
+            
+            // Victim (or their dog) sees the mugger off: fined, trust both ways,
+            // and any bounty on the mugger goes to the victim
+            const fightOff = async (describe) => {
+                const attackerBalance = await bot.heistManager.getUserBalance(message.username);
+                const fine = Math.min(policeFine(), attackerBalance.balance); // Don't fine more than they have
+                const defenseTrustGain = Math.floor(Math.random() * 3) + 1; // 1-3 trust gain
+                
+                // -3 trust severe penalty (just the trust if they're broke)
+                await bot.heistManager.updateUserEconomy(message.username, -fine, -3, {
+                    type: 'mug',
+                    description: `Failed to mug ${targetUsername}`,
+                    roomId: message.roomId
+                });
+                // variable trust for defending
+                await bot.heistManager.updateUserEconomy(targetUsername, 0, defenseTrustGain, {
+                    type: 'mug_defended',
+                    description: `Fought off ${message.username}`,
+                    roomId: message.roomId
+                });
+                
+                const defendMsg = fine > 0
+                    ? describe(fine)
+                    : `-${targetUsername} fought off -${message.username} who's too broke to pay the fine!`;
+                
+                bot.sendMessage(message.roomId, `${defendMsg} (-${message.username} -3 trust, -${targetUsername} +${defenseTrustGain} trust)`);
+                
+                await updateMugStats(bot.db, message.username, targetUsername, false, -fine);
+                
+                if (crime) {
+                    await crime.addHeat(message.username, 'arrested');
+                    const bounty = await crime.claimBounties(message.username, targetUsername, message.roomId);
+                    if (bounty.total > 0) {
+                        bot.sendMessage(message.roomId, `💰 -${targetUsername} collects the $${bounty.total} bounty on -${message.username}'s head!`);
+                    }
+                }
+            };
+            
             // If victim responded, heavily favor them
             if (victimResponded) {
                 successChance = 1 - calculateResponseSuccessChance(victimTrust);
-                
+            }
+            if (backedUp) {
+                successChance = Math.max(0.05, successChance - protection.backup);
+            }
+            
+            if (victimResponded) {
                 const roll = Math.random();
                 if (roll > successChance) {
                     // Victim successfully defends
-                    const attackerBalance = await bot.heistManager.getUserBalance(message.username);
-                    const baseFine = calculateFine();
-                    const fine = Math.min(baseFine, attackerBalance.balance); // Don't fine more than they have
-                    const defenseTrustGain = Math.floor(Math.random() * 3) + 1; // 1-3 trust gain
-                    
-                    if (fine > 0) {
-                        await bot.heistManager.updateUserEconomy(message.username, -fine, -3); // -3 trust severe penalty
-                    } else {
-                        await bot.heistManager.updateUserEconomy(message.username, 0, -3); // Just trust penalty if broke
-                    }
-                    await bot.heistManager.updateUserEconomy(targetUsername, 0, defenseTrustGain); // variable trust for defending
-                    
-                    let defendMsg;
-                    if (fine > 0) {
-                        defendMsg = responseMessages.victimDefends[Math.floor(Math.random() * responseMessages.victimDefends.length)]
-                            .replace('-victim', `-${targetUsername}`)
-                            .replace('-fine', fine);
-                    } else {
-                        defendMsg = `-${targetUsername} fought off -${message.username} who's too broke to pay the fine!`;
-                    }
-                    
-                    bot.sendMessage(message.roomId, `${defendMsg} (-${message.username} -3 trust, -${targetUsername} +${defenseTrustGain} trust)`);
-                    
-                    await updateMugStats(bot.db, message.username, targetUsername, false, -fine, message.roomId || 'fatpizza');
+                    await fightOff(fine => responseMessages.victimDefends[Math.floor(Math.random() * responseMessages.victimDefends.length)]
+                        .replace('-victim', `-${targetUsername}`)
+                        .replace('-fine', fine));
                     return { success: true };
                 }
             }
@@ -386,14 +444,28 @@ export default new Command({
             // Roll for success
             const roll = Math.random();
             
-            if (roll < successChance) {
+            if (roll < successChance && protection.guard > 0 && Math.random() < protection.guard) {
+                // The dog doesn't care if they're AFK
+                await fightOff(fine => dogMessages[Math.floor(Math.random() * dogMessages.length)]
+                    .replace('-victim', `-${targetUsername}`)
+                    .replace('-attacker', `-${message.username}`)
+                    .replace('-fine', fine));
+            } else if (roll < successChance) {
                 // Successful mug!
-                const mugAmount = calculateMugAmount(victimEcon.balance, attackerTrust);
+                const grabbed = calculateMugAmount(victimEcon.balance, attackerTrust);
+                // A chained wallet keeps some of it in the victim's pocket
+                const mugAmount = protection.shield > 0 ? Math.ceil(grabbed * (1 - protection.shield)) : grabbed;
                 
                 if (mugAmount > 0) {
-                    // Transfer money
-                    await bot.heistManager.updateUserEconomy(targetUsername, -mugAmount, -1); // -1 trust for getting mugged
-                    await bot.heistManager.updateUserEconomy(message.username, mugAmount, 2); // +2 trust for successful mug
+                    // Transfer money: -1 trust for getting mugged, +2 trust for successful mug
+                    await bot.heistManager.transferMoney(targetUsername, message.username, mugAmount, {
+                        type: 'mug',
+                        fromType: 'mugged',
+                        fromTrust: -1,
+                        toTrust: 2,
+                        description: `Mugged ${targetUsername}`,
+                        roomId: message.roomId
+                    });
                     
                     // Check if victim is now broke
                     const newVictimBalance = await bot.heistManager.getUserBalance(targetUsername);
@@ -406,6 +478,9 @@ export default new Command({
                     let successMsg = successMessages[msgCategory][Math.floor(Math.random() * successMessages[msgCategory].length)]
                         .replace('-amount', mugAmount)
                         .replace('-victim', `-${targetUsername}`);
+                    if (mugAmount < grabbed) {
+                        successMsg += `, but the chained wallet kept $${grabbed - mugAmount} safe`;
+                    }
                     
                     bot.sendMessage(message.roomId, `${successMsg} (-${message.username} +2 trust, -${targetUsername} -1 trust)`);
                     
@@ -419,19 +494,20 @@ export default new Command({
                         }, 2000);
                     }
                     
-                    await updateMugStats(bot.db, message.username, targetUsername, true, mugAmount, message.roomId || 'fatpizza');
+                    await updateMugStats(bot.db, message.username, targetUsername, true, mugAmount);
+                    await crime?.addHeat(message.username, 'mugged');
                 }
             } else {
                 // Failed mug
                 const attackerBalance = await bot.heistManager.getUserBalance(message.username);
-                const baseFine = calculateFine();
-                const fine = Math.min(baseFine, attackerBalance.balance); // Don't fine more than they have
+                const fine = Math.min(policeFine(), attackerBalance.balance); // Don't fine more than they have
                 
-                if (fine > 0) {
-                    await bot.heistManager.updateUserEconomy(message.username, -fine, -2); // -2 trust for failure
-                } else {
-                    await bot.heistManager.updateUserEconomy(message.username, 0, -2); // Just trust penalty if broke
-                }
+                // -2 trust for failure (just the trust if they're broke)
+                await bot.heistManager.updateUserEconomy(message.username, -fine, -2, {
+                    type: 'mug',
+                    description: `Failed to mug ${targetUsername}`,
+                    roomId: message.roomId
+                });
                 
                 // Select failure message based on trust levels
                 let msgCategory = 'equalTrust';
@@ -449,7 +525,8 @@ export default new Command({
                 
                 bot.sendMessage(message.roomId, `${failMsg} (-${message.username} -2 trust)`);
                 
-                await updateMugStats(bot.db, message.username, targetUsername, false, -fine, message.roomId || 'fatpizza');
+                await updateMugStats(bot.db, message.username, targetUsername, false, -fine);
+                await crime?.addHeat(message.username, 'arrested');
             }
 
             return { success: true };
@@ -463,7 +540,7 @@ export default new Command({
 });
 
 // Helper function to update mug statistics
-async function updateMugStats(db, attacker, victim, success, amount, roomId = 'fatpizza') {
+async function updateMugStats(db, attacker, victim, success, amount) {
     if (!db) return;
     
     try {
@@ -514,12 +591,6 @@ async function updateMugStats(db, attacker, victim, success, amount, roomId = 'f
             `, [victim, amount, attacker, now, amount, attacker, now]);
         }
         
-        // Log transaction
-        await db.run(`
-            INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-            VALUES (?, ?, 'mug', ?, ?, ?)
-        `, [attacker, amount, success ? `Mugged ${victim}` : `Failed to mug ${victim}`, roomId, now]);
-        
     } catch (error) {
         console.error('Failed to update mug stats:', error);
     }
@@ -1,6 +1,7 @@
 import { Command } from '../base.js';
 import { PersistentCooldownManager } from '../../utils/persistentCooldowns.js';
 import { sendPM } from '../../utils/pmHelper.js';
+import { HOUSE } from '../../modules/economy/index.js';
 
 // Esky opening messages
 const openingMessages = [
@@ -163,7 +164,7 @@ export default new Command({
             // Check persistent cooldown (5 minutes)
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, 300000); // 5 minutes
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message, 300000)); // 5 minutes
                 
                 if (!cooldownCheck.allowed) {
                     const minutes = Math.floor(cooldownCheck.remaining / 60);
@@ -178,14 +179,20 @@ export default new Command({
             bot.sendMessage(message.roomId, `${message.username} bought a mystery esky for $${cost}! *watches nervously*`);
 
             // Deduct the cost
-            await bot.heistManager.updateUserEconomy(message.username, -cost, 0);
+            await bot.heistManager.updateUserEconomy(message.username, -cost, 0, {
+                type: 'mystery_esky_bet',
+                description: 'Bought a mystery esky',
+                roomId: message.roomId,
+                counterparty: HOUSE
+            });
 
             // Send opening message via PM
             const openingMsg = openingMessages[Math.floor(Math.random() * openingMessages.length)];
             sendPM(bot, message.username, `🎁 Mystery Esky Purchase\n\n${openingMsg}`, message.roomContext || message.roomId);
 
-            // Determine outcome
+            // Determine outcome (gloves from the inventory cut the trap chance)
             const roll = Math.random();
+            const trapWard = await bot.inventoryManager?.getEffect(message.username, 'trap_ward') || 0;
             let resultMessage;
             let publicAnnouncement = null;
             let winnings = 0;
@@ -195,7 +202,7 @@ export default new Command({
 
             // Simulate opening delay
             setTimeout(async () => {
-                if (roll < 0.05) {
+                if (roll < 0.05 * (1 - trapWard)) {
                     // 5% chance of dangerous trap
                     wasTrap = true;
                     hospitalCost = Math.min(
@@ -206,18 +213,12 @@ export default new Command({
                     resultMessage = trapMessages[Math.floor(Math.random() * trapMessages.length)];
                     resultMessage = resultMessage.replace('-cost', hospitalCost);
                     
-                    // Deduct hospital costs
-                    if (hospitalCost > 0) {
-                        await bot.heistManager.updateUserEconomy(message.username, -hospitalCost, 0);
-                    }
-                    
-                    // Log trap transaction
-                    if (bot.db) {
-                        await bot.db.run(
-                            'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                            [message.username, -hospitalCost, 'mystery_esky', `Hospital bills from trap`, message.roomId || 'fatpizza', Date.now()]
-                        );
-                    }
+                    // Deduct hospital costs (logged even when they got off free)
+                    await bot.heistManager.updateUserEconomy(message.username, -hospitalCost, 0, {
+                        type: 'mystery_esky',
+                        description: 'Hospital bills from trap',
+                        roomId: message.roomId
+                    });
                 } else if (roll < 0.85) {
                     // 80% chance of loss (house odds)
                     resultMessage = lossMessages[Math.floor(Math.random() * lossMessages.length)];
@@ -241,25 +242,30 @@ export default new Command({
                     resultMessage = winMessage.replace('-amount', winnings);
                     
                     // Add winnings
-                    await bot.heistManager.updateUserEconomy(message.username, winnings, 0);
+                    await bot.heistManager.updateUserEconomy(message.username, winnings, 0, {
+                        type: 'mystery_esky',
+                        description: `Won ${winnings} from mystery esky`,
+                        roomId: message.roomId,
+                        counterparty: HOUSE
+                    });
                     
                     // Public announcement for big wins
                     if (winnings >= 200) {
                         publicAnnouncement = `🎊 MASSIVE WIN! ${message.username} just won $${winnings} from a mystery esky! 🎊`;
                     }
-                    
-                    // Log win transaction
-                    if (bot.db) {
-                        await bot.db.run(
-                            'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                            [message.username, winnings, 'mystery_esky', `Won ${winnings} from mystery esky`, message.roomId || 'fatpizza', Date.now()]
-                        );
-                    }
                 }
 
+                // Whatever else is rattlin' around in there goes in the bag
+                const found = !wasTrap && bot.inventoryManager
+                    ? await bot.inventoryManager.award(message.username, 'mystery_esky', { roomId: message.roomId })
+                    : null;
+
                 // Send result via PM
                 const newBalance = await bot.heistManager.getUserBalance(message.username);
                 let pmResult = `\n📦 RESULT: ${resultMessage}`;
+                if (found) {
+                    pmResult += `\n🎒 Also at the bottom: a ${found.name}! (!inventory)`;
+                }
                 pmResult += `\n\n💰 New balance: $${newBalance.balance}`;
                 
                 // Add stats summary
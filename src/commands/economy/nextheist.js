@@ -9,7 +9,7 @@ export default new Command({
         '!nextheist - See how long until the next heist'
     ],
     category: 'economy',
-    users: ['hildolfr'],
+    roles: ['developer'],
     cooldown: 1000,
     pmAccepted: true,
     pmResponses: true,
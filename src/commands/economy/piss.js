@@ -20,7 +20,8 @@ export default new Command({
     description: 'Challenge someone to a pissing contest',
     usage: '!pissing_contest <amount> [username] OR !pissing_contest [username] for bragging rights',
     examples: [
-        '!pissing_contest 100 - Challenge Dazza for $100',
+        '!pissing_contest - Fair fights in the room, off the ladder',
+        '!pissing_contest 100 - Who\'s a fair fight for $100',
         '!pissing_contest 50 mate - Challenge mate to a $50 contest',
         '!pissing_contest rival - Bragging rights match (no money)'
     ],
@@ -39,8 +40,23 @@ export default new Command({
         
         // Note: Challenge responses (yes/no) are now handled directly in bot.js
         
+        // No target: suggest fair fights off the ladder
+        const suggestOpponents = async (amount) => {
+            if (!bot.ladderManager) return false;
+            
+            const { rating, opponents } = await bot.ladderManager.suggestOpponents(message.username, message.roomId);
+            if (opponents.length === 0) return false;
+            
+            const picks = opponents.map(o => `${o.username} ${o.rating} (${Math.round(o.chance * 100)}%)`);
+            bot.sendMessage(message.roomId, `-${message.username} (${rating}) fair fights in here: ${picks.join(', ')} - !piss ${amount > 0 ? amount : '[amount]'} <username>`);
+            return true;
+        };
+        
         // Parse new challenge
         if (args.length === 0) {
+            if (await suggestOpponents(0)) {
+                return { success: true };
+            }
             bot.sendMessage(message.roomId, 'gotta challenge someone mate - !piss <amount> [username] or !piss [username]');
             return { success: false };
         }
@@ -64,6 +80,9 @@ export default new Command({
         
         // If no target specified, challenge the house (not implemented)
         if (!targetUser) {
+            if (await suggestOpponents(amount)) {
+                return { success: true };
+            }
             bot.sendMessage(message.roomId, 'gotta specify who to piss against mate - !piss <amount> <username>');
             return { success: false };
         }
@@ -0,0 +1,114 @@
+import { Command } from '../base.js';
+import { respond, sendPM } from '../../utils/pmHelper.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { describeError, parseMove } from '../../modules/card_table/index.js';
+
+export default new Command({
+    name: 'poker',
+    aliases: ['holdem', 'texas'],
+    description: 'Texas hold\'em against the rest of the room, pots held in escrow',
+    usage: '!poker [join | check | call | bet <amount> | raise <amount> | fold | allin | hand | leave | deal]',
+    examples: [
+        '!poker - Show the table',
+        '!poker join - Sit in on the next hand (opens a table if there isn\'t one)',
+        '!poker raise 50 - Raise $50 on top of the current bet (or just say "raise 50" on your turn)',
+        '!poker allin - Shove everything you can',
+        '!poker hand - PM yourself your cards again',
+        '!poker leave - Get up before the deal',
+        '!poker deal - Deal now instead of waiting (whoever opened the table)'
+    ],
+    category: 'economy',
+    users: ['all'],
+    cooldown: 1000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const manager = bot.cardTableManager;
+        if (!manager || !bot.heistManager) {
+            respond(bot, message, 'the card room\'s shut mate, try again later');
+            return { success: false };
+        }
+
+        const roomId = message.roomId;
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const subcommand = (args[0] || 'table').toLowerCase();
+
+        try {
+            switch (subcommand) {
+                case 'table':
+                case 'status': {
+                    const table = await manager.getOpenTable(roomId, 'poker');
+                    if (!table) {
+                        const config = manager.getConfig(roomId);
+                        say(`no hold'em table goin'. !poker join to open one, blinds $${config.smallBlind}/$${config.bigBlind}`);
+                        return { success: true };
+                    }
+                    say(manager.describeTable(table));
+                    return { success: true };
+                }
+
+                case 'join':
+                case 'sit': {
+                    const result = await manager.join(roomId, 'poker', message.username);
+                    if (!result.success) {
+                        say(describeError(result));
+                        return { success: false };
+                    }
+
+                    const config = manager.getConfig(roomId);
+                    say(result.opened
+                        ? `♠️ -${result.username} opens a hold'em table, blinds $${config.smallBlind}/$${config.bigBlind}, max $${config.maxStake} a hand. !poker join to sit in, cards in ${formatDuration(result.dealsIn)}`
+                        : `♠️ -${result.username} sits in (${result.seats}/${result.max})`);
+                    return { success: true };
+                }
+
+                case 'leave': {
+                    const result = await manager.leave(roomId, 'poker', message.username);
+                    if (!result.success) {
+                        say(describeError(result));
+                        return { success: false };
+                    }
+                    say(`♠️ -${result.player.username} gets up from the table`);
+                    return { success: true };
+                }
+
+                case 'deal': {
+                    const force = bot.isAdmin(message.username) || bot.hasRole?.(message.username, 'economy-admin', roomId);
+                    const result = await manager.dealNow(roomId, 'poker', message.username, force);
+                    if (!result.success) {
+                        say(describeError(result));
+                        return { success: false };
+                    }
+                    return { success: true };
+                }
+
+                case 'hand':
+                case 'cards': {
+                    const table = await manager.findTable(roomId, 'poker', message.username);
+                    const hand = table?.status === 'playing' && manager.describeHand(table, message.username);
+                    sendPM(bot, message.username, hand ? `🃏 your cards: ${hand}` : 'ya haven\'t got a hand mate', roomId);
+                    return { success: true };
+                }
+
+                default: {
+                    const move = parseMove(args.join(' '));
+                    if (!move) {
+                        say('usage: !poker [join | check | call | bet <amount> | raise <amount> | fold | allin | hand | leave]');
+                        return { success: false };
+                    }
+
+                    const result = await manager.act(roomId, 'poker', message.username, move.action, move.amount);
+                    if (!result.success) {
+                        say(describeError(result));
+                        return { success: false };
+                    }
+                    return { success: true };
+                }
+            }
+        } catch (error) {
+            bot.logger.error('Poker command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'someone flipped the poker table, try again');
+            return { success: false };
+        }
+    }
+});
@@ -1,5 +1,6 @@
 import { Command } from '../base.js';
 import { sendPM } from '../../utils/pmHelper.js';
+import { HOUSE, InsufficientFundsError } from '../../modules/economy/index.js';
 
 export default new Command({
     name: 'pokies',
@@ -46,21 +47,6 @@ export default new Command({
                 return { success: false };
             }
 
-            // Public acknowledgment (only if not PM)
-            if (!message.isPM) {
-                const publicMessages = [
-                    `-${message.username} chucks $${amount} into the pokies...`,
-                    `oi -${message.username}'s havin a punt on the slots ($${amount})`,
-                    `-${message.username} feeds $${amount} to the hungry machine`,
-                    `another $${amount} from -${message.username} into the pokies`,
-                    `-${message.username}'s riskin $${amount} on the one-armed bandit`
-                ];
-                bot.sendMessage(message.roomId, publicMessages[Math.floor(Math.random() * publicMessages.length)]);
-            }
-            
-            // Deduct the bet using HeistManager for proper username handling
-            await bot.heistManager.updateUserEconomy(message.username, -amount, 0);
-
             // Pokies symbols (adjusted for ~40% RTP / 60% house edge)
             const symbols = ['🍒', '🍺', '💰', '🔔', '7️⃣', '💎', '🎰'];
             const weights = [35, 30, 20, 10, 3, 1.5, 0.5]; // Weights heavily favor low symbols
@@ -132,6 +118,47 @@ export default new Command({
                 outcome = lossMessages[Math.floor(Math.random() * lossMessages.length)];
             }
 
+            // Stake and payout go through together - no stake left hanging without its result
+            try {
+                await bot.db.transaction(async () => {
+                    await bot.heistManager.updateUserEconomy(message.username, -amount, 0, {
+                        type: 'pokies_bet',
+                        description: `$${amount} spin`,
+                        roomId: message.roomId,
+                        counterparty: HOUSE,
+                        requireFunds: true
+                    });
+
+                    if (winnings > 0) {
+                        // Log the total win amount for leaderboards (not just profit)
+                        await bot.heistManager.updateUserEconomy(message.username, winnings, 0, {
+                            type: 'pokies',
+                            description: `Won $${winnings} from $${amount} bet`,
+                            roomId: message.roomId,
+                            counterparty: HOUSE
+                        });
+                    }
+                });
+            } catch (error) {
+                if (error instanceof InsufficientFundsError) {
+                    bot.sendMessage(message.roomId, `ya need $${amount} to play mate, ya don't have it anymore`);
+                    return { success: false };
+                }
+                throw error;
+            }
+
+            // Public acknowledgment (only if not PM)
+            if (!message.isPM) {
+                const publicMessages = [
+                    `-${message.username} chucks $${amount} into the pokies...`,
+                    `oi -${message.username}'s havin a punt on the slots ($${amount})`,
+                    `-${message.username} feeds $${amount} to the hungry machine`,
+                    `another $${amount} from -${message.username} into the pokies`,
+                    `-${message.username}'s riskin $${amount} on the one-armed bandit`
+                ];
+                bot.sendMessage(message.roomId, publicMessages[Math.floor(Math.random() * publicMessages.length)]);
+            }
+
             // Get updated balance
             const newBalance = await bot.heistManager.getUserBalance(message.username);
             
@@ -140,23 +167,7 @@ export default new Command({
             
             sendPM(bot, message.username, pmMessage, message.roomContext || message.roomId);
 
-            // Update balance if won
             if (winnings > 0) {
-                // Use HeistManager for proper username handling
-                await bot.heistManager.updateUserEconomy(message.username, winnings, 0);
-
-                // Track in transactions with error handling
-                try {
-                    // Log the total win amount for leaderboards (not just profit)
-                    await bot.db.run(
-                        'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                        [message.username, winnings, 'pokies', `Won $${winnings} from $${amount} bet`, message.roomId || 'fatpizza', Date.now()]
-                    );
-                } catch (error) {
-                    bot.logger.error('Failed to log pokies transaction:', { error: error.message, stack: error.stack });
-                    // Don't fail the command just because logging failed
-                }
-
                 // Always announce big wins publicly (even if initiated via PM - be a bit cruel)
                 if (winnings >= amount * 50) {
                     setTimeout(() => {
@@ -0,0 +1,63 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { resolveItem } from '../../modules/inventory/index.js';
+import { PROTECTION, describeError } from '../../modules/crime/index.js';
+
+export default new Command({
+    name: 'protection',
+    aliases: ['security', 'bodyguard'],
+    description: 'Buy a dog, a mate or a wallet chain to make muggers think twice',
+    usage: '!protection [buy <item> [amount]]',
+    examples: [
+        '!protection - What ya got and what\'s for sale',
+        '!protection buy guard dog - Sees off muggers even while ya AFK',
+        '!protection buy mate 3 - Three mates on call, one turns up per mugging'
+    ],
+    category: 'economy',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const crime = bot.crimeManager;
+        if (!crime || !bot.inventoryManager || !bot.heistManager) {
+            say('security shop\'s shut, try again later');
+            return { success: false };
+        }
+
+        try {
+            if (args[0]?.toLowerCase() === 'buy') {
+                const last = args[args.length - 1];
+                const hasAmount = args.length > 2 && /^\d+$/.test(last);
+                const itemId = resolveItem((hasAmount ? args.slice(1, -1) : args.slice(1)).join(' '));
+                if (!itemId || !PROTECTION[itemId]) {
+                    say(`-${message.username} ${describeError({ error: 'no_item' })}`);
+                    return { success: false };
+                }
+
+                const result = await crime.buyProtection(message.username, itemId, hasAmount ? parseInt(last) : 1, message.roomId);
+                if (!result.success) {
+                    say(`-${message.username} ${describeError(result)}`);
+                    return { success: false };
+                }
+
+                say(`🛡️ -${message.username} sorted ${result.quantity > 1 ? `${result.quantity}x ` : 'a '}${result.name} for $${result.cost}. good luck muggin' them now`);
+                return { success: true };
+            }
+
+            const items = await bot.inventoryManager.getItems(message.username);
+            const owned = items
+                .filter(item => PROTECTION[item.id])
+                .map(item => `${item.name}${item.quantity > 1 ? ` x${item.quantity}` : ''}`);
+            const shop = Object.entries(PROTECTION)
+                .map(([id, item]) => `${id} $${item.price} (${item.description})`);
+
+            say(`🛡️ -${message.username} ${owned.length > 0 ? `got: ${owned.join(', ')}` : 'is wide open'} | for sale: ${shop.join(', ')}`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Protection command error:', { error: error.message, stack: error.stack });
+            say('security shop\'s till is jammed, try again later');
+            return { success: false };
+        }
+    }
+});
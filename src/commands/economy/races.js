@@ -0,0 +1,191 @@
+import { Command } from '../base.js';
+import { respond, sendPM } from '../../utils/pmHelper.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { BET_TYPES } from '../../modules/tab_racing/index.js';
+
+const betErrors = {
+    bad_type: () => 'it\'s win, place or ew ya galah',
+    too_small: (result) => `minimum bet's $${result.min} mate`,
+    closed: () => 'betting\'s closed mate, no race open right now',
+    no_runner: () => 'there\'s no runner with that number, check !races',
+    too_big: (result) => `steady on, max $${result.max} a race per punter` + (result.staked > 0 ? ` and you've already got $${result.staked} on` : ''),
+    broke: (result) => `ya need $${result.total} for that bet, check ya pockets`
+};
+
+export default new Command({
+    name: 'races',
+    aliases: ['race', 'meeting', 'tabrace'],
+    description: 'Bet into the shared TAB pools on the room\'s race meetings',
+    usage: '!races [bet <amount> <number> [win|place|ew] | mybets | form <runner> | results | start [horse|dog]]',
+    examples: [
+        '!races - Show the field, prices and pools for the current race',
+        '!races bet 20 3 - $20 to win on runner #3',
+        '!races bet 10 5 ew - $10 each-way on #5 (costs $20)',
+        '!races mybets - Your tickets on the current race',
+        '!races form Durry Breath - Recent form for a runner',
+        '!races results - Last few results in this room',
+        '!races start dog - Start a dog meeting now (economy admins)'
+    ],
+    category: 'economy',
+    users: ['all'],
+    cooldown: 2000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const manager = bot.tabRaceManager;
+        if (!manager || !bot.heistManager) {
+            respond(bot, message, 'TAB\'s shut mate, try again later');
+            return { success: false };
+        }
+
+        const roomId = message.roomId;
+        let subcommand = (args[0] || 'field').toLowerCase();
+
+        // !races 20 3 [win] is short for !races bet 20 3 [win]
+        if (/^\d+$/.test(subcommand)) {
+            args = ['bet', ...args];
+            subcommand = 'bet';
+        }
+
+        try {
+            switch (subcommand) {
+                case 'field':
+                case 'show': {
+                    const race = await manager.getActiveRace(roomId);
+                    if (!race) {
+                        const nextAt = await manager.getNextMeetingTime(roomId);
+                        const config = manager.getConfig(roomId);
+                        const next = config.enabled && nextAt
+                            ? `next meeting in about ${formatDuration(Math.max(nextAt - Date.now(), 60000))}`
+                            : 'no meetings scheduled here';
+                        respond(bot, message, `no race on right now, ${next}. !races results for the last lot`);
+                        return { success: true };
+                    }
+
+                    const { runners, pools, prices } = await manager.getCurrentPrices(race);
+                    const timing = race.status === 'betting'
+                        ? `betting closes in ${formatDuration(Math.max(race.closes_at - Date.now(), 0))}`
+                        : 'they\'re racing!';
+                    respond(bot, message, `🏇 Race ${race.race_number} ${race.track} | ${timing} | pools: win $${pools.win}, place $${pools.place}`);
+                    respond(bot, message, manager.formatField(runners, prices));
+                    return { success: true };
+                }
+
+                case 'bet': {
+                    const amount = parseInt(args[1]);
+                    const number = parseInt(args[2]);
+                    const type = (args[3] || 'win').toLowerCase();
+
+                    if (!amount || !number) {
+                        respond(bot, message, 'usage: !races bet <amount> <runner number> [win|place|ew]');
+                        return { success: false };
+                    }
+                    if (!BET_TYPES[type]) {
+                        respond(bot, message, betErrors.bad_type());
+                        return { success: false };
+                    }
+
+                    const result = await manager.placeBet(roomId, message.username, number, type, amount);
+                    if (!result.success) {
+                        respond(bot, message, betErrors[result.error](result));
+                        return { success: false };
+                    }
+
+                    const label = { win: 'to win', place: 'to place', each_way: 'each-way' }[result.type];
+                    const confirmation = `🎫 -${message.username} $${amount} ${label} on #${result.runner.number} ${result.runner.name}` +
+                        (result.type === 'each_way' ? ` ($${result.total} all up)` : '');
+                    respond(bot, message, message.isPM ? confirmation.replace(`-${message.username}`, message.username) : confirmation);
+                    return { success: true };
+                }
+
+                case 'mybets':
+                case 'tickets': {
+                    const race = await manager.getActiveRace(roomId);
+                    if (!race) {
+                        sendPM(bot, message.username, 'no race open, no tickets', roomId);
+                        return { success: true };
+                    }
+
+                    const bets = await manager.getUserBets(race.id, message.username);
+                    if (bets.length === 0) {
+                        sendPM(bot, message.username, `ya got nothin' on race ${race.race_number} at ${race.track}`, roomId);
+                        return { success: true };
+                    }
+
+                    const lines = bets.map(bet => `#${bet.runner_number} ${bet.name} $${bet.amount} ${bet.bet_type}`);
+                    sendPM(bot, message.username, `your tickets on race ${race.race_number} ${race.track}: ${lines.join(', ')}`, roomId);
+                    return { success: true };
+                }
+
+                case 'form': {
+                    let name = args.slice(1).join(' ');
+                    const race = await manager.getActiveRace(roomId);
+
+                    // Runner numbers refer to the current field
+                    if (/^\d+$/.test(name) && race) {
+                        const runner = (await manager.getRunners(race.id)).find(r => r.number === parseInt(name));
+                        name = runner?.name || name;
+                    }
+                    if (!name) {
+                        respond(bot, message, 'usage: !races form <runner name or number>');
+                        return { success: false };
+                    }
+
+                    const history = await manager.getRunnerHistory(name, null, 5);
+                    if (history.length === 0) {
+                        respond(bot, message, `${name} hasn't run a race on our books yet`);
+                        return { success: true };
+                    }
+
+                    const runs = history.map(run =>
+                        `${run.finish_position}/${run.field_size} ${run.track}${run.win_dividend ? ` ($${run.win_dividend.toFixed(2)})` : ''}`
+                    );
+                    respond(bot, message, `📝 ${name} last ${history.length}: ${runs.join(', ')}`);
+                    return { success: true };
+                }
+
+                case 'results': {
+                    const races = await manager.getRecentResults(roomId, 3);
+                    if (races.length === 0) {
+                        respond(bot, message, 'no races run here yet');
+                        return { success: true };
+                    }
+
+                    for (const race of races) {
+                        const placings = race.placings.map(r => `${r.finish_position}. ${r.name}${r.win_dividend ? ` $${r.win_dividend.toFixed(2)}` : ''}`);
+                        respond(bot, message, `R${race.race_number} ${race.track} (${formatDuration(Date.now() - race.finished_at)} ago): ${placings.join(', ')} | pools $${race.win_pool + race.place_pool}`);
+                    }
+                    return { success: true };
+                }
+
+                case 'start': {
+                    if (!bot.isAdmin(message.username) && !bot.hasRole?.(message.username, 'economy-admin', roomId)) {
+                        respond(bot, message, 'only the bookies can start a meeting mate');
+                        return { success: false };
+                    }
+
+                    const raceType = (args[1] || 'horse').toLowerCase();
+                    if (!['horse', 'dog'].includes(raceType)) {
+                        respond(bot, message, 'it\'s horse or dog mate');
+                        return { success: false };
+                    }
+
+                    const result = await manager.startMeeting(roomId, raceType, message.username);
+                    if (!result.success) {
+                        respond(bot, message, 'there\'s already a race on, hold ya horses');
+                        return { success: false };
+                    }
+                    return { success: true };
+                }
+
+                default:
+                    respond(bot, message, 'usage: !races [bet <amount> <number> [win|place|ew] | mybets | form <runner> | results]');
+                    return { success: false };
+            }
+        } catch (error) {
+            bot.logger.error('Races command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'the TAB terminal just shat itself mate');
+            return { success: false };
+        }
+    }
+});
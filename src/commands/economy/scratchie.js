@@ -1,5 +1,6 @@
 import { Command } from '../base.js';
 import { sendPM } from '../../utils/pmHelper.js';
+import { HOUSE, InsufficientFundsError } from '../../modules/economy/index.js';
 
 export default new Command({
     name: 'scratchie',
@@ -88,12 +89,6 @@ export default new Command({
                     break;
             }
 
-            // Deduct the cost using HeistManager for proper username handling
-            await bot.heistManager.updateUserEconomy(message.username, -amount, 0);
-
-            // Start PM with scratch animation
-            sendPM(bot, message.username, `🎫 Bought a $${amount} "${ticketType}" scratchie...\n\n*scratch scratch scratch*`, message.roomContext || message.roomId);
-
             // Determine outcome
             const roll = Math.random();
             let winnings = 0;
@@ -136,23 +131,38 @@ export default new Command({
                 resultMessage = `JACKPOT CUNT! matched 3 GOLDEN DAZZAS! WON $${winnings}!!!`;
             }
 
-            // Add winnings if any
-            if (winnings > 0) {
-                // Use HeistManager for proper username handling
-                await bot.heistManager.updateUserEconomy(message.username, winnings, 0);
+            // Ticket and winnings go through together - no ticket paid for without its result
+            try {
+                await bot.db.transaction(async () => {
+                    await bot.heistManager.updateUserEconomy(message.username, -amount, 0, {
+                        type: 'scratchie_bet',
+                        description: `$${amount} ${ticketType} ticket`,
+                        roomId: message.roomId,
+                        counterparty: HOUSE,
+                        requireFunds: true
+                    });
 
-                // Track in transactions with error handling
-                try {
-                    await bot.db.run(
-                        'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                        [message.username, winnings, 'scratchie', `Won ${winnings} from ${amount} bet`, message.roomId || 'fatpizza', Date.now()]
-                    );
-                } catch (error) {
-                    bot.logger.error('Failed to log scratchie transaction:', { error: error.message, stack: error.stack });
-                    // Don't fail the command just because logging failed
+                    if (winnings > 0) {
+                        await bot.heistManager.updateUserEconomy(message.username, winnings, 0, {
+                            type: 'scratchie',
+                            description: `Won ${winnings} from ${amount} bet`,
+                            roomId: message.roomId,
+                            counterparty: HOUSE
+                        });
+                    }
+                });
+            } catch (error) {
+                if (error instanceof InsufficientFundsError) {
+                    sendPM(bot, message.username, `ya need $${amount} for that scratchie mate, ya don't have it anymore`, message.roomContext || message.roomId);
+                    return { success: false };
                 }
+                throw error;
             }
 
+            // Start PM with scratch animation
+            sendPM(bot, message.username, `🎫 Bought a $${amount} "${ticketType}" scratchie...\n\n*scratch scratch scratch*`, message.roomContext || message.roomId);
+
+
             // Send result via PM with formatted message
             setTimeout(() => {
                 let pmResult = `\n🎰 RESULT: ${resultMessage}`;
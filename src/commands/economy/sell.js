@@ -0,0 +1,52 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { resolveItem, describeError } from '../../modules/inventory/index.js';
+
+export default new Command({
+    name: 'sell',
+    aliases: ['pawn', 'flog'],
+    description: 'Flog items from ya inventory at the pawn shop',
+    usage: '!sell <item> [amount | all]',
+    examples: [
+        '!sell gold watch - Sell a Gold Watch',
+        '!sell vintage bottle 5 - Sell five Vintage Bottles',
+        '!sell nokia all - Get rid of every Nokia ya got'
+    ],
+    category: 'economy',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        if (!bot.inventoryManager || !bot.heistManager) {
+            say('pawn shop\'s shut, try again later');
+            return { success: false };
+        }
+
+        try {
+            const last = args[args.length - 1]?.toLowerCase();
+            const hasAmount = last === 'all' || /^\d+$/.test(last || '');
+            const quantity = last === 'all' ? 'all' : hasAmount ? parseInt(last) : 1;
+            const itemId = resolveItem((hasAmount ? args.slice(0, -1) : args).join(' '));
+
+            if (!itemId || quantity === 0) {
+                say(`-${message.username} usage: !sell <item> [amount | all], see !inventory`);
+                return { success: false };
+            }
+
+            const result = await bot.inventoryManager.sell(message.username, itemId, quantity, message.roomId);
+            if (!result.success) {
+                say(`-${message.username} ${describeError(result)}`);
+                return { success: false };
+            }
+
+            const balance = await bot.heistManager.getUserBalance(message.username);
+            say(`💵 -${message.username} flogged ${result.quantity > 1 ? `${result.quantity}x ` : 'a '}${result.name} for $${result.total} | balance: $${balance.balance}`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Sell command error:', { error: error.message, stack: error.stack });
+            say('pawn shop bloke\'s gone for a smoko, try again later');
+            return { success: false };
+        }
+    }
+});
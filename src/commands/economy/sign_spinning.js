@@ -92,7 +92,7 @@ export default new Command({
             // Check persistent cooldown (36 hours)
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, 129600000); // 36 hours
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message, 129600000)); // 36 hours
                 
                 if (!cooldownCheck.allowed) {
                     const hours = Math.floor(cooldownCheck.remaining / 3600);
@@ -171,7 +171,11 @@ export default new Command({
             }
             
             // Update balance
-            await bot.heistManager.updateUserEconomy(message.username, finalPay, 0);
+            await bot.heistManager.updateUserEconomy(message.username, finalPay, 0, {
+                type: 'sign_spinning',
+                description: injured ? `Injured shift (${weather.condition})` : `${signTier} sign (${weather.condition})`,
+                roomId: message.roomId
+            });
             
             // Update stats
             if (bot.db) {
@@ -279,20 +283,6 @@ export default new Command({
                 }, 2000);
             }
             
-            // Record transaction
-            if (bot.db) {
-                await bot.db.run(`
-                    INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at)
-                    VALUES (?, ?, 'sign_spinning', ?, ?, ?)
-                `, [
-                    message.username, 
-                    finalPay, 
-                    injured ? `Injured shift (${weather.condition})` : `${signTier} sign (${weather.condition})`, 
-                    message.roomId || 'fatpizza',
-                    Date.now()
-                ]);
-            }
-            
             return { success: true };
             
         } catch (error) {
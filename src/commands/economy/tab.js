@@ -1,28 +1,8 @@
 import { Command } from '../base.js';
 import { PersistentCooldownManager } from '../../utils/persistentCooldowns.js';
 import { sendPM } from '../../utils/pmHelper.js';
-
-// Australian race horses and dogs with bogan names
-const horseNames = [
-    "Shazza's Revenge", "Durry Breath", "Goon Sack Glory", "Servo Slammer",
-    "Centrelink Special", "Bogan's Pride", "Thong Thrower", "Ute Destroyer",
-    "VB Velocity", "Bunnings Bandit", "Dole Bludger", "Pie Floater",
-    "Stubby Holder", "Barbie Burner", "Bottlo Runner", "Maccas Muncher",
-    "Winnie Blue", "Tradie's Dream", "Pokies Prince", "She'll Be Right"
-];
-
-const dogNames = [
-    "Cone Ripper", "Bong Water", "Pub Fighter", "Ciggie Butt",
-    "Goon Bag Gary", "Flamin' Galah", "Snag Stealer", "Beer Gut Billy",
-    "Dero Dog", "Mullet Master", "Thong Biter", "Servo Sniffer",
-    "Tinnie Terror", "Eshay Express", "Bottlo Bandit", "Kebab Krusher"
-];
-
-// Track names for variety
-const tracks = {
-    horse: ["Flemington", "Randwick", "Moonee Valley", "Caulfield", "Rosehill"],
-    dog: ["Wentworth Park", "The Gardens", "Sandown Park", "Albion Park", "The Meadows"]
-};
+import { HOUSE, InsufficientFundsError } from '../../modules/economy/index.js';
+import { horseNames, dogNames, tracks } from '../../modules/tab_racing/runners.js';
 
 // Race outcomes with crude commentary
 const raceOutcomes = {
@@ -71,7 +51,7 @@ export default new Command({
             // Check persistent cooldown if database is available
             if (bot.db && this.persistentCooldown) {
                 const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.cooldown);
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message));
                 
                 if (!cooldownCheck.allowed) {
                     const cooldownMsg = this.cooldownMessage.replace('{time}', cooldownCheck.remaining);
@@ -147,9 +127,6 @@ export default new Command({
                 return { success: false };
             }
 
-            // Deduct bet amount
-            await bot.heistManager.updateUserEconomy(message.username, -amount, 0);
-
             // Select animals and track
             const animalList = raceType === 'horse' ? horseNames : dogNames;
             const selectedAnimals = [];
@@ -167,6 +144,59 @@ export default new Command({
             const track = tracks[raceType][Math.floor(Math.random() * tracks[raceType].length)];
             const raceNumber = Math.floor(Math.random() * 8) + 1;
 
+            // User's selection (random)
+            const userPick = Math.floor(Math.random() * 6);
+            const userAnimal = selectedAnimals[userPick];
+            const userOdds = Math.floor(Math.random() * 15) + 2;
+
+            // Run the race now so the bet and its payout settle together
+            const outcome = Math.random();
+            let winnings = 0;
+            let payout = null;
+            let position = null;
+
+            // 20% chance to win, 30% chance to place (2nd/3rd), 50% chance to lose
+            if (outcome < 0.20) {
+                winnings = amount * userOdds;
+                payout = { trust: 1, description: `${userAnimal} won at ${userOdds}:1` };
+            } else if (outcome < 0.50) {
+                position = outcome < 0.35 ? "2nd" : "3rd";
+                winnings = Math.floor(amount * 0.5); // Get half back
+                payout = { trust: 0, description: `${userAnimal} placed ${position}` };
+            }
+
+            try {
+                await bot.db.transaction(async () => {
+                    await bot.heistManager.updateUserEconomy(message.username, -amount, 0, {
+                        type: 'tab_bet',
+                        description: `$${amount} on the ${raceType === 'horse' ? 'horses' : 'dogs'}`,
+                        roomId: message.roomId,
+                        counterparty: HOUSE,
+                        requireFunds: true
+                    });
+
+                    if (payout) {
+                        await bot.heistManager.updateUserEconomy(message.username, winnings, payout.trust, {
+                            type: 'tab',
+                            description: payout.description,
+                            roomId: message.roomId,
+                            counterparty: HOUSE
+                        });
+                    }
+                });
+            } catch (error) {
+                if (error instanceof InsufficientFundsError) {
+                    const brokeMsg = `-${message.username} ya don't have the $${amount} anymore ya numpty`;
+                    if (message.isPM) {
+                        sendPM(bot, message.username, brokeMsg.replace('-', ''), message.roomContext || message.roomId);
+                    } else {
+                        bot.sendMessage(message.roomId, brokeMsg);
+                    }
+                    return { success: false };
+                }
+                throw error;
+            }
+
             // Public acknowledgment only (skip if PM)
             if (!message.isPM) {
                 const publicAcknowledgments = [
@@ -179,11 +209,6 @@ export default new Command({
                 bot.sendMessage(message.roomId, publicAcknowledgments[Math.floor(Math.random() * publicAcknowledgments.length)]);
             }
 
-            // User's selection (random)
-            const userPick = Math.floor(Math.random() * 6);
-            const userAnimal = selectedAnimals[userPick];
-            const userOdds = Math.floor(Math.random() * 15) + 2;
-            
             // Send first PM: Race info and selection
             const fieldShort = selectedAnimals.map((animal, i) => 
                 `${i + 1}. ${animal}${i === userPick ? ' ← YOUR BET' : ''}`
@@ -197,23 +222,16 @@ export default new Command({
             // Small delay before race result
             await new Promise(resolve => setTimeout(resolve, 1000));
             
-            // Determine race outcome
-            const outcome = Math.random();
-            let winnings = 0;
-            
             // Build concise result message
             let resultMessage = "";
             let publicAnnouncement = null;
             let forcedShare = false;
             
-            // 20% chance to win, 30% chance to place (2nd/3rd), 50% chance to lose
             if (outcome < 0.20) {
                 // WIN!
-                winnings = amount * userOdds;
                 const winMsg = raceOutcomes.win[Math.floor(Math.random() * raceOutcomes.win.length)]
                     .replace('{animal}', userAnimal);
                 
-                await bot.heistManager.updateUserEconomy(message.username, winnings, 1);
                 const newBalance = await bot.heistManager.getUserBalance(message.username);
                 
                 resultMessage = `${winMsg} | 💰 WON $${winnings}! | Balance: $${newBalance.balance}`;
@@ -230,13 +248,10 @@ export default new Command({
                 
             } else if (outcome < 0.50) {
                 // PLACE (2nd or 3rd)
-                const position = outcome < 0.35 ? "2nd" : "3rd";
-                winnings = Math.floor(amount * 0.5); // Get half back
                 const placeMsg = raceOutcomes.place[Math.floor(Math.random() * raceOutcomes.place.length)]
                     .replace('{animal}', userAnimal)
                     .replace('{position}', position);
                 
-                await bot.heistManager.updateUserEconomy(message.username, winnings, 0);
                 const newBalance = await bot.heistManager.getUserBalance(message.username);
                 
                 resultMessage = `${placeMsg} | 🥈 Got $${winnings} back | Balance: $${newBalance.balance}`;
@@ -279,16 +294,16 @@ export default new Command({
                             const sharePerUser = Math.floor(remainingAmount / (onlineUsers.length + 1)); // +1 for dazza
                             const dazzaShare = remainingAmount - (sharePerUser * onlineUsers.length);
                             
-                            // Deduct the shared amount from winner (they already got the full amount)
-                            await bot.heistManager.updateUserEconomy(message.username, -remainingAmount, 0);
-                            
-                            // Give each user their share
-                            for (const user of onlineUsers) {
-                                await bot.heistManager.updateUserEconomy(user.name, sharePerUser, 0);
-                            }
-                            
-                            // Dazza gets his cut
-                            await bot.heistManager.updateUserEconomy('dazza', dazzaShare, 0);
+                            // Split the shared amount from winner (they already got the full amount)
+                            // across each online user, with Dazza's cut on top
+                            await bot.heistManager.splitMoney(message.username, [
+                                ...onlineUsers.map(user => ({ username: user.name, amount: sharePerUser })),
+                                { username: 'dazza', amount: dazzaShare }
+                            ], {
+                                type: 'tab_share',
+                                description: `Forced share of ${message.username}'s TAB win`,
+                                roomId: message.roomId
+                            });
                             
                             // Announce the sharing
                             const shareMessages = [
@@ -0,0 +1,123 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { describeError } from '../../modules/pissing_contest/tournaments.js';
+import { formatLeadTime } from '../../modules/events/index.js';
+
+const MOD_ROLES = ['moderator'];
+
+export default new Command({
+    name: 'tourney',
+    aliases: ['tournament', 'pisstourney'],
+    description: 'Knockout pissing contest tournament with an entry fee and a prize pool',
+    usage: '!tourney [start <fee> [+prize] [minutes]m | join | leave | go | cancel]',
+    examples: [
+        '!tourney - The bracket, or who\'s signed up',
+        '!tourney start 50 - Open signups, $50 to get in',
+        '!tourney start 20 +500 15m - $20 entry, $500 of ya own on top, signups for 15 minutes',
+        '!tourney join - Pay the fee and get in',
+        '!tourney leave - Pull out and get ya fee back before it starts',
+        '!tourney go - Close signups early (whoever started it, or a mod)',
+        '!tourney cancel - Call it off, everyone gets their money back'
+    ],
+    category: 'economy',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const tournaments = bot.tournamentManager;
+        if (!tournaments || !bot.heistManager || !bot.pissingContestManager) {
+            say('the urinals are blocked, no tournaments right now');
+            return { success: false };
+        }
+
+        const { roomId, username } = message;
+        const isMod = bot.isAdmin(username) || bot.hasRole(username, MOD_ROLES, roomId);
+        const fail = (result) => {
+            say(`-${username} ${describeError(result)}`);
+            return { success: false };
+        };
+
+        try {
+            const action = (args[0] || '').toLowerCase();
+
+            if (action === '' || action === 'status' || action === 'bracket') {
+                const current = await tournaments.getCurrent(roomId);
+                if (!current) {
+                    const [last] = await tournaments.list(roomId, 1);
+                    say(last?.status === 'finished'
+                        ? `no tournament on. last one (#${last.id}) went to ${last.champion}. !tourney start <fee> to kick one off`
+                        : describeError({ error: 'no_tournament' }));
+                    return { success: true };
+                }
+
+                say(`🏆 ${await tournaments.describeBracket(current)}`);
+                return { success: true };
+            }
+
+            if (action === 'start' || action === 'open') {
+                const options = {};
+                for (const arg of args.slice(1)) {
+                    const prize = arg.match(/^\+\$?(\d+)$/);
+                    const minutes = arg.match(/^(\d+)m(?:ins?)?$/i);
+                    const fee = arg.match(/^\$?(\d+)$/);
+                    if (prize) options.prize = parseInt(prize[1]);
+                    else if (minutes) options.signupWindow = Math.max(1, parseInt(minutes[1])) * 60 * 1000;
+                    else if (fee) options.fee = parseInt(fee[1]);
+                    else {
+                        say('usage: !tourney start <fee> [+prize] [minutes]m');
+                        return { success: false };
+                    }
+                }
+
+                const result = await tournaments.create(roomId, username, options, isMod);
+                if (!result.success) return fail(result);
+
+                const { tournament } = result;
+                const closes = formatLeadTime(tournament.signup_ends_at - Date.now());
+                bot.sendMessage(roomId, `🏆 ${username} is runnin' a pissing contest tournament (#${tournament.id})! ` +
+                    `$${tournament.entry_fee} to get in${tournament.prize > 0 ? `, $${tournament.prize} up front` : ''}, up to ${tournament.max_players} pissers. ` +
+                    `signups close in ${closes}, !tourney join`);
+                return { success: true };
+            }
+
+            if (action === 'join' || action === 'enter') {
+                const result = await tournaments.join(roomId, username);
+                if (!result.success) return fail(result);
+
+                const { tournament, players } = result;
+                bot.sendMessage(roomId, `🏆 -${username} is in${tournament.entry_fee > 0 ? ` ($${tournament.entry_fee})` : ''}. ${players}/${tournament.max_players} signed up, pot's at $${tournament.pot}`);
+                return { success: true };
+            }
+
+            if (action === 'leave' || action === 'out') {
+                const result = await tournaments.leave(roomId, username);
+                if (!result.success) return fail(result);
+
+                say(`-${username} pulled out${result.tournament.entry_fee > 0 ? `, $${result.tournament.entry_fee} back in ya pocket` : ''}`);
+                return { success: true };
+            }
+
+            if (action === 'go' || action === 'begin') {
+                const result = await tournaments.startNow(roomId, username, isMod);
+                if (!result.success) return fail(result);
+                return { success: true };
+            }
+
+            if (action === 'cancel') {
+                const result = await tournaments.cancel(roomId, username, isMod);
+                if (!result.success) return fail(result);
+
+                bot.sendMessage(roomId, `🏆 tournament #${result.tournament.id} is off. everyone's money's been handed back`);
+                return { success: true };
+            }
+
+            say('usage: !tourney [start <fee> [+prize] [minutes]m | join | leave | go | cancel]');
+            return { success: false };
+        } catch (error) {
+            bot.logger.error('Tourney command error:', { error: error.message, stack: error.stack });
+            say('the urinals are blocked, try again later');
+            return { success: false };
+        }
+    }
+});
@@ -0,0 +1,111 @@
+import { Command } from '../base.js';
+import { respond, sendPM } from '../../utils/pmHelper.js';
+import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+import { resolveItem, describeError } from '../../modules/inventory/index.js';
+
+const USAGE = '!trade <user> <item> [amount] for <$cash | item [amount]> | !trade accept | decline | cancel';
+
+/**
+ * Split "gold watch 2" into the item and how many
+ */
+function parseItem(words) {
+    const last = words[words.length - 1];
+    const quantity = /^\d+$/.test(last || '') ? parseInt(last) : null;
+    const itemId = resolveItem((quantity ? words.slice(0, -1) : words).join(' '));
+    return { itemId, quantity: quantity ?? 1 };
+}
+
+export default new Command({
+    name: 'trade',
+    aliases: ['swap'],
+    description: 'Swap items with someone for cash or their items',
+    usage: USAGE,
+    examples: [
+        '!trade Bob gold watch for $250 - Offer Bob ya Gold Watch for $250',
+        '!trade Shazza nokia 2 for vintage bottle 3 - Two Nokias for three of her Vintage Bottles',
+        '!trade accept - Take the last offer someone made ya',
+        '!trade cancel - Pull ya last offer'
+    ],
+    category: 'economy',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const inventory = bot.inventoryManager;
+        if (!inventory || !bot.heistManager) {
+            say('trading post\'s shut, try again later');
+            return { success: false };
+        }
+
+        try {
+            const subcommand = args[0]?.toLowerCase();
+
+            if (subcommand === 'accept' || subcommand === 'decline' || subcommand === 'cancel') {
+                const result = subcommand === 'accept'
+                    ? await inventory.acceptTrade(message.username, message.roomId)
+                    : subcommand === 'decline'
+                        ? await inventory.declineTrade(message.username)
+                        : await inventory.cancelTrade(message.username);
+
+                if (!result.success) {
+                    say(`-${message.username} ${describeError(result)}`);
+                    return { success: false };
+                }
+
+                const { trade } = result;
+                const deal = inventory.describeTrade(trade);
+                if (subcommand === 'accept') {
+                    say(`🤝 done deal! ${trade.from_user} handed ${trade.to_user} ${deal}`);
+                } else if (subcommand === 'decline') {
+                    say(`-${message.username} knocked back ${trade.from_user}'s ${deal}`);
+                } else {
+                    say(`-${message.username} pulled their offer to ${trade.to_user}`);
+                }
+                return { success: true };
+            }
+
+            const forIndex = args.findIndex(arg => arg.toLowerCase() === 'for');
+            if (args.length < 2 || forIndex < 2 || forIndex === args.length - 1) {
+                say(`usage: ${USAGE}`);
+                return { success: false };
+            }
+
+            const target = await getCanonicalUsername(bot, args[0]);
+            const offered = parseItem(args.slice(1, forIndex));
+            const wanted = args.slice(forIndex + 1);
+            const cash = wanted.length === 1 ? wanted[0].match(/^\$?(\d+)$/) : null;
+            const asking = cash ? { itemId: null, quantity: 0 } : parseItem(wanted);
+
+            if (!offered.itemId || (!cash && !asking.itemId)) {
+                say(`-${message.username} dunno what that is, check !inventory`);
+                return { success: false };
+            }
+
+            const result = await inventory.offerTrade(message.username, target, {
+                itemId: offered.itemId,
+                quantity: offered.quantity,
+                price: cash ? parseInt(cash[1]) : 0,
+                wantItemId: asking.itemId,
+                wantQuantity: asking.quantity,
+                roomId: message.roomId
+            });
+            if (!result.success) {
+                say(`-${message.username} ${describeError(result)}`);
+                return { success: false };
+            }
+
+            const offer = `${message.username} wants to trade ${target} ${inventory.describeTrade(result.trade)}. ` +
+                `${target}: !trade accept or !trade decline, ya got 2 minutes`;
+            say(`📦 ${offer}`);
+            if (message.isPM) {
+                sendPM(bot, target, `📦 ${offer}`, message.roomId);
+            }
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Trade command error:', { error: error.message, stack: error.stack });
+            say('trading post\'s till is jammed, try again later');
+            return { success: false };
+        }
+    }
+});
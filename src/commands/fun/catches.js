@@ -0,0 +1,61 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+import { RARITIES, SPOTS } from '../../modules/fishing/index.js';
+
+export default new Command({
+    name: 'catches',
+    aliases: ['catchlog', 'fishlog', 'pb'],
+    description: 'Fishing personal bests, recent catches and species collection',
+    usage: '!catches [user] | !catches recent [user]',
+    examples: [
+        '!catches - Ya species collection and heaviest fish',
+        '!catches Bob - Same for Bob',
+        '!catches recent - Ya last few catches'
+    ],
+    category: 'fun',
+    cooldown: 5000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const fishing = bot.fishingManager;
+        if (!fishing) {
+            say('the catch log got wet, try again later');
+            return { success: false };
+        }
+
+        try {
+            const recent = args[0]?.toLowerCase() === 'recent';
+            const target = await getCanonicalUsername(bot, (recent ? args[1] : args[0]) || message.username);
+
+            if (recent) {
+                const catches = await fishing.getRecentCatches(target);
+                if (catches.length === 0) {
+                    say(`${target} hasn't landed a thing yet`);
+                    return { success: true };
+                }
+
+                const lines = catches.map(c => `${RARITIES[c.rarity]?.emoji || '🐟'} ${c.weight}kg ${c.species} (${SPOTS[c.spot]?.name || c.spot})`);
+                say(`${target}'s latest: ${lines.join(' | ')}`);
+                return { success: true };
+            }
+
+            const collection = await fishing.getCollection(target);
+            if (collection.caught === 0) {
+                say(`${target} hasn't landed a thing yet, !fish to get started`);
+                return { success: true };
+            }
+
+            const bests = await fishing.getPersonalBests(target, 3);
+            const legendary = collection.byRarity.legendary;
+            say(`📖 ${target}'s collection: ${collection.caught}/${collection.total} species (${collection.percent}%), ` +
+                `${legendary.caught}/${legendary.total} legendaries | PBs: ${bests.map(b => `${b.weight}kg ${b.species}`).join(', ')}`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Catches command error:', { error: error.message, stack: error.stack });
+            say('the catch log got wet, try again later');
+            return { success: false };
+        }
+    }
+});
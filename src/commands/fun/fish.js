@@ -1,54 +1,8 @@
 import { Command } from '../base.js';
 import { PersistentCooldownManager } from '../../utils/persistentCooldowns.js';
 import { sendPM } from '../../utils/pmHelper.js';
-
-// Fish types with different rarities and values
-const fishTypes = {
-    common: {
-        names: [
-            "Bream", "Flathead", "Whiting", "Mullet", "Catfish", 
-            "Leather Jacket", "Toadfish", "Puffer Fish", "Garfish",
-            "Dart", "Luderick", "Yellowtail", "Pike", "Flounder"
-        ],
-        value: { min: 1, max: 5 },
-        weight: { min: 0.2, max: 2 }
-    },
-    uncommon: {
-        names: [
-            "Snapper", "Tailor", "Salmon", "Kingfish", "Trevally",
-            "Mackerel", "Morwong", "Pearl Perch", "Flathead (big)",
-            "John Dory", "Red Emperor", "Coral Trout"
-        ],
-        value: { min: 5, max: 15 },
-        weight: { min: 1, max: 5 }
-    },
-    epic: {
-        names: [
-            "Giant Snapper", "King Salmon", "Trophy Barramundi", 
-            "Monster Flathead", "Prize Jewfish", "Golden Perch",
-            "Massive Mulloway"
-        ],
-        value: { min: 20, max: 50 },
-        weight: { min: 5, max: 20 }
-    },
-    rare: {
-        names: [
-            "Barramundi", "Murray Cod", "Jewfish", "Spanish Mackerel",
-            "Mahi Mahi", "Wahoo", "Yellowfin Tuna", "Cobia",
-            "Amberjack", "Dogtooth Tuna"
-        ],
-        value: { min: 40, max: 80 },
-        weight: { min: 8, max: 30 }
-    },
-    legendary: {
-        names: [
-            "Black Marlin", "Great White", "Tiger Shark", "Giant Trevally",
-            "Bluefin Tuna", "Sailfish", "Swordfish", "Mako Shark"
-        ],
-        value: { min: 100, max: 200 },
-        weight: { min: 20, max: 100 }
-    }
-};
+import { formatWeather } from '../../modules/pissing_contest/weather.js';
+import { BAIT, RODS, SPOTS, SPECIES, RARITIES, resolveSpot, describeError } from '../../modules/fishing/index.js';
 
 // Trash items you might catch
 const trashItems = [
@@ -88,38 +42,16 @@ const specialCatches = {
     ]
 };
 
-// Fishing spots with different catch rates
-const fishingSpots = [
-    { name: "Local Creek", quality: 0.7, description: "behind the bottlo" },
-    { name: "Council Pond", quality: 0.6, description: "next to the skate park" },
-    { name: "River", quality: 0.8, description: "under the bridge" },
-    { name: "Beach", quality: 0.9, description: "near the surf club" },
-    { name: "Jetty", quality: 0.85, description: "at the boat ramp" },
-    { name: "Rock Pool", quality: 0.75, description: "down by the point" },
-    { name: "Storm Drain", quality: 0.5, description: "dodgy but sometimes lucky" },
-    { name: "Harbor", quality: 0.95, description: "where the big boats are" },
-    { name: "Secret Spot", quality: 1.0, description: "Davo's special place" }
-];
-
-// Bait types affect catch chances
-const baitTypes = {
-    worm: { bonus: 1.00, cost: 0 },      // Baseline, free
-    ciggie_butt: { bonus: 0.97, cost: 0 }, // 3% worse but free
-    servo_pie: { bonus: 1.01, cost: 5 },   // 1% better
-    lure: { bonus: 1.02, cost: 15 },      // 2% better
-    prawn: { bonus: 1.024, cost: 25 },    // 2.4% better
-    squid: { bonus: 1.03, cost: 40 }       // 3% better (best)
-};
-
 export default new Command({
     name: 'fish',
     aliases: ['fishing', 'cast'],
     description: 'Go fishing and see what you catch',
-    usage: '!fish [bait]',
+    usage: '!fish [spot] [bait]',
     examples: [
-        '!fish - Fish with a worm (free)',
-        '!fish prawn - Use a prawn as bait ($2)',
-        '!fish squid - Use squid bait ($3)'
+        '!fish - Fish with a worm (free) somewhere ya rod can handle',
+        '!fish jetty prawn - Fish off the jetty with a prawn',
+        '!fish squid - Use squid bait (from ya tackle box, or $40 at the water)',
+        '!tackle - Rods, bait packs and spots'
     ],
     category: 'fun',
     cooldown: 7200000, // 2 hour cooldown
@@ -128,67 +60,60 @@ export default new Command({
     persistentCooldown: true, // Enable persistent cooldown
     
     async handler(bot, message, args) {
+        const reply = (text) => {
+            if (message.isPM) {
+                sendPM(bot, message.username, text.replace(`-${message.username}`, message.username), message);
+            } else {
+                bot.sendMessage(message.roomId, text);
+            }
+        };
+
         try {
+            if (!bot.heistManager || !bot.fishingManager) {
+                reply('fishing licence machine is fucked, try again later');
+                return { success: false };
+            }
+
+            // Spot and bait can come in either order
+            let spotChoice = null;
+            let baitChoice = 'worm';
+            for (const arg of args.map(a => a.toLowerCase())) {
+                if (resolveSpot(arg)) {
+                    spotChoice = arg;
+                } else if (BAIT[arg]) {
+                    baitChoice = arg;
+                } else {
+                    bot.cooldowns?.reset(`${this.name}:${message.username}`);
+                    reply(`oi -${message.username}, dunno what "${arg}" is. bait: ${Object.keys(BAIT).join(', ')} | spots: ${Object.keys(SPOTS).join(', ')}`);
+                    return { success: false };
+                }
+            }
+
             // Check persistent cooldown if database is available
+            const cooldownManager = new PersistentCooldownManager(bot.db);
             if (bot.db && this.persistentCooldown) {
-                const cooldownManager = new PersistentCooldownManager(bot.db);
-                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.cooldown);
+                const cooldownCheck = await cooldownManager.check(this.name, message.username, this.getCooldown(bot, message));
                 
                 if (!cooldownCheck.allowed) {
-                    const cooldownMsg = this.cooldownMessage.replace('{time}', cooldownCheck.remaining);
-                    if (message.isPM) {
-                        sendPM(bot, message.username, cooldownMsg, message);
-                    } else {
-                        bot.sendMessage(message.roomId, cooldownMsg);
-                    }
+                    reply(this.cooldownMessage.replace('{time}', cooldownCheck.remaining));
                     return { success: false };
                 }
             }
-            if (!bot.heistManager) {
-                const errorMsg = 'fishing licence machine is fucked, try again later';
-                if (message.isPM) {
-                    sendPM(bot, message.username, errorMsg, message);
-                } else {
-                    bot.sendMessage(message.roomId, errorMsg);
-                }
-                return { success: false };
-            }
 
-            // Get user balance
-            const userEcon = await bot.heistManager.getUserBalance(message.username);
-            
-            // Determine bait
-            const baitChoice = args[0]?.toLowerCase() || 'worm';
-            const bait = baitTypes[baitChoice];
-            
-            if (!bait) {
-                const errorMsg = `oi -${message.username}, dunno what "${args[0]}" is but it ain't bait. Try: worm, prawn, squid, lure, servo_pie, or ciggie_butt`;
-                if (message.isPM) {
-                    sendPM(bot, message.username, errorMsg.replace('-', ''), message); // Remove - prefix in PMs
-                } else {
-                    bot.sendMessage(message.roomId, errorMsg);
-                }
-                return { success: false };
-            }
-            
-            // Check if user can afford bait
-            if (bait.cost > 0 && userEcon.balance < bait.cost) {
-                const errorMsg = `-${message.username} ya need $${bait.cost} for ${baitChoice} bait but ya only got $${userEcon.balance}. Use a worm ya cheapskate`;
-                if (message.isPM) {
-                    sendPM(bot, message.username, errorMsg.replace('-', ''), message); // Remove - prefix in PMs
-                } else {
-                    bot.sendMessage(message.roomId, errorMsg);
-                }
+            const cast = await bot.fishingManager.cast(message.username, {
+                spot: spotChoice,
+                bait: baitChoice,
+                roomId: message.roomId
+            });
+            if (!cast.success) {
+                // Didn't get a line in the water, so it doesn't count against the cooldown
+                bot.cooldowns?.reset(`${this.name}:${message.username}`);
+                await cooldownManager.reset(this.name, message.username);
+                reply(`-${message.username} ${describeError(cast)}`);
                 return { success: false };
             }
-            
-            // Deduct bait cost
-            if (bait.cost > 0) {
-                await bot.heistManager.updateUserEconomy(message.username, -bait.cost, 0);
-            }
-            
-            // Choose random fishing spot
-            const spot = fishingSpots[Math.floor(Math.random() * fishingSpots.length)];
+
+            const spot = cast.spot;
             
             // Public acknowledgment only (skip if PM)
             if (!message.isPM) {
@@ -202,26 +127,27 @@ export default new Command({
                 bot.sendMessage(message.roomId, publicAcknowledgments[Math.floor(Math.random() * publicAcknowledgments.length)]);
             }
             
-            // Determine catch
-            let catchRoll = Math.random() * spot.quality * bait.bonus;
-            // Normalize to 0-1 range to prevent breaking probability tiers
-            catchRoll = Math.min(1.0, catchRoll);
-            const specialRoll = Math.random();
-            
             // Build PM message with fishing story
-            let pmMessage = `🎣 **Fishing at ${spot.name} ${spot.description}**\n\n`;
-            pmMessage += `Using ${baitChoice} as bait...\n`;
+            let pmMessage = `🎣 **Fishing at ${spot.name} ${spot.description}**\n`;
+            pmMessage += `Weather: ${formatWeather(cast.weather)}\n\n`;
+            pmMessage += `Using ${BAIT[baitChoice].name} as bait on ya ${RODS[cast.rodId].name}...\n`;
+            if (cast.bought > 0) {
+                pmMessage += `(had none in the tackle box so ya grabbed one for $${cast.bought})\n`;
+            } else if (cast.baitLeft !== null) {
+                pmMessage += `(${cast.baitLeft} left in the tackle box)\n`;
+            }
             pmMessage += `*casts line and waits*\n\n`;
             
             let caught = null;
             let value = 0;
             let publicAnnouncement = null;
             let forcedShare = false;
+            const specialRoll = Math.random();
             
             // Check for special events first (1% chance)
-            if (specialRoll < 0.01) {
-                // TREASURE! (0.5% chance)
-                if (specialRoll < 0.005) {
+            if (cast.outcome === 'special') {
+                // TREASURE! (half of them)
+                if (specialRoll < 0.5) {
                     const treasure = specialCatches.treasure[Math.floor(Math.random() * specialCatches.treasure.length)];
                     value = Math.floor(Math.random() * (treasure.value.max - treasure.value.min + 1)) + treasure.value.min;
                     pmMessage += `💎 HOLY FUCKIN' SHIT! You found a ${treasure.name}!\n`;
@@ -233,30 +159,29 @@ export default new Command({
                         publicAnnouncement = `🚨 OI EVERYONE! ${message.username} just found a ${treasure.name} worth $${value}! Time to share the wealth ya greedy bastard!`;
                     }
                     
-                    await bot.heistManager.updateUserEconomy(message.username, value, 3);
+                    await bot.heistManager.updateUserEconomy(message.username, value, 3, {
+                        type: 'fishing',
+                        description: `Found a ${treasure.name}`,
+                        roomId: message.roomId
+                    });
                 } else {
-                    // Multi-catch event (0.5% chance)
+                    // Multi-catch event
                     const multiCatch = specialCatches.multiCatch[Math.floor(Math.random() * specialCatches.multiCatch.length)];
-                    const baseFish = fishTypes.common.names[Math.floor(Math.random() * fishTypes.common.names.length)];
+                    const commonFish = SPECIES.filter(species => species.rarity === 'common');
+                    const baseFish = commonFish[Math.floor(Math.random() * commonFish.length)].name;
                     const baseValue = Math.floor(Math.random() * 5) + 1;
                     value = baseValue * multiCatch.multiplier;
                     
                     pmMessage += `🎉 MULTI-CATCH! ${multiCatch.name} - ${multiCatch.comment}\n`;
                     pmMessage += `Total value: $${value}!\n`;
                     
-                    await bot.heistManager.updateUserEconomy(message.username, value, 0);
-                    
-                    // Log to transactions for leaderboard
-                    try {
-                        await bot.db.run(
-                            'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                            [message.username, value, 'fishing', `${weight}kg ${fishName}`, message.roomId || 'fatpizza', Date.now()]
-                        );
-                    } catch (error) {
-                        bot.logger.error('Failed to log fishing transaction:', { error: error.message, stack: error.stack });
-                    }
+                    await bot.heistManager.updateUserEconomy(message.username, value, 0, {
+                        type: 'fishing',
+                        description: `${multiCatch.name} (${baseFish})`,
+                        roomId: message.roomId
+                    });
                 }
-            } else if (catchRoll < 0.15) {
+            } else if (cast.outcome === 'trash') {
                 // Caught trash
                 caught = trashItems[Math.floor(Math.random() * trashItems.length)];
                 pmMessage += `💩 You reeled in a ${caught.name}! ${caught.comment}\n`;
@@ -265,20 +190,14 @@ export default new Command({
                 if (Math.random() < 0.1) {
                     value = Math.floor(Math.random() * 5) + 1;
                     pmMessage += `\n...wait, there's $${value} stuck to it!\n`;
-                    await bot.heistManager.updateUserEconomy(message.username, value, 0);
-                    
-                    // Log to transactions for leaderboard
-                    try {
-                        await bot.db.run(
-                            'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                            [message.username, value, 'fishing', `${weight}kg ${fishName}`, message.roomId || 'fatpizza', Date.now()]
-                        );
-                    } catch (error) {
-                        bot.logger.error('Failed to log fishing transaction:', { error: error.message, stack: error.stack });
-                    }
+                    await bot.heistManager.updateUserEconomy(message.username, value, 0, {
+                        type: 'fishing',
+                        description: `Cash stuck to a ${caught.name}`,
+                        roomId: message.roomId
+                    });
                 }
                 
-            } else if (catchRoll < 0.25) {
+            } else if (cast.outcome === 'nothing') {
                 // Nothing
                 const nothingMessages = [
                     "❌ You caught fuck all. Story of your life",
@@ -291,45 +210,15 @@ export default new Command({
                 
             } else {
                 // Caught a fish!
-                let fishRarity, fishList;
-                
-                // Adjusted percentages for new tiers
-                if (catchRoll < 0.55) {
-                    fishRarity = 'common';
-                    fishList = fishTypes.common;
-                } else if (catchRoll < 0.80) {
-                    fishRarity = 'uncommon';
-                    fishList = fishTypes.uncommon;
-                } else if (catchRoll < 0.925) {
-                    fishRarity = 'epic';
-                    fishList = fishTypes.epic;
-                } else if (catchRoll < 0.975) {
-                    fishRarity = 'rare';
-                    fishList = fishTypes.rare;
-                } else {
-                    fishRarity = 'legendary';
-                    fishList = fishTypes.legendary;
-                }
-                
-                const fishName = fishList.names[Math.floor(Math.random() * fishList.names.length)];
-                const weight = (Math.random() * (fishList.weight.max - fishList.weight.min) + fishList.weight.min).toFixed(1);
-                value = Math.floor(Math.random() * (fishList.value.max - fishList.value.min) + fishList.value.min);
-                
-                // Weight bonus
-                const weightBonus = Math.floor(parseFloat(weight) * 2);
-                value += weightBonus;
+                const fishRarity = cast.outcome;
+                const fishName = cast.species;
+                const weight = cast.weight.toFixed(1);
+                value = cast.value;
+                const landed = await bot.fishingManager.recordCatch(message.username, cast, message.roomId);
                 
                 // Build message based on rarity
-                const rarityEmojis = {
-                    common: "🐟",
-                    uncommon: "🐠",
-                    epic: "🌟",
-                    rare: "🦈",
-                    legendary: "🐋"
-                };
-                
                 if (fishRarity === 'legendary') {
-                    pmMessage += `${rarityEmojis[fishRarity]} HOLY FUCKIN' SHIT! You caught a ${weight}kg ${fishName}!\n`;
+                    pmMessage += `${RARITIES[fishRarity].emoji} HOLY FUCKIN' SHIT! You caught a ${weight}kg ${fishName}!\n`;
                     pmMessage += `That's worth $${value}! BIGGEST CATCH OF THE YEAR!\n`;
                     pmMessage += `\n🏆 **LEGENDARY CATCH! +3 Trust bonus!**\n`;
                     
@@ -341,19 +230,13 @@ export default new Command({
                         publicAnnouncement += ` Worth $${value} - time to share the wealth!`;
                     }
                     
-                    await bot.heistManager.updateUserEconomy(message.username, value, 3);
-                    
-                    // Log to transactions for leaderboard
-                    try {
-                        await bot.db.run(
-                            'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                            [message.username, value, 'fishing', `${weight}kg ${fishName}`, message.roomId || 'fatpizza', Date.now()]
-                        );
-                    } catch (error) {
-                        bot.logger.error('Failed to log fishing transaction:', { error: error.message, stack: error.stack });
-                    }
+                    await bot.heistManager.updateUserEconomy(message.username, value, 3, {
+                        type: 'fishing',
+                        description: `${weight}kg ${fishName}`,
+                        roomId: message.roomId
+                    });
                 } else if (fishRarity === 'rare') {
-                    pmMessage += `${rarityEmojis[fishRarity]} Fuckin' ripper! You landed a ${weight}kg ${fishName}!\n`;
+                    pmMessage += `${RARITIES[fishRarity].emoji} Fuckin' ripper! You landed a ${weight}kg ${fishName}!\n`;
                     pmMessage += `Worth $${value}! That's a keeper!\n`;
                     pmMessage += `\n⭐ **RARE CATCH! +2 Trust bonus!**\n`;
                     
@@ -365,33 +248,21 @@ export default new Command({
                         publicAnnouncement += ` Worth $${value} - sharing time!`;
                     }
                     
-                    await bot.heistManager.updateUserEconomy(message.username, value, 2);
-                    
-                    // Log to transactions for leaderboard
-                    try {
-                        await bot.db.run(
-                            'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                            [message.username, value, 'fishing', `${weight}kg ${fishName}`, message.roomId || 'fatpizza', Date.now()]
-                        );
-                    } catch (error) {
-                        bot.logger.error('Failed to log fishing transaction:', { error: error.message, stack: error.stack });
-                    }
+                    await bot.heistManager.updateUserEconomy(message.username, value, 2, {
+                        type: 'fishing',
+                        description: `${weight}kg ${fishName}`,
+                        roomId: message.roomId
+                    });
                 } else if (fishRarity === 'epic') {
-                    pmMessage += `${rarityEmojis[fishRarity]} Bloody oath! Epic catch - ${weight}kg ${fishName}!\n`;
+                    pmMessage += `${RARITIES[fishRarity].emoji} Bloody oath! Epic catch - ${weight}kg ${fishName}!\n`;
                     pmMessage += `Worth $${value}! That's a ripper!\n`;
                     pmMessage += `\n⭐ **EPIC CATCH! +1 Trust bonus!**\n`;
                     
-                    await bot.heistManager.updateUserEconomy(message.username, value, 1);
-                    
-                    // Log to transactions for leaderboard
-                    try {
-                        await bot.db.run(
-                            'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                            [message.username, value, 'fishing', `${weight}kg ${fishName}`, message.roomId || 'fatpizza', Date.now()]
-                        );
-                    } catch (error) {
-                        bot.logger.error('Failed to log fishing transaction:', { error: error.message, stack: error.stack });
-                    }
+                    await bot.heistManager.updateUserEconomy(message.username, value, 1, {
+                        type: 'fishing',
+                        description: `${weight}kg ${fishName}`,
+                        roomId: message.roomId
+                    });
                 } else {
                     const catchMessages = [
                         `caught a ${weight}kg ${fishName}! Worth $${value}`,
@@ -399,19 +270,13 @@ export default new Command({
                         `landed a decent ${weight}kg ${fishName}! $${value} in the pocket`,
                         `hooked a ${weight}kg ${fishName}! Fish and chips money: $${value}`
                     ];
-                    pmMessage += `${rarityEmojis[fishRarity]} You ${catchMessages[Math.floor(Math.random() * catchMessages.length)]}\n`;
-                    
-                    await bot.heistManager.updateUserEconomy(message.username, value, 0);
+                    pmMessage += `${RARITIES[fishRarity].emoji} You ${catchMessages[Math.floor(Math.random() * catchMessages.length)]}\n`;
                     
-                    // Log to transactions for leaderboard
-                    try {
-                        await bot.db.run(
-                            'INSERT INTO economy_transactions (username, amount, transaction_type, description, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-                            [message.username, value, 'fishing', `${weight}kg ${fishName}`, message.roomId || 'fatpizza', Date.now()]
-                        );
-                    } catch (error) {
-                        bot.logger.error('Failed to log fishing transaction:', { error: error.message, stack: error.stack });
-                    }
+                    await bot.heistManager.updateUserEconomy(message.username, value, 0, {
+                        type: 'fishing',
+                        description: `${weight}kg ${fishName}`,
+                        roomId: message.roomId
+                    });
                 }
                 
                 // Random fishing stories
@@ -427,6 +292,18 @@ export default new Command({
                     ];
                     pmMessage += stories[Math.floor(Math.random() * stories.length)];
                 }
+                
+                if (landed.newSpecies) {
+                    pmMessage += `\n📖 First ${fishName} ya've ever caught, into the collection it goes!`;
+                } else if (landed.personalBest) {
+                    pmMessage += `\n🏅 New PB! Beats ya old ${landed.previousBest}kg ${fishName}`;
+                }
+            }
+            
+            // Sometimes the line snags somethin' worth keepin'
+            const found = await bot.inventoryManager?.award(message.username, 'fishing', { roomId: message.roomId });
+            if (found) {
+                pmMessage += `\n\n🎒 Snagged a ${found.name} on the way in! (!inventory)`;
             }
             
             // Add balance info if any money was earned
@@ -463,16 +340,16 @@ export default new Command({
                             const sharePerUser = Math.floor(remainingAmount / (onlineUsers.length + 1)); // +1 for dazza
                             const dazzaShare = remainingAmount - (sharePerUser * onlineUsers.length);
                             
-                            // Deduct the shared amount from fisher (they already got the full amount)
-                            await bot.heistManager.updateUserEconomy(message.username, -remainingAmount, 0);
-                            
-                            // Give each user their share
-                            for (const user of onlineUsers) {
-                                await bot.heistManager.updateUserEconomy(user.name, sharePerUser, 0);
-                            }
-                            
-                            // Dazza gets his cut
-                            await bot.heistManager.updateUserEconomy('dazza', dazzaShare, 0);
+                            // Split the shared amount from fisher (they already got the full amount)
+                            // across each online user, with Dazza's cut on top
+                            await bot.heistManager.splitMoney(message.username, [
+                                ...onlineUsers.map(user => ({ username: user.name, amount: sharePerUser })),
+                                { username: 'dazza', amount: dazzaShare }
+                            ], {
+                                type: 'fishing_share',
+                                description: `Forced share of ${message.username}'s catch`,
+                                roomId: message.roomId
+                            });
                             
                             // Announce the sharing
                             const shareMessages = [
@@ -496,12 +373,7 @@ export default new Command({
             
         } catch (error) {
             bot.logger.error('Fish command error:', { error: error.message, stack: error.stack });
-            const errorMsg = 'fishing rod snapped. bloody cheap Kmart shit.';
-            if (message.isPM) {
-                sendPM(bot, message.username, errorMsg, message);
-            } else {
-                bot.sendMessage(message.roomId, errorMsg);
-            }
+            reply('fishing rod snapped. bloody cheap Kmart shit.');
             return { success: false };
         }
     }
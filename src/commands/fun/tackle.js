@@ -0,0 +1,101 @@
+import { Command } from '../base.js';
+import { respond, sendPM } from '../../utils/pmHelper.js';
+import { RODS, BAIT, BAIT_PACK, SPOTS, baitPackPrice, describeError } from '../../modules/fishing/index.js';
+
+export default new Command({
+    name: 'tackle',
+    aliases: ['tacklebox', 'tackleshop', 'baitshop'],
+    description: 'Buy rods and bait for !fish and see where ya can fish',
+    usage: '!tackle [shop | buy <item> [packs] | spots]',
+    examples: [
+        '!tackle - What\'s in ya tackle box',
+        '!tackle shop - Rods and bait for sale (PM)',
+        '!tackle buy surf - Buy a surf rod (better odds, opens up the beach)',
+        '!tackle buy prawn 2 - Two packs of prawns',
+        '!tackle spots - Fishing spots, their weather and the rod ya need (PM)'
+    ],
+    category: 'fun',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const fishing = bot.fishingManager;
+        if (!fishing || !bot.heistManager) {
+            say('the tackle shop\'s shut, try again later');
+            return { success: false };
+        }
+
+        try {
+            const subcommand = (args[0] || 'gear').toLowerCase();
+
+            switch (subcommand) {
+                case 'gear':
+                case 'box': {
+                    const gear = await fishing.getGear(message.username);
+                    const bait = Object.entries(gear.bait).map(([id, quantity]) => `${BAIT[id].name} x${quantity}`);
+                    say(`-${message.username} fishin' with a ${RODS[gear.rod].name} | bait: ${bait.length > 0 ? bait.join(', ') : 'just worms and ciggie butts'}`);
+                    return { success: true };
+                }
+
+                case 'shop': {
+                    const rods = Object.entries(RODS)
+                        .filter(([, rod]) => rod.price > 0)
+                        .map(([id, rod]) => `${id} - ${rod.name} $${rod.price} (${rod.description})`);
+                    const bait = Object.entries(BAIT)
+                        .filter(([, item]) => item.price > 0)
+                        .map(([id]) => `${id} $${baitPackPrice(id)}`);
+
+                    sendPM(bot, message.username, `🎣 Rods (kept for good, best one gets used):\n${rods.join('\n')}`, message.roomId);
+                    sendPM(bot, message.username, `🪱 Bait, packs of ${BAIT_PACK}: ${bait.join(', ')} | worms and ciggie butts are free`, message.roomId);
+                    if (!message.isPM) {
+                        say(`-${message.username} price list's in ya PMs`);
+                    }
+                    return { success: true };
+                }
+
+                case 'buy': {
+                    if (!args[1]) {
+                        say('usage: !tackle buy <rod or bait> [packs]');
+                        return { success: false };
+                    }
+
+                    const packs = Math.min(parseInt(args[2]) || 1, 20);
+                    const result = await fishing.buy(message.username, args[1], packs, message.roomId);
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    say(result.kind === 'rod'
+                        ? `-${message.username} walks out with a shiny new ${result.name} for $${result.cost}`
+                        : `-${message.username} grabbed ${result.quantity} ${result.name}s for $${result.cost}`);
+                    return { success: true };
+                }
+
+                case 'spots': {
+                    const gear = await fishing.getGear(message.username);
+                    const lines = Object.entries(SPOTS).map(([id, spot]) => {
+                        const needed = Object.values(RODS).find(rod => rod.tier === spot.minTier);
+                        const lock = RODS[gear.rod].tier >= spot.minTier ? '' : ` 🔒 needs a ${needed.name}`;
+                        return `${id} - ${spot.name}, ${spot.water}water: ${fishing.weather.describe(id)}${lock}`;
+                    });
+
+                    sendPM(bot, message.username, `🗺️ Fishin' spots:\n${lines.join('\n')}`, message.roomId);
+                    if (!message.isPM) {
+                        say(`-${message.username} sent ya the spots and the forecast`);
+                    }
+                    return { success: true };
+                }
+
+                default:
+                    say('usage: !tackle [shop | buy <item> [packs] | spots]');
+                    return { success: false };
+            }
+        } catch (error) {
+            bot.logger.error('Tackle command error:', { error: error.message, stack: error.stack });
+            say('tackle shop\'s till is jammed, try again later');
+            return { success: false };
+        }
+    }
+});
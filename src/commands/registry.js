@@ -65,7 +65,7 @@ export class CommandRegistry {
 
         // Check cooldown
         const cooldownKey = `${command.name}:${message.username}`;
-        const cooldownCheck = bot.cooldowns.check(cooldownKey, command.cooldown);
+        const cooldownCheck = bot.cooldowns.check(cooldownKey, command.getCooldown(bot, message));
         
         if (!cooldownCheck.allowed) {
             // Use custom cooldown message if provided, otherwise use default
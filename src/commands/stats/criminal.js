@@ -3,7 +3,7 @@ import { Command } from '../base.js';
 export default new Command({
     name: 'criminal',
     aliases: ['record', 'rapsheet', 'crimes'],
-    description: 'Check criminal record from heist activities',
+    description: 'Check criminal record from heists and muggings, heat and bounties',
     usage: '!criminal [username]',
     examples: [
         '!criminal - Check your own criminal record',
@@ -66,14 +66,31 @@ export default new Command({
                 WHERE username = ? AND transaction_type = 'heist'
             `, [targetUser]);
 
+            // Get mugging history, heat and bounties
+            // (mug.js records victims lowercased, so someone can have two rows)
+            const mugStats = await bot.db.get(`
+                SELECT 
+                    SUM(total_mugs) as total_mugs,
+                    SUM(successful_mugs) as successful_mugs,
+                    SUM(times_arrested) as times_arrested,
+                    SUM(total_stolen) as total_stolen,
+                    SUM(times_mugged) as times_mugged
+                FROM mug_stats
+                WHERE username = ? COLLATE NOCASE
+            `, [targetUser]);
+            const heat = bot.crimeManager ? await bot.crimeManager.getHeat(targetUser) : 0;
+            const bounty = bot.crimeManager ? await bot.crimeManager.getBountyTotal(targetUser) : 0;
+
             // Build criminal record - keep it concise
-            if (heistStats.total_heists === 0) {
+            if (heistStats.total_heists === 0 && !mugStats?.total_mugs && !mugStats?.times_mugged) {
                 bot.sendMessage(message.roomId, `-${targetUser} has a clean record (fuckin pussy)`);
                 return { success: true };
             }
             
             // Calculate success rate
-            const successRate = Math.round((heistStats.successful_heists / heistStats.total_heists) * 100);
+            const successRate = heistStats.total_heists > 0
+                ? Math.round((heistStats.successful_heists / heistStats.total_heists) * 100)
+                : 0;
             
             // Determine criminal status
             let status;
@@ -89,6 +106,12 @@ export default new Command({
 
             let record = `-${targetUser}: ${status} | `;
             record += `${heistStats.total_heists} heists (${successRate}% success) | `;
+            if (mugStats?.total_mugs) {
+                record += `${mugStats.total_mugs} muggings (${mugStats.successful_mugs} came off, ${mugStats.times_arrested} arrest${mugStats.times_arrested === 1 ? '' : 's'}) | `;
+            }
+            if (mugStats?.times_mugged) {
+                record += `mugged ${mugStats.times_mugged}x | `;
+            }
             record += `Trust: ${userData.trust} | `;
             
             // Add earnings if any
@@ -100,6 +123,16 @@ export default new Command({
             } else {
                 record += `Stolen: $0`;
             }
+            if (mugStats?.total_stolen) {
+                record += ` + $${mugStats.total_stolen} mugged`;
+            }
+
+            if (heat > 0) {
+                record += ` | 🔥 Heat: ${heat}`;
+            }
+            if (bounty > 0) {
+                record += ` | 🎯 $${bounty} bounty`;
+            }
 
             bot.sendMessage(message.roomId, record);
             return { success: true };
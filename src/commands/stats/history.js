@@ -0,0 +1,44 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { formatDuration, truncateMessage } from '../../utils/formatting.js';
+
+export default new Command({
+    name: 'history',
+    aliases: ['recent', 'lastplayed'],
+    description: 'What\'s played in here lately',
+    usage: '!history [count]',
+    examples: [
+        '!history - The last 5 videos played in here',
+        '!history 8 - The last 8'
+    ],
+    category: 'stats',
+    cooldown: 5000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, text);
+        if (!bot.mediaTracker?.enabled) {
+            say('not keepin track of what plays right now');
+            return { success: false };
+        }
+
+        const limit = Math.min(Math.max(parseInt(args[0]) || 5, 1), 10);
+
+        try {
+            const recent = await bot.mediaTracker.getRecentlyPlayed({ roomId: message.roomId, limit });
+            if (recent.length === 0) {
+                say('nothin\'s played in here that I\'ve seen');
+                return { success: true };
+            }
+
+            say('📼 ' + recent.map(media =>
+                `${truncateMessage(media.title || media.url, 45)} (${formatDuration(Date.now() - media.last_seen)} ago)`
+            ).join(' | '));
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('History command error:', { error: error.message, stack: error.stack });
+            say(bot.personality.getResponse('error'));
+            return { success: false };
+        }
+    }
+});
@@ -0,0 +1,44 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { truncateMessage } from '../../utils/formatting.js';
+
+export default new Command({
+    name: 'mostplayed',
+    aliases: ['topplayed', 'flogged'],
+    description: 'The videos that get flogged the most in here',
+    usage: '!mostplayed [count]',
+    examples: [
+        '!mostplayed - Top 5 by plays',
+        '!mostplayed 10 - Top 10'
+    ],
+    category: 'stats',
+    cooldown: 5000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, text);
+        if (!bot.mediaTracker?.enabled) {
+            say('not keepin track of what plays right now');
+            return { success: false };
+        }
+
+        const limit = Math.min(Math.max(parseInt(args[0]) || 5, 1), 10);
+
+        try {
+            const top = await bot.mediaTracker.getTopPlayed({ roomId: message.roomId, limit });
+            if (top.length === 0) {
+                say('nothin\'s played in here that I\'ve seen');
+                return { success: true };
+            }
+
+            say('🔁 ' + top.map((media, index) =>
+                `${index + 1}. ${truncateMessage(media.title || media.url, 40)} (${media.play_count}x)`
+            ).join(' | '));
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Mostplayed command error:', { error: error.message, stack: error.stack });
+            say(bot.personality.getResponse('error'));
+            return { success: false };
+        }
+    }
+});
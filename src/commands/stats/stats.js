@@ -52,7 +52,14 @@ export default new Command({
             ];
             
             // Pick a random response
-            const response = responses[Math.floor(Math.random() * responses.length)];
+            let response = responses[Math.floor(Math.random() * responses.length)];
+            
+            // Tack on their fish collection if they've ever caught anything
+            const collection = await bot.fishingManager?.getCollection(stats.username);
+            if (collection?.caught > 0) {
+                response += ` | 🎣 ${collection.caught}/${collection.total} fish species (${collection.percent}%)`;
+            }
+            
             bot.sendMessage(message.roomId, response);
             
             return { success: true };
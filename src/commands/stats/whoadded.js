@@ -0,0 +1,52 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { formatTimestamp, truncateMessage } from '../../utils/formatting.js';
+
+export default new Command({
+    name: 'whoadded',
+    aliases: ['whoqueued', 'firstseen'],
+    description: 'Who first brought a video into the room, and when',
+    usage: '!whoadded <link or part of the title>',
+    examples: [
+        '!whoadded https://youtu.be/dQw4w9WgXcQ - Who dug this one up first',
+        '!whoadded thunderstruck - Search by title'
+    ],
+    category: 'stats',
+    cooldown: 5000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, text);
+        if (!bot.mediaTracker?.enabled) {
+            say('not keepin track of what plays right now');
+            return { success: false };
+        }
+
+        const search = args.join(' ').trim();
+        if (!search) {
+            say('usage: !whoadded <link or part of the title>');
+            return { success: false };
+        }
+
+        try {
+            const found = await bot.mediaTracker.findMedia(search, { roomId: message.roomId, limit: 3 });
+            if (found.length === 0) {
+                say(`never seen anything like "${truncateMessage(search, 40)}" come through here`);
+                return { success: true };
+            }
+
+            // Rows from the old media tracker only know who queued it last
+            const adder = (media) => media.added_by
+                ? `first added by ${media.added_by}`
+                : `dunno who added it first${media.last_added_by ? ` (last queued by ${media.last_added_by})` : ''}`;
+            say('🕵️ ' + found.map(media =>
+                `${truncateMessage(media.title || media.url, 40)}: ${adder(media)}, first seen ${formatTimestamp(media.first_seen)}, played ${media.play_count}x`
+            ).join(' | '));
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Whoadded command error:', { error: error.message, stack: error.stack });
+            say(bot.personality.getResponse('error'));
+            return { success: false };
+        }
+    }
+});
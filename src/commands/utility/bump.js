@@ -0,0 +1,49 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { describeError } from '../../modules/media/requests.js';
+
+export default new Command({
+    name: 'bump',
+    aliases: ['playnext'],
+    description: 'Pay to have a video on the playlist play next',
+    usage: '!bump <#request | link | title>',
+    examples: [
+        '!bump #12 - Request 12 plays next',
+        '!bump thunderstruck - The next video with that in the title plays next',
+        '!bump https://youtu.be/dQw4w9WgXcQ - That video plays next'
+    ],
+    category: 'utility',
+    cooldown: 5000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const requests = bot.mediaRequests;
+        if (!requests || !bot.heistManager) {
+            say('the playlist\'s jammed, no bumpin\' right now');
+            return { success: false };
+        }
+
+        const { roomId, username } = message;
+        if (args.length === 0) {
+            say(`usage: !bump <#request | link | title> - $${requests.getConfig(roomId).bumpCost} to play it next`);
+            return { success: false };
+        }
+
+        try {
+            const result = await requests.bump(roomId, username, args.join(' '));
+            if (!result.success) {
+                say(`-${username} ${describeError(result)}`);
+                return { success: false };
+            }
+
+            bot.sendMessage(roomId, `⏫ -${username} slipped the DJ $${result.cost}: ${result.item.media?.title || 'that one'} ` +
+                `goes from #${result.bump.from} to #${result.bump.to}`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Bump command error:', { error: error.message, stack: error.stack });
+            say('the playlist\'s jammed, try again later');
+            return { success: false };
+        }
+    }
+});
@@ -0,0 +1,158 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { parseWhen, DEFAULT_TIMEZONE } from '../../utils/timeParser.js';
+import { describeError, formatLeadTime } from '../../modules/events/index.js';
+
+const USAGE = 'usage: !event [id] | rsvp <id> | unrsvp <id> | add <when> <title> [| links] | cancel <id>';
+const LIST_LIMIT = 4;
+
+// Besides bot admins, these roles can put events on the calendar
+const HOST_ROLES = ['moderator', 'event-host'];
+
+export default new Command({
+    name: 'event',
+    aliases: ['events', 'movienight'],
+    description: 'See what\'s on in the channel, RSVP, and (for hosts) schedule events',
+    usage: '!event [id] | rsvp <id> | unrsvp <id> | add <when> <title> [| links] | cancel <id>',
+    examples: [
+        '!event - What\'s coming up in here',
+        '!event 3 - Details and who\'s going to event #3',
+        '!event rsvp 3 - Say you\'re coming (Dazza PMs ya before it starts)',
+        '!event unrsvp 3 - Pull out',
+        '!event add friday 8pm Movie Night - One-off event',
+        '!event add every friday 8pm Trivia | https://youtu.be/dQw4w9WgXcQ - Weekly, queues the video when it starts',
+        '!event cancel 3 - Call it off'
+    ],
+    category: 'utility',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const events = bot.eventManager;
+        if (!events) {
+            say('the events calendar\'s gone walkabout, try again later');
+            return { success: false };
+        }
+
+        try {
+            const timezone = await bot.db.getUserTimezone(message.username) || bot.config.reminder?.defaultTimezone || DEFAULT_TIMEZONE;
+            const subcommand = (args[0] || 'list').toLowerCase();
+            const id = parseInt((args[1] || '').replace('#', ''));
+
+            switch (subcommand) {
+                case 'list':
+                case 'next': {
+                    const upcoming = await events.listUpcoming(message.roomId, LIST_LIMIT);
+                    if (upcoming.length === 0) {
+                        say('nothin on the calendar mate, bug a mod to organise somethin');
+                        return { success: true };
+                    }
+
+                    say(`📅 coming up: ${upcoming.map(event => events.describeEvent(event, timezone)).join(' | ')}`);
+                    return { success: true };
+                }
+
+                case 'rsvp':
+                case 'going':
+                case 'unrsvp':
+                case 'notgoing': {
+                    if (isNaN(id)) {
+                        say(USAGE);
+                        return { success: false };
+                    }
+
+                    const joining = subcommand === 'rsvp' || subcommand === 'going';
+                    const result = joining
+                        ? await events.rsvp(message.roomId, id, message.username)
+                        : await events.unrsvp(message.roomId, id, message.username);
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    say(joining
+                        ? `-${message.username} ya down for ${result.event.title} (${result.going} going), I'll give ya a yell before it starts`
+                        : `-${message.username} righto, scratched ya from ${result.event.title}`);
+                    return { success: true };
+                }
+
+                case 'add':
+                case 'create': {
+                    if (!canHost(bot, message)) {
+                        say(`-${message.username} only mods can put stuff on the calendar`);
+                        return { success: false };
+                    }
+
+                    const rest = args.slice(1);
+                    const when = parseWhen(rest, { timezone });
+                    if (!when || when.error) {
+                        say(`-${message.username} ${when?.error || 'when though? try like "friday 8pm" or "every friday 8pm"'}`);
+                        return { success: false };
+                    }
+
+                    const [title, links = ''] = rest.slice(when.consumed).join(' ').split('|');
+                    const result = await events.createEvent(message.roomId, {
+                        title,
+                        startsAt: when.at,
+                        recurrence: when.recurrence,
+                        timezone,
+                        playlist: links.split(/\s+/).filter(Boolean),
+                        createdBy: message.username
+                    });
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    const videos = result.event.playlist.length > 0 ? `, ${result.event.playlist.length} video(s) ready to queue` : '';
+                    say(`📅 ${events.describeEvent(result.event, timezone)}${videos} - !event rsvp ${result.event.id} to be in it`);
+                    return { success: true };
+                }
+
+                case 'cancel':
+                case 'delete': {
+                    if (!canHost(bot, message)) {
+                        say(`-${message.username} only mods can cancel events`);
+                        return { success: false };
+                    }
+                    if (isNaN(id)) {
+                        say(USAGE);
+                        return { success: false };
+                    }
+
+                    const result = await events.cancelEvent(message.roomId, id, message.username);
+                    if (!result.success) {
+                        say(`-${message.username} ${describeError(result)}`);
+                        return { success: false };
+                    }
+
+                    say(`${result.event.title} is off, sorry legends`);
+                    return { success: true };
+                }
+
+                default: {
+                    const eventId = parseInt(subcommand.replace('#', ''));
+                    const event = isNaN(eventId) ? null : await events.getEvent(eventId, message.roomId);
+                    if (!event || event.status !== 'scheduled') {
+                        say(isNaN(eventId) ? USAGE : `-${message.username} ${describeError({ error: event ? 'not_scheduled' : 'no_event' })}`);
+                        return { success: false };
+                    }
+
+                    const going = await events.getRsvps(event);
+                    const who = going.length > 0 ? `${going.length} going: ${going.join(', ')}` : 'nobody\'s RSVP\'d yet';
+                    say(`${events.describeEvent(event, timezone)} (in ${formatLeadTime(event.starts_at - Date.now())}) - ${who}`);
+                    return { success: true };
+                }
+            }
+        } catch (error) {
+            bot.logger.error('Event command error:', { error: error.message, stack: error.stack });
+            say('the events calendar\'s cooked, try again later');
+            return { success: false };
+        }
+    }
+});
+
+function canHost(bot, message) {
+    return bot.isAdmin(message.username) || bot.hasRole(message.username, HOST_ROLES, message.roomId);
+}
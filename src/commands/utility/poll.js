@@ -0,0 +1,166 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { formatDuration, parseTimeString } from '../../utils/formatting.js';
+import { describeError } from '../../modules/polls/index.js';
+import { pickLine, opened } from '../../modules/polls/commentary.js';
+
+const MOD_ROLES = ['moderator'];
+const USAGE = '!poll "question" <option> <option> ... [--time 5m] [--money] | back <option> <amount> | close | cancel | history';
+
+// Chat comes in HTML escaped, polls want what was typed
+function unescapeChat(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/[“”]/g, '"');
+}
+
+/**
+ * Split '"question" "option one" two --time 5m' into words, keeping quoted
+ * bits together
+ */
+function tokenize(text) {
+    return [...unescapeChat(text).matchAll(/"([^"]*)"|(\S+)/g)].map(match => match[1] ?? match[2]);
+}
+
+export default new Command({
+    name: 'poll',
+    aliases: ['vote'],
+    description: 'Run a poll in the channel, or a money poll where backers of the winner split the pot',
+    usage: USAGE,
+    examples: [
+        '!poll - What\'s up for a vote right now',
+        '!poll "best servo pie?" steak mince "chicken n mushroom" - Poll for the usual 5 minutes',
+        '!poll "who wins the footy?" swans pies --time 10m --money - Money poll, put ya cash on an option',
+        '!poll back 2 100 - $100 on option 2 of the money poll',
+        '!poll close - Call it early (whoever started it, or a mod)',
+        '!poll cancel - Scrap it, any money goes back',
+        '!poll history - The last few results'
+    ],
+    category: 'utility',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const polls = bot.pollManager;
+        if (!polls) {
+            say('the ballot box is locked up, no polls right now');
+            return { success: false };
+        }
+
+        const { roomId, username } = message;
+        const isMod = bot.isAdmin(username) || bot.hasRole(username, MOD_ROLES, roomId);
+        const fail = (result) => {
+            say(`-${username} ${describeError(result)}`);
+            return { success: false };
+        };
+
+        try {
+            const action = (args[0] || '').toLowerCase();
+
+            if (action === '' || action === 'status') {
+                const poll = await polls.getOpenPoll(roomId);
+                if (!poll) {
+                    say('no poll goin\' right now. !poll "question" <option> <option> to start one');
+                    return { success: true };
+                }
+
+                const options = poll.options.map((option, index) => `${index + 1}. ${option}`).join(', ');
+                const left = poll.closes_at ? `, closes in ${formatDuration(Math.max(poll.closes_at - Date.now(), 0))}` : '';
+                const money = poll.mode === 'money' ? ` | $${poll.pot} on it, !poll back <option> <amount>` : '';
+                say(`📊 ${poll.title} - ${options}${left}${money}`);
+                return { success: true };
+            }
+
+            if (action === 'back' || action === 'bet') {
+                const option = parseInt(args[1]);
+                const amount = parseInt((args[2] || '').replace('$', ''));
+                if (isNaN(option) || isNaN(amount)) {
+                    say('usage: !poll back <option> <amount>');
+                    return { success: false };
+                }
+
+                const result = await polls.back(roomId, username, option, amount);
+                if (!result.success) return fail(result);
+
+                say(`📊 -${username} has $${result.total} ridin' on ${result.option}`);
+                return { success: true };
+            }
+
+            if (action === 'close' || action === 'end') {
+                const result = await polls.closePoll(roomId, username, isMod);
+                if (!result.success) return fail(result);
+                return { success: true };
+            }
+
+            if (action === 'cancel') {
+                const result = await polls.cancelPoll(roomId, username, isMod);
+                if (!result.success) return fail(result);
+
+                bot.sendMessage(roomId, `📊 poll #${result.poll.id} is scrapped${result.poll.mode === 'money' ? ', everyone\'s money\'s been handed back' : ''}`);
+                return { success: true };
+            }
+
+            if (action === 'history' || action === 'results') {
+                const recent = await polls.list(roomId, 3, 'closed');
+                if (recent.length === 0) {
+                    say('no polls on record in here yet');
+                    return { success: true };
+                }
+
+                say(recent.map(poll => {
+                    const winner = poll.winner === null ? 'no winner' : poll.options[poll.winner];
+                    return `#${poll.id} ${poll.title}: ${winner} (${poll.counts.reduce((sum, count) => sum + count, 0)} votes)`;
+                }).join(' | '));
+                return { success: true };
+            }
+
+            // Anything else is a new poll
+            const tokens = tokenize(args.join(' '));
+            const options = [];
+            let duration = null;
+            let mode = 'normal';
+            for (let i = 1; i < tokens.length; i++) {
+                if (tokens[i] === '--money') {
+                    mode = 'money';
+                } else if (tokens[i] === '--time') {
+                    duration = parseTimeString(tokens[++i] || '');
+                    if (!duration) {
+                        say('usage: --time 5m (s, m or h)');
+                        return { success: false };
+                    }
+                } else if (tokens[i].trim()) {
+                    options.push(tokens[i].trim());
+                }
+            }
+
+            const title = tokens[0]?.trim();
+            if (!title || options.length === 0) {
+                say(`usage: ${USAGE}`);
+                return { success: false };
+            }
+
+            const result = await polls.openPoll(roomId, username, { title, options, duration, mode }, isMod);
+            if (!result.success) return fail(result);
+
+            const { poll } = result;
+            const length = formatDuration(poll.closes_at - poll.opened_at);
+            bot.sendMessage(roomId, pickLine(opened, {
+                title: poll.title,
+                options: poll.options.map((option, index) => `${index + 1}. ${option}`).join(', ')
+            }) + ` (${length})`);
+            if (poll.mode === 'money') {
+                bot.sendMessage(roomId, '💰 money poll! !poll back <option> <amount> and if ya option wins the vote ya split the pot');
+            }
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Poll command error:', { error: error.message, stack: error.stack });
+            say('the ballot box got knocked over, try again later');
+            return { success: false };
+        }
+    }
+});
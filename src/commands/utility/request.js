@@ -0,0 +1,82 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { describeError } from '../../modules/media/requests.js';
+
+export default new Command({
+    name: 'request',
+    aliases: ['req', 'requests'],
+    description: 'Get the bot to queue a video for ya, and see what\'s been requested and bumped',
+    usage: '!request <link> | mine | log',
+    examples: [
+        '!request https://youtu.be/dQw4w9WgXcQ - Queue it at the end of the playlist',
+        '!request mine - What ya asked for lately and how it went',
+        '!request log - Latest requests and bumps in here'
+    ],
+    category: 'utility',
+    cooldown: 5000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const say = (text) => respond(bot, message, message.isPM ? text.replace(`-${message.username}`, message.username) : text);
+        const requests = bot.mediaRequests;
+        if (!requests) {
+            say('the request line\'s down, try again later');
+            return { success: false };
+        }
+
+        const { roomId, username } = message;
+        const ago = (timestamp) => `${formatDuration(Date.now() - timestamp)} ago`;
+
+        try {
+            const action = (args[0] || '').toLowerCase();
+
+            if (action === '') {
+                say('usage: !request <link> | mine | log');
+                return { success: false };
+            }
+
+            if (action === 'mine' || action === 'me') {
+                const mine = await requests.listRequests({ roomId, username, limit: 5 });
+                if (mine.length === 0) {
+                    say(`-${username} ya haven't requested anything in here`);
+                    return { success: true };
+                }
+
+                say(`-${username} ` + mine.map(request =>
+                    `#${request.id} ${request.title || `${request.media_type}:${request.media_id}`} (${request.status}${request.reason ? `: ${request.reason}` : ''}, ${ago(request.created_at)})`
+                ).join(' | '));
+                return { success: true };
+            }
+
+            if (action === 'log' || action === 'history') {
+                const [latest, bumps] = await Promise.all([
+                    requests.listRequests({ roomId, limit: 4 }),
+                    requests.listBumps({ roomId, limit: 3 })
+                ]);
+                if (latest.length === 0 && bumps.length === 0) {
+                    say('nobody\'s requested anything in here yet');
+                    return { success: true };
+                }
+
+                const lines = latest.map(request => `#${request.id} ${request.username}: ${request.title || request.media_id} (${request.status})`);
+                lines.push(...bumps.map(bump => `${bump.username} bumped ${bump.title} #${bump.from_position}→#${bump.to_position} ($${bump.cost})`));
+                say(`🎵 ${lines.join(' | ')}`);
+                return { success: true };
+            }
+
+            const result = await requests.request(roomId, username, args.join(' '));
+            if (!result.success) {
+                say(`-${username} ${describeError(result)}`);
+                return { success: false };
+            }
+
+            // CyTube answers with the title, announced in MediaRequestManager.handleQueued
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Request command error:', { error: error.message, stack: error.stack });
+            say('the request line\'s down, try again later');
+            return { success: false };
+        }
+    }
+});
@@ -24,13 +24,13 @@ export default new Command({
             return { success: true };
         }
         
-        // Check if Ollama is available
-        if (!bot.ollama) {
+        // Check the room has an LLM and it's up
+        if (!bot.llm?.isEnabled(message.roomId)) {
             bot.sendMessage(message.roomId, `-${message.username} sorry mate, me brain's not workin right now`);
             return { success: false };
         }
         
-        const isAvailable = await bot.ollama.isAvailable();
+        const isAvailable = await bot.llm.isAvailable(message.roomId);
         if (!isAvailable) {
             bot.sendMessage(message.roomId, `-${message.username} cant think straight right now, try again later`);
             return { success: false };
@@ -104,8 +104,8 @@ export default new Command({
                 logger.debug(`Filtered out messages from: ${Array.from(filteredUsers).join(', ')}`);
             }
             
-            // Generate summary using Ollama's dedicated summary method
-            const summaryMessages = await bot.ollama.generateSummary(chatLog, hours);
+            // Generate summary with the room's provider
+            const summaryMessages = await bot.llm.generateSummary(chatLog, hours, message.roomId);
             
             if (!summaryMessages || summaryMessages.length === 0) {
                 sendPM(bot, message.username, 'Failed to generate summary. Too cooked to think straight.', message);
@@ -0,0 +1,46 @@
+import { Command } from '../base.js';
+import { respond } from '../../utils/pmHelper.js';
+import { resolveTimezone, formatInTimezone, DEFAULT_TIMEZONE } from '../../utils/timeParser.js';
+
+export default new Command({
+    name: 'timezone',
+    aliases: ['tz'],
+    description: 'Set the timezone Dazza reads your reminder and event times in',
+    usage: '!timezone [zone]',
+    examples: [
+        '!timezone - Show your timezone and the time there',
+        '!timezone perth - Australian cities, nz, uk and utc work as shorthand',
+        '!timezone America/New_York - Or any IANA zone name'
+    ],
+    category: 'utility',
+    cooldown: 3000,
+    pmAccepted: true,
+
+    async handler(bot, message, args) {
+        const fallback = bot.config.reminder?.defaultTimezone || DEFAULT_TIMEZONE;
+
+        try {
+            if (!args[0]) {
+                const stored = await bot.db.getUserTimezone(message.username);
+                const timezone = stored || fallback;
+                const note = stored ? '' : ' (the default, set yours with !timezone <zone>)';
+                respond(bot, message, `${message.username}: ${timezone}${note}, it's ${formatInTimezone(Date.now(), timezone)} there`);
+                return { success: true };
+            }
+
+            const timezone = resolveTimezone(args.join('_'));
+            if (!timezone) {
+                respond(bot, message, `never heard of "${args.join(' ')}" mate, try a city like perth or a zone like Europe/London`);
+                return { success: true };
+            }
+
+            await bot.db.setUserTimezone(message.username, timezone);
+            respond(bot, message, `righto ${message.username}, you're on ${timezone} time now (${formatInTimezone(Date.now(), timezone)})`);
+            return { success: true };
+        } catch (error) {
+            bot.logger.error('Timezone command error:', { error: error.message, stack: error.stack });
+            respond(bot, message, 'clock\'s broken mate, try again later');
+            return { success: false };
+        }
+    }
+});
@@ -54,18 +54,64 @@ export default {
     },
     reminder: {
         checkInterval: 60 * 1000, // 1 minute
-        maxDuration: 24 * 60 * 60 * 1000, // 24 hours
+        maxDuration: 366 * 24 * 60 * 60 * 1000, // A year out for absolute dates
+        minInterval: 15 * 60 * 1000, // Shortest gap between repeats ("every 15m")
+        maxPerUser: 10, // Pending reminders one person can have set
+        snoozeDefault: 10 * 60 * 1000, // !remind snooze with no time
+        defaultTimezone: 'Australia/Sydney' // Until someone sets theirs with !timezone
     },
     admins: ['ilovechinks', 'hildolfr', 'Spazztik'], // Channel admins
+    permissions: {
+        // Roles granted in every room straight from config (manage the rest with !role)
+        roles: {
+            developer: ['hildolfr'],
+            'economy-admin': ['hildolfr']
+        },
+        // CyTube rank -> roles held while the user has at least that rank in a room
+        // (0 guest, 1 registered, 2 moderator, 3 channel admin, 4 owner)
+        rankRoles: {
+            2: ['moderator']
+        }
+    },
     logging: {
         level: process.env.LOG_LEVEL || 'info',
         console: process.env.LOG_CONSOLE !== 'false'
     },
-    ollama: {
-        url: process.env.OLLAMA_URL || 'http://192.168.68.85:11434',
-        model: process.env.OLLAMA_MODEL || 'dolphin-mistral:7b-v2.8-q4_0',
-        timeout: parseInt(process.env.OLLAMA_TIMEOUT) || 30000, // Increased to 30 seconds
-        enabled: process.env.OLLAMA_ENABLED !== 'false' // Default to enabled
+    llm: {
+        enabled: (process.env.LLM_ENABLED ?? process.env.OLLAMA_ENABLED) !== 'false', // Default to enabled
+        provider: process.env.LLM_PROVIDER || 'ollama', // ollama | openai | canned, rooms can override with settings.llm
+        providers: {
+            ollama: {
+                url: process.env.OLLAMA_URL || 'http://192.168.68.85:11434',
+                model: process.env.OLLAMA_MODEL || 'dolphin-mistral:7b-v2.8-q4_0',
+                timeout: parseInt(process.env.OLLAMA_TIMEOUT) || 30000, // Increased to 30 seconds
+                timeouts: { summary: 30000 },
+                retries: 1,
+                maxTokens: { mention: 150, summary: 300 }
+            },
+            // Any OpenAI-style /chat/completions server (OpenAI, llama.cpp, vLLM, LM Studio...)
+            openai: {
+                url: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+                apiKey: process.env.OPENAI_API_KEY || null,
+                model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+                timeout: parseInt(process.env.OPENAI_TIMEOUT) || 20000,
+                timeouts: { summary: 30000 },
+                retries: 1,
+                maxTokens: { mention: 150, summary: 300 }
+            },
+            // Fixed replies, no network (tests and offline rooms)
+            canned: {
+                responses: {}
+            }
+        },
+        // What Dazza remembers between mentions (see ConversationMemory)
+        memory: {
+            contextTokens: 600,              // Prompt budget for facts, exchanges and recent chat
+            recentMessages: 10,
+            exchanges: 6,                    // Past exchanges with the user
+            exchangeTtl: 24 * 60 * 60 * 1000,
+            maxFacts: 20                     // Per user
+        }
     },
     heist: {
         minHeistDelay: 2 * 60 * 60 * 1000,    // 2 hours minimum between heists
@@ -79,8 +125,27 @@ export default {
         startingBalance: 1000,                 // New users start with $1000
         startingTrust: 50                      // New users start with 50 trust
     },
+    pissingContest: {
+        // ELO ladder, see LadderManager
+        ladder: {
+            startRating: 1200,
+            kFactor: 24,
+            provisionalK: 40,                  // Faster-moving ratings for a user's first provisionalMatches
+            provisionalMatches: 10,
+            seasonLength: 30 * 24 * 60 * 60 * 1000, // 30 days, then standings are archived and ratings reset
+            carryOver: 0,                      // 0.5 = start next season halfway back to startRating
+            suggestions: 3                     // Opponents suggested by !piss with no target
+        }
+    },
+    moderation: {
+        // Cases from !warn, !note and automod, see ModerationCaseManager
+        warningExpiry: 30 * 24 * 60 * 60 * 1000, // Warnings stop counting after 30 days
+        maxReason: 300
+    },
     api: {
         enabled: true,
-        port: 3001
+        port: 3001,
+        adminKey: process.env.API_ADMIN_KEY || null, // Required for write/admin endpoints
+        moderationKey: process.env.API_MODERATION_KEY || null // Read-only moderation history for mods (adminKey works too)
     }
 };
\ No newline at end of file
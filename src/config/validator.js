@@ -33,12 +33,20 @@ export class ConfigValidator {
         this.validateNumber(config, 'cooldowns.tell', 0, 60000);
         this.validateNumber(config, 'greeting.cooldown', 0, 86400000);
         this.validateNumber(config, 'reminder.checkInterval', 10000, 600000);
-        this.validateNumber(config, 'reminder.maxDuration', 60000, 86400000);
+        this.validateNumber(config, 'reminder.maxDuration', 60000, 366 * 86400000);
+        this.validateNumber(config, 'reminder.minInterval', 60000, 7 * 86400000);
+        this.validateNumber(config, 'pissingContest.ladder.seasonLength', 86400000, 366 * 86400000);
+        this.validateNumber(config, 'pissingContest.ladder.carryOver', 0, 1);
 
         // Validate arrays
         if (config.admins && !Array.isArray(config.admins)) {
             this.errors.push('admins must be an array of usernames');
         }
+        for (const [role, users] of Object.entries(config.permissions?.roles || {})) {
+            if (!Array.isArray(users)) {
+                this.errors.push(`permissions.roles.${role} must be an array of usernames`);
+            }
+        }
 
         // Check for environment variables if credentials are missing
         if (!config.bot?.username && !process.env.BOT_USERNAME) {
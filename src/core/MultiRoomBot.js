@@ -10,16 +10,19 @@ import { MemoryManager } from '../utils/memoryManager.js';
 import { MemoryMonitor } from '../utils/MemoryMonitor.js';
 import { RateLimiter } from '../utils/rateLimiter.js';
 import { formatDuration, formatTimestamp } from '../utils/formatting.js';
+import { nextOccurrence, describeRecurrence, DEFAULT_TIMEZONE } from '../utils/timeParser.js';
 import { truncateMessage, MAX_MESSAGE_LENGTH } from '../utils/messageValidator.js';
 import { createLogger } from '../utils/logger.js';
 import { detectUrls, extractDomain } from '../utils/urlDetector.js';
 import { fetchUrlTitleAndComment } from '../services/urlTitleFetcher.js';
-import { OllamaService } from '../services/ollama.js';
+import { LLMService } from '../services/llm/index.js';
 import Database from '../services/database.js';
 import { loadCommands } from '../commands/index.js';
 import { HeistManager } from '../modules/heist/index.js';
 import { VideoPayoutManager } from '../modules/video_payout/index.js';
 import { PissingContestManager } from '../modules/pissing_contest/index.js';
+import { TabRaceManager } from '../modules/tab_racing/index.js';
+import { CardTableManager } from '../modules/card_table/index.js';
 import GalleryUpdater from '../modules/galleryUpdater.js';
 import { normalizeUsernameForDb } from '../utils/usernameNormalizer.js';
 import { CashMonitor } from '../utils/cashMonitor.js';
@@ -32,6 +35,20 @@ import RoomContext from '../RoomContext.js';
 import { applyRoomEventHandlers } from './roomEventHandlers.js';
 import { setupHeistHandlers } from './heistEventHandlers.js';
 import MediaTracker from '../modules/media/MediaTracker.js';
+import { PermissionManager } from '../modules/permissions/index.js';
+import { RoomCommandSettings } from '../modules/room_commands/index.js';
+import { ConversationMemory } from '../modules/conversation_memory/index.js';
+import { EventManager } from '../modules/events/index.js';
+import { FishingManager } from '../modules/fishing/index.js';
+import { InventoryManager } from '../modules/inventory/index.js';
+import { DealManager } from '../modules/market/index.js';
+import { CrimeManager } from '../modules/crime/index.js';
+import { TournamentManager } from '../modules/pissing_contest/tournaments.js';
+import { LadderManager } from '../modules/pissing_contest/ladder.js';
+import { AutoModManager } from '../modules/moderation/index.js';
+import { ModerationCaseManager } from '../modules/moderation/cases.js';
+import { PollManager } from '../modules/polls/index.js';
+import { MediaRequestManager } from '../modules/media/requests.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -75,14 +92,30 @@ export class MultiRoomBot extends EventEmitter {
         this.heistManager = null;
         this.videoPayoutManager = null;
         this.pissingContestManager = null;
+        this.ladderManager = null;
+        this.tabRaceManager = null;
+        this.cardTableManager = null;
+        this.conversationMemory = null;
+        this.eventManager = null;
+        this.inventoryManager = null;
+        this.dealManager = null;
+        this.fishingManager = null;
+        this.crimeManager = null;
+        this.tournamentManager = null;
+        this.autoModManager = null;
+        this.moderationCases = null;
+        this.pollManager = null;
+        this.mediaRequests = null;
         this.galleryUpdater = null;
         this.imageHealthChecker = null;
         this.cashMonitor = null;
         this.memoryMonitor = null;
         this.mediaTracker = null;
+        this.permissions = null;
+        this.roomCommands = null;
         
-        // Ollama integration
-        this.ollama = config.ollama?.enabled ? new OllamaService(config) : null;
+        // LLM chat (mentions and !summary), provider picked per room
+        this.llm = config.llm?.enabled ? new LLMService(config) : null;
         
         // API server
         this.apiServer = null;
@@ -104,6 +137,14 @@ export class MultiRoomBot extends EventEmitter {
             await this.db.init();
             this.db.setBot(this);
             
+            // Load roles before any command can run
+            this.permissions = new PermissionManager(this.db, this);
+            await this.permissions.init();
+            
+            // Per-room command overrides (room files are applied as rooms are joined)
+            this.roomCommands = new RoomCommandSettings(this.db, this);
+            await this.roomCommands.init();
+            
             // Load commands
             this.commands = await loadCommands(this.logger);
             
@@ -116,17 +157,53 @@ export class MultiRoomBot extends EventEmitter {
             await this.videoPayoutManager.init();
             
             this.pissingContestManager = new PissingContestManager(this);
+            this.ladderManager = new LadderManager(this.db, this);
+            await this.ladderManager.init();
+            
+            this.tabRaceManager = new TabRaceManager(this.db, this);
+            await this.tabRaceManager.init();
+            
+            this.cardTableManager = new CardTableManager(this.db, this);
+            await this.cardTableManager.init();
+            
+            this.conversationMemory = new ConversationMemory(this.db, this);
+            await this.conversationMemory.init();
+            
+            this.eventManager = new EventManager(this.db, this);
+            await this.eventManager.init();
+            
+            this.inventoryManager = new InventoryManager(this.db, this);
+            this.fishingManager = new FishingManager(this.db, this);
+            this.crimeManager = new CrimeManager(this.db, this);
+            
+            this.dealManager = new DealManager(this.db, this);
+            await this.dealManager.init();
+            
+            this.tournamentManager = new TournamentManager(this.db, this);
+            await this.tournamentManager.init();
+            
+            this.moderationCases = new ModerationCaseManager(this.db, this);
+            await this.moderationCases.init();
+            
+            this.autoModManager = new AutoModManager(this.db, this);
+            await this.autoModManager.init();
+            
+            this.pollManager = new PollManager(this.db, this);
+            await this.pollManager.init();
+            
+            this.mediaRequests = new MediaRequestManager(this.db, this);
+            await this.mediaRequests.init();
             
             this.imageHealthChecker = new ImageHealthChecker(this);
             this.imageHealthChecker.start();
             
             // Initialize MediaTracker (single instance for all rooms)
-            this.mediaTracker = new MediaTracker();
+            this.mediaTracker = new MediaTracker(this.db);
             this.mediaTracker.initialize({
                 roomId: 'multi-room' // Special identifier for multi-room mode
             });
             
-            this.cashMonitor = new CashMonitor(this.db, this.logger, 60000);
+            this.cashMonitor = new CashMonitor(this.db, this.logger, 60000, this.heistManager.ledger);
             
             this.memoryMonitor = new MemoryMonitor(this, {
                 checkInterval: this.config.memory?.checkInterval || 30000,
@@ -219,6 +296,99 @@ export default {
             bong: 10000,    // 10 seconds
             drink: 8000,    // 8 seconds
             fish: 7200000   // 2 hours
+        },
+        
+        // Room-specific command lists (can also be changed live with !roomcmd)
+        commands: {
+            // allow: ['bong', 'drink'],  // If set, only these commands work here
+            deny: [],                     // Commands switched off in this room
+            aliases: {
+                // cone: 'bong'           // Extra room-only aliases
+            }
+        },
+        
+        // Scheduled TAB race meetings (!races)
+        tabMeetings: {
+            enabled: true,
+            interval: 10800000,           // 3 hours between meetings
+            bettingWindow: 180000,        // 3 minutes to get bets on
+            houseCut: 0.15                // Dazza's cut of each pool
+        },
+        
+        // Blackjack and hold'em tables (!blackjack, !poker)
+        cardTables: {
+            enabled: true,
+            turnTime: 45000,              // 45 seconds per move
+            smallBlind: 5,
+            bigBlind: 10
+        },
+        
+        // Scheduled events (!event) - countdowns in ms before the start
+        events: {
+            enabled: true,
+            countdowns: [86400000, 3600000, 600000], // 24h, 1h and 10m out
+            rsvpPing: 600000,             // PM the RSVP list 10m out (0 = at the start)
+            queuePlaylist: true           // Queue the event's videos when it starts
+        },
+        
+        // Player-to-player loans and side bets (!deal)
+        market: {
+            enabled: true,
+            maxAmount: 5000,
+            maxInterest: 100,             // Percent on top of a loan
+            borrowerTrust: 'Petty Crim'   // Trust level needed to borrow
+        },
+        
+        // Mug bounties (see !bounty)
+        crime: {
+            bounties: true,
+            minMugs: 3,                   // Successful mugs before someone can have a bounty
+            maxBounty: 5000
+        },
+        
+        // Pissing contest tournaments (!tourney) - times in ms
+        tournaments: {
+            enabled: true,
+            userOrganised: true,          // false: only mods can start one
+            signupWindow: 600000,         // 10 minutes to sign up
+            minPlayers: 4,
+            maxPlayers: 16,
+            maxFee: 1000,
+            payout: [60, 30, 10]          // % of the pot: winner, runner-up, beaten semi-finalists
+        },
+        
+        // Chat filters (see !automod) - off until you switch it on
+        automod: {
+            enabled: false,
+            flood: { messages: 6, seconds: 5 },
+            repeats: { count: 3, seconds: 60 },
+            caps: { ratio: 0.7, minLength: 15 },
+            bannedWords: [],              // Words, or '/regex/flags'
+            blockedDomains: [],
+            ladder: ['warn', 'pm', 'mute', 'kick'] // What each strike gets
+        },
+
+        // !poll (the bot needs rank to open polls)
+        polls: {
+            enabled: true,
+            userPolls: true,              // false: mods only
+            defaultTime: 300000,          // 5 minutes
+            money: { enabled: true, minStake: 10, maxStake: 1000, houseCut: 0.1 }
+        },
+
+        // !request and !bump (the bot needs playlist rank)
+        requests: {
+            enabled: true,
+            maxQueued: 2,                 // Per user waiting on the playlist
+            perDay: 10,
+            replayWindow: 21600000,       // 6 hours before something can be requested again
+            bumpCost: 250
+        },
+
+        // Which LLM answers mentions and !summary here (defaults to config.llm)
+        llm: {
+            provider: 'ollama',           // ollama | openai | canned, or enabled: false
+            maxTokens: { mention: 150, summary: 300 }
         }
     }
 };
@@ -274,6 +444,19 @@ export default {
         const roomContext = new RoomContext(roomId, this);
         this.rooms.set(roomId, roomContext);
         
+        // Apply the room's command allow/deny lists, aliases and cooldowns
+        this.roomCommands.setRoomConfig(roomId, roomConfig);
+        this.tabRaceManager.setRoomConfig(roomId, roomConfig);
+        this.cardTableManager.setRoomConfig(roomId, roomConfig);
+        this.eventManager.setRoomConfig(roomId, roomConfig);
+        this.dealManager.setRoomConfig(roomId, roomConfig);
+        this.crimeManager.setRoomConfig(roomId, roomConfig);
+        this.tournamentManager.setRoomConfig(roomId, roomConfig);
+        this.autoModManager.setRoomConfig(roomId, roomConfig);
+        this.pollManager.setRoomConfig(roomId, roomConfig);
+        this.mediaRequests.setRoomConfig(roomId, roomConfig);
+        this.llm?.setRoomConfig(roomId, roomConfig);
+        
         // Merge room config with global config
         const connectionConfig = {
             ...this.config,
@@ -299,6 +482,7 @@ export default {
         
         try {
             // Connect to the room
+            const joinStarted = Date.now();
             await connection.connect();
             await connection.joinChannel(roomConfig.channel || roomId);
             
@@ -314,6 +498,7 @@ export default {
             roomContext.connected = true;
             roomContext.joinedChannel = true;
             roomContext.authenticated = true;
+            this.pollManager.handleJoined(roomId, joinStarted);
             
             this.logger.info(`Successfully joined room: ${roomId}`);
         } catch (error) {
@@ -393,6 +578,13 @@ export default {
         connection.on('queue', (data) => this.handleQueue(roomId, data));
         connection.on('delete', (data) => this.handleDelete(roomId, data));
         connection.on('moveVideo', (data) => this.handleMoveVideo(roomId, data));
+        connection.on('queueFail', (data) => this.handleQueueFail(roomId, data));
+        connection.on('setCurrent', (uid) => this.handleSetCurrent(roomId, uid));
+        
+        // Poll events
+        connection.on('newPoll', (data) => this.handleNewPoll(roomId, data));
+        connection.on('updatePoll', (data) => this.handleUpdatePoll(roomId, data));
+        connection.on('closePoll', () => this.handleClosePoll(roomId));
         
         // Error events
         connection.on('error', (error) => this.handleRoomError(roomId, error));
@@ -425,7 +617,76 @@ export default {
         
         connection.sendChatMessage(message);
     }
-    
+
+    /**
+     * Queue media on a room's playlist
+     * @returns {boolean} Whether the request went out
+     */
+    queueMedia(roomId, media, options = {}) {
+        const connection = this.connections.get(roomId);
+        if (!connection || !connection.connected) {
+            this.logger.warn(`Cannot queue media in disconnected room: ${roomId}`);
+            return false;
+        }
+
+        return connection.queueMedia(media, options);
+    }
+
+    /**
+     * Move a playlist item in a room to play after another
+     * @returns {boolean} Whether the request went out
+     */
+    moveMedia(roomId, uid, after) {
+        const connection = this.connections.get(roomId);
+        if (!connection || !connection.connected) {
+            this.logger.warn(`Cannot move media in disconnected room: ${roomId}`);
+            return false;
+        }
+
+        return connection.moveMedia(uid, after);
+    }
+
+    /**
+     * Take an item off a room's playlist
+     * @returns {boolean} Whether the request went out
+     */
+    deleteMedia(roomId, uid) {
+        const connection = this.connections.get(roomId);
+        if (!connection || !connection.connected) {
+            this.logger.warn(`Cannot delete media in disconnected room: ${roomId}`);
+            return false;
+        }
+
+        return connection.deleteMedia(uid);
+    }
+
+    /**
+     * Open a poll in a room (needs rank, see PollManager)
+     * @returns {boolean} Whether the request went out
+     */
+    openPoll(roomId, poll) {
+        const connection = this.connections.get(roomId);
+        if (!connection || !connection.connected) {
+            this.logger.warn(`Cannot open poll in disconnected room: ${roomId}`);
+            return false;
+        }
+
+        return connection.openPoll(poll);
+    }
+
+    /**
+     * Close whatever poll is up in a room
+     * @returns {boolean} Whether the request went out
+     */
+    closePoll(roomId) {
+        const connection = this.connections.get(roomId);
+        if (!connection || !connection.connected) {
+            return false;
+        }
+
+        return connection.closePoll();
+    }
+
     /**
      * Get combined userlist from all rooms (for compatibility)
      */
@@ -460,6 +721,14 @@ export default {
         return this.admins.has(username.toLowerCase());
     }
     
+    /**
+     * Check if user holds any of the given roles in a room
+     */
+    hasRole(username, roles, roomId = null) {
+        if (!this.permissions) return false;
+        return this.permissions.hasRole(username, roles, roomId);
+    }
+    
     /**
      * Send private message to user
      */
@@ -501,6 +770,9 @@ export default {
             return;
         }
         
+        // Room aliases map onto real command names
+        commandName = this.roomCommands.resolveAlias(roomId, commandName);
+        
         // Check if command exists
         const command = this.commands.get(commandName);
         if (!command) {
@@ -514,6 +786,12 @@ export default {
             return;
         }
         
+        // Check if the room has switched the command off
+        if (!this.roomCommands.isEnabled(roomId, command)) {
+            this.logger.debug(`Command ${commandName} disabled in room ${roomId}`);
+            return;
+        }
+        
         // Add room context to message
         const messageWithRoom = {
             ...message,
@@ -605,8 +883,20 @@ export default {
             const roomConfigPath = path.join(__dirname, `../../rooms/${roomId}.js`);
             const roomConfig = await import(roomConfigPath);
             const config = roomConfig.default || roomConfig;
+            this.roomCommands.setRoomConfig(roomId, config);
+            this.tabRaceManager.setRoomConfig(roomId, config);
+            this.cardTableManager.setRoomConfig(roomId, config);
+            this.eventManager.setRoomConfig(roomId, config);
+            this.dealManager.setRoomConfig(roomId, config);
+            this.crimeManager.setRoomConfig(roomId, config);
+            this.tournamentManager.setRoomConfig(roomId, config);
+            this.autoModManager.setRoomConfig(roomId, config);
+            this.pollManager.setRoomConfig(roomId, config);
+            this.mediaRequests.setRoomConfig(roomId, config);
+            this.llm?.setRoomConfig(roomId, config);
             
             // Attempt to reconnect
+            const joinStarted = Date.now();
             await connection.connect();
             await connection.joinChannel(config.channel || roomId);
             
@@ -620,6 +910,7 @@ export default {
             roomContext.connected = true;
             roomContext.joinedChannel = true;
             roomContext.authenticated = true;
+            this.pollManager.handleJoined(roomId, joinStarted);
             
             // Update database
             await this.db.run(`
@@ -673,42 +964,71 @@ export default {
         }, 300000);
     }
     
+    /**
+     * Find a connected room a user is in, preferring the given one
+     * @returns {string|null} roomId
+     */
+    findUserRoom(username, preferredRoomId = null) {
+        const preferred = preferredRoomId && this.rooms.get(preferredRoomId);
+        if (preferred?.connected && preferred.hasUser(username)) {
+            return preferredRoomId;
+        }
+        for (const [roomId, room] of this.rooms) {
+            if (room.connected && room.hasUser(username)) {
+                return roomId;
+            }
+        }
+        return null;
+    }
+    
     /**
      * Check and send reminders
+     * Reminders go to whichever room the person is in right now. One-offs wait
+     * until they turn up; a recurring one they miss entirely just moves on to
+     * its next time.
      */
     async checkReminders() {
         try {
             const reminders = await this.db.getDueReminders();
+            const now = Date.now();
             
             for (const reminder of reminders) {
-                const roomContext = this.rooms.get(reminder.room_id);
-                if (!roomContext || !roomContext.connected) {
-                    // Room not connected, skip this reminder
-                    continue;
+                const recipient = reminder.to_user === '@me' ? reminder.from_user : reminder.to_user;
+                const roomId = this.findUserRoom(recipient, reminder.room_id);
+                const recurrence = reminder.recurrence ? JSON.parse(reminder.recurrence) : null;
+                const timezone = reminder.timezone || this.config.reminder?.defaultTimezone || DEFAULT_TIMEZONE;
+                
+                // Next time a repeat is due, stepping from its schedule rather than from now so it doesn't drift
+                let next = reminder.remind_at;
+                let missed = -1;
+                while (recurrence && next <= now) {
+                    next = nextOccurrence(recurrence, next, timezone);
+                    missed++;
                 }
                 
-                let delivered = false;
+                if (!roomId) {
+                    // Not around anywhere - one-offs wait for them, repeats move on once they've missed one
+                    if (missed > 0) {
+                        await this.db.rescheduleReminder(reminder.id, next);
+                    }
+                    continue;
+                }
                 
                 // Check if it's a self-reminder
-                if (reminder.to_user === '@me') {
-                    const timeAgo = formatDuration(Date.now() - reminder.set_at);
-                    this.sendMessage(reminder.room_id, 
-                        `Oi -${reminder.from_user}, ${timeAgo} ago you wanted me to remind ya: ${reminder.message}`
-                    );
-                    delivered = true;
+                if (reminder.to_user === '@me' && recurrence) {
+                    this.sendMessage(roomId, `Oi -${reminder.from_user}, ${reminder.message} (${describeRecurrence(recurrence)})`);
+                } else if (reminder.to_user === '@me') {
+                    const timeAgo = formatDuration(now - reminder.created_at);
+                    this.sendMessage(roomId, `Oi -${reminder.from_user}, ${timeAgo} ago you wanted me to remind ya: ${reminder.message}`);
                 } else {
-                    // Check if target user is in the room
-                    if (roomContext.hasUser(reminder.to_user)) {
-                        const timeAgo = formatDuration(Date.now() - reminder.set_at);
-                        this.sendMessage(reminder.room_id, 
-                            `-${reminder.to_user} oi listen up, -${reminder.from_user} wanted me to tell ya: ${reminder.message}`
-                        );
-                        delivered = true;
-                    }
+                    this.sendMessage(roomId,
+                        `-${reminder.to_user} oi listen up, -${reminder.from_user} wanted me to tell ya: ${reminder.message}`
+                    );
                 }
                 
-                // Only mark as delivered if actually sent
-                if (delivered) {
+                if (recurrence) {
+                    await this.db.rescheduleReminder(reminder.id, next, now);
+                } else {
                     await this.db.markReminderDelivered(reminder.id);
                 }
             }
@@ -756,6 +1076,15 @@ export default {
         if (this.imageHealthChecker) this.imageHealthChecker.stop();
         if (this.mediaTracker) this.mediaTracker.destroy();
         if (this.cashMonitor) this.cashMonitor.stop();
+        if (this.tabRaceManager) this.tabRaceManager.stop();
+        if (this.cardTableManager) this.cardTableManager.stop();
+        if (this.eventManager) this.eventManager.stop();
+        if (this.dealManager) this.dealManager.stop();
+        if (this.tournamentManager) this.tournamentManager.stop();
+        if (this.ladderManager) this.ladderManager.stop();
+        if (this.autoModManager) this.autoModManager.stop();
+        if (this.pollManager) this.pollManager.stop();
+        if (this.mediaRequests) this.mediaRequests.stop();
         if (this.batchScheduler) this.batchScheduler.stop();
         if (this.apiServer) await this.apiServer.stop();
         
@@ -11,7 +11,7 @@ import { truncateMessage, MAX_MESSAGE_LENGTH } from '../utils/messageValidator.j
 import { createLogger } from '../utils/logger.js';
 import { detectUrls, extractDomain } from '../utils/urlDetector.js';
 import { fetchUrlTitleAndComment } from '../services/urlTitleFetcher.js';
-import { OllamaService } from '../services/ollama.js';
+import { LLMService } from '../services/llm/index.js';
 import Database from '../services/database.js';
 import { loadCommands } from '../commands/index.js';
 import { HeistManager } from '../modules/heist/index.js';
@@ -71,8 +71,8 @@ export class CyTubeBot extends EventEmitter {
         this.lastUrlCommentTime = 0;
         this.urlCommentCooldown = this.getRandomUrlCooldown();
         
-        // Ollama integration
-        this.ollama = config.ollama?.enabled ? new OllamaService(config) : null;
+        // LLM chat (mentions and !summary)
+        this.llm = config.llm?.enabled ? new LLMService(config) : null;
         this.mentionCooldown = this.getRandomMentionCooldown(); // 10-30 seconds
         this.lastMentionTime = 0;
         this.recentMentions = new Map(); // Track mentions per user
@@ -155,13 +155,13 @@ export class CyTubeBot extends EventEmitter {
             this.imageHealthChecker.start();
             
             // Initialize MediaTracker
-            this.mediaTracker = new MediaTracker();
+            this.mediaTracker = new MediaTracker(this.db);
             this.mediaTracker.initialize({
                 roomId: this.config.cytube.channel
             });
             
-            // Initialize CashMonitor (10 second interval)
-            this.cashMonitor = new CashMonitor(this.db, this.logger, 60000); // Changed from 10s to 60s to reduce performance impact
+            // Initialize CashMonitor (follows the ledger, polls every 60s for anything that bypassed it)
+            this.cashMonitor = new CashMonitor(this.db, this.logger, 60000, this.heistManager.ledger);
             
             // Initialize Memory Monitor
             this.memoryMonitor = new MemoryMonitor({
@@ -685,7 +685,7 @@ export class CyTubeBot extends EventEmitter {
             }
             
             // Check for mentions of Dazza (but not from the bot itself or server messages)
-            if (this.ollama && this.hasMention(data.msg)) {
+            if (this.llm && this.hasMention(data.msg)) {
                 // Double-check we're not responding to ourselves or server messages
                 const senderLower = data.username.toLowerCase();
                 if (senderLower === this.config.bot.username.toLowerCase() || 
@@ -1302,7 +1302,7 @@ export class CyTubeBot extends EventEmitter {
             return;
         }
         
-        // If message is an array, it's already been split by Ollama service
+        // If message is an array, it's already been split by the LLM service
         if (Array.isArray(message)) {
             // Send each message with delays
             let delay = 0;
@@ -1876,6 +1876,11 @@ export class CyTubeBot extends EventEmitter {
         // Extract room ID from data if not provided
         const targetRoom = roomId || data.roomId || data.room || this.connection?.roomId || 'fatpizza';
         
+        // Room has switched the LLM off
+        if (!this.llm.isEnabled(targetRoom)) {
+            return;
+        }
+        
         this.logger.debug('Handling mention', {
             username: data.username,
             room: targetRoom,
@@ -1908,7 +1913,7 @@ export class CyTubeBot extends EventEmitter {
             const timeSinceLast = now - this.lastMentionTime;
             if (timeSinceLast < this.mentionCooldown) {
                 // During cooldown, always respond but with cooldown messages
-                const response = this.ollama.getCooldownResponse();
+                const response = this.llm.getCooldownResponse();
                 const timeoutId = setTimeout(() => {
                     this.sendMessage(response);
                     this.pendingMentionTimeouts.delete(timeoutId);
@@ -1921,26 +1926,26 @@ export class CyTubeBot extends EventEmitter {
         // Check if user is being annoying (skip in test mode)
         // Increased threshold to > 11 to be much less aggressive
         if (!isTestMode && userMentions.count > 11) {
-            const annoyanceResponse = this.ollama.getAnnoyanceResponse(userMentions.count);
+            const annoyanceResponse = this.llm.getAnnoyanceResponse(userMentions.count);
             this.lastMentionTime = now;
             setTimeout(() => this.sendMessage(annoyanceResponse), 1000 + Math.random() * 2000);
             return;
         }
         
-        // Try to get Ollama response
+        // Try to get an LLM response
         try {
-            this.logger.debug('Attempting Ollama query', { 
+            this.logger.debug('Attempting LLM query', { 
                 username: data.username,
                 isTestMode,
                 message: data.msg.substring(0, 50)
             });
             
-            // Check if Ollama is available
-            const isAvailable = await this.ollama.isAvailable();
+            // Check if the room's provider is available
+            const isAvailable = await this.llm.isAvailable(targetRoom);
             
             if (!isAvailable) {
-                // Ollama is down, use fallback
-                const fallback = this.ollama.getFallbackResponse();
+                // Provider is down, use fallback
+                const fallback = this.llm.getFallbackResponse();
                 const delay = 1500 + Math.random() * 3000;
                 const timeoutId = setTimeout(() => {
                     this.sendMessage(fallback);
@@ -1954,7 +1959,7 @@ export class CyTubeBot extends EventEmitter {
             const context = this.messageHistory.slice(0, -1);
             
             // Generate response
-            const response = await this.ollama.generateResponse(data.msg, context);
+            const response = await this.llm.generateResponse(data.msg, context, { roomId: targetRoom });
             
             if (response) {
                 this.lastMentionTime = now;
@@ -2009,7 +2014,7 @@ export class CyTubeBot extends EventEmitter {
                 }
             } else {
                 // Generation failed, use fallback
-                const fallback = this.ollama.getFallbackResponse();
+                const fallback = this.llm.getFallbackResponse();
                 const delay = 1500 + Math.random() * 3000;
                 const timeoutId = setTimeout(() => {
                     try {
@@ -2038,7 +2043,7 @@ export class CyTubeBot extends EventEmitter {
             });
             
             // Use fallback on any error
-            const fallback = this.ollama.getFallbackResponse();
+            const fallback = this.llm.getFallbackResponse();
             const delay = 1500 + Math.random() * 3000;
             const timeoutId = setTimeout(() => {
                 try {
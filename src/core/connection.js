@@ -113,8 +113,10 @@ export class CyTubeConnection extends EventEmitter {
             'usercount', 'rank', 'login', 'loginError',
             'channelOpts', 'channelPerms', 'setMotd',
             'mediaUpdate', 'changeMedia', 'moveVideo',
+            'playlist', 'queue', 'queueFail', 'delete', 'setCurrent',
             'chatCooldown', 'noflood', 'needPassword',
             'setAFK', // AFK status updates
+            'newPoll', 'updatePoll', 'closePoll',
             'pm' // Private messages
         ];
 
@@ -208,6 +210,82 @@ export class CyTubeConnection extends EventEmitter {
         });
     }
 
+    /**
+     * Add media to the channel playlist (needs the bot to have playlist rights)
+     * @param {Object} media - { id, type } as CyTube knows it, e.g. { id: 'dQw4w9WgXcQ', type: 'yt' }
+     * @param {Object} options - { position: 'next' | 'end', temp }
+     */
+    queueMedia(media, { position = 'end', temp = true } = {}) {
+        if (!this.connected) {
+            console.error('Cannot queue media: not connected');
+            return false;
+        }
+
+        this.socket.emit('queue', {
+            id: media.id,
+            type: media.type,
+            pos: position,
+            temp
+        });
+        return true;
+    }
+
+    /**
+     * Move a playlist item to play after another (needs playlist rights)
+     * @param {number} uid - the item's playlist uid
+     * @param {number|string} after - uid to go after, or 'prepend' for the top
+     */
+    moveMedia(uid, after) {
+        if (!this.connected) {
+            console.error('Cannot move media: not connected');
+            return false;
+        }
+
+        this.socket.emit('moveMedia', { from: uid, after });
+        return true;
+    }
+
+    /**
+     * Take an item off the playlist (needs playlist rights)
+     */
+    deleteMedia(uid) {
+        if (!this.connected) {
+            console.error('Cannot delete media: not connected');
+            return false;
+        }
+
+        this.socket.emit('delete', uid);
+        return true;
+    }
+
+    /**
+     * Open a poll in the channel (needs the bot to have poll rights)
+     * @param {Object} poll - { title, options, obscured }
+     */
+    openPoll({ title, options, obscured = false }) {
+        if (!this.connected) {
+            console.error('Cannot open poll: not connected');
+            return false;
+        }
+
+        this.socket.emit('newPoll', {
+            title,
+            opts: options,
+            obscured
+        });
+        return true;
+    }
+
+    closePoll() {
+        if (!this.connected) {
+            console.error('Cannot close poll: not connected');
+            return false;
+        }
+
+        this.socket.emit('closePoll');
+        return true;
+    }
+
     disconnect() {
         // Cancel any pending reconnect
         if (this.reconnectTimer) {
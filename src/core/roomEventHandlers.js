@@ -172,14 +172,24 @@ export const RoomEventHandlers = {
         // Update room activity
         await this.db.run('UPDATE rooms SET last_active = ? WHERE id = ?', [Date.now(), roomId]);
         
+        // Automod gets first look, anything it acts on goes no further. It's
+        // still emitted (marked moderated) so the API sees what was said, but
+        // listeners that act on chat, like card table moves, skip it
+        const moderated = Boolean(await this.autoModManager?.handleMessage(roomId, data));
+        
         // Emit event for API
         this.emit('chat:message', {
             roomId,
             username: data.username,
             message: data.msg,
-            timestamp: data.time || Date.now()
+            timestamp: data.time || Date.now(),
+            moderated
         });
         
+        if (moderated) {
+            return;
+        }
+        
         // Check for pending tells
         await this.checkAndDeliverTells(roomId, data.username);
         
@@ -248,6 +258,13 @@ export const RoomEventHandlers = {
             );
         }
         
+        // Requests that have had their turn
+        if (this.mediaRequests) {
+            this.mediaRequests.handleMediaChange(roomId, media).catch(err =>
+                this.logger.error(`Failed to mark request played in room ${roomId}`, { error: err.message })
+            );
+        }
+        
         // Track media play
         if (this.mediaTracker) {
             // Pass room ID as part of the media object for multi-room tracking
@@ -284,6 +301,13 @@ export const RoomEventHandlers = {
         
         this.logger.debug(`Playlist updated in room ${roomId}: ${playlist.length} items`);
         
+        // Requests taken off while we weren't watching
+        if (this.mediaRequests) {
+            this.mediaRequests.handlePlaylist(roomId, playlist).catch(err =>
+                this.logger.error(`Failed to sync requests with playlist in room ${roomId}`, { error: err.message })
+            );
+        }
+        
         // Emit event
         this.emit('room:playlist', { roomId, playlist });
     },
@@ -321,9 +345,22 @@ export const RoomEventHandlers = {
     /**
      * Handle queue event for a room
      */
-    handleQueue(roomId, data) {
+    async handleQueue(roomId, data) {
+        const room = this.getRoom(roomId);
+        if (!room) return;
+        
         this.logger.debug(`Queue event in room ${roomId}:`, data);
         
+        // Keep the room's playlist in step
+        if (data.item) {
+            const index = data.after === 'prepend' ? -1 : room.playlist.findIndex(item => item.uid === data.after);
+            if (data.after === 'prepend' || index >= 0) {
+                room.playlist.splice(index + 1, 0, data.item);
+            } else {
+                room.playlist.push(data.item);
+            }
+        }
+        
         // Track media queue
         if (this.mediaTracker && data.item) {
             // Pass room ID as part of the item for multi-room tracking
@@ -333,6 +370,13 @@ export const RoomEventHandlers = {
             );
         }
         
+        // One of ours from !request?
+        if (this.mediaRequests && data.item) {
+            await this.mediaRequests.handleQueued(roomId, data.item).catch(err =>
+                this.logger.error(`Failed to record request queue in room ${roomId}`, { error: err.message })
+            );
+        }
+        
         // Emit general event
         this.emit('room:queue', { roomId, data });
     },
@@ -340,9 +384,20 @@ export const RoomEventHandlers = {
     /**
      * Handle delete event for a room
      */
-    handleDelete(roomId, data) {
+    async handleDelete(roomId, data) {
+        const room = this.getRoom(roomId);
+        if (!room) return;
+        
         this.logger.debug(`Delete event in room ${roomId}:`, data);
         
+        room.playlist = room.playlist.filter(item => item.uid !== data.uid);
+        
+        if (this.mediaRequests) {
+            await this.mediaRequests.handleDeleted(roomId, data.uid).catch(err =>
+                this.logger.error(`Failed to record request removal in room ${roomId}`, { error: err.message })
+            );
+        }
+        
         // Emit event
         this.emit('room:delete', { roomId, data });
     },
@@ -351,12 +406,102 @@ export const RoomEventHandlers = {
      * Handle move video event for a room
      */
     handleMoveVideo(roomId, data) {
+        const room = this.getRoom(roomId);
+        if (!room) return;
+        
         this.logger.debug(`Move video event in room ${roomId}:`, data);
         
+        const from = room.playlist.findIndex(item => item.uid === data.from);
+        if (from >= 0) {
+            const [item] = room.playlist.splice(from, 1);
+            const index = data.after === 'prepend' ? -1 : room.playlist.findIndex(entry => entry.uid === data.after);
+            if (data.after === 'prepend' || index >= 0) {
+                room.playlist.splice(index + 1, 0, item);
+            } else {
+                room.playlist.push(item);
+            }
+        }
+        
+        if (this.mediaRequests) {
+            this.mediaRequests.handleMoved(roomId, data);
+        }
+        
         // Emit event
         this.emit('room:moveVideo', { roomId, data });
     },
     
+    /**
+     * Handle CyTube refusing to queue something in a room
+     */
+    async handleQueueFail(roomId, data) {
+        this.logger.debug(`Queue failed in room ${roomId}:`, data);
+        
+        if (this.mediaRequests) {
+            await this.mediaRequests.handleQueueFail(roomId, data).catch(err =>
+                this.logger.error(`Failed to record request failure in room ${roomId}`, { error: err.message })
+            );
+        }
+        
+        // Emit event
+        this.emit('room:queueFail', { roomId, data });
+    },
+    
+    /**
+     * Handle which playlist item is playing in a room
+     */
+    handleSetCurrent(roomId, uid) {
+        const room = this.getRoom(roomId);
+        if (!room) return;
+        
+        room.currentUid = uid;
+    },
+    
+    /**
+     * Handle a poll opening in a room (ours, or one opened in the channel)
+     */
+    async handleNewPoll(roomId, data) {
+        this.logger.debug(`Poll opened in room ${roomId}: ${data.title}`);
+        
+        if (this.pollManager) {
+            await this.pollManager.handleNewPoll(roomId, data).catch(err =>
+                this.logger.error(`Failed to record poll in room ${roomId}`, { error: err.message })
+            );
+        }
+        
+        // Emit event
+        this.emit('room:newPoll', { roomId, data });
+    },
+    
+    /**
+     * Handle a poll's votes changing in a room
+     */
+    async handleUpdatePoll(roomId, data) {
+        if (this.pollManager) {
+            await this.pollManager.handleUpdatePoll(roomId, data).catch(err =>
+                this.logger.error(`Failed to update poll in room ${roomId}`, { error: err.message })
+            );
+        }
+        
+        // Emit event
+        this.emit('room:updatePoll', { roomId, data });
+    },
+    
+    /**
+     * Handle a poll closing in a room
+     */
+    async handleClosePoll(roomId) {
+        this.logger.debug(`Poll closed in room ${roomId}`);
+        
+        if (this.pollManager) {
+            await this.pollManager.handleClosePoll(roomId).catch(err =>
+                this.logger.error(`Failed to close poll in room ${roomId}`, { error: err.message })
+            );
+        }
+        
+        // Emit event
+        this.emit('room:closePoll', { roomId });
+    },
+    
     /**
      * Handle command from a room
      */
@@ -507,7 +652,7 @@ export const RoomEventHandlers = {
      */
     async checkForMentions(roomId, data) {
         const room = this.getRoom(roomId);
-        if (!room || !this.ollama) return;
+        if (!room || !this.llm?.isEnabled(roomId)) return;
         
         // Don't respond to server messages
         if (data.username === '[server]') {
@@ -533,14 +678,30 @@ export const RoomEventHandlers = {
         
         // Respond with AI
         try {
-            const context = room.messageHistory.slice(-5).map(m => ({
+            let memory = null;
+            let context = room.messageHistory.slice(-5).map(m => ({
                 username: m.username,
                 message: m.message
             }));
             
-            const response = await this.ollama.generateResponse(data.msg, context, data.username);
+            // Recent chat, past exchanges, user facts and what's playing, within the token budget
+            if (this.conversationMemory) {
+                await this.conversationMemory.learnFromMention(roomId, data.username, data.msg);
+                memory = await this.conversationMemory.buildContext(roomId, data.username, data.msg);
+                context = memory.recent;
+            }
+            
+            const response = await this.llm.generateResponse(data.msg, context, {
+                roomId,
+                username: data.username,
+                memory
+            });
             
             if (response) {
+                if (this.conversationMemory) {
+                    await this.conversationMemory.recordExchange(roomId, data.username, data.msg, response);
+                }
+                
                 // Send response with random delay
                 const delay = Math.floor(Math.random() * 2000) + 1000; // 1-3 seconds
                 
@@ -0,0 +1,43 @@
+/**
+ * Migration: Add role-based permission tables
+ * Date: 2025-07-04
+ *
+ * This migration adds tables for:
+ * - user_roles: Named roles granted to users, scoped per room ('*' = every room)
+ * - rank_roles: Roles implied by a user's CyTube rank in a room
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS user_roles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL,
+            role TEXT NOT NULL,
+            room_id TEXT NOT NULL DEFAULT '*',
+            granted_by TEXT,
+            granted_at INTEGER NOT NULL,
+            UNIQUE(username, role, room_id)
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS rank_roles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL DEFAULT '*',
+            min_rank INTEGER NOT NULL,
+            role TEXT NOT NULL,
+            created_by TEXT,
+            created_at INTEGER NOT NULL,
+            UNIQUE(room_id, role)
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_user_roles_username ON user_roles(username)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_user_roles_room ON user_roles(room_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_rank_roles_room ON rank_roles(room_id)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS rank_roles');
+    await db.run('DROP TABLE IF EXISTS user_roles');
+};
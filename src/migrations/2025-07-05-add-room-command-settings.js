@@ -0,0 +1,39 @@
+/**
+ * Migration: Add per-room command override tables
+ * Date: 2025-07-05
+ *
+ * Live edits made with !roomcmd are stored here and layered over the
+ * settings in rooms/<room>.js:
+ * - room_command_settings: per-room enable/disable and cooldown overrides
+ * - room_command_aliases: per-room command aliases
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS room_command_settings (
+            room_id TEXT NOT NULL,
+            command TEXT NOT NULL,
+            enabled INTEGER,
+            cooldown_ms INTEGER,
+            updated_by TEXT,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (room_id, command)
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS room_command_aliases (
+            room_id TEXT NOT NULL,
+            alias TEXT NOT NULL,
+            command TEXT NOT NULL,
+            created_by TEXT,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (room_id, alias)
+        )
+    `);
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS room_command_aliases');
+    await db.run('DROP TABLE IF EXISTS room_command_settings');
+};
@@ -0,0 +1,55 @@
+/**
+ * Migration: Turn economy_transactions into a ledger
+ * Date: 2025-07-06
+ *
+ * Every balance change now goes through EconomyLedger, which writes one row per
+ * user account touched. Rows from the same transfer share a transfer_id, name
+ * the other side in counterparty (another user, or a system account like
+ * @house / @world) and record the balance after the change.
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('migrations');
+
+const LEDGER_COLUMNS = {
+    transfer_id: 'TEXT',
+    counterparty: 'TEXT',
+    balance_after: 'INTEGER'
+};
+
+export async function up(db) {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS economy_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            trust_change INTEGER DEFAULT 0,
+            transaction_type TEXT NOT NULL,
+            description TEXT,
+            room_id TEXT NOT NULL DEFAULT 'fatpizza',
+            created_at INTEGER NOT NULL
+        )
+    `);
+
+    const columns = await db.all('PRAGMA table_info(economy_transactions)');
+    const existing = new Set(columns.map(col => col.name));
+
+    for (const [name, type] of Object.entries(LEDGER_COLUMNS)) {
+        if (!existing.has(name)) {
+            await db.run(`ALTER TABLE economy_transactions ADD COLUMN ${name} ${type}`);
+            logger.info(`Added ${name} to economy_transactions`);
+        }
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_economy_transactions_user_time ON economy_transactions(username, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_economy_transactions_transfer ON economy_transactions(transfer_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_economy_transactions_type_time ON economy_transactions(transaction_type, created_at)');
+}
+
+export async function down(db) {
+    // SQLite can't drop columns on older versions, so only the indexes go
+    await db.run('DROP INDEX IF EXISTS idx_economy_transactions_type_time');
+    await db.run('DROP INDEX IF EXISTS idx_economy_transactions_transfer');
+    await db.run('DROP INDEX IF EXISTS idx_economy_transactions_user_time');
+}
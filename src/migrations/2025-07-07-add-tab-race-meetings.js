@@ -0,0 +1,72 @@
+/**
+ * Migration: Add parimutuel TAB race meeting tables
+ * Date: 2025-07-07
+ *
+ * - tab_races: one row per race, with its pools and the house cut taken
+ * - tab_race_runners: the field for each race with form, finishing position
+ *   and dividends. Doubles as form history for each runner name
+ * - tab_race_bets: every win/place ticket (each-way bets are two tickets)
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS tab_races (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL,
+            race_type TEXT NOT NULL,
+            track TEXT NOT NULL,
+            race_number INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'betting',
+            house_cut REAL NOT NULL,
+            win_pool INTEGER NOT NULL DEFAULT 0,
+            place_pool INTEGER NOT NULL DEFAULT 0,
+            cut_taken INTEGER NOT NULL DEFAULT 0,
+            started_by TEXT,
+            created_at INTEGER NOT NULL,
+            closes_at INTEGER NOT NULL,
+            finished_at INTEGER
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS tab_race_runners (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            race_id INTEGER NOT NULL,
+            number INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            rating REAL NOT NULL,
+            form TEXT,
+            finish_position INTEGER,
+            win_dividend REAL,
+            place_dividend REAL,
+            UNIQUE(race_id, number),
+            FOREIGN KEY (race_id) REFERENCES tab_races(id)
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS tab_race_bets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            race_id INTEGER NOT NULL,
+            room_id TEXT NOT NULL,
+            username TEXT NOT NULL,
+            runner_number INTEGER NOT NULL,
+            bet_type TEXT NOT NULL,
+            amount INTEGER NOT NULL,
+            payout INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY (race_id) REFERENCES tab_races(id)
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tab_races_room_status ON tab_races(room_id, status, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tab_race_runners_name ON tab_race_runners(name, race_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tab_race_bets_race ON tab_race_bets(race_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tab_race_bets_user ON tab_race_bets(username, created_at)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS tab_race_bets');
+    await db.run('DROP TABLE IF EXISTS tab_race_runners');
+    await db.run('DROP TABLE IF EXISTS tab_races');
+};
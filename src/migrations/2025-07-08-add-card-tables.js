@@ -0,0 +1,31 @@
+/**
+ * Migration: Add card tables for room-wide blackjack and hold'em
+ * Date: 2025-07-08
+ *
+ * - card_tables: one row per hand. The deck, hands, bets and whose turn it is
+ *   live in the state JSON so a hand can pick up where it left off after a restart
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS card_tables (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL,
+            game TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'seating',
+            opened_by TEXT NOT NULL,
+            state TEXT NOT NULL,
+            deals_at INTEGER NOT NULL,
+            turn_deadline INTEGER,
+            created_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            finished_at INTEGER
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_card_tables_room_status ON card_tables(room_id, game, status)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS card_tables');
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration: Add heist crews
+ * Date: 2025-07-09
+ *
+ * - heist_crew: one row per person in on a heist. Holds their vote, the role
+ *   they claimed, gear bought for the job, the stage they bailed at and what
+ *   they were paid, so a heist can carry on after a restart
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS heist_crew (
+            heist_id INTEGER NOT NULL,
+            username TEXT NOT NULL,
+            room_id TEXT NOT NULL,
+            vote TEXT,
+            role TEXT,
+            gear TEXT NOT NULL DEFAULT '[]',
+            gear_spent INTEGER NOT NULL DEFAULT 0,
+            dropped_stage TEXT,
+            payout INTEGER NOT NULL DEFAULT 0,
+            joined_at INTEGER NOT NULL,
+            PRIMARY KEY (heist_id, username)
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_heist_crew_username ON heist_crew(username)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS heist_crew');
+};
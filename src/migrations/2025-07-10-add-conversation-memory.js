@@ -0,0 +1,43 @@
+/**
+ * Migration: Add conversation memory for Dazza's AI replies
+ * Date: 2025-07-10
+ *
+ * - llm_exchanges: what someone said to Dazza and what he said back, per room,
+ *   so his next reply to them can pick up where they left off. Pruned by age
+ * - user_facts: long-term things Dazza knows about a user, either told to him
+ *   ("dazza remember i drive a forklift") or added by an admin
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS llm_exchanges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL,
+            username TEXT NOT NULL COLLATE NOCASE,
+            message TEXT NOT NULL,
+            reply TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_llm_exchanges_room_user ON llm_exchanges(room_id, username, created_at)');
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS user_facts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL COLLATE NOCASE,
+            fact TEXT NOT NULL,
+            source TEXT NOT NULL DEFAULT 'chat',
+            added_by TEXT,
+            room_id TEXT,
+            created_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_user_facts_username ON user_facts(username)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS user_facts');
+    await db.run('DROP TABLE IF EXISTS llm_exchanges');
+};
@@ -0,0 +1,42 @@
+/**
+ * Migration: Add absolute, recurring and snoozable reminders
+ * Date: 2025-07-11
+ *
+ * - reminders.recurrence: JSON schedule for repeating reminders
+ *   ({ type: 'interval' | 'daily' | 'weekly', ... }), NULL for one-offs
+ * - reminders.timezone: timezone the reminder was set in, so "every friday 5pm"
+ *   stays at 5pm across daylight saving
+ * - reminders.delivered_at: when it last went off, for !remind snooze
+ * - user_timezones: each user's timezone for reading and showing times
+ */
+
+export const up = async (db) => {
+    const columns = await db.all('PRAGMA table_info(reminders)');
+    const has = (name) => columns.some(column => column.name === name);
+
+    if (!has('recurrence')) {
+        await db.run('ALTER TABLE reminders ADD COLUMN recurrence TEXT');
+    }
+    if (!has('timezone')) {
+        await db.run('ALTER TABLE reminders ADD COLUMN timezone TEXT');
+    }
+    if (!has('delivered_at')) {
+        await db.run('ALTER TABLE reminders ADD COLUMN delivered_at INTEGER');
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_reminders_from_user ON reminders(from_user, delivered)');
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS user_timezones (
+            username TEXT PRIMARY KEY COLLATE NOCASE,
+            timezone TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        )
+    `);
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS user_timezones');
+    await db.run('DROP INDEX IF EXISTS idx_reminders_from_user');
+    // The new reminders columns are left in place, older code ignores them
+};
@@ -0,0 +1,47 @@
+/**
+ * Migration: Add scheduled channel events
+ * Date: 2025-07-12
+ *
+ * - channel_events: one-off or recurring events per room (movie nights, watch
+ *   parties). starts_at is the next occurrence; recurring events move it
+ *   forward once each one starts. announced is the last countdown stage (ms
+ *   before the start) already said in the room for the current occurrence
+ * - event_rsvps: who's coming to which occurrence of an event
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS channel_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL,
+            title TEXT NOT NULL,
+            description TEXT,
+            starts_at INTEGER NOT NULL,
+            recurrence TEXT,
+            timezone TEXT,
+            playlist TEXT NOT NULL DEFAULT '[]',
+            status TEXT NOT NULL DEFAULT 'scheduled',
+            announced INTEGER,
+            created_by TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_channel_events_room_status ON channel_events(room_id, status, starts_at)');
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS event_rsvps (
+            event_id INTEGER NOT NULL,
+            occurrence_at INTEGER NOT NULL,
+            username TEXT NOT NULL COLLATE NOCASE,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (event_id, occurrence_at, username),
+            FOREIGN KEY (event_id) REFERENCES channel_events(id)
+        )
+    `);
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS event_rsvps');
+    await db.run('DROP TABLE IF EXISTS channel_events');
+};
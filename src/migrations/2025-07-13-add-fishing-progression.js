@@ -0,0 +1,46 @@
+/**
+ * Migration: Add fishing progression
+ * Date: 2025-07-13
+ *
+ * - fishing_gear: rods (kind 'rod', quantity 1) and bait packs (kind 'bait')
+ *   each user has bought for !fish
+ * - fishing_catches: every fish anyone's landed, for personal bests and the
+ *   species collection shown in !stats
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS fishing_gear (
+            username TEXT NOT NULL COLLATE NOCASE,
+            kind TEXT NOT NULL,
+            item TEXT NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 0,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (username, kind, item)
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS fishing_catches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL COLLATE NOCASE,
+            species TEXT NOT NULL,
+            rarity TEXT NOT NULL,
+            weight REAL NOT NULL,
+            value INTEGER NOT NULL,
+            spot TEXT NOT NULL,
+            bait TEXT NOT NULL,
+            rod TEXT NOT NULL,
+            room_id TEXT,
+            caught_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_fishing_catches_user_species ON fishing_catches(username, species, weight)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_fishing_catches_species_weight ON fishing_catches(species, weight)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS fishing_catches');
+    await db.run('DROP TABLE IF EXISTS fishing_gear');
+};
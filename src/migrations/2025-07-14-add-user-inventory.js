@@ -0,0 +1,102 @@
+/**
+ * Migration: Add user inventory
+ * Date: 2025-07-14
+ *
+ * - user_inventory: items each user holds (see modules/inventory/items.js).
+ *   Like balances, holdings follow the user across rooms
+ * - inventory_log: every item movement, with the room it happened in, the
+ *   same way economy_transactions records money
+ * - item_trades: !trade offers waiting on the other side to accept
+ *
+ * Rods and bait from fishing_gear move into user_inventory, and fishing_gear
+ * is dropped.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { RODS, BAIT } from '../modules/fishing/tackle.js';
+
+const logger = createLogger('migrations');
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS user_inventory (
+            username TEXT NOT NULL COLLATE NOCASE,
+            item_id TEXT NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 0,
+            acquired_at INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (username, item_id)
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS inventory_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL COLLATE NOCASE,
+            item_id TEXT NOT NULL,
+            quantity INTEGER NOT NULL,
+            counterparty TEXT,
+            reason TEXT NOT NULL,
+            room_id TEXT NOT NULL DEFAULT 'fatpizza',
+            created_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS item_trades (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            from_user TEXT NOT NULL COLLATE NOCASE,
+            to_user TEXT NOT NULL COLLATE NOCASE,
+            item_id TEXT NOT NULL,
+            quantity INTEGER NOT NULL,
+            price INTEGER NOT NULL DEFAULT 0,
+            want_item_id TEXT,
+            want_quantity INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'pending',
+            room_id TEXT NOT NULL DEFAULT 'fatpizza',
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_inventory_log_user_time ON inventory_log(username, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_item_trades_to_status ON item_trades(to_user, status)');
+
+    const gear = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'fishing_gear'");
+    if (gear) {
+        const result = await db.run(`
+            INSERT INTO user_inventory (username, item_id, quantity, acquired_at, updated_at)
+            SELECT username, item, quantity, updated_at, updated_at FROM fishing_gear WHERE quantity > 0
+            ON CONFLICT(username, item_id) DO UPDATE SET quantity = quantity + excluded.quantity
+        `);
+        logger.info(`Moved ${result.changes} fishing_gear rows into user_inventory`);
+        await db.run('DROP TABLE fishing_gear');
+    }
+};
+
+export const down = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS fishing_gear (
+            username TEXT NOT NULL COLLATE NOCASE,
+            kind TEXT NOT NULL,
+            item TEXT NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 0,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (username, kind, item)
+        )
+    `);
+
+    // Only the fishing gear survives going back
+    for (const [kind, items] of [['rod', RODS], ['bait', BAIT]]) {
+        const ids = Object.keys(items);
+        await db.run(`
+            INSERT OR IGNORE INTO fishing_gear (username, kind, item, quantity, updated_at)
+            SELECT username, ?, item_id, quantity, updated_at FROM user_inventory
+            WHERE quantity > 0 AND item_id IN (${ids.map(() => '?').join(', ')})
+        `, [kind, ...ids]);
+    }
+
+    await db.run('DROP TABLE IF EXISTS item_trades');
+    await db.run('DROP TABLE IF EXISTS inventory_log');
+    await db.run('DROP TABLE IF EXISTS user_inventory');
+};
@@ -0,0 +1,47 @@
+/**
+ * Migration: Add player-to-player deals
+ * Date: 2025-07-15
+ *
+ * market_deals holds !deal loans (cash now, paid back later, with or without
+ * interest) and side bets between two users. Whatever's staked sits in @escrow
+ * from the offer until both sides have agreed, or it's handed back.
+ *
+ * status: proposed -> active -> repaid | defaulted (loans), settled | refunded (bets)
+ *         proposed -> declined | cancelled | expired
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS market_deals (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL DEFAULT 'fatpizza',
+            kind TEXT NOT NULL,
+            proposer TEXT NOT NULL COLLATE NOCASE,
+            counterparty TEXT NOT NULL COLLATE NOCASE,
+            lender TEXT COLLATE NOCASE,
+            borrower TEXT COLLATE NOCASE,
+            amount INTEGER NOT NULL,
+            repay_amount INTEGER NOT NULL DEFAULT 0,
+            repaid INTEGER NOT NULL DEFAULT 0,
+            claim TEXT,
+            term_ms INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'proposed',
+            winner TEXT,
+            proposer_call TEXT,
+            counterparty_call TEXT,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            accepted_at INTEGER,
+            due_at INTEGER,
+            settled_at INTEGER
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_market_deals_status_due ON market_deals(status, due_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_market_deals_counterparty ON market_deals(counterparty, status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_market_deals_proposer ON market_deals(proposer, status)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS market_deals');
+};
@@ -0,0 +1,39 @@
+/**
+ * Migration: Add mug bounties and criminal heat
+ * Date: 2025-07-16
+ *
+ * - mug_bounties: cash put on a repeat mugger's head with !bounty. It sits in
+ *   @escrow until someone fights the mugger off (claimed) or the person who
+ *   put it up takes it back (withdrawn)
+ * - mug_stats.heat_updated_at: when current_heat_level was last set, so heat
+ *   can cool off by the hour without a sweep
+ */
+
+export const up = async (db) => {
+    const columns = await db.all('PRAGMA table_info(mug_stats)');
+    if (!columns.some(column => column.name === 'heat_updated_at')) {
+        await db.run('ALTER TABLE mug_stats ADD COLUMN heat_updated_at INTEGER');
+    }
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS mug_bounties (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL DEFAULT 'fatpizza',
+            target TEXT NOT NULL COLLATE NOCASE,
+            placed_by TEXT NOT NULL COLLATE NOCASE,
+            amount INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'open',
+            claimed_by TEXT COLLATE NOCASE,
+            created_at INTEGER NOT NULL,
+            closed_at INTEGER
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_mug_bounties_target ON mug_bounties(target, status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_mug_bounties_placed_by ON mug_bounties(placed_by, status)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS mug_bounties');
+    // heat_updated_at is left in place, older code ignores it
+};
@@ -0,0 +1,71 @@
+/**
+ * Migration: Add pissing contest tournaments
+ * Date: 2025-07-17
+ *
+ * - piss_tournaments: one per !tourney, with the pot (entry fees plus
+ *   whatever the organiser put up) held in @escrow until it's paid out
+ *   status: signup -> running -> finished, or signup | running -> cancelled
+ * - piss_tournament_entries: who's in, their seed, and how they finished
+ * - piss_tournament_matches: the single-elimination bracket, one row per
+ *   match per round. status: pending -> running -> done, or bye (player_b
+ *   is NULL and player_a goes straight through)
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS piss_tournaments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL DEFAULT 'fatpizza',
+            organiser TEXT NOT NULL COLLATE NOCASE,
+            entry_fee INTEGER NOT NULL DEFAULT 0,
+            prize INTEGER NOT NULL DEFAULT 0,
+            pot INTEGER NOT NULL DEFAULT 0,
+            max_players INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'signup',
+            round INTEGER NOT NULL DEFAULT 0,
+            champion TEXT COLLATE NOCASE,
+            signup_ends_at INTEGER NOT NULL,
+            created_at INTEGER NOT NULL,
+            started_at INTEGER,
+            finished_at INTEGER
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS piss_tournament_entries (
+            tournament_id INTEGER NOT NULL,
+            username TEXT NOT NULL COLLATE NOCASE,
+            seed INTEGER,
+            eliminated_round INTEGER,
+            placing INTEGER,
+            prize INTEGER NOT NULL DEFAULT 0,
+            joined_at INTEGER NOT NULL,
+            PRIMARY KEY (tournament_id, username)
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS piss_tournament_matches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tournament_id INTEGER NOT NULL,
+            round INTEGER NOT NULL,
+            slot INTEGER NOT NULL,
+            player_a TEXT COLLATE NOCASE,
+            player_b TEXT COLLATE NOCASE,
+            winner TEXT COLLATE NOCASE,
+            score_a INTEGER,
+            score_b INTEGER,
+            status TEXT NOT NULL DEFAULT 'pending',
+            played_at INTEGER,
+            UNIQUE (tournament_id, round, slot)
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_piss_tournaments_room_status ON piss_tournaments(room_id, status)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS piss_tournament_matches');
+    await db.run('DROP TABLE IF EXISTS piss_tournament_entries');
+    await db.run('DROP TABLE IF EXISTS piss_tournaments');
+};
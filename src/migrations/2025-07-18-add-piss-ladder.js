@@ -0,0 +1,44 @@
+/**
+ * Migration: Add the pissing contest ladder
+ * Date: 2025-07-18
+ *
+ * - piss_seasons: the rating ladder runs in seasons. One is active at a time;
+ *   when it ends its standings are frozen and the next one starts
+ * - piss_ratings: a user's ELO rating for a season. final_rank is filled in
+ *   when the season's archived, so old ladders can still be shown
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS piss_seasons (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            status TEXT NOT NULL DEFAULT 'active',
+            champion TEXT COLLATE NOCASE,
+            started_at INTEGER NOT NULL,
+            ends_at INTEGER NOT NULL,
+            ended_at INTEGER
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS piss_ratings (
+            season_id INTEGER NOT NULL,
+            username TEXT NOT NULL COLLATE NOCASE,
+            rating INTEGER NOT NULL,
+            peak_rating INTEGER NOT NULL,
+            matches INTEGER NOT NULL DEFAULT 0,
+            wins INTEGER NOT NULL DEFAULT 0,
+            losses INTEGER NOT NULL DEFAULT 0,
+            final_rank INTEGER,
+            last_played INTEGER,
+            PRIMARY KEY (season_id, username)
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_piss_ratings_season_rating ON piss_ratings(season_id, rating DESC)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS piss_ratings');
+    await db.run('DROP TABLE IF EXISTS piss_seasons');
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration: Store the seeds pissing contests and heists are rolled from
+ * Date: 2025-07-19
+ *
+ * - pissing_contest_challenges.seed, challenger_bladder, challenged_bladder:
+ *   everything else about a match is rolled from the seed, so with the
+ *   bladders it can be replayed exactly (npm run simulate -- replay contest <id>)
+ * - heist_events.seed: the same for a heist's stages and haul
+ */
+
+const addColumn = async (db, table, column, type) => {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+};
+
+export const up = async (db) => {
+    await addColumn(db, 'pissing_contest_challenges', 'seed', 'INTEGER');
+    await addColumn(db, 'pissing_contest_challenges', 'challenger_bladder', 'INTEGER');
+    await addColumn(db, 'pissing_contest_challenges', 'challenged_bladder', 'INTEGER');
+    await addColumn(db, 'heist_events', 'seed', 'INTEGER');
+};
+
+export const down = async () => {
+    // The seed columns are left in place, older code ignores them
+};
@@ -0,0 +1,64 @@
+/**
+ * Migration: Add economy analytics
+ * Date: 2025-07-20
+ *
+ * Filled in by the EconomyAnalyzer batch job:
+ * - economy_daily_flows: money each game put into (minted) or took out of
+ *   (burned) the economy, per UTC day and room. Only legs against @world or
+ *   @house count, so user to user transfers and escrow don't show up
+ * - economy_daily_supply: total money supply at the end of each day and how
+ *   much it moved. gini, holders, median_balance and top10_share are
+ *   snapshots of balances, taken whenever the job runs on that day
+ * - economy_projection: the latest simulated run of the economy forward
+ *   under the odds seen recently (see modules/economy/simulation.js)
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS economy_daily_flows (
+            date TEXT NOT NULL,
+            room_id TEXT NOT NULL,
+            game TEXT NOT NULL,
+            minted INTEGER NOT NULL DEFAULT 0,
+            burned INTEGER NOT NULL DEFAULT 0,
+            entries INTEGER NOT NULL DEFAULT 0,
+            players INTEGER NOT NULL DEFAULT 0,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (date, room_id, game)
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS economy_daily_supply (
+            date TEXT PRIMARY KEY,
+            supply INTEGER NOT NULL,
+            minted INTEGER NOT NULL DEFAULT 0,
+            burned INTEGER NOT NULL DEFAULT 0,
+            inflation REAL,
+            gini REAL,
+            holders INTEGER,
+            median_balance INTEGER,
+            top10_share REAL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS economy_projection (
+            day INTEGER PRIMARY KEY,
+            supply INTEGER NOT NULL,
+            gini REAL NOT NULL,
+            median_balance INTEGER NOT NULL,
+            top10_share REAL NOT NULL,
+            generated_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_economy_daily_flows_room ON economy_daily_flows(room_id, date)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS economy_projection');
+    await db.run('DROP TABLE IF EXISTS economy_daily_supply');
+    await db.run('DROP TABLE IF EXISTS economy_daily_flows');
+};
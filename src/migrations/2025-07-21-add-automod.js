@@ -0,0 +1,47 @@
+/**
+ * Migration: Add automod
+ * Date: 2025-07-21
+ *
+ * - automod_settings: rule changes made live with !automod, one JSON blob of
+ *   overrides per room laid over settings.automod from the room file
+ * - moderation_log: everything automod does (and mods pardoning people).
+ *   A user's strikes are their entries since the strike window or their
+ *   last pardon, whichever's later. Mutes have an expires_at and get
+ *   lifted_at once the bot's unmuted them
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS automod_settings (
+            room_id TEXT PRIMARY KEY,
+            settings TEXT NOT NULL DEFAULT '{}',
+            updated_by TEXT,
+            updated_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS moderation_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL,
+            username TEXT NOT NULL COLLATE NOCASE,
+            rule TEXT NOT NULL,
+            action TEXT NOT NULL,
+            strike INTEGER,
+            detail TEXT,
+            message TEXT,
+            moderator TEXT NOT NULL DEFAULT 'automod',
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER,
+            lifted_at INTEGER
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_moderation_log_user ON moderation_log(room_id, username, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_moderation_log_mutes ON moderation_log(action, lifted_at, expires_at)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS moderation_log');
+    await db.run('DROP TABLE IF EXISTS automod_settings');
+};
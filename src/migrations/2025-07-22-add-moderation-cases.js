@@ -0,0 +1,53 @@
+/**
+ * Migration: Add moderation cases
+ * Date: 2025-07-22
+ *
+ * - moderation_cases: a user's record, kept by the mods (and automod for the
+ *   mutes, kicks and bans it hands out). type is warning, note or action;
+ *   actions say which in action. Warnings stop counting at expires_at, and
+ *   any case can be revoked (by a mod or an overturned appeal)
+ * - moderation_appeals: users asking for a warning or action to be looked
+ *   at again, and what the mods decided
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS moderation_cases (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL COLLATE NOCASE,
+            room_id TEXT,
+            type TEXT NOT NULL,
+            action TEXT,
+            reason TEXT NOT NULL,
+            moderator TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER,
+            revoked_at INTEGER,
+            revoked_by TEXT,
+            revoke_reason TEXT
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS moderation_appeals (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            case_id INTEGER NOT NULL REFERENCES moderation_cases(id),
+            username TEXT NOT NULL COLLATE NOCASE,
+            message TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            created_at INTEGER NOT NULL,
+            decided_by TEXT,
+            decided_at INTEGER,
+            response TEXT
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_moderation_cases_user ON moderation_cases(username, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_moderation_appeals_case ON moderation_appeals(case_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_moderation_appeals_status ON moderation_appeals(status, created_at)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS moderation_appeals');
+    await db.run('DROP TABLE IF EXISTS moderation_cases');
+};
@@ -0,0 +1,53 @@
+/**
+ * Migration: Add polls
+ * Date: 2025-07-23
+ *
+ * - polls: every CyTube poll seen in a room, whether the bot opened it with
+ *   !poll (source 'bot') or someone opened it in the channel (source 'room').
+ *   options and counts are JSON arrays; counts is the last tally CyTube sent.
+ *   Money polls (mode 'money') keep their pot and Dazza's cut here too
+ * - poll_stakes: money backed on an option of a money poll, and what it paid
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS polls (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL,
+            title TEXT NOT NULL,
+            options TEXT NOT NULL,
+            counts TEXT,
+            mode TEXT NOT NULL DEFAULT 'normal',
+            source TEXT NOT NULL DEFAULT 'bot',
+            created_by TEXT,
+            status TEXT NOT NULL DEFAULT 'open',
+            opened_at INTEGER NOT NULL,
+            closes_at INTEGER,
+            closed_at INTEGER,
+            winner INTEGER,
+            pot INTEGER NOT NULL DEFAULT 0,
+            cut_taken INTEGER NOT NULL DEFAULT 0
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS poll_stakes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            poll_id INTEGER NOT NULL REFERENCES polls(id),
+            username TEXT NOT NULL COLLATE NOCASE,
+            option INTEGER NOT NULL,
+            amount INTEGER NOT NULL,
+            payout INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_polls_room ON polls(room_id, opened_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_polls_status ON polls(status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_poll_stakes_poll ON poll_stakes(poll_id, username)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS poll_stakes');
+    await db.run('DROP TABLE IF EXISTS polls');
+};
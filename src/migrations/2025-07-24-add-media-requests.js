@@ -0,0 +1,55 @@
+/**
+ * Migration: Add media requests
+ * Date: 2025-07-24
+ *
+ * - media_requests: videos people asked the bot to queue with !request.
+ *   status goes pending (sent to CyTube) -> queued (it's on the playlist,
+ *   uid is CyTube's playlist id) -> played, or failed/removed on the way
+ * - media_bumps: money paid to move a video up to play next, and from where
+ */
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS media_requests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL,
+            username TEXT NOT NULL COLLATE NOCASE,
+            media_type TEXT NOT NULL,
+            media_id TEXT NOT NULL,
+            title TEXT,
+            duration INTEGER,
+            uid INTEGER,
+            status TEXT NOT NULL DEFAULT 'pending',
+            reason TEXT,
+            created_at INTEGER NOT NULL,
+            queued_at INTEGER,
+            finished_at INTEGER
+        )
+    `);
+
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS media_bumps (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT NOT NULL,
+            username TEXT NOT NULL COLLATE NOCASE,
+            request_id INTEGER REFERENCES media_requests(id),
+            uid INTEGER NOT NULL,
+            media_type TEXT,
+            media_id TEXT,
+            title TEXT,
+            from_position INTEGER,
+            to_position INTEGER,
+            cost INTEGER NOT NULL,
+            created_at INTEGER NOT NULL
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_media_requests_room ON media_requests(room_id, status, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_media_requests_user ON media_requests(username, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_media_bumps_room ON media_bumps(room_id, created_at)');
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS media_bumps');
+    await db.run('DROP TABLE IF EXISTS media_requests');
+};
@@ -0,0 +1,82 @@
+/**
+ * Migration: Move media history into the main database
+ * Date: 2025-07-25
+ *
+ * - media_history: every video seen on a room's playlist, one row per url per
+ *   room. added_by is whoever brought it in first, last_added_by whoever
+ *   queued it most recently
+ * - MediaTracker used to keep this in its own media_encountered.db next to
+ *   the bot. If that file is there it's merged in here once and renamed to
+ *   media_encountered.imported.db so nothing picks it up again. The old
+ *   tracker overwrote added_by on every queue, so what it has is really the
+ *   last adder: imported rows get it as last_added_by and a NULL added_by
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const LEGACY_FILE = 'media_encountered.db';
+const RETIRED_FILE = 'media_encountered.imported.db';
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS media_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT NOT NULL,
+            title TEXT,
+            added_by TEXT COLLATE NOCASE,
+            last_added_by TEXT COLLATE NOCASE,
+            room_id TEXT NOT NULL,
+            first_seen INTEGER NOT NULL,
+            last_seen INTEGER NOT NULL,
+            play_count INTEGER DEFAULT 1,
+            queue_count INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(url, room_id)
+        )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_media_history_url ON media_history(url)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_media_history_room ON media_history(room_id, last_seen)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_media_history_plays ON media_history(room_id, play_count)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_media_history_added_by ON media_history(added_by, first_seen)');
+
+    const legacyPath = path.join(process.cwd(), LEGACY_FILE);
+    if (!fs.existsSync(legacyPath)) return;
+
+    await db.run('ATTACH DATABASE ? AS legacy', [legacyPath]);
+    try {
+        const table = await db.get(
+            'SELECT name FROM legacy.sqlite_master WHERE type = \'table\' AND name = \'media_history\''
+        );
+        if (table) {
+            // WHERE true keeps SQLite from reading ON CONFLICT as a join constraint
+            await db.run(`
+                INSERT INTO media_history (url, title, added_by, last_added_by, room_id, first_seen, last_seen, play_count, queue_count, created_at, updated_at)
+                SELECT url, title, NULL, added_by, room_id, first_seen, last_seen,
+                       COALESCE(play_count, 0), COALESCE(queue_count, 0), created_at, updated_at
+                FROM legacy.media_history
+                WHERE true
+                ON CONFLICT(url, room_id) DO UPDATE SET
+                    title = COALESCE(media_history.title, excluded.title),
+                    added_by = CASE WHEN excluded.first_seen < media_history.first_seen
+                        THEN NULL ELSE media_history.added_by END,
+                    last_added_by = CASE WHEN excluded.last_seen > media_history.last_seen
+                        THEN excluded.last_added_by ELSE media_history.last_added_by END,
+                    first_seen = MIN(media_history.first_seen, excluded.first_seen),
+                    last_seen = MAX(media_history.last_seen, excluded.last_seen),
+                    play_count = media_history.play_count + excluded.play_count,
+                    queue_count = media_history.queue_count + excluded.queue_count
+            `);
+        }
+    } finally {
+        await db.run('DETACH DATABASE legacy');
+    }
+
+    fs.renameSync(legacyPath, path.join(process.cwd(), RETIRED_FILE));
+};
+
+export const down = async (db) => {
+    await db.run('DROP TABLE IF EXISTS media_history');
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration: Mark tournament matches whose result has been recorded
+ * Date: 2025-07-26
+ *
+ * - piss_tournament_matches.recorded: set in the same transaction as the
+ *   match's stats and ladder changes, so a match cut off by a restart after
+ *   that point isn't played (and counted) a second time
+ */
+
+export const up = async (db) => {
+    const columns = await db.all('PRAGMA table_info(piss_tournament_matches)');
+    if (!columns.some(column => column.name === 'recorded')) {
+        await db.run('ALTER TABLE piss_tournament_matches ADD COLUMN recorded INTEGER NOT NULL DEFAULT 0');
+    }
+};
+
+export const down = async () => {
+    // The column is left in place, older code ignores it
+};
@@ -0,0 +1,143 @@
+import { createDeck, shuffle, blackjackValue, isBlackjack } from './cards.js';
+
+// Blackjack against dazza. These only move cards around the table state,
+// CardTableManager takes the money and saves the state afterwards.
+
+export const BLACKJACK_ACTIONS = ['hit', 'stand', 'double'];
+
+/**
+ * Shuffle up and deal two cards to every seat and the dealer.
+ * Naturals are marked straight away and the dealer peeks when showing an ace or a ten.
+ * @param {Array} players - [{ username, bet }] in seat order
+ */
+export function dealBlackjack(players) {
+    const deck = shuffle(createDeck());
+    const seats = players.map(player => ({
+        username: player.username,
+        bet: player.bet,
+        hand: [],
+        doubled: false,
+        status: 'playing'
+    }));
+    const dealer = [];
+
+    for (let round = 0; round < 2; round++) {
+        for (const seat of seats) {
+            seat.hand.push(deck.pop());
+        }
+        dealer.push(deck.pop());
+    }
+
+    for (const seat of seats) {
+        if (isBlackjack(seat.hand)) seat.status = 'blackjack';
+    }
+
+    const state = { deck, dealer, seats, turn: -1, dealerBlackjack: isBlackjack(dealer) };
+    if (!state.dealerBlackjack) {
+        nextBlackjackTurn(state);
+    } else {
+        state.turn = null;
+    }
+    return state;
+}
+
+/**
+ * Move the turn to the next seat still playing, null when everyone's done
+ */
+export function nextBlackjackTurn(state) {
+    const start = state.turn === null ? 0 : state.turn + 1;
+    const next = state.seats.findIndex((seat, index) => index >= start && seat.status === 'playing');
+    state.turn = next === -1 ? null : next;
+    return state.turn;
+}
+
+/**
+ * Apply hit, stand or double for the seat whose turn it is.
+ * Doubling doubles seat.bet, the caller has to collect the extra stake.
+ * @returns {{ error?: string, card?: string }}
+ */
+export function applyBlackjackAction(state, action) {
+    const seat = state.seats[state.turn];
+    if (!seat || seat.status !== 'playing') return { error: 'not_your_turn' };
+
+    let card = null;
+    switch (action) {
+        case 'hit':
+            card = state.deck.pop();
+            seat.hand.push(card);
+            break;
+
+        case 'stand':
+            seat.status = 'stood';
+            break;
+
+        case 'double':
+            if (seat.hand.length !== 2) return { error: 'cant_double' };
+            card = state.deck.pop();
+            seat.hand.push(card);
+            seat.bet *= 2;
+            seat.doubled = true;
+            seat.status = 'stood';
+            break;
+
+        default:
+            return { error: 'bad_action' };
+    }
+
+    const { total } = blackjackValue(seat.hand);
+    if (total > 21) {
+        seat.status = 'bust';
+    } else if (total === 21) {
+        seat.status = 'stood';
+    }
+
+    if (seat.status !== 'playing') nextBlackjackTurn(state);
+    return { card };
+}
+
+/**
+ * Dealer draws to 17 and stands on all 17s. Doesn't bother if nobody's left to beat.
+ */
+export function playDealer(state) {
+    const live = state.seats.some(seat => seat.status === 'stood');
+    if (!live || state.dealerBlackjack) return state.dealer;
+
+    while (blackjackValue(state.dealer).total < 17) {
+        state.dealer.push(state.deck.pop());
+    }
+    return state.dealer;
+}
+
+/**
+ * Work out every seat's result and what comes back to them, stake included.
+ * Blackjack pays 3:2, a win pays even money, a push gets the stake back.
+ */
+export function settleBlackjack(state) {
+    const dealerTotal = blackjackValue(state.dealer).total;
+
+    for (const seat of state.seats) {
+        const total = blackjackValue(seat.hand).total;
+
+        if (seat.status === 'bust') {
+            seat.result = 'bust';
+            seat.payout = 0;
+        } else if (state.dealerBlackjack) {
+            seat.result = seat.status === 'blackjack' ? 'push' : 'lose';
+            seat.payout = seat.result === 'push' ? seat.bet : 0;
+        } else if (seat.status === 'blackjack') {
+            seat.result = 'blackjack';
+            seat.payout = seat.bet + Math.floor(seat.bet * 1.5);
+        } else if (dealerTotal > 21 || total > dealerTotal) {
+            seat.result = 'win';
+            seat.payout = seat.bet * 2;
+        } else if (total === dealerTotal) {
+            seat.result = 'push';
+            seat.payout = seat.bet;
+        } else {
+            seat.result = 'lose';
+            seat.payout = 0;
+        }
+    }
+
+    return state.seats;
+}
@@ -0,0 +1,145 @@
+// Cards are two character strings: rank then suit, e.g. 'As', 'Td', '7c'
+const RANKS = '23456789TJQKA';
+const SUITS = 'shdc';
+const SUIT_SYMBOLS = { s: '♠', h: '♥', d: '♦', c: '♣' };
+
+export const HAND_NAMES = [
+    'high card',
+    'a pair',
+    'two pair',
+    'three of a kind',
+    'a straight',
+    'a flush',
+    'a full house',
+    'four of a kind',
+    'a straight flush'
+];
+
+export function createDeck() {
+    const deck = [];
+    for (const suit of SUITS) {
+        for (const rank of RANKS) {
+            deck.push(rank + suit);
+        }
+    }
+    return deck;
+}
+
+export function shuffle(cards) {
+    const deck = [...cards];
+    for (let i = deck.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    return deck;
+}
+
+export function formatCard(card) {
+    const rank = card[0] === 'T' ? '10' : card[0];
+    return rank + SUIT_SYMBOLS[card[1]];
+}
+
+export function formatCards(cards) {
+    return cards.map(formatCard).join(' ');
+}
+
+/**
+ * Blackjack total, counting aces as 11 where that doesn't bust
+ * @returns {{ total: number, soft: boolean }}
+ */
+export function blackjackValue(cards) {
+    let total = 0;
+    let aces = 0;
+
+    for (const card of cards) {
+        if (card[0] === 'A') {
+            aces++;
+            total += 11;
+        } else if ('TJQK'.includes(card[0])) {
+            total += 10;
+        } else {
+            total += parseInt(card[0]);
+        }
+    }
+
+    while (total > 21 && aces > 0) {
+        total -= 10;
+        aces--;
+    }
+
+    return { total, soft: aces > 0 };
+}
+
+export function isBlackjack(cards) {
+    return cards.length === 2 && blackjackValue(cards).total === 21;
+}
+
+/**
+ * Score exactly five cards. Scores compare element by element:
+ * [category, ...tiebreak ranks]
+ */
+function scoreFive(cards) {
+    const values = cards.map(card => RANKS.indexOf(card[0])).sort((a, b) => b - a);
+    const flush = cards.every(card => card[1] === cards[0][1]);
+
+    // Group by rank, biggest groups first, then highest rank
+    const counts = new Map();
+    for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    const groups = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+    const ranked = groups.map(([value]) => value);
+
+    let straightHigh = -1;
+    if (counts.size === 5) {
+        if (values[0] - values[4] === 4) {
+            straightHigh = values[0];
+        } else if (values[0] === 12 && values[1] === 3) {
+            straightHigh = 3; // Wheel, A-2-3-4-5
+        }
+    }
+
+    if (straightHigh >= 0 && flush) return [8, straightHigh];
+    if (groups[0][1] === 4) return [7, ...ranked];
+    if (groups[0][1] === 3 && groups[1][1] === 2) return [6, ...ranked];
+    if (flush) return [5, ...values];
+    if (straightHigh >= 0) return [4, straightHigh];
+    if (groups[0][1] === 3) return [3, ...ranked];
+    if (groups[0][1] === 2 && groups[1][1] === 2) return [2, ...ranked];
+    if (groups[0][1] === 2) return [1, ...ranked];
+    return [0, ...values];
+}
+
+export function compareScores(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (a[i] ?? -1) - (b[i] ?? -1);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Best five card poker hand out of five to seven cards
+ * @returns {{ score: number[], cards: string[], name: string }}
+ */
+export function bestPokerHand(cards) {
+    let best = null;
+
+    const choose = (start, picked) => {
+        if (picked.length === 5) {
+            const score = scoreFive(picked);
+            if (!best || compareScores(score, best.score) > 0) {
+                best = { score, cards: [...picked] };
+            }
+            return;
+        }
+        for (let i = start; i <= cards.length - (5 - picked.length); i++) {
+            picked.push(cards[i]);
+            choose(i + 1, picked);
+            picked.pop();
+        }
+    };
+    choose(0, []);
+
+    return { ...best, name: HAND_NAMES[best.score[0]] };
+}
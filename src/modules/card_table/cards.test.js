@@ -0,0 +1,61 @@
+import { blackjackValue, isBlackjack, bestPokerHand, compareScores } from './cards.js';
+
+// Which of two hands wins: 1, -1 or 0 for a split
+const winner = (a, b) => Math.sign(compareScores(bestPokerHand(a).score, bestPokerHand(b).score));
+
+// Test cases
+const testCases = [
+    // Blackjack totals
+    { run: () => blackjackValue(['As', 'Kd']), expected: { total: 21, soft: true }, description: 'Ace and a king is a soft 21' },
+    { run: () => blackjackValue(['As', 'Ad']), expected: { total: 12, soft: true }, description: 'Two aces is a soft 12' },
+    { run: () => blackjackValue(['As', '9d', '5c']), expected: { total: 15, soft: false }, description: 'An ace drops to 1 rather than bust' },
+    { run: () => blackjackValue(['Ks', 'Qd', '5c']), expected: { total: 25, soft: false }, description: 'Bust totals are left as they are' },
+    { run: () => blackjackValue(['Ts', '7d']), expected: { total: 17, soft: false }, description: 'T counts as ten' },
+    { run: () => isBlackjack(['Ah', 'Jc']), expected: true, description: 'Ace and a picture is blackjack' },
+    { run: () => isBlackjack(['7h', '7c', '7d']), expected: false, description: 'Three card 21 isn\'t blackjack' },
+
+    // Naming the best hand
+    { run: () => bestPokerHand(['As', 'Ks', 'Qs', 'Js', 'Ts', '2d', '3c']).name, expected: 'a straight flush', description: 'Royal flush out of seven' },
+    { run: () => bestPokerHand(['9c', '9d', '9h', '9s', '2d', '3c', '4h']).name, expected: 'four of a kind', description: 'Quads' },
+    { run: () => bestPokerHand(['Kc', 'Kd', 'Kh', '2s', '2d', '7c', '8h']).name, expected: 'a full house', description: 'Full house' },
+    { run: () => bestPokerHand(['2h', '7h', '9h', 'Jh', 'Kh', 'Ac', 'Ad']).name, expected: 'a flush', description: 'Flush beats the pair on the board' },
+    { run: () => bestPokerHand(['5c', '6d', '7h', '8s', '9c', 'Kd', '2h']).name, expected: 'a straight', description: 'Straight' },
+    { run: () => bestPokerHand(['Ac', '2d', '3h', '4s', '5c', 'Kd', 'Qh']).name, expected: 'a straight', description: 'Wheel (A-2-3-4-5) is a straight' },
+    { run: () => bestPokerHand(['Qc', 'Kd', 'Ah', '2s', '3c']).name, expected: 'high card', description: 'No wrapping round the ace' },
+    { run: () => bestPokerHand(['4c', '4d', '4h', 'Ks', '2c']).name, expected: 'three of a kind', description: 'Trips' },
+    { run: () => bestPokerHand(['4c', '4d', 'Jh', 'Js', '2c']).name, expected: 'two pair', description: 'Two pair' },
+    { run: () => bestPokerHand(['4c', '4d', 'Jh', 'Qs', '2c']).name, expected: 'a pair', description: 'One pair' },
+    { run: () => bestPokerHand(['As', 'Ks', 'Qs', 'Js', 'Ts', '2d', '3c']).cards.length, expected: 5, description: 'Best hand is five cards' },
+
+    // Who wins
+    { run: () => winner(['2c', '3d', '4h', '5s', '6c'], ['Ac', '2d', '3h', '4s', '5c']), expected: 1, description: 'Six-high straight beats the wheel' },
+    { run: () => winner(['Ac', 'Ad', 'Kh', '7s', '3c'], ['Ah', 'As', 'Qh', 'Js', 'Tc']), expected: 1, description: 'Pair of aces, king kicker wins' },
+    { run: () => winner(['Kc', 'Kd', '2h', '2s', '9c'], ['Kh', 'Ks', '2c', '2d', '9d']), expected: 0, description: 'Identical two pair splits' },
+    { run: () => winner(['3c', '3d', '3h', '2s', '2c'], ['Ac', 'Ad', 'Kh', 'Ks', 'Qc']), expected: 1, description: 'Full house beats two pair' },
+    { run: () => winner(['Jc', 'Jd', 'Jh', '4s', '4c'], ['Tc', 'Td', 'Th', 'As', 'Ac']), expected: 1, description: 'Full houses go on the trips first' },
+    { run: () => compareScores([1, 5], [1, 5, 3]) < 0, expected: true, description: 'A longer score wins a tie on what they share' }
+];
+
+console.log('Card Table Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
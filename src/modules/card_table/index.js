@@ -0,0 +1,905 @@
+import EventEmitter from 'events';
+import { createLogger } from '../../utils/logger.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { sendPM } from '../../utils/pmHelper.js';
+import { HOUSE, ESCROW, InsufficientFundsError } from '../economy/index.js';
+import { formatCard, formatCards, blackjackValue, shuffle } from './cards.js';
+import { dealBlackjack, applyBlackjackAction, playDealer, settleBlackjack, BLACKJACK_ACTIONS } from './blackjack.js';
+import { dealPoker, applyPokerAction, advancePoker, settlePoker, pokerOptions, POKER_ACTIONS } from './poker.js';
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    joinWindow: 45 * 1000, // Time from the first player sitting down to the deal
+    turnTime: 45 * 1000,
+    maxSeats: 6,
+    minBet: 5, // Blackjack
+    maxBet: 500,
+    smallBlind: 5, // Hold'em
+    bigBlind: 10,
+    maxStake: 1000, // Most one player can put into a hold'em hand
+    rake: 0.05
+};
+
+const RESUME_GRACE = 60000;
+const RESUME_NOTICE = 15000;
+
+export const GAMES = {
+    blackjack: { name: 'blackjack', minPlayers: 1, actions: BLACKJACK_ACTIONS },
+    poker: { name: 'hold\'em', minPlayers: 2, actions: POKER_ACTIONS }
+};
+
+const MOVES = {
+    hit: 'hit',
+    stand: 'stand',
+    stay: 'stand',
+    double: 'double',
+    check: 'check',
+    call: 'call',
+    fold: 'fold',
+    allin: 'allin',
+    bet: 'bet',
+    raise: 'raise'
+};
+
+const ERRORS = {
+    disabled: () => 'the card tables are shut in here mate',
+    bad_bet: (result) => `bets are $${result.min} to $${result.max} at this table`,
+    broke: (result) => `ya need $${result.amount} for that, check ya pockets`,
+    in_progress: () => 'hand\'s already dealt, wait for the next one',
+    seated: () => 'you\'re already sittin\' at this table ya muppet',
+    full: (result) => `table's full, ${result.max} seats and they're all taken`,
+    no_table: () => 'there\'s no table goin\' mate',
+    not_seated: () => 'you\'re not at this table',
+    not_dealt: () => 'cards aren\'t out yet, hang on',
+    not_your_turn: () => 'wait ya turn',
+    bad_action: () => 'that\'s not a move at this table',
+    cant_double: () => 'ya can only double on ya first two cards',
+    cant_check: (result) => `can't check, it's $${result.toCall} to call`,
+    raise_too_small: (result) => `minimum raise is $${result.min}`,
+    cant_cover: (result) => `ya can only put in $${result.available} more, go all in if ya want`,
+    not_opener: () => 'only whoever opened the table can deal early'
+};
+
+/**
+ * Turn a table error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'somethin\'s cooked at the card table'))(result);
+}
+
+/**
+ * Parse a bare move like "hit", "raise 50" or "all in"
+ * @returns {{ action: string, amount: number }|null}
+ */
+export function parseMove(text) {
+    const match = text.trim().toLowerCase().match(/^(hit|stand|stay|double|check|call|fold|all ?in|bet|raise)(?:\s+\$?(\d+))?$/);
+    if (!match) return null;
+
+    const action = MOVES[match[1].replace(' ', '')];
+    const amount = match[2] ? parseInt(match[2]) : 0;
+    const sized = action === 'bet' || action === 'raise';
+    if (sized !== amount > 0) return null;
+    return { action, amount };
+}
+
+/**
+ * Room-wide card tables: blackjack against dazza and Texas hold'em between players.
+ * Players sit down during a join window, hands go out by PM and each seat gets a
+ * turn timer. Moves can be made with !blackjack/!poker or by just saying
+ * "hit", "call", "raise 50" etc in chat or PM when it's your turn.
+ *
+ * Blackjack stakes go to @house, hold'em chips sit in @escrow until the pot is
+ * settled. The whole table (deck included) is saved after every move so a hand
+ * resumes after a restart.
+ *
+ * Room config (rooms/<room>.js): settings.cardTables = { enabled, joinWindow,
+ * turnTime, maxSeats, minBet, maxBet, smallBlind, bigBlind, maxStake, rake }
+ */
+export class CardTableManager extends EventEmitter {
+    constructor(db, bot) {
+        super();
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('CardTableManager');
+
+        this.roomConfigs = new Map(); // roomId -> config
+        this.timers = new Map(); // tableId -> [timeouts]
+        this.turns = new Map(); // tableId -> { roomId, game, username } whose turn it is
+        this.handleChat = this.handleChat.bind(this);
+    }
+
+    async init() {
+        const open = await this.db.all(
+            "SELECT * FROM card_tables WHERE status IN ('seating', 'playing')"
+        );
+        for (const row of open) {
+            await this.resumeTable(this.parseTable(row));
+        }
+        if (open.length > 0) {
+            this.logger.info(`Resuming ${open.length} card table(s) from the last run`);
+        }
+
+        this.bot.on('chat:message', this.handleChat);
+    }
+
+    stop() {
+        this.bot.removeListener('chat:message', this.handleChat);
+        for (const timeouts of this.timers.values()) {
+            timeouts.forEach(clearTimeout);
+        }
+        this.timers.clear();
+        this.turns.clear();
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        const settings = roomConfig.settings?.cardTables || {};
+        this.roomConfigs.set(roomId, { ...DEFAULT_CONFIG, ...settings });
+    }
+
+    getConfig(roomId) {
+        return this.roomConfigs.get(roomId) || DEFAULT_CONFIG;
+    }
+
+    schedule(tableId, delay, fn) {
+        const timeout = setTimeout(() => {
+            fn().catch(error => {
+                this.logger.error(`Card table ${tableId} step failed:`, { error: error.message, stack: error.stack });
+            });
+        }, delay);
+
+        if (!this.timers.has(tableId)) {
+            this.timers.set(tableId, []);
+        }
+        this.timers.get(tableId).push(timeout);
+    }
+
+    clearTimers(tableId) {
+        (this.timers.get(tableId) || []).forEach(clearTimeout);
+        this.timers.delete(tableId);
+    }
+
+    parseTable(row) {
+        return { ...row, state: JSON.parse(row.state) };
+    }
+
+    async loadTable(tableId) {
+        const row = await this.db.get('SELECT * FROM card_tables WHERE id = ?', [tableId]);
+        return row ? this.parseTable(row) : null;
+    }
+
+    async getOpenTable(roomId, game) {
+        const row = await this.db.get(
+            "SELECT * FROM card_tables WHERE room_id = ? AND game = ? AND status IN ('seating', 'playing') ORDER BY id DESC LIMIT 1",
+            [roomId, game]
+        );
+        return row ? this.parseTable(row) : null;
+    }
+
+    async saveTable(table) {
+        table.updated_at = Date.now();
+        await this.db.run(
+            'UPDATE card_tables SET status = ?, state = ?, turn_deadline = ?, updated_at = ?, finished_at = ? WHERE id = ?',
+            [table.status, JSON.stringify(table.state), table.turn_deadline ?? null, table.updated_at, table.finished_at ?? null, table.id]
+        );
+    }
+
+    /**
+     * Pick a table back up after a restart. Seating tables deal on schedule,
+     * a hand in progress gives whoever's on the clock a fresh timer.
+     */
+    async resumeTable(table) {
+        if (table.status === 'seating') {
+            this.schedule(table.id, Math.max(table.deals_at - Date.now(), RESUME_NOTICE), () => this.deal(table.id));
+            return;
+        }
+
+        table.turn_deadline = Date.now() + RESUME_GRACE;
+        await this.db.run('UPDATE card_tables SET turn_deadline = ? WHERE id = ?', [table.turn_deadline, table.id]);
+        this.trackTurn(table);
+
+        // Rooms aren't joined yet during init, give them a moment before talking
+        this.schedule(table.id, RESUME_NOTICE, async () => {
+            this.bot.sendMessage(table.room_id, `🃏 oi, the ${GAMES[table.game].name} table got knocked over but the cards are all still here. back to it`);
+            this.promptTurn(table);
+        });
+    }
+
+    /**
+     * Remember whose turn it is and start their clock
+     */
+    trackTurn(table) {
+        const seat = table.state.seats[table.state.turn];
+        this.turns.set(table.id, { roomId: table.room_id, game: table.game, username: seat.username });
+
+        const turnId = table.state.turnId;
+        this.schedule(table.id, Math.max(table.turn_deadline - Date.now(), 0), () => this.timeoutTurn(table.id, turnId));
+    }
+
+    /**
+     * Give the seat on turn a fresh clock
+     */
+    startClock(table) {
+        table.state.turnId = (table.state.turnId || 0) + 1;
+        table.turn_deadline = Date.now() + this.getConfig(table.room_id).turnTime;
+    }
+
+    findSeat(players, username) {
+        return players.findIndex(player => player.username.toLowerCase() === username.toLowerCase());
+    }
+
+    /**
+     * Sit down at the room's table, opening one if there isn't one.
+     * Blackjack takes the bet now, hold'em just checks they can cover the big blind.
+     */
+    async join(roomId, game, username, bet = 0) {
+        const config = this.getConfig(roomId);
+        if (!config.enabled) return { success: false, error: 'disabled' };
+        if (game === 'blackjack' && (!Number.isInteger(bet) || bet < config.minBet || bet > config.maxBet)) {
+            return { success: false, error: 'bad_bet', min: config.minBet, max: config.maxBet };
+        }
+
+        const heistManager = this.bot.heistManager;
+        const normalized = await heistManager.getOrCreateUser(username).then(user => user.username || username);
+
+        let result;
+        try {
+            result = await this.db.transaction(async () => {
+                let table = await this.getOpenTable(roomId, game);
+                if (table?.status === 'playing') return { success: false, error: 'in_progress' };
+                const opened = !table;
+
+                const players = table?.state.players || [];
+                if (this.findSeat(players, normalized) !== -1) return { success: false, error: 'seated' };
+                if (players.length >= config.maxSeats) return { success: false, error: 'full', max: config.maxSeats };
+
+                if (game === 'poker') {
+                    const { balance } = await heistManager.getUserBalance(normalized);
+                    if (balance < config.bigBlind) return { success: false, error: 'broke', amount: config.bigBlind };
+                }
+
+                const now = Date.now();
+                if (table) {
+                    players.push({ username: normalized, bet });
+                    await this.saveTable(table);
+                } else {
+                    const state = { players: [{ username: normalized, bet }] };
+                    const insert = await this.db.run(`
+                        INSERT INTO card_tables (room_id, game, status, opened_by, state, deals_at, created_at, updated_at)
+                        VALUES (?, ?, 'seating', ?, ?, ?, ?, ?)
+                    `, [roomId, game, normalized, JSON.stringify(state), now + config.joinWindow, now, now]);
+                    table = await this.loadTable(insert.lastID);
+                }
+
+                if (game === 'blackjack') {
+                    await heistManager.updateUserEconomy(normalized, -bet, 0, {
+                        type: 'blackjack_bet',
+                        description: `Blackjack table #${table.id}`,
+                        roomId,
+                        counterparty: HOUSE,
+                        requireFunds: true
+                    });
+                }
+
+                return { success: true, table, opened, seats: table.state.players.length };
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount: bet };
+            }
+            throw error;
+        }
+
+        if (!result.success) return result;
+
+        const { table } = result;
+        if (result.opened) {
+            this.schedule(table.id, config.joinWindow, () => this.deal(table.id));
+            this.emit('table:open', { table });
+        } else if (result.seats >= config.maxSeats) {
+            await this.deal(table.id);
+        }
+
+        return { ...result, username: normalized, dealsIn: Math.max(table.deals_at - Date.now(), 0), max: config.maxSeats };
+    }
+
+    /**
+     * Get up before the cards are dealt. Blackjack bets go back.
+     */
+    async leave(roomId, game, username) {
+        const result = await this.db.transaction(async () => {
+            const table = await this.getOpenTable(roomId, game);
+            if (!table) return { success: false, error: 'no_table' };
+            if (table.status !== 'seating') return { success: false, error: 'in_progress' };
+
+            const { players } = table.state;
+            const index = this.findSeat(players, username);
+            if (index === -1) return { success: false, error: 'not_seated' };
+
+            const [player] = players.splice(index, 1);
+            if (player.bet > 0) {
+                await this.bot.heistManager.updateUserEconomy(player.username, player.bet, 0, {
+                    type: 'blackjack_refund',
+                    description: `Blackjack table #${table.id} left before the deal`,
+                    roomId,
+                    counterparty: HOUSE
+                });
+            }
+
+            if (players.length === 0) {
+                table.status = 'abandoned';
+                table.finished_at = Date.now();
+            }
+            await this.saveTable(table);
+            return { success: true, table, player };
+        });
+
+        if (result.success && result.table.status === 'abandoned') {
+            this.clearTimers(result.table.id);
+        }
+        return result;
+    }
+
+    /**
+     * Deal before the join window closes. Only whoever opened the table (or an admin) can.
+     */
+    async dealNow(roomId, game, username, force = false) {
+        const table = await this.getOpenTable(roomId, game);
+        if (!table) return { success: false, error: 'no_table' };
+        if (table.status !== 'seating') return { success: false, error: 'in_progress' };
+        if (!force && table.opened_by.toLowerCase() !== username.toLowerCase()) {
+            return { success: false, error: 'not_opener' };
+        }
+
+        await this.deal(table.id);
+        return { success: true };
+    }
+
+    /**
+     * Close the table and deal everyone in
+     */
+    async deal(tableId) {
+        this.clearTimers(tableId);
+        const heistManager = this.bot.heistManager;
+        const out = { chat: [], pms: [], prompt: true };
+
+        let table;
+        try {
+            table = await this.dealTable(tableId, heistManager, out);
+        } catch (error) {
+            // The deal rolled back, so the table's still seating with nothing taken at the deal
+            if (error instanceof InsufficientFundsError) {
+                const seating = await this.loadTable(tableId);
+                const left = seating?.status === 'seating'
+                    ? await this.leave(seating.room_id, seating.game, error.username)
+                    : { success: false };
+                if (left.success) {
+                    this.bot.sendMessage(left.table.room_id, `🃏 ${left.player.username} can't cover their chips anymore, they've lost their seat`);
+                    return left.table.status === 'seating' ? await this.deal(tableId) : null;
+                }
+            }
+
+            this.logger.error(`Card table ${tableId} failed to deal:`, { error: error.message, stack: error.stack });
+            await this.abandonTable(tableId, 'the dealer dropped the deck, table\'s closed. any bets have gone back');
+            return null;
+        }
+
+        if (table) {
+            this.logger.info(`[${table.room_id}] ${table.game} table ${table.id} dealt`);
+            this.publish(table, out);
+        }
+        return table;
+    }
+
+    /**
+     * The deal itself, in one transaction. Hold'em blinds are taken with requireFunds,
+     * so anyone who spent their stack since joining throws InsufficientFundsError.
+     */
+    async dealTable(tableId, heistManager, out) {
+        return this.db.transaction(async () => {
+            const table = await this.loadTable(tableId);
+            if (!table || table.status !== 'seating') return null;
+
+            const config = this.getConfig(table.room_id);
+            const { players } = table.state;
+
+            if (table.game === 'blackjack') {
+                table.state = dealBlackjack(players);
+                table.status = 'playing';
+                this.announceBlackjackDeal(table, out);
+
+                if (table.state.turn === null) {
+                    await this.finishBlackjack(table, out);
+                } else {
+                    this.startClock(table);
+                }
+            } else {
+                // Seat order is random and everyone plays with what they've got, up to the table limit
+                const seated = [];
+                for (const player of shuffle(players)) {
+                    const { balance } = await heistManager.getUserBalance(player.username);
+                    const available = Math.min(balance, config.maxStake);
+                    if (available > 0) seated.push({ username: player.username, available });
+                }
+
+                if (seated.length < GAMES.poker.minPlayers) {
+                    table.status = 'abandoned';
+                    table.finished_at = Date.now();
+                    out.chat.push('🃏 not enough players with money for hold\'em, table\'s closed');
+                } else {
+                    const { state, paid } = dealPoker(seated, config);
+                    table.state = { ...state, maxStake: config.maxStake, rake: config.rake, smallBlind: config.smallBlind };
+                    table.status = 'playing';
+
+                    for (const [index, amount] of paid.entries()) {
+                        if (amount > 0) await this.takeChips(table, table.state.seats[index], amount);
+                    }
+                    this.announcePokerDeal(table, out);
+
+                    if (table.state.turn === null) {
+                        await this.progressPoker(table, advancePoker(table.state), out);
+                    } else {
+                        this.startClock(table);
+                    }
+                }
+            }
+
+            await this.saveTable(table);
+            return table;
+        });
+    }
+
+    /**
+     * Close a table that never got dealt, handing back any blackjack bets
+     */
+    async abandonTable(tableId, reason) {
+        try {
+            const table = await this.db.transaction(async () => {
+                const table = await this.loadTable(tableId);
+                if (!table || table.status !== 'seating') return null;
+
+                for (const player of table.state.players) {
+                    if (player.bet > 0) {
+                        await this.bot.heistManager.updateUserEconomy(player.username, player.bet, 0, {
+                            type: 'blackjack_refund',
+                            description: `Blackjack table #${table.id} closed before the deal`,
+                            roomId: table.room_id,
+                            counterparty: HOUSE
+                        });
+                    }
+                }
+
+                table.status = 'abandoned';
+                table.finished_at = Date.now();
+                await this.saveTable(table);
+                return table;
+            });
+
+            this.clearTimers(tableId);
+            if (table) this.bot.sendMessage(table.room_id, `🃏 ${reason}`);
+        } catch (error) {
+            this.logger.error(`Card table ${tableId} couldn't be closed:`, { error: error.message, stack: error.stack });
+        }
+    }
+
+    async takeChips(table, seat, amount) {
+        await this.bot.heistManager.updateUserEconomy(seat.username, -amount, 0, {
+            type: 'poker_bet',
+            description: `Hold'em table #${table.id}`,
+            roomId: table.room_id,
+            counterparty: ESCROW,
+            requireFunds: true
+        });
+    }
+
+    /**
+     * The table where it's this user's turn, preferring the given room.
+     * Falls back to the room's open table so callers can tell "not your turn" from "no table".
+     */
+    async findTable(roomId, game, username) {
+        const mine = [...this.turns.entries()].filter(([, turn]) =>
+            turn.username.toLowerCase() === username.toLowerCase() && (!game || turn.game === game)
+        );
+        const [tableId] = mine.find(([, turn]) => turn.roomId === roomId) || mine[0] || [];
+        if (tableId) return await this.loadTable(tableId);
+
+        return game ? await this.getOpenTable(roomId, game) : null;
+    }
+
+    /**
+     * Make a move for the player whose turn it is
+     * @param {string|null} game - null to act at whichever table they're on the clock
+     */
+    async act(roomId, game, username, action, amount = 0) {
+        let result;
+        try {
+            result = await this.db.transaction(async () => {
+                const table = await this.findTable(roomId, game, username);
+                if (!table) return { success: false, error: 'no_table' };
+                if (table.status !== 'playing') {
+                    const seated = this.findSeat(table.state.players, username) !== -1;
+                    return { success: false, error: seated ? 'not_dealt' : 'not_seated' };
+                }
+
+                const { seats, turn } = table.state;
+                if (this.findSeat(seats, username) === -1) return { success: false, error: 'not_seated' };
+                if (seats[turn]?.username.toLowerCase() !== username.toLowerCase()) {
+                    return { success: false, error: 'not_your_turn' };
+                }
+
+                const out = { chat: [], pms: [], prompt: false };
+                const move = table.game === 'blackjack'
+                    ? await this.playBlackjack(table, action, out)
+                    : await this.playPoker(table, action, amount, out);
+                if (move.error) return { success: false, ...move };
+
+                await this.saveTable(table);
+                return { success: true, table, out, ...move };
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount: error.amount };
+            }
+            throw error;
+        }
+
+        if (result.success) {
+            this.publish(result.table, result.out);
+        }
+        return result;
+    }
+
+    /**
+     * Whoever's turn it is ran out of time: blackjack stands, hold'em checks or folds
+     */
+    async timeoutTurn(tableId, turnId) {
+        const result = await this.db.transaction(async () => {
+            const table = await this.loadTable(tableId);
+            if (!table || table.status !== 'playing' || table.state.turnId !== turnId) return null;
+
+            const seat = table.state.seats[table.state.turn];
+            const out = { chat: [`⏰ -${seat.username} took too long`], pms: [], prompt: false };
+
+            if (table.game === 'blackjack') {
+                await this.playBlackjack(table, 'stand', out);
+            } else {
+                const action = pokerOptions(table.state).canCheck ? 'check' : 'fold';
+                await this.playPoker(table, action, 0, out);
+            }
+
+            await this.saveTable(table);
+            return { table, out };
+        });
+
+        if (result) {
+            this.publish(result.table, result.out);
+        }
+    }
+
+    async playBlackjack(table, action, out) {
+        const { state } = table;
+        const turn = state.turn;
+        const seat = state.seats[turn];
+        const stake = seat.bet;
+
+        const move = applyBlackjackAction(state, action);
+        if (move.error) return move;
+
+        if (action === 'double') {
+            await this.bot.heistManager.updateUserEconomy(seat.username, -stake, 0, {
+                type: 'blackjack_bet',
+                description: `Blackjack table #${table.id} double down`,
+                roomId: table.room_id,
+                counterparty: HOUSE,
+                requireFunds: true
+            });
+        }
+
+        const { total } = blackjackValue(seat.hand);
+        if (move.card) {
+            out.pms.push([seat.username, `🃏 ${formatCard(move.card)} → ${formatCards(seat.hand)} (${total})`]);
+        }
+        if (seat.status === 'bust') {
+            out.chat.push(`💥 -${seat.username} busts`);
+        } else if (action === 'double') {
+            out.chat.push(`-${seat.username} doubles down, $${seat.bet} riding on one card`);
+        } else if (seat.status === 'stood') {
+            out.chat.push(`-${seat.username} stands`);
+        }
+
+        if (state.turn === null) {
+            await this.finishBlackjack(table, out);
+        } else {
+            this.startClock(table);
+            out.prompt = state.turn !== turn;
+        }
+        return { action, card: move.card };
+    }
+
+    async playPoker(table, action, amount, out) {
+        const { state } = table;
+        const seat = state.seats[state.turn];
+        const { balance } = await this.bot.heistManager.getUserBalance(seat.username);
+        const available = Math.max(Math.min(balance, state.maxStake - seat.committed), 0);
+
+        const move = applyPokerAction(state, action, amount, available);
+        if (move.error) return move;
+
+        if (move.paid > 0) {
+            await this.takeChips(table, seat, move.paid);
+        }
+
+        const said = {
+            fold: 'folds',
+            check: 'checks',
+            call: `calls $${move.paid}`,
+            bet: `bets $${state.currentBet}`,
+            raise: `raises to $${state.currentBet}`,
+            allin: `is ALL IN for $${seat.committed}`
+        }[move.action];
+        out.chat.push(`-${seat.username} ${said}`);
+
+        await this.progressPoker(table, advancePoker(state), out);
+        return move;
+    }
+
+    async progressPoker(table, outcome, out) {
+        const { state } = table;
+        const pot = state.seats.reduce((sum, seat) => sum + seat.committed, 0);
+
+        switch (outcome) {
+            case 'turn':
+                this.startClock(table);
+                out.prompt = true;
+                break;
+
+            case 'street':
+                out.chat.push(`🂠 ${state.street}: ${formatCards(state.board)} | pot $${pot}`);
+                this.startClock(table);
+                out.prompt = true;
+                break;
+
+            default:
+                if (outcome === 'showdown') {
+                    out.chat.push(`🂠 board: ${formatCards(state.board)} | pot $${pot}`);
+                }
+                await this.finishPoker(table, out);
+        }
+    }
+
+    /**
+     * Dealer plays out and every seat gets paid against the house
+     */
+    async finishBlackjack(table, out) {
+        const { state } = table;
+        playDealer(state);
+        settleBlackjack(state);
+
+        const entries = state.seats
+            .filter(seat => seat.payout > 0)
+            .map(seat => ({
+                username: seat.username,
+                amount: seat.payout,
+                type: seat.result === 'push' ? 'blackjack_refund' : 'blackjack',
+                counterparty: HOUSE,
+                description: `Blackjack table #${table.id} ${seat.result}`
+            }));
+        if (entries.length > 0) {
+            await this.bot.heistManager.ledger.post({ type: 'blackjack', roomId: table.room_id, entries });
+        }
+
+        this.closeTable(table);
+
+        const dealer = blackjackValue(state.dealer).total;
+        out.chat.push(state.dealerBlackjack
+            ? `🃏 dealer's got BLACKJACK: ${formatCards(state.dealer)}`
+            : `🃏 dealer: ${formatCards(state.dealer)} (${dealer > 21 ? 'bust!' : dealer})`);
+
+        const results = state.seats.map(seat => {
+            const hand = `-${seat.username} ${formatCards(seat.hand)} (${blackjackValue(seat.hand).total})`;
+            return {
+                blackjack: `${hand} BLACKJACK collects $${seat.payout}`,
+                win: `${hand} collects $${seat.payout}`,
+                push: `${hand} push`,
+                lose: `${hand} loses $${seat.bet}`,
+                bust: `${hand} bust`
+            }[seat.result];
+        });
+        out.chat.push(results.join(' | '));
+    }
+
+    /**
+     * Pay the pot (and side pots) out of escrow, dazza keeps the rake
+     */
+    async finishPoker(table, out) {
+        const { state } = table;
+        const { pots, payouts, hands, rake } = settlePoker(state, state.rake);
+
+        const entries = [...payouts.entries()]
+            .filter(([, amount]) => amount > 0)
+            .map(([username, amount]) => ({
+                username,
+                amount,
+                type: 'poker',
+                counterparty: ESCROW,
+                description: `Hold'em table #${table.id} pot`
+            }));
+        if (rake > 0) {
+            const house = await this.bot.heistManager.getOrCreateUser(this.bot.username);
+            entries.push({ username: house.username || this.bot.username, amount: rake, type: 'poker_rake', counterparty: ESCROW, description: `Hold'em table #${table.id} rake` });
+        }
+        if (entries.length > 0) {
+            await this.bot.heistManager.ledger.post({ type: 'poker', roomId: table.room_id, entries });
+        }
+
+        this.closeTable(table);
+
+        const shown = [...hands.entries()].filter(([, hand]) => hand);
+        if (shown.length > 0) {
+            const reveals = shown.map(([username, hand]) => {
+                const seat = state.seats.find(s => s.username === username);
+                return `-${username} ${formatCards(seat.hole)} (${hand.name})`;
+            });
+            out.chat.push(`🃏 showdown: ${reveals.join(' | ')}`);
+        }
+
+        pots.forEach((pot, i) => {
+            const label = i === 0 ? 'the pot' : 'a side pot';
+            const who = pot.winners.map(username => `-${username}`).join(' and ');
+            if (!pot.hand) {
+                out.chat.push(`💰 everyone folded, ${who} takes ${label} of $${pot.amount}`);
+            } else if (pot.winners.length > 1) {
+                out.chat.push(`💰 ${who} split ${label} of $${pot.amount} with ${pot.hand.name}`);
+            } else {
+                out.chat.push(`💰 ${who} takes ${label} of $${pot.amount} with ${pot.hand.name}`);
+            }
+        });
+        if (rake > 0) {
+            out.chat.push(`dazza's rake $${rake}, cheers`);
+        }
+    }
+
+    closeTable(table) {
+        table.status = 'finished';
+        table.finished_at = Date.now();
+        table.turn_deadline = null;
+        table.state.turn = null;
+    }
+
+    announceBlackjackDeal(table, out) {
+        const { state } = table;
+        out.chat.push(`🃏 cards are out at the blackjack table, ${state.seats.length} in. dealer shows ${formatCard(state.dealer[0])}`);
+
+        for (const seat of state.seats) {
+            out.pms.push([seat.username, `🃏 your hand: ${this.describeHand(table, seat.username)}`]);
+        }
+
+        const naturals = state.seats.filter(seat => seat.status === 'blackjack');
+        if (naturals.length > 0 && !state.dealerBlackjack) {
+            out.chat.push(`🎉 BLACKJACK for ${naturals.map(seat => `-${seat.username}`).join(', ')}!`);
+        }
+    }
+
+    announcePokerDeal(table, out) {
+        const { state } = table;
+        const [sb, bb] = state.seats;
+        out.chat.push(`♠️ hold'em's dealt, ${state.seats.length} players. -${sb.username} posts $${sb.committed}, -${bb.username} posts $${bb.committed}. cards are in ya PMs`);
+
+        for (const seat of state.seats) {
+            out.pms.push([seat.username, `🃏 your cards: ${this.describeHand(table, seat.username)}`]);
+        }
+    }
+
+    /**
+     * A player's view of their hand, for PMs
+     */
+    describeHand(table, username) {
+        const { state } = table;
+        const seat = state.seats?.find(s => s.username.toLowerCase() === username.toLowerCase());
+        if (!seat) return null;
+
+        if (table.game === 'blackjack') {
+            const { total, soft } = blackjackValue(seat.hand);
+            return `${formatCards(seat.hand)} (${soft && total < 21 ? 'soft ' : ''}${total}) | dealer shows ${formatCard(state.dealer[0])} | bet $${seat.bet}`;
+        }
+
+        const pot = state.seats.reduce((sum, s) => sum + s.committed, 0);
+        const board = state.board.length > 0 ? formatCards(state.board) : 'no flop yet';
+        return `${formatCards(seat.hole)} | board: ${board} | pot $${pot}, you're in for $${seat.committed}`;
+    }
+
+    /**
+     * One line summary of a table for !blackjack and !poker
+     */
+    describeTable(table) {
+        const { state } = table;
+        if (table.status === 'seating') {
+            const players = state.players.map(player => `-${player.username}${player.bet ? ` $${player.bet}` : ''}`);
+            return `🃏 ${GAMES[table.game].name} table's open: ${players.join(', ')} | cards in ${formatDuration(Math.max(table.deals_at - Date.now(), 0))}`;
+        }
+
+        const onClock = state.seats[state.turn];
+        const clock = onClock ? ` | -${onClock.username} to act` : '';
+        if (table.game === 'blackjack') {
+            return `🃏 blackjack: dealer shows ${formatCard(state.dealer[0])}, ${state.seats.length} in${clock}`;
+        }
+
+        const pot = state.seats.reduce((sum, seat) => sum + seat.committed, 0);
+        const live = state.seats.filter(seat => !seat.folded).length;
+        const board = state.board.length > 0 ? formatCards(state.board) : 'no flop yet';
+        return `♠️ hold'em ${state.street}: ${board} | pot $${pot}, ${live} still in${clock}`;
+    }
+
+    /**
+     * Tell the table whose turn it is and PM them their hand
+     */
+    promptTurn(table) {
+        const { state } = table;
+        const seat = state.seats[state.turn];
+        if (!seat) return;
+
+        const clock = formatDuration(Math.max(table.turn_deadline - Date.now(), 0));
+        if (table.game === 'blackjack') {
+            this.bot.sendMessage(table.room_id, `🃏 -${seat.username} you're up (${clock}): hit, stand or double`);
+        } else {
+            const { toCall, minRaise } = pokerOptions(state);
+            const options = toCall > 0 ? `$${toCall} to call, call/raise <amount>/fold/allin` : 'check/bet <amount>/allin';
+            this.bot.sendMessage(table.room_id, `♠️ -${seat.username} to act (${clock}): ${options}. min raise $${minRaise}`);
+        }
+        sendPM(this.bot, seat.username, `🃏 your turn: ${this.describeHand(table, seat.username)}`, table.room_id);
+    }
+
+    /**
+     * Send what a move produced once it's committed and get the next turn going
+     */
+    publish(table, out) {
+        for (const line of out.chat) {
+            this.bot.sendMessage(table.room_id, line);
+        }
+        for (const [username, text] of out.pms) {
+            sendPM(this.bot, username, text, table.room_id);
+        }
+
+        this.clearTimers(table.id);
+        if (table.status === 'playing') {
+            this.trackTurn(table);
+            if (out.prompt) this.promptTurn(table);
+            return;
+        }
+
+        this.turns.delete(table.id);
+        if (table.status === 'finished') {
+            this.logger.info(`[${table.room_id}] ${table.game} table ${table.id} settled`);
+            this.emit('table:finished', { table });
+        }
+    }
+
+    /**
+     * Bare moves in chat or PM from whoever's on the clock
+     */
+    handleChat(data) {
+        // Nothing automod pulled someone up for counts as a move
+        if (!data.username || !data.message || data.moderated || this.turns.size === 0) return;
+
+        const move = parseMove(data.message);
+        if (!move) return;
+
+        const turn = [...this.turns.values()].find(t =>
+            t.username.toLowerCase() === data.username.toLowerCase() &&
+            (data.isPM || t.roomId === data.roomId) &&
+            GAMES[t.game].actions.includes(move.action)
+        );
+        if (!turn) return;
+
+        this.act(turn.roomId, turn.game, data.username, move.action, move.amount)
+            .then(result => {
+                if (!result.success) {
+                    sendPM(this.bot, data.username, describeError(result), data.roomId);
+                }
+            })
+            .catch(error => {
+                this.logger.error('Card table move failed:', { error: error.message, stack: error.stack });
+            });
+    }
+}
+
+export default CardTableManager;
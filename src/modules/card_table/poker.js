@@ -0,0 +1,295 @@
+import { createDeck, shuffle, bestPokerHand, compareScores } from './cards.js';
+
+// Texas hold'em, one hand per table. Like blackjack.js these only change the
+// table state; every chip a seat puts in is returned as `paid` so
+// CardTableManager can take it off the player's balance into escrow.
+
+export const POKER_ACTIONS = ['check', 'call', 'bet', 'raise', 'fold', 'allin'];
+
+const STREETS = ['preflop', 'flop', 'turn', 'river'];
+const BOARD_SIZE = { flop: 3, turn: 4, river: 5 };
+
+function putIn(seat, amount, available) {
+    const paid = Math.min(amount, available);
+    seat.bet += paid;
+    seat.committed += paid;
+    if (paid === available) seat.allIn = true;
+    return paid;
+}
+
+/**
+ * Deal hole cards and post the blinds.
+ * Heads up the button posts the small blind and acts first before the flop.
+ * @param {Array} players - [{ username, available }] in seat order, available is
+ *   what each player can put in this hand (their balance up to the table limit)
+ * @param {Object} blinds - { smallBlind, bigBlind }
+ * @returns {{ state: Object, paid: number[] }} blinds paid per seat
+ */
+export function dealPoker(players, { smallBlind, bigBlind }) {
+    const deck = shuffle(createDeck());
+    const seats = players.map(player => ({
+        username: player.username,
+        hole: [],
+        bet: 0,
+        committed: 0,
+        folded: false,
+        allIn: false,
+        acted: false
+    }));
+
+    for (let round = 0; round < 2; round++) {
+        for (const seat of seats) {
+            seat.hole.push(deck.pop());
+        }
+    }
+
+    const headsUp = seats.length === 2;
+    const sb = 0;
+    const bb = 1;
+    const paid = seats.map(() => 0);
+    paid[sb] = putIn(seats[sb], smallBlind, players[sb].available);
+    paid[bb] = putIn(seats[bb], bigBlind, players[bb].available);
+
+    const state = {
+        deck,
+        board: [],
+        seats,
+        street: 'preflop',
+        currentBet: bigBlind,
+        minRaise: bigBlind,
+        bigBlind,
+        button: headsUp ? 0 : seats.length - 1, // Postflop action starts left of the button
+        turn: null
+    };
+
+    state.turn = nextToAct(state, headsUp ? sb - 1 : bb);
+    return { state, paid };
+}
+
+function canAct(seat) {
+    return !seat.folded && !seat.allIn;
+}
+
+/**
+ * First seat after `from` that still owes action this street, null if nobody does
+ */
+function nextToAct(state, from) {
+    const count = state.seats.length;
+    for (let step = 1; step <= count; step++) {
+        const index = ((from + step) % count + count) % count;
+        const seat = state.seats[index];
+        if (canAct(seat) && (!seat.acted || seat.bet < state.currentBet)) {
+            return index;
+        }
+    }
+    return null;
+}
+
+/**
+ * What the seat on the clock can do
+ */
+export function pokerOptions(state) {
+    const seat = state.seats[state.turn];
+    const toCall = Math.max(state.currentBet - seat.bet, 0);
+    return {
+        toCall,
+        canCheck: toCall === 0,
+        minRaise: state.minRaise
+    };
+}
+
+/**
+ * Apply an action for the seat whose turn it is.
+ * bet/raise amounts are on top of the current bet ("raise 50" with $20 to call costs $70).
+ * @param {number} available - What the player can still put in this hand
+ * @returns {{ error?: string, paid?: number, action?: string }}
+ */
+export function applyPokerAction(state, action, amount, available) {
+    const seat = state.seats[state.turn];
+    if (!seat || !canAct(seat)) return { error: 'not_your_turn' };
+
+    const { toCall, canCheck } = pokerOptions(state);
+    let paid = 0;
+
+    switch (action) {
+        case 'fold':
+            seat.folded = true;
+            break;
+
+        case 'check':
+            if (!canCheck) return { error: 'cant_check', toCall };
+            break;
+
+        case 'call':
+            if (toCall === 0) {
+                action = 'check';
+                break;
+            }
+            paid = putIn(seat, toCall, available);
+            break;
+
+        case 'bet':
+        case 'raise':
+        case 'allin': {
+            const raiseBy = action === 'allin' ? available - toCall : amount;
+            if (action !== 'allin') {
+                if (!Number.isInteger(raiseBy) || raiseBy < state.minRaise) {
+                    return { error: 'raise_too_small', min: state.minRaise };
+                }
+                if (toCall + raiseBy > available) {
+                    return { error: 'cant_cover', available };
+                }
+            }
+
+            paid = putIn(seat, toCall + Math.max(raiseBy, 0), available);
+            if (seat.bet > state.currentBet) {
+                const raisedBy = seat.bet - state.currentBet;
+                state.minRaise = Math.max(state.minRaise, raisedBy);
+                state.currentBet = seat.bet;
+                action = state.currentBet === raisedBy ? 'bet' : 'raise';
+                // Everyone else gets to answer the raise
+                state.seats.forEach(other => {
+                    if (other !== seat) other.acted = false;
+                });
+            } else {
+                action = seat.allIn ? 'allin' : 'call';
+            }
+            if (seat.allIn) action = 'allin';
+            break;
+        }
+
+        default:
+            return { error: 'bad_action' };
+    }
+
+    seat.acted = true;
+    return { paid, action };
+}
+
+/**
+ * Move the hand along after an action.
+ * @returns {string} 'turn' (next seat to act), 'street' (new cards out),
+ *   'showdown' or 'uncontested'
+ */
+export function advancePoker(state) {
+    const live = state.seats.filter(seat => !seat.folded);
+    if (live.length === 1) {
+        state.turn = null;
+        return 'uncontested';
+    }
+
+    const next = nextToAct(state, state.turn);
+    if (next !== null) {
+        state.turn = next;
+        return 'turn';
+    }
+
+    if (state.street === 'river') {
+        state.turn = null;
+        return 'showdown';
+    }
+
+    // Betting's done for this street. Deal the next one, or run the board out
+    // if at most one player can still bet
+    const acting = live.filter(canAct);
+    while (state.street !== 'river') {
+        state.street = STREETS[STREETS.indexOf(state.street) + 1];
+        while (state.board.length < BOARD_SIZE[state.street]) {
+            state.board.push(state.deck.pop());
+        }
+        if (acting.length > 1) break;
+    }
+
+    state.seats.forEach(seat => {
+        seat.bet = 0;
+        seat.acted = false;
+    });
+    state.currentBet = 0;
+    state.minRaise = state.bigBlind;
+
+    if (acting.length <= 1) {
+        state.turn = null;
+        return 'showdown';
+    }
+
+    state.turn = nextToAct(state, state.button);
+    return 'street';
+}
+
+/**
+ * Split the pot (and any side pots) between the best hands still in.
+ * The rake only comes out of hands that saw a flop.
+ * @returns {{ pots: Array, payouts: Map<string, number>, rake: number }}
+ */
+export function settlePoker(state, rakeRate = 0) {
+    const total = state.seats.reduce((sum, seat) => sum + seat.committed, 0);
+    let rake = state.board.length >= 3 ? Math.floor(total * rakeRate) : 0;
+
+    const live = state.seats.filter(seat => !seat.folded);
+    const hands = new Map(live.map(seat => [
+        seat.username,
+        live.length > 1 ? bestPokerHand([...seat.hole, ...state.board]) : null
+    ]));
+
+    // Build side pots from each all-in level
+    const levels = [...new Set(state.seats.map(seat => seat.committed))].filter(level => level > 0).sort((a, b) => a - b);
+    const pots = [];
+    let previous = 0;
+    for (const level of levels) {
+        const amount = state.seats.reduce(
+            (sum, seat) => sum + Math.min(seat.committed, level) - Math.min(seat.committed, previous),
+            0
+        );
+        const eligible = live.filter(seat => seat.committed >= level);
+        const last = pots[pots.length - 1];
+        if (last && (eligible.length === 0 || eligible.length === last.eligible.length)) {
+            // Dead money from folded players, or nobody new dropped out at this level
+            last.amount += amount;
+        } else if (amount > 0) {
+            pots.push({ amount, eligible: eligible.length > 0 ? eligible : live });
+        }
+        previous = level;
+    }
+
+    // Rake comes out of the main pot first
+    for (const pot of pots) {
+        const taken = Math.min(rake, pot.amount);
+        pot.amount -= taken;
+        rake -= taken;
+        pot.raked = taken;
+    }
+    const rakeTaken = pots.reduce((sum, pot) => sum + pot.raked, 0);
+
+    const payouts = new Map();
+    const results = pots.map(pot => {
+        let winners = pot.eligible;
+        if (pot.eligible.length > 1) {
+            let best = null;
+            for (const seat of pot.eligible) {
+                const score = hands.get(seat.username).score;
+                const diff = best ? compareScores(score, best) : 1;
+                if (diff > 0) {
+                    best = score;
+                    winners = [seat];
+                } else if (diff === 0) {
+                    winners.push(seat);
+                }
+            }
+        }
+
+        // Odd chips go to the first winner in seat order
+        const share = Math.floor(pot.amount / winners.length);
+        winners.forEach((seat, i) => {
+            const amount = share + (i === 0 ? pot.amount - share * winners.length : 0);
+            payouts.set(seat.username, (payouts.get(seat.username) || 0) + amount);
+        });
+
+        return {
+            amount: pot.amount,
+            winners: winners.map(seat => seat.username),
+            hand: hands.get(winners[0].username)
+        };
+    });
+
+    return { pots: results, payouts, hands, rake: rakeTaken };
+}
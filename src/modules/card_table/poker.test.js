@@ -0,0 +1,83 @@
+import { settlePoker } from './poker.js';
+
+const seat = (username, committed, hole, folded = false) => ({ username, committed, hole, folded });
+const DRY_BOARD = ['2c', '7d', '9h', 'Js', '3s'];
+
+// What each player walks away with, and the rake
+const settle = (seats, board, rakeRate = 0) => {
+    const { payouts, rake } = settlePoker({ seats, board }, rakeRate);
+    return { payouts: Object.fromEntries(payouts), rake };
+};
+
+// A short all-in: aces win the main pot, kings the side pot
+const shortAllIn = [
+    seat('alice', 100, ['Ac', 'Ad']),
+    seat('bob', 300, ['Kc', 'Kd']),
+    seat('carl', 300, ['Qc', 'Qd'])
+];
+
+// Test cases
+const testCases = [
+    {
+        run: () => settle(shortAllIn, DRY_BOARD),
+        expected: { payouts: { alice: 300, bob: 400 }, rake: 0 },
+        description: 'All-in player only wins what they could match'
+    },
+    {
+        run: () => settle(shortAllIn, DRY_BOARD, 0.05),
+        expected: { payouts: { alice: 265, bob: 400 }, rake: 35 },
+        description: 'Rake comes out of the main pot first'
+    },
+    {
+        run: () => settle([seat('alice', 2, ['Ac', 'Ad']), seat('bob', 1, ['Kc', 'Kd'], true)], [], 0.05),
+        expected: { payouts: { alice: 3 }, rake: 0 },
+        description: 'No rake on a hand that never saw a flop'
+    },
+    {
+        run: () => settle([seat('alice', 40, ['2h', '3h']), seat('bob', 40, ['4h', '5h'])], ['As', 'Ks', 'Qs', 'Js', 'Ts']),
+        expected: { payouts: { alice: 40, bob: 40 }, rake: 0 },
+        description: 'Board plays, pot is split'
+    },
+    {
+        run: () => settle([
+            seat('alice', 50, ['2h', '3h']),
+            seat('bob', 50, ['4h', '5h']),
+            seat('carl', 1, ['6h', '8h'], true)
+        ], ['As', 'Ks', 'Qs', 'Js', 'Ts']),
+        expected: { payouts: { alice: 51, bob: 50 }, rake: 0 },
+        description: 'Odd chip of a split goes to the first seat, folded money stays in'
+    },
+    {
+        run: () => settle([
+            seat('alice', 100, ['Ac', 'Ad']),
+            seat('bob', 300, ['Kc', 'Kd'], true),
+            seat('carl', 300, ['Qc', 'Qd'])
+        ], DRY_BOARD),
+        expected: { payouts: { alice: 300, carl: 400 }, rake: 0 },
+        description: 'A folded seat can\'t win a side pot it paid into'
+    }
+];
+
+console.log('Hold\'em Settlement Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
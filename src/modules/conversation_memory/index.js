@@ -0,0 +1,217 @@
+import { createLogger } from '../../utils/logger.js';
+
+const DEFAULT_CONFIG = {
+    contextTokens: 600,              // Budget for everything memory adds to a prompt
+    recentMessages: 10,              // Room chat lines considered for context
+    exchanges: 6,                    // Past exchanges with the user considered
+    exchangeTtl: 24 * 60 * 60 * 1000, // Exchanges older than this are forgotten
+    maxFacts: 20                     // Facts kept per user, oldest dropped first
+};
+
+const MAX_FACT_LENGTH = 200;
+
+// "dazza remember i drive a forklift" - only things people say about themselves
+const REMEMBER_PATTERN = /\bremember\s+(?:that\s+)?((?:i|i'm|im|i've|ive|my|me)\b.+)$/i;
+
+/**
+ * Rough token count (~4 characters a token) for keeping prompts in budget
+ * without pulling in a tokenizer for every model
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Dazza's memory for AI replies
+ * Short term: the room's recent chat (RoomContext.messageHistory), his last few
+ * exchanges with whoever's talking to him and what's playing. Long term: facts
+ * about users in user_facts. buildContext() picks as much of it as fits the
+ * token budget, most useful first.
+ *
+ * Config: config.llm.memory = { contextTokens, recentMessages, exchanges,
+ * exchangeTtl, maxFacts }
+ */
+export class ConversationMemory {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('ConversationMemory');
+        this.config = { ...DEFAULT_CONFIG, ...bot.config?.llm?.memory };
+    }
+
+    async init() {
+        await this.pruneExchanges();
+    }
+
+    async pruneExchanges() {
+        const result = await this.db.run('DELETE FROM llm_exchanges WHERE created_at < ?', [Date.now() - this.config.exchangeTtl]);
+        if (result.changes > 0) {
+            this.logger.debug(`Forgot ${result.changes} old exchanges`);
+        }
+    }
+
+    /**
+     * Remember what someone said to Dazza and what he said back
+     * @param {string|string[]} reply - Reply as sent (multi-message replies are joined)
+     */
+    async recordExchange(roomId, username, message, reply) {
+        const text = Array.isArray(reply) ? reply.join(' ') : reply;
+        await this.db.run(
+            'INSERT INTO llm_exchanges (room_id, username, message, reply, created_at) VALUES (?, ?, ?, ?, ?)',
+            [roomId, username, message, text, Date.now()]
+        );
+
+        // Only the latest few are ever used
+        await this.db.run(`
+            DELETE FROM llm_exchanges
+            WHERE room_id = ? AND username = ? AND id NOT IN (
+                SELECT id FROM llm_exchanges WHERE room_id = ? AND username = ? ORDER BY id DESC LIMIT ?
+            )
+        `, [roomId, username, roomId, username, this.config.exchanges]);
+    }
+
+    /**
+     * Recent exchanges with a user in a room, oldest first
+     */
+    async getExchanges(roomId, username, limit = this.config.exchanges) {
+        const rows = await this.db.all(`
+            SELECT message, reply, created_at FROM llm_exchanges
+            WHERE room_id = ? AND username = ? AND created_at >= ?
+            ORDER BY id DESC LIMIT ?
+        `, [roomId, username, Date.now() - this.config.exchangeTtl, limit]);
+        return rows.reverse();
+    }
+
+    async countExchanges(username) {
+        const row = await this.db.get('SELECT COUNT(*) AS count FROM llm_exchanges WHERE username = ?', [username]);
+        return row?.count || 0;
+    }
+
+    /**
+     * @returns {Promise<Array<{id, fact, source, added_by, created_at}>>} Oldest first
+     */
+    async getFacts(username) {
+        return this.db.all(
+            'SELECT id, fact, source, added_by, created_at FROM user_facts WHERE username = ? ORDER BY id',
+            [username]
+        );
+    }
+
+    /**
+     * Store a fact about a user, dropping their oldest once they're over the limit
+     * @param {Object} options - { source: 'chat' | 'admin', addedBy, roomId }
+     * @returns {Promise<{success: boolean, id?: number, message?: string}>}
+     */
+    async addFact(username, fact, { source = 'chat', addedBy = null, roomId = null } = {}) {
+        const text = fact.trim().replace(/\s+/g, ' ').replace(/[.!]+$/, '');
+        if (text.length < 3) {
+            return { success: false, message: 'that\'s not much of a fact' };
+        }
+        if (text.length > MAX_FACT_LENGTH) {
+            return { success: false, message: `keep it under ${MAX_FACT_LENGTH} characters` };
+        }
+
+        const existing = await this.db.get('SELECT id FROM user_facts WHERE username = ? AND fact = ? COLLATE NOCASE', [username, text]);
+        if (existing) {
+            return { success: true, id: existing.id };
+        }
+
+        const result = await this.db.run(
+            'INSERT INTO user_facts (username, fact, source, added_by, room_id, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [username, text, source, addedBy, roomId, Date.now()]
+        );
+
+        await this.db.run(`
+            DELETE FROM user_facts
+            WHERE username = ? AND id NOT IN (
+                SELECT id FROM user_facts WHERE username = ? ORDER BY id DESC LIMIT ?
+            )
+        `, [username, username, this.config.maxFacts]);
+
+        this.logger.info(`Remembered about ${username}: ${text}`);
+        return { success: true, id: result.lastID };
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether there was a fact with that id
+     */
+    async forgetFact(username, id) {
+        const result = await this.db.run('DELETE FROM user_facts WHERE username = ? AND id = ?', [username, id]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Wipe what Dazza remembers about a user
+     * @param {string} roomId - Only wipe exchanges from this room (facts always go), or null for everywhere
+     * @returns {Promise<{exchanges: number, facts: number}>}
+     */
+    async wipe(username, roomId = null) {
+        return this.db.transaction(async () => {
+            const exchanges = roomId
+                ? await this.db.run('DELETE FROM llm_exchanges WHERE username = ? AND room_id = ?', [username, roomId])
+                : await this.db.run('DELETE FROM llm_exchanges WHERE username = ?', [username]);
+            const facts = await this.db.run('DELETE FROM user_facts WHERE username = ?', [username]);
+            return { exchanges: exchanges.changes, facts: facts.changes };
+        });
+    }
+
+    /**
+     * Pick up "remember i ..." from a mention and keep it as a fact
+     * @returns {Promise<string|null>} The fact stored, if there was one
+     */
+    async learnFromMention(roomId, username, message) {
+        const match = message.match(REMEMBER_PATTERN);
+        if (!match) return null;
+
+        const result = await this.addFact(username, match[1], { source: 'chat', roomId });
+        return result.success ? match[1].trim() : null;
+    }
+
+    /**
+     * Everything worth telling the LLM about this mention, trimmed to the token
+     * budget. Facts go in first, then what's playing, then the newest exchanges,
+     * then the newest room chat
+     * @returns {Promise<{facts: string[], media: string|null, exchanges: Array, recent: Array, tokens: number}>}
+     */
+    async buildContext(roomId, username, message) {
+        const room = this.bot.rooms?.get(roomId);
+        let budget = this.config.contextTokens;
+        const take = (text) => {
+            const cost = estimateTokens(text);
+            if (cost > budget) return false;
+            budget -= cost;
+            return true;
+        };
+
+        const facts = [];
+        for (const { fact } of await this.getFacts(username)) {
+            if (!take(fact)) break;
+            facts.push(fact);
+        }
+
+        const title = room?.currentMedia?.title || null;
+        const media = title && take(title) ? title : null;
+
+        const exchanges = [];
+        const pastExchanges = await this.getExchanges(roomId, username);
+        for (const exchange of pastExchanges.reverse()) {
+            if (!take(`${exchange.message} ${exchange.reply}`)) break;
+            exchanges.unshift({ message: exchange.message, reply: exchange.reply });
+        }
+
+        // The mention itself is already at the end of the history
+        const history = (room?.messageHistory || []).slice(-(this.config.recentMessages + 1));
+        const last = history[history.length - 1];
+        if (last && last.username === username && last.message === message) {
+            history.pop();
+        }
+
+        const recent = [];
+        for (const line of history.reverse()) {
+            if (!take(`${line.username}: ${line.message}`)) break;
+            recent.unshift({ username: line.username, message: line.message });
+        }
+
+        return { facts, media, exchanges, recent, tokens: this.config.contextTokens - budget };
+    }
+}
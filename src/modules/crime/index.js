@@ -0,0 +1,323 @@
+import { createLogger } from '../../utils/logger.js';
+import { ESCROW, InsufficientFundsError } from '../economy/index.js';
+import { NotEnoughItemsError, StackFullError } from '../inventory/index.js';
+import { PROTECTION } from './protection.js';
+
+export { PROTECTION } from './protection.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    bounties: true,
+    minMugs: 3, // Successful mugs before someone can have a price on their head
+    minBounty: 10,
+    maxBounty: 5000
+};
+
+// Heat is per user, not per room: the cops talk to each other
+const HEAT = {
+    mugged: 10, // Heat for a mug that comes off
+    arrested: 15, // ...and for one that gets ya fined
+    dazza: 5, // Havin' a go at dazza
+    decay: 2, // Lost per hour of keepin' ya head down
+    max: 100 // At max heat fines are doubled
+};
+
+const ERRORS = {
+    disabled: () => 'no bounties in here',
+    self: () => 'ya can\'t put a bounty on yaself, ya sook',
+    bad_amount: (result) => `bounties are $${result.min} to $${result.max}`,
+    not_mugger: (result) => `${result.username}'s only pulled off ${result.mugs} mugging${result.mugs === 1 ? '' : 's'}, needs ${result.needed} before they're worth a bounty`,
+    broke: (result) => `ya can't cover $${result.amount}`,
+    no_bounty: () => 'ya got no bounty like that up',
+    no_item: () => `dazza's not sellin' that. got: ${Object.keys(PROTECTION).join(', ')}`,
+    owned: (result) => `ya already got a ${result.name}`,
+    too_many: (result) => `ya can only have ${result.stack} ${result.name}s on call`
+};
+
+/**
+ * Turn a crime error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'the cops lost the paperwork'))(result);
+}
+
+/**
+ * Muggings beyond the roll itself, for !mug, !protection, !bounty and !criminal
+ * Users buy protection that lives in their inventory (see protection.js).
+ * Every attempt raises the mugger's heat, which cools off by the hour and
+ * scales up the fines they cop. Anyone can put cash on a repeat mugger's
+ * head; it sits in @escrow until someone fights that mugger off, or the
+ * person who put it up takes it back.
+ *
+ * Room config (rooms/<room>.js): settings.crime = { bounties, minMugs,
+ * minBounty, maxBounty }
+ */
+export class CrimeManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('CrimeManager');
+
+        this.roomConfigs = new Map(); // roomId -> config
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        const settings = roomConfig.settings?.crime || {};
+        this.roomConfigs.set(roomId, { ...DEFAULT_CONFIG, ...settings });
+    }
+
+    getConfig(roomId) {
+        return this.roomConfigs.get(roomId) || DEFAULT_CONFIG;
+    }
+
+    /**
+     * A user's heat after it's cooled off since their last job
+     * @returns {Promise<number>} 0 to HEAT.max
+     */
+    async getHeat(username, now = Date.now()) {
+        // mug.js keys victims lowercased, so the heat's on whichever row has it
+        const stats = await this.db.get(
+            'SELECT current_heat_level, heat_updated_at FROM mug_stats WHERE username = ? COLLATE NOCASE ORDER BY current_heat_level DESC LIMIT 1',
+            [username]
+        );
+        if (!stats?.current_heat_level) return 0;
+
+        const hours = (now - (stats.heat_updated_at || now)) / HOUR;
+        return Math.max(0, Math.round(stats.current_heat_level - hours * HEAT.decay));
+    }
+
+    /**
+     * Heat up a mugger after an attempt
+     * @param {string} outcome - 'mugged', 'arrested' or 'dazza'
+     * @returns {Promise<number>} their heat now
+     */
+    async addHeat(username, outcome) {
+        const now = Date.now();
+        const heat = Math.min(HEAT.max, await this.getHeat(username, now) + HEAT[outcome]);
+
+        await this.db.run(`
+            INSERT INTO mug_stats (username, current_heat_level, heat_updated_at)
+            VALUES (?, ?, ?)
+            ON CONFLICT(username) DO UPDATE SET
+                current_heat_level = excluded.current_heat_level,
+                heat_updated_at = excluded.heat_updated_at
+        `, [username, heat, now]);
+        return heat;
+    }
+
+    /**
+     * A police fine, scaled up by how hot the mugger is
+     */
+    applyHeat(fine, heat) {
+        return Math.round(fine * (1 + heat / HEAT.max));
+    }
+
+    /**
+     * What's between a user and a mugger
+     * @returns {Promise<{guard: number, backup: number, shield: number}>}
+     */
+    async getProtection(username) {
+        const effects = await this.bot.inventoryManager.getEffects(username);
+        return {
+            guard: effects.mug_guard || 0,
+            backup: effects.mug_backup || 0,
+            shield: effects.mug_shield || 0
+        };
+    }
+
+    /**
+     * Call in a mate for a mugging, using them up
+     * @returns {Promise<boolean>} false if nobody's on call
+     */
+    async callBackup(username, roomId) {
+        try {
+            await this.bot.inventoryManager.removeItem(username, 'mate', 1, { reason: 'mugging', roomId });
+            return true;
+        } catch (error) {
+            if (error instanceof NotEnoughItemsError) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Buy protection
+     * @returns {Promise<{success: boolean, name?: string, cost?: number, quantity?: number, error?: string}>}
+     */
+    async buyProtection(username, itemId, quantity = 1, roomId = null) {
+        const item = PROTECTION[itemId];
+        if (!item) {
+            return { success: false, error: 'no_item' };
+        }
+
+        const count = Math.max(1, Math.min(quantity, item.stack));
+        const cost = item.price * count;
+
+        try {
+            return await this.db.transaction(async () => {
+                await this.bot.heistManager.updateUserEconomy(username, -cost, 0, {
+                    type: 'protection',
+                    description: count > 1 ? `${count}x ${item.name}` : item.name,
+                    roomId,
+                    requireFunds: true
+                });
+                await this.bot.inventoryManager.addItem(username, itemId, count, { reason: 'protection', roomId });
+
+                this.logger.info(`${username} bought ${count}x ${itemId} for $${cost}`);
+                return { success: true, name: item.name, cost, quantity: count };
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount: cost };
+            }
+            if (error instanceof StackFullError) {
+                return item.stack === 1
+                    ? { success: false, error: 'owned', name: item.name }
+                    : { success: false, error: 'too_many', name: item.name, stack: item.stack };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Put cash on a repeat mugger's head
+     * @returns {Promise<{success: boolean, bounty?: Object, total?: number, error?: string}>}
+     */
+    async placeBounty(roomId, placedBy, target, amount) {
+        const config = this.getConfig(roomId);
+        if (!config.bounties) {
+            return { success: false, error: 'disabled' };
+        }
+        if (placedBy.toLowerCase() === target.toLowerCase()) {
+            return { success: false, error: 'self' };
+        }
+        if (!Number.isInteger(amount) || amount < config.minBounty || amount > config.maxBounty) {
+            return { success: false, error: 'bad_amount', min: config.minBounty, max: config.maxBounty };
+        }
+
+        const { mugs } = await this.db.get(
+            'SELECT COALESCE(SUM(successful_mugs), 0) as mugs FROM mug_stats WHERE username = ? COLLATE NOCASE',
+            [target]
+        );
+        if (mugs < config.minMugs) {
+            return { success: false, error: 'not_mugger', username: target, mugs, needed: config.minMugs };
+        }
+
+        try {
+            const bounty = await this.db.transaction(async () => {
+                await this.bot.heistManager.updateUserEconomy(placedBy, -amount, 0, {
+                    type: 'bounty',
+                    description: `Bounty on ${target}`,
+                    roomId,
+                    counterparty: ESCROW,
+                    requireFunds: true
+                });
+
+                const result = await this.db.run(`
+                    INSERT INTO mug_bounties (room_id, target, placed_by, amount, created_at)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [roomId, target, placedBy, amount, Date.now()]);
+                return this.db.get('SELECT * FROM mug_bounties WHERE id = ?', [result.lastID]);
+            });
+
+            this.logger.info(`${placedBy} put $${amount} on ${target} (bounty #${bounty.id})`);
+            return { success: true, bounty, total: await this.getBountyTotal(target) };
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Take back a bounty nobody's claimed
+     */
+    async withdrawBounty(username, id) {
+        const bounty = await this.db.get(
+            "SELECT * FROM mug_bounties WHERE id = ? AND placed_by = ? AND status = 'open'",
+            [id, username]
+        );
+        if (!bounty) {
+            return { success: false, error: 'no_bounty' };
+        }
+
+        const withdrawn = await this.db.transaction(async () => {
+            const result = await this.db.run(
+                "UPDATE mug_bounties SET status = 'withdrawn', closed_at = ? WHERE id = ? AND status = 'open'",
+                [Date.now(), bounty.id]
+            );
+            if (result.changes === 0) return false;
+
+            await this.bot.heistManager.updateUserEconomy(bounty.placed_by, bounty.amount, 0, {
+                type: 'bounty_refund',
+                description: `Bounty on ${bounty.target} withdrawn`,
+                roomId: bounty.room_id,
+                counterparty: ESCROW
+            });
+            return true;
+        });
+
+        return withdrawn ? { success: true, bounty } : { success: false, error: 'no_bounty' };
+    }
+
+    async getBounties(target) {
+        return this.db.all(
+            "SELECT * FROM mug_bounties WHERE target = ? AND status = 'open' ORDER BY amount DESC",
+            [target]
+        );
+    }
+
+    async getBountyTotal(target) {
+        const row = await this.db.get(
+            "SELECT COALESCE(SUM(amount), 0) as total FROM mug_bounties WHERE target = ? AND status = 'open'",
+            [target]
+        );
+        return row.total;
+    }
+
+    /**
+     * Most wanted: open bounties added up per mugger
+     */
+    async listWanted(limit = 5) {
+        return this.db.all(`
+            SELECT target, SUM(amount) as total, COUNT(*) as count
+            FROM mug_bounties
+            WHERE status = 'open'
+            GROUP BY target COLLATE NOCASE
+            ORDER BY total DESC
+            LIMIT ?
+        `, [limit]);
+    }
+
+    /**
+     * Pay every open bounty on a mugger to whoever just fought them off
+     * @returns {Promise<{total: number, count: number}>} total is 0 if there weren't any
+     */
+    async claimBounties(target, claimant, roomId) {
+        const claimed = await this.db.transaction(async () => {
+            const bounties = await this.getBounties(target);
+            if (bounties.length === 0) return { total: 0, count: 0 };
+
+            const now = Date.now();
+            await this.db.run(
+                "UPDATE mug_bounties SET status = 'claimed', claimed_by = ?, closed_at = ? WHERE target = ? AND status = 'open'",
+                [claimant, now, target]
+            );
+
+            const total = bounties.reduce((sum, bounty) => sum + bounty.amount, 0);
+            await this.bot.heistManager.updateUserEconomy(claimant, total, 0, {
+                type: 'bounty',
+                description: `Bounty on ${target}`,
+                roomId,
+                counterparty: ESCROW
+            });
+            return { total, count: bounties.length };
+        });
+
+        if (claimed.total > 0) {
+            this.logger.info(`${claimant} claimed $${claimed.total} in bounties on ${target}`);
+        }
+        return claimed;
+    }
+}
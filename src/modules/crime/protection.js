@@ -0,0 +1,9 @@
+// Protection against !mug, bought at !protection and kept in the inventory.
+// guard is the chance the dog sees a mugger off even if ya asleep, backup
+// comes off the mugger's odds and is used up one per attempt on ya, shield is
+// how much of what they'd take stays in ya pocket
+export const PROTECTION = {
+    guard_dog: { name: 'Guard Dog', price: 600, stack: 1, description: 'staffy that sees off 30% of muggers, even while ya AFK', effects: { mug_guard: 0.3 } },
+    mate: { name: 'Mate on Call', price: 80, stack: 5, description: 'shows up for one mugging and cuts their odds by 20%', effects: { mug_backup: 0.2 } },
+    locked_wallet: { name: 'Chained Wallet', price: 350, stack: 1, description: 'muggers only get half what they grab', effects: { mug_shield: 0.5 } }
+};
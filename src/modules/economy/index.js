@@ -0,0 +1 @@
+export { EconomyLedger, InsufficientFundsError, HOUSE, WORLD, ESCROW, HOUSE_GAMES, isSystemAccount } from './ledger.js';
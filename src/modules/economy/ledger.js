@@ -0,0 +1,300 @@
+import EventEmitter from 'events';
+import { randomUUID } from 'crypto';
+import { createLogger } from '../../utils/logger.js';
+
+// System accounts never hold a balance row, they only show up as the counterparty
+export const HOUSE = '@house'; // Pokies, scratchies, TAB, coin flips and blackjack against dazza
+export const WORLD = '@world'; // Money coming into or leaving the economy (jobs, handouts, fines, heists)
+export const ESCROW = '@escrow'; // Stakes held for player-vs-player games until they're settled
+
+// Games played against @house. Stakes are posted as <game>_bet, payouts as <game>
+export const HOUSE_GAMES = ['pokies', 'scratchie', 'tab', 'coin_flip', 'blackjack'];
+
+const BUCKETS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+export function isSystemAccount(name) {
+    return typeof name === 'string' && name.startsWith('@');
+}
+
+export class InsufficientFundsError extends Error {
+    constructor(username, amount) {
+        super(`${username} can't cover $${amount}`);
+        this.name = 'InsufficientFundsError';
+        this.username = username;
+        this.amount = amount;
+    }
+}
+
+/**
+ * Double-entry economy ledger
+ * Every balance change is posted as a transfer: one economy_transactions row per
+ * user account touched, all sharing a transfer_id and written in one SQLite
+ * transaction along with the user_economy updates. Legs against a system account
+ * (@house, @world) balance the books without a row of their own.
+ *
+ * Emits 'transaction' once the transfer is committed.
+ */
+export class EconomyLedger extends EventEmitter {
+    constructor(db, bot) {
+        super();
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('EconomyLedger');
+        this.hasTrustScore = null;
+    }
+
+    async checkTrustColumn() {
+        if (this.hasTrustScore === null) {
+            const tableInfo = await this.db.all('PRAGMA table_info(user_economy)');
+            this.hasTrustScore = tableInfo.some(col => col.name === 'trust_score');
+        }
+        return this.hasTrustScore;
+    }
+
+    /**
+     * Post a transfer. Usernames must already be normalized and have an economy row.
+     * @param {Object} transfer
+     * @param {Array} transfer.entries - [{ username, amount, trustChange, counterparty, type, description, requireFunds }]
+     * @param {string} transfer.type - transaction_type for entries that don't set their own
+     * @param {string} [transfer.description]
+     * @param {string} [transfer.roomId]
+     * @returns {Promise<{transferId: string, entries: Array}>}
+     */
+    async post({ entries, type, description = null, roomId = null }) {
+        const transferId = randomUUID();
+        const createdAt = Date.now();
+        const room = roomId || 'fatpizza';
+        const hasTrustScore = await this.checkTrustColumn();
+
+        const posted = await this.db.transaction(async () => {
+            const rows = [];
+
+            for (const entry of entries) {
+                const amount = entry.amount || 0;
+                const trustChange = entry.trustChange || 0;
+
+                const result = entry.requireFunds && amount < 0
+                    ? await this.db.run(
+                        'UPDATE user_economy SET balance = balance + ? WHERE username = ? AND balance >= ?',
+                        [amount, entry.username, -amount]
+                    )
+                    : await this.db.run(
+                        'UPDATE user_economy SET balance = balance + ? WHERE username = ?',
+                        [amount, entry.username]
+                    );
+
+                if (result.changes === 0) {
+                    throw entry.requireFunds && amount < 0
+                        ? new InsufficientFundsError(entry.username, -amount)
+                        : new Error(`No economy account for ${entry.username}`);
+                }
+
+                if (trustChange !== 0 && hasTrustScore) {
+                    await this.db.run(
+                        'UPDATE user_economy SET trust_score = MAX(0, MIN(100, trust_score + ?)) WHERE username = ?',
+                        [trustChange, entry.username]
+                    );
+                }
+
+                const { balance } = await this.db.get(
+                    'SELECT balance FROM user_economy WHERE username = ?',
+                    [entry.username]
+                );
+
+                const row = {
+                    username: entry.username,
+                    amount,
+                    trustChange,
+                    type: entry.type || type,
+                    description: entry.description ?? description,
+                    counterparty: entry.counterparty || WORLD,
+                    balanceAfter: balance
+                };
+
+                await this.db.run(`
+                    INSERT INTO economy_transactions
+                    (username, amount, trust_change, transaction_type, description, room_id, created_at, transfer_id, counterparty, balance_after)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [row.username, row.amount, row.trustChange, row.type, row.description, room, createdAt, transferId, row.counterparty, row.balanceAfter]);
+
+                rows.push(row);
+            }
+
+            return rows;
+        });
+
+        const transaction = { transferId, type, roomId: room, createdAt, entries: posted };
+        // Inside a caller's transaction this waits for their COMMIT, so listeners never see rolled back transfers
+        this.db.afterCommit(() => this.emit('transaction', transaction));
+        this.logger.debug(`Posted ${type} transfer ${transferId}`, { entries: posted.length });
+
+        return transaction;
+    }
+
+    /**
+     * Recent ledger entries for a user, newest first
+     */
+    async getHistory(username, { limit = 10, offset = 0, type = null } = {}) {
+        const params = [username];
+        let typeFilter = '';
+        if (type) {
+            typeFilter = 'AND transaction_type = ?';
+            params.push(type);
+        }
+        params.push(limit, offset);
+
+        return await this.db.all(`
+            SELECT id, username, amount, trust_change, transaction_type, description, room_id,
+                   created_at, transfer_id, counterparty, balance_after
+            FROM economy_transactions
+            WHERE LOWER(username) = LOWER(?) ${typeFilter}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `, params);
+    }
+
+    async countHistory(username, { type = null } = {}) {
+        const params = [username];
+        let typeFilter = '';
+        if (type) {
+            typeFilter = 'AND transaction_type = ?';
+            params.push(type);
+        }
+
+        const row = await this.db.get(
+            `SELECT COUNT(*) as count FROM economy_transactions WHERE LOWER(username) = LOWER(?) ${typeFilter}`,
+            params
+        );
+        return row?.count || 0;
+    }
+
+    /**
+     * Richest accounts, biggest balance first
+     */
+    async getRichest(limit = 10, exclude = []) {
+        const placeholders = exclude.map(() => '?').join(', ');
+        const excludeFilter = exclude.length > 0 ? `WHERE LOWER(username) NOT IN (${placeholders})` : '';
+
+        return await this.db.all(`
+            SELECT username, balance, COALESCE(trust_score, 50) as trust
+            FROM user_economy
+            ${excludeFilter}
+            ORDER BY balance DESC
+            LIMIT ?
+        `, [...exclude.map(name => name.toLowerCase()), limit]);
+    }
+
+    /**
+     * Money supply over time, bucketed by hour/day/week.
+     * Only entries against a system account change the supply (user to user
+     * transfers net to zero). Rows from before the ledger have no counterparty
+     * and are counted as outside money too. The series is anchored on the
+     * current total of all balances and walked backwards, so it stays right
+     * even where history is missing.
+     */
+    async getMoneySupply({ bucket = 'day', since = Date.now() - 30 * BUCKETS.day, roomId = null } = {}) {
+        const size = BUCKETS[bucket];
+        if (!size) {
+            throw new Error(`Unknown bucket ${bucket}`);
+        }
+
+        const params = [size, size, since];
+        let roomFilter = '';
+        if (roomId) {
+            roomFilter = 'AND room_id = ?';
+            params.push(roomId);
+        }
+
+        const flows = await this.db.all(`
+            SELECT (created_at / ?) * ? as bucket_start,
+                   SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) as minted,
+                   SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END) as burned,
+                   COUNT(*) as entries
+            FROM economy_transactions
+            WHERE created_at >= ?
+            AND (counterparty IS NULL OR counterparty LIKE '@%')
+            ${roomFilter}
+            GROUP BY bucket_start
+            ORDER BY bucket_start
+        `, params);
+
+        const { total } = await this.db.get('SELECT COALESCE(SUM(balance), 0) as total FROM user_economy');
+
+        // Walk back from today's total. Per-room series show that room's flows against the global supply
+        let supply = total;
+        const series = flows.map(flow => ({
+            bucketStart: flow.bucket_start,
+            minted: flow.minted,
+            burned: flow.burned,
+            net: flow.minted - flow.burned,
+            entries: flow.entries
+        }));
+        for (let i = series.length - 1; i >= 0; i--) {
+            series[i].supply = supply;
+            supply -= series[i].net;
+        }
+
+        return { bucket, since, currentSupply: total, startingSupply: supply, series };
+    }
+
+    /**
+     * What the house keeps from each game: stakes (<game>_bet) against payouts
+     * (<game>) where @house is the counterparty. Only ledger-era rows count,
+     * older rows don't split stake from payout.
+     */
+    async getHouseEdge({ games = HOUSE_GAMES, since = 0, roomId = null } = {}) {
+        const results = [];
+
+        for (const game of games) {
+            const params = [`${game}_bet`, game, `${game}_refund`, HOUSE, since];
+            if (roomId) params.push(roomId);
+
+            const row = await this.db.get(`
+                SELECT
+                    SUM(CASE WHEN transaction_type = ?1 THEN 1 ELSE 0 END) as bets,
+                    COALESCE(SUM(CASE WHEN transaction_type = ?1 THEN -amount ELSE 0 END), 0) as wagered,
+                    COALESCE(SUM(CASE WHEN transaction_type = ?2 AND amount > 0 THEN amount ELSE 0 END), 0) as paid_out,
+                    COALESCE(SUM(CASE WHEN transaction_type = ?3 THEN amount ELSE 0 END), 0) as refunded,
+                    COUNT(DISTINCT username) as players
+                FROM economy_transactions
+                WHERE transaction_type IN (?1, ?2, ?3)
+                AND counterparty = ?4
+                AND transfer_id IS NOT NULL
+                AND created_at >= ?5
+                ${roomId ? 'AND room_id = ?6' : ''}
+            `, params);
+
+            const wagered = row.wagered - row.refunded;
+            const houseProfit = wagered - row.paid_out;
+
+            results.push({
+                game,
+                bets: row.bets || 0,
+                players: row.players || 0,
+                wagered,
+                paidOut: row.paid_out,
+                houseProfit,
+                edge: wagered > 0 ? houseProfit / wagered : null,
+                returnToPlayer: wagered > 0 ? row.paid_out / wagered : null
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * All entries posted as part of one transfer
+     */
+    async getTransfer(transferId) {
+        return await this.db.all(
+            'SELECT * FROM economy_transactions WHERE transfer_id = ? ORDER BY id',
+            [transferId]
+        );
+    }
+}
+
+export default EconomyLedger;
@@ -0,0 +1,182 @@
+import Database from '../../services/database.js';
+import { up } from '../../migrations/2025-07-06-add-economy-ledger.js';
+import { EconomyLedger, InsufficientFundsError, HOUSE, ESCROW, isSystemAccount } from './ledger.js';
+
+// An in-memory database with just the ledger's tables
+const db = new Database(':memory:', 'dazza', { logToConsole: false });
+db.createTables = async () => {};
+db.runMigrations = async () => {};
+await db.init();
+await db.run('CREATE TABLE user_economy (username TEXT PRIMARY KEY, balance INTEGER DEFAULT 0, trust_score INTEGER DEFAULT 50)');
+await up(db);
+
+const ledger = new EconomyLedger(db, null);
+ledger.logger = { debug: () => {}, info: () => {}, error: () => {} };
+const posted = [];
+ledger.on('transaction', transaction => posted.push(transaction.type));
+
+const setBalance = (username, balance) => db.run(
+    'INSERT INTO user_economy (username, balance) VALUES (?, ?) ON CONFLICT(username) DO UPDATE SET balance = excluded.balance, trust_score = 50',
+    [username, balance]
+);
+const balances = async () => Object.fromEntries(
+    (await db.all('SELECT username, balance FROM user_economy ORDER BY username')).map(row => [row.username, row.balance])
+);
+const rows = async () => (await db.get('SELECT COUNT(*) as count FROM economy_transactions')).count;
+
+// What a post did: 'ok', or the error it threw
+const attempt = async (transfer) => {
+    try {
+        await ledger.post(transfer);
+        return 'ok';
+    } catch (error) {
+        return error instanceof InsufficientFundsError ? `insufficient ${error.username} ${error.amount}` : error.message;
+    }
+};
+
+await setBalance('alice', 100);
+await setBalance('bob', 100);
+
+// Test cases
+const testCases = [
+    // Posting a transfer
+    {
+        run: async () => {
+            const result = await ledger.post({
+                type: 'give',
+                entries: [
+                    { username: 'alice', amount: -40, counterparty: 'bob', requireFunds: true },
+                    { username: 'bob', amount: 40, counterparty: 'alice' }
+                ]
+            });
+            return [result.entries.map(entry => `${entry.username} ${entry.amount} -> ${entry.balanceAfter}`), await balances()];
+        },
+        expected: [['alice -40 -> 60', 'bob 40 -> 140'], { alice: 60, bob: 140 }],
+        description: 'Transfer moves money and records the balance after each leg'
+    },
+    {
+        run: async () => (await db.all('SELECT DISTINCT transfer_id FROM economy_transactions')).length,
+        expected: 1,
+        description: 'Both legs share a transfer id'
+    },
+    {
+        run: async () => (await db.get("SELECT counterparty FROM economy_transactions WHERE username = 'alice'")).counterparty,
+        expected: 'bob',
+        description: 'Counterparty is recorded'
+    },
+    {
+        run: async () => {
+            await ledger.post({ type: 'pokies', entries: [{ username: 'alice', amount: 10, counterparty: HOUSE }] });
+            return [await balances(), await rows()];
+        },
+        expected: [{ alice: 70, bob: 140 }, 3],
+        description: 'Legs against a system account have no row of their own'
+    },
+
+    // The conditional requireFunds post
+    {
+        run: () => attempt({ type: 'pokies_bet', entries: [{ username: 'alice', amount: -70, counterparty: HOUSE, requireFunds: true }] }),
+        expected: 'ok',
+        description: 'Staking exactly what you have is fine'
+    },
+    {
+        run: async () => [
+            await attempt({ type: 'pokies_bet', entries: [{ username: 'alice', amount: -1, counterparty: HOUSE, requireFunds: true }] }),
+            await balances()
+        ],
+        expected: ['insufficient alice 1', { alice: 0, bob: 140 }],
+        description: 'Can\'t stake what you haven\'t got'
+    },
+    {
+        run: async () => [
+            await attempt({
+                type: 'deal_escrow',
+                entries: [
+                    { username: 'bob', amount: 500, counterparty: ESCROW },
+                    { username: 'alice', amount: -500, counterparty: ESCROW, requireFunds: true }
+                ]
+            }),
+            await balances(),
+            await rows()
+        ],
+        expected: ['insufficient alice 500', { alice: 0, bob: 140 }, 4],
+        description: 'A failed leg rolls back the legs before it'
+    },
+    {
+        run: async () => [
+            await attempt({ type: 'fine', entries: [{ username: 'alice', amount: -25 }] }),
+            await balances()
+        ],
+        expected: ['ok', { alice: -25, bob: 140 }],
+        description: 'Without requireFunds a balance can go negative'
+    },
+    {
+        run: () => attempt({ type: 'give', entries: [{ username: 'nobody', amount: 5 }] }),
+        expected: 'No economy account for nobody',
+        description: 'Unknown account'
+    },
+    {
+        run: async () => {
+            await setBalance('carl', 100);
+            const stake = () => attempt({ type: 'pokies_bet', entries: [{ username: 'carl', amount: -60, counterparty: HOUSE, requireFunds: true }] });
+            const results = await Promise.all([stake(), stake()]);
+            return [results.sort(), (await balances()).carl];
+        },
+        expected: [['insufficient carl 60', 'ok'], 40],
+        description: 'Two stakes at once can\'t both spend the same money'
+    },
+
+    // Trust
+    {
+        run: async () => {
+            await ledger.post({ type: 'heist', entries: [{ username: 'bob', amount: 0, trustChange: 80 }] });
+            await ledger.post({ type: 'heist', entries: [{ username: 'carl', amount: 0, trustChange: -80 }] });
+            return (await db.all("SELECT trust_score FROM user_economy WHERE username IN ('bob', 'carl') ORDER BY username")).map(row => row.trust_score);
+        },
+        expected: [100, 0],
+        description: 'Trust stays between 0 and 100'
+    },
+
+    // Events
+    {
+        run: async () => {
+            posted.length = 0;
+            await db.transaction(async () => {
+                await ledger.post({ type: 'inside', entries: [{ username: 'bob', amount: 1 }] });
+                if (posted.length > 0) throw new Error('emitted before commit');
+            });
+            await db.transaction(async () => {
+                await ledger.post({ type: 'rolled_back', entries: [{ username: 'bob', amount: 1 }] });
+                throw new Error('nope');
+            }).catch(() => {});
+            return posted;
+        },
+        expected: ['inside'],
+        description: 'Listeners only hear about committed transfers'
+    },
+    { run: () => [HOUSE, ESCROW, 'alice'].map(isSystemAccount), expected: [true, true, false], description: 'System accounts' }
+];
+
+console.log('Economy Ledger Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = await test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
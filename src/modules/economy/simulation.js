@@ -0,0 +1,153 @@
+import { HOUSE, WORLD } from './ledger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Economy balancing: where money comes from and goes, how it's spread, and
+ * where it's heading. The EconomyAnalyzer batch job stores these daily for
+ * the leaderboards site, and `npm run simulate -- economy` runs projections
+ * by hand with the odds tweaked.
+ *
+ * Projections replay the odds the ledger has actually seen: every play of a
+ * game in the window (a transfer's legs against @world/@house) is a possible
+ * outcome, and everyone who played keeps playing at the rate they did. So
+ * changing a game's odds shows up once the ledger's seen the new ones, or
+ * straight away with scale.
+ */
+
+// Faucets and sinks are the legs against these, user to user and escrow money just moves around
+export const OUTSIDE_ACCOUNTS = [WORLD, HOUSE];
+
+// The game a transaction type belongs to: pokies_bet and pokies are both pokies
+export function gameOf(type) {
+    return (type || 'unknown').replace(/_(bet|refund|share|cut|rake)$/, '');
+}
+
+/**
+ * How money's spread across accounts
+ * @param {number[]} balances
+ * @returns {{holders: number, gini: number, median: number, top10Share: number}}
+ *   gini from 0 (everyone equal) to 1 (one person has the lot), top10Share
+ *   is the fraction held by the richest 10% of accounts
+ */
+export function balanceStats(balances) {
+    const sorted = balances.map(balance => Math.max(balance, 0)).sort((a, b) => a - b);
+    const n = sorted.length;
+    const total = sorted.reduce((sum, balance) => sum + balance, 0);
+    if (n === 0 || total === 0) {
+        return { holders: 0, gini: 0, median: 0, top10Share: 0 };
+    }
+
+    let weighted = 0;
+    sorted.forEach((balance, i) => {
+        weighted += (i + 1) * balance;
+    });
+    const top = sorted.slice(n - Math.max(1, Math.ceil(n / 10)));
+
+    return {
+        holders: sorted.filter(balance => balance > 0).length,
+        gini: (2 * weighted) / (n * total) - (n + 1) / n,
+        median: sorted[Math.floor(n / 2)],
+        top10Share: top.reduce((sum, balance) => sum + balance, 0) / total
+    };
+}
+
+/**
+ * Everything a projection needs from the database: balances now, and each
+ * game's outcomes and play rates over the last windowDays
+ * @param {Object} db
+ * @param {Object} options
+ * @param {number} [options.windowDays=30]
+ * @param {string[]} [options.exclude] - accounts left out (the bot's own). Their
+ *   balances still count towards the supply, they just don't change
+ */
+export async function buildModel(db, { windowDays = 30, exclude = [], now = Date.now() } = {}) {
+    const excluded = new Set(exclude.map(name => name.toLowerCase()));
+
+    const rows = await db.all('SELECT username, balance FROM user_economy');
+    const accounts = rows.filter(row => !excluded.has(row.username.toLowerCase()));
+
+    // One play is a user's legs of one transfer, pre-ledger rows stand on their own
+    const placeholders = OUTSIDE_ACCOUNTS.map(() => '?').join(', ');
+    const legs = await db.all(`
+        SELECT COALESCE(transfer_id, id) as play, username, transaction_type, SUM(amount) as amount
+        FROM economy_transactions
+        WHERE created_at >= ?
+        AND (counterparty IS NULL OR counterparty IN (${placeholders}))
+        GROUP BY play, username, transaction_type
+    `, [now - windowDays * DAY, ...OUTSIDE_ACCOUNTS]);
+
+    const plays = new Map();
+    for (const leg of legs) {
+        if (excluded.has(leg.username.toLowerCase())) continue;
+        const game = gameOf(leg.transaction_type);
+        const key = `${leg.play}|${leg.username.toLowerCase()}|${game}`;
+        const play = plays.get(key) || { game, username: leg.username.toLowerCase(), amount: 0 };
+        play.amount += leg.amount;
+        plays.set(key, play);
+    }
+
+    const games = {};
+    for (const { game, username, amount } of plays.values()) {
+        games[game] = games[game] || { outcomes: [], rates: {} };
+        games[game].outcomes.push(amount);
+        games[game].rates[username] = (games[game].rates[username] || 0) + 1 / windowDays;
+    }
+
+    return {
+        windowDays,
+        builtAt: now,
+        balances: Object.fromEntries(accounts.map(row => [row.username.toLowerCase(), row.balance])),
+        heldBack: rows.reduce((sum, row) => sum + row.balance, 0) - accounts.reduce((sum, row) => sum + row.balance, 0),
+        games
+    };
+}
+
+/**
+ * Run the economy forward from a model
+ * @param {Object} model - from buildModel
+ * @param {Object} options
+ * @param {number} [options.days=30]
+ * @param {Function} [options.rng] - Math.random or a seeded rng (utils/rng.js)
+ * @param {Object} [options.scale] - { game: multiplier } on what a game pays out,
+ *   to try new odds before shipping them
+ * @returns {{days: Array, games: Object}} days[0] is today; each day has
+ *   supply, gini, median, top10Share and holders. games totals what each
+ *   game minted and burned over the run
+ */
+export function projectEconomy(model, { days = 30, rng = Math.random, scale = {} } = {}) {
+    const balances = { ...model.balances };
+    const games = {};
+    const snapshot = (day) => {
+        const values = Object.values(balances);
+        return { day, supply: values.reduce((sum, balance) => sum + balance, model.heldBack || 0), ...balanceStats(values) };
+    };
+
+    const series = [snapshot(0)];
+    for (let day = 1; day <= days; day++) {
+        for (const [game, { outcomes, rates }] of Object.entries(model.games)) {
+            const totals = games[game] = games[game] || { minted: 0, burned: 0, plays: 0 };
+
+            for (const [username, rate] of Object.entries(rates)) {
+                // Whole plays a day, plus the odd extra one for the fraction
+                const count = Math.floor(rate) + (rng() < rate % 1 ? 1 : 0);
+                for (let i = 0; i < count; i++) {
+                    let amount = outcomes[Math.floor(rng() * outcomes.length)];
+                    if (amount > 0) amount = Math.round(amount * (scale[game] ?? 1));
+
+                    // Nobody can stake what they haven't got
+                    const balance = balances[username] || 0;
+                    if (amount < 0 && balance + amount < 0) continue;
+
+                    balances[username] = balance + amount;
+                    totals.plays++;
+                    if (amount > 0) totals.minted += amount;
+                    else totals.burned -= amount;
+                }
+            }
+        }
+        series.push(snapshot(day));
+    }
+
+    return { days: series, games };
+}
@@ -0,0 +1,92 @@
+import { balanceStats, gameOf, projectEconomy } from './simulation.js';
+import { createRng } from '../../utils/rng.js';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const stats = (balances) => {
+    const result = balanceStats(balances);
+    return { ...result, gini: round(result.gini), top10Share: round(result.top10Share) };
+};
+
+// A model with one game everyone plays once a day
+const model = (balances, outcomes, rate = 1) => ({
+    balances,
+    heldBack: 0,
+    games: { pokies: { outcomes, rates: Object.fromEntries(Object.keys(balances).map(username => [username, rate])) } }
+});
+const finalDay = (result) => result.days[result.days.length - 1];
+
+// Test cases
+const testCases = [
+    // Gini and friends
+    { run: () => stats([100, 100, 100, 100]), expected: { holders: 4, gini: 0, median: 100, top10Share: 0.25 }, description: 'Everyone equal' },
+    { run: () => stats([0, 0, 0, 400]), expected: { holders: 1, gini: 0.75, median: 0, top10Share: 1 }, description: 'One account has the lot, (n-1)/n' },
+    { run: () => stats([1, 2, 3, 4]), expected: { holders: 4, gini: 0.25, median: 3, top10Share: 0.4 }, description: 'A spread of balances' },
+    { run: () => stats([-500, 100, 100]), expected: { holders: 2, gini: 0.333, median: 100, top10Share: 0.5 }, description: 'Debts count as nothing' },
+    { run: () => stats([]), expected: { holders: 0, gini: 0, median: 0, top10Share: 0 }, description: 'No accounts' },
+    { run: () => stats([0, 0]), expected: { holders: 0, gini: 0, median: 0, top10Share: 0 }, description: 'No money at all' },
+    {
+        run: () => stats([...new Array(19).fill(10), 810]).top10Share,
+        expected: 0.82,
+        description: 'Top 10% of twenty accounts is the richest two'
+    },
+
+    // Which game a transaction type belongs to
+    { run: () => ['pokies_bet', 'pokies', 'poll_cut', 'tab_pool_refund', 'poker_rake', null].map(gameOf), expected: ['pokies', 'pokies', 'poll', 'tab_pool', 'poker', 'unknown'], description: 'Game from transaction type' },
+
+    // Projections
+    {
+        run: () => finalDay(projectEconomy(model({ alice: 100, bob: 100 }, [10]), { days: 5, rng: createRng(1) })).supply,
+        expected: 300,
+        description: 'A game that only pays out mints every play'
+    },
+    {
+        run: () => finalDay(projectEconomy(model({ alice: 100 }, [10]), { days: 5, rng: createRng(1), scale: { pokies: 2 } })).supply,
+        expected: 200,
+        description: 'Scaling a game\'s payouts'
+    },
+    {
+        run: () => {
+            const result = projectEconomy(model({ alice: 25 }, [-10]), { days: 5, rng: createRng(1) });
+            return { balance: finalDay(result).supply, games: result.games };
+        },
+        expected: { balance: 5, games: { pokies: { minted: 0, burned: 20, plays: 2 } } },
+        description: 'Nobody stakes what they haven\'t got'
+    },
+    {
+        run: () => {
+            const run = () => projectEconomy(model({ alice: 1000, bob: 500 }, [-50, -50, 120], 0.5), { days: 30, rng: createRng(7) });
+            return JSON.stringify(run()) === JSON.stringify(run());
+        },
+        expected: true,
+        description: 'Seeded projections repeat'
+    },
+    {
+        run: () => projectEconomy(model({ alice: 100 }, [10]), { days: 3, rng: createRng(1) }).days.map(day => day.day),
+        expected: [0, 1, 2, 3],
+        description: 'Day 0 is today'
+    }
+];
+
+console.log('Economy Simulation Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
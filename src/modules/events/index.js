@@ -0,0 +1,387 @@
+import EventEmitter from 'events';
+import { createLogger } from '../../utils/logger.js';
+import { nextOccurrence, describeRecurrence, formatInTimezone, DEFAULT_TIMEZONE } from '../../utils/timeParser.js';
+import { parseMediaLink, mediaLinkUrl } from '../../utils/mediaLinks.js';
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    countdowns: [24 * 60 * 60 * 1000, 60 * 60 * 1000, 10 * 60 * 1000], // Said in the room this long before the start
+    rsvpPing: 10 * 60 * 1000, // PM everyone who's RSVP'd this long before the start (0 = as it starts)
+    queuePlaylist: true, // Put an event's linked videos up next when it starts
+    maxPlaylist: 10,
+    maxScheduled: 20 // Upcoming events allowed per room
+};
+
+const CHECK_INTERVAL = 30000;
+const START_GRACE = 30 * 60 * 1000; // Starts missed by more than this (bot was down) aren't announced
+const MAX_TITLE_LENGTH = 80;
+
+const ERRORS = {
+    disabled: () => 'events are switched off in here',
+    bad_title: () => `give it a title under ${MAX_TITLE_LENGTH} characters`,
+    in_past: () => 'that time\'s already been and gone mate',
+    too_many: (result) => `already ${result.max} events on the calendar, cancel one first`,
+    bad_link: (result) => `dunno how to play ${result.link}, youtube/vimeo/dailymotion links only`,
+    too_many_links: (result) => `${result.max} videos max per event`,
+    no_event: () => 'no event with that number in here',
+    not_scheduled: () => 'that event\'s not on anymore',
+    already_rsvped: () => 'you\'re already down for that one',
+    not_rsvped: () => 'you weren\'t down for that one anyway'
+};
+
+/**
+ * How long till something starts, rounded up to the minute: "3 days", "1h", "1h 30m", "10m"
+ */
+export function formatLeadTime(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes >= 48 * 60) return `${Math.round(minutes / 1440)} days`;
+    const hours = Math.floor(minutes / 60);
+    if (hours === 0) return `${minutes}m`;
+    return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+}
+
+/**
+ * Turn an event error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'somethin\'s cooked with the events calendar'))(result);
+}
+
+/**
+ * Scheduled channel events (movie nights, trivia, watch parties)
+ * Admins put one-off or recurring events on a room's calendar, optionally with
+ * videos to queue. Users RSVP to the next occurrence; Dazza counts down in the
+ * room, PMs everyone who RSVP'd and queues the videos when it kicks off.
+ * Recurring events then roll forward to their next occurrence with a fresh
+ * RSVP list.
+ *
+ * Room config (rooms/<room>.js): settings.events = { enabled, countdowns,
+ * rsvpPing, queuePlaylist, maxPlaylist, maxScheduled }
+ */
+export class EventManager extends EventEmitter {
+    constructor(db, bot) {
+        super();
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('EventManager');
+
+        this.roomConfigs = new Map(); // roomId -> config
+        this.checkInterval = null;
+    }
+
+    async init() {
+        const row = await this.db.get("SELECT COUNT(*) as count FROM channel_events WHERE status = 'scheduled'");
+        this.logger.info(`EventManager initialized with ${row?.count || 0} scheduled event(s)`);
+
+        this.checkInterval = setInterval(() => {
+            this.checkEvents().catch(error => {
+                this.logger.error('Event check failed:', { error: error.message, stack: error.stack });
+            });
+        }, CHECK_INTERVAL);
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        const settings = roomConfig.settings?.events || {};
+        this.roomConfigs.set(roomId, { ...DEFAULT_CONFIG, ...settings });
+    }
+
+    getConfig(roomId) {
+        return this.roomConfigs.get(roomId) || DEFAULT_CONFIG;
+    }
+
+    parseEvent(row) {
+        if (!row) return null;
+        return {
+            ...row,
+            recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+            timezone: row.timezone || DEFAULT_TIMEZONE,
+            playlist: JSON.parse(row.playlist || '[]')
+        };
+    }
+
+    /**
+     * Put an event on a room's calendar
+     * @param {Object} details - { title, description, startsAt, recurrence, timezone, playlist: [links], createdBy }
+     * @returns {Promise<{success: boolean, event?: Object, error?: string}>}
+     */
+    async createEvent(roomId, { title, description = null, startsAt, recurrence = null, timezone = DEFAULT_TIMEZONE, playlist = [], createdBy }) {
+        const config = this.getConfig(roomId);
+        if (!config.enabled) {
+            return { success: false, error: 'disabled' };
+        }
+
+        const cleanTitle = (title || '').trim().replace(/\s+/g, ' ');
+        if (!cleanTitle || cleanTitle.length > MAX_TITLE_LENGTH) {
+            return { success: false, error: 'bad_title' };
+        }
+        if (startsAt <= Date.now()) {
+            return { success: false, error: 'in_past' };
+        }
+        if (playlist.length > config.maxPlaylist) {
+            return { success: false, error: 'too_many_links', max: config.maxPlaylist };
+        }
+
+        const media = [];
+        for (const link of playlist) {
+            const parsed = parseMediaLink(link);
+            if (!parsed) {
+                return { success: false, error: 'bad_link', link };
+            }
+            media.push(parsed);
+        }
+
+        const scheduled = await this.db.get(
+            "SELECT COUNT(*) as count FROM channel_events WHERE room_id = ? AND status = 'scheduled'",
+            [roomId]
+        );
+        if (scheduled.count >= config.maxScheduled) {
+            return { success: false, error: 'too_many', max: config.maxScheduled };
+        }
+
+        const result = await this.db.run(`
+            INSERT INTO channel_events (room_id, title, description, starts_at, recurrence, timezone, playlist, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            roomId, cleanTitle, description, startsAt,
+            recurrence ? JSON.stringify(recurrence) : null,
+            timezone, JSON.stringify(media), createdBy, Date.now()
+        ]);
+
+        const event = await this.getEvent(result.lastID);
+        this.logger.info(`${createdBy} scheduled event #${event.id} "${event.title}" in ${roomId}`);
+        this.emit('event:created', { event });
+        return { success: true, event };
+    }
+
+    async getEvent(id, roomId = null) {
+        const event = this.parseEvent(await this.db.get('SELECT * FROM channel_events WHERE id = ?', [id]));
+        if (!event || (roomId && event.room_id !== roomId)) return null;
+        return event;
+    }
+
+    /**
+     * Scheduled events, soonest first
+     * @param {string|null} roomId - null for every room
+     */
+    async listUpcoming(roomId = null, limit = 10) {
+        const rows = roomId
+            ? await this.db.all(
+                "SELECT * FROM channel_events WHERE room_id = ? AND status = 'scheduled' ORDER BY starts_at LIMIT ?",
+                [roomId, limit]
+            )
+            : await this.db.all(
+                "SELECT * FROM channel_events WHERE status = 'scheduled' ORDER BY starts_at LIMIT ?",
+                [limit]
+            );
+        return rows.map(row => this.parseEvent(row));
+    }
+
+    async cancelEvent(roomId, id, cancelledBy) {
+        const event = await this.getEvent(id, roomId);
+        if (!event) {
+            return { success: false, error: 'no_event' };
+        }
+        if (event.status !== 'scheduled') {
+            return { success: false, error: 'not_scheduled' };
+        }
+
+        await this.db.run("UPDATE channel_events SET status = 'cancelled' WHERE id = ?", [id]);
+        this.logger.info(`${cancelledBy} cancelled event #${id} in ${roomId}`);
+        this.emit('event:cancelled', { event, cancelledBy });
+        return { success: true, event };
+    }
+
+    /**
+     * Who's down for the event's next occurrence
+     * @returns {Promise<string[]>}
+     */
+    async getRsvps(event) {
+        const rows = await this.db.all(
+            'SELECT username FROM event_rsvps WHERE event_id = ? AND occurrence_at = ? ORDER BY created_at',
+            [event.id, event.starts_at]
+        );
+        return rows.map(row => row.username);
+    }
+
+    async rsvp(roomId, id, username) {
+        const event = await this.getEvent(id, roomId);
+        if (!event) {
+            return { success: false, error: 'no_event' };
+        }
+        if (event.status !== 'scheduled') {
+            return { success: false, error: 'not_scheduled' };
+        }
+
+        const result = await this.db.run(
+            'INSERT OR IGNORE INTO event_rsvps (event_id, occurrence_at, username, created_at) VALUES (?, ?, ?, ?)',
+            [event.id, event.starts_at, username, Date.now()]
+        );
+        if (result.changes === 0) {
+            return { success: false, error: 'already_rsvped' };
+        }
+        return { success: true, event, going: (await this.getRsvps(event)).length };
+    }
+
+    async unrsvp(roomId, id, username) {
+        const event = await this.getEvent(id, roomId);
+        if (!event) {
+            return { success: false, error: 'no_event' };
+        }
+
+        const result = await this.db.run(
+            'DELETE FROM event_rsvps WHERE event_id = ? AND occurrence_at = ? AND username = ?',
+            [event.id, event.starts_at, username]
+        );
+        if (result.changes === 0) {
+            return { success: false, error: 'not_rsvped' };
+        }
+        return { success: true, event };
+    }
+
+    /**
+     * One-line summary for chat, e.g. "#3 Movie Night - fri 11/7 8:00pm AEST (every friday at 8:00pm)"
+     */
+    describeEvent(event, timezone = event.timezone) {
+        const repeat = event.recurrence ? ` (${describeRecurrence(event.recurrence)})` : '';
+        return `#${event.id} ${event.title} - ${formatInTimezone(event.starts_at, timezone)}${repeat}`;
+    }
+
+    /**
+     * Countdown stages still to come for an event, biggest first. The start
+     * itself is stage 0
+     */
+    getStages(config) {
+        const stages = new Set([...config.countdowns, config.rsvpPing, 0]);
+        return Array.from(stages).filter(stage => stage >= 0).sort((a, b) => b - a);
+    }
+
+    /**
+     * Announce countdowns and start anything that's due in connected rooms
+     */
+    async checkEvents() {
+        if (!this.bot.rooms) return;
+
+        const now = Date.now();
+        const horizon = Math.max(...[DEFAULT_CONFIG, ...this.roomConfigs.values()].map(config => this.getStages(config)[0]));
+        const due = await this.db.all(
+            "SELECT * FROM channel_events WHERE status = 'scheduled' AND starts_at <= ? ORDER BY starts_at",
+            [now + horizon]
+        );
+
+        for (const row of due) {
+            const event = this.parseEvent(row);
+            const config = this.getConfig(event.room_id);
+            const roomContext = this.bot.rooms.get(event.room_id);
+
+            if (now >= event.starts_at) {
+                await this.startEvent(event, config, roomContext?.connected && config.enabled && now - event.starts_at <= START_GRACE);
+                continue;
+            }
+            if (!config.enabled || !roomContext?.connected) continue;
+
+            // Only the tightest stage we've reached is said, so a restart doesn't replay them all
+            const untilStart = event.starts_at - now;
+            const stage = this.getStages(config)
+                .filter(s => s > 0 && untilStart <= s && (event.announced === null || s < event.announced))
+                .pop();
+            if (stage === undefined) continue;
+
+            await this.db.run('UPDATE channel_events SET announced = ? WHERE id = ?', [stage, event.id]);
+            await this.announceCountdown(event, config, stage, untilStart);
+        }
+    }
+
+    async announceCountdown(event, config, stage, untilStart) {
+        const going = await this.getRsvps(event);
+        const left = formatLeadTime(untilStart);
+
+        if (config.countdowns.includes(stage)) {
+            const crowd = going.length > 0 ? ` ${going.length} comin' so far,` : '';
+            this.bot.sendMessage(event.room_id, `📅 ${event.title} starts in ${left} -${crowd} !event rsvp ${event.id} if ya keen`);
+        }
+        if (stage === config.rsvpPing) {
+            this.pingRsvps(event, going, `oi, ${event.title} kicks off in ${left}, get ya arse in`);
+        }
+        this.emit('event:countdown', { event, stage });
+    }
+
+    /**
+     * PM everyone who's RSVP'd and is in one of Dazza's rooms
+     */
+    pingRsvps(event, going, text) {
+        for (const username of going) {
+            const roomId = this.bot.findUserRoom?.(username, event.room_id);
+            if (roomId) {
+                this.bot.sendPrivateMessage(username, text, roomId);
+            }
+        }
+    }
+
+    /**
+     * Kick an event off and roll recurring ones forward
+     * @param {boolean} announce - false when the start was missed (room offline or bot down)
+     */
+    async startEvent(event, config, announce) {
+        const going = await this.getRsvps(event);
+
+        if (announce) {
+            const crowd = going.length > 0 ? ` ${going.join(', ')} - you lot said you'd be here` : '';
+            this.bot.sendMessage(event.room_id, `🎬 ${event.title} is ON!${crowd}`);
+            if (config.rsvpPing === 0) {
+                this.pingRsvps(event, going, `${event.title} is startin now, get in here`);
+            }
+
+            if (config.queuePlaylist && event.playlist.length > 0) {
+                // Queued "next" one at a time, so go backwards to keep them in order
+                let queued = 0;
+                for (const media of [...event.playlist].reverse()) {
+                    if (this.bot.queueMedia?.(event.room_id, media, { position: 'next', temp: true })) {
+                        queued++;
+                    }
+                }
+                this.logger.info(`Queued ${queued} video(s) for event #${event.id} in ${event.room_id}`);
+            }
+        } else {
+            this.logger.info(`Event #${event.id} in ${event.room_id} started while nobody was there to announce it`);
+        }
+
+        if (event.recurrence) {
+            let next = nextOccurrence(event.recurrence, event.starts_at, event.timezone);
+            while (next <= Date.now()) {
+                next = nextOccurrence(event.recurrence, next, event.timezone);
+            }
+            await this.db.run('UPDATE channel_events SET starts_at = ?, announced = NULL WHERE id = ?', [next, event.id]);
+        } else {
+            await this.db.run("UPDATE channel_events SET status = 'finished' WHERE id = ?", [event.id]);
+        }
+
+        this.emit('event:started', { event, going, announced: announce });
+    }
+
+    /**
+     * Plain object for the API
+     */
+    toJSON(event, rsvps = null) {
+        return {
+            id: event.id,
+            room: event.room_id,
+            title: event.title,
+            description: event.description,
+            startsAt: new Date(event.starts_at).toISOString(),
+            recurrence: event.recurrence,
+            schedule: describeRecurrence(event.recurrence),
+            timezone: event.timezone,
+            playlist: event.playlist.map(media => ({ ...media, url: mediaLinkUrl(media.id, media.type) })),
+            status: event.status,
+            createdBy: event.created_by,
+            ...(rsvps ? { rsvps, going: rsvps.length } : {})
+        };
+    }
+}
@@ -0,0 +1,279 @@
+import { createLogger } from '../../utils/logger.js';
+import { InsufficientFundsError } from '../economy/index.js';
+import { StackFullError } from '../inventory/index.js';
+import { RODS, BAIT, DEFAULT_ROD, DEFAULT_BAIT, BAIT_PACK, baitPackPrice } from './tackle.js';
+import { SPOTS, resolveSpot, weatherBite, SpotWeather } from './spots.js';
+import { RARITIES, ROLL_TIERS, SPECIES, speciesAt } from './species.js';
+
+export { RODS, BAIT, BAIT_PACK, baitPackPrice } from './tackle.js';
+export { SPOTS, resolveSpot } from './spots.js';
+export { RARITIES, SPECIES } from './species.js';
+
+const SPECIAL_CHANCE = 0.01; // Treasure or a multi-catch, whatever the gear
+const RARITY_ORDER = ['common', 'uncommon', 'epic', 'rare', 'legendary'];
+
+const ERRORS = {
+    no_item: () => `dazza's not sellin' that. rods: ${Object.keys(RODS).filter(id => RODS[id].price > 0).join(', ')} | bait: ${Object.keys(BAIT).filter(id => BAIT[id].price > 0).join(', ')}`,
+    free_item: (result) => `${result.name}'s free mate, ya don't need to buy it`,
+    owned: (result) => `ya already got a ${result.name}`,
+    broke: (result) => `that's $${result.cost} and ya can't cover it`,
+    bag_full: (result) => `ya tackle box only fits ${result.stack} ${result.name}s`,
+    no_spot: () => `never heard of it. spots: ${Object.keys(SPOTS).join(', ')}`,
+    rod_too_small: (result) => `ya need at least a ${result.rod} to bother fishin' the ${result.spot}`,
+    no_bait: (result) => `ya outta ${result.bait} and can't afford one ($${result.cost}), use a worm ya cheapskate`
+};
+
+/**
+ * Turn a fishing error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'somethin\'s snapped in the tackle box'))(result);
+}
+
+function randomBetween({ min, max }, rng) {
+    return rng() * (max - min) + min;
+}
+
+/**
+ * Fishing progression for !fish
+ * Users buy rods (kept, best one used) and bait packs (one used per cast) with
+ * economy money; both live in their inventory. Gear, lucky charms and the
+ * spot's weather scale the catch roll, each spot has its own species, and
+ * every fish is logged for personal bests and the species collection.
+ */
+export class FishingManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('FishingManager');
+        this.weather = new SpotWeather();
+    }
+
+    async getGear(username) {
+        const items = await this.bot.inventoryManager.getItems(username);
+
+        const rods = [DEFAULT_ROD, ...items.filter(item => item.kind === 'rod' && RODS[item.id]).map(item => item.id)];
+        const bait = {};
+        for (const item of items.filter(item => item.kind === 'bait' && BAIT[item.id])) {
+            bait[item.id] = item.quantity;
+        }
+
+        const rod = rods.reduce((best, id) => RODS[id].tier > RODS[best].tier ? id : best, DEFAULT_ROD);
+        return { rods, rod, bait };
+    }
+
+    /**
+     * Buy a rod, or packs of bait
+     * @returns {Promise<{success: boolean, kind?: string, name?: string, cost?: number, quantity?: number, error?: string}>}
+     */
+    async buy(username, itemId, packs = 1, roomId = null) {
+        const id = (itemId || '').toLowerCase();
+        const kind = RODS[id] ? 'rod' : BAIT[id] ? 'bait' : null;
+        if (!kind) {
+            return { success: false, error: 'no_item' };
+        }
+
+        const item = kind === 'rod' ? RODS[id] : BAIT[id];
+        if (item.price === 0) {
+            return { success: false, error: 'free_item', name: item.name };
+        }
+
+        const quantity = kind === 'rod' ? 1 : BAIT_PACK * Math.max(1, packs);
+        const cost = kind === 'rod' ? item.price : baitPackPrice(id) * Math.max(1, packs);
+
+        try {
+            return await this.db.transaction(async () => {
+                await this.bot.heistManager.updateUserEconomy(username, -cost, 0, {
+                    type: kind === 'rod' ? 'fishing_gear' : 'fishing_bait',
+                    description: kind === 'rod' ? item.name : `${quantity}x ${item.name} bait`,
+                    roomId,
+                    requireFunds: true
+                });
+                await this.bot.inventoryManager.addItem(username, id, quantity, { reason: 'tackle_shop', roomId });
+
+                this.logger.info(`${username} bought ${quantity}x ${id} for $${cost}`);
+                return { success: true, kind, name: item.name, cost, quantity };
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', cost };
+            }
+            if (error instanceof StackFullError) {
+                return kind === 'rod'
+                    ? { success: false, error: 'owned', name: item.name }
+                    : { success: false, error: 'bag_full', name: item.name, stack: error.stack };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Take a bait for a cast: free bait is always there, otherwise one from the
+     * tackle box or bought on the spot at the unit price
+     * @returns {Promise<{bought: number}|null>} null when they can't get one
+     */
+    async takeBait(username, baitId, gear, roomId) {
+        const bait = BAIT[baitId];
+        if (bait.price === 0) return { bought: 0 };
+
+        if (gear.bait[baitId] > 0) {
+            await this.bot.inventoryManager.removeItem(username, baitId, 1, { reason: 'fishing', roomId });
+            return { bought: 0 };
+        }
+
+        try {
+            await this.bot.heistManager.updateUserEconomy(username, -bait.price, 0, {
+                type: 'fishing_bait',
+                description: `${bait.name} bait`,
+                roomId,
+                requireFunds: true
+            });
+            return { bought: bait.price };
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Cast a line. Uses up the bait and works out what bit, but doesn't pay
+     * out or log the catch - that's up to the caller
+     * @param {Object} options - { spot, bait, roomId, rng }; a random spot the rod can handle if none given
+     * @returns {Promise<Object>} { success, spotId, spot, baitId, rodId, weather, outcome, species?, weight?, bought }
+     *   outcome is 'special', 'trash', 'nothing' or a rarity
+     */
+    async cast(username, { spot: spotInput = null, bait: baitId = DEFAULT_BAIT, roomId = null, rng = Math.random } = {}) {
+        const gear = await this.getGear(username);
+        const rod = RODS[gear.rod];
+
+        let spotId;
+        if (spotInput) {
+            spotId = resolveSpot(spotInput);
+            if (!spotId) {
+                return { success: false, error: 'no_spot' };
+            }
+            if (SPOTS[spotId].minTier > rod.tier) {
+                const needed = Object.values(RODS).find(candidate => candidate.tier === SPOTS[spotId].minTier);
+                return { success: false, error: 'rod_too_small', rod: needed.name, spot: SPOTS[spotId].name };
+            }
+        } else {
+            const open = Object.keys(SPOTS).filter(id => SPOTS[id].minTier <= rod.tier);
+            spotId = open[Math.floor(rng() * open.length)];
+        }
+        const spot = SPOTS[spotId];
+
+        const taken = await this.takeBait(username, baitId, gear, roomId);
+        if (!taken) {
+            return { success: false, error: 'no_bait', bait: BAIT[baitId].name, cost: BAIT[baitId].price };
+        }
+
+        const weather = this.weather.get(spotId);
+        const result = {
+            success: true,
+            spotId,
+            spot,
+            baitId,
+            rodId: gear.rod,
+            weather,
+            bought: taken.bought,
+            baitLeft: BAIT[baitId].price > 0 ? Math.max(0, (gear.bait[baitId] || 0) - 1) : null
+        };
+
+        if (rng() < SPECIAL_CHANCE) {
+            return { ...result, outcome: 'special' };
+        }
+
+        // Lucky charms from the inventory stack with the gear
+        const effects = await this.bot.inventoryManager.getEffects(username);
+        const luck = 1 + (effects.luck || 0) + (effects.fishing_luck || 0);
+        const roll = Math.min(1, rng() * spot.quality * BAIT[baitId].bonus * rod.bonus * weatherBite(spot, weather) * luck);
+        const outcome = ROLL_TIERS.find(tier => roll < tier.below).outcome;
+        if (!RARITIES[outcome]) {
+            return { ...result, outcome };
+        }
+
+        // Spots without anything that rare hand out the next best thing
+        let rarity = outcome;
+        let candidates = speciesAt(spotId, spot, rarity);
+        while (candidates.length === 0) {
+            rarity = RARITY_ORDER[RARITY_ORDER.indexOf(rarity) - 1];
+            candidates = speciesAt(spotId, spot, rarity);
+        }
+
+        const species = candidates[Math.floor(rng() * candidates.length)];
+        const range = RARITIES[rarity];
+        const weight = Math.round(randomBetween(range.weight, rng) * 10) / 10;
+        const value = Math.floor(randomBetween(range.value, rng)) + Math.floor(weight * 2);
+
+        return { ...result, outcome: rarity, species: species.name, weight, value };
+    }
+
+    /**
+     * Log a landed fish
+     * @returns {Promise<{personalBest: boolean, previousBest: number|null, newSpecies: boolean}>}
+     */
+    async recordCatch(username, cast, roomId = null) {
+        const previous = await this.db.get(
+            'SELECT MAX(weight) as best FROM fishing_catches WHERE username = ? AND species = ?',
+            [username, cast.species]
+        );
+
+        await this.db.run(`
+            INSERT INTO fishing_catches (username, species, rarity, weight, value, spot, bait, rod, room_id, caught_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [username, cast.species, cast.outcome, cast.weight, cast.value, cast.spotId, cast.baitId, cast.rodId, roomId, Date.now()]);
+
+        const previousBest = previous?.best ?? null;
+        return {
+            newSpecies: previousBest === null,
+            personalBest: previousBest !== null && cast.weight > previousBest,
+            previousBest
+        };
+    }
+
+    async getRecentCatches(username, limit = 5) {
+        return this.db.all(
+            'SELECT species, rarity, weight, value, spot, caught_at FROM fishing_catches WHERE username = ? ORDER BY id DESC LIMIT ?',
+            [username, limit]
+        );
+    }
+
+    /**
+     * Heaviest of each species a user's caught, heaviest first
+     */
+    async getPersonalBests(username, limit = 10) {
+        return this.db.all(`
+            SELECT species, rarity, MAX(weight) as weight, COUNT(*) as caught
+            FROM fishing_catches WHERE username = ?
+            GROUP BY species ORDER BY weight DESC LIMIT ?
+        `, [username, limit]);
+    }
+
+    /**
+     * How much of the species list a user's ticked off
+     * @returns {Promise<{caught: number, total: number, percent: number, byRarity: Object}>}
+     */
+    async getCollection(username) {
+        const rows = await this.db.all(
+            'SELECT DISTINCT species FROM fishing_catches WHERE username = ?',
+            [username]
+        );
+        const caught = new Set(rows.map(row => row.species));
+        const known = SPECIES.filter(species => caught.has(species.name));
+
+        const byRarity = {};
+        for (const rarity of RARITY_ORDER) {
+            byRarity[rarity] = {
+                caught: known.filter(species => species.rarity === rarity).length,
+                total: SPECIES.filter(species => species.rarity === rarity).length
+            };
+        }
+
+        return {
+            caught: known.length,
+            total: SPECIES.length,
+            percent: Math.floor(known.length / SPECIES.length * 100),
+            byRarity
+        };
+    }
+}
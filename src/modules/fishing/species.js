@@ -0,0 +1,101 @@
+// Weight and value ranges per rarity (value gets a weight bonus on top)
+export const RARITIES = {
+    common: { value: { min: 1, max: 5 }, weight: { min: 0.2, max: 2 }, emoji: '🐟', trust: 0 },
+    uncommon: { value: { min: 5, max: 15 }, weight: { min: 1, max: 5 }, emoji: '🐠', trust: 0 },
+    epic: { value: { min: 20, max: 50 }, weight: { min: 5, max: 20 }, emoji: '🌟', trust: 1 },
+    rare: { value: { min: 40, max: 80 }, weight: { min: 8, max: 30 }, emoji: '🦈', trust: 2 },
+    legendary: { value: { min: 100, max: 200 }, weight: { min: 20, max: 100 }, emoji: '🐋', trust: 3 }
+};
+
+// Catch roll thresholds, checked in order: below trash is rubbish, below
+// nothing is an empty hook, the rest are fish
+export const ROLL_TIERS = [
+    { below: 0.15, outcome: 'trash' },
+    { below: 0.25, outcome: 'nothing' },
+    { below: 0.55, outcome: 'common' },
+    { below: 0.80, outcome: 'uncommon' },
+    { below: 0.925, outcome: 'epic' },
+    { below: 0.975, outcome: 'rare' },
+    { below: Infinity, outcome: 'legendary' }
+];
+
+// Every species there is to catch. water is 'fresh', 'salt' or 'any'; spots
+// pins a species to particular spots instead
+export const SPECIES = [
+    // Common
+    { name: 'Bream', rarity: 'common', water: 'salt' },
+    { name: 'Flathead', rarity: 'common', water: 'salt' },
+    { name: 'Whiting', rarity: 'common', water: 'salt' },
+    { name: 'Mullet', rarity: 'common', water: 'any' },
+    { name: 'Catfish', rarity: 'common', water: 'fresh' },
+    { name: 'Leather Jacket', rarity: 'common', water: 'salt' },
+    { name: 'Toadfish', rarity: 'common', water: 'salt' },
+    { name: 'Puffer Fish', rarity: 'common', water: 'salt' },
+    { name: 'Garfish', rarity: 'common', water: 'salt' },
+    { name: 'Dart', rarity: 'common', water: 'salt' },
+    { name: 'Luderick', rarity: 'common', water: 'salt' },
+    { name: 'Yellowtail', rarity: 'common', water: 'salt' },
+    { name: 'Redfin', rarity: 'common', water: 'fresh' },
+    { name: 'Carp', rarity: 'common', water: 'fresh' },
+    { name: 'Flounder', rarity: 'common', water: 'salt' },
+    { name: 'Mutant Goldfish', rarity: 'common', spots: ['drain', 'pond'] },
+
+    // Uncommon
+    { name: 'Snapper', rarity: 'uncommon', water: 'salt' },
+    { name: 'Tailor', rarity: 'uncommon', water: 'salt' },
+    { name: 'Salmon', rarity: 'uncommon', water: 'salt' },
+    { name: 'Kingfish', rarity: 'uncommon', water: 'salt' },
+    { name: 'Trevally', rarity: 'uncommon', water: 'salt' },
+    { name: 'Mackerel', rarity: 'uncommon', water: 'salt' },
+    { name: 'Morwong', rarity: 'uncommon', water: 'salt' },
+    { name: 'Pearl Perch', rarity: 'uncommon', water: 'salt' },
+    { name: 'John Dory', rarity: 'uncommon', water: 'salt' },
+    { name: 'Bass', rarity: 'uncommon', water: 'fresh' },
+    { name: 'Silver Perch', rarity: 'uncommon', water: 'fresh' },
+    { name: 'Eel', rarity: 'uncommon', water: 'fresh' },
+    { name: 'Yabby the Size of Ya Forearm', rarity: 'uncommon', spots: ['creek', 'pond'] },
+
+    // Epic
+    { name: 'Giant Snapper', rarity: 'epic', water: 'salt' },
+    { name: 'King Salmon', rarity: 'epic', water: 'salt' },
+    { name: 'Monster Flathead', rarity: 'epic', water: 'salt' },
+    { name: 'Prize Jewfish', rarity: 'epic', water: 'salt' },
+    { name: 'Golden Perch', rarity: 'epic', water: 'fresh' },
+    { name: 'Trophy Barramundi', rarity: 'epic', water: 'fresh' },
+    { name: 'Red Emperor', rarity: 'epic', spots: ['rockpool', 'harbour'] },
+    { name: 'Coral Trout', rarity: 'epic', spots: ['rockpool', 'secret'] },
+    { name: 'Drain Python', rarity: 'epic', spots: ['drain'] },
+
+    // Rare
+    { name: 'Barramundi', rarity: 'rare', water: 'fresh' },
+    { name: 'Murray Cod', rarity: 'rare', spots: ['river'] },
+    { name: 'Massive Mulloway', rarity: 'rare', water: 'salt' },
+    { name: 'Spanish Mackerel', rarity: 'rare', water: 'salt' },
+    { name: 'Mahi Mahi', rarity: 'rare', water: 'salt' },
+    { name: 'Wahoo', rarity: 'rare', water: 'salt' },
+    { name: 'Yellowfin Tuna', rarity: 'rare', water: 'salt' },
+    { name: 'Cobia', rarity: 'rare', water: 'salt' },
+    { name: 'Saratoga', rarity: 'rare', water: 'fresh' },
+    { name: 'Bull Shark', rarity: 'rare', spots: ['river', 'harbour'] },
+
+    // Legendary
+    { name: 'Black Marlin', rarity: 'legendary', spots: ['harbour', 'secret'] },
+    { name: 'Great White', rarity: 'legendary', spots: ['beach', 'secret'] },
+    { name: 'Tiger Shark', rarity: 'legendary', water: 'salt' },
+    { name: 'Giant Trevally', rarity: 'legendary', water: 'salt' },
+    { name: 'Bluefin Tuna', rarity: 'legendary', spots: ['harbour', 'secret'] },
+    { name: 'Sailfish', rarity: 'legendary', spots: ['secret'] },
+    { name: 'Swordfish', rarity: 'legendary', spots: ['secret'] },
+    { name: 'Mako Shark', rarity: 'legendary', spots: ['beach', 'harbour'] },
+    { name: 'Bunyip', rarity: 'legendary', spots: ['creek', 'river'] }
+];
+
+/**
+ * Species that can be caught at a spot, optionally of one rarity
+ */
+export function speciesAt(spotId, spot, rarity = null) {
+    return SPECIES.filter(species =>
+        (!rarity || species.rarity === rarity) &&
+        (species.spots ? species.spots.includes(spotId) : species.water === 'any' || species.water === spot.water)
+    );
+}
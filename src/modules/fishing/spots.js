@@ -0,0 +1,89 @@
+import { getRandomWeather, formatWeather } from '../pissing_contest/weather.js';
+
+// Where ya can wet a line. quality scales the catch roll, water decides which
+// species live there, minTier is the rod tier needed to bother, and exposed
+// spots cop the wind
+export const SPOTS = {
+    creek: { name: 'Local Creek', description: 'behind the bottlo', quality: 0.7, water: 'fresh', minTier: 0, exposed: false },
+    pond: { name: 'Council Pond', description: 'next to the skate park', quality: 0.6, water: 'fresh', minTier: 0, exposed: false },
+    drain: { name: 'Storm Drain', description: 'dodgy but sometimes lucky', quality: 0.5, water: 'fresh', minTier: 0, exposed: false },
+    river: { name: 'River', description: 'under the bridge', quality: 0.8, water: 'fresh', minTier: 1, exposed: true },
+    jetty: { name: 'Jetty', description: 'at the boat ramp', quality: 0.85, water: 'salt', minTier: 0, exposed: true },
+    rockpool: { name: 'Rock Pool', description: 'down by the point', quality: 0.75, water: 'salt', minTier: 1, exposed: true },
+    beach: { name: 'Beach', description: 'near the surf club', quality: 0.9, water: 'salt', minTier: 2, exposed: true },
+    harbour: { name: 'Harbour', description: 'where the big boats are', quality: 0.95, water: 'salt', minTier: 3, exposed: true },
+    secret: { name: 'Secret Spot', description: 'Davo\'s special place', quality: 1.0, water: 'salt', minTier: 4, exposed: true }
+};
+
+export const SPOT_ALIASES = {
+    harbor: 'harbour',
+    'rock pool': 'rockpool',
+    rocks: 'rockpool',
+    stormdrain: 'drain',
+    storm_drain: 'drain',
+    davos: 'secret'
+};
+
+// How the pissing contest weather goes down with the fish (multiplies the
+// catch roll). Wind only counts at exposed spots
+const WEATHER_BITE = {
+    'Dead Still': 1.0,
+    'Light Breeze': 1.02,
+    'Gusty as Fuck': 0.95,
+    'Cyclone Warning': 0.8,
+    'Dust Storm': 0.9,
+    'Willy Willy': 0.97,
+    'Freezing Me Nuts Off': 0.9,
+    'Bit Nippy': 0.97,
+    'Not Too Shabby': 1.0,
+    'Bloody Hot': 1.02,
+    'Satan\'s Armpit': 0.92,
+    'Humid as Balls': 1.03,
+    'Pissing Rain': 1.06,
+    'Hailstorm': 0.85,
+    'Lightning Storm': 0.9
+};
+
+export function resolveSpot(input) {
+    if (!input) return null;
+    const key = input.toLowerCase();
+    return SPOTS[key] ? key : SPOT_ALIASES[key] || null;
+}
+
+/**
+ * Bite multiplier for a spot in some weather
+ */
+export function weatherBite(spot, weather) {
+    let bite = WEATHER_BITE[weather.temperature?.name] ?? 1;
+    if (spot.exposed) {
+        bite *= WEATHER_BITE[weather.wind?.name] ?? 1;
+    }
+    if (weather.special) {
+        bite *= WEATHER_BITE[weather.special.name] ?? 1;
+    }
+    return bite;
+}
+
+/**
+ * Weather at each spot, rerolled every so often so it's the same for everyone
+ * fishing there in the meantime
+ */
+export class SpotWeather {
+    constructor(duration = 60 * 60 * 1000) {
+        this.duration = duration;
+        this.current = new Map(); // spotId -> { weather, until }
+    }
+
+    get(spotId, now = Date.now()) {
+        let entry = this.current.get(spotId);
+        if (!entry || now >= entry.until) {
+            entry = { weather: getRandomWeather(), until: now + this.duration };
+            this.current.set(spotId, entry);
+        }
+        return entry.weather;
+    }
+
+    describe(spotId) {
+        return formatWeather(this.get(spotId));
+    }
+}
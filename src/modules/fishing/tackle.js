@@ -0,0 +1,30 @@
+// Rods are bought once and kept; the best one you own is always the one you use.
+// tier gates the fussier spots, bonus multiplies the catch roll like bait does
+export const RODS = {
+    kmart: { name: 'Kmart Special', price: 0, tier: 0, bonus: 1.00, description: 'bent, but it\'s yours' },
+    telescopic: { name: 'Telescopic Rod', price: 150, tier: 1, bonus: 1.02, description: 'fits in the ute' },
+    surf: { name: 'Surf Rod', price: 400, tier: 2, bonus: 1.04, description: 'casts past the breakers' },
+    baitcaster: { name: 'Baitcaster', price: 900, tier: 3, bonus: 1.06, description: 'what the tournament blokes use' },
+    game: { name: 'Game Rod', price: 2000, tier: 4, bonus: 1.08, description: 'for things bigger than you' }
+};
+
+export const DEFAULT_ROD = 'kmart';
+
+// Bait is used up one per cast. Free bait never runs out; the rest is bought
+// in packs, or one at a time at the unit price if ya cast without any
+export const BAIT = {
+    worm: { name: 'worm', price: 0, bonus: 1.00 },
+    ciggie_butt: { name: 'ciggie butt', price: 0, bonus: 0.97 },
+    servo_pie: { name: 'servo pie', price: 5, bonus: 1.01 },
+    lure: { name: 'lure', price: 15, bonus: 1.02 },
+    prawn: { name: 'prawn', price: 25, bonus: 1.024 },
+    squid: { name: 'squid', price: 40, bonus: 1.03 }
+};
+
+export const DEFAULT_BAIT = 'worm';
+export const BAIT_PACK = 5; // Bait bought per pack
+export const BAIT_PACK_DISCOUNT = 0.8; // Packs are cheaper than buying at the water
+
+export function baitPackPrice(baitId) {
+    return Math.ceil(BAIT[baitId].price * BAIT_PACK * BAIT_PACK_DISCOUNT);
+}
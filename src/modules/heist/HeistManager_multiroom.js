@@ -1,7 +1,11 @@
 import { createLogger } from '../../utils/logger.js';
 import EventEmitter from 'events';
 import { contentLoader } from './contentLoader.js';
-import { normalizeUsernameForDb, getCanonicalUsername } from '../../utils/usernameNormalizer.js';
+import { normalizeUsernameForDb } from '../../utils/usernameNormalizer.js';
+import { EconomyLedger, WORLD, InsufficientFundsError } from '../economy/index.js';
+import { TRUST_LEVELS } from './trust.js';
+import { rollStage, rollHaul } from './simulation.js';
+import { createRng, randomSeed } from '../../utils/rng.js';
 
 /**
  * Room-aware heist economy system
@@ -15,6 +19,9 @@ export class HeistManager extends EventEmitter {
         this.bot = bot;
         this.logger = createLogger('HeistManager');
         
+        // Every balance change is posted to the ledger
+        this.ledger = new EconomyLedger(db, bot);
+        
         // State machine
         this.states = {
             IDLE: 'IDLE',
@@ -30,6 +37,8 @@ export class HeistManager extends EventEmitter {
         this.currentHeistId = null;
         this.currentHeistRoom = null; // Room where current heist started
         this.currentHeistCrimes = []; // Currently offered crimes
+        this.currentCrime = null; // Crime being pulled, held onto so a content reload can't swap it mid-job
+        this.currentSeed = null; // Seed the job's stages and haul are rolled from, see simulation.js
         
         // Room-specific tracking
         this.roomStates = new Map(); // roomId -> { activeUsers, messageCount, votes }
@@ -40,13 +49,14 @@ export class HeistManager extends EventEmitter {
             MAX_WAIT_HOURS: 10,
             MIN_CRIME_DURATION: 20 * 60 * 1000,
             MAX_CRIME_DURATION: 40 * 60 * 1000,
-            VOTING_DURATION: 1 * 60 * 1000,
+            VOTING_DURATION: 2 * 60 * 1000, // Long enough to vote, claim a role and gear up
             MIN_ACTIVE_USERS: 2,
             MIN_MESSAGES: 5,
             ACTIVITY_WINDOW: 60 * 60 * 1000,
             TRUST_VOTE_BONUS: 1,
             TRUST_SUCCESS_BONUS: 2,
-            TRUST_FAILURE_PENALTY: -1
+            TRUST_FAILURE_PENALTY: -1,
+            TRUST_DROPOUT_PENALTY: -2
         };
         
         // Timers
@@ -193,6 +203,15 @@ export class HeistManager extends EventEmitter {
                 room = activity.room;
             }
             
+            // Nothing to offer if the content didn't load
+            if (contentLoader.getCrimes(room).length === 0) {
+                this.logger.warn(`No heist crimes loaded for room ${room}, rescheduling`);
+                this.currentState = this.states.IDLE;
+                await this.setConfig('heist_state', this.currentState);
+                this.scheduleRandomHeist();
+                return;
+            }
+            
             this.currentHeistRoom = room;
             await this.setConfig('heist_room', room);
             
@@ -206,9 +225,10 @@ export class HeistManager extends EventEmitter {
             // Select crimes
             const selectedCrimes = this.selectRandomCrimes(3);
             this.currentHeistCrimes = selectedCrimes;
+            await this.setConfig('heist_crimes', JSON.stringify(selectedCrimes));
             
             // Generate announcement
-            const announcement = contentLoader.generateAnnouncement(selectedCrimes);
+            const announcement = contentLoader.generateAnnouncement(selectedCrimes, room);
             
             // Clear room votes for new heist
             const roomState = this.getRoomState(room);
@@ -221,8 +241,16 @@ export class HeistManager extends EventEmitter {
                 roomId: room
             });
             
+            if (Object.keys(contentLoader.getRoles(this.currentHeistRoom)).length > 0) {
+                this.emit('comment', {
+                    message: 'vote for a job then !crew to claim a role or gear up before we head off',
+                    roomId: room
+                });
+            }
+            
             // Schedule voting end
             this.stateTimer = setTimeout(() => this.endVoting(), this.config.VOTING_DURATION);
+            await this.setConfig('state_timer_end', String(Date.now() + this.config.VOTING_DURATION));
             
             // Transition to voting state
             this.currentState = this.states.VOTING;
@@ -248,7 +276,7 @@ export class HeistManager extends EventEmitter {
         }
         
         // Normalize username
-        const canonical = getCanonicalUsername(username);
+        const canonical = await normalizeUsernameForDb(this.bot, username);
         const roomState = this.getRoomState(roomId);
         
         // Check if user already voted (for tracking changes)
@@ -265,8 +293,13 @@ export class HeistManager extends EventEmitter {
             return { success: false, message: 'Invalid crime type' };
         }
         
-        // Record vote
+        // Record vote, voting puts you in the crew
         roomState.votes.set(canonical, crimeType);
+        await this.db.run(`
+            INSERT INTO heist_crew (heist_id, username, room_id, vote, joined_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(heist_id, username) DO UPDATE SET vote = excluded.vote
+        `, [this.currentHeistId, canonical, roomId, crimeType, Date.now()]);
         
         // Get or create user
         await this.getOrCreateUser(canonical);
@@ -289,6 +322,147 @@ export class HeistManager extends EventEmitter {
         return { success: true };
     }
 
+    // Crew for the current heist, in the order they signed up
+    async getCrew(heistId = this.currentHeistId) {
+        const rows = await this.db.all(
+            'SELECT * FROM heist_crew WHERE heist_id = ? ORDER BY joined_at, username',
+            [heistId]
+        );
+        return rows.map(row => ({ ...row, gear: JSON.parse(row.gear || '[]') }));
+    }
+
+    async getCrewMember(username) {
+        const normalizedUsername = await normalizeUsernameForDb(this.bot, username);
+        const row = await this.db.get(
+            'SELECT * FROM heist_crew WHERE heist_id = ? AND username = ?',
+            [this.currentHeistId, normalizedUsername]
+        );
+        return row ? { ...row, gear: JSON.parse(row.gear || '[]') } : null;
+    }
+
+    // Roles and gear can only be sorted out while the vote's open, in the heist room
+    checkCrewOpen(roomId) {
+        if (this.currentState !== this.states.VOTING) {
+            return { success: false, message: 'no heist crew gettin\' together right now' };
+        }
+        if (roomId !== this.currentHeistRoom) {
+            return { success: false, message: 'the crew\'s meetin\' up in another room mate' };
+        }
+        return null;
+    }
+
+    /**
+     * Claim a crew role (driver, lookout, safecracker) for the heist being voted on.
+     * Gated on trust level, one person per role, and you have to have voted
+     */
+    async claimRole(username, roleId, roomId) {
+        const closed = this.checkCrewOpen(roomId);
+        if (closed) return closed;
+
+        const role = contentLoader.getRoles(this.currentHeistRoom)[roleId];
+        if (!role) {
+            return { success: false, message: `no such role. pick from ${Object.keys(contentLoader.getRoles(this.currentHeistRoom)).join(', ')}` };
+        }
+
+        const member = await this.getCrewMember(username);
+        if (!member) {
+            return { success: false, message: 'vote for a job first, then ya can pick a role' };
+        }
+        if (member.role === roleId) {
+            return { success: false, message: `you're already the ${role.name}` };
+        }
+
+        const { trust, trustLevel } = await this.getUserBalance(member.username);
+        if (!this.meetsTrustLevel(trust, role.min_level)) {
+            return {
+                success: false,
+                message: `nah, ${role.name} needs ${role.min_level} or better and you're a ${trustLevel.title}`
+            };
+        }
+
+        const holder = await this.db.get(
+            'SELECT username FROM heist_crew WHERE heist_id = ? AND role = ? AND username != ?',
+            [this.currentHeistId, roleId, member.username]
+        );
+        if (holder) {
+            return { success: false, message: `${holder.username}'s already the ${role.name}` };
+        }
+
+        await this.db.run(
+            'UPDATE heist_crew SET role = ? WHERE heist_id = ? AND username = ?',
+            [roleId, this.currentHeistId, member.username]
+        );
+
+        this.logger.debug(`${member.username} is the ${roleId} for heist ${this.currentHeistId}`);
+        return { success: true, username: member.username, role, previous: member.role };
+    }
+
+    /**
+     * Buy gear for the heist being voted on. Paid up front and gone whether the job comes off or not
+     */
+    async buyGear(username, itemId, roomId) {
+        const closed = this.checkCrewOpen(roomId);
+        if (closed) return closed;
+
+        const item = contentLoader.getGear(this.currentHeistRoom)[itemId];
+        if (!item) {
+            return { success: false, message: `dazza's not sellin' that. got ${Object.keys(contentLoader.getGear(this.currentHeistRoom)).join(', ')}` };
+        }
+
+        try {
+            return await this.db.transaction(async () => {
+                const member = await this.getCrewMember(username);
+                if (!member) {
+                    return { success: false, message: 'vote for a job first, then ya can gear up' };
+                }
+                if (member.gear.includes(itemId)) {
+                    return { success: false, message: `ya already got a ${item.name}` };
+                }
+
+                await this.updateUserEconomy(member.username, -item.price, 0, {
+                    type: 'heist_gear',
+                    description: `Heist #${this.currentHeistId} ${item.name}`,
+                    roomId,
+                    requireFunds: true
+                });
+
+                const gear = [...member.gear, itemId];
+                await this.db.run(
+                    'UPDATE heist_crew SET gear = ?, gear_spent = gear_spent + ? WHERE heist_id = ? AND username = ?',
+                    [JSON.stringify(gear), item.price, this.currentHeistId, member.username]
+                );
+
+                return { success: true, username: member.username, item, gear };
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, message: `a ${item.name} is $${item.price} and ya can't cover it` };
+            }
+            throw error;
+        }
+    }
+
+    // Give back what the crew spent on gear for a heist that never went ahead
+    async refundGear() {
+        if (!this.currentHeistId) return;
+
+        const crew = await this.getCrew();
+        for (const member of crew) {
+            if (member.gear_spent <= 0) continue;
+            await this.db.transaction(async () => {
+                await this.updateUserEconomy(member.username, member.gear_spent, 0, {
+                    type: 'heist_gear_refund',
+                    description: `Heist #${this.currentHeistId} called off`,
+                    roomId: member.room_id
+                });
+                await this.db.run(
+                    'UPDATE heist_crew SET gear_spent = 0 WHERE heist_id = ? AND username = ?',
+                    [this.currentHeistId, member.username]
+                );
+            });
+        }
+    }
+
     // Execute heist with participants from specific room
     async executeHeist() {
         try {
@@ -320,25 +494,30 @@ export class HeistManager extends EventEmitter {
             }
             
             // Get crime data
-            const crimeData = contentLoader.crimes.find(c => c.type === winningCrime);
+            const crimeData = contentLoader.getCrimeById(winningCrime, this.currentHeistRoom);
+            if (!crimeData) {
+                throw new Error(`Crime ${winningCrime} is no longer in the heist content`);
+            }
+            this.currentCrime = crimeData;
+            this.currentSeed = randomSeed();
             
             // Record participants - only from the heist room
             const participants = Array.from(votes.keys());
             for (const username of participants) {
                 await this.db.run(
-                    'INSERT INTO heist_participants (heist_id, username, crime_voted) VALUES (?, ?, ?)',
-                    [this.currentHeistId, username, votes.get(username)]
+                    'INSERT OR IGNORE INTO heist_participants (heist_id, username, vote, participated_at) VALUES (?, ?, ?, ?)',
+                    [this.currentHeistId, username, votes.get(username), Date.now()]
                 );
             }
             
             // Update heist record
             await this.db.run(
-                'UPDATE heist_events SET status = ?, crime_type = ?, participant_count = ? WHERE id = ?',
-                ['in_progress', winningCrime, participants.length, this.currentHeistId]
+                'UPDATE heist_events SET status = ?, crime_type = ?, participant_count = ?, seed = ? WHERE id = ?',
+                ['in_progress', winningCrime, participants.length, this.currentSeed, this.currentHeistId]
             );
             
             // Generate and emit departure message with room context
-            const departureMsg = contentLoader.generateDeparture(crimeData, participants);
+            const departureMsg = contentLoader.generateDeparture(crimeData, participants, this.currentHeistRoom);
             this.emit('depart', {
                 message: departureMsg,
                 crime: crimeData,
@@ -346,12 +525,28 @@ export class HeistManager extends EventEmitter {
                 roomId: this.currentHeistRoom
             });
             
+            // Call out who's doing what
+            const roles = contentLoader.getRoles(this.currentHeistRoom);
+            const crew = (await this.getCrew()).filter(member => roles[member.role]);
+            if (crew.length > 0) {
+                const names = crew.map(member => `${member.username} (${roles[member.role].name})`).join(', ');
+                this.emit('comment', {
+                    message: contentLoader.getRandomComment('crew_formed', { crew: names }, this.currentHeistRoom),
+                    roomId: this.currentHeistRoom
+                });
+            }
+            
             // Calculate crime duration
             const duration = this.config.MIN_CRIME_DURATION + 
                 Math.random() * (this.config.MAX_CRIME_DURATION - this.config.MIN_CRIME_DURATION);
             
-            // Schedule heist completion
-            this.stateTimer = setTimeout(() => this.completeHeist(), duration);
+            await this.setConfig('current_crime_id', winningCrime);
+            await this.setConfig('heist_seed', String(this.currentSeed));
+            await this.setConfig('heist_stage', '0');
+            await this.setConfig('state_timer_end', String(Math.floor(Date.now() + duration)));
+            
+            // Stages play out spread across the job
+            await this.scheduleStage(contentLoader.getStages(crimeData).length);
             
             this.logger.info(`Heist ${this.currentHeistId} executing ${winningCrime} with ${participants.length} participants from room ${this.currentHeistRoom}`);
             
@@ -361,30 +556,98 @@ export class HeistManager extends EventEmitter {
         }
     }
 
-    // Complete heist and distribute rewards to room participants
+    // Space the stages left out over the time left on the job
+    async scheduleStage(stagesLeft) {
+        const end = parseInt(await this.getConfig('state_timer_end')) || Date.now();
+        const wait = Math.max(end - Date.now(), 0) / Math.max(stagesLeft, 1);
+        this.stateTimer = setTimeout(() => this.advanceStage(), wait);
+    }
+
+    // Skip the wait and play out whatever stages are left right now
     async completeHeist() {
+        if (this.stateTimer) {
+            clearTimeout(this.stateTimer);
+            this.stateTimer = null;
+        }
+        await this.advanceStage(true);
+    }
+
+    // Play the next stage of the heist, then schedule the one after (or run it straight away)
+    async advanceStage(immediate = false) {
+        if (this.currentState !== this.states.IN_PROGRESS) return;
+        
         try {
-            this.currentState = this.states.DISTRIBUTING;
-            await this.setConfig('heist_state', this.currentState);
+            const crime = this.currentCrime;
+            if (!crime) {
+                throw new Error('No crime in progress');
+            }
             
-            // Get heist data
-            const heist = await this.db.get(
-                'SELECT * FROM heist_events WHERE id = ?',
-                [this.currentHeistId]
-            );
+            const stages = contentLoader.getStages(crime);
+            const index = parseInt(await this.getConfig('heist_stage')) || 0;
+            const success = await this.runStage(stages[index]);
+            
+            if (!success || index + 1 >= stages.length) {
+                await this.finishHeist(crime, success);
+                return;
+            }
             
-            const crimeData = contentLoader.crimes.find(c => c.type === heist.crime_type);
+            await this.setConfig('heist_stage', String(index + 1));
+            if (immediate) {
+                await this.advanceStage(true);
+            } else {
+                await this.scheduleStage(stages.length - index - 1);
+            }
+        } catch (error) {
+            this.logger.error('Failed to run heist stage:', error);
+            await this.handleError();
+        }
+    }
+
+    // Roll dropouts then the stage itself (odds in simulation.js). Returns whether the crew got through
+    async runStage(stage) {
+        const crew = (await this.getCrew()).filter(member => !member.dropped_stage);
+        const { stayed, dropped, bailed, success } = rollStage(stage, crew, this.currentHeistRoom, createRng(this.currentSeed, stage.id));
+        
+        for (const member of dropped) {
+            await this.db.run(
+                'UPDATE heist_crew SET dropped_stage = ? WHERE heist_id = ? AND username = ?',
+                [stage.id, this.currentHeistId, member.username]
+            );
+            this.emitComment(contentLoader.getStageLine(stage, 'dropout', { username: member.username }));
+        }
+        
+        if (bailed) {
+            this.emitComment(contentLoader.getRandomComment('everyone_bailed', {}, this.currentHeistRoom));
+            return false;
+        }
+        
+        this.emitComment(contentLoader.getStageLine(stage, success ? 'success' : 'failure'));
+        
+        this.logger.debug(`Heist ${this.currentHeistId} stage ${stage.id}: ${success ? 'through' : 'failed'}, ${stayed.length}/${crew.length} crew left`);
+        return success;
+    }
+
+    emitComment(message) {
+        if (!message) return;
+        this.emit('comment', {
+            message,
+            roomId: this.currentHeistRoom
+        });
+    }
+
+    // Settle the heist and distribute rewards to room participants
+    async finishHeist(crimeData, success) {
+        try {
+            this.currentState = this.states.DISTRIBUTING;
+            await this.setConfig('heist_state', this.currentState);
             
-            // Determine success
-            const successRoll = Math.random();
-            const success = successRoll < crimeData.success_rate;
+            const crew = await this.getCrew();
+            const finishers = crew.filter(member => !member.dropped_stage);
             
-            // Calculate total haul
+            // The haul is sized on the whole crew that set out, shared by whoever made it back
             let totalHaul = 0;
-            if (success) {
-                const baseAmount = crimeData.min_payout + 
-                    Math.random() * (crimeData.max_payout - crimeData.min_payout);
-                totalHaul = Math.floor(baseAmount * heist.participant_count);
+            if (success && finishers.length > 0) {
+                totalHaul = rollHaul(crimeData, crew.length, createRng(this.currentSeed, 'haul'));
             }
             
             // Update heist record
@@ -394,7 +657,7 @@ export class HeistManager extends EventEmitter {
             );
             
             // Generate return message
-            const returnMsg = contentLoader.generateReturn(crimeData, heist.participant_count, success, totalHaul);
+            const returnMsg = contentLoader.generateReturn(crimeData, finishers.length, success, totalHaul, this.currentHeistRoom);
             
             // Emit return event with room context
             this.emit('return', {
@@ -404,13 +667,12 @@ export class HeistManager extends EventEmitter {
                 roomId: this.currentHeistRoom
             });
             
-            // Distribute money to participants from the heist room
-            if (totalHaul > 0) {
-                await this.distributeMoney(totalHaul, success);
-            }
+            await this.distributeMoney(totalHaul, success, crew);
             
             // Transition to cooldown
             this.currentState = this.states.COOLDOWN;
+            this.currentCrime = null;
+            this.currentSeed = null;
             await this.setConfig('heist_state', this.currentState);
             
             // Clear heist room
@@ -428,53 +690,70 @@ export class HeistManager extends EventEmitter {
         }
     }
 
-    // Distribute money only to participants from the heist room
-    async distributeMoney(totalHaul, success) {
+    /**
+     * Split the haul between the crew who made it back, weighted by their role's cut,
+     * and settle everyone's trust. Crew who bailed get nothing and lose trust
+     */
+    async distributeMoney(totalHaul, success, crew) {
         try {
-            // Get participants
-            const participants = await this.db.all(
-                'SELECT username, crime_voted FROM heist_participants WHERE heist_id = ?',
-                [this.currentHeistId]
-            );
+            if (crew.length === 0) return;
             
-            if (participants.length === 0) return;
+            const roles = contentLoader.getRoles(this.currentHeistRoom);
+            const finishers = crew.filter(member => !member.dropped_stage);
+            const weights = finishers.map(member => roles[member.role]?.cut || 1);
+            const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
             
-            // Calculate individual shares
-            const sharePerPerson = Math.floor(totalHaul / participants.length);
+            const payouts = finishers.map((member, i) => ({
+                username: member.username,
+                amount: Math.floor(totalHaul * weights[i] / totalWeight)
+            }));
+            // Rounding leftovers go to whoever signed up first
+            if (payouts.length > 0) {
+                payouts[0].amount += totalHaul - payouts.reduce((sum, p) => sum + p.amount, 0);
+            }
             
-            const payouts = [];
+            const entries = crew.map(member => {
+                const payout = payouts.find(p => p.username === member.username);
+                let trustChange = this.config.TRUST_DROPOUT_PENALTY;
+                if (payout) {
+                    trustChange = success ? this.config.TRUST_SUCCESS_BONUS : this.config.TRUST_FAILURE_PENALTY;
+                }
+                return {
+                    username: member.username,
+                    amount: payout?.amount || 0,
+                    trustChange
+                };
+            });
             
-            for (const participant of participants) {
-                const username = participant.username;
-                
-                // Update balance
-                await this.modifyUserBalance(username, sharePerPerson);
-                
-                // Update trust
-                const trustChange = success ? 
-                    this.config.TRUST_SUCCESS_BONUS : 
-                    this.config.TRUST_FAILURE_PENALTY;
-                await this.modifyUserTrust(username, trustChange);
+            await this.db.transaction(async () => {
+                for (const entry of entries) {
+                    await this.getOrCreateUser(entry.username);
+                }
                 
-                // Record payout
-                await this.db.run(
-                    'INSERT INTO heist_payouts (heist_id, username, amount, created_at) VALUES (?, ?, ?, ?)',
-                    [this.currentHeistId, username, sharePerPerson, Date.now()]
-                );
+                await this.ledger.post({
+                    type: 'heist',
+                    description: `Heist #${this.currentHeistId} ${success ? 'payout' : 'failed'}`,
+                    roomId: this.currentHeistRoom,
+                    entries
+                });
                 
-                payouts.push({
-                    username: username,
-                    amount: sharePerPerson
+                for (const payout of payouts) {
+                    await this.db.run(
+                        'UPDATE heist_crew SET payout = ? WHERE heist_id = ? AND username = ?',
+                        [payout.amount, this.currentHeistId, payout.username]
+                    );
+                }
+            });
+            
+            if (totalHaul > 0) {
+                // Emit payout event with room context
+                this.emit('payout', {
+                    payouts: payouts.filter(p => p.amount > 0),
+                    roomId: this.currentHeistRoom
                 });
             }
             
-            // Emit payout event with room context
-            this.emit('payout', {
-                payouts: payouts,
-                roomId: this.currentHeistRoom
-            });
-            
-            this.logger.debug(`Distributed $${totalHaul} to ${participants.length} participants`);
+            this.logger.debug(`Distributed $${totalHaul} to ${finishers.length} of ${crew.length} crew`);
             
         } catch (error) {
             this.logger.error('Failed to distribute money:', error);
@@ -529,21 +808,89 @@ export class HeistManager extends EventEmitter {
         return user || { username: normalizedUsername, balance: 0, trust: 50, trust_score: 50 };
     }
 
-    async modifyUserBalance(username, amount) {
+    async modifyUserBalance(username, amount, entry = {}) {
+        return this.updateUserEconomy(username, amount, 0, entry);
+    }
+    
+    /**
+     * Change a user's balance (and optionally trust) through the ledger
+     * entry: { type, description, roomId, counterparty, requireFunds } - counterparty defaults to @world
+     */
+    async updateUserEconomy(username, amount, trustChange = 0, entry = {}) {
+        if (this.isSystemUser(username)) {
+            this.logger.warn(`Attempted to change economy for system user: ${username}`);
+            return null;
+        }
+        
         const normalizedUsername = await normalizeUsernameForDb(this.bot, username);
+        await this.getOrCreateUser(normalizedUsername);
         
-        await this.db.run(
-            'UPDATE user_economy SET balance = balance + ? WHERE username = ?',
-            [amount, normalizedUsername]
-        );
+        return this.ledger.post({
+            type: entry.type || 'adjustment',
+            description: entry.description,
+            roomId: entry.roomId,
+            entries: [{
+                username: normalizedUsername,
+                amount,
+                trustChange,
+                counterparty: entry.counterparty || WORLD,
+                requireFunds: entry.requireFunds
+            }]
+        });
     }
     
-    // Compatibility method for commands that use the old signature
-    async updateUserEconomy(username, amount, trustChange = 0) {
-        await this.modifyUserBalance(username, amount);
-        if (trustChange !== 0) {
-            await this.modifyUserTrust(username, trustChange);
+    async deductMoney(username, amount, entry = {}) {
+        return this.updateUserEconomy(username, -amount, 0, entry);
+    }
+    
+    /**
+     * Move money between two users in one ledger transfer.
+     * Throws InsufficientFundsError if the sender can't cover it.
+     * entry: { type, description, roomId, fromType, toType, fromTrust, toTrust }
+     */
+    async transferMoney(from, to, amount, entry = {}) {
+        const fromUser = await normalizeUsernameForDb(this.bot, from);
+        const toUser = await normalizeUsernameForDb(this.bot, to);
+        await this.getOrCreateUser(fromUser);
+        await this.getOrCreateUser(toUser);
+        
+        return this.ledger.post({
+            type: entry.type || 'transfer',
+            description: entry.description,
+            roomId: entry.roomId,
+            entries: [
+                { username: fromUser, amount: -amount, trustChange: entry.fromTrust || 0, counterparty: toUser, type: entry.fromType, requireFunds: true },
+                { username: toUser, amount, trustChange: entry.toTrust || 0, counterparty: fromUser, type: entry.toType }
+            ]
+        });
+    }
+    
+    /**
+     * Split money from one user across several others in one ledger transfer
+     * shares: [{ username, amount }]
+     */
+    async splitMoney(from, shares, entry = {}) {
+        const fromUser = await normalizeUsernameForDb(this.bot, from);
+        await this.getOrCreateUser(fromUser);
+        
+        const entries = [];
+        let total = 0;
+        for (const share of shares) {
+            if (share.amount <= 0) continue;
+            const username = await normalizeUsernameForDb(this.bot, share.username);
+            await this.getOrCreateUser(username);
+            entries.push({ username, amount: share.amount, counterparty: fromUser });
+            total += share.amount;
         }
+        
+        entries.unshift({ username: fromUser, amount: -total, counterparty: entries.map(e => e.username).join(',') });
+        
+        return this.ledger.post({
+            type: entry.type || 'split',
+            description: entry.description,
+            roomId: entry.roomId,
+            entries
+        });
     }
 
     async modifyUserTrust(username, amount) {
@@ -565,12 +912,14 @@ export class HeistManager extends EventEmitter {
     }
 
     getTrustLevel(trust) {
-        if (trust >= 90) return { title: "Made Man", icon: "👑" };
-        if (trust >= 75) return { title: "Career Criminal", icon: "💀" };
-        if (trust >= 60) return { title: "Seasoned Crim", icon: "🔫" };
-        if (trust >= 40) return { title: "Petty Crim", icon: "🔪" };
-        if (trust >= 20) return { title: "Snitch Risk", icon: "🐀" };
-        return { title: "Rat", icon: "🐁" };
+        const level = TRUST_LEVELS.find(level => trust >= level.min) || TRUST_LEVELS[TRUST_LEVELS.length - 1];
+        return { title: level.title, icon: level.icon };
+    }
+
+    // Whether trust reaches the named level (e.g. 'Petty Crim')
+    meetsTrustLevel(trust, title) {
+        const level = TRUST_LEVELS.find(level => level.title === title);
+        return level ? trust >= level.min : false;
     }
 
     async getUserBalance(username) {
@@ -633,12 +982,12 @@ export class HeistManager extends EventEmitter {
 
     // Crime selection
     selectRandomCrimes(count = 3) {
-        const availableCrimes = [...contentLoader.crimes];
+        const availableCrimes = [...contentLoader.getCrimes(this.currentHeistRoom)];
         const selected = [];
         
         for (let i = 0; i < Math.min(count, availableCrimes.length); i++) {
             const index = Math.floor(Math.random() * availableCrimes.length);
-            selected.push(availableCrimes[index].type);
+            selected.push(availableCrimes[index].id);
             availableCrimes.splice(index, 1);
         }
         
@@ -711,8 +1060,14 @@ export class HeistManager extends EventEmitter {
     // Error handling
     async handleError() {
         this.logger.error('Heist error - resetting to idle state');
+        try {
+            await this.refundGear();
+        } catch (error) {
+            this.logger.error('Failed to refund heist gear:', error);
+        }
         this.currentState = this.states.IDLE;
         this.currentHeistRoom = null;
+        this.currentCrime = null;
         await this.setConfig('heist_state', this.currentState);
         await this.setConfig('heist_room', null);
         this.scheduleRandomHeist();
@@ -738,6 +1093,15 @@ export class HeistManager extends EventEmitter {
         this.currentHeistId = lastHeist.id;
         
         // Resume based on state
+        // Votes and the offered crimes were saved as they came in
+        const crew = await this.getCrew();
+        const votes = this.getRoomState(this.currentHeistRoom).votes;
+        votes.clear();
+        for (const member of crew) {
+            votes.set(member.username, member.vote);
+        }
+        this.currentHeistCrimes = JSON.parse(await this.getConfig('heist_crimes') || '[]');
+        
         switch (savedState) {
             case this.states.VOTING:
                 // Resume voting with short timer
@@ -745,15 +1109,27 @@ export class HeistManager extends EventEmitter {
                     roomId: this.currentHeistRoom
                 });
                 this.stateTimer = setTimeout(() => this.endVoting(), 30000); // 30 seconds to finish voting
+                await this.setConfig('state_timer_end', String(Date.now() + 30000));
                 break;
                 
-            case this.states.IN_PROGRESS:
-                // Resume heist in progress
+            case this.states.IN_PROGRESS: {
+                // Resume heist in progress from the stage it got up to, finishing within a minute
                 this.emit('resume_progress', {
                     roomId: this.currentHeistRoom
                 });
-                this.stateTimer = setTimeout(() => this.completeHeist(), 60000); // Complete in 1 minute
+                const crime = contentLoader.getCrimeById(await this.getConfig('current_crime_id'), this.currentHeistRoom);
+                if (!crime) {
+                    await this.handleError();
+                    break;
+                }
+                this.currentCrime = crime;
+                this.currentSeed = parseInt(await this.getConfig('heist_seed')) || lastHeist.seed || randomSeed();
+                const stagesLeft = contentLoader.getStages(crime).length - (parseInt(await this.getConfig('heist_stage')) || 0);
+                const end = Math.min(parseInt(await this.getConfig('state_timer_end')) || Infinity, Date.now() + 60000);
+                await this.setConfig('state_timer_end', String(Math.max(end, Date.now())));
+                await this.scheduleStage(stagesLeft);
                 break;
+            }
                 
             default:
                 await this.handleError();
@@ -785,7 +1161,7 @@ export class HeistManager extends EventEmitter {
             }
             
             // Also check if they typed the full crime name
-            const crimeData = contentLoader.crimes.find(c => c.type === crime);
+            const crimeData = contentLoader.getCrimeById(crime, this.currentHeistRoom);
             if (crimeData) {
                 // Check for the crime name (e.g., "rob servo")
                 if (message.toLowerCase().includes(crimeData.name.toLowerCase())) {
@@ -816,7 +1192,7 @@ export class HeistManager extends EventEmitter {
         if (roomState.votes.size === 0) {
             // No votes received
             this.emit('comment', {
-                message: contentLoader.getRandomComment('no_votes'),
+                message: contentLoader.getRandomComment('no_votes', {}, this.currentHeistRoom),
                 roomId: this.currentHeistRoom
             });
             
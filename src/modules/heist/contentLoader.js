@@ -1,11 +1,57 @@
-import { readFile } from 'fs/promises';
-import { join, dirname } from 'path';
+import { readFile, readdir } from 'fs/promises';
+import { join, dirname, basename, relative } from 'path';
 import { fileURLToPath } from 'url';
 import { createLogger } from '../../utils/logger.js';
+import { parseContent } from './contentSchema.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const logger = createLogger('HeistContent');
 
+const ROOT_DIR = join(__dirname, '../../..');
+const CONTENT_DIR = join(__dirname, 'content');
+const ROOMS_DIR = join(ROOT_DIR, 'rooms');
+
+export const CONTENT_FILES = ['crimes', 'announcements', 'departure', 'outcomes', 'payout', 'crew'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Objects merge key by key and line pools add the room's lines to the defaults
+function mergeDeep(base, extra) {
+    if (Array.isArray(base) && Array.isArray(extra)) return [...base, ...extra];
+    if (!isObject(base) || !isObject(extra)) return extra;
+
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(extra)) {
+        merged[key] = key in base ? mergeDeep(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Lay a room pack file over the default one. Crimes with the same id replace the
+ * default crime, new ones are added; everything else merges (see mergeDeep).
+ * "replace": true in the pack file throws the default away instead
+ */
+function mergePack(name, base, pack) {
+    const { replace, ...extra } = pack;
+    if (replace || !base) return extra;
+
+    if (name === 'crimes') {
+        const ids = new Set(extra.crimes.map(crime => crime.id));
+        return { ...base, crimes: [...base.crimes.filter(crime => !ids.has(crime.id)), ...extra.crimes] };
+    }
+    return mergeDeep(base, extra);
+}
+
+/**
+ * Heist content: the defaults in content/*.json plus per-room packs in
+ * rooms/<room>/heist/*.json. Every file is checked against the schemas in
+ * contentSchema.js; a file that doesn't parse or validate is reported with
+ * file:line:column and skipped, keeping the last good copy if there was one,
+ * so bad content never takes the bot down.
+ *
+ * Lookups take an optional roomId and fall back to the defaults.
+ */
 class HeistContentLoader {
     constructor() {
         this.content = {
@@ -13,60 +59,212 @@ class HeistContentLoader {
             announcements: null,
             departure: null,
             outcomes: null,
-            payout: null
+            payout: null,
+            crew: null
         };
+        this.rooms = new Map(); // roomId -> content with the room's pack laid over the defaults
+        this.lastGood = new Map(); // file path -> last copy that validated
+        this.errors = [];
         this.loaded = false;
     }
 
     async loadContent() {
         if (this.loaded) return;
+        await this.reload();
+    }
+
+    /**
+     * Read every content file again and swap the lot in one go.
+     * Never throws, problems come back in errors
+     * @returns {Promise<{errors: string[], crimes: number, rooms: string[]}>}
+     */
+    async reload() {
+        const errors = [];
+        const content = {};
+        for (const name of CONTENT_FILES) {
+            content[name] = await this.loadFile(join(CONTENT_DIR, `${name}.json`), name, errors);
+        }
 
+        const rooms = new Map();
+        for (const roomId of await this.findRoomPacks()) {
+            const dir = join(ROOMS_DIR, roomId, 'heist');
+            const roomContent = { ...content };
+            const files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort();
+            for (const file of files) {
+                const name = basename(file, '.json');
+                if (!CONTENT_FILES.includes(name)) {
+                    errors.push(`${relative(ROOT_DIR, join(dir, file))}: not a heist content file (use ${CONTENT_FILES.map(n => `${n}.json`).join(', ')})`);
+                    continue;
+                }
+                const pack = await this.loadFile(join(dir, file), name, errors);
+                if (pack) {
+                    roomContent[name] = mergePack(name, content[name], pack);
+                }
+            }
+            rooms.set(roomId, roomContent);
+        }
+
+        this.content = content;
+        this.rooms = rooms;
+        this.errors = errors;
+        this.loaded = true;
+
+        for (const error of errors) {
+            logger.warn(`Heist content: ${error}`);
+        }
+        logger.info(`Heist content loaded: ${this.getCrimes().length} crimes, ${rooms.size} room pack(s), ${errors.length} problem(s)`);
+
+        return { errors, crimes: this.getCrimes().length, rooms: [...rooms.keys()] };
+    }
+
+    // Rooms that have a rooms/<room>/heist directory
+    async findRoomPacks() {
+        let entries;
         try {
-            const contentDir = join(__dirname, 'content');
-            
-            // Load all JSON files
-            this.content.crimes = await this.loadJSON(join(contentDir, 'crimes.json'));
-            this.content.announcements = await this.loadJSON(join(contentDir, 'announcements.json'));
-            this.content.departure = await this.loadJSON(join(contentDir, 'departure.json'));
-            this.content.outcomes = await this.loadJSON(join(contentDir, 'outcomes.json'));
-            this.content.payout = await this.loadJSON(join(contentDir, 'payout.json'));
-            
-            this.loaded = true;
-            logger.info('Heist content loaded successfully');
-        } catch (error) {
-            logger.error('Failed to load heist content:', error);
-            throw new Error('Failed to load heist content files');
+            entries = await readdir(ROOMS_DIR, { withFileTypes: true });
+        } catch {
+            return [];
+        }
+
+        const rooms = [];
+        for (const entry of entries.filter(entry => entry.isDirectory())) {
+            try {
+                await readdir(join(ROOMS_DIR, entry.name, 'heist'));
+                rooms.push(entry.name);
+            } catch {
+                // No heist pack for this room
+            }
         }
+        return rooms.sort();
     }
 
-    async loadJSON(filepath) {
+    /**
+     * Read, parse and validate one file. Returns the data, or the last good
+     * copy (null if there isn't one) after adding what's wrong to errors
+     */
+    async loadFile(filepath, name, errors) {
+        const label = relative(ROOT_DIR, filepath);
+        let text;
         try {
-            const data = await readFile(filepath, 'utf8');
-            return JSON.parse(data);
+            text = await readFile(filepath, 'utf8');
         } catch (error) {
-            logger.error(`Failed to load ${filepath}:`, error);
-            throw error;
+            errors.push(`${label}: can't read it (${error.code || error.message})`);
+            return this.lastGood.get(filepath) || null;
         }
+
+        const result = parseContent(name, text);
+        if (result.errors.length > 0) {
+            const kept = this.lastGood.has(filepath) ? ', keeping the last good copy' : '';
+            for (const error of result.errors) {
+                errors.push(`${label}:${error.line}:${error.column} ${error.pointer || '/'} ${error.message}${kept}`);
+            }
+            return this.lastGood.get(filepath) || null;
+        }
+
+        this.lastGood.set(filepath, result.data);
+        return result.data;
+    }
+
+    // Content for a room, the defaults if it hasn't got a pack
+    contentFor(roomId) {
+        return (roomId && this.rooms.get(roomId)) || this.content;
     }
 
     // Get a random item from an array
     getRandom(array) {
+        if (!array?.length) return null;
         return array[Math.floor(Math.random() * array.length)];
     }
 
     // Get all crimes
-    getCrimes() {
-        return this.content.crimes?.crimes || [];
+    getCrimes(roomId = null) {
+        return this.contentFor(roomId).crimes?.crimes || [];
     }
 
     // Get crime by ID
-    getCrimeById(id) {
-        return this.getCrimes().find(crime => crime.id === id);
+    getCrimeById(id, roomId = null) {
+        return this.getCrimes(roomId).find(crime => crime.id === id);
+    }
+
+    // Stages a crime plays out in. Crimes without stages are one roll at their success_rate
+    getStages(crime) {
+        if (crime.stages?.length) return crime.stages;
+        return [{
+            id: 'job',
+            name: crime.name,
+            success_rate: crime.success_rate,
+            dropout_rate: 0,
+            key_role: null
+        }];
+    }
+
+    // Crew roles keyed by id (driver, lookout, safecracker)
+    getRoles(roomId = null) {
+        return this.contentFor(roomId).crew?.roles || {};
+    }
+
+    // Gear shop items keyed by id
+    getGear(roomId = null) {
+        return this.contentFor(roomId).crew?.gear || {};
+    }
+
+    // Caps on what roles and gear can do to the odds
+    getCrewLimits(roomId = null) {
+        return { gear_bonus: 0.15, min_success: 0.05, max_success: 0.95, ...this.contentFor(roomId).crew?.limits };
+    }
+
+    // Fill {placeholders} in a line
+    fill(template, values = {}) {
+        return Object.entries(values).reduce(
+            (line, [key, value]) => line.replaceAll(`{${key}}`, value),
+            template
+        );
+    }
+
+    // Get a stage result line ('success', 'failure' or 'dropout')
+    getStageLine(stage, outcome, values = {}) {
+        const lines = stage[outcome];
+        if (!lines?.length) return null;
+        return this.fill(this.getRandom(lines), values);
+    }
+
+    // Get a random general comment (no_votes, crew_formed, everyone_bailed)
+    getRandomComment(type, values = {}, roomId = null) {
+        const comments = this.contentFor(roomId).announcements?.comments?.[type];
+        if (!comments?.length) return null;
+        return this.fill(this.getRandom(comments), values);
+    }
+
+    // Announcement listing the crimes up for a vote
+    generateAnnouncement(crimeIds, roomId = null) {
+        const names = crimeIds.map(id => this.getCrimeById(id, roomId)?.name || id);
+        const list = names.length > 1
+            ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+            : names[0];
+        const template = this.getAnnouncement(this.getTimeContext(), roomId) || '{crimes}?';
+        return this.fill(template, { crimes: list });
+    }
+
+    // Departure message for the winning crime
+    generateDeparture(crime, participants, roomId = null) {
+        let context = 'standard';
+        if (participants.length <= 1) {
+            context = 'solo';
+        } else if (participants.length >= 4) {
+            context = 'with_mates';
+        }
+        const template = this.getDeparture(context, roomId) || '{crime} time';
+        return this.fill(template, { crime: crime.name });
+    }
+
+    // Return message once the heist is settled
+    generateReturn(crime, participantCount, success, haul, roomId = null) {
+        return this.getOutcome(success, haul, crime, participantCount <= 1, roomId);
     }
 
     // Get random announcement based on context
-    getAnnouncement(context = 'standard') {
-        const announcements = this.content.announcements?.announcements;
+    getAnnouncement(context = 'standard', roomId = null) {
+        const announcements = this.contentFor(roomId).announcements?.announcements;
         if (!announcements) return null;
         
         // Try to get context-specific announcement, fall back to standard
@@ -75,8 +273,8 @@ class HeistContentLoader {
     }
 
     // Get departure message based on context
-    getDeparture(context = 'standard') {
-        const departures = this.content.departure?.departure;
+    getDeparture(context = 'standard', roomId = null) {
+        const departures = this.contentFor(roomId).departure?.departure;
         if (!departures) return null;
         
         const contextMessages = departures[context] || departures.standard;
@@ -84,8 +282,8 @@ class HeistContentLoader {
     }
 
     // Get outcome message based on success and haul size
-    getOutcome(success, haul, crime, isSolo = false) {
-        const outcomes = this.content.outcomes?.outcomes;
+    getOutcome(success, haul, crime, isSolo = false, roomId = null) {
+        const outcomes = this.contentFor(roomId).outcomes?.outcomes;
         if (!outcomes) return null;
 
         let category = 'standard';
@@ -120,6 +318,7 @@ class HeistContentLoader {
         }
 
         let message = this.getRandom(messagePool);
+        if (!message) return null;
         
         // Replace placeholders
         message = message.replace('{crime}', crime.name);
@@ -129,8 +328,8 @@ class HeistContentLoader {
     }
 
     // Get payout message
-    getPayoutMessage(distributions, totalAmount, isSolo = false) {
-        const payouts = this.content.payout?.payout;
+    getPayoutMessage(distributions, totalAmount, isSolo = false, roomId = null) {
+        const payouts = this.contentFor(roomId).payout?.payout;
         if (!payouts) return null;
 
         let category = 'standard';
@@ -198,8 +397,8 @@ class HeistContentLoader {
     }
 
     // Get payout comment for specific user
-    getPayoutComment(username, amount, trust, savedFromOffline = 0) {
-        const comments = this.content.payout?.payout_comments;
+    getPayoutComment(username, amount, trust, savedFromOffline = 0, roomId = null) {
+        const comments = this.contentFor(roomId).payout?.payout_comments;
         if (!comments || Math.random() > 0.3) return null; // Only comment 30% of the time
 
         let category = 'big_earner';
@@ -221,6 +420,7 @@ class HeistContentLoader {
         if (!commentPool) return null;
 
         let comment = this.getRandom(commentPool);
+        if (!comment) return null;
         return comment.replace('{username}', username);
     }
 
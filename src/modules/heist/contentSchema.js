@@ -0,0 +1,343 @@
+import { TRUST_LEVELS } from './trust.js';
+
+/**
+ * JSON schemas for the heist content files, a small validator for the subset
+ * of JSON Schema they use (type, required, properties, additionalProperties,
+ * items, enum, pattern, minItems, minLength, minimum, maximum) and a locator
+ * that maps JSON pointers back to line:column in the source text so a bad
+ * edit can be reported where it is.
+ */
+
+const rate = { type: 'number', minimum: 0, maximum: 1 };
+const lines = { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } };
+const pools = { type: 'object', additionalProperties: lines };
+const id = { type: 'string', pattern: '^[a-z0-9_]+$' };
+
+const stage = {
+    type: 'object',
+    required: ['id', 'name', 'success_rate'],
+    additionalProperties: false,
+    properties: {
+        id,
+        name: { type: 'string', minLength: 1 },
+        success_rate: rate,
+        dropout_rate: rate,
+        key_role: { type: ['string', 'null'] },
+        success: lines,
+        failure: lines,
+        dropout: lines
+    }
+};
+
+const crime = {
+    type: 'object',
+    required: ['id', 'name', 'min_payout', 'max_payout', 'success_rate'],
+    additionalProperties: false,
+    properties: {
+        id,
+        name: { type: 'string', minLength: 1 },
+        min_payout: { type: 'integer', minimum: 0 },
+        max_payout: { type: 'integer', minimum: 0 },
+        success_rate: rate,
+        aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+        stages: { type: 'array', minItems: 1, items: stage },
+        description: { type: 'string' },
+        difficulty: { enum: ['trivial', 'easy', 'medium', 'hard', 'extreme'] }
+    }
+};
+
+const role = {
+    type: 'object',
+    required: ['name', 'min_level', 'success_bonus', 'crew_bonus', 'dropout_modifier', 'cut'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        min_level: { enum: TRUST_LEVELS.map(level => level.title) },
+        success_bonus: rate,
+        crew_bonus: rate,
+        dropout_modifier: { type: 'number', minimum: 0 },
+        cut: { type: 'number', minimum: 0 },
+        description: { type: 'string' }
+    }
+};
+
+const gearItem = {
+    type: 'object',
+    required: ['name', 'price'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        price: { type: 'integer', minimum: 0 },
+        success_bonus: rate,
+        dropout_modifier: { type: 'number', minimum: 0 },
+        stages: { type: 'array', items: id },
+        description: { type: 'string' }
+    }
+};
+
+// Room packs can set "replace": true to swap a file out instead of adding to it
+const file = (properties, required = []) => ({
+    type: 'object',
+    required,
+    additionalProperties: false,
+    properties: { replace: { type: 'boolean' }, ...properties }
+});
+
+export const CONTENT_SCHEMAS = {
+    crimes: file({ crimes: { type: 'array', items: crime } }, ['crimes']),
+    announcements: file({ announcements: pools, comments: pools }, ['announcements']),
+    departure: file({ departure: pools }, ['departure']),
+    outcomes: file({
+        outcomes: {
+            type: 'object',
+            required: ['success', 'failure'],
+            properties: { success: pools, failure: pools, special: pools }
+        }
+    }, ['outcomes']),
+    payout: file({ payout: pools, payout_comments: pools }, ['payout']),
+    crew: file({
+        roles: { type: 'object', additionalProperties: role },
+        gear: { type: 'object', additionalProperties: gearItem },
+        limits: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { gear_bonus: rate, min_success: rate, max_success: rate }
+        }
+    })
+};
+
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {Array<{pointer: string, message: string}>}
+ */
+export function validate(schema, value, pointer = '') {
+    const errors = [];
+    const fail = (message) => errors.push({ pointer, message });
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`should be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail('should not be empty');
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`should match ${schema.pattern}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`should be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`should have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, `${pointer}/${index}`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) fail(`is missing "${key}"`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childPointer = `${pointer}/${escapePointer(key)}`;
+            const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (childSchema === false) {
+                errors.push({ pointer: childPointer, message: 'is not a known field' });
+            } else if (childSchema) {
+                errors.push(...validate(childSchema, child, childPointer));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Checks the schema can't express: payout ranges and duplicate ids
+ */
+export function checkContent(name, data) {
+    const errors = [];
+    if (name === 'crimes') {
+        const seen = new Set();
+        data.crimes.forEach((crime, index) => {
+            if (seen.has(crime.id)) {
+                errors.push({ pointer: `/crimes/${index}/id`, message: `duplicate crime id "${crime.id}"` });
+            }
+            seen.add(crime.id);
+            if (crime.max_payout < crime.min_payout) {
+                errors.push({ pointer: `/crimes/${index}/max_payout`, message: 'should be >= min_payout' });
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Map every JSON pointer in a JSON document to where it starts. Object members
+ * point at their key rather than the value. Throws a SyntaxError with line and
+ * column set at the first thing that isn't valid JSON
+ * @returns {Map<string, {line: number, column: number}>}
+ */
+export function locate(text) {
+    const positions = new Map();
+    let i = 0;
+    let line = 1;
+    let column = 1;
+
+    const fail = (message) => {
+        const error = new SyntaxError(message);
+        error.line = line;
+        error.column = column;
+        throw error;
+    };
+    const describe = () => (i < text.length ? `unexpected ${JSON.stringify(text[i])}` : 'unexpected end of file');
+    const advance = () => {
+        if (text[i] === '\n') {
+            line++;
+            column = 1;
+        } else {
+            column++;
+        }
+        i++;
+    };
+    const skipSpace = () => {
+        while (i < text.length && /\s/.test(text[i])) advance();
+    };
+    const expect = (char, what) => {
+        if (text[i] !== char) fail(`${describe()}, expected ${what}`);
+        advance();
+    };
+    const readString = () => {
+        const start = i;
+        advance();
+        while (text[i] !== '"') {
+            if (i >= text.length || text[i] === '\n') fail('unterminated string');
+            if (text[i] === '\\') advance();
+            advance();
+        }
+        advance();
+        try {
+            return JSON.parse(text.slice(start, i));
+        } catch {
+            return fail('bad escape in string');
+        }
+    };
+    const readValue = (pointer) => {
+        skipSpace();
+        if (!positions.has(pointer)) positions.set(pointer, { line, column });
+
+        if (text[i] === '{' || text[i] === '[') {
+            const isObject = text[i] === '{';
+            const close = isObject ? '}' : ']';
+            advance();
+            skipSpace();
+            for (let index = 0; text[i] !== close; index++) {
+                if (index > 0) {
+                    expect(',', `, or ${close}`);
+                    skipSpace();
+                    if (text[i] === close) fail(`trailing comma before ${close}`);
+                }
+                if (isObject) {
+                    if (text[i] !== '"') fail(`${describe()}, expected a "quoted" key`);
+                    const position = { line, column };
+                    const childPointer = `${pointer}/${escapePointer(readString())}`;
+                    positions.set(childPointer, position);
+                    skipSpace();
+                    expect(':', ':');
+                    readValue(childPointer);
+                } else {
+                    readValue(`${pointer}/${index}`);
+                }
+                skipSpace();
+            }
+            advance();
+        } else if (text[i] === '"') {
+            readString();
+        } else {
+            const start = { i, line, column };
+            while (i < text.length && !/[\s,\]}:]/.test(text[i])) advance();
+            const token = text.slice(start.i, i);
+            if (!/^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)$/.test(token)) {
+                ({ line, column } = start);
+                i = start.i;
+                fail(token ? `unexpected ${JSON.stringify(token)}` : describe());
+            }
+        }
+    };
+
+    readValue('');
+    skipSpace();
+    if (i < text.length) fail(`${describe()} after the end of the document`);
+    return positions;
+}
+
+// Line and column of a character offset
+function lineAt(text, offset) {
+    const before = text.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Parse and validate one content file
+ * @param {string} name - Which content file this is (crimes, crew, ...)
+ * @param {string} text - Raw file contents
+ * @returns {{ data: Object|null, errors: Array<{line, column, pointer, message}> }}
+ */
+export function parseContent(name, text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // JSON.parse doesn't always say where, the scanner does
+        try {
+            locate(text);
+        } catch (syntaxError) {
+            return { data: null, errors: [{ line: syntaxError.line, column: syntaxError.column, pointer: '', message: syntaxError.message }] };
+        }
+        const offset = error.message.match(/position (\d+)/);
+        const position = lineAt(text, offset ? parseInt(offset[1]) : text.length);
+        return { data: null, errors: [{ ...position, pointer: '', message: error.message }] };
+    }
+
+    const schema = CONTENT_SCHEMAS[name];
+    let errors = validate(schema, data);
+    if (errors.length === 0) errors = checkContent(name, data);
+    if (errors.length === 0) return { data, errors };
+
+    const positions = locate(text);
+    const find = (pointer) => {
+        for (let at = pointer; ; at = at.slice(0, at.lastIndexOf('/'))) {
+            if (positions.has(at)) return positions.get(at);
+            if (!at) return { line: 1, column: 1 };
+        }
+    };
+    return {
+        data: null,
+        errors: errors.map(error => ({ ...find(error.pointer), ...error }))
+    };
+}
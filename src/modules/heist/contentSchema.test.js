@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseContent, CONTENT_SCHEMAS } from './contentSchema.js';
+
+const contentDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'content');
+
+const crime = (fields = {}) => ({ id: 'servo', name: 'Rob the servo', min_payout: 100, max_payout: 500, success_rate: 0.6, ...fields });
+const crimes = (...list) => JSON.stringify({ crimes: list }, null, 4);
+
+// Just the errors, without the full messages where they're long
+const errors = (name, text) => parseContent(name, text).errors.map(({ line, column, pointer, message }) => ({ line, column, pointer, message }));
+
+// Test cases
+const testCases = [
+    // The files that ship with the bot
+    ...Object.keys(CONTENT_SCHEMAS).map(name => ({
+        run: () => errors(name, fs.readFileSync(path.join(contentDir, `${name}.json`), 'utf8')),
+        expected: [],
+        description: `Shipped ${name}.json is valid`
+    })),
+
+    // Valid files
+    { run: () => parseContent('crimes', crimes(crime())).data.crimes[0].id, expected: 'servo', description: 'Valid crime parses' },
+    { run: () => errors('crimes', JSON.stringify({ crimes: [], replace: true })), expected: [], description: 'Room packs can replace a file' },
+
+    // Schema errors, reported where they are
+    {
+        run: () => errors('crimes', crimes(crime({ success_rate: 1.5 }))),
+        expected: [{ line: 8, column: 13, pointer: '/crimes/0/success_rate', message: 'should be <= 1' }],
+        description: 'Out of range number'
+    },
+    {
+        run: () => errors('crimes', crimes(crime({ id: 'Servo Job' }))),
+        expected: [{ line: 4, column: 13, pointer: '/crimes/0/id', message: 'should match ^[a-z0-9_]+$' }],
+        description: 'Bad id'
+    },
+    {
+        run: () => errors('crimes', crimes(crime({ loot: 'heaps' }))),
+        expected: [{ line: 9, column: 13, pointer: '/crimes/0/loot', message: 'is not a known field' }],
+        description: 'Unknown field'
+    },
+    {
+        run: () => errors('crimes', crimes({ id: 'servo', name: 'Rob the servo', min_payout: 100, success_rate: 0.5 })),
+        expected: [{ line: 3, column: 9, pointer: '/crimes/0', message: 'is missing "max_payout"' }],
+        description: 'Missing required field'
+    },
+    {
+        run: () => errors('crimes', crimes(crime({ min_payout: '100' }))),
+        expected: [{ line: 6, column: 13, pointer: '/crimes/0/min_payout', message: 'should be integer, got string' }],
+        description: 'Wrong type'
+    },
+    {
+        run: () => errors('crimes', crimes(crime({ difficulty: 'spicy' }))).map(error => error.pointer),
+        expected: ['/crimes/0/difficulty'],
+        description: 'Not in an enum'
+    },
+    {
+        run: () => errors('announcements', JSON.stringify({ announcements: { start: [] } })).map(error => error.message),
+        expected: ['should have at least 1 item'],
+        description: 'Empty line pool'
+    },
+
+    // Checks the schema can't do
+    {
+        run: () => errors('crimes', crimes(crime({ min_payout: 500, max_payout: 100 }))).map(error => `${error.pointer} ${error.message}`),
+        expected: ['/crimes/0/max_payout should be >= min_payout'],
+        description: 'Payout range the wrong way round'
+    },
+    {
+        run: () => errors('crimes', crimes(crime(), crime())).map(error => `${error.pointer} ${error.message}`),
+        expected: ['/crimes/1/id duplicate crime id "servo"'],
+        description: 'Duplicate crime id'
+    },
+
+    // Broken JSON
+    {
+        run: () => errors('crimes', '{\n    "crimes": [\n        { "id": "servo", }\n    ]\n}').map(({ line, column }) => ({ line, column })),
+        expected: [{ line: 3, column: 26 }],
+        description: 'Trailing comma is pointed at'
+    },
+    {
+        run: () => errors('crimes', '{ "crimes": [] ').length,
+        expected: 1,
+        description: 'Unfinished document is one error'
+    },
+    { run: () => parseContent('crimes', '{ "crimes": [ ').data, expected: null, description: 'No data from broken JSON' }
+];
+
+console.log('Heist Content Schema Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
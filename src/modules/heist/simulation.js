@@ -0,0 +1,117 @@
+import { contentLoader } from './contentLoader.js';
+import { createRng } from '../../utils/rng.js';
+
+/**
+ * The dice side of a heist, with no chat, money or database in it.
+ * HeistManager rolls live heists through these off the seed stored on the
+ * heist, and src/scripts/simulate.js uses them to run thousands of jobs or
+ * replay a stored one. Each stage (and the haul) gets its own stream of the
+ * seed, so a heist resumed after a restart rolls the same as it would have.
+ *
+ * A crew member is a heist_crew row: { username, role, gear: [itemIds] }
+ */
+
+/**
+ * Odds of the crew getting through a stage. The stage's key role adds its
+ * success_bonus, any other role its crew_bonus, and gear that works on the
+ * stage adds up to limits.gear_bonus. Bonuses never push the odds past
+ * limits.max_success (or the base rate if that's already higher), and
+ * there's always at least a limits.min_success chance
+ */
+export function stageChance(stage, crew, roomId = null) {
+    const roles = contentLoader.getRoles(roomId);
+    const gear = contentLoader.getGear(roomId);
+    const limits = contentLoader.getCrewLimits(roomId);
+
+    let roleBonus = 0;
+    let gearBonus = 0;
+    for (const member of crew) {
+        const role = roles[member.role];
+        if (role) {
+            roleBonus += member.role === stage.key_role ? role.success_bonus : role.crew_bonus;
+        }
+        for (const itemId of member.gear) {
+            const item = gear[itemId];
+            if (item && (!item.stages || item.stages.includes(stage.id))) {
+                gearBonus += item.success_bonus || 0;
+            }
+        }
+    }
+
+    const chance = stage.success_rate + roleBonus + Math.min(gearBonus, limits.gear_bonus);
+    return Math.max(
+        Math.min(chance, Math.max(stage.success_rate, limits.max_success)),
+        limits.min_success
+    );
+}
+
+// Odds of a crew member bailing on a stage, roles and gear steady the nerves
+export function dropoutChance(stage, member, roomId = null) {
+    const roles = contentLoader.getRoles(roomId);
+    const gear = contentLoader.getGear(roomId);
+
+    let chance = stage.dropout_rate || 0;
+    chance *= roles[member.role]?.dropout_modifier ?? 1;
+    for (const itemId of member.gear) {
+        chance *= gear[itemId]?.dropout_modifier ?? 1;
+    }
+    return chance;
+}
+
+/**
+ * Roll dropouts then the stage itself, for the crew still on the job
+ * @returns {{stayed: Array, dropped: Array, bailed: boolean, success: boolean}}
+ *   bailed is true if the whole crew walked before the stage was even tried
+ */
+export function rollStage(stage, crew, roomId = null, rng = Math.random) {
+    const stayed = [];
+    const dropped = [];
+    for (const member of crew) {
+        if (rng() >= dropoutChance(stage, member, roomId)) {
+            stayed.push(member);
+        } else {
+            dropped.push(member);
+        }
+    }
+
+    if (crew.length > 0 && stayed.length === 0) {
+        return { stayed, dropped, bailed: true, success: false };
+    }
+
+    return { stayed, dropped, bailed: false, success: rng() < stageChance(stage, stayed, roomId) };
+}
+
+// The take from a successful job, sized on the whole crew that set out
+export function rollHaul(crime, crewSize, rng = Math.random) {
+    const baseAmount = crime.min_payout + rng() * (crime.max_payout - crime.min_payout);
+    return Math.floor(baseAmount * Math.max(crewSize, 1));
+}
+
+/**
+ * A whole heist from one seed, the way a live one would go with that crew
+ * @returns {Object} { seed, success, haul, finishers, stages: [{ id, success, bailed, dropped: [usernames] }] }
+ */
+export function simulateHeist(crime, crew, { seed, roomId = null } = {}) {
+    seed = createRng(seed).seed;
+    let remaining = crew;
+    let success = true;
+    const stages = [];
+
+    for (const stage of contentLoader.getStages(crime)) {
+        const rolled = rollStage(stage, remaining, roomId, createRng(seed, stage.id));
+        remaining = rolled.stayed;
+        stages.push({
+            id: stage.id,
+            success: rolled.success,
+            bailed: rolled.bailed,
+            dropped: rolled.dropped.map(member => member.username)
+        });
+        if (!rolled.success) {
+            success = false;
+            break;
+        }
+    }
+
+    const haul = success && remaining.length > 0 ? rollHaul(crime, crew.length, createRng(seed, 'haul')) : 0;
+    return { seed, success, haul, finishers: remaining.length, stages };
+}
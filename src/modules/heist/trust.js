@@ -0,0 +1,9 @@
+// Trust levels, best first. Crew roles in content/crew.json are gated on these titles
+export const TRUST_LEVELS = [
+    { min: 90, title: 'Made Man', icon: '👑' },
+    { min: 75, title: 'Career Criminal', icon: '💀' },
+    { min: 60, title: 'Seasoned Crim', icon: '🔫' },
+    { min: 40, title: 'Petty Crim', icon: '🔪' },
+    { min: 20, title: 'Snitch Risk', icon: '🐀' },
+    { min: 0, title: 'Rat', icon: '🐁' }
+];
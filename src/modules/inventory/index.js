@@ -0,0 +1,363 @@
+import { createLogger } from '../../utils/logger.js';
+import { InsufficientFundsError } from '../economy/index.js';
+import { ITEMS, ITEM_RARITIES, DROPS } from './items.js';
+
+export { ITEMS, ITEM_RARITIES, DROPS, resolveItem } from './items.js';
+
+const TRADE_TTL = 2 * 60 * 1000;
+
+export class NotEnoughItemsError extends Error {
+    constructor(username, itemId, quantity) {
+        super(`${username} doesn't have ${quantity}x ${itemId}`);
+        this.name = 'NotEnoughItemsError';
+        this.username = username;
+        this.itemId = itemId;
+        this.quantity = quantity;
+    }
+}
+
+export class StackFullError extends Error {
+    constructor(username, itemId, stack) {
+        super(`${username} can't hold more than ${stack}x ${itemId}`);
+        this.name = 'StackFullError';
+        this.username = username;
+        this.itemId = itemId;
+        this.stack = stack;
+    }
+}
+
+const ERRORS = {
+    no_item: () => 'never heard of it, check !inventory',
+    not_enough: (result) => `${result.username ? `${result.username} doesn't` : 'ya don\'t'} have ${result.quantity > 1 ? `${result.quantity}x ` : 'a '}${result.name}`,
+    full: (result) => `${result.username ? `${result.username} can't` : 'ya can\'t'} carry more than ${result.stack} ${result.name}`,
+    worthless: (result) => `nobody's payin' for ${result.name}`,
+    self: () => 'ya can\'t trade with yaself ya drongo',
+    broke: (result) => `${result.username ? `${result.username} can't` : 'ya can\'t'} cover the $${result.price}`,
+    no_trade: () => 'no trade waitin\' on ya'
+};
+
+/**
+ * Turn an inventory error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'somethin\'s fallen out the bottom of the bag'))(result);
+}
+
+/**
+ * Resolve a failed item move into an error result
+ */
+function itemFailure(error, extra = {}) {
+    if (error instanceof NotEnoughItemsError) {
+        return { success: false, error: 'not_enough', name: ITEMS[error.itemId].name, quantity: error.quantity, ...extra };
+    }
+    if (error instanceof StackFullError) {
+        return { success: false, error: 'full', name: ITEMS[error.itemId].name, stack: error.stack, username: error.username, ...extra };
+    }
+    if (error instanceof InsufficientFundsError) {
+        return { success: false, error: 'broke', ...extra };
+    }
+    throw error;
+}
+
+/**
+ * Items users hold, shared by every game
+ * Games award items (award), users sell, give and trade them, and any command
+ * can ask what an item does for someone (getEffect). Holdings follow the user
+ * across rooms like their balance; every movement is logged with its room in
+ * inventory_log.
+ */
+export class InventoryManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('InventoryManager');
+    }
+
+    /**
+     * Everything a user holds, rarest first
+     * @returns {Promise<Array<{id: string, quantity: number, name: string, rarity: string, ...}>>}
+     */
+    async getItems(username) {
+        const rows = await this.db.all(
+            'SELECT item_id, quantity FROM user_inventory WHERE username = ? AND quantity > 0',
+            [username]
+        );
+
+        return rows
+            .filter(row => ITEMS[row.item_id])
+            .map(row => ({ id: row.item_id, quantity: row.quantity, ...ITEMS[row.item_id] }))
+            .sort((a, b) => ITEM_RARITIES[b.rarity].order - ITEM_RARITIES[a.rarity].order || a.name.localeCompare(b.name));
+    }
+
+    async getQuantity(username, itemId) {
+        const row = await this.db.get(
+            'SELECT quantity FROM user_inventory WHERE username = ? AND item_id = ?',
+            [username, itemId]
+        );
+        return row?.quantity || 0;
+    }
+
+    async log(username, itemId, quantity, { reason, counterparty = null, roomId = null }) {
+        await this.db.run(`
+            INSERT INTO inventory_log (username, item_id, quantity, counterparty, reason, room_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [username, itemId, quantity, counterparty, reason, roomId || 'fatpizza', Date.now()]);
+    }
+
+    /**
+     * Put items in someone's inventory. Throws StackFullError if it won't fit
+     * @param {Object} entry - { reason, counterparty, roomId }
+     */
+    async addItem(username, itemId, quantity, entry) {
+        const item = ITEMS[itemId];
+        return this.db.transaction(async () => {
+            const held = await this.getQuantity(username, itemId);
+            if (held + quantity > item.stack) {
+                throw new StackFullError(username, itemId, item.stack);
+            }
+
+            const now = Date.now();
+            await this.db.run(`
+                INSERT INTO user_inventory (username, item_id, quantity, acquired_at, updated_at)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(username, item_id) DO UPDATE SET
+                    quantity = quantity + excluded.quantity,
+                    updated_at = excluded.updated_at
+            `, [username, itemId, quantity, now, now]);
+            await this.log(username, itemId, quantity, entry);
+            return held + quantity;
+        });
+    }
+
+    /**
+     * Take items out of someone's inventory. Throws NotEnoughItemsError if they're short
+     * @param {Object} entry - { reason, counterparty, roomId }
+     */
+    async removeItem(username, itemId, quantity, entry) {
+        return this.db.transaction(async () => {
+            const result = await this.db.run(
+                'UPDATE user_inventory SET quantity = quantity - ?, updated_at = ? WHERE username = ? AND item_id = ? AND quantity >= ?',
+                [quantity, Date.now(), username, itemId, quantity]
+            );
+            if (result.changes === 0) {
+                throw new NotEnoughItemsError(username, itemId, quantity);
+            }
+
+            await this.db.run('DELETE FROM user_inventory WHERE username = ? AND item_id = ? AND quantity <= 0', [username, itemId]);
+            await this.log(username, itemId, -quantity, entry);
+        });
+    }
+
+    /**
+     * The best value of an effect across everything a user holds
+     * @returns {Promise<number|null>} null if nothing they own has it
+     */
+    async getEffect(username, effect) {
+        const effects = await this.getEffects(username);
+        return effects[effect] ?? null;
+    }
+
+    async getEffects(username) {
+        const effects = {};
+        for (const item of await this.getItems(username)) {
+            for (const [effect, value] of Object.entries(item.effects)) {
+                effects[effect] = Math.max(effects[effect] ?? value, value);
+            }
+        }
+        return effects;
+    }
+
+    /**
+     * Roll a game's drop table and hand over whatever turns up. Nothing
+     * drops if there's no room for it
+     * @param {string} source - key in DROPS, also logged as the reason
+     * @returns {Promise<Object|null>} the item awarded
+     */
+    async award(username, source, { roomId = null, rng = Math.random } = {}) {
+        const table = DROPS[source];
+        if (!table || rng() >= table.chance) return null;
+
+        const total = table.items.reduce((sum, drop) => sum + drop.weight, 0);
+        let pick = rng() * total;
+        const drop = table.items.find(candidate => (pick -= candidate.weight) < 0) || table.items[table.items.length - 1];
+
+        try {
+            await this.addItem(username, drop.item, 1, { reason: source, roomId });
+        } catch (error) {
+            if (error instanceof StackFullError) return null;
+            throw error;
+        }
+
+        this.logger.info(`${username} found a ${drop.item} (${source})`);
+        return { id: drop.item, ...ITEMS[drop.item] };
+    }
+
+    /**
+     * Sell items for their value
+     * @param {number|string} quantity - a count, or 'all'
+     * @returns {Promise<{success: boolean, name?: string, quantity?: number, total?: number, error?: string}>}
+     */
+    async sell(username, itemId, quantity = 1, roomId = null) {
+        const item = ITEMS[itemId];
+        if (!item) {
+            return { success: false, error: 'no_item' };
+        }
+        if (item.value <= 0) {
+            return { success: false, error: 'worthless', name: item.name };
+        }
+
+        try {
+            return await this.db.transaction(async () => {
+                const count = quantity === 'all' ? await this.getQuantity(username, itemId) : quantity;
+                if (count < 1) {
+                    throw new NotEnoughItemsError(username, itemId, 1);
+                }
+
+                const total = item.value * count;
+                await this.removeItem(username, itemId, count, { reason: 'sell', roomId });
+                await this.bot.heistManager.updateUserEconomy(username, total, 0, {
+                    type: 'item_sale',
+                    description: `Sold ${count}x ${item.name}`,
+                    roomId
+                });
+
+                return { success: true, name: item.name, quantity: count, total };
+            });
+        } catch (error) {
+            return itemFailure(error);
+        }
+    }
+
+    /**
+     * Hand items to another user
+     */
+    async give(from, to, itemId, quantity = 1, roomId = null) {
+        if (!ITEMS[itemId]) {
+            return { success: false, error: 'no_item' };
+        }
+        if (from.toLowerCase() === to.toLowerCase()) {
+            return { success: false, error: 'self' };
+        }
+
+        try {
+            return await this.db.transaction(async () => {
+                await this.removeItem(from, itemId, quantity, { reason: 'give', counterparty: to, roomId });
+                await this.addItem(to, itemId, quantity, { reason: 'give', counterparty: from, roomId });
+                return { success: true, name: ITEMS[itemId].name, quantity };
+            });
+        } catch (error) {
+            return itemFailure(error);
+        }
+    }
+
+    /**
+     * Offer items to someone for cash and/or items of theirs. Nothing moves
+     * until they accept
+     * @param {Object} offer - { itemId, quantity, price, wantItemId, wantQuantity, roomId }
+     */
+    async offerTrade(from, to, { itemId, quantity = 1, price = 0, wantItemId = null, wantQuantity = 0, roomId = null }) {
+        if (!ITEMS[itemId] || (wantItemId && !ITEMS[wantItemId])) {
+            return { success: false, error: 'no_item' };
+        }
+        if (from.toLowerCase() === to.toLowerCase()) {
+            return { success: false, error: 'self' };
+        }
+        if (await this.getQuantity(from, itemId) < quantity) {
+            return { success: false, error: 'not_enough', name: ITEMS[itemId].name, quantity };
+        }
+
+        const now = Date.now();
+        const result = await this.db.run(`
+            INSERT INTO item_trades (from_user, to_user, item_id, quantity, price, want_item_id, want_quantity, status, room_id, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+        `, [from, to, itemId, quantity, price, wantItemId, wantItemId ? wantQuantity : 0, roomId || 'fatpizza', now, now + TRADE_TTL]);
+
+        return { success: true, trade: await this.db.get('SELECT * FROM item_trades WHERE id = ?', [result.lastID]) };
+    }
+
+    /**
+     * The newest live offer made to a user (or by them, with outgoing)
+     */
+    async getPendingTrade(username, { outgoing = false } = {}) {
+        return this.db.get(`
+            SELECT * FROM item_trades
+            WHERE ${outgoing ? 'from_user' : 'to_user'} = ? AND status = 'pending' AND expires_at > ?
+            ORDER BY id DESC LIMIT 1
+        `, [username, Date.now()]);
+    }
+
+    /**
+     * Accept the newest offer made to a user. Items and cash swap in one
+     * transaction, so it either all happens or none of it does
+     */
+    async acceptTrade(username, roomId = null) {
+        const trade = await this.getPendingTrade(username);
+        if (!trade) {
+            return { success: false, error: 'no_trade' };
+        }
+
+        try {
+            return await this.db.transaction(async () => {
+                const claimed = await this.db.run(
+                    "UPDATE item_trades SET status = 'accepted' WHERE id = ? AND status = 'pending'",
+                    [trade.id]
+                );
+                if (claimed.changes === 0) {
+                    return { success: false, error: 'no_trade' };
+                }
+
+                const entry = { reason: 'trade', roomId };
+                await this.removeItem(trade.from_user, trade.item_id, trade.quantity, { ...entry, counterparty: trade.to_user });
+                await this.addItem(trade.to_user, trade.item_id, trade.quantity, { ...entry, counterparty: trade.from_user });
+
+                if (trade.want_item_id) {
+                    await this.removeItem(trade.to_user, trade.want_item_id, trade.want_quantity, { ...entry, counterparty: trade.from_user });
+                    await this.addItem(trade.from_user, trade.want_item_id, trade.want_quantity, { ...entry, counterparty: trade.to_user });
+                }
+
+                if (trade.price > 0) {
+                    await this.bot.heistManager.transferMoney(trade.to_user, trade.from_user, trade.price, {
+                        type: 'item_trade',
+                        description: `${trade.quantity}x ${ITEMS[trade.item_id].name}`,
+                        roomId
+                    });
+                }
+
+                this.logger.info(`Trade ${trade.id} settled: ${trade.from_user} -> ${trade.to_user}`);
+                return { success: true, trade };
+            });
+        } catch (error) {
+            // Whoever came up short, the offer's dead
+            await this.db.run("UPDATE item_trades SET status = 'failed' WHERE id = ?", [trade.id]);
+            const other = error.username?.toLowerCase() !== username.toLowerCase();
+            return itemFailure(error, { username: other ? error.username : undefined, price: trade.price });
+        }
+    }
+
+    async declineTrade(username) {
+        return this.closeTrade(await this.getPendingTrade(username), 'declined');
+    }
+
+    async cancelTrade(username) {
+        return this.closeTrade(await this.getPendingTrade(username, { outgoing: true }), 'cancelled');
+    }
+
+    async closeTrade(trade, status) {
+        if (!trade) {
+            return { success: false, error: 'no_trade' };
+        }
+        await this.db.run("UPDATE item_trades SET status = ? WHERE id = ? AND status = 'pending'", [status, trade.id]);
+        return { success: true, trade };
+    }
+
+    /**
+     * Describe what's on offer in a trade, e.g. "2x Gold Watch for $300"
+     */
+    describeTrade(trade) {
+        const asking = [
+            trade.price > 0 ? `$${trade.price}` : null,
+            trade.want_item_id ? `${trade.want_quantity}x ${ITEMS[trade.want_item_id].name}` : null
+        ].filter(Boolean);
+        return `${trade.quantity}x ${ITEMS[trade.item_id].name} for ${asking.length > 0 ? asking.join(' + ') : 'nothin\''}`;
+    }
+}
@@ -0,0 +1,119 @@
+import { RODS, BAIT } from '../fishing/tackle.js';
+import { PROTECTION } from '../crime/protection.js';
+
+export const ITEM_RARITIES = {
+    common: { emoji: '⚪', order: 0 },
+    uncommon: { emoji: '🟢', order: 1 },
+    rare: { emoji: '🔵', order: 2 },
+    legendary: { emoji: '🟡', order: 3 }
+};
+
+const ROD_RARITY = ['common', 'common', 'uncommon', 'rare', 'legendary'];
+const BAIT_STACK = 200;
+
+// Everything that can sit in someone's inventory. stack is the most one user
+// can hold, value is what !sell pays, and effects are looked up by whatever
+// command cares about them (see InventoryManager.getEffect). Numeric effects
+// take the best one owned, so doubling up on charms does nothing
+export const ITEMS = {
+    // Fishing gear, bought at !tackle
+    ...Object.fromEntries(Object.entries(RODS).filter(([, rod]) => rod.price > 0).map(([id, rod]) => [id, {
+        name: rod.name,
+        kind: 'rod',
+        rarity: ROD_RARITY[rod.tier],
+        stack: 1,
+        value: Math.floor(rod.price / 2),
+        description: rod.description,
+        effects: { fishing_tier: rod.tier, fishing_bonus: rod.bonus }
+    }])),
+    ...Object.fromEntries(Object.entries(BAIT).filter(([, bait]) => bait.price > 0).map(([id, bait]) => [id, {
+        name: bait.name,
+        kind: 'bait',
+        rarity: 'common',
+        stack: BAIT_STACK,
+        value: Math.floor(bait.price / 2),
+        description: 'fishing bait, one per cast',
+        effects: {}
+    }])),
+
+    // Mug protection, bought at !protection
+    ...Object.fromEntries(Object.entries(PROTECTION).map(([id, item]) => [id, {
+        name: item.name,
+        kind: 'protection',
+        rarity: item.price >= 500 ? 'rare' : 'uncommon',
+        stack: item.stack,
+        value: Math.floor(item.price / 2),
+        description: item.description,
+        effects: item.effects
+    }])),
+
+    // Junk and treasures the games turn up
+    lost_remote: { name: 'Lost Remote', kind: 'junk', rarity: 'common', stack: 10, value: 2, description: 'for a telly nobody owns anymore', effects: {} },
+    nokia: { name: 'Nokia 3310', kind: 'junk', rarity: 'common', stack: 5, value: 8, description: 'battery\'s still on 3 bars', effects: {} },
+    vintage_bottle: { name: 'Vintage Bottle', kind: 'collectable', rarity: 'uncommon', stack: 20, value: 12, description: 'the tip shop pays a bit for these', effects: {} },
+    old_penny: { name: 'Pre-decimal Penny', kind: 'collectable', rarity: 'uncommon', stack: 20, value: 20, description: 'been down the couch since 1965', effects: {} },
+    footy_cards: { name: 'Vintage Footy Cards', kind: 'collectable', rarity: 'uncommon', stack: 10, value: 40, description: 'mostly Collingwood, unfortunately', effects: {} },
+    winnie_blues: { name: 'Carton of Winnie Blues', kind: 'collectable', rarity: 'uncommon', stack: 5, value: 60, description: 'unopened, black market gold', effects: {} },
+    empty_grange: { name: 'Empty Bottle of Grange', kind: 'collectable', rarity: 'rare', stack: 5, value: 90, description: 'someone had a good night', effects: {} },
+    gold_watch: { name: 'Gold Watch', kind: 'collectable', rarity: 'rare', stack: 3, value: 200, description: 'fell off some rich cunt\'s yacht', effects: {} },
+    opal: { name: 'Lightning Ridge Opal', kind: 'collectable', rarity: 'legendary', stack: 10, value: 400, description: 'proper black opal', effects: {} },
+
+    // Gear with effects
+    shopping_trolley: { name: 'Shopping Trolley', kind: 'gear', rarity: 'common', stack: 1, value: 10, description: 'carts 25% more empties on a !bottles run', effects: { bottle_bonus: 0.25 } },
+    gardening_gloves: { name: 'Gardening Gloves', kind: 'gear', rarity: 'uncommon', stack: 1, value: 30, description: 'halves the chance of getting bitten in a !mystery_esky', effects: { trap_ward: 0.5 } },
+    lucky_penny: { name: 'Lucky Two-Up Penny', kind: 'charm', rarity: 'rare', stack: 1, value: 150, description: '5% luckier at !fish and !couch_coins', effects: { luck: 0.05 } },
+    golden_hook: { name: 'Golden Hook', kind: 'charm', rarity: 'legendary', stack: 1, value: 500, description: '10% luckier at !fish', effects: { fishing_luck: 0.10 } }
+};
+
+// What each game can turn up on top of its normal payout. chance is per play,
+// weight picks which item when something does drop
+export const DROPS = {
+    mystery_esky: {
+        chance: 0.2,
+        items: [
+            { item: 'footy_cards', weight: 35 },
+            { item: 'winnie_blues', weight: 25 },
+            { item: 'gardening_gloves', weight: 25 },
+            { item: 'lucky_penny', weight: 10 },
+            { item: 'opal', weight: 5 }
+        ]
+    },
+    fishing: {
+        chance: 0.08,
+        items: [
+            { item: 'nokia', weight: 40 },
+            { item: 'shopping_trolley', weight: 35 },
+            { item: 'gold_watch', weight: 20 },
+            { item: 'golden_hook', weight: 5 }
+        ]
+    },
+    bottles: {
+        chance: 0.15,
+        items: [
+            { item: 'vintage_bottle', weight: 70 },
+            { item: 'shopping_trolley', weight: 20 },
+            { item: 'empty_grange', weight: 10 }
+        ]
+    },
+    couch_coins: {
+        chance: 0.12,
+        items: [
+            { item: 'lost_remote', weight: 50 },
+            { item: 'old_penny', weight: 40 },
+            { item: 'lucky_penny', weight: 10 }
+        ]
+    }
+};
+
+/**
+ * Find an item by id or name ("golden_hook", "golden hook", "Golden Hook")
+ * @returns {string|null} item id
+ */
+export function resolveItem(input) {
+    if (!input) return null;
+    const key = input.toLowerCase().trim().replace(/[\s-]+/g, '_');
+    if (ITEMS[key]) return key;
+
+    const byName = Object.keys(ITEMS).find(id => ITEMS[id].name.toLowerCase().replace(/[\s-]+/g, '_') === key);
+    return byName || null;
+}
@@ -0,0 +1,623 @@
+import EventEmitter from 'events';
+import { createLogger } from '../../utils/logger.js';
+import { normalizeUsernameForDb } from '../../utils/usernameNormalizer.js';
+import { ESCROW, InsufficientFundsError } from '../economy/index.js';
+import { formatLeadTime } from '../events/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    offerWindow: 10 * 60 * 1000, // How long the other side has to accept
+    defaultTerm: 3 * DAY, // Loans without a term are due this long after they're accepted
+    maxTerm: 14 * DAY,
+    betWindow: 7 * DAY, // Side bets nobody settles by then get refunded
+    maxAmount: 5000,
+    maxInterest: 100, // Percent on top of the loan, over the whole term
+    maxOpen: 5, // Offers and live deals per user
+    minTrust: 'Snitch Risk', // Trust level needed to make any deal
+    borrowerTrust: 'Petty Crim', // Trust level needed to borrow
+    defaultPenalty: 10 // Trust lost for not paying a loan back on time
+};
+
+const SWEEP_INTERVAL = 60000;
+const MAX_CLAIM_LENGTH = 100;
+const LIVE = ['proposed', 'active', 'defaulted'];
+
+const ERRORS = {
+    disabled: () => 'no dealin\' in here',
+    self: () => 'ya can\'t do a deal with yaself',
+    bad_amount: (result) => `deals are $1 to $${result.max}`,
+    bad_repay: () => 'ya can\'t pay back less than ya borrowed',
+    too_much_interest: (result) => `that's loan shark territory, ${result.max}% interest max`,
+    bad_term: (result) => `loans can run ${result.max} days tops`,
+    bad_claim: () => `what's the bet? keep it under ${MAX_CLAIM_LENGTH} characters`,
+    untrusted: (result) => `${result.username} is a ${result.level.icon} ${result.level.title}, ya need to be ${result.needed} or better to ${result.action}`,
+    defaulter: (result) => `${result.username} still owes on deal #${result.dealId}, nobody's dealin' with them till it's paid`,
+    too_many: (result) => `${result.username} already has ${result.max} deals on the go`,
+    broke: (result) => `${result.username ? `${result.username} can't` : 'ya can\'t'} cover $${result.amount}`,
+    no_deal: () => 'no deal like that waitin\' on ya',
+    not_bet: () => 'that one\'s not a bet',
+    not_party: () => 'that deal\'s got nothin\' to do with ya',
+    bad_winner: () => 'the winner has to be one of the two in the bet'
+};
+
+/**
+ * Turn a deal error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'the deal fell through, somethin\'s cooked'))(result);
+}
+
+/**
+ * Player-to-player deals for !deal
+ * Loans (cash now, more back later) and side bets between two users. The
+ * proposer's money goes into @escrow with the offer and comes back if it's
+ * declined, cancelled or expires; once the other side accepts, the loan is
+ * paid out or the second stake joins the pot in the same transaction. Loans
+ * are collected from the borrower when due, and anything they can't cover
+ * costs them trust. Bets pay out when both sides agree who won, or a mod rules.
+ * Both sides need enough trust to deal at all, and more to borrow.
+ *
+ * Room config (rooms/<room>.js): settings.market = { enabled, offerWindow,
+ * defaultTerm, maxTerm, betWindow, maxAmount, maxInterest, maxOpen, minTrust,
+ * borrowerTrust, defaultPenalty }
+ */
+export class DealManager extends EventEmitter {
+    constructor(db, bot) {
+        super();
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('DealManager');
+
+        this.roomConfigs = new Map(); // roomId -> config
+        this.sweepInterval = null;
+    }
+
+    async init() {
+        const row = await this.db.get(`SELECT COUNT(*) as count FROM market_deals WHERE status IN ('proposed', 'active')`);
+        this.logger.info(`DealManager initialized with ${row?.count || 0} live deal(s)`);
+
+        this.sweepInterval = setInterval(() => {
+            this.sweep().catch(error => {
+                this.logger.error('Deal sweep failed:', { error: error.message, stack: error.stack });
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        const settings = roomConfig.settings?.market || {};
+        this.roomConfigs.set(roomId, { ...DEFAULT_CONFIG, ...settings });
+    }
+
+    getConfig(roomId) {
+        return this.roomConfigs.get(roomId) || DEFAULT_CONFIG;
+    }
+
+    async getDeal(id) {
+        return this.db.get('SELECT * FROM market_deals WHERE id = ?', [id]);
+    }
+
+    /**
+     * Someone's trust score and the level it earns them
+     * @returns {Promise<{trust: number, level: {title: string, icon: string}}>}
+     */
+    async getTrust(username) {
+        const { trust } = await this.bot.heistManager.getUserBalance(username);
+        return { trust, level: this.bot.heistManager.getTrustLevel(trust) };
+    }
+
+    /**
+     * Everything that'd stop a user taking on another deal
+     * @returns {Promise<Object|null>} an error result, or null if they're good
+     */
+    async vet(username, config, { borrowing = false } = {}) {
+        const { trust, level } = await this.getTrust(username);
+        const needed = borrowing ? config.borrowerTrust : config.minTrust;
+        if (!this.bot.heistManager.meetsTrustLevel(trust, needed)) {
+            return { success: false, error: 'untrusted', username, level, needed, action: borrowing ? 'borrow' : 'deal' };
+        }
+
+        const unpaid = await this.db.get(
+            "SELECT id FROM market_deals WHERE borrower = ? AND status = 'defaulted' LIMIT 1",
+            [username]
+        );
+        if (unpaid) {
+            return { success: false, error: 'defaulter', username, dealId: unpaid.id };
+        }
+
+        const { open } = await this.db.get(
+            `SELECT COUNT(*) as open FROM market_deals WHERE (proposer = ? OR counterparty = ?) AND status IN ('proposed', 'active')`,
+            [username, username]
+        );
+        if (open >= config.maxOpen) {
+            return { success: false, error: 'too_many', username, max: config.maxOpen };
+        }
+
+        return null;
+    }
+
+    /**
+     * Offer a deal. Loans: { kind: 'loan', lending, amount, repay, termMs } where
+     * lending says whether the proposer is the lender. Bets: { kind: 'bet', amount, claim },
+     * the proposer backing the claim
+     * @returns {Promise<{success: boolean, deal?: Object, trust?: Object, error?: string}>}
+     */
+    async propose(roomId, proposerName, counterpartyName, terms) {
+        const config = this.getConfig(roomId);
+        if (!config.enabled) {
+            return { success: false, error: 'disabled' };
+        }
+
+        const proposer = await normalizeUsernameForDb(this.bot, proposerName);
+        const counterparty = await normalizeUsernameForDb(this.bot, counterpartyName);
+        if (proposer.toLowerCase() === counterparty.toLowerCase()) {
+            return { success: false, error: 'self' };
+        }
+
+        const amount = Math.floor(terms.amount);
+        if (!(amount >= 1 && amount <= config.maxAmount)) {
+            return { success: false, error: 'bad_amount', max: config.maxAmount };
+        }
+
+        const isLoan = terms.kind === 'loan';
+        const lender = isLoan ? (terms.lending ? proposer : counterparty) : null;
+        const borrower = isLoan ? (terms.lending ? counterparty : proposer) : null;
+        let repay = 0;
+        let termMs = config.betWindow;
+        let claim = null;
+
+        if (isLoan) {
+            repay = Math.floor(terms.repay ?? amount);
+            termMs = terms.termMs || config.defaultTerm;
+            if (repay < amount) {
+                return { success: false, error: 'bad_repay' };
+            }
+            if ((repay - amount) / amount * 100 > config.maxInterest) {
+                return { success: false, error: 'too_much_interest', max: config.maxInterest };
+            }
+            if (termMs > config.maxTerm) {
+                return { success: false, error: 'bad_term', max: Math.round(config.maxTerm / DAY) };
+            }
+        } else {
+            claim = (terms.claim || '').trim().replace(/\s+/g, ' ');
+            if (!claim || claim.length > MAX_CLAIM_LENGTH) {
+                return { success: false, error: 'bad_claim' };
+            }
+        }
+
+        for (const username of [proposer, counterparty]) {
+            const problem = await this.vet(username, config, { borrowing: username === borrower });
+            if (problem) return problem;
+        }
+
+        // Lenders and punters put their money up front
+        const escrowed = !isLoan || lender === proposer;
+        const now = Date.now();
+
+        try {
+            const deal = await this.db.transaction(async () => {
+                if (escrowed) {
+                    await this.bot.heistManager.updateUserEconomy(proposer, -amount, 0, {
+                        type: 'deal_escrow',
+                        description: isLoan ? `Loan offer to ${counterparty}` : `Side bet with ${counterparty}`,
+                        roomId,
+                        counterparty: ESCROW,
+                        requireFunds: true
+                    });
+                }
+
+                const result = await this.db.run(`
+                    INSERT INTO market_deals (room_id, kind, proposer, counterparty, lender, borrower, amount, repay_amount, claim, term_ms, status, created_at, expires_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'proposed', ?, ?)
+                `, [roomId, terms.kind, proposer, counterparty, lender, borrower, amount, repay, claim, termMs, now, now + config.offerWindow]);
+
+                return this.getDeal(result.lastID);
+            });
+
+            const trust = {
+                [proposer]: (await this.getTrust(proposer)).level,
+                [counterparty]: (await this.getTrust(counterparty)).level
+            };
+            this.emit('deal:proposed', deal);
+            return { success: true, deal, trust };
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * The offer a user's answering: the one numbered, or the newest made to them
+     */
+    async findOffer(username, id = null, { outgoing = false } = {}) {
+        const column = outgoing ? 'proposer' : 'counterparty';
+        return this.db.get(`
+            SELECT * FROM market_deals
+            WHERE ${column} = ? AND status = 'proposed' AND expires_at > ? ${id ? 'AND id = ?' : ''}
+            ORDER BY id DESC LIMIT 1
+        `, id ? [username, Date.now(), id] : [username, Date.now()]);
+    }
+
+    /**
+     * Accept an offer. The loan's paid out, or the second stake goes into the
+     * pot, in the same transaction that makes the deal live
+     */
+    async accept(username, id = null, roomId = null) {
+        const deal = await this.findOffer(username, id);
+        if (!deal) {
+            return { success: false, error: 'no_deal' };
+        }
+
+        const amount = deal.amount;
+        try {
+            return await this.db.transaction(async () => {
+                const now = Date.now();
+                const claimed = await this.db.run(
+                    "UPDATE market_deals SET status = 'active', accepted_at = ?, due_at = ? WHERE id = ? AND status = 'proposed'",
+                    [now, now + deal.term_ms, deal.id]
+                );
+                if (claimed.changes === 0) {
+                    return { success: false, error: 'no_deal' };
+                }
+
+                if (deal.kind === 'bet') {
+                    await this.bot.heistManager.updateUserEconomy(deal.counterparty, -amount, 0, {
+                        type: 'deal_escrow',
+                        description: `Side bet #${deal.id} with ${deal.proposer}`,
+                        roomId,
+                        counterparty: ESCROW,
+                        requireFunds: true
+                    });
+                } else if (deal.lender === deal.proposer) {
+                    await this.bot.heistManager.updateUserEconomy(deal.borrower, amount, 0, {
+                        type: 'deal_loan',
+                        description: `Loan #${deal.id} from ${deal.lender}`,
+                        roomId,
+                        counterparty: ESCROW
+                    });
+                } else {
+                    await this.bot.heistManager.transferMoney(deal.lender, deal.borrower, amount, {
+                        type: 'deal_loan',
+                        description: `Loan #${deal.id}`,
+                        roomId
+                    });
+                }
+
+                this.logger.info(`Deal #${deal.id} accepted by ${username}`);
+                const accepted = await this.getDeal(deal.id);
+                this.db.afterCommit(() => this.emit('deal:accepted', accepted));
+                return { success: true, deal: accepted };
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount };
+            }
+            throw error;
+        }
+    }
+
+    async decline(username, id = null) {
+        return this.closeOffer(await this.findOffer(username, id), 'declined');
+    }
+
+    async cancel(username, id = null) {
+        return this.closeOffer(await this.findOffer(username, id, { outgoing: true }), 'cancelled');
+    }
+
+    /**
+     * Kill an offer that never went live and hand back whatever the proposer put up
+     */
+    async closeOffer(deal, status) {
+        if (!deal) {
+            return { success: false, error: 'no_deal' };
+        }
+
+        const closed = await this.db.transaction(async () => {
+            const result = await this.db.run(
+                "UPDATE market_deals SET status = ?, settled_at = ? WHERE id = ? AND status = 'proposed'",
+                [status, Date.now(), deal.id]
+            );
+            if (result.changes === 0) return false;
+
+            if (deal.kind === 'bet' || deal.lender === deal.proposer) {
+                await this.bot.heistManager.updateUserEconomy(deal.proposer, deal.amount, 0, {
+                    type: 'deal_refund',
+                    description: `Deal #${deal.id} ${status}`,
+                    roomId: deal.room_id,
+                    counterparty: ESCROW
+                });
+            }
+            return true;
+        });
+
+        return closed ? { success: true, deal: { ...deal, status } } : { success: false, error: 'no_deal' };
+    }
+
+    /**
+     * Pay off some or all of a loan
+     * @param {number|null} amount - null pays the lot (or whatever they can't, they can't)
+     */
+    async repay(username, id = null, amount = null, roomId = null) {
+        const deal = await this.db.get(`
+            SELECT * FROM market_deals
+            WHERE borrower = ? AND kind = 'loan' AND status IN ('active', 'defaulted') ${id ? 'AND id = ?' : ''}
+            ORDER BY due_at ASC LIMIT 1
+        `, id ? [username, id] : [username]);
+        if (!deal) {
+            return { success: false, error: 'no_deal' };
+        }
+
+        const owed = deal.repay_amount - deal.repaid;
+        const paying = Math.min(amount ?? owed, owed);
+        if (!(paying >= 1)) {
+            return { success: false, error: 'bad_amount', max: owed };
+        }
+
+        try {
+            await this.db.transaction(async () => {
+                await this.bot.heistManager.transferMoney(deal.borrower, deal.lender, paying, {
+                    type: 'deal_repayment',
+                    description: `Loan #${deal.id} repayment`,
+                    roomId
+                });
+                await this.recordRepayment(deal, paying);
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount: paying };
+            }
+            throw error;
+        }
+
+        return { success: true, deal: await this.getDeal(deal.id), paid: paying, owed: owed - paying };
+    }
+
+    async recordRepayment(deal, paid) {
+        const repaid = deal.repaid + paid;
+        if (repaid < deal.repay_amount) {
+            await this.db.run('UPDATE market_deals SET repaid = ? WHERE id = ?', [repaid, deal.id]);
+            return;
+        }
+
+        await this.db.run(
+            "UPDATE market_deals SET repaid = ?, status = 'repaid', settled_at = ? WHERE id = ?",
+            [repaid, Date.now(), deal.id]
+        );
+        this.db.afterCommit(() => this.emit('deal:repaid', { ...deal, repaid, status: 'repaid' }));
+    }
+
+    /**
+     * One side's call on who won a bet. Pays out once both agree
+     * @returns {Promise<Object>} { success, deal, settled, disputed }
+     */
+    async callBet(username, id, won) {
+        const deal = await this.getDeal(id);
+        if (!deal || deal.status !== 'active') {
+            return { success: false, error: 'no_deal' };
+        }
+        if (deal.kind !== 'bet') {
+            return { success: false, error: 'not_bet' };
+        }
+
+        const isProposer = deal.proposer.toLowerCase() === username.toLowerCase();
+        if (!isProposer && deal.counterparty.toLowerCase() !== username.toLowerCase()) {
+            return { success: false, error: 'not_party' };
+        }
+
+        const other = isProposer ? deal.counterparty : deal.proposer;
+        const winner = won ? (isProposer ? deal.proposer : deal.counterparty) : other;
+
+        // Both calls can land at once, so whichever goes second sees the first
+        const current = await this.db.transaction(async () => {
+            await this.db.run(
+                `UPDATE market_deals SET ${isProposer ? 'proposer_call' : 'counterparty_call'} = ? WHERE id = ? AND status = 'active'`,
+                [winner, deal.id]
+            );
+            return this.getDeal(deal.id);
+        });
+        if (current.status !== 'active') {
+            return { success: false, error: 'no_deal' };
+        }
+
+        const theirCall = isProposer ? current.counterparty_call : current.proposer_call;
+        if (!theirCall) {
+            return { success: true, deal: current, settled: false, disputed: false, winner };
+        }
+        if (theirCall.toLowerCase() !== winner.toLowerCase()) {
+            return { success: true, deal: current, settled: false, disputed: true, winner };
+        }
+
+        const settled = await this.settleBet(current, winner);
+        return { success: true, deal: settled || current, settled: Boolean(settled), disputed: false, winner };
+    }
+
+    /**
+     * A mod's ruling on a bet: a winner, or null to refund both sides
+     */
+    async rule(id, winnerName) {
+        const deal = await this.getDeal(id);
+        if (!deal || deal.status !== 'active') {
+            return { success: false, error: 'no_deal' };
+        }
+        if (deal.kind !== 'bet') {
+            return { success: false, error: 'not_bet' };
+        }
+
+        const winner = winnerName
+            ? [deal.proposer, deal.counterparty].find(name => name.toLowerCase() === winnerName.toLowerCase())
+            : null;
+        if (winnerName && !winner) {
+            return { success: false, error: 'bad_winner' };
+        }
+
+        const settled = await this.settleBet(deal, winner);
+        return settled ? { success: true, deal: settled, winner } : { success: false, error: 'no_deal' };
+    }
+
+    /**
+     * Pay the pot to the winner, or back to both if there isn't one
+     * @returns {Promise<Object|null>} the settled deal, null if something else got to it first
+     */
+    async settleBet(deal, winner) {
+        const status = winner ? 'settled' : 'refunded';
+        const settled = await this.db.transaction(async () => {
+            const result = await this.db.run(
+                "UPDATE market_deals SET status = ?, winner = ?, settled_at = ? WHERE id = ? AND status = 'active'",
+                [status, winner, Date.now(), deal.id]
+            );
+            if (result.changes === 0) return false;
+
+            const payouts = winner
+                ? [[winner, deal.amount * 2]]
+                : [[deal.proposer, deal.amount], [deal.counterparty, deal.amount]];
+            for (const [username, amount] of payouts) {
+                await this.bot.heistManager.updateUserEconomy(username, amount, 0, {
+                    type: winner ? 'deal_bet' : 'deal_refund',
+                    description: `Side bet #${deal.id}: ${deal.claim}`,
+                    roomId: deal.room_id,
+                    counterparty: ESCROW
+                });
+            }
+            return true;
+        });
+
+        if (!settled) return null;
+        const result = { ...deal, status, winner };
+        this.emit('deal:settled', result);
+        return result;
+    }
+
+    /**
+     * Chase up a loan that's come due: take what the borrower can cover, and
+     * mark them a defaulter with a trust hit if it's not the lot
+     * @returns {Promise<Object|null>} null if the loan was already squared away
+     */
+    async collect(deal) {
+        const config = this.getConfig(deal.room_id);
+
+        return this.db.transaction(async () => {
+            // Balance and what's owed are read here so nothing can move between the check and the transfer
+            const current = await this.db.get('SELECT * FROM market_deals WHERE id = ?', [deal.id]);
+            if (current?.status !== 'active') return null;
+
+            const owed = current.repay_amount - current.repaid;
+            const { balance } = await this.bot.heistManager.getUserBalance(current.borrower);
+            const taking = Math.max(0, Math.min(owed, balance));
+
+            if (taking > 0) {
+                await this.bot.heistManager.transferMoney(current.borrower, current.lender, taking, {
+                    type: 'deal_repayment',
+                    description: `Loan #${current.id} collected`,
+                    roomId: current.room_id
+                });
+                await this.recordRepayment(current, taking);
+            }
+
+            if (taking < owed) {
+                await this.db.run("UPDATE market_deals SET status = 'defaulted' WHERE id = ?", [current.id]);
+                await this.bot.heistManager.updateUserEconomy(current.borrower, 0, -config.defaultPenalty, {
+                    type: 'deal_default',
+                    description: `Defaulted on loan #${current.id}`,
+                    roomId: current.room_id
+                });
+            }
+
+            return { collected: taking, short: owed - taking };
+        });
+    }
+
+    /**
+     * Expire stale offers, collect loans that have come due and refund bets
+     * nobody settled, telling the room about each. One deal going wrong is
+     * logged and left for the next sweep, the rest still get seen to
+     */
+    async sweep() {
+        const now = Date.now();
+
+        const stale = await this.db.all("SELECT * FROM market_deals WHERE status = 'proposed' AND expires_at <= ?", [now]);
+        for (const deal of stale) {
+            try {
+                const result = await this.closeOffer(deal, 'expired');
+                if (result.success) {
+                    this.bot.sendMessage(deal.room_id, `⌛ ${deal.counterparty} never answered ${deal.proposer}'s deal #${deal.id}, it's off`);
+                }
+            } catch (error) {
+                this.logger.error(`Failed to expire deal #${deal.id}:`, { error: error.message, stack: error.stack });
+            }
+        }
+
+        const due = await this.db.all("SELECT * FROM market_deals WHERE status = 'active' AND due_at <= ?", [now]);
+        for (const deal of due) {
+            try {
+                if (deal.kind === 'loan') {
+                    const collection = await this.collect(deal);
+                    if (!collection) continue;
+
+                    const { collected, short } = collection;
+                    this.bot.sendMessage(deal.room_id, short === 0
+                        ? `💸 loan #${deal.id} is squared up, ${deal.lender} got their $${deal.repay_amount} back off ${deal.borrower}`
+                        : `🚨 ${deal.borrower} DEFAULTED on loan #${deal.id}! only coughed up $${collected}, still owes ${deal.lender} $${short}. don't lend this one a cent`);
+                    if (short > 0) {
+                        this.emit('deal:defaulted', { ...deal, short });
+                    }
+                } else {
+                    const settled = await this.settleBet(deal, null);
+                    if (settled) {
+                        this.bot.sendMessage(deal.room_id, `🤷 nobody settled side bet #${deal.id} ("${deal.claim}"), stakes handed back`);
+                    }
+                }
+            } catch (error) {
+                this.logger.error(`Failed to close out deal #${deal.id}:`, { error: error.message, stack: error.stack });
+            }
+        }
+    }
+
+    /**
+     * A user's offers and live deals, newest first
+     */
+    async listFor(username) {
+        return this.db.all(`
+            SELECT * FROM market_deals
+            WHERE (proposer = ? OR counterparty = ?) AND status IN (${LIVE.map(() => '?').join(', ')})
+            ORDER BY id DESC LIMIT 10
+        `, [username, username, ...LIVE]);
+    }
+
+    /**
+     * The public board: everything live in a room
+     */
+    async listRoom(roomId, limit = 10) {
+        return this.db.all(`
+            SELECT * FROM market_deals
+            WHERE room_id = ? AND status IN (${LIVE.map(() => '?').join(', ')})
+            ORDER BY id DESC LIMIT ?
+        `, [roomId, ...LIVE, limit]);
+    }
+
+    /**
+     * One-line summary, e.g. "#4 bob lends alice $100, $120 back in 3 days"
+     */
+    describeDeal(deal) {
+        if (deal.kind === 'bet') {
+            return `#${deal.id} ${deal.proposer} bets ${deal.counterparty} $${deal.amount} each that "${deal.claim}"`;
+        }
+
+        const owed = deal.repay_amount - deal.repaid;
+        const when = deal.due_at
+            ? deal.status === 'defaulted'
+                ? `$${owed} OVERDUE`
+                : `$${owed} back in ${formatLeadTime(deal.due_at - Date.now())}`
+            : `$${deal.repay_amount} back ${formatLeadTime(deal.term_ms)} after`;
+        return `#${deal.id} ${deal.lender} lends ${deal.borrower} $${deal.amount}, ${when}`;
+    }
+}
@@ -0,0 +1,195 @@
+import Database from '../../services/database.js';
+import { up } from '../../migrations/2025-07-15-add-market-deals.js';
+import { InsufficientFundsError } from '../economy/index.js';
+import { DealManager } from './index.js';
+
+// An in-memory database with just the deals table
+const db = new Database(':memory:', 'dazza', { logToConsole: false });
+db.createTables = async () => {};
+db.runMigrations = async () => {};
+await db.init();
+await up(db);
+
+// Money moves are recorded rather than posted; 'skint' can't cover anything
+const payments = [];
+const bot = {
+    heistManager: {
+        updateUserEconomy: async (username, amount, trust, entry) => {
+            if (entry.requireFunds && username === 'skint') {
+                throw new InsufficientFundsError(username, -amount);
+            }
+            payments.push([username, amount, entry.type]);
+        },
+        transferMoney: async (from, to, amount, entry) => payments.push([from, -amount, entry.type], [to, amount, entry.type])
+    }
+};
+const deals = new DealManager(db, bot);
+deals.logger = { info: () => {}, error: () => {} };
+
+// Events, with the deal's status in the database when each one went out
+const events = [];
+for (const name of ['deal:accepted', 'deal:settled', 'deal:repaid']) {
+    deals.on(name, (deal) => {
+        db.get('SELECT status FROM market_deals WHERE id = ?', [deal.id])
+            .then(row => events.push(`${name} #${deal.id} ${row?.status}`));
+    });
+}
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+const addBet = async (proposer, counterparty, amount, status = 'active') => {
+    const now = Date.now();
+    const result = await db.run(`
+        INSERT INTO market_deals (kind, proposer, counterparty, amount, claim, status, created_at, expires_at)
+        VALUES ('bet', ?, ?, ?, 'the bus is late', ?, ?, ?)
+    `, [proposer, counterparty, amount, status, now, now + 60000]);
+    return result.lastID;
+};
+
+const addLoan = async (lender, borrower, amount, repayAmount) => {
+    const now = Date.now();
+    const result = await db.run(`
+        INSERT INTO market_deals (kind, proposer, counterparty, lender, borrower, amount, repay_amount, status, created_at, expires_at, accepted_at, due_at)
+        VALUES ('loan', ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?)
+    `, [lender, borrower, lender, borrower, amount, repayAmount, now, now, now, now + 60000]);
+    return result.lastID;
+};
+
+const reset = async () => {
+    await flush();
+    payments.length = 0;
+    events.length = 0;
+};
+
+// Test cases
+const testCases = [
+    // Calling bets
+    {
+        run: async () => {
+            const id = await addBet('alice', 'bob', 50);
+            const result = await deals.callBet('alice', id, true);
+            return [result.settled, result.disputed, result.winner, payments];
+        },
+        expected: [false, false, 'alice', []],
+        description: 'One call waits for the other'
+    },
+    {
+        run: async () => {
+            const result = await deals.callBet('bob', 1, true);
+            return [result.settled, result.disputed, (await deals.getDeal(1)).status];
+        },
+        expected: [false, true, 'active'],
+        description: 'Both claiming the win is a dispute'
+    },
+    {
+        run: async () => {
+            const result = await deals.callBet('bob', 1, false);
+            return [result.settled, result.winner, payments];
+        },
+        expected: [true, 'alice', [['alice', 100, 'deal_bet']]],
+        description: 'Agreeing settles and pays the winner the pot'
+    },
+    { run: async () => (await deals.callBet('alice', 1, true)).error, expected: 'no_deal', description: 'A settled bet can\'t be called' },
+    { run: async () => (await deals.callBet('carl', await addBet('alice', 'bob', 10), true)).error, expected: 'not_party', description: 'Only the two sides can call it' },
+
+    // Regression: two agreeing calls landing together used to both miss each other and leave it hanging
+    {
+        run: async () => {
+            await reset();
+            const id = await addBet('alice', 'bob', 30);
+            const [a, b] = await Promise.all([deals.callBet('alice', id, false), deals.callBet('bob', id, true)]);
+            return [[a.settled, b.settled].filter(Boolean).length, (await deals.getDeal(id)).status, payments];
+        },
+        expected: [1, 'settled', [['bob', 60, 'deal_bet']]],
+        description: 'Agreeing calls at the same time settle it once'
+    },
+
+    // Rulings
+    {
+        run: async () => {
+            await reset();
+            const result = await deals.rule(2, null);
+            return [result.deal.status, payments];
+        },
+        expected: ['refunded', [['alice', 10, 'deal_refund'], ['bob', 10, 'deal_refund']]],
+        description: 'No winner refunds both sides'
+    },
+    { run: async () => (await deals.rule(await addBet('alice', 'bob', 10), 'carl')).error, expected: 'bad_winner', description: 'The winner has to be one of them' },
+
+    // Accepting
+    {
+        run: async () => {
+            await reset();
+            const id = await addBet('alice', 'skint', 40, 'proposed');
+            const result = await deals.accept('skint', id);
+            await flush();
+            return [result.error, (await deals.getDeal(id)).status, events];
+        },
+        expected: ['broke', 'proposed', []],
+        description: 'Can\'t accept a bet ya can\'t cover'
+    },
+    {
+        run: async () => {
+            await reset();
+            const id = await addBet('alice', 'bob', 40, 'proposed');
+            const result = await deals.accept('bob', id);
+            await flush();
+            return [result.deal.status, payments, events];
+        },
+        expected: ['active', [['bob', -40, 'deal_escrow']], ['deal:accepted #6 active']],
+        description: 'Accepting takes the second stake and goes out once it\'s saved'
+    },
+
+    // Regression: deal:accepted used to go out even when the transaction it was in rolled back
+    {
+        run: async () => {
+            await reset();
+            const id = await addBet('alice', 'bob', 40, 'proposed');
+            const error = await db.transaction(async () => {
+                await deals.accept('bob', id);
+                throw new Error('rolled back');
+            }).catch(error => error.message);
+            await flush();
+            return [error, (await deals.getDeal(id)).status, events];
+        },
+        expected: ['rolled back', 'proposed', []],
+        description: 'Nothing goes out for an accept that was rolled back'
+    },
+
+    // Repaying
+    {
+        run: async () => {
+            await reset();
+            const id = await addLoan('alice', 'bob', 100, 120);
+            const first = await deals.repay('bob', id, 50);
+            const second = await deals.repay('bob', id);
+            await flush();
+            return [first.owed, second.paid, second.deal.status, events];
+        },
+        expected: [70, 70, 'repaid', ['deal:repaid #8 repaid']],
+        description: 'Paying off the rest closes the loan'
+    }
+];
+
+console.log('Market Deal Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = await test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
@@ -1,66 +1,31 @@
-import sqlite3 from 'sqlite3';
-import { promisify } from 'util';
-import path from 'path';
 import { createLogger } from '../../utils/logger.js';
+import { parseMediaLink } from '../../utils/mediaLinks.js';
 
+/**
+ * Keeps media_history in the main database: every video that's been queued or
+ * played in a room, who brought it in and how often it's come round since.
+ * added_by is NULL on rows imported from the old media_encountered.db, which
+ * only knew who queued a video last (that's in last_added_by)
+ */
 export default class MediaTracker {
-    constructor() {
+    constructor(db) {
         this.logger = createLogger('MediaTracker');
-        this.db = null;
+        this.db = db;
         this.enabled = false;
         this.roomId = null;
-        
-        // Promisified database methods
-        this.dbRun = null;
-        this.dbGet = null;
-        this.dbAll = null;
     }
 
     initialize(config) {
-        try {
-            this.roomId = config.roomId;
-            
-            // Initialize database
-            const dbPath = path.join(process.cwd(), 'media_encountered.db');
-            this.db = new sqlite3.Database(dbPath);
-            
-            // Promisify database methods
-            this.dbRun = promisify(this.db.run.bind(this.db));
-            this.dbGet = promisify(this.db.get.bind(this.db));
-            this.dbAll = promisify(this.db.all.bind(this.db));
-            
-            // Create table if it doesn't exist
-            this.db.serialize(() => {
-                this.db.run(`
-                    CREATE TABLE IF NOT EXISTS media_history (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        url TEXT NOT NULL,
-                        title TEXT,
-                        added_by TEXT,
-                        room_id TEXT NOT NULL,
-                        first_seen INTEGER NOT NULL,
-                        last_seen INTEGER NOT NULL,
-                        play_count INTEGER DEFAULT 1,
-                        queue_count INTEGER DEFAULT 0,
-                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                        UNIQUE(url, room_id)
-                    )
-                `);
-
-                // Create indexes
-                this.db.run(`CREATE INDEX IF NOT EXISTS idx_media_url ON media_history(url)`);
-                this.db.run(`CREATE INDEX IF NOT EXISTS idx_media_room ON media_history(room_id)`);
-                this.db.run(`CREATE INDEX IF NOT EXISTS idx_media_added_by ON media_history(added_by)`);
-                this.db.run(`CREATE INDEX IF NOT EXISTS idx_media_first_seen ON media_history(first_seen)`);
-            });
-
-            this.enabled = true;
-            this.logger.info(`Media tracker initialized for room ${this.roomId}`);
-        } catch (error) {
-            this.logger.error('Failed to initialize media tracker:', error);
+        this.roomId = config.roomId;
+
+        if (!this.db) {
+            this.logger.error('Media tracker needs the main database, not tracking media');
             this.enabled = false;
+            return;
         }
+
+        this.enabled = true;
+        this.logger.info(`Media tracker initialized for room ${this.roomId}`);
     }
 
     /**
@@ -102,32 +67,33 @@ export default class MediaTracker {
             }
 
             // Check if media already exists
-            const existing = await this.dbGet(
+            const existing = await this.db.get(
                 'SELECT * FROM media_history WHERE url = ? AND room_id = ?',
                 [url, roomId]
             );
 
             if (existing) {
                 // Update existing entry
-                await this.dbRun(`
+                await this.db.run(`
                     UPDATE media_history 
                     SET last_seen = ?, 
                         play_count = play_count + 1,
                         title = COALESCE(?, title),
-                        added_by = COALESCE(?, added_by),
+                        added_by = CASE WHEN added_by = 'Unknown' THEN ? ELSE added_by END,
+                        last_added_by = ?,
                         updated_at = CURRENT_TIMESTAMP
                     WHERE url = ? AND room_id = ?
-                `, [now, title || existing.title, queueby || existing.added_by, url, roomId]);
+                `, [now, title || existing.title, queueby, queueby, url, roomId]);
 
                 this.logger.debug(`Updated media play: ${title || 'Unknown'} (${url})`);
             } else {
                 // Insert new entry
-                await this.dbRun(`
-                    INSERT INTO media_history (url, title, added_by, room_id, first_seen, last_seen)
-                    VALUES (?, ?, ?, ?, ?, ?)
-                `, [url, title || 'Unknown', queueby || 'Unknown', roomId, now, now]);
+                await this.db.run(`
+                    INSERT INTO media_history (url, title, added_by, last_added_by, room_id, first_seen, last_seen)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [url, title || 'Unknown', queueby, queueby, roomId, now, now]);
 
-                this.logger.info(`New media recorded: ${title || 'Unknown'} by ${queueby || 'Unknown'} (${url})`);
+                this.logger.info(`New media recorded: ${title || 'Unknown'} by ${queueby} (${url})`);
             }
         } catch (error) {
             this.logger.error('Error recording media play:', error);
@@ -142,7 +108,7 @@ export default class MediaTracker {
 
         try {
             const { id, title, type } = item.media;
-            const { queueby } = item;
+            const queueby = item.queueby || 'Unknown';
             const roomId = item._roomId || this.roomId;
             const now = Date.now();
 
@@ -154,31 +120,32 @@ export default class MediaTracker {
             }
 
             // Check if media already exists
-            const existing = await this.dbGet(
+            const existing = await this.db.get(
                 'SELECT * FROM media_history WHERE url = ? AND room_id = ?',
                 [url, roomId]
             );
 
             if (existing) {
                 // Update queue count
-                await this.dbRun(`
+                await this.db.run(`
                     UPDATE media_history 
                     SET queue_count = queue_count + 1,
                         title = COALESCE(?, title),
-                        added_by = COALESCE(?, added_by),
+                        added_by = CASE WHEN added_by = 'Unknown' THEN ? ELSE added_by END,
+                        last_added_by = ?,
                         updated_at = CURRENT_TIMESTAMP
                     WHERE url = ? AND room_id = ?
-                `, [title || existing.title, queueby || existing.added_by, url, roomId]);
+                `, [title || existing.title, queueby, queueby, url, roomId]);
 
                 this.logger.debug(`Updated media queue count: ${title || 'Unknown'} (${url})`);
             } else {
                 // Insert new entry (queued but not played yet)
-                await this.dbRun(`
-                    INSERT INTO media_history (url, title, added_by, room_id, first_seen, last_seen, play_count, queue_count)
-                    VALUES (?, ?, ?, ?, ?, ?, 0, 1)
-                `, [url, title || 'Unknown', queueby || 'Unknown', roomId, now, now]);
+                await this.db.run(`
+                    INSERT INTO media_history (url, title, added_by, last_added_by, room_id, first_seen, last_seen, play_count, queue_count)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, 0, 1)
+                `, [url, title || 'Unknown', queueby, queueby, roomId, now, now]);
 
-                this.logger.info(`New media queued: ${title || 'Unknown'} by ${queueby || 'Unknown'} (${url})`);
+                this.logger.info(`New media queued: ${title || 'Unknown'} by ${queueby} (${url})`);
             }
         } catch (error) {
             this.logger.error('Error recording media queue:', error);
@@ -227,14 +194,119 @@ export default class MediaTracker {
         }
     }
 
+    /**
+     * What we've seen of one piece of media in a room
+     * @returns {Promise<Object|null>} the media_history row, null if it's never come up
+     */
+    async getHistory(id, type, roomId) {
+        if (!this.enabled) return null;
+
+        const url = this.buildMediaUrl(id, type);
+        if (!url) return null;
+
+        try {
+            const row = await this.db.get(
+                'SELECT * FROM media_history WHERE url = ? AND room_id = ?',
+                [url, roomId]
+            );
+            return row || null;
+        } catch (error) {
+            this.logger.error('Error getting media history:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Most played media, in one room or across all of them
+     * @param {Object} [options] - { roomId, limit, offset }
+     */
+    async getTopPlayed({ roomId = null, limit = 10, offset = 0 } = {}) {
+        if (!this.enabled) return [];
+
+        return this.db.all(`
+            SELECT * FROM media_history
+            WHERE play_count > 0 AND (? IS NULL OR room_id = ?)
+            ORDER BY play_count DESC, last_seen DESC
+            LIMIT ? OFFSET ?
+        `, [roomId, roomId, limit, offset]);
+    }
+
+    /**
+     * Media by when it last played, newest first
+     * @param {Object} [options] - { roomId, limit, offset }
+     */
+    async getRecentlyPlayed({ roomId = null, limit = 10, offset = 0 } = {}) {
+        if (!this.enabled) return [];
+
+        return this.db.all(`
+            SELECT * FROM media_history
+            WHERE play_count > 0 AND (? IS NULL OR room_id = ?)
+            ORDER BY last_seen DESC
+            LIMIT ? OFFSET ?
+        `, [roomId, roomId, limit, offset]);
+    }
+
+    /**
+     * Media a user brought in first, newest first. Imported rows with no known
+     * first adder don't count
+     * @param {string} username
+     * @param {Object} [options] - { roomId, limit, offset }
+     * @returns {Promise<{ total: number, media: Object[] }>}
+     */
+    async getUserAdds(username, { roomId = null, limit = 10, offset = 0 } = {}) {
+        if (!this.enabled) return { total: 0, media: [] };
+
+        const [count, media] = await Promise.all([
+            this.db.get(
+                'SELECT COUNT(*) as total FROM media_history WHERE added_by = ? AND (? IS NULL OR room_id = ?)',
+                [username, roomId, roomId]
+            ),
+            this.db.all(`
+                SELECT * FROM media_history
+                WHERE added_by = ? AND (? IS NULL OR room_id = ?)
+                ORDER BY first_seen DESC
+                LIMIT ? OFFSET ?
+            `, [username, roomId, roomId, limit, offset])
+        ]);
+
+        return { total: count?.total || 0, media };
+    }
+
+    /**
+     * Look media up by link or by a bit of its title, earliest seen first
+     * @param {string} search - a link CyTube can play, or words from the title
+     * @param {Object} [options] - { roomId, limit }
+     */
+    async findMedia(search, { roomId = null, limit = 5 } = {}) {
+        if (!this.enabled || !search || !search.trim()) return [];
+
+        const link = parseMediaLink(search.trim());
+        if (link) {
+            return this.db.all(`
+                SELECT * FROM media_history
+                WHERE url = ? AND (? IS NULL OR room_id = ?)
+                ORDER BY first_seen ASC
+                LIMIT ?
+            `, [this.buildMediaUrl(link.id, link.type), roomId, roomId, limit]);
+        }
+
+        const pattern = `%${search.trim().replace(/[\\%_]/g, char => `\\${char}`)}%`;
+        return this.db.all(`
+            SELECT * FROM media_history
+            WHERE title LIKE ? ESCAPE '\\' AND (? IS NULL OR room_id = ?)
+            ORDER BY first_seen ASC
+            LIMIT ?
+        `, [pattern, roomId, roomId, limit]);
+    }
+
     /**
      * Get statistics about tracked media
      */
-    async getStats() {
+    async getStats(roomId = this.roomId) {
         if (!this.enabled) return null;
 
         try {
-            const stats = await this.dbGet(`
+            const stats = await this.db.get(`
                 SELECT 
                     COUNT(DISTINCT url) as unique_media,
                     COUNT(DISTINCT added_by) as unique_users,
@@ -242,7 +314,7 @@ export default class MediaTracker {
                     SUM(queue_count) as total_queues
                 FROM media_history
                 WHERE room_id = ?
-            `, [this.roomId]);
+            `, [roomId]);
 
             return stats;
         } catch (error) {
@@ -251,14 +323,25 @@ export default class MediaTracker {
         }
     }
 
+    toJSON(row) {
+        return {
+            id: row.id,
+            room: row.room_id,
+            url: row.url,
+            title: row.title,
+            addedBy: row.added_by,
+            lastAddedBy: row.last_added_by,
+            firstSeen: row.first_seen,
+            lastSeen: row.last_seen,
+            playCount: row.play_count,
+            queueCount: row.queue_count
+        };
+    }
+
     /**
-     * Clean up resources
+     * Stop tracking. The database belongs to the bot, it closes it
      */
     destroy() {
-        if (this.db) {
-            this.db.close();
-            this.db = null;
-        }
         this.enabled = false;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,570 @@
+import { createLogger } from '../../utils/logger.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { parseMediaLink, mediaLinkUrl } from '../../utils/mediaLinks.js';
+import { WORLD, InsufficientFundsError } from '../economy/index.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    maxQueued: 2, // Requests per user waiting on the playlist at once
+    perDay: 10,
+    replayWindow: 6 * HOUR, // Anything played in the room this recently can't be requested
+    maxDuration: 15 * MINUTE, // Longer videos are pulled back off the playlist (0: no limit)
+    temp: true, // Requests drop off the playlist once they've played
+    bumps: true,
+    bumpCost: 250
+};
+
+export const REQUEST_STATUSES = ['pending', 'queued', 'played', 'failed', 'removed'];
+
+const MIN_PLAYLIST_RANK = 1.5; // CyTube's default rank for adding to and moving the playlist
+const PENDING_TIMEOUT = 30000; // CyTube answers a queue straight away, or not at all
+const MOVE_TIMEOUT = 15000; // Likewise a move: no moveVideo back by then and the bump is refunded
+const SWEEP_INTERVAL = 15000;
+
+const ERRORS = {
+    disabled: () => 'requests are off in here',
+    bad_link: () => 'that\'s not a link I can queue (youtube, vimeo, dailymotion, twitch vods or google drive)',
+    no_rank: () => 'I need playlist rights in here to queue stuff',
+    not_connected: () => 'can\'t reach the room right now',
+    in_playlist: (result) => `that's already on the playlist${result.position ? ` (#${result.position})` : ''}`,
+    played_recently: (result) => `that got played ${formatDuration(result.ago)} ago, give it a rest`,
+    pending: () => 'hang on, I\'m still waitin\' to hear back about that one',
+    too_many: (result) => `ya already got ${result.max} request(s) waitin', let 'em play first`,
+    daily_limit: (result) => `that's ya ${result.max} requests for today`,
+    no_bumps: () => 'no bumpin\' in here',
+    no_match: () => 'couldn\'t find that on the playlist',
+    playing: () => 'that one\'s already playin\' ya muppet',
+    already_next: () => 'that\'s already up next',
+    already_bumped: () => 'someone\'s already paid to bump that one',
+    broke: (result) => `a bump's $${result.amount} and ya can't cover it`,
+    move_failed: () => 'couldn\'t get the playlist to move, ya money\'s back'
+};
+
+/**
+ * Turn a request error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'the playlist\'s jammed, try again'))(result);
+}
+
+/**
+ * Playlist requests and paid bumps for !request and !bump
+ * Anyone can ask for a video: the link is checked (utils/mediaLinks.js), the
+ * room's limits applied, and anything already on the playlist or played in
+ * the last replayWindow (MediaTracker's media_history) is knocked back. What
+ * passes goes to CyTube as a queue from the bot, so the bot needs playlist
+ * rank. CyTube answers with a queue (it's on, we get its uid and length) or a
+ * queueFail; videos over maxDuration are taken straight back off.
+ *
+ * A bump moves any video on the playlist to play next for bumpCost, paid out
+ * of the economy. Bumped videos stay in the order they were bumped, so a
+ * later bump can't jump one somebody already paid for. The bump is settled
+ * when CyTube echoes the move back (moveVideo); if it never does, or the move
+ * couldn't be sent, the bump is deleted and the money handed back.
+ *
+ * Everything lands in media_requests and media_bumps.
+ *
+ * Room config (rooms/<room>.js): settings.requests = { enabled, maxQueued,
+ * perDay, replayWindow, maxDuration, temp, bumps, bumpCost }
+ */
+export class MediaRequestManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('MediaRequestManager');
+
+        this.roomConfigs = new Map();
+        this.pendingBumps = new Map(); // `${roomId}:${uid}` -> { id, timeout } waiting on CyTube's moveVideo
+        this.sweepInterval = null;
+    }
+
+    async init() {
+        const { count } = await this.db.get("SELECT COUNT(*) as count FROM media_requests WHERE status = 'queued'");
+        this.logger.info(`MediaRequestManager initialized with ${count} request(s) on playlists`);
+
+        this.sweepInterval = setInterval(() => {
+            this.sweep().catch(error => {
+                this.logger.error('Request sweep failed:', { error: error.message, stack: error.stack });
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+        for (const pending of this.pendingBumps.values()) {
+            clearTimeout(pending.timeout);
+        }
+        this.pendingBumps.clear();
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        this.roomConfigs.set(roomId, roomConfig.settings?.requests || {});
+    }
+
+    getConfig(roomId) {
+        return { ...DEFAULT_CONFIG, ...this.roomConfigs.get(roomId) };
+    }
+
+    canManagePlaylist(roomId) {
+        const room = this.bot.getRoom(roomId);
+        return (room?.getUser(this.bot.username)?.rank ?? 0) >= MIN_PLAYLIST_RANK;
+    }
+
+    /**
+     * Ask for a video to be queued
+     * @param {string} link - anything parseMediaLink understands
+     * @returns {Promise<{success: boolean, request?: Object, error?: string}>}
+     */
+    async request(roomId, username, link) {
+        const config = this.getConfig(roomId);
+        if (!config.enabled) {
+            return { success: false, error: 'disabled' };
+        }
+
+        const media = parseMediaLink(link);
+        if (!media) {
+            return { success: false, error: 'bad_link' };
+        }
+
+        const room = this.bot.getRoom(roomId);
+        if (!room?.connected) {
+            return { success: false, error: 'not_connected' };
+        }
+        if (!this.canManagePlaylist(roomId)) {
+            return { success: false, error: 'no_rank' };
+        }
+
+        const index = room.playlist.findIndex(item => item.media?.id === media.id && item.media?.type === media.type);
+        if (index >= 0) {
+            return { success: false, error: 'in_playlist', position: index + 1 };
+        }
+
+        const now = Date.now();
+        const history = await this.bot.mediaTracker?.getHistory(media.id, media.type, roomId);
+        if (history?.play_count > 0 && now - history.last_seen < config.replayWindow) {
+            return { success: false, error: 'played_recently', ago: now - history.last_seen };
+        }
+
+        const inFlight = await this.db.get(
+            "SELECT id FROM media_requests WHERE room_id = ? AND media_type = ? AND media_id = ? AND status = 'pending'",
+            [roomId, media.type, media.id]
+        );
+        if (inFlight) {
+            return { success: false, error: 'pending' };
+        }
+
+        const { waiting } = await this.db.get(
+            "SELECT COUNT(*) as waiting FROM media_requests WHERE room_id = ? AND username = ? AND status IN ('pending', 'queued')",
+            [roomId, username]
+        );
+        if (waiting >= config.maxQueued) {
+            return { success: false, error: 'too_many', max: config.maxQueued };
+        }
+
+        const { today } = await this.db.get(
+            "SELECT COUNT(*) as today FROM media_requests WHERE room_id = ? AND username = ? AND created_at > ? AND status != 'failed'",
+            [roomId, username, now - DAY]
+        );
+        if (today >= config.perDay) {
+            return { success: false, error: 'daily_limit', max: config.perDay };
+        }
+
+        const result = await this.db.run(`
+            INSERT INTO media_requests (room_id, username, media_type, media_id, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [roomId, username, media.type, media.id, now]);
+
+        if (!this.bot.queueMedia(roomId, media, { position: 'end', temp: config.temp })) {
+            await this.finish(result.lastID, 'failed', 'not connected');
+            return { success: false, error: 'not_connected' };
+        }
+
+        this.logger.info(`[${roomId}] ${username} requested ${media.type}:${media.id} (#${result.lastID})`);
+        return { success: true, request: await this.getRequest(result.lastID) };
+    }
+
+    async getRequest(id) {
+        return this.db.get('SELECT * FROM media_requests WHERE id = ?', [id]);
+    }
+
+    async finish(id, status, reason = null) {
+        await this.db.run(
+            'UPDATE media_requests SET status = ?, reason = ?, finished_at = ? WHERE id = ?',
+            [status, reason, Date.now(), id]
+        );
+    }
+
+    /**
+     * Requests newest first (filters: roomId, username, status)
+     */
+    async listRequests({ roomId = null, username = null, status = null, limit = 20, offset = 0 } = {}) {
+        const where = [];
+        const params = [];
+        if (roomId) {
+            where.push('room_id = ?');
+            params.push(roomId);
+        }
+        if (username) {
+            where.push('username = ?');
+            params.push(username);
+        }
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+
+        return this.db.all(
+            `SELECT * FROM media_requests ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+    }
+
+    /**
+     * Bumps newest first (filters: roomId, username)
+     */
+    async listBumps({ roomId = null, username = null, limit = 20, offset = 0 } = {}) {
+        const where = [];
+        const params = [];
+        if (roomId) {
+            where.push('room_id = ?');
+            params.push(roomId);
+        }
+        if (username) {
+            where.push('username = ?');
+            params.push(username);
+        }
+
+        return this.db.all(
+            `SELECT * FROM media_bumps ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+    }
+
+    /**
+     * Find something on the playlist still to come: '#12' is request 12, a
+     * link matches that video, anything else searches titles
+     * @returns {{item: Object, index: number}|null}
+     */
+    async findUpcoming(roomId, query) {
+        const room = this.bot.getRoom(roomId);
+        const playlist = room?.playlist || [];
+        const current = this.currentIndex(room);
+
+        let match;
+        const requestId = query.match(/^#(\d+)$/);
+        const media = parseMediaLink(query);
+        if (requestId) {
+            const request = await this.getRequest(parseInt(requestId[1]));
+            match = (item) => request?.room_id === roomId && item.uid === request.uid;
+        } else if (media) {
+            match = (item) => item.media?.id === media.id && item.media?.type === media.type;
+        } else {
+            const search = query.toLowerCase();
+            match = (item) => item.media?.title?.toLowerCase().includes(search);
+        }
+
+        // Coming up first, so "bump x" gets the next x rather than one that's just played
+        const order = [...playlist.keys()].map(i => (current + 1 + i) % playlist.length);
+        for (const index of order) {
+            if (match(playlist[index])) {
+                return { item: playlist[index], index };
+            }
+        }
+        return null;
+    }
+
+    currentIndex(room) {
+        if (!room) return -1;
+        if (room.currentUid !== undefined && room.currentUid !== null) {
+            const index = room.playlist.findIndex(item => item.uid === room.currentUid);
+            if (index >= 0) return index;
+        }
+        return room.currentMedia
+            ? room.playlist.findIndex(item => item.media?.id === room.currentMedia.id)
+            : -1;
+    }
+
+    /**
+     * Pay to move a video up to play next, behind anything else already bumped
+     * @param {string} query - see findUpcoming
+     */
+    async bump(roomId, username, query) {
+        const config = this.getConfig(roomId);
+        if (!config.enabled || !config.bumps) {
+            return { success: false, error: 'no_bumps' };
+        }
+
+        const room = this.bot.getRoom(roomId);
+        if (!room?.connected) {
+            return { success: false, error: 'not_connected' };
+        }
+        if (!this.canManagePlaylist(roomId)) {
+            return { success: false, error: 'no_rank' };
+        }
+
+        const found = await this.findUpcoming(roomId, query);
+        if (!found) {
+            return { success: false, error: 'no_match' };
+        }
+
+        const current = this.currentIndex(room);
+        if (found.index === current) {
+            return { success: false, error: 'playing' };
+        }
+
+        // Slot in after the current video and any paid bumps lined up behind it
+        const bumped = new Set((await this.db.all(
+            'SELECT uid FROM media_bumps WHERE room_id = ? AND created_at > ?',
+            [roomId, Date.now() - DAY]
+        )).map(row => row.uid));
+        if (bumped.has(found.item.uid) && found.index > current) {
+            return { success: false, error: 'already_bumped' };
+        }
+        let after = current;
+        while (after + 1 < room.playlist.length && bumped.has(room.playlist[after + 1].uid)) {
+            after++;
+        }
+        if (found.index === after + 1) {
+            return { success: false, error: 'already_next' };
+        }
+
+        const { item } = found;
+        const afterUid = after >= 0 ? room.playlist[after].uid : 'prepend';
+        const request = await this.db.get(
+            "SELECT id FROM media_requests WHERE room_id = ? AND uid = ? AND status = 'queued'",
+            [roomId, item.uid]
+        );
+
+        try {
+            const bump = await this.db.transaction(async () => {
+                await this.bot.heistManager.updateUserEconomy(username, -config.bumpCost, 0, {
+                    type: 'playlist_bump',
+                    description: `Bumped ${item.media?.title || 'a video'}`,
+                    roomId,
+                    counterparty: WORLD,
+                    requireFunds: true
+                });
+
+                const toPosition = (found.index > after ? after + 1 : after) + 1;
+                const result = await this.db.run(`
+                    INSERT INTO media_bumps (room_id, username, request_id, uid, media_type, media_id, title, from_position, to_position, cost, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [roomId, username, request?.id || null, item.uid, item.media?.type, item.media?.id, item.media?.title,
+                    found.index + 1, toPosition, config.bumpCost, Date.now()]);
+
+                return { id: result.lastID, from: found.index + 1, to: toPosition };
+            });
+
+            if (!this.bot.moveMedia(roomId, item.uid, afterUid)) {
+                await this.refundBump(bump.id, 'the move never went out');
+                return { success: false, error: 'move_failed' };
+            }
+
+            const key = `${roomId}:${item.uid}`;
+            clearTimeout(this.pendingBumps.get(key)?.timeout);
+            this.pendingBumps.set(key, {
+                id: bump.id,
+                timeout: setTimeout(() => {
+                    this.pendingBumps.delete(key);
+                    this.refundBump(bump.id, 'CyTube never moved it').then(refunded => {
+                        if (refunded) {
+                            this.bot.sendMessage(roomId, `🎵 -${refunded.username} the playlist wouldn't budge for ${refunded.title || 'ya bump'}, ya $${refunded.cost}'s back`);
+                        }
+                    }).catch(error => {
+                        this.logger.error('Bump refund failed:', { error: error.message, stack: error.stack });
+                    });
+                }, MOVE_TIMEOUT)
+            });
+
+            this.logger.info(`[${roomId}] ${username} bumped ${item.media?.title} from #${bump.from} to #${bump.to} ($${config.bumpCost})`);
+            return { success: true, bump, item, cost: config.bumpCost };
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount: config.bumpCost };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Hand back a bump that never happened and forget it, so it doesn't hold
+     * a spot in the bump order
+     * @returns {Promise<Object|null>} the bump row, null if it was already gone
+     */
+    async refundBump(bumpId, reason) {
+        const bump = await this.db.transaction(async () => {
+            const bump = await this.db.get('SELECT * FROM media_bumps WHERE id = ?', [bumpId]);
+            if (!bump) return null;
+
+            await this.bot.heistManager.updateUserEconomy(bump.username, bump.cost, 0, {
+                type: 'playlist_bump_refund',
+                description: `Bump of ${bump.title || 'a video'} didn't happen`,
+                roomId: bump.room_id,
+                counterparty: WORLD
+            });
+            await this.db.run('DELETE FROM media_bumps WHERE id = ?', [bumpId]);
+            return bump;
+        });
+
+        if (bump) {
+            this.logger.warn(`[${bump.room_id}] Refunded ${bump.username}'s $${bump.cost} bump of ${bump.title}: ${reason}`);
+        }
+        return bump;
+    }
+
+    /**
+     * CyTube moved something on the playlist. A bump waiting on it is done
+     */
+    handleMoved(roomId, data) {
+        const key = `${roomId}:${data?.from}`;
+        const pending = this.pendingBumps.get(key);
+        if (!pending) return;
+
+        clearTimeout(pending.timeout);
+        this.pendingBumps.delete(key);
+    }
+
+    /**
+     * CyTube put something on the playlist. If it's one of ours we now know
+     * its uid, title and length
+     */
+    async handleQueued(roomId, item) {
+        if (!item?.media || item.queueby?.toLowerCase() !== this.bot.username?.toLowerCase()) return;
+
+        const request = await this.db.get(`
+            SELECT * FROM media_requests
+            WHERE room_id = ? AND media_type = ? AND media_id = ? AND status = 'pending'
+            ORDER BY id LIMIT 1
+        `, [roomId, item.media.type, item.media.id]);
+        if (!request) return;
+
+        const config = this.getConfig(roomId);
+        const duration = item.media.seconds || 0;
+        await this.db.run(
+            "UPDATE media_requests SET status = 'queued', uid = ?, title = ?, duration = ?, queued_at = ? WHERE id = ?",
+            [item.uid, item.media.title, duration, Date.now(), request.id]
+        );
+
+        if (config.maxDuration && duration * 1000 > config.maxDuration) {
+            this.bot.deleteMedia(roomId, item.uid);
+            await this.finish(request.id, 'removed', 'too long');
+            this.bot.sendMessage(roomId, `-${request.username} ${item.media.title} is ${formatDuration(duration * 1000)}, ` +
+                `requests are ${formatDuration(config.maxDuration)} max. pulled it`);
+            return;
+        }
+
+        const room = this.bot.getRoom(roomId);
+        const position = room ? room.playlist.findIndex(entry => entry.uid === item.uid) + 1 : 0;
+        this.bot.sendMessage(roomId, `🎵 -${request.username} ya request is in: ${item.media.title}` +
+            (position > 0 ? ` (#${position} of ${room.playlist.length})` : '') +
+            (config.bumps ? `. !bump #${request.id} to jump the queue for $${config.bumpCost}` : ''));
+    }
+
+    /**
+     * CyTube wouldn't queue something. queueFail only has the link, so it's
+     * pinned on the oldest pending request for that video
+     */
+    async handleQueueFail(roomId, data) {
+        const media = parseMediaLink(data?.link || '');
+        const request = media
+            ? await this.db.get(`
+                SELECT * FROM media_requests
+                WHERE room_id = ? AND media_type = ? AND media_id = ? AND status = 'pending'
+                ORDER BY id LIMIT 1
+            `, [roomId, media.type, media.id])
+            : null;
+        if (!request) return;
+
+        const reason = (data.msg || 'CyTube said no').replace(/<[^>]*>/g, '');
+        await this.finish(request.id, 'failed', reason);
+        this.bot.sendMessage(roomId, `-${request.username} couldn't queue that one: ${reason}`);
+    }
+
+    async handleDeleted(roomId, uid) {
+        await this.db.run(
+            "UPDATE media_requests SET status = 'removed', reason = 'deleted', finished_at = ? WHERE room_id = ? AND uid = ? AND status = 'queued'",
+            [Date.now(), roomId, uid]
+        );
+    }
+
+    async handleMediaChange(roomId, media) {
+        if (!media?.id) return;
+
+        await this.db.run(
+            "UPDATE media_requests SET status = 'played', finished_at = ? WHERE room_id = ? AND media_type = ? AND media_id = ? AND status = 'queued'",
+            [Date.now(), roomId, media.type, media.id]
+        );
+    }
+
+    /**
+     * A full playlist came through (on join): anything of ours that's no
+     * longer on it was taken off while we weren't looking
+     */
+    async handlePlaylist(roomId, playlist) {
+        const uids = new Set(playlist.map(item => item.uid));
+        const queued = await this.db.all(
+            "SELECT id, uid FROM media_requests WHERE room_id = ? AND status = 'queued'",
+            [roomId]
+        );
+        for (const request of queued) {
+            if (!uids.has(request.uid)) {
+                await this.finish(request.id, 'removed', 'gone from the playlist');
+            }
+        }
+    }
+
+    /**
+     * Fail requests CyTube never answered
+     */
+    async sweep() {
+        const stale = await this.db.all(
+            "SELECT id, room_id, username FROM media_requests WHERE status = 'pending' AND created_at < ?",
+            [Date.now() - PENDING_TIMEOUT]
+        );
+        for (const request of stale) {
+            await this.finish(request.id, 'failed', 'no answer from CyTube');
+            this.logger.warn(`[${request.room_id}] Request #${request.id} from ${request.username} got no answer`);
+        }
+    }
+
+    /**
+     * API shape for a request
+     */
+    requestToJSON(request) {
+        return {
+            id: request.id,
+            room: request.room_id,
+            username: request.username,
+            media: { type: request.media_type, id: request.media_id, url: mediaLinkUrl(request.media_id, request.media_type) },
+            title: request.title,
+            duration: request.duration,
+            status: request.status,
+            reason: request.reason,
+            createdAt: request.created_at,
+            queuedAt: request.queued_at,
+            finishedAt: request.finished_at
+        };
+    }
+
+    bumpToJSON(bump) {
+        return {
+            id: bump.id,
+            room: bump.room_id,
+            username: bump.username,
+            requestId: bump.request_id,
+            media: bump.media_id ? { type: bump.media_type, id: bump.media_id, url: mediaLinkUrl(bump.media_id, bump.media_type) } : null,
+            title: bump.title,
+            from: bump.from_position,
+            to: bump.to_position,
+            cost: bump.cost,
+            createdAt: bump.created_at
+        };
+    }
+}
@@ -0,0 +1,267 @@
+import { createLogger } from '../../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    warningExpiry: 30 * DAY, // Warnings stop counting after this
+    maxReason: 300
+};
+
+export const CASE_TYPES = ['warning', 'note', 'action'];
+export const CASE_ACTIONS = ['mute', 'kick', 'ban', 'unban'];
+
+const ERRORS = {
+    no_reason: () => 'need a reason for the record',
+    too_long: (result) => `keep it under ${result.max} characters`,
+    bad_action: () => `actions are ${CASE_ACTIONS.join(', ')}`,
+    no_case: (result) => `there's no case #${result.caseId}`,
+    revoked: (result) => `case #${result.caseId} was already revoked`,
+    not_yours: (result) => `case #${result.caseId} isn't yours to appeal`,
+    note: () => 'ya can\'t appeal a note',
+    already_appealed: (result) => `there's already an appeal in on case #${result.caseId}, hang tight`,
+    no_appeal: (result) => `there's no open appeal #${result.appealId}`
+};
+
+/**
+ * Turn a moderation case error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'the case files are a mess, try again'))(result);
+}
+
+/**
+ * Moderation cases for !warn, !note, !cases and !appeal
+ * Every user's record in one place: warnings (which expire after
+ * warningExpiry), private notes between mods, and actions taken (mutes,
+ * kicks and bans, including automod's), each with the mod responsible.
+ * Users can appeal a warning or action once at a time; a mod upholds or
+ * overturns it, and overturning revokes the case. The same history is at
+ * /api/v1/moderation for mods with an API key.
+ *
+ * Config: config.moderation = { warningExpiry, maxReason }
+ */
+export class ModerationCaseManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('ModerationCaseManager');
+        this.config = { ...DEFAULT_CONFIG, ...bot?.config?.moderation };
+    }
+
+    async init() {
+        const row = await this.db.get(`SELECT COUNT(*) as count FROM moderation_appeals WHERE status = 'pending'`);
+        this.logger.info(`ModerationCaseManager initialized with ${row?.count || 0} pending appeal(s)`);
+    }
+
+    /**
+     * Whether a case still counts against the user
+     */
+    isActive(record, now = Date.now()) {
+        return !record.revoked_at && (!record.expires_at || record.expires_at > now);
+    }
+
+    checkReason(reason) {
+        if (!reason || !reason.trim()) {
+            return { success: false, error: 'no_reason' };
+        }
+        if (reason.length > this.config.maxReason) {
+            return { success: false, error: 'too_long', max: this.config.maxReason };
+        }
+        return null;
+    }
+
+    async addCase({ username, roomId = null, type, action = null, reason, moderator, expiresAt = null }) {
+        const invalid = this.checkReason(reason);
+        if (invalid) return invalid;
+
+        const now = Date.now();
+        const result = await this.db.run(`
+            INSERT INTO moderation_cases (username, room_id, type, action, reason, moderator, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [username, roomId, type, action, reason.trim(), moderator, now, expiresAt]);
+
+        this.logger.info(`Case #${result.lastID}: ${moderator} ${type}${action ? ` (${action})` : ''} ${username}: ${reason}`);
+        return { success: true, case: await this.getCase(result.lastID) };
+    }
+
+    /**
+     * Warn a user. The warning counts against them for duration (warningExpiry by default)
+     * @returns {Promise<Object>} { success, case, activeWarnings }
+     */
+    async warn(username, reason, moderator, roomId = null, { duration = this.config.warningExpiry } = {}) {
+        const result = await this.addCase({
+            username, roomId, type: 'warning', reason, moderator,
+            expiresAt: Date.now() + duration
+        });
+        if (!result.success) return result;
+
+        const summary = await this.getSummary(username);
+        return { ...result, activeWarnings: summary.activeWarnings };
+    }
+
+    async note(username, text, moderator, roomId = null) {
+        return this.addCase({ username, roomId, type: 'note', reason: text, moderator });
+    }
+
+    async recordAction(username, action, reason, moderator, roomId = null) {
+        if (!CASE_ACTIONS.includes(action)) {
+            return { success: false, error: 'bad_action' };
+        }
+        return this.addCase({ username, roomId, type: 'action', action, reason, moderator });
+    }
+
+    /**
+     * One case and its appeals
+     */
+    async getCase(caseId) {
+        const record = await this.db.get('SELECT * FROM moderation_cases WHERE id = ?', [caseId]);
+        if (!record) return null;
+
+        record.appeals = await this.db.all('SELECT * FROM moderation_appeals WHERE case_id = ? ORDER BY created_at', [caseId]);
+        return record;
+    }
+
+    /**
+     * Cases newest first
+     * @param {Object} filters - username, roomId, type, activeOnly, limit, offset
+     */
+    async listCases({ username = null, roomId = null, type = null, activeOnly = false, limit = 20, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (username) {
+            conditions.push('username = ?');
+            params.push(username);
+        }
+        if (roomId) {
+            conditions.push('room_id = ?');
+            params.push(roomId);
+        }
+        if (type) {
+            conditions.push('type = ?');
+            params.push(type);
+        }
+        if (activeOnly) {
+            conditions.push('revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)');
+            params.push(Date.now());
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.db.all(`
+            SELECT * FROM moderation_cases ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+    }
+
+    /**
+     * Counts of what's on a user's record
+     */
+    async getSummary(username) {
+        const now = Date.now();
+        const row = await this.db.get(`
+            SELECT
+                COUNT(*) as total,
+                SUM(CASE WHEN type = 'warning' AND revoked_at IS NULL AND expires_at > ? THEN 1 ELSE 0 END) as active_warnings,
+                SUM(CASE WHEN type = 'warning' THEN 1 ELSE 0 END) as warnings,
+                SUM(CASE WHEN type = 'note' THEN 1 ELSE 0 END) as notes,
+                SUM(CASE WHEN type = 'action' AND revoked_at IS NULL THEN 1 ELSE 0 END) as actions,
+                MAX(created_at) as last_case_at
+            FROM moderation_cases
+            WHERE username = ?
+        `, [now, username]);
+        const appeals = await this.db.get(`
+            SELECT COUNT(*) as pending FROM moderation_appeals WHERE username = ? AND status = 'pending'
+        `, [username]);
+
+        return {
+            username,
+            total: row?.total || 0,
+            activeWarnings: row?.active_warnings || 0,
+            warnings: row?.warnings || 0,
+            notes: row?.notes || 0,
+            actions: row?.actions || 0,
+            lastCaseAt: row?.last_case_at || null,
+            pendingAppeals: appeals?.pending || 0
+        };
+    }
+
+    /**
+     * Take a case off someone's record
+     */
+    async revoke(caseId, revokedBy, reason = null) {
+        const record = await this.db.get('SELECT * FROM moderation_cases WHERE id = ?', [caseId]);
+        if (!record) return { success: false, error: 'no_case', caseId };
+        if (record.revoked_at) return { success: false, error: 'revoked', caseId };
+
+        await this.db.run(`
+            UPDATE moderation_cases SET revoked_at = ?, revoked_by = ?, revoke_reason = ? WHERE id = ?
+        `, [Date.now(), revokedBy, reason, caseId]);
+
+        this.logger.info(`Case #${caseId} revoked by ${revokedBy}${reason ? `: ${reason}` : ''}`);
+        return { success: true, case: record };
+    }
+
+    /**
+     * A user asking for one of their warnings or actions to be looked at again
+     */
+    async appeal(caseId, username, message) {
+        const record = await this.db.get('SELECT * FROM moderation_cases WHERE id = ?', [caseId]);
+        if (!record) return { success: false, error: 'no_case', caseId };
+        if (record.username.toLowerCase() !== username.toLowerCase()) return { success: false, error: 'not_yours', caseId };
+        if (record.type === 'note') return { success: false, error: 'note' };
+        if (record.revoked_at) return { success: false, error: 'revoked', caseId };
+
+        const invalid = this.checkReason(message);
+        if (invalid) return invalid;
+
+        const pending = await this.db.get(
+            `SELECT id FROM moderation_appeals WHERE case_id = ? AND status = 'pending'`,
+            [caseId]
+        );
+        if (pending) return { success: false, error: 'already_appealed', caseId };
+
+        const result = await this.db.run(`
+            INSERT INTO moderation_appeals (case_id, username, message, created_at)
+            VALUES (?, ?, ?, ?)
+        `, [caseId, username, message.trim(), Date.now()]);
+
+        this.logger.info(`Appeal #${result.lastID} on case #${caseId} from ${username}`);
+        return { success: true, appealId: result.lastID, case: record };
+    }
+
+    /**
+     * Uphold or overturn an appeal. Overturning revokes the case
+     * @param {string} decision - 'upheld' or 'overturned'
+     */
+    async decideAppeal(appealId, decision, decidedBy, response = null) {
+        const appeal = await this.db.get(`SELECT * FROM moderation_appeals WHERE id = ? AND status = 'pending'`, [appealId]);
+        if (!appeal) return { success: false, error: 'no_appeal', appealId };
+
+        await this.db.transaction(async () => {
+            await this.db.run(`
+                UPDATE moderation_appeals SET status = ?, decided_by = ?, decided_at = ?, response = ? WHERE id = ?
+            `, [decision, decidedBy, Date.now(), response, appealId]);
+
+            if (decision === 'overturned') {
+                await this.db.run(`
+                    UPDATE moderation_cases SET revoked_at = ?, revoked_by = ?, revoke_reason = ?
+                    WHERE id = ? AND revoked_at IS NULL
+                `, [Date.now(), decidedBy, response || `appeal #${appealId} overturned`, appeal.case_id]);
+            }
+        });
+
+        this.logger.info(`Appeal #${appealId} on case #${appeal.case_id} ${decision} by ${decidedBy}`);
+        return { success: true, appeal: { ...appeal, status: decision } };
+    }
+
+    async listAppeals({ status = 'pending', username = null, limit = 20, offset = 0 } = {}) {
+        return this.db.all(`
+            SELECT a.*, c.type, c.action, c.reason, c.moderator
+            FROM moderation_appeals a
+            JOIN moderation_cases c ON c.id = a.case_id
+            WHERE (? IS NULL OR a.status = ?) AND (? IS NULL OR a.username = ?)
+            ORDER BY a.created_at DESC, a.id DESC
+            LIMIT ? OFFSET ?
+        `, [status, status, username, username, limit, offset]);
+    }
+}
@@ -0,0 +1,517 @@
+import { createLogger } from '../../utils/logger.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { extractLinkDomains } from '../../utils/urlDetector.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_CONFIG = {
+    enabled: false,
+    flood: { messages: 6, seconds: 5 }, // More than this many messages this quick
+    repeats: { count: 3, seconds: 60 }, // The same message this many times
+    caps: { ratio: 0.7, minLength: 15 }, // Share of letters in capitals, on messages with at least minLength letters
+    bannedWords: [], // Whole words, or '/regex/flags'
+    blockedDomains: [], // Subdomains are blocked too
+    ladder: ['warn', 'pm', 'mute', 'kick'], // Action for each strike, the last one repeats
+    strikeWindow: HOUR, // Strikes older than this are forgotten
+    muteTime: 5 * MINUTE,
+    exemptRoles: ['moderator']
+};
+
+export const ACTIONS = ['warn', 'pm', 'mute', 'kick', 'ban'];
+
+// For "next one's a ..."
+const ACTION_NAMES = {
+    warn: 'warning',
+    pm: 'PM from me',
+    mute: 'mute',
+    kick: 'kick',
+    ban: 'ban'
+};
+
+// Actions that need the bot to outrank whoever it's used on
+const RANKED_ACTIONS = new Set(['mute', 'kick', 'ban']);
+const MIN_ENFORCE_RANK = 2; // CyTube moderator
+
+const SWEEP_INTERVAL = 30000;
+const MAX_LOGGED_MESSAGE = 200;
+
+// What Dazza tells them they did, per rule
+const REASONS = {
+    flood: 'slow down with the spam',
+    repeats: 'ya sound like a broken record',
+    caps: 'stop yellin',
+    words: 'watch ya mouth',
+    domains: 'links to that site aren\'t allowed in here'
+};
+
+const ERRORS = {
+    bad_regex: (result) => `that regex is cooked: ${result.message}`,
+    exists: (result) => `${result.entry} is already on the list`,
+    missing: (result) => `${result.entry} isn't on the list`,
+    bad_action: () => `the ladder can only have ${ACTIONS.join(', ')}`,
+    no_strikes: (result) => `${result.username} hasn't got any strikes`
+};
+
+/**
+ * Turn an automod error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'automod\'s having a moment, try again'))(result);
+}
+
+// Chat messages come in as HTML, rules look at what people actually typed
+function plainText(msg) {
+    return (msg || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Whether a regex repeats a group that has a repeat or an alternation in it,
+ * like (a+)+, ((a+))+ or (a|a)*. Those can backtrack for ages on a message
+ * that nearly matches, so they're not allowed at all
+ */
+export function hasNestedRepeat(source) {
+    const groups = []; // for each open group, whether it has a repeat or | in it yet
+    let risky = false; // the group that just closed, waiting to see if it's repeated
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        const repeat = char === '*' || char === '+' || char === '{' || (char === '?' && source[i - 1] !== '(');
+        if (repeat && risky && char !== '?') {
+            return true;
+        }
+        risky = false;
+
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            // A character class is one thing however much is in it
+            for (i++; i < source.length && source[i] !== ']'; i++) {
+                if (source[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            risky = groups.pop() ?? false;
+            if (risky && groups.length > 0) groups[groups.length - 1] = true;
+        } else if ((repeat || char === '|') && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Compile a banned word list entry: '/pattern/flags' is a regex, anything
+ * else is a whole word, case insensitive
+ * @throws {SyntaxError} for a bad regex, or one that can backtrack forever (see hasNestedRepeat)
+ */
+export function compileWord(entry) {
+    const regex = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        if (hasNestedRepeat(regex[1])) {
+            throw new SyntaxError('repeats of groups with repeats or | in them, like (a+)+ or (a|b)*, can lock me up');
+        }
+        return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+    }
+    const escaped = entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\W)${escaped}(?=\\W|$)`, 'i');
+}
+
+/**
+ * Chat moderation for the rooms
+ * Every chat message gets checked against the room's rules: banned words,
+ * blocked domains (any link, see utils/urlDetector.js), flooding, saying the
+ * same thing over and over, and shouting. Breaking one is a strike, and each
+ * strike in the window gets the next action on the ladder: a warning in chat,
+ * a PM, a timed mute, a kick, a ban. Mutes, kicks and bans go through CyTube's
+ * chat commands, so they need the bot to be a moderator and outrank the user;
+ * when it can't, it warns instead. Mods (exemptRoles) and bot admins are left
+ * alone. Everything lands in moderation_log, and mutes, kicks and bans go on
+ * the user's record too (see cases.js).
+ *
+ * Room config (rooms/<room>.js): settings.automod = { enabled, flood, repeats,
+ * caps, bannedWords, blockedDomains, ladder, strikeWindow, muteTime,
+ * exemptRoles }. Set a rule to false to switch it off. !automod changes are
+ * stored in automod_settings and take precedence over the file.
+ */
+export class AutoModManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('AutoModManager');
+
+        this.fileConfigs = new Map(); // roomId -> settings.automod
+        this.overrides = new Map(); // roomId -> live changes from !automod
+        this.recent = new Map(); // roomId:username -> [{ text, at }]
+        this.compiledWords = new Map(); // roomId -> { entries, patterns } for the bannedWords last compiled
+        this.sweepInterval = null;
+    }
+
+    async init() {
+        const rows = await this.db.all('SELECT room_id, settings FROM automod_settings');
+        for (const row of rows) {
+            try {
+                this.overrides.set(row.room_id, JSON.parse(row.settings));
+            } catch (error) {
+                this.logger.error(`Bad automod settings for ${row.room_id}:`, { error: error.message });
+            }
+        }
+        this.logger.info(`AutoModManager initialized with live settings for ${rows.length} room(s)`);
+
+        this.sweepInterval = setInterval(() => {
+            this.sweep().catch(error => {
+                this.logger.error('Automod sweep failed:', { error: error.message, stack: error.stack });
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        this.fileConfigs.set(roomId, roomConfig.settings?.automod || {});
+    }
+
+    getConfig(roomId) {
+        return {
+            ...DEFAULT_CONFIG,
+            ...this.fileConfigs.get(roomId),
+            ...this.overrides.get(roomId)
+        };
+    }
+
+    /**
+     * Change one setting live for a room
+     * @param {string} key - a DEFAULT_CONFIG key
+     * @param {*} value - false switches a rule off
+     */
+    async setRule(roomId, key, value, updatedBy = null) {
+        if (key === 'ladder' && (!value.length || value.some(action => !ACTIONS.includes(action)))) {
+            return { success: false, error: 'bad_action' };
+        }
+
+        const settings = { ...this.overrides.get(roomId), [key]: value };
+        await this.saveOverrides(roomId, settings, updatedBy);
+        this.logger.info(`[${roomId}] automod ${key} set by ${updatedBy}:`, value);
+        return { success: true, config: this.getConfig(roomId) };
+    }
+
+    /**
+     * Add to or remove from bannedWords or blockedDomains
+     */
+    async addToList(roomId, list, entry, updatedBy = null) {
+        if (list === 'bannedWords') {
+            try {
+                compileWord(entry);
+            } catch (error) {
+                return { success: false, error: 'bad_regex', message: error.message };
+            }
+        }
+
+        const current = this.getConfig(roomId)[list];
+        if (current.some(item => item.toLowerCase() === entry.toLowerCase())) {
+            return { success: false, error: 'exists', entry };
+        }
+        return this.setRule(roomId, list, [...current, entry], updatedBy);
+    }
+
+    async removeFromList(roomId, list, entry, updatedBy = null) {
+        const current = this.getConfig(roomId)[list];
+        const remaining = current.filter(item => item.toLowerCase() !== entry.toLowerCase());
+        if (remaining.length === current.length) {
+            return { success: false, error: 'missing', entry };
+        }
+        return this.setRule(roomId, list, remaining, updatedBy);
+    }
+
+    /**
+     * Drop every live change so the room file applies again
+     */
+    async reset(roomId) {
+        const result = await this.db.run('DELETE FROM automod_settings WHERE room_id = ?', [roomId]);
+        this.overrides.delete(roomId);
+        return { success: result.changes > 0 };
+    }
+
+    async saveOverrides(roomId, settings, updatedBy) {
+        await this.db.run(`
+            INSERT INTO automod_settings (room_id, settings, updated_by, updated_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(room_id) DO UPDATE SET
+                settings = excluded.settings,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `, [roomId, JSON.stringify(settings), updatedBy, Date.now()]);
+
+        this.overrides.set(roomId, settings);
+    }
+
+    isExempt(roomId, username, config) {
+        return this.bot.isAdmin(username) || this.bot.hasRole(username, config.exemptRoles, roomId);
+    }
+
+    /**
+     * Which rule a message breaks, if any. Remembers the message for the
+     * flood and repeat checks
+     * @returns {{rule: string, detail: string}|null}
+     */
+    check(roomId, username, msg, config = this.getConfig(roomId), now = Date.now()) {
+        const text = plainText(msg);
+        const key = `${roomId}:${username.toLowerCase()}`;
+
+        // Only as much history as the longest window needs
+        const keepFor = Math.max(config.flood ? config.flood.seconds : 0, config.repeats ? config.repeats.seconds : 0) * 1000;
+        const recent = (this.recent.get(key) || []).filter(entry => now - entry.at < keepFor);
+        const normalised = text.toLowerCase().replace(/\s+/g, ' ');
+        recent.push({ text: normalised, at: now });
+        this.recent.set(key, recent);
+
+        const violation = this.findViolation(this.getBannedWords(roomId, config), msg, text, normalised, recent, config, now);
+        if (violation) {
+            // One burst is one strike
+            this.recent.delete(key);
+        }
+        return violation;
+    }
+
+    /**
+     * The room's banned words compiled. Only recompiled when the list itself
+     * changes (a new room file or an !automod edit gives a new array)
+     * @returns {Array<{entry: string, regex: RegExp}>}
+     */
+    getBannedWords(roomId, config = this.getConfig(roomId)) {
+        const entries = config.bannedWords || [];
+        const cached = this.compiledWords.get(roomId);
+        if (cached?.entries === entries) {
+            return cached.patterns;
+        }
+
+        const patterns = [];
+        for (const entry of entries) {
+            try {
+                patterns.push({ entry, regex: compileWord(entry) });
+            } catch (error) {
+                // A bad regex from the room file just doesn't match
+                this.logger.warn(`[${roomId}] ignoring banned word ${entry}: ${error.message}`);
+            }
+        }
+        this.compiledWords.set(roomId, { entries, patterns });
+        return patterns;
+    }
+
+    findViolation(bannedWords, msg, text, normalised, recent, config, now) {
+        for (const { entry, regex } of bannedWords) {
+            if (regex.test(text)) {
+                return { rule: 'words', detail: entry };
+            }
+        }
+
+        const blocked = (config.blockedDomains || []).map(domain => domain.toLowerCase());
+        if (blocked.length > 0) {
+            for (const domain of extractLinkDomains(msg)) {
+                const match = blocked.find(entry => domain === entry || domain.endsWith(`.${entry}`));
+                if (match) {
+                    return { rule: 'domains', detail: match };
+                }
+            }
+        }
+
+        if (config.flood) {
+            const inWindow = recent.filter(entry => now - entry.at < config.flood.seconds * 1000);
+            if (inWindow.length > config.flood.messages) {
+                return { rule: 'flood', detail: `${inWindow.length} messages in ${config.flood.seconds}s` };
+            }
+        }
+
+        if (config.repeats && normalised) {
+            const same = recent.filter(entry => entry.text === normalised && now - entry.at < config.repeats.seconds * 1000);
+            if (same.length >= config.repeats.count) {
+                return { rule: 'repeats', detail: `said ${same.length} times` };
+            }
+        }
+
+        if (config.caps) {
+            // Links are often capitals and aren't shouting
+            const letters = text.replace(/\S+\.\S+/g, '').replace(/[^a-zA-Z]/g, '');
+            const upper = letters.replace(/[^A-Z]/g, '').length;
+            if (letters.length >= config.caps.minLength && upper / letters.length >= config.caps.ratio) {
+                return { rule: 'caps', detail: `${Math.round(upper / letters.length * 100)}% capitals` };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a chat message and deal with whoever sent it
+     * @returns {Promise<boolean>} whether automod acted (the message should go no further)
+     */
+    async handleMessage(roomId, data) {
+        const config = this.getConfig(roomId);
+        if (!config.enabled || !data.username || this.isExempt(roomId, data.username, config)) {
+            return false;
+        }
+
+        const violation = this.check(roomId, data.username, data.msg, config);
+        if (!violation) return false;
+
+        try {
+            await this.punish(roomId, data.username, violation, data.msg, config);
+        } catch (error) {
+            this.logger.error(`Automod failed to act on ${data.username} in ${roomId}:`, { error: error.message });
+        }
+        return true;
+    }
+
+    /**
+     * Strikes a user has in a room right now
+     */
+    async getStrikes(roomId, username, config = this.getConfig(roomId), now = Date.now()) {
+        const pardon = await this.db.get(`
+            SELECT MAX(created_at) as pardoned_at FROM moderation_log
+            WHERE room_id = ? AND username = ? AND action = 'pardon'
+        `, [roomId, username]);
+        const since = Math.max(now - config.strikeWindow, pardon?.pardoned_at || 0);
+
+        const row = await this.db.get(`
+            SELECT COUNT(*) as strikes FROM moderation_log
+            WHERE room_id = ? AND username = ? AND moderator = 'automod' AND created_at > ?
+        `, [roomId, username, since]);
+        return row?.strikes || 0;
+    }
+
+    /**
+     * Whether the bot can mute/kick/ban a user in a room
+     */
+    canEnforce(roomId, username) {
+        const room = this.bot.getRoom(roomId);
+        const botRank = room?.getUser(this.bot.username)?.rank ?? 0;
+        const userRank = room?.getUser(username)?.rank ?? 0;
+        return botRank >= MIN_ENFORCE_RANK && botRank > userRank;
+    }
+
+    async punish(roomId, username, violation, msg, config) {
+        const now = Date.now();
+        const strike = await this.getStrikes(roomId, username, config, now) + 1;
+        const ladder = config.ladder;
+        let action = ladder[Math.min(strike, ladder.length) - 1];
+        let detail = violation.detail;
+
+        if (RANKED_ACTIONS.has(action) && !this.canEnforce(roomId, username)) {
+            detail = `${detail} (no rank to ${action})`;
+            action = 'warn';
+        }
+
+        const reason = REASONS[violation.rule];
+        const next = ACTION_NAMES[ladder[Math.min(strike + 1, ladder.length) - 1]];
+
+        switch (action) {
+            case 'warn':
+                this.bot.sendMessage(roomId, `-${username} oi, ${reason}. strike ${strike}, next one's a ${next}`);
+                break;
+            case 'pm':
+                this.bot.sendPrivateMessage(username,
+                    `Oi ${username}, ${reason} in ${roomId}. That's strike ${strike}, keep it up and it's a ${next}`, roomId);
+                break;
+            case 'mute':
+                this.bot.sendMessage(roomId, `/mute ${username}`);
+                this.bot.sendMessage(roomId, `-${username} ya muted for ${formatDuration(config.muteTime)}, ${reason}`);
+                break;
+            case 'kick':
+                this.bot.sendMessage(roomId, `/kick ${username} automod: ${reason}`);
+                break;
+            case 'ban':
+                this.bot.sendMessage(roomId, `/ban ${username} automod: ${reason}`);
+                break;
+        }
+
+        await this.db.run(`
+            INSERT INTO moderation_log (room_id, username, rule, action, strike, detail, message, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            roomId, username, violation.rule, action, strike, detail,
+            plainText(msg).slice(0, MAX_LOGGED_MESSAGE), now,
+            action === 'mute' ? now + config.muteTime : null
+        ]);
+
+        // Mutes, kicks and bans go on their record with the mods' ones
+        if (RANKED_ACTIONS.has(action)) {
+            await this.bot.moderationCases?.recordAction(username, action, `${reason} (${detail})`, 'automod', roomId);
+        }
+
+        this.logger.info(`[${roomId}] automod ${action} ${username} (strike ${strike}, ${violation.rule}: ${detail})`);
+        return { action, strike };
+    }
+
+    /**
+     * Wipe a user's strikes in a room and lift any mute
+     */
+    async pardon(roomId, username, moderator) {
+        const strikes = await this.getStrikes(roomId, username);
+        const mutes = await this.db.run(`
+            UPDATE moderation_log SET lifted_at = ?
+            WHERE room_id = ? AND username = ? AND action = 'mute' AND lifted_at IS NULL
+        `, [Date.now(), roomId, username]);
+
+        if (strikes === 0 && mutes.changes === 0) {
+            return { success: false, error: 'no_strikes', username };
+        }
+
+        if (mutes.changes > 0) {
+            this.bot.sendMessage(roomId, `/unmute ${username}`);
+        }
+        await this.db.run(`
+            INSERT INTO moderation_log (room_id, username, rule, action, moderator, created_at)
+            VALUES (?, ?, 'pardon', 'pardon', ?, ?)
+        `, [roomId, username, moderator, Date.now()]);
+        return { success: true, strikes, unmuted: mutes.changes > 0 };
+    }
+
+    /**
+     * Latest moderation_log entries for a room, optionally just one user
+     */
+    async getLog(roomId, { username = null, limit = 5 } = {}) {
+        return this.db.all(`
+            SELECT * FROM moderation_log
+            WHERE room_id = ? AND (? IS NULL OR username = ?)
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `, [roomId, username, username, limit]);
+    }
+
+    /**
+     * Unmute anyone whose time's up and forget quiet users. A mute in a
+     * room the bot isn't in right now waits until it's back
+     */
+    async sweep() {
+        const now = Date.now();
+
+        const due = await this.db.all(`
+            SELECT id, room_id, username FROM moderation_log
+            WHERE action = 'mute' AND lifted_at IS NULL AND expires_at <= ?
+        `, [now]);
+        for (const mute of due) {
+            if (!this.bot.getRoom(mute.room_id)?.connected) continue;
+
+            this.bot.sendMessage(mute.room_id, `/unmute ${mute.username}`);
+            await this.db.run('UPDATE moderation_log SET lifted_at = ? WHERE id = ?', [now, mute.id]);
+        }
+
+        for (const [key, recent] of this.recent) {
+            if (recent.every(entry => now - entry.at > HOUR)) {
+                this.recent.delete(key);
+            }
+        }
+    }
+}
@@ -0,0 +1,108 @@
+import { compileWord, hasNestedRepeat, AutoModManager } from './index.js';
+
+// Whether a banned word list entry catches a message, or 'rejected' if it won't compile
+const catches = (entry, text) => {
+    try {
+        return compileWord(entry).test(text);
+    } catch (error) {
+        return 'rejected';
+    }
+};
+
+// A manager with nothing behind it, for checking messages against a room's rules
+const automod = new AutoModManager(null, { isAdmin: () => false, hasRole: () => false });
+automod.logger = { info: () => {}, warn: () => {}, error: () => {} };
+automod.setRoomConfig('test', {
+    settings: {
+        automod: {
+            enabled: true,
+            bannedWords: ['bogan', '/c[o0]ck/i', '/(a+)+$/'],
+            blockedDomains: ['spam.com'],
+            flood: { messages: 3, seconds: 5 },
+            repeats: { count: 2, seconds: 60 }
+        }
+    }
+});
+let clock = 0;
+const check = (username, msg) => automod.check('test', username, msg, automod.getConfig('test'), clock += 100)?.rule ?? null;
+
+// Test cases
+const testCases = [
+    // Whole words
+    { run: () => catches('bogan', 'what a bogan'), expected: true, description: 'Whole word' },
+    { run: () => catches('bogan', 'BOGAN!'), expected: true, description: 'Any case, punctuation after' },
+    { run: () => catches('bogan', 'bogans everywhere'), expected: false, description: 'Not inside another word' },
+    { run: () => catches('c.u.n.t', 'cxuxnxt'), expected: false, description: 'Regex characters in a word are literal' },
+    { run: () => catches('c.u.n.t', 'you c.u.n.t'), expected: true, description: 'Word with dots still matches itself' },
+
+    // Regexes
+    { run: () => catches('/c[o0]ck/i', 'C0CK'), expected: true, description: 'Regex with flags' },
+    { run: () => catches('/c[o0]ck/', 'COCK'), expected: false, description: 'Regex without i is case sensitive' },
+    { run: () => compileWord('/spam/gi').flags, expected: 'i', description: 'g and y are dropped so test() doesn\'t keep state' },
+    { run: () => catches('/(unclosed/', 'x'), expected: 'rejected', description: 'Bad regex' },
+
+    // Regexes that can backtrack forever
+    { run: () => catches('/(a+)+$/', 'a'), expected: 'rejected', description: 'Repeated group with a repeat inside' },
+    { run: () => catches('/((a+))+$/', 'a'), expected: 'rejected', description: 'Repeat nested a group deeper' },
+    { run: () => catches('/(a|a)*$/', 'a'), expected: 'rejected', description: 'Repeated alternation' },
+    { run: () => catches('/(\\w*\\s?)*x/', 'a'), expected: 'rejected', description: 'Repeated group of optional bits' },
+    { run: () => catches('/(a{2,})*$/', 'a'), expected: 'rejected', description: 'Counted repeat inside a repeat' },
+    { run: () => hasNestedRepeat('(ab)+'), expected: false, description: 'Repeated group of plain characters is fine' },
+    { run: () => hasNestedRepeat('(a+)'), expected: false, description: 'Group that isn\'t repeated is fine' },
+    { run: () => hasNestedRepeat('(a|b)?'), expected: false, description: 'Optional alternation is fine' },
+    { run: () => hasNestedRepeat('\\(a+\\)+'), expected: false, description: 'Escaped brackets aren\'t a group' },
+    { run: () => hasNestedRepeat('[(a+)]+'), expected: false, description: 'Brackets in a character class aren\'t a group' },
+    { run: () => hasNestedRepeat('(?:c[o0]+ck)+'), expected: true, description: 'Non-capturing groups count' },
+
+    // Checking chat
+    { run: () => check('alice', 'fair dinkum mate'), expected: null, description: 'Clean message' },
+    { run: () => check('bob', 'you <strong>bogan</strong>'), expected: 'words', description: 'Banned word under HTML' },
+    { run: () => check('carl', 'c0ck'), expected: 'words', description: 'Banned regex' },
+    { run: () => check('dave', 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaab'), expected: null, description: 'A rejected regex in the room file just doesn\'t match' },
+    { run: () => check('erin', 'go to https://free.spam.com/now'), expected: 'domains', description: 'Subdomain of a blocked domain' },
+    { run: () => check('fred', 'g\'day'), expected: null, description: 'First message' },
+    { run: () => check('fred', 'G\'DAY'), expected: 'repeats', description: 'Same thing twice' },
+    {
+        run: () => ['one', 'two', 'three', 'four'].map(msg => check('gus', msg)),
+        expected: [null, null, null, 'flood'],
+        description: 'Too many too quick'
+    },
+    {
+        run: () => automod.getBannedWords('test') === automod.getBannedWords('test'),
+        expected: true,
+        description: 'Banned words are compiled once'
+    },
+    {
+        run: () => {
+            const before = automod.getBannedWords('test');
+            automod.setRoomConfig('test', { settings: { automod: { bannedWords: ['drongo'] } } });
+            return before !== automod.getBannedWords('test') && check('hank', 'drongo');
+        },
+        expected: 'words',
+        description: 'New config gets compiled'
+    }
+];
+
+console.log('Automod Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
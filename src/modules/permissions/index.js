@@ -0,0 +1,246 @@
+import { createLogger } from '../../utils/logger.js';
+
+// Room scope used for grants that apply in every room
+export const GLOBAL_SCOPE = '*';
+
+const ROLE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Role-based permission system
+ * Roles come from three places:
+ * - bootstrap grants in config.permissions.roles (always applied, can't be revoked from chat)
+ * - grants stored in user_roles, scoped to a room or GLOBAL_SCOPE
+ * - the user's CyTube rank in the room, mapped via config.permissions.rankRoles and rank_roles
+ */
+export class PermissionManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('PermissionManager');
+
+        const permissionsConfig = bot?.config?.permissions || {};
+
+        // role -> Set of lowercase usernames
+        this.bootstrapRoles = new Map();
+        for (const [role, users] of Object.entries(permissionsConfig.roles || {})) {
+            this.bootstrapRoles.set(role.toLowerCase(), new Set(users.map(u => u.toLowerCase())));
+        }
+
+        // Default rank mappings from config: { minRank: [roles] }
+        this.configRankRoles = [];
+        for (const [minRank, roles] of Object.entries(permissionsConfig.rankRoles || {})) {
+            for (const role of roles) {
+                this.configRankRoles.push({ room_id: GLOBAL_SCOPE, min_rank: parseInt(minRank), role: role.toLowerCase() });
+            }
+        }
+
+        // In-memory copies of the role tables (both are tiny)
+        this.grants = []; // { username, role, room_id, granted_by, granted_at }
+        this.rankRoles = []; // { room_id, min_rank, role }
+        this.loaded = false;
+    }
+
+    async init() {
+        try {
+            await this.reload();
+            this.logger.info(`PermissionManager initialized with ${this.grants.length} grants and ${this.rankRoles.length} rank mappings`);
+        } catch (error) {
+            this.logger.error('Failed to load roles:', { error: error.message });
+        }
+    }
+
+    async reload() {
+        this.grants = await this.db.all(
+            'SELECT username, role, room_id, granted_by, granted_at FROM user_roles ORDER BY granted_at'
+        );
+        this.rankRoles = await this.db.all(
+            'SELECT room_id, min_rank, role FROM rank_roles ORDER BY min_rank'
+        );
+        this.loaded = true;
+    }
+
+    normalizeRole(role) {
+        return typeof role === 'string' ? role.trim().toLowerCase() : '';
+    }
+
+    isValidRoleName(role) {
+        return ROLE_NAME_PATTERN.test(this.normalizeRole(role));
+    }
+
+    inScope(rowRoom, roomId) {
+        return rowRoom === GLOBAL_SCOPE || (roomId && rowRoom === roomId);
+    }
+
+    /**
+     * Get a user's CyTube rank in a room from the live userlist (null if not present)
+     */
+    getUserRank(username, roomId) {
+        if (!roomId || !this.bot?.getRoom) return null;
+
+        const room = this.bot.getRoom(roomId);
+        const user = room?.getUser(username);
+        return typeof user?.rank === 'number' ? user.rank : null;
+    }
+
+    /**
+     * Get every role a user currently holds in a room
+     * @returns {Set<string>}
+     */
+    getRoles(username, roomId = null) {
+        const roles = new Set();
+        if (!username) return roles;
+
+        const usernameLower = username.toLowerCase();
+
+        for (const [role, users] of this.bootstrapRoles) {
+            if (users.has(usernameLower)) roles.add(role);
+        }
+
+        for (const grant of this.grants) {
+            if (grant.username.toLowerCase() === usernameLower && this.inScope(grant.room_id, roomId)) {
+                roles.add(grant.role);
+            }
+        }
+
+        const rank = this.getUserRank(username, roomId);
+        if (rank !== null) {
+            for (const mapping of [...this.configRankRoles, ...this.rankRoles]) {
+                if (rank >= mapping.min_rank && this.inScope(mapping.room_id, roomId)) {
+                    roles.add(mapping.role);
+                }
+            }
+        }
+
+        return roles;
+    }
+
+    /**
+     * Check if a user holds any of the given roles in a room
+     */
+    hasRole(username, roles, roomId = null) {
+        const required = (Array.isArray(roles) ? roles : [roles]).map(r => this.normalizeRole(r));
+        const held = this.getRoles(username, roomId);
+        return required.some(role => held.has(role));
+    }
+
+    async grantRole(username, role, roomId = GLOBAL_SCOPE, grantedBy = null) {
+        const normalizedRole = this.normalizeRole(role);
+        if (!this.isValidRoleName(normalizedRole)) {
+            return { success: false, error: 'invalid_role' };
+        }
+
+        const scope = roomId || GLOBAL_SCOPE;
+        const existing = this.grants.find(g =>
+            g.username.toLowerCase() === username.toLowerCase() &&
+            g.role === normalizedRole &&
+            g.room_id === scope
+        );
+        if (existing) {
+            return { success: false, error: 'already_granted' };
+        }
+
+        const grant = {
+            username,
+            role: normalizedRole,
+            room_id: scope,
+            granted_by: grantedBy,
+            granted_at: Date.now()
+        };
+
+        await this.db.run(
+            'INSERT OR IGNORE INTO user_roles (username, role, room_id, granted_by, granted_at) VALUES (?, ?, ?, ?, ?)',
+            [grant.username, grant.role, grant.room_id, grant.granted_by, grant.granted_at]
+        );
+        this.grants.push(grant);
+
+        this.logger.info(`Granted role ${normalizedRole} to ${username} in ${scope} (by ${grantedBy || 'system'})`);
+        return { success: true, grant };
+    }
+
+    async revokeRole(username, role, roomId = GLOBAL_SCOPE) {
+        const normalizedRole = this.normalizeRole(role);
+        const scope = roomId || GLOBAL_SCOPE;
+
+        const result = await this.db.run(
+            'DELETE FROM user_roles WHERE LOWER(username) = LOWER(?) AND role = ? AND room_id = ?',
+            [username, normalizedRole, scope]
+        );
+
+        this.grants = this.grants.filter(g => !(
+            g.username.toLowerCase() === username.toLowerCase() &&
+            g.role === normalizedRole &&
+            g.room_id === scope
+        ));
+
+        if (result.changes === 0) {
+            return { success: false, error: 'not_granted' };
+        }
+
+        this.logger.info(`Revoked role ${normalizedRole} from ${username} in ${scope}`);
+        return { success: true };
+    }
+
+    async mapRank(minRank, role, roomId = GLOBAL_SCOPE, createdBy = null) {
+        const normalizedRole = this.normalizeRole(role);
+        if (!this.isValidRoleName(normalizedRole)) {
+            return { success: false, error: 'invalid_role' };
+        }
+        if (!Number.isInteger(minRank) || minRank < 0) {
+            return { success: false, error: 'invalid_rank' };
+        }
+
+        const scope = roomId || GLOBAL_SCOPE;
+
+        await this.db.run(`
+            INSERT INTO rank_roles (room_id, min_rank, role, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(room_id, role) DO UPDATE SET min_rank = excluded.min_rank
+        `, [scope, minRank, normalizedRole, createdBy, Date.now()]);
+
+        this.rankRoles = this.rankRoles.filter(m => !(m.room_id === scope && m.role === normalizedRole));
+        this.rankRoles.push({ room_id: scope, min_rank: minRank, role: normalizedRole });
+
+        return { success: true };
+    }
+
+    async unmapRank(role, roomId = GLOBAL_SCOPE) {
+        const normalizedRole = this.normalizeRole(role);
+        const scope = roomId || GLOBAL_SCOPE;
+
+        const result = await this.db.run(
+            'DELETE FROM rank_roles WHERE room_id = ? AND role = ?',
+            [scope, normalizedRole]
+        );
+        this.rankRoles = this.rankRoles.filter(m => !(m.room_id === scope && m.role === normalizedRole));
+
+        return result.changes > 0 ? { success: true } : { success: false, error: 'not_mapped' };
+    }
+
+    /**
+     * List stored grants, optionally filtered by room scope and/or username
+     */
+    listGrants({ roomId = null, username = null } = {}) {
+        return this.grants.filter(g =>
+            (!roomId || this.inScope(g.room_id, roomId)) &&
+            (!username || g.username.toLowerCase() === username.toLowerCase())
+        );
+    }
+
+    listRankMappings(roomId = null) {
+        return [...this.configRankRoles, ...this.rankRoles]
+            .filter(m => !roomId || this.inScope(m.room_id, roomId))
+            .sort((a, b) => a.min_rank - b.min_rank);
+    }
+
+    /**
+     * Bootstrap roles from config for a user (these can only be changed in config)
+     */
+    getBootstrapRoles(username) {
+        const usernameLower = username.toLowerCase();
+        return Array.from(this.bootstrapRoles.entries())
+            .filter(([, users]) => users.has(usernameLower))
+            .map(([role]) => role);
+    }
+}
+
+export default PermissionManager;
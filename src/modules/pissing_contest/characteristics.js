@@ -873,7 +873,8 @@ export const CHARACTERISTICS = {
 };
 
 // Helper function to get a random characteristic
-export function getRandomCharacteristic() {
+// rng stands in for Math.random so contests can be seeded (see utils/rng.js)
+export function getRandomCharacteristic(rng = Math.random) {
     // Calculate rarity weights
     const rarityWeights = {
         common: 30,
@@ -894,7 +895,7 @@ export function getRandomCharacteristic() {
         }
     }
     
-    return allCharacteristics[Math.floor(Math.random() * allCharacteristics.length)];
+    return allCharacteristics[Math.floor(rng() * allCharacteristics.length)];
 }
 
 // Get characteristic by name
@@ -223,9 +223,9 @@ export const CONDITIONS = {
 };
 
 // Get random condition (natural roll)
-export function getRandomCondition() {
+export function getRandomCondition(rng = Math.random) {
     // 10% chance of condition
-    if (Math.random() > 0.1) return null;
+    if (rng() > 0.1) return null;
     
     // Weight different condition types
     const weights = {
@@ -244,14 +244,14 @@ export function getRandomCondition() {
     }
     
     // Pick random type
-    const type = weightedTypes[Math.floor(Math.random() * weightedTypes.length)];
+    const type = weightedTypes[Math.floor(rng() * weightedTypes.length)];
     const conditions = CONDITIONS[type];
     
-    return conditions[Math.floor(Math.random() * conditions.length)];
+    return conditions[Math.floor(rng() * conditions.length)];
 }
 
 // Apply condition effects to stats
-export function applyConditionEffects(stats, condition) {
+export function applyConditionEffects(stats, condition, rng = Math.random) {
     if (!condition || !condition.effects) return stats;
     
     const newStats = { ...stats };
@@ -269,7 +269,7 @@ export function applyConditionEffects(stats, condition) {
             case 'random_stat':
                 // Apply to random stat
                 const statNames = ['distance', 'volume', 'aim', 'duration'];
-                const randomStat = statNames[Math.floor(Math.random() * statNames.length)];
+                const randomStat = statNames[Math.floor(rng() * statNames.length)];
                 newStats[randomStat] *= (1 + value / 100);
                 break;
                 
@@ -1,7 +1,7 @@
-import { getRandomCharacteristic, shouldForceCommentary } from './characteristics.js';
-import { getRandomCondition, applyConditionEffects, isFailureCondition, getConditionByName } from './conditions.js';
-import { getRandomLocation, applyLocationEffects, checkLocationEvents } from './locations.js';
-import { getRandomWeather, applyWeatherEffects, formatWeather, checkWeatherEvents, getComboEffects } from './weather.js';
+import { shouldForceCommentary } from './characteristics.js';
+import { formatWeather, getComboEffects } from './weather.js';
+import { rollMatchup, rollResult } from './simulation.js';
+import { createRng, randomSeed } from '../../utils/rng.js';
 import { normalizeUsernameForDb } from '../../utils/usernameNormalizer.js';
 
 export class PissingContestManager {
@@ -22,6 +22,15 @@ export class PissingContestManager {
         return map.get(room);
     }
 
+    // Send to the contest's room (the single-room bot only has the one)
+    say(roomId, message) {
+        if (this.bot.rooms) {
+            this.bot.sendMessage(roomId || this.defaultRoom, message);
+        } else {
+            this.bot.sendMessage(message);
+        }
+    }
+
     // Check if user is on cooldown
     checkCooldown(username, roomId) {
         const roomCooldowns = this.getRoomMap(this.cooldowns, roomId);
@@ -102,7 +111,7 @@ export class PissingContestManager {
             if (currentRoomChallenges.get(normalizedChallenger)?.status === 'pending') {
                 currentRoomChallenges.delete(normalizedChallenger);
                 console.log(`[PissingContest] Challenge expired for ${challenger}`);
-                this.bot.sendMessage(`-${challenger} got stood up! Nobody wants to see that tiny thing`);
+                this.say(roomId, `-${challenger} got stood up! Nobody wants to see that tiny thing`);
             }
         }, 30000);
         
@@ -192,7 +201,8 @@ export class PissingContestManager {
         };
     }
 
-    // Run the actual contest
+    // Run the actual contest. If challenge.onRecorded is set it's called with
+    // the result inside the transaction that records it
     async runContest(challenge) {
         const { challenger, challenged, amount, roomId } = challenge;
         
@@ -213,31 +223,14 @@ export class PissingContestManager {
             "you're gonna lose mate!",
             "whip em out lads!"
         ];
-        this.bot.sendMessage(acceptMessages[Math.floor(Math.random() * acceptMessages.length)]);
-        
-        // Roll characteristics
-        const challengerChar = getRandomCharacteristic();
-        const challengedChar = getRandomCharacteristic();
-        
-        // Roll location and weather
-        const location = getRandomLocation();
-        const weather = getRandomWeather();
+        this.say(roomId, acceptMessages[Math.floor(Math.random() * acceptMessages.length)]);
         
-        // Roll conditions early for announcement
-        let challengerCondition = challengerChar.self_condition ? getConditionByName(challengerChar.self_condition) : getRandomCondition();
-        let challengedCondition = challengedChar.self_condition ? getConditionByName(challengedChar.self_condition) : getRandomCondition();
-        
-        // Handle mutual conditions
-        if (challengerChar.mutual_condition) {
-            const mutual = getConditionByName(challengerChar.mutual_condition);
-            challengerCondition = mutual;
-            challengedCondition = mutual;
-        }
-        if (challengedChar.mutual_condition) {
-            const mutual = getConditionByName(challengedChar.mutual_condition);
-            challengerCondition = mutual;
-            challengedCondition = mutual;
-        }
+        // Roll the matchup off the contest's own seed, so it can be replayed
+        const rng = createRng(challenge.seed ?? randomSeed());
+        challenge.seed = rng.seed;
+        challenge.rng = rng;
+        const { challengerChar, challengedChar, location, weather, challengerCondition, challengedCondition } =
+            rollMatchup(rng, new Date(challenge.created_at).getHours());
         
         // Store conditions in challenge for later use
         challenge.challengerCondition = challengerCondition;
@@ -245,7 +238,7 @@ export class PissingContestManager {
         
         // Build announcement after brief delay
         setTimeout(() => {
-            this.announceMatchup(challenger, challenged, challengerChar, challengedChar, location, weather, amount, challengerCondition, challengedCondition);
+            this.announceMatchup(challenger, challenged, challengerChar, challengedChar, location, weather, amount, challengerCondition, challengedCondition, roomId);
         }, 1500);
         
         // Show single waiting message during contest
@@ -313,19 +306,27 @@ export class PissingContestManager {
                 "*the sound of pure determination*",
                 "This is what peak performance looks like"
             ];
-            this.bot.sendMessage(waitingMessages[Math.floor(Math.random() * waitingMessages.length)]);
+            this.say(roomId, waitingMessages[Math.floor(Math.random() * waitingMessages.length)]);
         }, 15000);
         
-        // Calculate results after 30 seconds
-        setTimeout(async () => {
-            await this.calculateAndAnnounceResults(challenge, challengerChar, challengedChar, location, weather);
-        }, 30000);
+        // Calculate results after 30 seconds. result resolves to the winner
+        // and loser (winner null if nobody could go) for anyone waiting on it
+        const result = new Promise(resolve => {
+            setTimeout(async () => {
+                try {
+                    resolve(await this.calculateAndAnnounceResults(challenge, challengerChar, challengedChar, location, weather));
+                } catch (error) {
+                    console.error('Error calculating pissing contest results:', error);
+                    resolve(null);
+                }
+            }, 30000);
+        });
         
-        return { success: true };
+        return { success: true, result };
     }
 
     // Announce the matchup
-    announceMatchup(challenger, challenged, charA, charB, location, weather, amount, conditionA, conditionB) {
+    announceMatchup(challenger, challenged, charA, charB, location, weather, amount, conditionA, conditionB, roomId) {
         // Check if both have conditions for two-line format
         const bothHaveConditions = conditionA && conditionB;
         
@@ -355,82 +356,63 @@ export class PissingContestManager {
             announcement += ` 🏆`;
         }
         
-        this.bot.sendMessage(announcement);
+        this.say(roomId, announcement);
         
         // If both have conditions, announce them on second line
         if (bothHaveConditions) {
             setTimeout(() => {
-                this.bot.sendMessage(`Conditions: -${challenger} [*${conditionA.name}*], -${challenged} [*${conditionB.name}*]`);
+                this.say(roomId, `Conditions: -${challenger} [*${conditionA.name}*], -${challenged} [*${conditionB.name}*]`);
             }, 500);
         }
         
         // Announce weather after brief delay
         setTimeout(() => {
-            this.bot.sendMessage(`${formatWeather(weather)} - ${weather.special ? weather.special.message : location.description}`);
+            this.say(roomId, `${formatWeather(weather)} - ${weather.special ? weather.special.message : location.description}`);
         }, bothHaveConditions ? 2000 : 1500);
         
         // Force commentary for certain matchups
         if (shouldForceCommentary(charA, charB)) {
             setTimeout(() => {
-                this.addDazzaCommentary(charA, charB);
+                this.addDazzaCommentary(charA, charB, roomId);
             }, bothHaveConditions ? 3500 : 3000);
         } else if (Math.random() < 0.4) {
             // 40% chance for random generic commentary
             setTimeout(() => {
-                this.addRandomDazzaCommentary();
+                this.addRandomDazzaCommentary(roomId);
             }, bothHaveConditions ? 3500 : 3000);
         }
     }
 
     // Calculate contest results
     async calculateAndAnnounceResults(challenge, charA, charB, location, weather) {
-        const { challenger, challenged, amount } = challenge;
+        const { challenger, challenged, roomId } = challenge;
         
         // Get bladder states
         const challengerBladder = await this.getBladderState(challenger, challenge.roomId);
         const challengedBladder = await this.getBladderState(challenged, challenge.roomId);
         
-        // Calculate base stats for each player
-        let challengerStats = this.calculateBaseStats(challengerBladder);
-        let challengedStats = this.calculateBaseStats(challengedBladder);
-        
-        // Apply characteristic effects
-        challengerStats = this.applyCharacteristicEffects(challengerStats, charA, charB);
-        challengedStats = this.applyCharacteristicEffects(challengedStats, charB, charA);
+        challenge.challengerBladder = challengerBladder;
+        challenge.challengedBladder = challengedBladder;
         
         // Use conditions that were already rolled and stored
         const challengerCondition = challenge.challengerCondition;
         const challengedCondition = challenge.challengedCondition;
         
-        // Check for instant failures
-        const challengerFailed = isFailureCondition(challengerCondition);
-        const challengedFailed = isFailureCondition(challengedCondition);
+        const rolled = rollResult(
+            { challengerChar: charA, challengedChar: charB, location, weather, challengerCondition, challengedCondition },
+            { challengerBladder, challengedBladder },
+            challenge.rng
+        );
         
-        if (challengerFailed || challengedFailed) {
-            await this.handleFailures(challenge, challengerFailed, challengedFailed, challengerCondition, challengedCondition);
-            return;
+        // Check for instant failures
+        if (rolled.failed) {
+            return await this.handleFailures(challenge, rolled.challengerFailed, rolled.challengedFailed, challengerCondition, challengedCondition);
         }
         
-        // Apply condition effects
-        challengerStats = applyConditionEffects(challengerStats, challengerCondition);
-        challengedStats = applyConditionEffects(challengedStats, challengedCondition);
-        
-        // Apply location effects
-        challengerStats = applyLocationEffects(challengerStats, location, { characteristic: charA });
-        challengedStats = applyLocationEffects(challengedStats, location, { characteristic: charB });
-        
-        // Apply weather effects
-        const challengerWindSailor = charA.name === "Wind Sailor";
-        const challengedWindSailor = charB.name === "Wind Sailor";
-        challengerStats = applyWeatherEffects(challengerStats, weather, challengerWindSailor);
-        challengedStats = applyWeatherEffects(challengedStats, weather, challengedWindSailor);
-        
-        // Calculate final scores
-        const challengerScore = this.calculateScore(challengerStats);
-        const challengedScore = this.calculateScore(challengedStats);
+        const { challengerStats, challengedStats, challengerScore, challengedScore } = rolled;
         
         // Determine winner
-        const winner = challengerScore > challengedScore ? challenger : challenged;
+        const winner = rolled.challengerWon ? challenger : challenged;
         const loser = winner === challenger ? challenged : challenger;
         const winnerStats = winner === challenger ? challengerStats : challengedStats;
         const loserStats = winner === challenger ? challengedStats : challengerStats;
@@ -444,74 +426,9 @@ export class PissingContestManager {
         await this.handleOutcome(challenge, winner, loser, winnerStats, loserStats, winnerScore, loserScore, charA, charB, location, weather);
         
         // Check for special events
-        this.checkSpecialEvents(location, weather, challengerStats, challengedStats, challengerCondition, challengedCondition, challenger, challenged);
-    }
-
-    // Calculate base stats from bladder
-    calculateBaseStats(bladderAmount) {
-        // Base ranges
-        let stats = {
-            distance: 0.5 + Math.random() * 4.5, // 0.5m - 5m
-            volume: 200 + Math.random() * 1800, // 200mL - 2000mL
-            aim: 10 + Math.random() * 90, // 10% - 100%
-            duration: 2 + Math.random() * 28 // 2s - 30s
-        };
+        this.checkSpecialEvents(rolled, challengerCondition, challengedCondition, challenger, challenged, roomId);
         
-        // Apply bladder modifiers
-        if (bladderAmount === 0) {
-            stats.volume *= 0.5;
-            stats.distance *= 0.8;
-        } else {
-            // Each drink adds 2% duration, 1% volume (max +100% volume at 100 drinks)
-            stats.duration *= (1 + Math.min(bladderAmount * 0.02, 2));
-            stats.volume *= (1 + Math.min(bladderAmount * 0.01, 1));
-        }
-        
-        return stats;
-    }
-
-    // Apply characteristic effects
-    applyCharacteristicEffects(stats, ownChar, opponentChar) {
-        const newStats = { ...stats };
-        
-        // Apply own characteristic effects
-        if (ownChar.effects) {
-            for (const [key, value] of Object.entries(ownChar.effects)) {
-                if (key === 'all') {
-                    newStats.distance *= (1 + value / 100);
-                    newStats.volume *= (1 + value / 100);
-                    newStats.aim *= (1 + value / 100);
-                    newStats.duration *= (1 + value / 100);
-                } else if (['distance', 'volume', 'aim', 'duration'].includes(key)) {
-                    newStats[key] *= (1 + value / 100);
-                } else if (key === 'distance_min') {
-                    newStats.distance = Math.max(newStats.distance, value);
-                } else if (key === 'volume_min') {
-                    newStats.volume = Math.max(newStats.volume, value);
-                } else if (key === 'duration_min') {
-                    newStats.duration = Math.max(newStats.duration, value);
-                } else if (key === 'duration_max') {
-                    newStats.duration = Math.min(newStats.duration, value);
-                }
-            }
-        }
-        
-        return newStats;
-    }
-
-    // Calculate final score
-    calculateScore(stats) {
-        // Normalize stats to 0-1000 scale
-        const distanceScore = (stats.distance / 5) * 1000;
-        const volumeScore = (stats.volume / 2000) * 1000;
-        const aimScore = (stats.aim / 100) * 1000;
-        const durationScore = (stats.duration / 30) * 1000;
-        
-        // Apply weights
-        const total = (distanceScore * 0.4) + (volumeScore * 0.25) + 
-                     (aimScore * 0.2) + (durationScore * 0.15);
-        
-        return Math.round(total);
+        return { winner, loser, winnerScore, loserScore };
     }
 
     // Display contest results
@@ -528,17 +445,17 @@ export class PissingContestManager {
         const loserChar = winner === challenge.challenger ? charB : charA;
         
         // Winner announcement with boxing-style naming
-        this.bot.sendMessage(`${formatStats(winnerStats)} **[${winnerScore}]**`);
-        this.bot.sendMessage(`🏆 -${winner} '${winnerChar.name}' fuckin WINS with ${winnerScore} points!`);
+        this.say(roomId, `${formatStats(winnerStats)} **[${winnerScore}]**`);
+        this.say(roomId, `🏆 -${winner} '${winnerChar.name}' fuckin WINS with ${winnerScore} points!`);
         
         // Loser stats with boxing-style naming
         setTimeout(() => {
-            this.bot.sendMessage(`${formatStats(loserStats)} **[${loserScore}]** - -${loser} '${loserChar.name}' got smashed!`);
+            this.say(roomId, `${formatStats(loserStats)} **[${loserScore}]** - -${loser} '${loserChar.name}' got smashed!`);
         }, 1500);
         
         // Add contextual commentary
         setTimeout(() => {
-            this.addContextualCommentary(winnerStats, loserStats, winnerScore, loserScore, charA, charB);
+            this.addContextualCommentary(winnerStats, loserStats, winnerScore, loserScore, charA, charB, roomId);
         }, 3000);
     }
 
@@ -550,14 +467,14 @@ export class PissingContestManager {
             // Check if it's the same mutual condition
             if (challengerCond.name === challengedCond.name && challengerCond.mutual) {
                 // Mutual failure - announce once
-                this.bot.sendMessage(`Both cunts ${challengerCond.message}!`);
-                this.bot.sendMessage("No winner! What a fuckin embarrassment!");
+                this.say(roomId, `Both cunts ${challengerCond.message}!`);
+                this.say(roomId, "No winner! What a fuckin embarrassment!");
             } else {
                 // Different failures
-                this.bot.sendMessage(`Both cunts failed! -${challenger} ${challengerCond.message} and -${challenged} ${challengedCond.message}!`);
-                this.bot.sendMessage("No winner! What a fuckin embarrassment!");
+                this.say(roomId, `Both cunts failed! -${challenger} ${challengerCond.message} and -${challenged} ${challengedCond.message}!`);
+                this.say(roomId, "No winner! What a fuckin embarrassment!");
             }
-            return;
+            return { winner: null, loser: null };
         }
         
         const winner = challengerFailed ? challenged : challenger;
@@ -565,9 +482,27 @@ export class PissingContestManager {
         const loserCond = challengerFailed ? challengerCond : challengedCond;
         
         try {
+            // Money, stats and whoever's waiting on the result all go in together
+            await this.db.transaction(async () => {
+                if (amount > 0) {
+                    await this.bot.heistManager.transferMoney(loser, winner, amount, {
+                        type: 'pissing_contest',
+                        description: `${loser} ${loserCond.name}, ${winner} wins by default`,
+                        roomId
+                    });
+                }
+                
+                // Update stats
+                await this.updateStats(winner, true, amount, null);
+                await this.updateStats(loser, false, amount, null);
+                
+                if (challenge.onRecorded) {
+                    await challenge.onRecorded({ winner, loser });
+                }
+            });
+            
             if (amount > 0) {
-                await this.bot.heistManager.transferMoney(loser, winner, amount);
-                this.bot.sendMessage(`💦 -${loser} ${loserCond.message}! -${winner} WINS $${amount}!`);
+                this.say(roomId, `💦 -${loser} ${loserCond.message}! -${winner} WINS $${amount}!`);
             } else {
             const bragMessages = [
                 "What a fuckin pussy!",
@@ -587,16 +522,14 @@ export class PissingContestManager {
                 "Couldn't handle the pressure!"
             ];
                 const bragMessage = bragMessages[Math.floor(Math.random() * bragMessages.length)];
-                this.bot.sendMessage(`💦 -${loser} ${loserCond.message}! -${winner} WINS by default! ${bragMessage}`);
+                this.say(roomId, `💦 -${loser} ${loserCond.message}! -${winner} WINS by default! ${bragMessage}`);
             }
-            
-            // Update stats
-            await this.updateStats(winner, true, amount, null);
-            await this.updateStats(loser, false, amount, null);
         } catch (error) {
             console.error('Error handling pissing contest failure:', error);
-            this.bot.sendMessage('somethin went wrong with the payout, but the contest is done');
+            this.say(roomId, 'somethin went wrong with the payout, but the contest is done');
         }
+        
+        return { winner, loser };
     }
 
     // Handle match outcome
@@ -604,30 +537,52 @@ export class PissingContestManager {
         const { amount, roomId } = challenge;
         
         try {
-            // Transfer money if betting
+            // Everything the match changes is recorded in one go, along with
+            // whoever's waiting on the result (a tournament marks its match)
+            const rated = await this.db.transaction(async () => {
+                // Transfer money if betting
+                if (amount > 0) {
+                    await this.bot.heistManager.transferMoney(loser, winner, amount, {
+                        type: 'pissing_contest',
+                        description: `${winner} beat ${loser}`,
+                        roomId
+                    });
+                }
+                
+                // Update stats
+                await this.updateStats(winner, true, amount, winnerStats);
+                await this.updateStats(loser, false, amount, loserStats);
+                
+                // Move them on the ladder
+                const rated = this.bot.ladderManager ? await this.bot.ladderManager.recordMatch(winner, loser) : null;
+                
+                // Save match to database
+                await this.saveMatch(challenge, winner, winnerStats, loserStats, winnerScore, loserScore, charA, charB, location, weather);
+                
+                // Update analytics (rarest characteristic, favorite location)
+                await this.updateAnalytics(winner);
+                await this.updateAnalytics(loser);
+                
+                if (challenge.onRecorded) {
+                    await challenge.onRecorded({ winner, loser, winnerScore, loserScore });
+                }
+                return rated;
+            });
+            
             if (amount > 0) {
-                await this.bot.heistManager.transferMoney(loser, winner, amount);
-                this.bot.sendMessage(`💰 -${winner} wins $${amount} from -${loser}!`);
+                this.say(roomId, `💰 -${winner} wins $${amount} from -${loser}!`);
+            }
+            if (rated) {
+                this.say(roomId, `📈 -${winner} ${rated.winner.after} (+${rated.winner.delta}) | 📉 -${loser} ${rated.loser.after} (${rated.loser.delta})`);
             }
-            
-            // Update stats
-            await this.updateStats(winner, true, amount, winnerStats);
-            await this.updateStats(loser, false, amount, loserStats);
-            
-            // Save match to database
-            await this.saveMatch(challenge, winner, winnerStats, loserStats, winnerScore, loserScore, charA, charB, location, weather);
-            
-            // Update analytics (rarest characteristic, favorite location)
-            await this.updateAnalytics(winner);
-            await this.updateAnalytics(loser);
         } catch (error) {
             console.error('Error handling pissing contest outcome:', error);
-            this.bot.sendMessage('somethin went wrong with the payout, but the contest is done');
+            this.say(roomId, 'somethin went wrong with the payout, but the contest is done');
         }
     }
 
     // Add Dazza commentary
-    addDazzaCommentary(charA, charB) {
+    addDazzaCommentary(charA, charB, roomId) {
         const comments = {
             size_mismatch: [
                 "Fuckin hell, that's David and Goliath of dicks right there",
@@ -687,11 +642,11 @@ export class PissingContestManager {
             return; // No special commentary
         }
         
-        this.bot.sendMessage(`Dazza: "${commentary[Math.floor(Math.random() * commentary.length)]}"`);
+        this.say(roomId, `Dazza: "${commentary[Math.floor(Math.random() * commentary.length)]}"`);
     }
 
     // Add random generic Dazza commentary
-    addRandomDazzaCommentary() {
+    addRandomDazzaCommentary(roomId) {
         const genericComments = [
             "I've seen enough dicks for one day",
             "This is why I drink",
@@ -753,11 +708,11 @@ export class PissingContestManager {
             "That's more skin than a chicken drumstick"
         ];
         
-        this.bot.sendMessage(`Dazza: "${genericComments[Math.floor(Math.random() * genericComments.length)]}"`);
+        this.say(roomId, `Dazza: "${genericComments[Math.floor(Math.random() * genericComments.length)]}"`);
     }
 
     // Add contextual commentary based on results
-    addContextualCommentary(winnerStats, loserStats, winnerScore, loserScore, charA, charB) {
+    addContextualCommentary(winnerStats, loserStats, winnerScore, loserScore, charA, charB, roomId) {
         const comments = [];
         
         // Size mismatches
@@ -789,7 +744,7 @@ export class PissingContestManager {
         }
         
         if (comments.length > 0) {
-            this.bot.sendMessage(comments[Math.floor(Math.random() * comments.length)]);
+            this.say(roomId, comments[Math.floor(Math.random() * comments.length)]);
         }
     }
 
@@ -913,23 +868,28 @@ export class PissingContestManager {
             const loser = winner === challenge.challenger ? challenge.challenged : challenge.challenger;
             const challengerStats = winner === challenge.challenger ? winnerStats : loserStats;
             const challengedStats = winner === challenge.challenger ? loserStats : winnerStats;
+            const challengerScore = winner === challenge.challenger ? winnerScore : loserScore;
+            const challengedScore = winner === challenge.challenger ? loserScore : winnerScore;
             
+            // seed and bladders are everything src/scripts/simulate.js needs to replay it
             await this.db.run(`
                 INSERT INTO pissing_contest_challenges (
                     challenger, challenged, amount, status, created_at, expires_at, completed_at,
                     winner, challenger_distance, challenger_volume, challenger_aim,
                     challenger_duration, challenger_total, challenged_distance,
                     challenged_volume, challenged_aim, challenged_duration, challenged_total,
-                    challenger_characteristic, challenged_characteristic, location, weather
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    challenger_characteristic, challenged_characteristic, location, weather,
+                    seed, challenger_bladder, challenged_bladder
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 challenge.challenger, challenge.challenged, challenge.amount,
                 'completed', challenge.created_at, challenge.expires_at, Date.now(), winner,
                 challengerStats.distance, challengerStats.volume, challengerStats.aim,
-                challengerStats.duration, winnerScore,
+                challengerStats.duration, challengerScore,
                 challengedStats.distance, challengedStats.volume, challengedStats.aim,
-                challengedStats.duration, loserScore,
-                charA.name, charB.name, location.name, weather.name
+                challengedStats.duration, challengedScore,
+                charA.name, charB.name, location.name, formatWeather(weather),
+                challenge.seed ?? null, challenge.challengerBladder ?? null, challenge.challengedBladder ?? null
             ]);
         } catch (error) {
             console.error('Error saving match:', error);
@@ -937,23 +897,21 @@ export class PissingContestManager {
     }
 
     // Check for special events
-    checkSpecialEvents(location, weather, challengerStats, challengedStats, challengerCondition, challengedCondition, challenger, challenged) {
+    checkSpecialEvents(rolled, challengerCondition, challengedCondition, challenger, challenged, roomId) {
         // Location events
-        const locationEvents = checkLocationEvents(location);
-        for (const event of locationEvents) {
+        for (const event of rolled.locationEvents) {
             if (event.type === 'fine' && event.message) {
                 setTimeout(() => {
-                    this.bot.sendMessage(event.message);
+                    this.say(roomId, event.message);
                 }, 4500);
             }
         }
         
         // Weather events
-        const weatherEvents = checkWeatherEvents(weather, challengerStats);
-        for (const event of weatherEvents) {
+        for (const event of rolled.weatherEvents) {
             if (event.message) {
                 setTimeout(() => {
-                    this.bot.sendMessage(event.message);
+                    this.say(roomId, event.message);
                 }, 5000);
             }
         }
@@ -962,11 +920,15 @@ export class PissingContestManager {
         if (challengerCondition && challengerCondition.fine) {
             setTimeout(async () => {
                 try {
-                    await this.bot.heistManager.deductMoney(challenger, challengerCondition.fine);
-                    this.bot.sendMessage(challengerCondition.fineMessage || `Medical bill! -${challenger} loses $${challengerCondition.fine}`);
+                    await this.bot.heistManager.deductMoney(challenger, challengerCondition.fine, {
+                        type: 'pissing_contest_fine',
+                        description: challengerCondition.name,
+                        roomId
+                    });
+                    this.say(roomId, challengerCondition.fineMessage || `Medical bill! -${challenger} loses $${challengerCondition.fine}`);
                 } catch (error) {
                     console.error('Error deducting fine from challenger:', error);
-                    this.bot.sendMessage(`tried to fine -${challenger} but somethin went wrong`);
+                    this.say(roomId, `tried to fine -${challenger} but somethin went wrong`);
                 }
             }, 6000);
         }
@@ -974,11 +936,15 @@ export class PissingContestManager {
         if (challengedCondition && challengedCondition.fine) {
             setTimeout(async () => {
                 try {
-                    await this.bot.heistManager.deductMoney(challenged, challengedCondition.fine);
-                    this.bot.sendMessage(challengedCondition.fineMessage || `Medical bill! -${challenged} loses $${challengedCondition.fine}`);
+                    await this.bot.heistManager.deductMoney(challenged, challengedCondition.fine, {
+                        type: 'pissing_contest_fine',
+                        description: challengedCondition.name,
+                        roomId
+                    });
+                    this.say(roomId, challengedCondition.fineMessage || `Medical bill! -${challenged} loses $${challengedCondition.fine}`);
                 } catch (error) {
                     console.error('Error deducting fine from challenged:', error);
-                    this.bot.sendMessage(`tried to fine -${challenged} but somethin went wrong`);
+                    this.say(roomId, `tried to fine -${challenged} but somethin went wrong`);
                 }
             }, 6500);
         }
@@ -0,0 +1,271 @@
+import { createLogger } from '../../utils/logger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    startRating: 1200,
+    kFactor: 24,
+    provisionalK: 40, // Ratings move faster until someone's played provisionalMatches
+    provisionalMatches: 10,
+    seasonLength: 30 * DAY,
+    carryOver: 0, // Fraction of last season's distance from startRating kept into the next (0 = full reset)
+    suggestions: 3 // Opponents suggested by !piss with no target
+};
+
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * Chance a player rated a beats one rated b
+ */
+export function expectedScore(a, b) {
+    return 1 / (1 + 10 ** ((b - a) / 400));
+}
+
+/**
+ * The pissing contest ladder: an ELO rating per user, per season
+ * PissingContestManager.handleOutcome rates every contest that actually
+ * gets decided on the day (someone bottling it on a failure condition
+ * doesn't count). Seasons run seasonLength; when one ends its standings are
+ * frozen with a final rank and everyone starts the next from startRating
+ * (or part way back, with carryOver).
+ *
+ * Ratings are global like the rest of the pissing contest stats, so the
+ * config is too: config.pissingContest.ladder = { startRating, kFactor,
+ * provisionalK, provisionalMatches, seasonLength, carryOver, suggestions }
+ */
+export class LadderManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('LadderManager');
+        this.config = { ...DEFAULT_CONFIG, ...(bot.config?.pissingContest?.ladder || {}) };
+
+        this.sweepInterval = null;
+        this.rolling = null; // Promise for the season being started, if one is
+    }
+
+    async init() {
+        const season = await this.getSeason();
+        this.logger.info(`LadderManager initialized, season ${season.id} ends ${new Date(season.ends_at).toISOString()}`);
+
+        this.sweepInterval = setInterval(() => {
+            this.getSeason().catch(error => {
+                this.logger.error('Ladder season check failed:', { error: error.message, stack: error.stack });
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+    }
+
+    /**
+     * The season being played, ending it and starting the next if it's run
+     * its length (or starting the first one)
+     */
+    async getSeason(now = Date.now()) {
+        const season = await this.db.get("SELECT * FROM piss_seasons WHERE status = 'active' ORDER BY id DESC LIMIT 1");
+        if (season && season.ends_at > now) {
+            return season;
+        }
+
+        // Everyone asking at the changeover gets the same new season
+        if (!this.rolling) {
+            this.rolling = this.rollSeason(season, now).finally(() => {
+                this.rolling = null;
+            });
+        }
+        return this.rolling;
+    }
+
+    async rollSeason(season, now) {
+        if (season) {
+            await this.endSeason(season, now);
+        }
+        const result = await this.db.run(
+            "INSERT INTO piss_seasons (status, started_at, ends_at) VALUES ('active', ?, ?)",
+            [now, now + this.config.seasonLength]
+        );
+        return this.getSeasonById(result.lastID);
+    }
+
+    async getSeasonById(id) {
+        return this.db.get('SELECT * FROM piss_seasons WHERE id = ?', [id]);
+    }
+
+    async listSeasons(limit = 10) {
+        return this.db.all('SELECT * FROM piss_seasons ORDER BY id DESC LIMIT ?', [limit]);
+    }
+
+    /**
+     * Freeze a season's standings and crown whoever's on top
+     */
+    async endSeason(season, now = Date.now()) {
+        const champion = await this.db.transaction(async () => {
+            const result = await this.db.run(
+                "UPDATE piss_seasons SET status = 'archived', ended_at = ? WHERE id = ? AND status = 'active'",
+                [now, season.id]
+            );
+            if (result.changes === 0) return null;
+
+            const standings = await this.db.all(
+                'SELECT username, rating FROM piss_ratings WHERE season_id = ? AND matches > 0 ORDER BY rating DESC, wins DESC, last_played ASC',
+                [season.id]
+            );
+            for (const [index, row] of standings.entries()) {
+                await this.db.run(
+                    'UPDATE piss_ratings SET final_rank = ? WHERE season_id = ? AND username = ?',
+                    [index + 1, season.id, row.username]
+                );
+            }
+
+            await this.db.run('UPDATE piss_seasons SET champion = ? WHERE id = ?', [standings[0]?.username || null, season.id]);
+            return standings[0] || false;
+        });
+        if (champion === null) return;
+
+        this.logger.info(`Ladder season ${season.id} ended${champion ? `, ${champion.username} on top at ${champion.rating}` : ''}`);
+        if (champion && this.bot.rooms) {
+            for (const [roomId, room] of this.bot.rooms) {
+                if (room.connected) {
+                    this.bot.sendMessage(roomId, `🏆 pissing ladder season ${season.id}'s done! -${champion.username} finished on top at ${champion.rating}. new season starts now, ${this.config.carryOver ? `ratings pulled back towards ${this.config.startRating}` : 'ratings are back to square one'}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Where a user starts a season: startRating, pulled towards last
+     * season's rating by carryOver
+     */
+    async startingRating(username, seasonId) {
+        const { startRating, carryOver } = this.config;
+        if (!carryOver) return startRating;
+
+        const last = await this.db.get(
+            'SELECT rating FROM piss_ratings WHERE username = ? AND season_id < ? ORDER BY season_id DESC LIMIT 1',
+            [username, seasonId]
+        );
+        return last ? Math.round(startRating + (last.rating - startRating) * carryOver) : startRating;
+    }
+
+    /**
+     * A user's rating row this season (a fresh one if they've not played)
+     */
+    async getRating(username, season = null) {
+        season = season || await this.getSeason();
+        const row = await this.db.get('SELECT * FROM piss_ratings WHERE season_id = ? AND username = ?', [season.id, username]);
+        if (row) return row;
+
+        const rating = await this.startingRating(username, season.id);
+        return { season_id: season.id, username, rating, peak_rating: rating, matches: 0, wins: 0, losses: 0, final_rank: null, last_played: null };
+    }
+
+    /**
+     * Where a user sits on this season's ladder
+     * @returns {Promise<number|null>} null if they've not played this season
+     */
+    async getRank(username, season = null) {
+        season = season || await this.getSeason();
+        const row = await this.db.get(
+            'SELECT rating FROM piss_ratings WHERE season_id = ? AND username = ? AND matches > 0',
+            [season.id, username]
+        );
+        if (!row) return null;
+
+        const { above } = await this.db.get(
+            'SELECT COUNT(*) as above FROM piss_ratings WHERE season_id = ? AND matches > 0 AND rating > ?',
+            [season.id, row.rating]
+        );
+        return above + 1;
+    }
+
+    /**
+     * Rate a decided contest
+     * @returns {Promise<{season: Object, winner: Object, loser: Object}>} each side's
+     *   { username, before, after, delta }
+     */
+    async recordMatch(winner, loser, now = Date.now()) {
+        const season = await this.getSeason(now);
+
+        return this.db.transaction(async () => {
+            const a = await this.getRating(winner, season);
+            const b = await this.getRating(loser, season);
+            const k = (row) => row.matches < this.config.provisionalMatches ? this.config.provisionalK : this.config.kFactor;
+
+            const expected = expectedScore(a.rating, b.rating);
+            const winnerAfter = Math.round(a.rating + k(a) * (1 - expected));
+            const loserAfter = Math.round(b.rating - k(b) * (1 - expected));
+
+            const save = (row, rating, won) => this.db.run(`
+                INSERT INTO piss_ratings (season_id, username, rating, peak_rating, matches, wins, losses, last_played)
+                VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+                ON CONFLICT(season_id, username) DO UPDATE SET
+                    rating = excluded.rating,
+                    peak_rating = MAX(peak_rating, excluded.rating),
+                    matches = matches + 1,
+                    wins = wins + excluded.wins,
+                    losses = losses + excluded.losses,
+                    last_played = excluded.last_played
+            `, [season.id, row.username, rating, Math.max(row.peak_rating, rating), won ? 1 : 0, won ? 0 : 1, now]);
+            await save(a, winnerAfter, true);
+            await save(b, loserAfter, false);
+
+            return {
+                season,
+                winner: { username: winner, before: a.rating, after: winnerAfter, delta: winnerAfter - a.rating },
+                loser: { username: loser, before: b.rating, after: loserAfter, delta: loserAfter - b.rating }
+            };
+        });
+    }
+
+    /**
+     * A season's ladder: live ratings for the current one, the frozen
+     * standings for an archived one
+     */
+    async getLadder(seasonId = null, limit = 10) {
+        const season = seasonId ? await this.getSeasonById(seasonId) : await this.getSeason();
+        if (!season) return null;
+
+        const rows = season.status === 'archived'
+            ? await this.db.all(
+                'SELECT * FROM piss_ratings WHERE season_id = ? AND final_rank IS NOT NULL ORDER BY final_rank LIMIT ?',
+                [season.id, limit]
+            )
+            : await this.db.all(
+                'SELECT * FROM piss_ratings WHERE season_id = ? AND matches > 0 ORDER BY rating DESC, wins DESC, last_played ASC LIMIT ?',
+                [season.id, limit]
+            );
+
+        return {
+            season,
+            standings: rows.map((row, index) => ({ ...row, rank: row.final_rank || index + 1 }))
+        };
+    }
+
+    /**
+     * Fair fights for someone who typed !piss without a target: whoever's
+     * in the room (and not AFK) rated closest to them
+     * @returns {Promise<{rating: number, opponents: Array<{username: string, rating: number, chance: number}>}>}
+     */
+    async suggestOpponents(username, roomId, limit = this.config.suggestions) {
+        const userlist = this.bot.rooms ? this.bot.rooms.get(roomId)?.userlist : this.bot.getUserlist?.();
+        const season = await this.getSeason();
+        const me = await this.getRating(username, season);
+
+        const opponents = [];
+        for (const [name, user] of userlist || []) {
+            if (name.toLowerCase() === username.toLowerCase() || name.toLowerCase() === this.bot.username?.toLowerCase()) continue;
+            if (name.startsWith('[') || user?.meta?.afk || user?.afk) continue;
+
+            const { rating } = await this.getRating(name, season);
+            opponents.push({ username: name, rating, chance: expectedScore(me.rating, rating) });
+        }
+
+        opponents.sort((a, b) => Math.abs(a.rating - me.rating) - Math.abs(b.rating - me.rating));
+        return { rating: me.rating, opponents: opponents.slice(0, limit) };
+    }
+}
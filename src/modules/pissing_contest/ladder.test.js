@@ -0,0 +1,111 @@
+import Database from '../../services/database.js';
+import { up } from '../../migrations/2025-07-18-add-piss-ladder.js';
+import { LadderManager, expectedScore } from './ladder.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+
+// An in-memory database with just the ladder's tables
+const db = new Database(':memory:', 'dazza', { logToConsole: false });
+db.createTables = async () => {};
+db.runMigrations = async () => {};
+await db.init();
+await up(db);
+
+const ladder = new LadderManager(db, { config: { pissingContest: { ladder: { provisionalMatches: 2 } } } });
+ladder.logger = { info: () => {}, error: () => {} };
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const rate = async (winner, loser, now = NOW) => {
+    const { winner: won, loser: lost } = await ladder.recordMatch(winner, loser, now);
+    return [won.after, won.delta, lost.after, lost.delta];
+};
+
+// Test cases
+const testCases = [
+    // Expected score
+    { run: () => expectedScore(1200, 1200), expected: 0.5, description: 'Even ratings, even chance' },
+    { run: () => round(expectedScore(1600, 1200)), expected: 0.909, description: '400 points up is 10 to 1' },
+    { run: () => round(expectedScore(1200, 1600)), expected: 0.091, description: '400 points down' },
+    { run: () => round(expectedScore(1432, 1187) + expectedScore(1187, 1432)), expected: 1, description: 'Both sides add up to one' },
+
+    // Rating matches
+    { run: () => rate('alice', 'bob'), expected: [1220, 20, 1180, -20], description: 'New players move by the provisional K' },
+    { run: () => rate('alice', 'bob'), expected: [1238, 18, 1162, -18], description: 'Favourite winning gains less' },
+    { run: () => rate('bob', 'alice'), expected: [1177, 15, 1223, -15], description: 'Out of provisional, K drops to 24' },
+    {
+        run: async () => {
+            const row = await ladder.getRating('alice');
+            return [row.rating, row.peak_rating, row.matches, row.wins, row.losses];
+        },
+        expected: [1223, 1238, 3, 2, 1],
+        description: 'Rating row keeps peak, matches, wins and losses'
+    },
+    { run: () => rate('carl', 'alice'), expected: [1221, 21, 1210, -13], description: 'Provisional player against an established one' },
+    { run: async () => [await ladder.getRank('carl'), await ladder.getRank('alice'), await ladder.getRank('nobody')], expected: [1, 2, null], description: 'Ranks, nobody unranked' },
+
+    // Seasons
+    {
+        run: async () => {
+            const old = await ladder.getSeason(NOW);
+            const next = await ladder.getSeason(old.ends_at + 1);
+            const archived = await ladder.getSeasonById(old.id);
+            return [next.id !== old.id, archived.status, archived.champion];
+        },
+        expected: [true, 'archived', 'carl'],
+        description: 'Season ends when it runs out and crowns the top rating'
+    },
+    {
+        run: async () => (await db.all('SELECT username, final_rank FROM piss_ratings ORDER BY final_rank')).map(row => `${row.final_rank} ${row.username}`),
+        expected: ['1 carl', '2 alice', '3 bob'],
+        description: 'Final ranks are frozen'
+    },
+    {
+        run: async () => (await ladder.getRating('carl')).rating,
+        expected: 1200,
+        description: 'Everyone starts the new season from scratch'
+    },
+    {
+        run: async () => {
+            ladder.config.carryOver = 0.5;
+            const rating = await ladder.startingRating('carl', 99);
+            ladder.config.carryOver = 0;
+            return rating;
+        },
+        expected: 1211,
+        description: 'carryOver keeps part of last season\'s distance from the start'
+    },
+    {
+        run: async () => {
+            const season = await ladder.getSeason(NOW + 100 * DAY);
+            const [a, b] = await Promise.all([ladder.getSeason(season.ends_at + 1), ladder.getSeason(season.ends_at + 1)]);
+            return a.id === b.id;
+        },
+        expected: true,
+        description: 'Asking twice at the changeover starts one season'
+    }
+];
+
+console.log('Pissing Ladder Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = await test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
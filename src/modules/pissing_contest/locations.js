@@ -234,9 +234,8 @@ export const LOCATIONS = {
     ]
 };
 
-// Get random location based on current time
-export function getRandomLocation() {
-    const hour = new Date().getHours();
+// Get random location based on the time of day (the hour's passed in when replaying a contest)
+export function getRandomLocation(rng = Math.random, hour = new Date().getHours()) {
     let pool = [];
     
     // Determine time-based pool
@@ -254,16 +253,16 @@ export function getRandomLocation() {
     pool.push(...LOCATIONS.rural);
     
     // Small chance for special locations
-    if (Math.random() < 0.1) {
+    if (rng() < 0.1) {
         pool.push(...LOCATIONS.special);
     }
     
     // Small chance for aim bonus locations
-    if (Math.random() < 0.15) {
+    if (rng() < 0.15) {
         pool.push(...LOCATIONS.aimBonus);
     }
     
-    return pool[Math.floor(Math.random() * pool.length)];
+    return pool[Math.floor(rng() * pool.length)];
 }
 
 // Apply location effects
@@ -313,10 +312,10 @@ export function applyLocationEffects(stats, location, user) {
 }
 
 // Check for location-based events
-export function checkLocationEvents(location) {
+export function checkLocationEvents(location, rng = Math.random) {
     const events = [];
     
-    if (location.fine && location.fineChance && Math.random() < location.fineChance) {
+    if (location.fine && location.fineChance && rng() < location.fineChance) {
         events.push({
             type: 'fine',
             amount: location.fine,
@@ -324,56 +323,56 @@ export function checkLocationEvents(location) {
         });
     }
     
-    if (location.cloggedChance && Math.random() < location.cloggedChance) {
+    if (location.cloggedChance && rng() < location.cloggedChance) {
         events.push({
             type: 'clogged',
             message: "trough's clogged with sawdust!"
         });
     }
     
-    if (location.wicketFail && Math.random() < location.wicketFail) {
+    if (location.wicketFail && rng() < location.wicketFail) {
         events.push({
             type: 'instant_loss',
             message: "hit the wicket! Instant disqualification!"
         });
     }
     
-    if (location.biteChance && Math.random() < location.biteChance) {
+    if (location.biteChance && rng() < location.biteChance) {
         events.push({
             type: 'instant_loss', 
             message: "dog bit ya dick! Contest over!"
         });
     }
     
-    if (location.sprinklerChance && Math.random() < location.sprinklerChance) {
+    if (location.sprinklerChance && rng() < location.sprinklerChance) {
         events.push({
             type: 'sprinkler',
             message: "sprinklers turned on!"
         });
     }
     
-    if (location.copChance && Math.random() < location.copChance) {
+    if (location.copChance && rng() < location.copChance) {
         events.push({
             type: 'cop',
             message: "cop showed up!"
         });
     }
     
-    if (location.runOverChance && Math.random() < location.runOverChance) {
+    if (location.runOverChance && rng() < location.runOverChance) {
         events.push({
             type: 'instant_loss',
             message: "cabbie ran ya over!"
         });
     }
     
-    if (location.tinnieHitChance && Math.random() < location.tinnieHitChance) {
+    if (location.tinnieHitChance && rng() < location.tinnieHitChance) {
         events.push({
             type: 'tinnie_hit',
             message: "pissed in ya own tinnie!"
         });
     }
     
-    if (location.angryChance && Math.random() < location.angryChance) {
+    if (location.angryChance && rng() < location.angryChance) {
         events.push({
             type: 'angry_campers',
             message: "woke up angry campers!"
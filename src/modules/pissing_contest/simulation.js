@@ -0,0 +1,163 @@
+import { getRandomCharacteristic } from './characteristics.js';
+import { getRandomCondition, applyConditionEffects, isFailureCondition, getConditionByName } from './conditions.js';
+import { getRandomLocation, applyLocationEffects, checkLocationEvents } from './locations.js';
+import { getRandomWeather, applyWeatherEffects, checkWeatherEvents } from './weather.js';
+import { createRng } from '../../utils/rng.js';
+
+/**
+ * The dice side of a pissing contest, with no chat, money or database in it.
+ * PissingContestManager rolls live matches through these with a seeded rng,
+ * and src/scripts/simulate.js uses them to run thousands of matches or
+ * replay a stored one from its seed. Draws come off the rng in the same
+ * order either way, so the same seed plays out the same match.
+ */
+
+// Characteristics, location, weather and conditions, rolled when the contest starts
+export function rollMatchup(rng, hour = new Date().getHours()) {
+    const challengerChar = getRandomCharacteristic(rng);
+    const challengedChar = getRandomCharacteristic(rng);
+
+    const location = getRandomLocation(rng, hour);
+    const weather = getRandomWeather(rng);
+
+    let challengerCondition = challengerChar.self_condition ? getConditionByName(challengerChar.self_condition) : getRandomCondition(rng);
+    let challengedCondition = challengedChar.self_condition ? getConditionByName(challengedChar.self_condition) : getRandomCondition(rng);
+
+    // Handle mutual conditions
+    if (challengerChar.mutual_condition) {
+        const mutual = getConditionByName(challengerChar.mutual_condition);
+        challengerCondition = mutual;
+        challengedCondition = mutual;
+    }
+    if (challengedChar.mutual_condition) {
+        const mutual = getConditionByName(challengedChar.mutual_condition);
+        challengerCondition = mutual;
+        challengedCondition = mutual;
+    }
+
+    return { challengerChar, challengedChar, location, weather, challengerCondition, challengedCondition };
+}
+
+// Calculate base stats from bladder
+export function calculateBaseStats(bladderAmount, rng = Math.random) {
+    // Base ranges
+    let stats = {
+        distance: 0.5 + rng() * 4.5, // 0.5m - 5m
+        volume: 200 + rng() * 1800, // 200mL - 2000mL
+        aim: 10 + rng() * 90, // 10% - 100%
+        duration: 2 + rng() * 28 // 2s - 30s
+    };
+
+    // Apply bladder modifiers
+    if (bladderAmount === 0) {
+        stats.volume *= 0.5;
+        stats.distance *= 0.8;
+    } else {
+        // Each drink adds 2% duration, 1% volume (max +100% volume at 100 drinks)
+        stats.duration *= (1 + Math.min(bladderAmount * 0.02, 2));
+        stats.volume *= (1 + Math.min(bladderAmount * 0.01, 1));
+    }
+
+    return stats;
+}
+
+// Apply characteristic effects
+export function applyCharacteristicEffects(stats, ownChar) {
+    const newStats = { ...stats };
+
+    // Apply own characteristic effects
+    if (ownChar.effects) {
+        for (const [key, value] of Object.entries(ownChar.effects)) {
+            if (key === 'all') {
+                newStats.distance *= (1 + value / 100);
+                newStats.volume *= (1 + value / 100);
+                newStats.aim *= (1 + value / 100);
+                newStats.duration *= (1 + value / 100);
+            } else if (['distance', 'volume', 'aim', 'duration'].includes(key)) {
+                newStats[key] *= (1 + value / 100);
+            } else if (key === 'distance_min') {
+                newStats.distance = Math.max(newStats.distance, value);
+            } else if (key === 'volume_min') {
+                newStats.volume = Math.max(newStats.volume, value);
+            } else if (key === 'duration_min') {
+                newStats.duration = Math.max(newStats.duration, value);
+            } else if (key === 'duration_max') {
+                newStats.duration = Math.min(newStats.duration, value);
+            }
+        }
+    }
+
+    return newStats;
+}
+
+// Calculate final score
+export function calculateScore(stats) {
+    // Normalize stats to 0-1000 scale
+    const distanceScore = (stats.distance / 5) * 1000;
+    const volumeScore = (stats.volume / 2000) * 1000;
+    const aimScore = (stats.aim / 100) * 1000;
+    const durationScore = (stats.duration / 30) * 1000;
+
+    // Apply weights
+    const total = (distanceScore * 0.4) + (volumeScore * 0.25) +
+                 (aimScore * 0.2) + (durationScore * 0.15);
+
+    return Math.round(total);
+}
+
+/**
+ * Play a rolled matchup out
+ * @returns {Object} { challengerFailed, challengedFailed } if a condition stopped
+ *   anyone going, otherwise { challengerStats, challengedStats, challengerScore,
+ *   challengedScore, challengerWon, locationEvents, weatherEvents }
+ */
+export function rollResult(matchup, { challengerBladder = 0, challengedBladder = 0 } = {}, rng = Math.random) {
+    const { challengerChar, challengedChar, location, weather, challengerCondition, challengedCondition } = matchup;
+
+    let challengerStats = calculateBaseStats(challengerBladder, rng);
+    let challengedStats = calculateBaseStats(challengedBladder, rng);
+
+    challengerStats = applyCharacteristicEffects(challengerStats, challengerChar);
+    challengedStats = applyCharacteristicEffects(challengedStats, challengedChar);
+
+    // Check for instant failures
+    const challengerFailed = isFailureCondition(challengerCondition);
+    const challengedFailed = isFailureCondition(challengedCondition);
+    if (challengerFailed || challengedFailed) {
+        return { failed: true, challengerFailed, challengedFailed };
+    }
+
+    challengerStats = applyConditionEffects(challengerStats, challengerCondition, rng);
+    challengedStats = applyConditionEffects(challengedStats, challengedCondition, rng);
+
+    challengerStats = applyLocationEffects(challengerStats, location, { characteristic: challengerChar });
+    challengedStats = applyLocationEffects(challengedStats, location, { characteristic: challengedChar });
+
+    challengerStats = applyWeatherEffects(challengerStats, weather, challengerChar.name === 'Wind Sailor', rng);
+    challengedStats = applyWeatherEffects(challengedStats, weather, challengedChar.name === 'Wind Sailor', rng);
+
+    const challengerScore = calculateScore(challengerStats);
+    const challengedScore = calculateScore(challengedStats);
+
+    return {
+        failed: false,
+        challengerStats,
+        challengedStats,
+        challengerScore,
+        challengedScore,
+        challengerWon: challengerScore > challengedScore,
+        locationEvents: checkLocationEvents(location, rng),
+        weatherEvents: checkWeatherEvents(weather, challengerStats, rng)
+    };
+}
+
+/**
+ * A whole contest from one seed, the way a live one would go at that hour
+ * with those bladders
+ */
+export function simulateContest({ seed, hour, challengerBladder = 0, challengedBladder = 0 } = {}) {
+    const rng = createRng(seed);
+    const matchup = rollMatchup(rng, hour);
+    const result = rollResult(matchup, { challengerBladder, challengedBladder }, rng);
+    return { seed: rng.seed, ...matchup, ...result };
+}
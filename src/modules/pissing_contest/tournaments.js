@@ -0,0 +1,730 @@
+import { createLogger } from '../../utils/logger.js';
+import { ESCROW, InsufficientFundsError } from '../economy/index.js';
+import { formatLeadTime } from '../events/index.js';
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    userOrganised: true, // false: only mods and admins can start one
+    signupWindow: 10 * MINUTE,
+    minPlayers: 4,
+    maxPlayers: 16,
+    maxFee: 1000,
+    payout: [60, 30, 10], // Percent of the pot to the winner, runner-up, and the two beaten semi-finalists between them
+    matchGap: MINUTE // Breather between matches
+};
+
+const SWEEP_INTERVAL = 15000;
+
+const ERRORS = {
+    disabled: () => 'no tournaments in here',
+    mods_only: () => 'only mods can kick off a tournament in here',
+    already_on: (result) => `there's already a tournament on (#${result.id}), !tourney for the bracket`,
+    bad_fee: (result) => `entry's $0 to $${result.max}`,
+    bad_size: (result) => `tournaments are ${result.min} to ${result.max} players`,
+    no_tournament: () => 'no tournament on right now, !tourney start <fee> to kick one off',
+    not_signup: () => 'signups are closed',
+    entered: () => 'ya already in',
+    full: (result) => `it's full, ${result.max} players max`,
+    not_entered: () => 'ya not in it',
+    not_organiser: () => 'only whoever started it (or a mod) can do that',
+    broke: (result) => `ya can't cover $${result.amount}`
+};
+
+/**
+ * Turn a tournament error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'the bracket got pissed on, try again'))(result);
+}
+
+/**
+ * Where each seed sits in a bracket of size players, in slot order, so the
+ * top seeds can only meet late: [1, 8, 4, 5, 2, 7, 3, 6] for 8
+ */
+export function bracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const next = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, next - seed]);
+    }
+    return order;
+}
+
+/**
+ * What a round's called, from how many are left in it
+ */
+export function roundName(size, round) {
+    const left = size / 2 ** (round - 1);
+    if (left === 2) return 'the final';
+    if (left === 4) return 'the semis';
+    if (left === 8) return 'the quarters';
+    return `round ${round}`;
+}
+
+/**
+ * Single-elimination pissing contest tournaments for !tourney
+ * Someone opens signups with an entry fee (and can chuck in prize money of
+ * their own); fees and prize sit in @escrow as the pot. When signups close
+ * the field is seeded off pissing_contest_stats and each match is a normal
+ * pissing contest run through PissingContestManager.runContest, one at a
+ * time, with the bracket posted between rounds. The pot's split between the
+ * winner, runner-up and beaten semi-finalists.
+ * Everything lives in the database; a restart replays whatever match was
+ * underway and carries on. A match is marked recorded in the same
+ * transaction as its stats and ladder changes, so one that had already
+ * counted just gets its result saved instead of being played again.
+ *
+ * Room config (rooms/<room>.js): settings.tournaments = { enabled,
+ * userOrganised, signupWindow, minPlayers, maxPlayers, maxFee, payout, matchGap }
+ */
+export class TournamentManager {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('TournamentManager');
+
+        this.roomConfigs = new Map(); // roomId -> config
+        this.driving = new Set(); // tournament ids with a match loop going
+        this.sweepInterval = null;
+        this.stopped = false;
+    }
+
+    async init() {
+        // Matches cut off by a restart get played again from scratch
+        await this.db.run("UPDATE piss_tournament_matches SET status = 'pending' WHERE status = 'running'");
+        const row = await this.db.get(`SELECT COUNT(*) as count FROM piss_tournaments WHERE status IN ('signup', 'running')`);
+        this.logger.info(`TournamentManager initialized with ${row?.count || 0} tournament(s) on`);
+
+        this.sweepInterval = setInterval(() => {
+            this.sweep().catch(error => {
+                this.logger.error('Tournament sweep failed:', { error: error.message, stack: error.stack });
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        const settings = roomConfig.settings?.tournaments || {};
+        this.roomConfigs.set(roomId, { ...DEFAULT_CONFIG, ...settings });
+    }
+
+    getConfig(roomId) {
+        return this.roomConfigs.get(roomId) || DEFAULT_CONFIG;
+    }
+
+    announce(roomId, message) {
+        this.bot.sendMessage(roomId, message);
+    }
+
+    async getTournament(id) {
+        return this.db.get('SELECT * FROM piss_tournaments WHERE id = ?', [id]);
+    }
+
+    /**
+     * The room's tournament that's signing up or underway
+     */
+    async getCurrent(roomId) {
+        return this.db.get(
+            "SELECT * FROM piss_tournaments WHERE room_id = ? AND status IN ('signup', 'running') ORDER BY id DESC LIMIT 1",
+            [roomId]
+        );
+    }
+
+    async getEntries(id) {
+        return this.db.all(
+            'SELECT * FROM piss_tournament_entries WHERE tournament_id = ? ORDER BY seed IS NULL, seed, joined_at',
+            [id]
+        );
+    }
+
+    async getMatches(id, round = null) {
+        return round === null
+            ? this.db.all('SELECT * FROM piss_tournament_matches WHERE tournament_id = ? ORDER BY round, slot', [id])
+            : this.db.all('SELECT * FROM piss_tournament_matches WHERE tournament_id = ? AND round = ? ORDER BY slot', [id, round]);
+    }
+
+    /**
+     * Newest tournaments first, optionally just one room's or one status
+     */
+    async list(roomId = null, limit = 10, status = null) {
+        const where = [];
+        const params = [];
+        if (roomId) {
+            where.push('room_id = ?');
+            params.push(roomId);
+        }
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+
+        return this.db.all(
+            `SELECT * FROM piss_tournaments ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+            [...params, limit]
+        );
+    }
+
+    /**
+     * Open signups
+     * @param {Object} options - { fee, prize (the organiser's own money on top), maxPlayers, signupWindow }
+     * @param {boolean} isMod - mods can organise even where users can't
+     * @returns {Promise<{success: boolean, tournament?: Object, error?: string}>}
+     */
+    async create(roomId, organiser, { fee = 0, prize = 0, maxPlayers = null, signupWindow = null } = {}, isMod = false) {
+        const config = this.getConfig(roomId);
+        if (!config.enabled) {
+            return { success: false, error: 'disabled' };
+        }
+        if (!config.userOrganised && !isMod) {
+            return { success: false, error: 'mods_only' };
+        }
+
+        const current = await this.getCurrent(roomId);
+        if (current) {
+            return { success: false, error: 'already_on', id: current.id };
+        }
+        if (!Number.isInteger(fee) || fee < 0 || fee > config.maxFee) {
+            return { success: false, error: 'bad_fee', max: config.maxFee };
+        }
+
+        const size = maxPlayers ?? config.maxPlayers;
+        if (!Number.isInteger(size) || size < config.minPlayers || size > config.maxPlayers) {
+            return { success: false, error: 'bad_size', min: config.minPlayers, max: config.maxPlayers };
+        }
+
+        const now = Date.now();
+        try {
+            const tournament = await this.db.transaction(async () => {
+                if (prize > 0) {
+                    await this.bot.heistManager.updateUserEconomy(organiser, -prize, 0, {
+                        type: 'piss_tournament',
+                        description: 'Tournament prize money',
+                        roomId,
+                        counterparty: ESCROW,
+                        requireFunds: true
+                    });
+                }
+
+                const result = await this.db.run(`
+                    INSERT INTO piss_tournaments (room_id, organiser, entry_fee, prize, pot, max_players, signup_ends_at, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [roomId, organiser, fee, prize, prize, size, now + (signupWindow ?? config.signupWindow), now]);
+                return this.getTournament(result.lastID);
+            });
+
+            this.logger.info(`${organiser} opened tournament #${tournament.id} in ${roomId} ($${fee} entry, $${prize} prize)`);
+            return { success: true, tournament };
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount: prize };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Sign up and pay the entry fee into the pot
+     */
+    async join(roomId, username) {
+        const tournament = await this.getCurrent(roomId);
+        if (!tournament) {
+            return { success: false, error: 'no_tournament' };
+        }
+        if (tournament.status !== 'signup') {
+            return { success: false, error: 'not_signup' };
+        }
+
+        try {
+            return await this.db.transaction(async () => {
+                const { count } = await this.db.get('SELECT COUNT(*) as count FROM piss_tournament_entries WHERE tournament_id = ?', [tournament.id]);
+                if (count >= tournament.max_players) {
+                    return { success: false, error: 'full', max: tournament.max_players };
+                }
+
+                const entry = await this.db.run(
+                    'INSERT OR IGNORE INTO piss_tournament_entries (tournament_id, username, joined_at) VALUES (?, ?, ?)',
+                    [tournament.id, username, Date.now()]
+                );
+                if (entry.changes === 0) {
+                    return { success: false, error: 'entered' };
+                }
+
+                if (tournament.entry_fee > 0) {
+                    await this.bot.heistManager.updateUserEconomy(username, -tournament.entry_fee, 0, {
+                        type: 'piss_tournament',
+                        description: `Tournament #${tournament.id} entry`,
+                        roomId,
+                        counterparty: ESCROW,
+                        requireFunds: true
+                    });
+                    await this.db.run('UPDATE piss_tournaments SET pot = pot + ? WHERE id = ?', [tournament.entry_fee, tournament.id]);
+                }
+
+                return { success: true, tournament: await this.getTournament(tournament.id), players: count + 1 };
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount: tournament.entry_fee };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Pull out before signups close and get the fee back
+     */
+    async leave(roomId, username) {
+        const tournament = await this.getCurrent(roomId);
+        if (!tournament) {
+            return { success: false, error: 'no_tournament' };
+        }
+        if (tournament.status !== 'signup') {
+            return { success: false, error: 'not_signup' };
+        }
+
+        const left = await this.db.transaction(async () => {
+            const result = await this.db.run(
+                'DELETE FROM piss_tournament_entries WHERE tournament_id = ? AND username = ?',
+                [tournament.id, username]
+            );
+            if (result.changes === 0) return false;
+
+            await this.db.run('UPDATE piss_tournaments SET pot = pot - ? WHERE id = ?', [tournament.entry_fee, tournament.id]);
+            await this.refund(tournament, username, tournament.entry_fee, 'left');
+            return true;
+        });
+
+        return left ? { success: true, tournament } : { success: false, error: 'not_entered' };
+    }
+
+    /**
+     * Call it off and hand everyone's money back
+     * @param {boolean} isMod - mods can cancel anyone's, and cancel one that's underway
+     */
+    async cancel(roomId, username, isMod = false) {
+        const tournament = await this.getCurrent(roomId);
+        if (!tournament) {
+            return { success: false, error: 'no_tournament' };
+        }
+        if (!isMod && (tournament.organiser.toLowerCase() !== username.toLowerCase() || tournament.status !== 'signup')) {
+            return { success: false, error: 'not_organiser' };
+        }
+
+        const cancelled = await this.close(tournament, 'cancelled');
+        return cancelled ? { success: true, tournament } : { success: false, error: 'no_tournament' };
+    }
+
+    /**
+     * Close signups early and get it started
+     */
+    async startNow(roomId, username, isMod = false) {
+        const tournament = await this.getCurrent(roomId);
+        if (!tournament) {
+            return { success: false, error: 'no_tournament' };
+        }
+        if (tournament.status !== 'signup') {
+            return { success: false, error: 'not_signup' };
+        }
+        if (!isMod && tournament.organiser.toLowerCase() !== username.toLowerCase()) {
+            return { success: false, error: 'not_organiser' };
+        }
+
+        await this.begin(tournament);
+        return { success: true, tournament };
+    }
+
+    async refund(tournament, username, amount, reason) {
+        if (amount <= 0) return;
+        await this.bot.heistManager.updateUserEconomy(username, amount, 0, {
+            type: 'piss_tournament_refund',
+            description: `Tournament #${tournament.id} ${reason}`,
+            roomId: tournament.room_id,
+            counterparty: ESCROW
+        });
+    }
+
+    /**
+     * Mark a tournament cancelled and refund every entry fee and the prize
+     * @returns {Promise<boolean>} false if it had already finished or closed
+     */
+    async close(tournament, status) {
+        return this.db.transaction(async () => {
+            const result = await this.db.run(
+                "UPDATE piss_tournaments SET status = ?, finished_at = ? WHERE id = ? AND status IN ('signup', 'running')",
+                [status, Date.now(), tournament.id]
+            );
+            if (result.changes === 0) return false;
+
+            for (const entry of await this.getEntries(tournament.id)) {
+                await this.refund(tournament, entry.username, tournament.entry_fee, status);
+            }
+            await this.refund(tournament, tournament.organiser, tournament.prize, status);
+            return true;
+        });
+    }
+
+    /**
+     * Rank the field off their pissing contest record: most wins, then best
+     * win rate, then whoever signed up first
+     */
+    async seed(tournament) {
+        const entries = await this.getEntries(tournament.id);
+        const ranked = [];
+        for (const entry of entries) {
+            const stats = await this.db.get(
+                'SELECT wins, total_matches FROM pissing_contest_stats WHERE username = ? COLLATE NOCASE',
+                [entry.username]
+            );
+            ranked.push({
+                ...entry,
+                wins: stats?.wins || 0,
+                rate: stats?.total_matches ? stats.wins / stats.total_matches : 0
+            });
+        }
+
+        ranked.sort((a, b) => b.wins - a.wins || b.rate - a.rate || a.joined_at - b.joined_at);
+        for (const [index, entry] of ranked.entries()) {
+            entry.seed = index + 1;
+            await this.db.run(
+                'UPDATE piss_tournament_entries SET seed = ? WHERE tournament_id = ? AND username = ?',
+                [entry.seed, tournament.id, entry.username]
+            );
+        }
+        return ranked;
+    }
+
+    /**
+     * Signups are over: seed the bracket and start playing, or call it off
+     * if not enough turned up
+     */
+    async begin(tournament) {
+        const config = this.getConfig(tournament.room_id);
+        const entries = await this.getEntries(tournament.id);
+        if (entries.length < config.minPlayers) {
+            if (await this.close(tournament, 'cancelled')) {
+                this.announce(tournament.room_id, `🏆 tournament #${tournament.id} is off, only ${entries.length} turned up (needs ${config.minPlayers}). money's been handed back`);
+            }
+            return;
+        }
+
+        // Claimed, seeded and drawn together, so it's never running without a bracket
+        const seeded = await this.db.transaction(async () => {
+            const claimed = await this.db.run(
+                "UPDATE piss_tournaments SET status = 'running', round = 1, started_at = ? WHERE id = ? AND status = 'signup'",
+                [Date.now(), tournament.id]
+            );
+            if (claimed.changes === 0) return null;
+
+            const seeded = await this.seed(tournament);
+            let size = 2;
+            while (size < seeded.length) size *= 2;
+
+            // Top seeds get the byes
+            const order = bracketOrder(size);
+            const players = order.map(seed => seeded[seed - 1]?.username || null);
+            for (let slot = 0; slot < size / 2; slot++) {
+                await this.addMatch(tournament.id, 1, slot, players[slot * 2], players[slot * 2 + 1]);
+            }
+            return seeded;
+        });
+        if (!seeded) return;
+
+        this.logger.info(`Tournament #${tournament.id} started with ${seeded.length} players`);
+        this.announce(tournament.room_id, `🏆 TOURNAMENT #${tournament.id} IS ON! ${seeded.length} pissers, $${tournament.pot} up for grabs. seeds: ${seeded.map(entry => `${entry.seed}. ${entry.username}`).join(', ')}`);
+        this.drive(tournament.id);
+    }
+
+    async addMatch(tournamentId, round, slot, playerA, playerB) {
+        // A bye goes straight through
+        const bye = playerA && !playerB ? playerA : !playerA && playerB ? playerB : null;
+        await this.db.run(`
+            INSERT INTO piss_tournament_matches (tournament_id, round, slot, player_a, player_b, winner, status, played_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [tournamentId, round, slot, bye || playerA, bye ? null : playerB, bye, bye ? 'bye' : 'pending', bye ? Date.now() : null]);
+    }
+
+    /**
+     * Play a tournament's matches one after another until there's a winner.
+     * Only one loop runs per tournament; it picks up wherever the database
+     * says it's at, so it's safe to call again after a restart
+     */
+    async drive(id) {
+        if (this.driving.has(id)) return;
+        this.driving.add(id);
+
+        try {
+            while (!this.stopped) {
+                const tournament = await this.getTournament(id);
+                if (tournament?.status !== 'running') break;
+
+                const matches = await this.getMatches(id, tournament.round);
+                const next = matches.find(match => match.status === 'pending');
+                if (next) {
+                    await this.playMatch(tournament, next, matches.length);
+                    if (matches.some(match => match.status === 'pending' && match.id !== next.id)) {
+                        await new Promise(resolve => setTimeout(resolve, this.getConfig(tournament.room_id).matchGap));
+                    }
+                    continue;
+                }
+
+                await this.advance(tournament, matches);
+            }
+        } catch (error) {
+            this.logger.error(`Tournament #${id} stalled:`, { error: error.message, stack: error.stack });
+        } finally {
+            this.driving.delete(id);
+        }
+    }
+
+    async playMatch(tournament, match, matchesInRound) {
+        const contests = this.bot.pissingContestManager;
+        const size = matchesInRound * 2 ** tournament.round;
+        const seeds = new Map((await this.getEntries(tournament.id)).map(entry => [entry.username.toLowerCase(), entry.seed]));
+        const seedOf = (username) => seeds.get(username.toLowerCase());
+
+        await this.db.run("UPDATE piss_tournament_matches SET status = 'running' WHERE id = ?", [match.id]);
+
+        let outcome;
+        if (match.recorded) {
+            // Played and counted before a restart, it just never got marked done
+            outcome = {
+                winner: match.winner,
+                winnerScore: match.winner.toLowerCase() === match.player_a.toLowerCase() ? match.score_a : match.score_b,
+                loserScore: match.winner.toLowerCase() === match.player_a.toLowerCase() ? match.score_b : match.score_a
+            };
+            this.announce(tournament.room_id, `🏆 ${roundName(size, tournament.round)}: -${outcome.winner} won this one before the restart, through they go`);
+        } else {
+            this.announce(tournament.room_id, `🏆 ${roundName(size, tournament.round)}: -${match.player_a} (${seedOf(match.player_a)}) vs -${match.player_b} (${seedOf(match.player_b)})`);
+
+            const now = Date.now();
+            const { result } = await contests.runContest({
+                challenger: match.player_a,
+                challenged: match.player_b,
+                amount: 0,
+                created_at: now,
+                expires_at: now,
+                status: 'accepted',
+                accepted_at: now,
+                roomId: tournament.room_id,
+                onRecorded: ({ winner, winnerScore = null, loserScore = null }) => {
+                    const aWon = winner.toLowerCase() === match.player_a.toLowerCase();
+                    return this.db.run(
+                        'UPDATE piss_tournament_matches SET winner = ?, score_a = ?, score_b = ?, recorded = 1 WHERE id = ?',
+                        [winner, aWon ? winnerScore : loserScore, aWon ? loserScore : winnerScore, match.id]
+                    );
+                }
+            });
+            outcome = await result;
+        }
+
+        // Nobody could go (or it fell over): the higher seed goes through
+        let winner = outcome?.winner;
+        if (!winner) {
+            winner = seedOf(match.player_a) <= seedOf(match.player_b) ? match.player_a : match.player_b;
+            this.announce(tournament.room_id, `🏆 no result, -${winner} goes through on seeding`);
+        }
+        const aWon = winner.toLowerCase() === match.player_a.toLowerCase();
+        const loser = aWon ? match.player_b : match.player_a;
+
+        // Scores only exist if both actually went
+        const scoreA = (aWon ? outcome?.winnerScore : outcome?.loserScore) ?? null;
+        const scoreB = (aWon ? outcome?.loserScore : outcome?.winnerScore) ?? null;
+
+        await this.db.transaction(async () => {
+            await this.db.run(`
+                UPDATE piss_tournament_matches
+                SET winner = ?, score_a = ?, score_b = ?, status = 'done', played_at = ?
+                WHERE id = ?
+            `, [winner, scoreA, scoreB, Date.now(), match.id]);
+            await this.db.run(
+                'UPDATE piss_tournament_entries SET eliminated_round = ? WHERE tournament_id = ? AND username = ?',
+                [tournament.round, tournament.id, loser]
+            );
+        });
+    }
+
+    /**
+     * Every match in the round's done: set up the next round, or pay out
+     */
+    async advance(tournament, matches) {
+        // No bracket to go on from (it never got drawn): call it off rather than count up empty rounds
+        if (matches.length === 0) {
+            this.logger.error(`Tournament #${tournament.id} has no matches in round ${tournament.round}, cancelling it`);
+            if (await this.close(tournament, 'cancelled')) {
+                this.announce(tournament.room_id, `🏆 tournament #${tournament.id}'s bracket got lost, it's off. money's been handed back`);
+            }
+            return;
+        }
+
+        const winners = matches.map(match => match.winner);
+        if (winners.length === 1) {
+            await this.finish(tournament, matches[0]);
+            return;
+        }
+
+        await this.db.transaction(async () => {
+            for (let slot = 0; slot < winners.length / 2; slot++) {
+                await this.addMatch(tournament.id, tournament.round + 1, slot, winners[slot * 2], winners[slot * 2 + 1]);
+            }
+            await this.db.run('UPDATE piss_tournaments SET round = round + 1 WHERE id = ?', [tournament.id]);
+        });
+
+        this.announce(tournament.room_id, `🏆 ${await this.describeBracket(await this.getTournament(tournament.id))}`);
+    }
+
+    /**
+     * Split the pot: winner, runner-up, and the two beaten semi-finalists
+     * share the third cut. Whatever rounding leaves goes to the winner
+     */
+    async finish(tournament, final) {
+        const config = this.getConfig(tournament.room_id);
+        const champion = final.winner;
+        const runnerUp = final.winner.toLowerCase() === final.player_a.toLowerCase() ? final.player_b : final.player_a;
+        const semis = (await this.getMatches(tournament.id, tournament.round - 1))
+            .filter(match => match.status === 'done')
+            .map(match => match.winner.toLowerCase() === match.player_a.toLowerCase() ? match.player_b : match.player_a);
+
+        const [first, second, third] = config.payout.map(percent => Math.floor(tournament.pot * percent / 100));
+        const prizes = [
+            { username: runnerUp, placing: 2, amount: second },
+            ...semis.map(username => ({ username, placing: 3, amount: Math.floor(third / semis.length) }))
+        ];
+        const paidOut = prizes.reduce((sum, prize) => sum + prize.amount, 0);
+        prizes.unshift({ username: champion, placing: 1, amount: Math.max(first, tournament.pot - paidOut) });
+
+        const finished = await this.db.transaction(async () => {
+            const result = await this.db.run(
+                "UPDATE piss_tournaments SET status = 'finished', champion = ?, finished_at = ? WHERE id = ? AND status = 'running'",
+                [champion, Date.now(), tournament.id]
+            );
+            if (result.changes === 0) return false;
+
+            for (const prize of prizes) {
+                await this.db.run(
+                    'UPDATE piss_tournament_entries SET placing = ?, prize = ? WHERE tournament_id = ? AND username = ?',
+                    [prize.placing, prize.amount, tournament.id, prize.username]
+                );
+                if (prize.amount > 0) {
+                    await this.bot.heistManager.updateUserEconomy(prize.username, prize.amount, 0, {
+                        type: 'piss_tournament',
+                        description: `Tournament #${tournament.id}, placed ${prize.placing}`,
+                        roomId: tournament.room_id,
+                        counterparty: ESCROW
+                    });
+                }
+            }
+            return true;
+        });
+        if (!finished) return;
+
+        this.logger.info(`Tournament #${tournament.id} won by ${champion}`);
+        const paid = prizes.filter(prize => prize.amount > 0).map(prize => `${prize.username} $${prize.amount}`);
+        this.announce(tournament.room_id, `🏆👑 -${champion} WINS TOURNAMENT #${tournament.id}! beat -${runnerUp} in the final${paid.length > 0 ? ` | paid out: ${paid.join(', ')}` : ''}`);
+    }
+
+    /**
+     * Start anything whose signups have closed, and pick back up tournaments
+     * that were underway before a restart once their room's connected
+     */
+    async sweep() {
+        const now = Date.now();
+        const due = await this.db.all(
+            "SELECT * FROM piss_tournaments WHERE (status = 'signup' AND signup_ends_at <= ?) OR status = 'running'",
+            [now]
+        );
+
+        for (const tournament of due) {
+            if (this.bot.rooms && !this.bot.rooms.get(tournament.room_id)?.connected) continue;
+
+            if (tournament.status === 'signup') {
+                await this.begin(tournament);
+            } else {
+                this.drive(tournament.id);
+            }
+        }
+    }
+
+    /**
+     * One line for chat: signups, or the current round with results so far
+     */
+    async describeBracket(tournament) {
+        const entries = await this.getEntries(tournament.id);
+        if (tournament.status === 'signup') {
+            const closes = formatLeadTime(tournament.signup_ends_at - Date.now());
+            return `tournament #${tournament.id}: $${tournament.entry_fee} entry, $${tournament.pot} pot, ` +
+                `${entries.length}/${tournament.max_players} in${entries.length > 0 ? ` (${entries.map(entry => entry.username).join(', ')})` : ''}. ` +
+                `signups close in ${closes}, !tourney join`;
+        }
+
+        if (tournament.status === 'finished') {
+            return `tournament #${tournament.id} won by ${tournament.champion}, $${tournament.pot} pot`;
+        }
+
+        const matches = await this.getMatches(tournament.id, tournament.round);
+        const size = matches.length * 2 ** tournament.round;
+        const seeds = new Map(entries.map(entry => [entry.username.toLowerCase(), entry.seed]));
+        const name = (username) => `${username}(${seeds.get(username.toLowerCase())})`;
+        const games = matches.map(match => {
+            if (match.status === 'bye') return `${name(match.player_a)} bye`;
+            const played = match.status === 'done' ? ` ✅${match.winner}` : match.status === 'running' ? ' 💦' : '';
+            return `${name(match.player_a)} v ${name(match.player_b)}${played}`;
+        });
+
+        return `tournament #${tournament.id}, ${roundName(size, tournament.round)} ($${tournament.pot} pot): ${games.join(' | ')}`;
+    }
+
+    /**
+     * The whole bracket for the API
+     */
+    async toJSON(tournament) {
+        const entries = await this.getEntries(tournament.id);
+        const matches = await this.getMatches(tournament.id);
+        const firstRound = matches.filter(match => match.round === 1).length;
+
+        return {
+            id: tournament.id,
+            room: tournament.room_id,
+            organiser: tournament.organiser,
+            status: tournament.status,
+            entryFee: tournament.entry_fee,
+            pot: tournament.pot,
+            maxPlayers: tournament.max_players,
+            round: tournament.round,
+            roundName: firstRound > 0 ? roundName(firstRound * 2, tournament.round) : null,
+            champion: tournament.champion,
+            signupEndsAt: new Date(tournament.signup_ends_at).toISOString(),
+            startedAt: tournament.started_at ? new Date(tournament.started_at).toISOString() : null,
+            finishedAt: tournament.finished_at ? new Date(tournament.finished_at).toISOString() : null,
+            players: entries.map(entry => ({
+                username: entry.username,
+                seed: entry.seed,
+                eliminatedRound: entry.eliminated_round,
+                placing: entry.placing,
+                prize: entry.prize
+            })),
+            rounds: Array.from(new Set(matches.map(match => match.round))).map(round => ({
+                round,
+                name: roundName(firstRound * 2, round),
+                matches: matches.filter(match => match.round === round).map(match => ({
+                    slot: match.slot,
+                    playerA: match.player_a,
+                    playerB: match.player_b,
+                    winner: match.winner,
+                    scoreA: match.score_a,
+                    scoreB: match.score_b,
+                    status: match.status,
+                    playedAt: match.played_at ? new Date(match.played_at).toISOString() : null
+                }))
+            }))
+        };
+    }
+}
@@ -0,0 +1,220 @@
+import Database from '../../services/database.js';
+import { up as addPissingContest } from '../../migrations/2025-06-29-add-pissing-contest-tables.js';
+import { up as addTournaments } from '../../migrations/2025-07-17-add-piss-tournaments.js';
+import { up as addMatchRecorded } from '../../migrations/2025-07-26-add-tournament-match-recorded.js';
+import { TournamentManager, bracketOrder, roundName } from './tournaments.js';
+
+// An in-memory database with just the contest and tournament tables
+const db = new Database(':memory:', 'dazza', { logToConsole: false });
+db.createTables = async () => {};
+db.runMigrations = async () => {};
+await db.init();
+await addPissingContest(db);
+await addTournaments(db);
+await addMatchRecorded(db);
+
+const payments = [];
+const bot = {
+    sendMessage: () => {},
+    heistManager: { updateUserEconomy: async (username, amount, trust, entry) => payments.push([username, amount, entry.type]) }
+};
+const tournaments = new TournamentManager(db, bot);
+tournaments.logger = { info: () => {}, error: () => {} };
+tournaments.drive = () => {}; // Matches are settled by hand below
+
+const createTournament = async (id, roomId, fee, pot, players) => {
+    await db.run(`
+        INSERT INTO piss_tournaments (id, room_id, organiser, entry_fee, pot, max_players, signup_ends_at, created_at)
+        VALUES (?, ?, 'organiser', ?, ?, 8, 0, 0)
+    `, [id, roomId, fee, pot]);
+    for (const [index, username] of players.entries()) {
+        await db.run('INSERT INTO piss_tournament_entries (tournament_id, username, joined_at) VALUES (?, ?, ?)', [id, username, index]);
+    }
+};
+
+const setStats = (username, wins, total) => db.run(
+    'INSERT INTO pissing_contest_stats (username, wins, losses, total_matches) VALUES (?, ?, ?, ?)',
+    [username, wins, total - wins, total]
+);
+
+const settle = (id, round, slot, winner) => db.run(
+    "UPDATE piss_tournament_matches SET winner = ?, status = 'done' WHERE tournament_id = ? AND round = ? AND slot = ?",
+    [winner, id, round, slot]
+);
+
+const advance = async (id) => {
+    const tournament = await tournaments.getTournament(id);
+    await tournaments.advance(tournament, await tournaments.getMatches(id, tournament.round));
+};
+
+const describeRound = async (id, round) => (await tournaments.getMatches(id, round))
+    .map(match => `${match.player_a} v ${match.player_b || '-'} ${match.status}`);
+
+// Five players, seeded: bob (10 wins, best rate), alice (10 wins), carl (3 wins), then dave and erin by signup
+await setStats('alice', 10, 20);
+await setStats('bob', 10, 12);
+await setStats('carl', 3, 3);
+await createTournament(1, 'fatpizza', 100, 1001, ['alice', 'bob', 'carl', 'dave', 'erin']);
+
+// Test cases
+const testCases = [
+    // Bracket layout
+    { run: () => bracketOrder(2), expected: [1, 2], description: 'Two seeds' },
+    { run: () => bracketOrder(4), expected: [1, 4, 2, 3], description: 'Four seeds, top two on opposite sides' },
+    { run: () => bracketOrder(8), expected: [1, 8, 4, 5, 2, 7, 3, 6], description: 'Eight seeds' },
+    { run: () => [1, 2, 3].map(round => roundName(8, round)), expected: ['the quarters', 'the semis', 'the final'], description: 'Round names for eight' },
+    { run: () => roundName(32, 1), expected: 'round 1', description: 'Early rounds are numbered' },
+
+    // Seeding
+    {
+        run: async () => {
+            await tournaments.begin(await tournaments.getTournament(1));
+            return (await tournaments.getEntries(1)).map(entry => `${entry.seed} ${entry.username}`);
+        },
+        expected: ['1 bob', '2 alice', '3 carl', '4 dave', '5 erin'],
+        description: 'Seeded by wins, then win rate, then signup order'
+    },
+    {
+        run: async () => {
+            const tournament = await tournaments.getTournament(1);
+            return [tournament.status, tournament.round];
+        },
+        expected: ['running', 1],
+        description: 'Beginning starts round 1'
+    },
+    {
+        run: () => describeRound(1, 1),
+        expected: ['bob v - bye', 'dave v erin pending', 'alice v - bye', 'carl v - bye'],
+        description: 'Top seeds get the byes'
+    },
+    {
+        run: async () => {
+            await settle(1, 1, 1, 'erin');
+            await advance(1);
+            return describeRound(1, 2);
+        },
+        expected: ['bob v erin pending', 'alice v carl pending'],
+        description: 'Winners and byes go through to the semis'
+    },
+
+    // Payouts
+    {
+        run: async () => {
+            await settle(1, 2, 0, 'bob');
+            await settle(1, 2, 1, 'carl');
+            await advance(1);
+            await settle(1, 3, 0, 'carl');
+            await advance(1);
+            const tournament = await tournaments.getTournament(1);
+            return [tournament.status, tournament.champion];
+        },
+        expected: ['finished', 'carl'],
+        description: 'Winning the final finishes it'
+    },
+    {
+        run: () => payments,
+        expected: [
+            ['carl', 601, 'piss_tournament'],
+            ['bob', 300, 'piss_tournament'],
+            ['erin', 50, 'piss_tournament'],
+            ['alice', 50, 'piss_tournament']
+        ],
+        description: '60/30/10 split, beaten semi-finalists share the 10, the winner takes the rounding'
+    },
+    {
+        run: async () => (await db.all('SELECT username, placing, prize FROM piss_tournament_entries WHERE tournament_id = 1 AND placing IS NOT NULL ORDER BY placing, username'))
+            .map(entry => `${entry.placing} ${entry.username} ${entry.prize}`),
+        expected: ['1 carl 601', '2 bob 300', '3 alice 50', '3 erin 50'],
+        description: 'Placings and prizes are saved'
+    },
+    {
+        run: async () => {
+            payments.length = 0;
+            const tournament = await tournaments.getTournament(1);
+            await tournaments.finish(tournament, (await tournaments.getMatches(1, 3))[0]);
+            return payments.length;
+        },
+        expected: 0,
+        description: 'Finishing twice pays once'
+    },
+
+    // Regression: begin() used to leave a tournament running with no bracket if drawing it failed
+    {
+        run: async () => {
+            await createTournament(2, 'aussie', 10, 40, ['alice', 'bob', 'carl', 'dave']);
+            const addMatch = tournaments.addMatch;
+            tournaments.addMatch = async () => { throw new Error('disk full'); };
+            try {
+                await tournaments.begin(await tournaments.getTournament(2));
+                return 'began';
+            } catch (error) {
+                return error.message;
+            } finally {
+                tournaments.addMatch = addMatch;
+            }
+        },
+        expected: 'disk full',
+        description: 'A failed draw throws'
+    },
+    {
+        run: async () => {
+            const tournament = await tournaments.getTournament(2);
+            const matches = await tournaments.getMatches(2);
+            const seeded = await db.get('SELECT COUNT(*) as count FROM piss_tournament_entries WHERE tournament_id = 2 AND seed IS NOT NULL');
+            return [tournament.status, tournament.round, matches.length, seeded.count];
+        },
+        expected: ['signup', 0, 0, 0],
+        description: 'A failed draw leaves it in signups, unseeded and without matches'
+    },
+
+    // Regression: advance() used to count up rounds forever on a tournament with no matches
+    {
+        run: async () => {
+            payments.length = 0;
+            await db.run("UPDATE piss_tournaments SET status = 'running', round = 1 WHERE id = 2");
+            await tournaments.advance(await tournaments.getTournament(2), []);
+            const tournament = await tournaments.getTournament(2);
+            return [tournament.status, tournament.round, payments];
+        },
+        expected: ['cancelled', 1, [
+            ['alice', 10, 'piss_tournament_refund'],
+            ['bob', 10, 'piss_tournament_refund'],
+            ['carl', 10, 'piss_tournament_refund'],
+            ['dave', 10, 'piss_tournament_refund']
+        ]],
+        description: 'A round with no matches cancels it and refunds the entries'
+    },
+    {
+        run: async () => {
+            payments.length = 0;
+            await tournaments.advance(await tournaments.getTournament(2), []);
+            return payments.length;
+        },
+        expected: 0,
+        description: 'Cancelling again refunds nothing'
+    }
+];
+
+console.log('Pissing Tournament Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = await test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
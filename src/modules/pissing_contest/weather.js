@@ -95,7 +95,7 @@ export const WEATHER = {
 };
 
 // Get random weather
-export function getRandomWeather() {
+export function getRandomWeather(rng = Math.random) {
     const weather = {
         wind: null,
         temperature: null,
@@ -103,21 +103,21 @@ export function getRandomWeather() {
     };
     
     // Always have wind
-    weather.wind = WEATHER.wind[Math.floor(Math.random() * WEATHER.wind.length)];
+    weather.wind = WEATHER.wind[Math.floor(rng() * WEATHER.wind.length)];
     
     // Always have temperature
-    weather.temperature = WEATHER.temperature[Math.floor(Math.random() * WEATHER.temperature.length)];
+    weather.temperature = WEATHER.temperature[Math.floor(rng() * WEATHER.temperature.length)];
     
     // 10% chance of special weather
-    if (Math.random() < 0.1) {
-        weather.special = WEATHER.special[Math.floor(Math.random() * WEATHER.special.length)];
+    if (rng() < 0.1) {
+        weather.special = WEATHER.special[Math.floor(rng() * WEATHER.special.length)];
     }
     
     return weather;
 }
 
 // Apply weather effects
-export function applyWeatherEffects(stats, weather, isWindSailor = false) {
+export function applyWeatherEffects(stats, weather, isWindSailor = false, rng = Math.random) {
     const newStats = { ...stats };
     
     // Apply wind effects
@@ -126,15 +126,15 @@ export function applyWeatherEffects(stats, weather, isWindSailor = false) {
         
         if (weather.wind.effects.distance_variance) {
             const variance = weather.wind.effects.distance_variance * windMultiplier;
-            const adjustment = (Math.random() - 0.5) * 2 * variance;
+            const adjustment = (rng() - 0.5) * 2 * variance;
             newStats.distance *= (1 + adjustment / 100);
         }
         
-        if (weather.wind.effects.distance_tailwind && Math.random() < 0.5) {
+        if (weather.wind.effects.distance_tailwind && rng() < 0.5) {
             newStats.distance *= (1 + (weather.wind.effects.distance_tailwind * windMultiplier) / 100);
         }
         
-        if (weather.wind.effects.distance_headwind && Math.random() < 0.5) {
+        if (weather.wind.effects.distance_headwind && rng() < 0.5) {
             newStats.distance *= (1 + (weather.wind.effects.distance_headwind * windMultiplier) / 100);
         }
         
@@ -195,17 +195,17 @@ export function formatWeather(weather) {
 }
 
 // Check for weather-based events
-export function checkWeatherEvents(weather, stats) {
+export function checkWeatherEvents(weather, stats, rng = Math.random) {
     const events = [];
     
-    if (weather.wind && weather.wind.effects.might_hit_opponent && Math.random() < 0.3) {
+    if (weather.wind && weather.wind.effects.might_hit_opponent && rng() < 0.3) {
         events.push({
             type: 'hit_opponent',
             message: "wind blew piss onto opponent!"
         });
     }
     
-    if (weather.temperature && weather.temperature.effects.turtle_mode && Math.random() < 0.3) {
+    if (weather.temperature && weather.temperature.effects.turtle_mode && rng() < 0.3) {
         events.push({
             type: 'turtle_mode',
             message: "full turtle mode activated"
@@ -213,7 +213,7 @@ export function checkWeatherEvents(weather, stats) {
     }
     
     if (weather.temperature && weather.temperature.effects.pass_out_chance && 
-        Math.random() < weather.temperature.effects.pass_out_chance) {
+        rng() < weather.temperature.effects.pass_out_chance) {
         events.push({
             type: 'pass_out',
             message: "passed out from heat!"
@@ -221,7 +221,7 @@ export function checkWeatherEvents(weather, stats) {
     }
     
     if (weather.special && weather.special.effects.instant_forfeit_chance && 
-        Math.random() < weather.special.effects.instant_forfeit_chance) {
+        rng() < weather.special.effects.instant_forfeit_chance) {
         events.push({
             type: 'instant_forfeit',
             message: "got hit by hail! Forfeit!"
@@ -229,7 +229,7 @@ export function checkWeatherEvents(weather, stats) {
     }
     
     if (weather.special && weather.special.effects.malfunction_chance && 
-        Math.random() < weather.special.effects.malfunction_chance / 100) {
+        rng() < weather.special.effects.malfunction_chance / 100) {
         events.push({
             type: 'malfunction',
             message: "lightning struck zipper!"
@@ -240,8 +240,8 @@ export function checkWeatherEvents(weather, stats) {
         // Willy willy causes random changes
         events.push({
             type: 'random_change',
-            stat: ['distance', 'volume', 'aim', 'duration'][Math.floor(Math.random() * 4)],
-            change: Math.random() < 0.5 ? -30 : 30
+            stat: ['distance', 'volume', 'aim', 'duration'][Math.floor(rng() * 4)],
+            change: rng() < 0.5 ? -30 : 30
         });
     }
     
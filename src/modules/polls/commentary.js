@@ -0,0 +1,49 @@
+// Dazza's two cents on poll results
+// Placeholders: {title} {winner} {votes} {share} {runnerUp} {options}
+
+export const opened = [
+    "📊 POLL: {title} - {options}. get votin'",
+    "📊 right, settle this: {title} - {options}",
+    "📊 democracy time ya degenerates: {title} - {options}"
+];
+
+export const landslide = [
+    "{winner} in a landslide, {share}% of ya. not even close",
+    "{winner} walks it in with {share}%. the people have spoken and they're mostly right for once",
+    "{winner} by a mile ({share}%). whoever voted for anything else, have a word with yaself"
+];
+
+export const comfortable = [
+    "{winner} gets up with {votes} votes. {runnerUp} gave it a nudge",
+    "{winner} takes it, {votes} votes. fair enough",
+    "it's {winner}. {votes} votes, {runnerUp} can get stuffed"
+];
+
+export const close = [
+    "{winner} by a whisker over {runnerUp}! reckon there'll be a recount",
+    "{winner} JUST gets there, {runnerUp} robbed. call the AEC",
+    "closer than me and the missus' last argument, {winner} pips {runnerUp}"
+];
+
+export const tie = [
+    "dead heat between {options}. ya can't even agree on that",
+    "it's a tie ({options}). useless, the lot of ya",
+    "tied up, {options}. I'll flip a coin later, or not"
+];
+
+export const noVotes = [
+    "nobody voted on '{title}'. cheers for nothin'",
+    "zero votes. I'll ask the pokies instead",
+    "not one vote. democracy's dead in here"
+];
+
+export function fillLine(template, values) {
+    return Object.entries(values).reduce(
+        (line, [key, value]) => line.replaceAll(`{${key}}`, value),
+        template
+    );
+}
+
+export function pickLine(lines, values = {}) {
+    return fillLine(lines[Math.floor(Math.random() * lines.length)], values);
+}
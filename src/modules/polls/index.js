@@ -0,0 +1,659 @@
+import EventEmitter from 'events';
+import { createLogger } from '../../utils/logger.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { ESCROW, InsufficientFundsError } from '../economy/index.js';
+import * as commentary from './commentary.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    userPolls: true, // false: only mods can !poll
+    defaultTime: 5 * MINUTE,
+    minTime: 30 * SECOND,
+    maxTime: 2 * HOUR,
+    maxOptions: 10,
+    maxTitle: 200,
+    obscured: false, // Hide the tally until it closes (money polls always do)
+    money: {
+        enabled: true,
+        minStake: 10,
+        maxStake: 1000, // Per user per poll
+        houseCut: 0.1
+    }
+};
+
+export const POLL_MODES = ['normal', 'money'];
+export const POLL_STATUSES = ['open', 'closed', 'cancelled'];
+
+const MIN_POLL_RANK = 1.5; // CyTube's default rank for opening and closing polls
+const LANDSLIDE_SHARE = 0.66;
+const SWEEP_INTERVAL = 5000;
+const JOIN_GRACE = 5000; // CyTube sends the running poll with the rest of the channel state on join
+
+const ERRORS = {
+    disabled: () => 'no polls in here',
+    mods_only: () => 'only mods can start a poll in here',
+    no_rank: () => 'I need to be a mod in here to run polls',
+    already_open: (result) => `there's already a poll goin' (#${result.id}), wait ya turn`,
+    bad_title: (result) => `give it a question, ${result.max} characters max`,
+    bad_options: (result) => `polls need 2 to ${result.max} options`,
+    bad_time: (result) => `polls run ${formatDuration(result.min)} to ${formatDuration(result.max)}`,
+    no_money: () => 'money polls are switched off in here',
+    not_connected: () => 'can\'t reach the room right now',
+    no_poll: () => 'no poll goin\' right now',
+    not_money: () => 'this one\'s just for votes, no money on it',
+    bad_option: (result) => `pick an option from 1 to ${result.max}`,
+    bad_stake: (result) => `stakes are $${result.min} to $${result.max} a poll${result.staked ? `, ya already got $${result.staked} on` : ''}`,
+    switched: (result) => `ya already backed option ${result.option}, no jumpin' ship`,
+    not_creator: () => 'only whoever started it (or a mod) can do that',
+    broke: (result) => `ya can't cover $${result.amount}`
+};
+
+/**
+ * Turn a poll error result into something to say
+ */
+export function describeError(result) {
+    return (ERRORS[result.error] || (() => 'the ballot box got knocked over, try again'))(result);
+}
+
+/**
+ * Work out the winning option from a tally
+ * @returns {{winner: number|null, total: number, tied: number[]}} winner is an
+ * index into the options, null when nobody voted or the top spot is shared
+ */
+export function tallyResult(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+        return { winner: null, total, tied: [] };
+    }
+
+    const top = Math.max(...counts);
+    const leaders = counts.flatMap((count, index) => (count === top ? [index] : []));
+    return leaders.length === 1
+        ? { winner: leaders[0], total, tied: [] }
+        : { winner: null, total, tied: leaders };
+}
+
+// CyTube sends counts as numbers, or strings like '3?' in an obscured poll
+function parseCounts(counts, length) {
+    return Array.from({ length }, (_, index) => parseInt(counts?.[index]) || 0);
+}
+
+function sameOptions(a, b) {
+    return a.length === b.length && a.every((option, index) => option === b[index]);
+}
+
+/**
+ * CyTube polls for !poll
+ * The bot opens a poll in the channel (it needs rank for that), closes it
+ * when time's up and calls the result. Every poll the bot sees goes in the
+ * polls table, including ones people open in the channel themselves, with
+ * the tally CyTube keeps sending. Polls close off closes_at in the database,
+ * so a restart doesn't leave one running forever. Polls opened in the channel
+ * have no closes_at: they close when CyTube says so, when a join shows the
+ * channel doesn't have them any more, or after the room's maxTime.
+ *
+ * Money polls: people put cash on an option with !poll back and it sits in
+ * @escrow. CyTube votes are anonymous, so the room's vote decides the winner
+ * and the backers of that option split the pot (less Dazza's cut) by how
+ * much they put in. A tie, no votes or nobody backing the winner and
+ * everyone gets their money back. Money polls are obscured so the tally
+ * can't be watched while people back it.
+ *
+ * Room config (rooms/<room>.js): settings.polls = { enabled, userPolls,
+ * defaultTime, minTime, maxTime, maxOptions, maxTitle, obscured,
+ * money: { enabled, minStake, maxStake, houseCut } }
+ */
+export class PollManager extends EventEmitter {
+    constructor(db, bot) {
+        super();
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('PollManager');
+
+        this.roomConfigs = new Map();
+        this.joinTimers = new Map(); // roomId -> timeout waiting to see what poll CyTube has
+        this.pollsSeen = new Map(); // roomId -> when CyTube last sent a newPoll
+        this.sweepInterval = null;
+    }
+
+    async init() {
+        const { count } = await this.db.get("SELECT COUNT(*) as count FROM polls WHERE status = 'open'");
+        this.logger.info(`PollManager initialized with ${count} open poll(s)`);
+
+        this.sweepInterval = setInterval(() => {
+            this.sweep().catch(error => {
+                this.logger.error('Poll sweep failed:', { error: error.message, stack: error.stack });
+            });
+        }, SWEEP_INTERVAL);
+    }
+
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+        for (const timeout of this.joinTimers.values()) {
+            clearTimeout(timeout);
+        }
+        this.joinTimers.clear();
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        this.roomConfigs.set(roomId, roomConfig.settings?.polls || {});
+    }
+
+    getConfig(roomId) {
+        const roomConfig = this.roomConfigs.get(roomId) || {};
+        return {
+            ...DEFAULT_CONFIG,
+            ...roomConfig,
+            money: { ...DEFAULT_CONFIG.money, ...roomConfig.money }
+        };
+    }
+
+    canRunPolls(roomId) {
+        const room = this.bot.getRoom(roomId);
+        return (room?.getUser(this.bot.username)?.rank ?? 0) >= MIN_POLL_RANK;
+    }
+
+    async getPoll(id) {
+        const poll = await this.db.get('SELECT * FROM polls WHERE id = ?', [id]);
+        return poll ? this.parse(poll) : null;
+    }
+
+    /**
+     * The room's running poll. A channel poll older than maxTime is left out:
+     * it closed somewhere we didn't see and the sweep will close it here too
+     */
+    async getOpenPoll(roomId) {
+        const { maxTime } = this.getConfig(roomId);
+        const poll = await this.db.get(`
+            SELECT * FROM polls
+            WHERE room_id = ? AND status = 'open' AND NOT (source = 'room' AND opened_at < ?)
+            ORDER BY id DESC LIMIT 1
+        `, [roomId, Date.now() - maxTime]);
+        return poll ? this.parse(poll) : null;
+    }
+
+    parse(poll) {
+        const options = JSON.parse(poll.options);
+        return {
+            ...poll,
+            options,
+            counts: poll.counts ? JSON.parse(poll.counts) : options.map(() => 0)
+        };
+    }
+
+    /**
+     * Newest polls first, optionally just one room's, status or mode
+     */
+    async list(roomId = null, limit = 10, status = null, mode = null) {
+        const where = [];
+        const params = [];
+        if (roomId) {
+            where.push('room_id = ?');
+            params.push(roomId);
+        }
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+        if (mode) {
+            where.push('mode = ?');
+            params.push(mode);
+        }
+
+        const polls = await this.db.all(
+            `SELECT * FROM polls ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+            [...params, limit]
+        );
+        return polls.map(poll => this.parse(poll));
+    }
+
+    /**
+     * Money on a poll, totalled per user and option
+     */
+    async getStakes(pollId) {
+        return this.db.all(`
+            SELECT username, option, SUM(amount) as amount, SUM(payout) as payout
+            FROM poll_stakes WHERE poll_id = ?
+            GROUP BY username, option
+            ORDER BY amount DESC
+        `, [pollId]);
+    }
+
+    /**
+     * Open a poll in the room
+     * @param {Object} poll - { title, options, duration, mode }
+     * @param {boolean} isMod - mods can open one where users can't
+     * @returns {Promise<{success: boolean, poll?: Object, error?: string}>}
+     */
+    async openPoll(roomId, createdBy, { title, options, duration = null, mode = 'normal' }, isMod = false) {
+        const config = this.getConfig(roomId);
+        if (!config.enabled) {
+            return { success: false, error: 'disabled' };
+        }
+        if (!config.userPolls && !isMod) {
+            return { success: false, error: 'mods_only' };
+        }
+        if (mode === 'money' && !config.money.enabled) {
+            return { success: false, error: 'no_money' };
+        }
+        if (!title || title.length > config.maxTitle) {
+            return { success: false, error: 'bad_title', max: config.maxTitle };
+        }
+        if (options.length < 2 || options.length > config.maxOptions) {
+            return { success: false, error: 'bad_options', max: config.maxOptions };
+        }
+
+        const length = duration ?? config.defaultTime;
+        if (length < config.minTime || length > config.maxTime) {
+            return { success: false, error: 'bad_time', min: config.minTime, max: config.maxTime };
+        }
+        if (!this.canRunPolls(roomId)) {
+            return { success: false, error: 'no_rank' };
+        }
+
+        const current = await this.getOpenPoll(roomId);
+        if (current) {
+            return { success: false, error: 'already_open', id: current.id };
+        }
+
+        const now = Date.now();
+        const result = await this.db.run(`
+            INSERT INTO polls (room_id, title, options, mode, source, created_by, opened_at, closes_at)
+            VALUES (?, ?, ?, ?, 'bot', ?, ?, ?)
+        `, [roomId, title, JSON.stringify(options), mode, createdBy, now, now + length]);
+
+        const obscured = mode === 'money' || config.obscured;
+        if (!this.bot.openPoll(roomId, { title, options, obscured })) {
+            await this.db.run("UPDATE polls SET status = 'cancelled', closed_at = ? WHERE id = ?", [now, result.lastID]);
+            return { success: false, error: 'not_connected' };
+        }
+
+        const poll = await this.getPoll(result.lastID);
+        this.logger.info(`[${roomId}] ${createdBy} opened ${mode} poll #${poll.id}: ${title}`);
+        this.emit('poll:opened', { poll });
+        return { success: true, poll };
+    }
+
+    /**
+     * Put money on an option of the room's money poll
+     * @param {number} option - 1-based, as shown in chat
+     */
+    async back(roomId, username, option, amount) {
+        const poll = await this.getOpenPoll(roomId);
+        if (!poll) {
+            return { success: false, error: 'no_poll' };
+        }
+        if (poll.mode !== 'money') {
+            return { success: false, error: 'not_money' };
+        }
+        if (!Number.isInteger(option) || option < 1 || option > poll.options.length) {
+            return { success: false, error: 'bad_option', max: poll.options.length };
+        }
+
+        const { money } = this.getConfig(roomId);
+        const heistManager = this.bot.heistManager;
+        const normalized = await heistManager.getOrCreateUser(username).then(user => user.username || username);
+
+        try {
+            return await this.db.transaction(async () => {
+                const stakes = await this.db.all(
+                    'SELECT option, SUM(amount) as amount FROM poll_stakes WHERE poll_id = ? AND username = ? GROUP BY option',
+                    [poll.id, normalized]
+                );
+                const backed = stakes[0];
+                if (backed && backed.option !== option - 1) {
+                    return { success: false, error: 'switched', option: backed.option + 1 };
+                }
+
+                const staked = backed?.amount || 0;
+                if (!Number.isInteger(amount) || amount < money.minStake || staked + amount > money.maxStake) {
+                    return { success: false, error: 'bad_stake', min: money.minStake, max: money.maxStake, staked };
+                }
+
+                await heistManager.updateUserEconomy(normalized, -amount, 0, {
+                    type: 'poll_stake',
+                    description: `Poll #${poll.id}: ${poll.options[option - 1]}`,
+                    roomId,
+                    counterparty: ESCROW,
+                    requireFunds: true
+                });
+
+                await this.db.run(
+                    'INSERT INTO poll_stakes (poll_id, username, option, amount, created_at) VALUES (?, ?, ?, ?, ?)',
+                    [poll.id, normalized, option - 1, amount, Date.now()]
+                );
+                await this.db.run('UPDATE polls SET pot = pot + ? WHERE id = ?', [amount, poll.id]);
+
+                return { success: true, poll, option: poll.options[option - 1], total: staked + amount };
+            });
+        } catch (error) {
+            if (error instanceof InsufficientFundsError) {
+                return { success: false, error: 'broke', amount };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Close the room's poll now and call the result
+     * @param {boolean} isMod - mods can close anyone's poll
+     */
+    async closePoll(roomId, username, isMod = false) {
+        const poll = await this.getOpenPoll(roomId);
+        if (!poll) {
+            return { success: false, error: 'no_poll' };
+        }
+        if (!isMod && poll.created_by?.toLowerCase() !== username.toLowerCase()) {
+            return { success: false, error: 'not_creator' };
+        }
+
+        this.bot.closePoll(roomId);
+        return { success: true, ...await this.finishPoll(poll) };
+    }
+
+    /**
+     * Call the room's poll off without a result, money goes back
+     */
+    async cancelPoll(roomId, username, isMod = false) {
+        const poll = await this.getOpenPoll(roomId);
+        if (!poll) {
+            return { success: false, error: 'no_poll' };
+        }
+        if (!isMod && poll.created_by?.toLowerCase() !== username.toLowerCase()) {
+            return { success: false, error: 'not_creator' };
+        }
+
+        this.bot.closePoll(roomId);
+        const cancelled = await this.db.transaction(async () => {
+            // It may have been settled since it was looked up (the sweep, or CyTube closing it)
+            const result = await this.db.run(
+                "UPDATE polls SET status = 'cancelled', closed_at = ? WHERE id = ? AND status = 'open'",
+                [Date.now(), poll.id]
+            );
+            if (result.changes !== 1) return false;
+
+            await this.refundAll(poll, 'cancelled');
+            return true;
+        });
+        if (!cancelled) {
+            return { success: false, error: 'no_poll' };
+        }
+
+        this.logger.info(`[${roomId}] Poll #${poll.id} cancelled by ${username}`);
+        this.emit('poll:closed', { poll: await this.getPoll(poll.id) });
+        return { success: true, poll };
+    }
+
+    async refundAll(poll, reason) {
+        const stakes = await this.db.all(
+            'SELECT username, SUM(amount) as total FROM poll_stakes WHERE poll_id = ? GROUP BY username',
+            [poll.id]
+        );
+        if (stakes.length === 0) return;
+
+        await this.bot.heistManager.ledger.post({
+            type: 'poll_refund',
+            description: `Poll #${poll.id} ${reason}`,
+            roomId: poll.room_id,
+            entries: stakes.map(stake => ({ username: stake.username, amount: stake.total, counterparty: ESCROW }))
+        });
+        await this.db.run('UPDATE poll_stakes SET payout = amount WHERE poll_id = ?', [poll.id]);
+    }
+
+    /**
+     * Record the result, settle any money and announce it
+     */
+    async finishPoll(poll) {
+        const heistManager = this.bot.heistManager;
+        const { winner, total, tied } = tallyResult(poll.counts);
+
+        const settlement = await this.db.transaction(async () => {
+            // Someone else may have got here first (the sweep and a closePoll from CyTube)
+            const current = await this.db.get('SELECT status FROM polls WHERE id = ?', [poll.id]);
+            if (current.status !== 'open') return null;
+
+            const stakes = await this.db.all('SELECT * FROM poll_stakes WHERE poll_id = ?', [poll.id]);
+            const pot = stakes.reduce((sum, stake) => sum + stake.amount, 0);
+            const backing = stakes.filter(stake => stake.option === winner);
+            const backed = backing.reduce((sum, stake) => sum + stake.amount, 0);
+
+            const payouts = new Map(); // username -> amount
+            let cut = 0;
+            let refunded = false;
+
+            if (stakes.length > 0 && (winner === null || backed === 0)) {
+                await this.refundAll(poll, winner === null ? 'had no winner' : 'had nobody on the winner');
+                refunded = true;
+            } else if (stakes.length > 0) {
+                const { houseCut } = this.getConfig(poll.room_id).money;
+                const share = pot - Math.floor(pot * houseCut);
+                let paidOut = 0;
+
+                for (const stake of backing) {
+                    const payout = Math.floor(share * stake.amount / backed);
+                    await this.db.run('UPDATE poll_stakes SET payout = ? WHERE id = ?', [payout, stake.id]);
+                    payouts.set(stake.username, (payouts.get(stake.username) || 0) + payout);
+                    paidOut += payout;
+                }
+
+                // Dazza keeps the cut plus whatever rounding left behind
+                cut = pot - paidOut;
+                const entries = [...payouts].map(([username, amount]) => ({
+                    username,
+                    amount,
+                    type: 'poll_payout',
+                    counterparty: ESCROW,
+                    description: `Poll #${poll.id} payout`
+                }));
+                if (cut > 0) {
+                    const house = await heistManager.getOrCreateUser(this.bot.username);
+                    entries.push({ username: house.username || this.bot.username, amount: cut, type: 'poll_cut', counterparty: ESCROW, description: `Poll #${poll.id} house cut` });
+                }
+                await heistManager.ledger.post({ type: 'poll_payout', roomId: poll.room_id, entries });
+            }
+
+            await this.db.run(
+                "UPDATE polls SET status = 'closed', counts = ?, winner = ?, pot = ?, cut_taken = ?, closed_at = ? WHERE id = ?",
+                [JSON.stringify(poll.counts), winner, pot, cut, Date.now(), poll.id]
+            );
+
+            return { pot, cut, payouts, refunded };
+        });
+
+        if (!settlement) {
+            return { poll, winner, total, tied };
+        }
+
+        const closed = await this.getPoll(poll.id);
+        if (closed.source === 'bot') {
+            this.announceResult(closed, { winner, total, tied }, settlement);
+        }
+        this.emit('poll:closed', { poll: closed });
+        this.logger.info(`[${poll.room_id}] Poll #${poll.id} closed: ${winner === null ? 'no winner' : poll.options[winner]} (${total} votes)`);
+        return { poll: closed, winner, total, tied, ...settlement };
+    }
+
+    announceResult(poll, { winner, total, tied }, { pot, cut, payouts, refunded }) {
+        const { options, counts } = poll;
+        const tally = options.map((option, index) => `${option} ${counts[index]}`).join(', ');
+        this.bot.sendMessage(poll.room_id, `📊 RESULT: ${poll.title} - ${tally}`);
+
+        let line;
+        if (total === 0) {
+            line = commentary.pickLine(commentary.noVotes, { title: poll.title });
+        } else if (winner === null) {
+            line = commentary.pickLine(commentary.tie, { options: tied.map(index => options[index]).join(' and ') });
+        } else {
+            const share = counts[winner] / total;
+            const runnerUp = counts
+                .map((count, index) => ({ count, index }))
+                .filter(entry => entry.index !== winner)
+                .sort((a, b) => b.count - a.count)[0];
+            const values = {
+                winner: options[winner],
+                votes: counts[winner],
+                share: Math.round(share * 100),
+                runnerUp: options[runnerUp.index]
+            };
+
+            if (share >= LANDSLIDE_SHARE) line = commentary.pickLine(commentary.landslide, values);
+            else if (counts[winner] - runnerUp.count <= 1) line = commentary.pickLine(commentary.close, values);
+            else line = commentary.pickLine(commentary.comfortable, values);
+        }
+        this.bot.sendMessage(poll.room_id, line);
+
+        if (poll.mode !== 'money' || pot === 0) return;
+
+        if (refunded) {
+            this.bot.sendMessage(poll.room_id, `💸 nobody wins the $${pot} pot, everyone gets their money back`);
+            return;
+        }
+        const winners = [...payouts].sort((a, b) => b[1] - a[1]);
+        const list = winners.slice(0, 6).map(([username, amount]) => `-${username} $${amount}`).join(', ');
+        const more = winners.length > 6 ? ` +${winners.length - 6} more` : '';
+        this.bot.sendMessage(poll.room_id, `💰 $${pot} pot: ${list}${more} | dazza's cut $${cut}`);
+    }
+
+    /**
+     * CyTube opened a poll: ours coming back, one we already had (sent again
+     * on join), or someone opening one in the channel
+     */
+    async handleNewPoll(roomId, data) {
+        this.pollsSeen.set(roomId, Date.now());
+        const options = data.options || [];
+        const counts = parseCounts(data.counts, options.length);
+        const current = await this.getOpenPoll(roomId);
+
+        // CyTube escapes what it's sent, so ours is known by who opened it as well
+        const fromBot = current?.source === 'bot' && data.initiator?.toLowerCase() === this.bot.username?.toLowerCase();
+        if (current && (fromBot || (current.title === data.title && sameOptions(current.options, options)))) {
+            await this.db.run('UPDATE polls SET counts = ? WHERE id = ?', [JSON.stringify(counts), current.id]);
+            return;
+        }
+
+        // Opening a poll replaces whatever was up
+        if (current) {
+            await this.finishPoll(current);
+        }
+
+        const result = await this.db.run(`
+            INSERT INTO polls (room_id, title, options, counts, source, created_by, opened_at)
+            VALUES (?, ?, ?, ?, 'room', ?, ?)
+        `, [roomId, data.title, JSON.stringify(options), JSON.stringify(counts), data.initiator || null, data.timestamp || Date.now()]);
+
+        const poll = await this.getPoll(result.lastID);
+        this.logger.info(`[${roomId}] ${poll.created_by || 'Someone'} opened poll #${poll.id} in the channel: ${poll.title}`);
+        this.emit('poll:opened', { poll });
+    }
+
+    async handleUpdatePoll(roomId, data) {
+        const poll = await this.getOpenPoll(roomId);
+        if (!poll) return;
+
+        const counts = parseCounts(data.counts, poll.options.length);
+        await this.db.run('UPDATE polls SET counts = ? WHERE id = ?', [JSON.stringify(counts), poll.id]);
+        this.emit('poll:updated', { poll: { ...poll, counts } });
+    }
+
+    async handleClosePoll(roomId) {
+        const poll = await this.getOpenPoll(roomId);
+        if (poll) {
+            await this.finishPoll(poll);
+        }
+    }
+
+    /**
+     * The bot's (re)joined a room. Once CyTube's had time to send the running
+     * poll, anything still open here that it didn't send has closed while we
+     * were away
+     * @param {number} joinedAt - when the join started, before CyTube sent anything
+     */
+    handleJoined(roomId, joinedAt) {
+        clearTimeout(this.joinTimers.get(roomId));
+        this.joinTimers.set(roomId, setTimeout(() => {
+            this.joinTimers.delete(roomId);
+            this.reconcile(roomId, joinedAt).catch(error => {
+                this.logger.error(`[${roomId}] Poll reconcile failed:`, { error: error.message, stack: error.stack });
+            });
+        }, JOIN_GRACE));
+    }
+
+    async reconcile(roomId, joinedAt) {
+        if ((this.pollsSeen.get(roomId) || 0) >= joinedAt) return;
+
+        const stale = await this.db.all("SELECT * FROM polls WHERE room_id = ? AND status = 'open'", [roomId]);
+        for (const row of stale) {
+            this.logger.info(`[${roomId}] Poll #${row.id} isn't up in the channel any more, closing it`);
+            await this.finishPoll(this.parse(row));
+        }
+    }
+
+    /**
+     * Close bot polls whose time is up, and channel polls past the room's
+     * maxTime. A room that's dropped out still gets its poll settled off the
+     * last tally, so nobody's money is stuck
+     */
+    async sweep() {
+        const now = Date.now();
+        const due = await this.db.all(
+            "SELECT * FROM polls WHERE status = 'open' AND closes_at IS NOT NULL AND closes_at <= ?",
+            [now]
+        );
+
+        for (const row of due) {
+            this.bot.closePoll(row.room_id);
+            await this.finishPoll(this.parse(row));
+        }
+
+        const channelPolls = await this.db.all("SELECT * FROM polls WHERE status = 'open' AND source = 'room'");
+        for (const row of channelPolls) {
+            if (row.opened_at < now - this.getConfig(row.room_id).maxTime) {
+                await this.finishPoll(this.parse(row));
+            }
+        }
+    }
+
+    /**
+     * API shape for a poll
+     */
+    async toJSON(poll) {
+        const stakes = poll.mode === 'money' ? await this.getStakes(poll.id) : [];
+        return {
+            id: poll.id,
+            room: poll.room_id,
+            title: poll.title,
+            mode: poll.mode,
+            source: poll.source,
+            createdBy: poll.created_by,
+            status: poll.status,
+            openedAt: poll.opened_at,
+            closesAt: poll.closes_at,
+            closedAt: poll.closed_at,
+            options: poll.options.map((option, index) => ({
+                option,
+                votes: poll.counts[index] ?? 0,
+                ...(poll.mode === 'money' && {
+                    staked: stakes.filter(stake => stake.option === index).reduce((sum, stake) => sum + stake.amount, 0)
+                })
+            })),
+            winner: poll.winner === null ? null : poll.options[poll.winner],
+            ...(poll.mode === 'money' && {
+                pot: poll.pot,
+                cut: poll.cut_taken,
+                stakes: stakes.map(stake => ({
+                    username: stake.username,
+                    option: poll.options[stake.option],
+                    amount: stake.amount,
+                    payout: stake.payout
+                }))
+            })
+        };
+    }
+}
@@ -0,0 +1,194 @@
+import Database from '../../services/database.js';
+import { up } from '../../migrations/2025-07-23-add-polls.js';
+import { PollManager, tallyResult } from './index.js';
+
+// An in-memory database with just the poll tables
+const db = new Database(':memory:', 'dazza', { logToConsole: false });
+db.createTables = async () => {};
+db.runMigrations = async () => {};
+await db.init();
+await up(db);
+
+// Money moves are recorded rather than posted
+const stakes = [];
+const posts = [];
+const bot = {
+    username: 'Dazza_Bot',
+    sendMessage: () => {},
+    closePoll: () => {},
+    heistManager: {
+        getOrCreateUser: async (username) => ({ username }),
+        updateUserEconomy: async (username, amount) => stakes.push([username, amount]),
+        ledger: { post: async ({ type, entries }) => posts.push({ type, entries: entries.map(entry => [entry.username, entry.amount]) }) }
+    }
+};
+const polls = new PollManager(db, bot);
+polls.logger = { info: () => {}, error: () => {} };
+
+const openMoneyPoll = async (roomId, options) => {
+    const now = Date.now();
+    const result = await db.run(`
+        INSERT INTO polls (room_id, title, options, mode, source, created_by, opened_at, closes_at)
+        VALUES (?, 'who wins', ?, 'money', 'bot', 'alice', ?, ?)
+    `, [roomId, JSON.stringify(options), now, now + 60000]);
+    return result.lastID;
+};
+
+// Settle a poll with CyTube's final tally
+const finish = async (id, counts) => polls.finishPoll({ ...await polls.getPoll(id), counts });
+
+// Test cases
+const testCases = [
+    // Tallies
+    { run: () => tallyResult([0, 0, 0]), expected: { winner: null, total: 0, tied: [] }, description: 'No votes, no winner' },
+    { run: () => tallyResult([3, 1, 0]), expected: { winner: 0, total: 4, tied: [] }, description: 'Clear winner' },
+    { run: () => tallyResult([1, 4, 4]), expected: { winner: null, total: 9, tied: [1, 2] }, description: 'Tie at the top' },
+    { run: () => tallyResult([0, 2, 1]), expected: { winner: 1, total: 3, tied: [] }, description: 'Tie below the top doesn\'t matter' },
+
+    // Backing
+    {
+        run: async () => {
+            const id = await openMoneyPoll('fatpizza', ['bob', 'carl']);
+            const results = [
+                await polls.back('fatpizza', 'alice', 1, 100),
+                await polls.back('fatpizza', 'bob', 1, 50),
+                await polls.back('fatpizza', 'carl', 2, 200),
+                await polls.back('fatpizza', 'alice', 2, 20),
+                await polls.back('fatpizza', 'dave', 1, 5)
+            ];
+            return [id, ...results.map(result => result.error || result.total)];
+        },
+        expected: [1, 100, 50, 200, 'switched', 'bad_stake'],
+        description: 'Backing an option, no switching, minimum stake'
+    },
+    { run: () => stakes, expected: [['alice', -100], ['bob', -50], ['carl', -200]], description: 'Stakes are taken' },
+
+    // Dividends
+    {
+        run: async () => {
+            const result = await finish(1, [3, 1]);
+            return [result.winner, result.pot, result.cut, [...result.payouts]];
+        },
+        expected: [0, 350, 35, [['alice', 210], ['bob', 105]]],
+        description: 'Winners split the pot less the cut by stake'
+    },
+    {
+        run: () => posts,
+        expected: [{ type: 'poll_payout', entries: [['alice', 210], ['bob', 105], ['Dazza_Bot', 35]] }],
+        description: 'The cut goes to the bot\'s own account'
+    },
+    {
+        run: async () => {
+            posts.length = 0;
+            const id = await openMoneyPoll('fatpizza', ['yes', 'no']);
+            await polls.back('fatpizza', 'alice', 1, 33);
+            await polls.back('fatpizza', 'bob', 1, 34);
+            await polls.back('fatpizza', 'carl', 2, 34);
+            const result = await finish(id, [2, 1]);
+            return [result.pot, result.cut, [...result.payouts]];
+        },
+        expected: [101, 11, [['alice', 44], ['bob', 46]]],
+        description: 'Rounding goes to the cut'
+    },
+    {
+        run: async () => {
+            posts.length = 0;
+            const id = await openMoneyPoll('fatpizza', ['yes', 'no']);
+            await polls.back('fatpizza', 'alice', 1, 40);
+            await polls.back('fatpizza', 'bob', 2, 60);
+            const result = await finish(id, [2, 2]);
+            return [result.refunded, result.cut, posts];
+        },
+        expected: [true, 0, [{ type: 'poll_refund', entries: [['alice', 40], ['bob', 60]] }]],
+        description: 'A tie hands everyone their money back'
+    },
+    {
+        run: async () => {
+            posts.length = 0;
+            const id = await openMoneyPoll('fatpizza', ['yes', 'no', 'maybe']);
+            await polls.back('fatpizza', 'alice', 1, 40);
+            const result = await finish(id, [0, 0, 3]);
+            return [result.refunded, posts];
+        },
+        expected: [true, [{ type: 'poll_refund', entries: [['alice', 40]] }]],
+        description: 'Nobody on the winner hands everyone their money back'
+    },
+    {
+        run: async () => {
+            posts.length = 0;
+            await finish(1, [3, 1]);
+            return posts.length;
+        },
+        expected: 0,
+        description: 'Finishing twice pays once'
+    },
+
+    // Cancelling
+    {
+        run: async () => {
+            const id = await openMoneyPoll('aussie', ['yes', 'no']);
+            await polls.back('aussie', 'bob', 2, 70);
+            posts.length = 0;
+            const result = await polls.cancelPoll('aussie', 'alice');
+            return [result.success, (await polls.getPoll(id)).status, posts];
+        },
+        expected: [true, 'cancelled', [{ type: 'poll_refund', entries: [['bob', 70]] }]],
+        description: 'Cancelling refunds the stakes'
+    },
+    {
+        run: async () => (await polls.cancelPoll('aussie', 'alice')).error,
+        expected: 'no_poll',
+        description: 'Nothing to cancel once it\'s cancelled'
+    },
+
+    // Regression: cancelling a poll that got settled after it was looked up used to refund on top of the payout
+    {
+        run: async () => {
+            const id = await openMoneyPoll('aussie', ['yes', 'no']);
+            await polls.back('aussie', 'bob', 1, 80);
+            const stale = await polls.getOpenPoll('aussie');
+            await finish(id, [1, 0]);
+
+            posts.length = 0;
+            const getOpenPoll = polls.getOpenPoll;
+            polls.getOpenPoll = async () => stale;
+            try {
+                const result = await polls.cancelPoll('aussie', 'alice');
+                return [result.error, (await polls.getPoll(id)).status, posts];
+            } finally {
+                polls.getOpenPoll = getOpenPoll;
+            }
+        },
+        expected: ['no_poll', 'closed', []],
+        description: 'Cancelling a poll that was settled meanwhile refunds nothing'
+    },
+    {
+        run: async () => (await polls.getStakes(6)).map(stake => [stake.username, stake.amount, stake.payout]),
+        expected: [['bob', 80, 72]],
+        description: 'The settled payout is left alone'
+    }
+];
+
+console.log('Poll Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = await test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,222 @@
+import { createLogger } from '../../utils/logger.js';
+
+// Commands that can never be switched off in a room (otherwise you'd lock yourself out)
+export const PROTECTED_COMMANDS = new Set(['roomcmd', 'role', 'help']);
+
+/**
+ * Per-room command configuration
+ * File settings come from rooms/<room>.js:
+ *   settings.commands.allow   - if set, only these commands run in the room
+ *   settings.commands.deny    - commands switched off in the room
+ *   settings.commands.aliases - { alias: 'command' } extra aliases for the room
+ *   settings.cooldowns        - { command: ms } cooldown overrides
+ * Live edits from !roomcmd are stored in room_command_settings/room_command_aliases
+ * and take precedence over the file.
+ */
+export class RoomCommandSettings {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('RoomCommandSettings');
+
+        this.fileConfigs = new Map(); // roomId -> { allow, deny, cooldowns, aliases }
+        this.overrides = new Map(); // roomId -> Map(command -> { enabled, cooldown_ms })
+        this.aliases = new Map(); // roomId -> Map(alias -> command)
+    }
+
+    async init() {
+        try {
+            const settings = await this.db.all('SELECT room_id, command, enabled, cooldown_ms FROM room_command_settings');
+            for (const row of settings) {
+                this.getRoomOverrides(row.room_id).set(row.command, {
+                    enabled: row.enabled,
+                    cooldown_ms: row.cooldown_ms
+                });
+            }
+
+            const aliases = await this.db.all('SELECT room_id, alias, command FROM room_command_aliases');
+            for (const row of aliases) {
+                this.getRoomAliases(row.room_id).set(row.alias, row.command);
+            }
+
+            this.logger.info(`Loaded ${settings.length} command overrides and ${aliases.length} room aliases`);
+        } catch (error) {
+            this.logger.error('Failed to load room command settings:', { error: error.message });
+        }
+    }
+
+    getRoomOverrides(roomId) {
+        if (!this.overrides.has(roomId)) {
+            this.overrides.set(roomId, new Map());
+        }
+        return this.overrides.get(roomId);
+    }
+
+    getRoomAliases(roomId) {
+        if (!this.aliases.has(roomId)) {
+            this.aliases.set(roomId, new Map());
+        }
+        return this.aliases.get(roomId);
+    }
+
+    /**
+     * Store the command settings from a room's config file
+     */
+    setRoomConfig(roomId, roomConfig = {}) {
+        const settings = roomConfig.settings || {};
+        const commands = settings.commands || {};
+        const lower = (list) => new Set((list || []).map(name => name.toLowerCase()));
+
+        this.fileConfigs.set(roomId, {
+            allow: Array.isArray(commands.allow) ? lower(commands.allow) : null,
+            deny: lower(commands.deny),
+            cooldowns: settings.cooldowns || {},
+            aliases: new Map(Object.entries(commands.aliases || {})
+                .map(([alias, command]) => [alias.toLowerCase(), command.toLowerCase()]))
+        });
+    }
+
+    getFileConfig(roomId) {
+        return this.fileConfigs.get(roomId) || { allow: null, deny: new Set(), cooldowns: {}, aliases: new Map() };
+    }
+
+    // A list entry can name the command or any of its global aliases
+    listIncludes(list, command) {
+        return list.has(command.name) || command.aliases.some(alias => list.has(alias));
+    }
+
+    /**
+     * Resolve a room-specific alias to a command name (returns the input if not an alias)
+     */
+    resolveAlias(roomId, name) {
+        const dbAlias = this.aliases.get(roomId)?.get(name);
+        if (dbAlias) return dbAlias;
+
+        return this.getFileConfig(roomId).aliases.get(name) || name;
+    }
+
+    isEnabled(roomId, command) {
+        if (PROTECTED_COMMANDS.has(command.name)) return true;
+
+        const override = this.overrides.get(roomId)?.get(command.name);
+        if (override && override.enabled !== null && override.enabled !== undefined) {
+            return Boolean(override.enabled);
+        }
+
+        const fileConfig = this.getFileConfig(roomId);
+        if (fileConfig.allow && !this.listIncludes(fileConfig.allow, command)) {
+            return false;
+        }
+        return !this.listIncludes(fileConfig.deny, command);
+    }
+
+    getCooldown(roomId, command, defaultMs = command.cooldown) {
+        const override = this.overrides.get(roomId)?.get(command.name);
+        if (override && override.cooldown_ms !== null && override.cooldown_ms !== undefined) {
+            return override.cooldown_ms;
+        }
+
+        const fileCooldowns = this.getFileConfig(roomId).cooldowns;
+        for (const name of [command.name, ...command.aliases]) {
+            if (typeof fileCooldowns[name] === 'number') {
+                return fileCooldowns[name];
+            }
+        }
+
+        return defaultMs;
+    }
+
+    async saveOverride(roomId, commandName, changes, updatedBy) {
+        const current = this.getRoomOverrides(roomId).get(commandName) || { enabled: null, cooldown_ms: null };
+        const updated = { ...current, ...changes };
+
+        await this.db.run(`
+            INSERT INTO room_command_settings (room_id, command, enabled, cooldown_ms, updated_by, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(room_id, command) DO UPDATE SET
+                enabled = excluded.enabled,
+                cooldown_ms = excluded.cooldown_ms,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `, [roomId, commandName, updated.enabled, updated.cooldown_ms, updatedBy, Date.now()]);
+
+        this.getRoomOverrides(roomId).set(commandName, updated);
+        this.logger.info(`[${roomId}] ${commandName} override updated by ${updatedBy}:`, updated);
+        return updated;
+    }
+
+    async setEnabled(roomId, commandName, enabled, updatedBy = null) {
+        if (!enabled && PROTECTED_COMMANDS.has(commandName)) {
+            return { success: false, error: 'protected' };
+        }
+        await this.saveOverride(roomId, commandName, { enabled: enabled ? 1 : 0 }, updatedBy);
+        return { success: true };
+    }
+
+    async setCooldown(roomId, commandName, cooldownMs, updatedBy = null) {
+        await this.saveOverride(roomId, commandName, { cooldown_ms: cooldownMs }, updatedBy);
+        return { success: true };
+    }
+
+    /**
+     * Drop all live overrides for a command so the room file settings apply again
+     */
+    async reset(roomId, commandName) {
+        const result = await this.db.run(
+            'DELETE FROM room_command_settings WHERE room_id = ? AND command = ?',
+            [roomId, commandName]
+        );
+        this.getRoomOverrides(roomId).delete(commandName);
+        return { success: result.changes > 0 };
+    }
+
+    async addAlias(roomId, alias, commandName, createdBy = null) {
+        await this.db.run(`
+            INSERT OR REPLACE INTO room_command_aliases (room_id, alias, command, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [roomId, alias, commandName, createdBy, Date.now()]);
+
+        this.getRoomAliases(roomId).set(alias, commandName);
+        return { success: true };
+    }
+
+    async removeAlias(roomId, alias) {
+        const result = await this.db.run(
+            'DELETE FROM room_command_aliases WHERE room_id = ? AND alias = ?',
+            [roomId, alias]
+        );
+        this.getRoomAliases(roomId).delete(alias);
+        return { success: result.changes > 0 };
+    }
+
+    /**
+     * Summarise a room's command settings (file + live overrides)
+     */
+    describe(roomId) {
+        const fileConfig = this.getFileConfig(roomId);
+        const disabled = [];
+        const enabled = [];
+        const cooldowns = {};
+
+        for (const [command, override] of this.overrides.get(roomId) || []) {
+            if (override.enabled === 0) disabled.push(command);
+            if (override.enabled === 1) enabled.push(command);
+            if (override.cooldown_ms !== null && override.cooldown_ms !== undefined) {
+                cooldowns[command] = override.cooldown_ms;
+            }
+        }
+
+        return {
+            allow: fileConfig.allow ? Array.from(fileConfig.allow) : null,
+            deny: Array.from(fileConfig.deny),
+            fileCooldowns: fileConfig.cooldowns,
+            fileAliases: Object.fromEntries(fileConfig.aliases),
+            disabled,
+            enabled,
+            cooldowns,
+            aliases: Object.fromEntries(this.aliases.get(roomId) || [])
+        };
+    }
+}
+
+export default RoomCommandSettings;
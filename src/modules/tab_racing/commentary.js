@@ -0,0 +1,56 @@
+// Race call lines for TAB race meetings
+// Placeholders: {track} {race} {kind} {window} {first} {second} {third} {last} {pool}
+
+export const meetingOpen = [
+    "🏇 RACE MEETING! {track} race {race} for the {kind}, betting's open for {window}. !races to see the field",
+    "📢 TAB's open! Race {race} at {track}, {kind} are in the barriers in {window}. get ya money on",
+    "🏁 {track} race {race} - the {kind} are paradin' now, {window} to get on. !races bet <amount> <number> [win|place|ew]",
+    "🎰 oi punters! Race {race} at {track}, {window} til the {kind} jump. pool's lookin' thin, fix that"
+];
+
+export const lastCall = [
+    "⏰ last call for race {race} at {track}! ${pool} in the pools, get on or shut up",
+    "⏰ 30 seconds til they jump at {track}! ${pool} up for grabs",
+    "⏰ stewards are shuttin' the gates at {track}, ${pool} in the pool, last bets now"
+];
+
+export const start = [
+    "🏇 AND THEY'RE RACIN' at {track}! {first} jumps best, {last} missed the start completely",
+    "🏇 THEY'RE OFF! {first} flies out of the gates, {second} sittin' handy",
+    "🏇 the gates crash open at {track}! {first} straight to the lead, {last} lookin' round for a smoko"
+];
+
+export const middle = [
+    "at the halfway it's {first} from {second} and {third}, {last} is havin' a durry at the back",
+    "down the back straight {first} leads, {second} on its hammer, {third} travellin' well",
+    "{first} still in front at the 800! {second} and {third} startin' to wind up"
+];
+
+export const turn = [
+    "turnin' for home {first} kicks clear! {second} chasin' hard, {third} hangin' in",
+    "into the straight and {first} has got 'em all off the bit! {second} wants it too!",
+    "they straighten up, {first} and {second} neck and neck, {third} ain't done yet!"
+];
+
+export const finish = [
+    "🏆 {first} SALUTES! {second} second, {third} third. {last} still lookin' for the bottlo",
+    "🏆 {first} GETS THERE! {second} runs second, {third} holds third",
+    "🏆 IT'S {first}! what a ride! {second} and {third} fill the placings, {last} should be glue by Tuesday"
+];
+
+export const noBets = [
+    "nobody had a cent on it, tight-arses",
+    "not a single punter on. the bookies are cryin'",
+    "no bets, no payouts, no fun"
+];
+
+export function fillCall(template, values) {
+    return Object.entries(values).reduce(
+        (line, [key, value]) => line.replaceAll(`{${key}}`, value),
+        template
+    );
+}
+
+export function pickLine(lines, values = {}) {
+    return fillCall(lines[Math.floor(Math.random() * lines.length)], values);
+}
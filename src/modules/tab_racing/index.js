@@ -0,0 +1,638 @@
+import EventEmitter from 'events';
+import { createLogger } from '../../utils/logger.js';
+import { formatDuration } from '../../utils/formatting.js';
+import { ESCROW, InsufficientFundsError } from '../economy/index.js';
+import { horseNames, dogNames, tracks } from './runners.js';
+import * as commentary from './commentary.js';
+
+const DEFAULT_CONFIG = {
+    enabled: true,
+    interval: 3 * 60 * 60 * 1000, // Time between scheduled meetings in a room
+    bettingWindow: 3 * 60 * 1000,
+    fieldSize: 8,
+    houseCut: 0.15,
+    minBet: 1,
+    maxBet: 500 // Per punter per race, each-way counts double
+};
+
+const CALL_DELAY = 4000;
+const SCHEDULE_CHECK = 60000;
+const FORM_LENGTH = 5;
+
+export const BET_TYPES = {
+    win: 'win',
+    place: 'place',
+    ew: 'each_way',
+    each_way: 'each_way',
+    eachway: 'each_way'
+};
+
+/**
+ * Work out dividends for one pool the way the TAB does it: take the cut out of
+ * the losing money, hand winning stakes back, then split what's left evenly
+ * between the backed placegetters and pro-rata between the tickets on each.
+ * Returns null when nobody backed a placegetter (the pool gets refunded).
+ * @param {number} pool - Total money in the pool
+ * @param {number} cutRate - House cut, 0-1
+ * @param {Array} backed - [{ number, stake }] placegetters with money on them
+ */
+export function poolDividends(pool, cutRate, backed) {
+    const paying = backed.filter(runner => runner.stake > 0);
+    if (pool === 0 || paying.length === 0) return null;
+
+    const winningStake = paying.reduce((sum, runner) => sum + runner.stake, 0);
+    const losingStake = pool - winningStake;
+    const cut = Math.min(Math.floor(pool * cutRate), losingStake);
+    const profitShare = (losingStake - cut) / paying.length;
+
+    const dividends = new Map();
+    for (const runner of paying) {
+        dividends.set(runner.number, 1 + profitShare / runner.stake);
+    }
+
+    return { dividends, cut };
+}
+
+/**
+ * Parimutuel TAB race meetings
+ * Each room gets scheduled meetings: a field with form, a betting window where
+ * punters bet win/place/each-way into shared pools, a live race call and
+ * payouts from the pools minus Dazza's cut. Stakes sit in @escrow until the
+ * race is settled.
+ *
+ * Room config (rooms/<room>.js): settings.tabMeetings = { enabled, interval,
+ * bettingWindow, fieldSize, houseCut, maxBet }
+ */
+export class TabRaceManager extends EventEmitter {
+    constructor(db, bot) {
+        super();
+        this.db = db;
+        this.bot = bot;
+        this.logger = createLogger('TabRaceManager');
+
+        this.roomConfigs = new Map(); // roomId -> config
+        this.timers = new Map(); // raceId -> [timeouts]
+        this.scheduleInterval = null;
+    }
+
+    async init() {
+        // Anything still open from before a restart gets called off and refunded
+        const unfinished = await this.db.all(
+            "SELECT * FROM tab_races WHERE status IN ('betting', 'running')"
+        );
+        for (const race of unfinished) {
+            await this.abandonRace(race, 'bot restarted');
+        }
+        if (unfinished.length > 0) {
+            this.logger.info(`Refunded ${unfinished.length} race(s) left open by the last run`);
+        }
+
+        this.scheduleInterval = setInterval(() => {
+            this.checkSchedule().catch(error => {
+                this.logger.error('Race schedule check failed:', { error: error.message });
+            });
+        }, SCHEDULE_CHECK);
+    }
+
+    stop() {
+        if (this.scheduleInterval) {
+            clearInterval(this.scheduleInterval);
+            this.scheduleInterval = null;
+        }
+        for (const timeouts of this.timers.values()) {
+            timeouts.forEach(clearTimeout);
+        }
+        this.timers.clear();
+    }
+
+    setRoomConfig(roomId, roomConfig = {}) {
+        const settings = roomConfig.settings?.tabMeetings || {};
+        this.roomConfigs.set(roomId, { ...DEFAULT_CONFIG, ...settings });
+    }
+
+    getConfig(roomId) {
+        return this.roomConfigs.get(roomId) || DEFAULT_CONFIG;
+    }
+
+    schedule(raceId, delay, fn) {
+        const timeout = setTimeout(() => {
+            fn().catch(error => {
+                this.logger.error(`Race ${raceId} step failed:`, { error: error.message, stack: error.stack });
+            });
+        }, delay);
+
+        if (!this.timers.has(raceId)) {
+            this.timers.set(raceId, []);
+        }
+        this.timers.get(raceId).push(timeout);
+    }
+
+    clearTimers(raceId) {
+        (this.timers.get(raceId) || []).forEach(clearTimeout);
+        this.timers.delete(raceId);
+    }
+
+    /**
+     * Start a meeting in any connected room that's due one
+     */
+    async checkSchedule() {
+        if (!this.bot.rooms) return;
+
+        for (const [roomId, roomContext] of this.bot.rooms) {
+            const config = this.getConfig(roomId);
+            if (!config.enabled || !roomContext.connected) continue;
+
+            const nextAt = await this.getNextMeetingTime(roomId);
+            if (nextAt !== null && Date.now() >= nextAt) {
+                const raceType = Math.random() < 0.5 ? 'horse' : 'dog';
+                await this.startMeeting(roomId, raceType, null);
+            }
+        }
+    }
+
+    /**
+     * When the next scheduled meeting is due (null while one is running)
+     */
+    async getNextMeetingTime(roomId) {
+        if (await this.getActiveRace(roomId)) return null;
+
+        const last = await this.db.get(
+            'SELECT created_at FROM tab_races WHERE room_id = ? ORDER BY created_at DESC LIMIT 1',
+            [roomId]
+        );
+        return last ? last.created_at + this.getConfig(roomId).interval : Date.now();
+    }
+
+    async getActiveRace(roomId) {
+        return await this.db.get(
+            "SELECT * FROM tab_races WHERE room_id = ? AND status IN ('betting', 'running') ORDER BY created_at DESC LIMIT 1",
+            [roomId]
+        );
+    }
+
+    async getRunners(raceId) {
+        return await this.db.all(
+            'SELECT * FROM tab_race_runners WHERE race_id = ? ORDER BY number',
+            [raceId]
+        );
+    }
+
+    /**
+     * Past finishes for a runner, newest first
+     */
+    async getRunnerHistory(name, raceType = null, limit = FORM_LENGTH) {
+        const params = [name];
+        let typeFilter = '';
+        if (raceType) {
+            typeFilter = 'AND t.race_type = ?';
+            params.push(raceType);
+        }
+        params.push(limit);
+
+        return await this.db.all(`
+            SELECT r.finish_position, r.win_dividend, r.place_dividend,
+                   (SELECT COUNT(*) FROM tab_race_runners x WHERE x.race_id = r.race_id) as field_size,
+                   t.id as race_id, t.track, t.race_number, t.room_id, t.finished_at
+            FROM tab_race_runners r
+            JOIN tab_races t ON t.id = r.race_id
+            WHERE LOWER(r.name) = LOWER(?) AND t.status = 'finished' AND r.finish_position IS NOT NULL ${typeFilter}
+            ORDER BY t.finished_at DESC
+            LIMIT ?
+        `, params);
+    }
+
+    /**
+     * Pick a field and give each runner a rating and form line.
+     * Runners with history are rated on it, the rest get generated form.
+     */
+    async buildField(raceType, size) {
+        const names = [...(raceType === 'horse' ? horseNames : dogNames)];
+        const field = [];
+        const fieldSize = Math.min(size, names.length);
+
+        while (field.length < fieldSize) {
+            const [name] = names.splice(Math.floor(Math.random() * names.length), 1);
+            const history = await this.getRunnerHistory(name, raceType, 10);
+
+            let rating;
+            let form;
+            if (history.length > 0) {
+                const scores = history.map(run => 1 - (run.finish_position - 1) / Math.max(run.field_size - 1, 1));
+                const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+                const confidence = Math.min(history.length / FORM_LENGTH, 1);
+                rating = 60 + (average - 0.5) * 40 * confidence + (Math.random() * 16 - 8);
+                form = history.slice(0, FORM_LENGTH).reverse()
+                    .map(run => run.finish_position >= 10 ? '0' : String(run.finish_position))
+                    .join('-');
+            } else {
+                rating = 60 + (Math.random() * 24 - 12);
+                const runs = 2 + Math.floor(Math.random() * 4);
+                const generated = [];
+                for (let i = 0; i < runs; i++) {
+                    // Better rated runners tend to have finished closer to the front
+                    const expected = (1 - (rating - 48) / 24) * (fieldSize - 1) + 1;
+                    const position = Math.round(expected + (Math.random() * 4 - 2));
+                    generated.push(String(Math.min(Math.max(position, 1), 9)));
+                }
+                form = generated.join('-');
+            }
+
+            field.push({ number: field.length + 1, name, rating: Math.round(rating * 10) / 10, form });
+        }
+
+        return field;
+    }
+
+    async startMeeting(roomId, raceType = 'horse', startedBy = null) {
+        if (await this.getActiveRace(roomId)) {
+            return { success: false, error: 'already_running' };
+        }
+
+        const config = this.getConfig(roomId);
+        const trackList = tracks[raceType];
+        const track = trackList[Math.floor(Math.random() * trackList.length)];
+        const field = await this.buildField(raceType, config.fieldSize);
+        const now = Date.now();
+
+        // Race numbers count up through the day in each room
+        const dayStart = new Date(now).setHours(0, 0, 0, 0);
+        const { count } = await this.db.get(
+            'SELECT COUNT(*) as count FROM tab_races WHERE room_id = ? AND created_at >= ?',
+            [roomId, dayStart]
+        );
+
+        const race = await this.db.transaction(async () => {
+            const result = await this.db.run(`
+                INSERT INTO tab_races (room_id, race_type, track, race_number, status, house_cut, started_by, created_at, closes_at)
+                VALUES (?, ?, ?, ?, 'betting', ?, ?, ?, ?)
+            `, [roomId, raceType, track, count + 1, config.houseCut, startedBy, now, now + config.bettingWindow]);
+
+            for (const runner of field) {
+                await this.db.run(
+                    'INSERT INTO tab_race_runners (race_id, number, name, rating, form) VALUES (?, ?, ?, ?, ?)',
+                    [result.lastID, runner.number, runner.name, runner.rating, runner.form]
+                );
+            }
+
+            return await this.db.get('SELECT * FROM tab_races WHERE id = ?', [result.lastID]);
+        });
+
+        this.logger.info(`[${roomId}] Race ${race.id} opened at ${track} (${raceType}s)${startedBy ? ` by ${startedBy}` : ''}`);
+
+        const kind = raceType === 'horse' ? 'gallopers' : 'dogs';
+        this.bot.sendMessage(roomId, commentary.pickLine(commentary.meetingOpen, {
+            track, race: race.race_number, kind, window: formatDuration(config.bettingWindow)
+        }));
+        this.bot.sendMessage(roomId, this.formatField(field));
+
+        if (config.bettingWindow > 45000) {
+            this.schedule(race.id, config.bettingWindow - 30000, async () => {
+                const pools = await this.getPools(race.id);
+                this.bot.sendMessage(roomId, commentary.pickLine(commentary.lastCall, {
+                    track, race: race.race_number, pool: pools.win + pools.place
+                }));
+            });
+        }
+        this.schedule(race.id, config.bettingWindow, () => this.runRace(race.id));
+
+        this.emit('race:open', { race, field });
+        return { success: true, race, field };
+    }
+
+    formatField(runners, dividends = null) {
+        return runners.map(runner => {
+            const price = dividends?.get(runner.number);
+            return `${runner.number}. ${runner.name} [${runner.form || '-'}]${price ? ` $${price.toFixed(2)}` : ''}`;
+        }).join(' | ');
+    }
+
+    async getPools(raceId) {
+        const rows = await this.db.all(
+            'SELECT runner_number, bet_type, SUM(amount) as total FROM tab_race_bets WHERE race_id = ? GROUP BY runner_number, bet_type',
+            [raceId]
+        );
+
+        const pools = { win: 0, place: 0, runners: new Map() };
+        for (const row of rows) {
+            pools[row.bet_type] += row.total;
+            const runner = pools.runners.get(row.runner_number) || { win: 0, place: 0 };
+            runner[row.bet_type] += row.total;
+            pools.runners.set(row.runner_number, runner);
+        }
+        return pools;
+    }
+
+    /**
+     * What each runner would pay for a win right now, from the pool where
+     * there's money on it, otherwise an estimate from its rating
+     */
+    async getCurrentPrices(race) {
+        const [runners, pools] = await Promise.all([this.getRunners(race.id), this.getPools(race.id)]);
+        const strength = runners.map(runner => Math.pow(runner.rating / 10, 4));
+        const totalStrength = strength.reduce((sum, s) => sum + s, 0);
+
+        const prices = new Map();
+        runners.forEach((runner, i) => {
+            const stake = pools.runners.get(runner.number)?.win || 0;
+            const result = poolDividends(pools.win, race.house_cut, [{ number: runner.number, stake }]);
+            if (result && pools.win > stake) {
+                prices.set(runner.number, result.dividends.get(runner.number));
+            } else {
+                const chance = strength[i] / totalStrength;
+                prices.set(runner.number, Math.max(1.1, (1 - race.house_cut) / chance));
+            }
+        });
+
+        return { runners, pools, prices };
+    }
+
+    /**
+     * Put a ticket on a runner. Each-way is a win and a place ticket for the amount each.
+     */
+    async placeBet(roomId, username, runnerNumber, betType, amount) {
+        const type = BET_TYPES[betType];
+        if (!type) return { success: false, error: 'bad_type' };
+
+        const config = this.getConfig(roomId);
+        const tickets = type === 'each_way' ? ['win', 'place'] : [type];
+        const total = amount * tickets.length;
+
+        if (!Number.isInteger(amount) || amount < config.minBet) {
+            return { success: false, error: 'too_small', min: config.minBet };
+        }
+
+        const heistManager = this.bot.heistManager;
+        const normalized = await heistManager.getOrCreateUser(username).then(user => user.username || username);
+
+        return await this.db.transaction(async () => {
+            const race = await this.getActiveRace(roomId);
+            if (!race || race.status !== 'betting' || Date.now() >= race.closes_at) {
+                return { success: false, error: 'closed' };
+            }
+
+            const runner = await this.db.get(
+                'SELECT * FROM tab_race_runners WHERE race_id = ? AND number = ?',
+                [race.id, runnerNumber]
+            );
+            if (!runner) return { success: false, error: 'no_runner' };
+
+            const { staked } = await this.db.get(
+                'SELECT COALESCE(SUM(amount), 0) as staked FROM tab_race_bets WHERE race_id = ? AND username = ?',
+                [race.id, normalized]
+            );
+            if (staked + total > config.maxBet) {
+                return { success: false, error: 'too_big', max: config.maxBet, staked };
+            }
+
+            try {
+                await heistManager.updateUserEconomy(normalized, -total, 0, {
+                    type: 'tab_pool_bet',
+                    description: `Race #${race.id} ${runner.name} ${type.replace('_', '-')}`,
+                    roomId,
+                    counterparty: ESCROW,
+                    requireFunds: true
+                });
+            } catch (error) {
+                if (error instanceof InsufficientFundsError) {
+                    return { success: false, error: 'broke', total };
+                }
+                throw error;
+            }
+
+            const now = Date.now();
+            for (const ticket of tickets) {
+                await this.db.run(`
+                    INSERT INTO tab_race_bets (race_id, room_id, username, runner_number, bet_type, amount, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [race.id, roomId, normalized, runner.number, ticket, amount, now]);
+            }
+
+            return { success: true, race, runner, type, total };
+        });
+    }
+
+    async getUserBets(raceId, username) {
+        return await this.db.all(`
+            SELECT b.runner_number, b.bet_type, SUM(b.amount) as amount, SUM(b.payout) as payout, r.name
+            FROM tab_race_bets b
+            JOIN tab_race_runners r ON r.race_id = b.race_id AND r.number = b.runner_number
+            WHERE b.race_id = ? AND LOWER(b.username) = LOWER(?)
+            GROUP BY b.runner_number, b.bet_type
+            ORDER BY b.runner_number
+        `, [raceId, username]);
+    }
+
+    /**
+     * Simulate the race in stages so it can be called live.
+     * Returns the running order after each stage, the last one is the result.
+     */
+    simulateRace(runners) {
+        const progress = new Map(runners.map(runner => [runner.number, 0]));
+        const stages = [];
+
+        for (let stage = 0; stage < 4; stage++) {
+            for (const runner of runners) {
+                let speed = runner.rating + Math.random() * 35;
+                if (Math.random() < 0.03) speed -= 25; // Stumbled, checked or just lost interest
+                progress.set(runner.number, progress.get(runner.number) + speed);
+            }
+            stages.push([...runners].sort((a, b) => progress.get(b.number) - progress.get(a.number)));
+        }
+
+        return stages;
+    }
+
+    async runRace(raceId) {
+        const closed = await this.db.transaction(async () => {
+            const result = await this.db.run(
+                "UPDATE tab_races SET status = 'running' WHERE id = ? AND status = 'betting'",
+                [raceId]
+            );
+            return result.changes > 0;
+        });
+        if (!closed) return;
+
+        const race = await this.db.get('SELECT * FROM tab_races WHERE id = ?', [raceId]);
+        const runners = await this.getRunners(raceId);
+        const stages = this.simulateRace(runners);
+        const calls = [commentary.start, commentary.middle, commentary.turn];
+
+        const positions = (order) => ({
+            track: race.track,
+            first: `#${order[0].number} ${order[0].name}`,
+            second: `#${order[1].number} ${order[1].name}`,
+            third: `#${order[2].number} ${order[2].name}`,
+            last: order[order.length - 1].name
+        });
+
+        stages.slice(0, 3).forEach((order, i) => {
+            this.schedule(raceId, i * CALL_DELAY, async () => {
+                this.bot.sendMessage(race.room_id, commentary.pickLine(calls[i], positions(order)));
+            });
+        });
+
+        this.schedule(raceId, 3 * CALL_DELAY, async () => {
+            const finishOrder = stages[stages.length - 1];
+            this.bot.sendMessage(race.room_id, commentary.pickLine(commentary.finish, positions(finishOrder)));
+            await this.settleRace(race, finishOrder);
+            this.clearTimers(raceId);
+        });
+    }
+
+    /**
+     * Record the result, work out dividends and pay everyone out of escrow
+     */
+    async settleRace(race, finishOrder) {
+        const heistManager = this.bot.heistManager;
+        const placeCount = finishOrder.length >= 8 ? 3 : 2;
+        const placegetters = finishOrder.slice(0, placeCount);
+
+        const settlement = await this.db.transaction(async () => {
+            const pools = await this.getPools(race.id);
+            const bets = await this.db.all('SELECT * FROM tab_race_bets WHERE race_id = ?', [race.id]);
+
+            const stakeOn = (number, type) => pools.runners.get(number)?.[type] || 0;
+            const win = poolDividends(pools.win, race.house_cut, [{ number: finishOrder[0].number, stake: stakeOn(finishOrder[0].number, 'win') }]);
+            const place = poolDividends(pools.place, race.house_cut, placegetters.map(runner => ({ number: runner.number, stake: stakeOn(runner.number, 'place') })));
+
+            for (const [index, runner] of finishOrder.entries()) {
+                await this.db.run(
+                    'UPDATE tab_race_runners SET finish_position = ?, win_dividend = ?, place_dividend = ? WHERE race_id = ? AND number = ?',
+                    [index + 1, win?.dividends.get(runner.number) ?? null, place?.dividends.get(runner.number) ?? null, race.id, runner.number]
+                );
+            }
+
+            // Tally what each ticket gets back
+            const payouts = new Map(); // username -> { paid, refunded }
+            let paidOut = 0;
+            for (const bet of bets) {
+                const result = bet.bet_type === 'win' ? win : place;
+                let payout = 0;
+                let refund = false;
+
+                if (!result) {
+                    payout = bet.amount; // Nobody backed a placegetter, the pool goes back
+                    refund = true;
+                } else if (result.dividends.has(bet.runner_number)) {
+                    payout = Math.floor(bet.amount * result.dividends.get(bet.runner_number));
+                }
+
+                if (payout > 0) {
+                    await this.db.run('UPDATE tab_race_bets SET payout = ? WHERE id = ?', [payout, bet.id]);
+                    const user = payouts.get(bet.username) || { paid: 0, refunded: 0 };
+                    user[refund ? 'refunded' : 'paid'] += payout;
+                    payouts.set(bet.username, user);
+                    paidOut += payout;
+                }
+            }
+
+            // Dazza keeps the cut plus whatever rounding left behind
+            const cut = pools.win + pools.place - paidOut;
+            const entries = [];
+            for (const [username, user] of payouts) {
+                if (user.paid > 0) {
+                    entries.push({ username, amount: user.paid, type: 'tab_pool', counterparty: ESCROW, description: `Race #${race.id} payout` });
+                }
+                if (user.refunded > 0) {
+                    entries.push({ username, amount: user.refunded, type: 'tab_pool_refund', counterparty: ESCROW, description: `Race #${race.id} pool refunded` });
+                }
+            }
+            if (cut > 0) {
+                // The bot's own account, whatever it's called in this deployment
+                const house = await heistManager.getOrCreateUser(this.bot.username);
+                entries.push({ username: house.username || this.bot.username, amount: cut, type: 'tab_pool_cut', counterparty: ESCROW, description: `Race #${race.id} house cut` });
+            }
+            if (entries.length > 0) {
+                await heistManager.ledger.post({ type: 'tab_pool', roomId: race.room_id, entries });
+            }
+
+            await this.db.run(
+                "UPDATE tab_races SET status = 'finished', win_pool = ?, place_pool = ?, cut_taken = ?, finished_at = ? WHERE id = ?",
+                [pools.win, pools.place, cut, Date.now(), race.id]
+            );
+
+            return { pools, win, place, payouts, cut, betCount: bets.length };
+        });
+
+        this.announceResult(race, finishOrder, placegetters, settlement);
+        this.emit('race:finished', { race, finishOrder: finishOrder.map(runner => runner.number), ...settlement });
+        this.logger.info(`[${race.room_id}] Race ${race.id} settled: pools $${settlement.pools.win}/$${settlement.pools.place}, cut $${settlement.cut}`);
+    }
+
+    announceResult(race, finishOrder, placegetters, settlement) {
+        const { win, place, payouts, cut, betCount } = settlement;
+
+        const results = placegetters.map((runner, i) => {
+            const prices = [];
+            if (i === 0 && win) prices.push(`W $${win.dividends.get(runner.number).toFixed(2)}`);
+            if (place?.dividends.has(runner.number)) prices.push(`P $${place.dividends.get(runner.number).toFixed(2)}`);
+            return `${['1st', '2nd', '3rd'][i]} #${runner.number} ${runner.name}${prices.length ? ` (${prices.join(' ')})` : ''}`;
+        });
+        this.bot.sendMessage(race.room_id, `📋 RESULT race ${race.race_number} ${race.track}: ${results.join(', ')}`);
+
+        if (betCount === 0) {
+            this.bot.sendMessage(race.room_id, commentary.pickLine(commentary.noBets));
+            return;
+        }
+
+        const winners = [...payouts.entries()]
+            .map(([username, user]) => ({ username, total: user.paid + user.refunded }))
+            .sort((a, b) => b.total - a.total);
+        const list = winners.slice(0, 6).map(w => `-${w.username} $${w.total}`).join(', ');
+        const more = winners.length > 6 ? ` +${winners.length - 6} more` : '';
+
+        this.bot.sendMessage(race.room_id, winners.length > 0
+            ? `💰 collect: ${list}${more} | dazza's cut $${cut}`
+            : `💸 every punter done their dough. dazza pockets $${cut}, cheers`);
+    }
+
+    /**
+     * Call a race off and hand every stake back
+     */
+    async abandonRace(race, reason) {
+        this.clearTimers(race.id);
+
+        await this.db.transaction(async () => {
+            const bets = await this.db.all(
+                'SELECT username, SUM(amount) as total FROM tab_race_bets WHERE race_id = ? GROUP BY username',
+                [race.id]
+            );
+
+            if (bets.length > 0) {
+                await this.bot.heistManager.ledger.post({
+                    type: 'tab_pool_refund',
+                    description: `Race #${race.id} abandoned (${reason})`,
+                    roomId: race.room_id,
+                    entries: bets.map(bet => ({ username: bet.username, amount: bet.total, counterparty: ESCROW }))
+                });
+                await this.db.run('UPDATE tab_race_bets SET payout = amount WHERE race_id = ?', [race.id]);
+            }
+
+            await this.db.run(
+                "UPDATE tab_races SET status = 'abandoned', finished_at = ? WHERE id = ?",
+                [Date.now(), race.id]
+            );
+        });
+
+        this.logger.info(`[${race.room_id}] Race ${race.id} abandoned: ${reason}`);
+    }
+
+    async getRecentResults(roomId, limit = 3) {
+        const races = await this.db.all(`
+            SELECT * FROM tab_races
+            WHERE room_id = ? AND status = 'finished'
+            ORDER BY finished_at DESC
+            LIMIT ?
+        `, [roomId, limit]);
+
+        for (const race of races) {
+            race.placings = await this.db.all(
+                'SELECT * FROM tab_race_runners WHERE race_id = ? AND finish_position <= 3 ORDER BY finish_position',
+                [race.id]
+            );
+        }
+        return races;
+    }
+}
+
+export default TabRaceManager;
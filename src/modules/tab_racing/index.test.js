@@ -0,0 +1,73 @@
+import { poolDividends } from './index.js';
+
+// Dividends per runner number and the cut, or null for a refunded pool
+const dividends = (pool, cutRate, backed) => {
+    const result = poolDividends(pool, cutRate, backed);
+    return result && { dividends: Object.fromEntries(result.dividends), cut: result.cut };
+};
+
+// Test cases
+const testCases = [
+    {
+        run: () => dividends(1000, 0.15, [{ number: 1, stake: 200 }]),
+        expected: { dividends: { 1: 4.25 }, cut: 150 },
+        description: 'Win pool: cut off the top, the rest of the losing money to the winner'
+    },
+    {
+        run: () => dividends(1000, 0.15, [{ number: 1, stake: 100 }, { number: 2, stake: 200 }, { number: 3, stake: 0 }]),
+        expected: { dividends: { 1: 3.75, 2: 2.375 }, cut: 150 },
+        description: 'Place pool: profit split evenly between backed placegetters'
+    },
+    {
+        run: () => dividends(500, 0.15, [{ number: 4, stake: 500 }]),
+        expected: { dividends: { 4: 1 }, cut: 0 },
+        description: 'Everyone on the winner gets their money back, no cut'
+    },
+    {
+        run: () => dividends(520, 0.15, [{ number: 4, stake: 500 }]),
+        expected: { dividends: { 4: 1 }, cut: 20 },
+        description: 'Cut never eats into winning stakes'
+    },
+    {
+        run: () => dividends(1000, 0, [{ number: 2, stake: 250 }]),
+        expected: { dividends: { 2: 4 }, cut: 0 },
+        description: 'No cut'
+    },
+    {
+        run: () => {
+            const backed = [{ number: 1, stake: 30 }, { number: 2, stake: 70 }];
+            const { dividends: paid, cut } = poolDividends(1000, 0.15, backed);
+            const payout = backed.reduce((sum, runner) => sum + runner.stake * paid.get(runner.number), 0);
+            return Math.round(payout + cut);
+        },
+        expected: 1000,
+        description: 'Payouts and the cut add up to the pool'
+    },
+    { run: () => dividends(1000, 0.15, [{ number: 1, stake: 0 }]), expected: null, description: 'Nobody on the placegetters: refund' },
+    { run: () => dividends(1000, 0.15, []), expected: null, description: 'No placegetters at all: refund' },
+    { run: () => dividends(0, 0.15, [{ number: 1, stake: 0 }]), expected: null, description: 'Empty pool' }
+];
+
+console.log('TAB Pool Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
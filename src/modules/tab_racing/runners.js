@@ -0,0 +1,21 @@
+// Australian race horses and dogs with bogan names
+export const horseNames = [
+    "Shazza's Revenge", "Durry Breath", "Goon Sack Glory", "Servo Slammer",
+    "Centrelink Special", "Bogan's Pride", "Thong Thrower", "Ute Destroyer",
+    "VB Velocity", "Bunnings Bandit", "Dole Bludger", "Pie Floater",
+    "Stubby Holder", "Barbie Burner", "Bottlo Runner", "Maccas Muncher",
+    "Winnie Blue", "Tradie's Dream", "Pokies Prince", "She'll Be Right"
+];
+
+export const dogNames = [
+    "Cone Ripper", "Bong Water", "Pub Fighter", "Ciggie Butt",
+    "Goon Bag Gary", "Flamin' Galah", "Snag Stealer", "Beer Gut Billy",
+    "Dero Dog", "Mullet Master", "Thong Biter", "Servo Sniffer",
+    "Tinnie Terror", "Eshay Express", "Bottlo Bandit", "Kebab Krusher"
+];
+
+// Track names for variety
+export const tracks = {
+    horse: ["Flemington", "Randwick", "Moonee Valley", "Caulfield", "Rosehill"],
+    dog: ["Wentworth Park", "The Gardens", "Sandown Park", "Albion Park", "The Meadows"]
+};
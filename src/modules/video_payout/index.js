@@ -236,7 +236,7 @@ export class VideoPayoutManager extends EventEmitter {
         for (const [username, joinTime] of roomData.currentWatchers) {
             // Check if user joined before halfway mark
             if (joinTime <= halfwayMark) {
-                const reward = await this.rewardUser(username, roomData.currentSession.id);
+                const reward = await this.rewardUser(username, roomData.currentSession.id, roomId);
                 if (reward > 0) {
                     rewardCount++;
                     totalPayout += reward;
@@ -291,7 +291,7 @@ export class VideoPayoutManager extends EventEmitter {
         roomData.currentWatchers.delete(username);
     }
 
-    async rewardUser(username, sessionId) {
+    async rewardUser(username, sessionId, roomId = null) {
         // Determine reward amount
         const isLucky = Math.random() < this.config.LUCKY_CHANCE;
         const rewardAmount = isLucky ? this.config.LUCKY_REWARD : this.config.NORMAL_REWARD;
@@ -302,7 +302,11 @@ export class VideoPayoutManager extends EventEmitter {
         await this.bot.heistManager.getOrCreateUser(canonicalUsername);
         
         // Update user balance (no trust change for video watching)
-        await this.bot.heistManager.updateUserEconomy(canonicalUsername, rewardAmount, 0);
+        await this.bot.heistManager.updateUserEconomy(canonicalUsername, rewardAmount, 0, {
+            type: 'video_payout',
+            description: `${isLucky ? 'Lucky reward' : 'Reward'} for watching session #${sessionId}`,
+            roomId
+        });
 
         // Mark as rewarded - only update the active record (without leave_time)
         await this.db.run(
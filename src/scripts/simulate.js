@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+
+/**
+ * Simulate and replay pissing contests and heists
+ *
+ * Usage:
+ *   npm run simulate -- contests [--n 10000] [--seed <seed>] [--hour <0-23>] [--bladder <drinks>]
+ *       Win rate and score spread per characteristic, location and weather
+ *   npm run simulate -- heists [--n 10000] [--seed <seed>] [--crew 3] [--roles driver,lookout] [--gear balaclava] [--room <roomId>]
+ *       Success rate and haul spread per crime
+ *   npm run simulate -- economy [--days 30] [--window 30] [--seed <seed>] [--scale pokies=0.9,tab=1.1]
+ *       Project balances forward under the odds the ledger's seen over the last
+ *       --window days. --scale multiplies what a game pays out, shown against
+ *       the odds as they are
+ *   npm run simulate -- replay contest <id>
+ *   npm run simulate -- replay heist <id>
+ *       Play a stored match out again from its seed and check it comes out the same
+ *
+ * The same --seed always gives the same numbers. Leave it off for a random one
+ * (printed, so an interesting run can be repeated).
+ */
+
+import Database from '../services/database.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRng, randomSeed } from '../utils/rng.js';
+import { simulateContest } from '../modules/pissing_contest/simulation.js';
+import { formatWeather } from '../modules/pissing_contest/weather.js';
+import { simulateHeist } from '../modules/heist/simulation.js';
+import { contentLoader } from '../modules/heist/contentLoader.js';
+import { buildModel, projectEconomy } from '../modules/economy/simulation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DB_PATH = path.join(__dirname, '../../cytube_stats.db');
+
+// --name value from the command line
+function option(name, fallback = null) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : fallback;
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+const pct = (count, total) => total > 0 ? `${(count / total * 100).toFixed(1)}%` : '-';
+
+/**
+ * Running totals per bucket (a characteristic, a crime...), printed as a table
+ */
+class Tally {
+    constructor(title, columns) {
+        this.title = title;
+        this.columns = columns;
+        this.buckets = new Map();
+    }
+
+    bucket(key) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, { n: 0, wins: 0, decided: 0, flagged: 0, values: [] });
+        }
+        return this.buckets.get(key);
+    }
+
+    // won: true/false, or null if there was no result to count
+    add(key, { won = null, value = null, flagged = false }) {
+        const bucket = this.bucket(key);
+        bucket.n++;
+        if (won !== null) {
+            bucket.decided++;
+            if (won) bucket.wins++;
+        }
+        if (value !== null) bucket.values.push(value);
+        if (flagged) bucket.flagged++;
+    }
+
+    print() {
+        const rows = [...this.buckets.entries()]
+            .map(([key, bucket]) => {
+                const values = [...bucket.values].sort((a, b) => a - b);
+                const avg = values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+                return {
+                    key,
+                    cells: {
+                        n: bucket.n,
+                        win: pct(bucket.wins, bucket.decided),
+                        avg,
+                        p10: percentile(values, 0.1),
+                        p50: percentile(values, 0.5),
+                        p90: percentile(values, 0.9),
+                        flagged: pct(bucket.flagged, bucket.n)
+                    },
+                    sortBy: bucket.decided ? bucket.wins / bucket.decided : avg
+                };
+            })
+            .sort((a, b) => b.sortBy - a.sortBy);
+
+        const keyWidth = Math.max(this.title.length, ...rows.map(row => String(row.key).length));
+        console.log(`\n${this.title.padEnd(keyWidth)}  ${this.columns.map(([, label]) => label.padStart(8)).join(' ')}`);
+        for (const row of rows) {
+            console.log(`${String(row.key).padEnd(keyWidth)}  ${this.columns.map(([cell]) => String(row.cells[cell]).padStart(8)).join(' ')}`);
+        }
+    }
+}
+
+// A stream of per-run seeds, repeatable from the one seed
+function seedStream(seed) {
+    const rng = createRng(seed);
+    return () => Math.floor(rng() * 2 ** 32);
+}
+
+function simulateContests() {
+    const n = parseInt(option('n', 10000));
+    const seed = option('seed') ?? String(randomSeed());
+    const hour = option('hour') !== null ? parseInt(option('hour')) : null;
+    const bladder = parseInt(option('bladder', 0));
+    const nextSeed = seedStream(seed);
+
+    const columns = [['n', 'n'], ['avg', 'avg'], ['p10', 'p10'], ['p50', 'p50'], ['p90', 'p90'], ['flagged', 'fined%']];
+    const characteristics = new Tally('characteristic', [['n', 'n'], ['win', 'win%'], ...columns.slice(1)]);
+    const locations = new Tally('location', columns);
+    const weathers = new Tally('weather', columns);
+    let noResult = 0;
+
+    for (let i = 0; i < n; i++) {
+        // Contests are spread over the day unless --hour pins them
+        const contest = simulateContest({
+            seed: nextSeed(),
+            hour: hour ?? i % 24,
+            challengerBladder: bladder,
+            challengedBladder: bladder
+        });
+
+        const fined = !!(contest.challengerCondition?.fine || contest.challengedCondition?.fine ||
+            contest.locationEvents?.some(event => event.type === 'fine'));
+        const sides = contest.failed
+            ? [
+                { char: contest.challengerChar, won: contest.challengerFailed === contest.challengedFailed ? null : contest.challengedFailed, score: null },
+                { char: contest.challengedChar, won: contest.challengerFailed === contest.challengedFailed ? null : contest.challengerFailed, score: null }
+            ]
+            : [
+                { char: contest.challengerChar, won: contest.challengerWon, score: contest.challengerScore },
+                { char: contest.challengedChar, won: !contest.challengerWon, score: contest.challengedScore }
+            ];
+        if (contest.challengerFailed && contest.challengedFailed) noResult++;
+
+        for (const side of sides) {
+            characteristics.add(side.char.name, { won: side.won, value: side.score, flagged: fined });
+            locations.add(contest.location.name, { value: side.score, flagged: fined });
+            for (const part of [contest.weather.wind, contest.weather.temperature, contest.weather.special]) {
+                if (part) weathers.add(part.name, { value: side.score, flagged: fined });
+            }
+        }
+    }
+
+    console.log(`${n} simulated contests, seed ${seed}${hour !== null ? `, ${hour}:00` : ''}, bladders at ${bladder} drinks`);
+    console.log(`${pct(noResult, n)} ended with both sides bottling it. Scores are per pisser, win% leaves those out`);
+    characteristics.print();
+    locations.print();
+    weathers.print();
+}
+
+async function simulateHeists() {
+    await contentLoader.loadContent();
+
+    const n = parseInt(option('n', 10000));
+    const seed = option('seed') ?? String(randomSeed());
+    const roomId = option('room');
+    const crewSize = parseInt(option('crew', 3));
+    const roles = (option('roles') || '').split(',').filter(Boolean);
+    const gear = (option('gear') || '').split(',').filter(Boolean);
+    const nextSeed = seedStream(seed);
+
+    // Roles go to the first few crew members, everyone carries the gear
+    const crew = Array.from({ length: crewSize }, (_, i) => ({
+        username: `crim${i + 1}`,
+        role: roles[i] || null,
+        gear
+    }));
+
+    const columns = [['n', 'n'], ['avg', 'avg'], ['p10', 'p10'], ['p50', 'p50'], ['p90', 'p90'], ['flagged', 'dropout']];
+    const hauls = new Tally('crime (haul)', [['n', 'n'], ['win', 'success'], ...columns.slice(1)]);
+    const shares = new Tally('crime (per head)', columns);
+
+    const crimes = contentLoader.getCrimes(roomId);
+    for (const crime of crimes) {
+        for (let i = 0; i < n; i++) {
+            const heist = simulateHeist(crime, crew, { seed: nextSeed(), roomId });
+            const droppedOut = heist.finishers < crew.length;
+            hauls.add(crime.id, { won: heist.success, value: heist.success ? heist.haul : null, flagged: droppedOut });
+            if (heist.success && heist.finishers > 0) {
+                shares.add(crime.id, { value: Math.floor(heist.haul / heist.finishers), flagged: droppedOut });
+            }
+        }
+    }
+
+    console.log(`${n} simulated heists per crime, seed ${seed}, crew of ${crewSize}` +
+        `${roles.length ? ` (${roles.join(', ')})` : ''}${gear.length ? ` carrying ${gear.join(', ')}` : ''}${roomId ? `, ${roomId} content` : ''}`);
+    console.log('Hauls are for successful jobs, dropout is how often anyone bailed');
+    hauls.print();
+    shares.print();
+}
+
+async function simulateEconomy(db) {
+    const days = parseInt(option('days', 30));
+    const windowDays = parseInt(option('window', 30));
+    const seed = option('seed') ?? String(randomSeed());
+    const scale = Object.fromEntries((option('scale') || '').split(',').filter(Boolean).map(pair => {
+        const [game, multiplier] = pair.split('=');
+        return [game, parseFloat(multiplier)];
+    }));
+
+    const model = await buildModel(db, { windowDays, exclude: [db.botUsername] });
+    const games = Object.keys(model.games);
+    if (games.length === 0) {
+        console.log(`Nobody's played anything in the last ${windowDays} days, nothing to project`);
+        return;
+    }
+
+    const runs = [['as is', projectEconomy(model, { days, rng: createRng(seed) })]];
+    if (Object.keys(scale).length > 0) {
+        runs.push(['scaled', projectEconomy(model, { days, rng: createRng(seed), scale })]);
+    }
+
+    console.log(`${days} day projection, seed ${seed}, odds from the last ${windowDays} days (${games.length} games, ${Object.keys(model.balances).length} accounts)`);
+    const money = (amount) => `$${Math.round(amount).toLocaleString()}`;
+    const today = runs[0][1].days[0];
+    console.log(`\n${'run'.padEnd(8)} ${'supply'.padStart(14)} ${'change'.padStart(8)} ${'median'.padStart(10)} ${'gini'.padStart(6)} ${'top 10%'.padStart(8)}`);
+    console.log(`${'today'.padEnd(8)} ${money(today.supply).padStart(14)} ${''.padStart(8)} ${money(today.median).padStart(10)} ${today.gini.toFixed(3).padStart(6)} ${pct(today.top10Share, 1).padStart(8)}`);
+    for (const [label, run] of runs) {
+        const end = run.days[run.days.length - 1];
+        const change = today.supply > 0 ? pct(end.supply - today.supply, today.supply) : '-';
+        console.log(`${label.padEnd(8)} ${money(end.supply).padStart(14)} ${change.padStart(8)} ${money(end.median).padStart(10)} ${end.gini.toFixed(3).padStart(6)} ${pct(end.top10Share, 1).padStart(8)}`);
+    }
+
+    // Biggest faucets first, sinks at the bottom
+    const [label, run] = runs[runs.length - 1];
+    const rows = Object.entries(run.games)
+        .map(([game, totals]) => ({ game, ...totals, net: totals.minted - totals.burned }))
+        .sort((a, b) => b.net - a.net);
+    const width = Math.max(4, ...rows.map(row => row.game.length));
+    console.log(`\n${`game (${label})`.padEnd(width + 8)} ${'plays'.padStart(8)} ${'minted'.padStart(12)} ${'burned'.padStart(12)} ${'net'.padStart(12)}${Object.keys(scale).length ? '  scale' : ''}`);
+    for (const row of rows) {
+        console.log(`${row.game.padEnd(width + 8)} ${String(row.plays).padStart(8)} ${money(row.minted).padStart(12)} ${money(row.burned).padStart(12)} ${money(row.net).padStart(12)}${scale[row.game] ? `  x${scale[row.game]}` : ''}`);
+    }
+}
+
+// Report each field that came out different
+function compare(label, fields) {
+    let same = true;
+    for (const [name, stored, replayed] of fields) {
+        const match = typeof stored === 'number' && typeof replayed === 'number'
+            ? Math.abs(stored - replayed) < 1e-6
+            : String(stored) === String(replayed);
+        if (!match) {
+            console.log(`  ${name}: stored ${stored}, replayed ${replayed}`);
+            same = false;
+        }
+    }
+    console.log(same ? `${label} replays exactly` : `${label} replayed differently (content changed since it was played?)`);
+    return same;
+}
+
+async function replayContest(db, id) {
+    const row = await db.get('SELECT * FROM pissing_contest_challenges WHERE id = ?', [id]);
+    if (!row) throw new Error(`No contest #${id}`);
+    if (row.seed === null || row.seed === undefined) throw new Error(`Contest #${id} was played before seeds were stored`);
+
+    const contest = simulateContest({
+        seed: row.seed,
+        hour: new Date(row.created_at).getHours(),
+        challengerBladder: row.challenger_bladder || 0,
+        challengedBladder: row.challenged_bladder || 0
+    });
+    if (contest.failed) {
+        return compare(`Contest #${id}`, [['result', 'decided', 'somebody bottled it']]);
+    }
+
+    const winner = contest.challengerWon ? row.challenger : row.challenged;
+    console.log(`Contest #${id}: ${row.challenger} (${contest.challengerChar.name}) vs ${row.challenged} (${contest.challengedChar.name}) at ${contest.location.name}, ${formatWeather(contest.weather)}`);
+    console.log(`  ${contest.challengerScore} - ${contest.challengedScore}, ${winner} wins`);
+
+    return compare(`Contest #${id}`, [
+        ['challenger characteristic', row.challenger_characteristic, contest.challengerChar.name],
+        ['challenged characteristic', row.challenged_characteristic, contest.challengedChar.name],
+        ['location', row.location, contest.location.name],
+        ['weather', row.weather, formatWeather(contest.weather)],
+        ['winner', row.winner, winner],
+        ['challenger distance', row.challenger_distance, contest.challengerStats.distance],
+        ['challenged distance', row.challenged_distance, contest.challengedStats.distance],
+        ['challenger total', row.challenger_total, contest.challengerScore],
+        ['challenged total', row.challenged_total, contest.challengedScore]
+    ]);
+}
+
+async function replayHeist(db, id) {
+    await contentLoader.loadContent();
+
+    const row = await db.get('SELECT * FROM heist_events WHERE id = ?', [id]);
+    if (!row) throw new Error(`No heist #${id}`);
+    if (row.seed === null || row.seed === undefined) throw new Error(`Heist #${id} was played before seeds were stored`);
+
+    const crime = contentLoader.getCrimeById(row.crime_type, row.room_id);
+    if (!crime) throw new Error(`Crime ${row.crime_type} is no longer in the heist content`);
+
+    const crew = (await db.all('SELECT * FROM heist_crew WHERE heist_id = ? ORDER BY joined_at, username', [id]))
+        .map(member => ({ ...member, gear: JSON.parse(member.gear || '[]') }));
+    const heist = simulateHeist(crime, crew, { seed: row.seed, roomId: row.room_id });
+
+    console.log(`Heist #${id}: ${crime.name} with ${crew.length} crew, ${heist.success ? `$${heist.haul} haul` : 'failed'}`);
+    for (const stage of heist.stages) {
+        console.log(`  ${stage.id}: ${stage.bailed ? 'everyone bailed' : stage.success ? 'through' : 'failed'}${stage.dropped.length ? `, ${stage.dropped.join(', ')} dropped out` : ''}`);
+    }
+
+    const droppedAt = new Map(heist.stages.flatMap(stage => stage.dropped.map(username => [username, stage.id])));
+    return compare(`Heist #${id}`, [
+        ['success', !!row.success, heist.success],
+        ['haul', row.total_payout, heist.haul],
+        ...crew.map(member => [`${member.username} dropped at`, member.dropped_stage, droppedAt.get(member.username) ?? null])
+    ]);
+}
+
+async function main() {
+    const command = process.argv[2];
+
+    try {
+        switch (command) {
+            case 'contests':
+                simulateContests();
+                break;
+
+            case 'heists':
+                await simulateHeists();
+                break;
+
+            case 'economy': {
+                const db = new Database(DB_PATH);
+                await db.init();
+                try {
+                    await simulateEconomy(db);
+                } finally {
+                    await db.close();
+                }
+                break;
+            }
+
+            case 'replay': {
+                const kind = process.argv[3];
+                const id = parseInt(process.argv[4]);
+                if (!['contest', 'heist'].includes(kind) || isNaN(id)) {
+                    console.log('Usage: replay contest|heist <id>');
+                    process.exit(1);
+                }
+
+                const db = new Database(DB_PATH);
+                await db.init();
+                try {
+                    const same = kind === 'contest' ? await replayContest(db, id) : await replayHeist(db, id);
+                    process.exitCode = same ? 0 : 1;
+                } finally {
+                    await db.close();
+                }
+                break;
+            }
+
+            default:
+                console.log('Unknown command:', command);
+                console.log('Available commands: contests, heists, economy, replay');
+                process.exit(1);
+        }
+    } catch (error) {
+        console.error('Simulation failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -7,6 +7,7 @@ import { extractImageUrls } from '../utils/imageDetector.js';
 import { cooldownSchema } from '../utils/cooldownSchema_compat.js';
 import MigrationRunner from '../migrations/runner.js';
 import { createLogger } from '../utils/logger.js';
+import { AsyncLocalStorage } from 'async_hooks';
 
 class Database {
     constructor(dbPath, botUsername = 'dazza', options = {}) {
@@ -25,6 +26,12 @@ class Database {
         this.run = null;
         this.get = null;
         this.all = null;
+        
+        // transaction() calls are queued so only one BEGIN is open on the connection at a time.
+        // While any are open or waiting, run() from outside them joins the same queue
+        this.transactionQueue = Promise.resolve();
+        this.transactionContext = new AsyncLocalStorage();
+        this.pendingTransactions = 0;
     }
     
     setBot(bot) {
@@ -45,7 +52,7 @@ class Database {
                     this.all = promisify(this.db.all.bind(this.db));
                     
                     // Custom run method to properly return lastID
-                    this.run = (sql, params = []) => {
+                    const exec = (sql, params = []) => {
                         return new Promise((resolve, reject) => {
                             this.db.run(sql, params, function(err) {
                                 if (err) {
@@ -57,6 +64,17 @@ class Database {
                         });
                     };
                     
+                    // A write from outside an open transaction would land inside it (it's one
+                    // connection) and go with it on a rollback, so it waits its turn instead
+                    this.run = (sql, params = []) => {
+                        if (this.pendingTransactions === 0 || this.currentTransaction()) {
+                            return exec(sql, params);
+                        }
+                        const write = this.transactionQueue.then(() => exec(sql, params));
+                        this.transactionQueue = write.catch(() => {});
+                        return write;
+                    };
+                    
                     this.createTables()
                         .then(() => this.runMigrations())
                         .then(resolve)
@@ -839,12 +857,63 @@ class Database {
     }
 
     // Reminder methods
-    async addReminder(fromUser, toUser, message, remindAt, roomId = 'fatpizza') {
+    async addReminder(fromUser, toUser, message, remindAt, roomId = 'fatpizza', options = {}) {
         const createdAt = Date.now();
+        const recurrence = options.recurrence ? JSON.stringify(options.recurrence) : null;
         
+        const result = await this.run(
+            'INSERT INTO reminders (from_user, to_user, message, created_at, remind_at, room_id, recurrence, timezone) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [fromUser, toUser, message, createdAt, remindAt, roomId, recurrence, options.timezone || null]
+        );
+        return result.lastID;
+    }
+
+    async getReminder(id) {
+        return await this.get('SELECT * FROM reminders WHERE id = ?', [id]);
+    }
+
+    // Reminders a user has set that haven't gone off yet (recurring ones never finish)
+    async getPendingReminders(fromUser) {
+        return await this.all(
+            'SELECT * FROM reminders WHERE LOWER(from_user) = LOWER(?) AND delivered = 0 ORDER BY remind_at',
+            [fromUser]
+        );
+    }
+
+    // The reminder that most recently went off for a user, for snoozing
+    async getLastDeliveredReminder(username) {
+        return await this.get(
+            `SELECT * FROM reminders
+             WHERE delivered_at IS NOT NULL
+               AND ((to_user = '@me' AND LOWER(from_user) = LOWER(?)) OR LOWER(to_user) = LOWER(?))
+             ORDER BY delivered_at DESC LIMIT 1`,
+            [username, username]
+        );
+    }
+
+    async cancelReminder(id) {
+        const result = await this.run('DELETE FROM reminders WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    // Move a reminder to a new time and make it pending again (next occurrence or snooze)
+    async rescheduleReminder(id, remindAt, deliveredAt = null) {
         await this.run(
-            'INSERT INTO reminders (from_user, to_user, message, created_at, remind_at, room_id) VALUES (?, ?, ?, ?, ?, ?)',
-            [fromUser, toUser, message, createdAt, remindAt, roomId]
+            'UPDATE reminders SET remind_at = ?, delivered = 0, delivered_at = COALESCE(?, delivered_at) WHERE id = ?',
+            [remindAt, deliveredAt, id]
+        );
+    }
+
+    async getUserTimezone(username) {
+        const row = await this.get('SELECT timezone FROM user_timezones WHERE username = ?', [username]);
+        return row?.timezone || null;
+    }
+
+    async setUserTimezone(username, timezone) {
+        await this.run(
+            `INSERT INTO user_timezones (username, timezone, updated_at) VALUES (?, ?, ?)
+             ON CONFLICT(username) DO UPDATE SET timezone = excluded.timezone, updated_at = excluded.updated_at`,
+            [username, timezone, Date.now()]
         );
     }
 
@@ -858,8 +927,8 @@ class Database {
 
     async markReminderDelivered(id) {
         await this.run(
-            'UPDATE reminders SET delivered = 1 WHERE id = ?',
-            [id]
+            'UPDATE reminders SET delivered = 1, delivered_at = ? WHERE id = ?',
+            [Date.now(), id]
         );
     }
 
@@ -1402,6 +1471,70 @@ class Database {
         }
     }
 
+    /**
+     * The transaction this code is running inside, if it's still open. Timers
+     * and callbacks started inside fn carry its context after it's finished,
+     * so a finished one doesn't count.
+     */
+    currentTransaction() {
+        const context = this.transactionContext.getStore();
+        return context && !context.finished ? context : null;
+    }
+
+    /**
+     * Run fn inside a single SQLite transaction, rolling back if it throws.
+     * Nested calls (from inside fn) join the outer transaction.
+     */
+    async transaction(fn) {
+        if (this.currentTransaction()) {
+            return fn();
+        }
+        
+        const context = { afterCommit: [], finished: false };
+        this.pendingTransactions++;
+        const result = this.transactionQueue.then(() => this.transactionContext.run(context, async () => {
+            await this.run('BEGIN IMMEDIATE TRANSACTION');
+            try {
+                const value = await fn();
+                await this.run('COMMIT');
+                return value;
+            } catch (error) {
+                await this.run('ROLLBACK').catch(() => {});
+                throw error;
+            } finally {
+                context.finished = true;
+            }
+        })).finally(() => {
+            this.pendingTransactions--;
+        });
+        
+        // Keep the queue moving even if this transaction failed
+        this.transactionQueue = result.catch(() => {});
+        
+        const value = await result;
+        for (const callback of context.afterCommit) {
+            try {
+                callback();
+            } catch (error) {
+                this.logger.error('After-commit callback failed:', { error: error.message });
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Run callback once the current transaction commits (straight away if there isn't one).
+     * Dropped if the transaction rolls back.
+     */
+    afterCommit(callback) {
+        const context = this.currentTransaction();
+        if (context) {
+            context.afterCommit.push(callback);
+        } else {
+            callback();
+        }
+    }
+
     async cleanup() {
         try {
             // Rollback any pending transactions
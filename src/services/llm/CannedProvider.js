@@ -0,0 +1,48 @@
+import { LLMProvider } from './LLMProvider.js';
+
+const DEFAULT_RESPONSES = {
+    mention: [
+        'yeah nah mate too cooked to think about that one',
+        'oath, reminds me of the time shazza backed the ute into the servo',
+        'dunno mate ask me after me next cone'
+    ],
+    summary: ['Not much conversation']
+};
+
+/**
+ * Deterministic provider for tests and offline rooms. Hands out its responses
+ * for each purpose in order, wrapping around, and never touches the network.
+ * Every request is kept in `requests` so a test can see what was asked
+ */
+export class CannedProvider extends LLMProvider {
+    /**
+     * @param {Object} options
+     * @param {Object} options.responses - Lines per purpose, e.g. { mention: ['...'] }
+     * @param {boolean} options.available - What isAvailable() reports (default true)
+     */
+    constructor(options = {}) {
+        super('canned', { retries: 0, ...options });
+        this.model = 'canned';
+        this.responses = { ...DEFAULT_RESPONSES, ...options.responses };
+        this.available = options.available !== false;
+        this.requests = [];
+        this.cursors = new Map();
+    }
+
+    async ping() {
+        return this.available;
+    }
+
+    async generate(request) {
+        this.requests.push(request);
+        const lines = this.responses[request.purpose] || this.responses.mention;
+        const cursor = this.cursors.get(request.purpose) || 0;
+        this.cursors.set(request.purpose, cursor + 1);
+        return lines[cursor % lines.length];
+    }
+
+    reset() {
+        this.requests = [];
+        this.cursors.clear();
+    }
+}
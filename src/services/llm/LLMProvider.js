@@ -0,0 +1,132 @@
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('LLMProvider');
+
+// Token budgets for each kind of request when the provider config doesn't set one
+export const DEFAULT_MAX_TOKENS = {
+    mention: 150,
+    summary: 300
+};
+
+export class LLMError extends Error {
+    constructor(message, { status = null, retryable = true } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Base class for a text generation backend.
+ * Subclasses implement generate() (and usually ping()); complete() wraps it
+ * with the provider's timeout, retries and token budget so callers only ever
+ * get text back or null.
+ *
+ * A request looks like:
+ *   { purpose: 'mention' | 'summary', system, prompt, temperature, topP, stop, seed }
+ */
+export class LLMProvider {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Default per-attempt timeout (ms)
+     * @param {Object} options.timeouts - Per-purpose timeouts, e.g. { summary: 30000 }
+     * @param {number} options.retries - Extra attempts after a failed one
+     * @param {Object} options.maxTokens - Per-purpose token budgets, e.g. { mention: 150 }
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.model = options.model || null;
+        this.timeout = options.timeout || 30000;
+        this.timeouts = options.timeouts || {};
+        this.retries = options.retries ?? 1;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.availabilityTimeout = options.availabilityTimeout || 2000;
+        this.maxTokens = { ...DEFAULT_MAX_TOKENS, ...options.maxTokens };
+    }
+
+    /**
+     * Check the backend is up
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+        try {
+            return await this.withTimeout(signal => this.ping(signal), this.availabilityTimeout);
+        } catch (error) {
+            logger.debug(`${this.name} not available:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Generate text for a request
+     * @returns {Promise<string|null>} Trimmed text, or null once every attempt has failed
+     */
+    async complete(request) {
+        const purpose = request.purpose || 'mention';
+        const budgeted = {
+            ...request,
+            purpose,
+            maxTokens: request.maxTokens || this.maxTokens[purpose] || DEFAULT_MAX_TOKENS.mention
+        };
+        const timeout = this.timeouts[purpose] || this.timeout;
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+            }
+
+            try {
+                const text = await this.withTimeout(signal => this.generate(budgeted, signal), timeout);
+                if (text && text.trim()) {
+                    return text.trim();
+                }
+                logger.warn(`${this.name} returned an empty ${purpose} response (attempt ${attempt + 1})`);
+            } catch (error) {
+                const reason = error.name === 'AbortError' ? `timed out after ${timeout}ms` : error.message;
+                logger.warn(`${this.name} ${purpose} request failed (attempt ${attempt + 1}): ${reason}`);
+                if (error.retryable === false) break;
+            }
+        }
+
+        return null;
+    }
+
+    async withTimeout(fn, ms) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), ms);
+        try {
+            return await fn(controller.signal);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * @param {AbortSignal} signal
+     * @returns {Promise<boolean>}
+     */
+    async ping(signal) {
+        return true;
+    }
+
+    /**
+     * @param {Object} request - Request with maxTokens filled in
+     * @param {AbortSignal} signal
+     * @returns {Promise<string>}
+     */
+    async generate(request, signal) {
+        throw new Error(`${this.name} provider does not implement generate()`);
+    }
+
+    /**
+     * Throw an LLMError for a failed HTTP response. 4xx (bar 408/429) won't
+     * get better by asking again, so those aren't retried
+     */
+    async checkResponse(response) {
+        if (response.ok) return;
+        const body = await response.text().catch(() => '');
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw new LLMError(`HTTP ${response.status}: ${body.substring(0, 200)}`, { status: response.status, retryable });
+    }
+}
@@ -1,14 +1,22 @@
-import fetch from 'node-fetch';
-import { createLogger } from '../utils/logger.js';
+import { createLogger } from '../../utils/logger.js';
+import { createProvider } from './providers.js';
 
-const logger = createLogger('OllamaService');
+const logger = createLogger('LLMService');
 
-export class OllamaService {
+/**
+ * Dazza's brain: his personality prompt, input sanitising and reply clean-up,
+ * talking to whichever LLMProvider the room is set up to use.
+ *
+ * The global provider comes from config.llm; a room can pick another one (or
+ * tweak the global one's settings) with settings.llm in its room file.
+ */
+export class LLMService {
     constructor(config) {
-        this.baseUrl = config.ollama?.url || 'http://192.168.68.85:11434';
-        this.model = config.ollama?.model || 'dolphin-mistral:7b-v2.8-q4_0';
-        this.timeout = config.ollama?.timeout || 10000; // 10 seconds
-        this.maxRetries = 1;
+        this.config = config.llm || {};
+        this.providerSettings = this.config.providers || {};
+        this.defaultProviderName = this.config.provider || 'ollama';
+        this.defaultProvider = createProvider(this.defaultProviderName, this.providerSettings[this.defaultProviderName]);
+        this.roomProviders = new Map(); // roomId -> LLMProvider, or null when the room has it switched off
         
         // System prompt for Dazza's personality with anti-manipulation safeguards
         this.systemPrompt = `You're Dazza. 
@@ -25,26 +33,67 @@ Keep it natural mate - few sentences usually, but if you're on a proper rant abo
     }
     
     /**
-     * Check if Ollama service is available
-     * @returns {Promise<boolean>}
+     * Apply a room's settings.llm
+     * e.g. { provider: 'openai', model: 'gpt-4o-mini', maxTokens: { mention: 100 } } or { enabled: false }
      */
-    async isAvailable() {
+    setRoomConfig(roomId, roomConfig = {}) {
+        const settings = roomConfig.settings?.llm;
+        if (!settings) {
+            this.roomProviders.delete(roomId);
+            return;
+        }
+        
+        if (settings.enabled === false) {
+            this.roomProviders.set(roomId, null);
+            return;
+        }
+        
+        const { provider: name = this.defaultProviderName, enabled, ...overrides } = settings;
         try {
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), 2000);
-            
-            const response = await fetch(`${this.baseUrl}/api/tags`, {
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeout);
-            return response.ok;
+            const base = this.providerSettings[name] || {};
+            this.roomProviders.set(roomId, createProvider(name, {
+                ...base,
+                ...overrides,
+                timeouts: { ...base.timeouts, ...overrides.timeouts },
+                maxTokens: { ...base.maxTokens, ...overrides.maxTokens }
+            }));
+            logger.info(`Room ${roomId} using ${name} for chat (${this.roomProviders.get(roomId).model})`);
         } catch (error) {
-            logger.debug('Ollama service not available:', error.message);
-            return false;
+            logger.error(`Bad llm settings for room ${roomId}, using the default provider:`, error.message);
+            this.roomProviders.delete(roomId);
         }
     }
     
+    /**
+     * Provider for a room, or null if the room has switched it off
+     * @param {string} roomId
+     * @returns {LLMProvider|null}
+     */
+    getProvider(roomId = null) {
+        if (roomId && this.roomProviders.has(roomId)) {
+            return this.roomProviders.get(roomId);
+        }
+        return this.defaultProvider;
+    }
+    
+    /**
+     * @param {string} roomId
+     * @returns {boolean}
+     */
+    isEnabled(roomId = null) {
+        return this.getProvider(roomId) !== null;
+    }
+    
+    /**
+     * Check if the room's provider is available
+     * @param {string} roomId
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable(roomId = null) {
+        const provider = this.getProvider(roomId);
+        return provider ? provider.isAvailable() : false;
+    }
+    
     /**
      * Sanitize input to prevent prompt injection
      * @param {string} text - Text to sanitize
@@ -71,10 +120,13 @@ Keep it natural mate - few sentences usually, but if you're on a proper rant abo
     }
     
     /**
-     * Generate a response from Ollama
+     * Generate Dazza's reply to a mention
      * @param {string} prompt - The user's message/mention
      * @param {Array} context - Last 10 messages for context
      * @param {Object} options - Additional options
+     * @param {string} options.roomId - Room the mention came from (picks the provider)
+     * @param {string} options.username - Who's talking to Dazza
+     * @param {Object} options.memory - ConversationMemory.buildContext() output (facts, media, exchanges)
      * @returns {Promise<string|null>} Generated response or null if failed
      */
     async generateResponse(prompt, context = [], options = {}) {
@@ -82,6 +134,29 @@ Keep it natural mate - few sentences usually, but if you're on a proper rant abo
             // Sanitize the input prompt
             const sanitizedPrompt = this.sanitizeInput(prompt);
             
+            // What Dazza remembers (already trimmed to the memory token budget)
+            let memoryString = '';
+            const memory = options.memory;
+            if (memory) {
+                const who = options.username || 'them';
+                if (memory.media) {
+                    memoryString += `\nOn the telly right now: ${this.sanitizeInput(memory.media)}\n`;
+                }
+                if (memory.facts?.length > 0) {
+                    memoryString += `\nThings you know about ${who}:\n`;
+                    memory.facts.forEach(fact => {
+                        memoryString += `- ${this.sanitizeInput(fact)}\n`;
+                    });
+                }
+                if (memory.exchanges?.length > 0) {
+                    memoryString += `\nLast time you talked with ${who}:\n`;
+                    memory.exchanges.forEach(exchange => {
+                        memoryString += `[${who}]: ${this.sanitizeInput(exchange.message)}\n`;
+                        memoryString += `[Dazza]: ${this.sanitizeInput(exchange.reply)}\n`;
+                    });
+                }
+            }
+            
             // Build context string from recent messages
             let contextString = '';
             if (context.length > 0) {
@@ -94,68 +169,34 @@ Keep it natural mate - few sentences usually, but if you're on a proper rant abo
                 contextString += '\n';
             }
             
-            // Build the full prompt with sanitized input
-            const fullPrompt = `${this.systemPrompt}
-
-${contextString}
-Someone just said to you: "${sanitizedPrompt}"
+            // Build the prompt with sanitized input (the provider adds the system prompt)
+            const userPrompt = `${memoryString}${contextString}
+${options.username || 'Someone'} just said to you: "${sanitizedPrompt}"
 
 Respond directly to what they said. Keep it short but coherent. Stay on topic:`;
             
-            const controller = new AbortController();
-            const timeout = setTimeout(() => controller.abort(), this.timeout);
-            
-            const response = await fetch(`${this.baseUrl}/api/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    prompt: fullPrompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.7,  // Reduced from 0.9 for more coherent responses
-                        top_p: 0.85,       // Reduced from 0.9 for better focus
-                        num_predict: 150,  // Increased from 100 to allow complete thoughts
-                        repeat_penalty: 1.1, // Prevent repetitive responses
-                        stop: ['\n\n', '[', 'User:', 'Assistant:', '```'], // Stop sequences
-                        num_thread: 8,
-                        num_ctx: 2048,
-                        seed: -1,          // Random seed for variety
-                        top_k: 40          // Limit vocabulary for coherency
-                    }
-                }),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeout);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                logger.error('Ollama API error:', response.status, errorText);
-                return null;
-            }
-            
-            let data;
-            try {
-                data = await response.json();
-            } catch (error) {
-                logger.error('Failed to parse Ollama response as JSON:', error.message);
-                const responseText = await response.text();
-                logger.error('Raw response:', responseText.substring(0, 500));
+            const provider = this.getProvider(options.roomId);
+            if (!provider) {
                 return null;
             }
             
-            logger.debug('Ollama response data:', JSON.stringify(data).substring(0, 200));
+            const text = await provider.complete({
+                purpose: 'mention',
+                system: this.systemPrompt,
+                prompt: userPrompt,
+                temperature: 0.7,  // Reduced from 0.9 for more coherent responses
+                topP: 0.85,        // Reduced from 0.9 for better focus
+                stop: ['\n\n', '[', 'User:', 'Assistant:', '```'],
+                seed: -1           // Random seed for variety
+            });
             
-            if (!data.response || data.response.trim() === '') {
-                logger.error('Empty or no response from Ollama. Full response:', JSON.stringify(data).substring(0, 500));
+            if (!text) {
+                logger.error(`No response from ${provider.name}`);
                 return null;
             }
             
             // Clean up and validate the response
-            let cleaned = data.response.trim();
+            let cleaned = text;
             
             // Remove any potential prompt leakage
             cleaned = cleaned.replace(/^(Dazza:|dazza:)/i, '').trim();
@@ -239,11 +280,7 @@ Respond directly to what they said. Keep it short but coherent. Stay on topic:`;
             return finalMessages.length > 1 ? finalMessages : finalMessages[0];
             
         } catch (error) {
-            if (error.name === 'AbortError') {
-                logger.error('Ollama request timeout');
-            } else {
-                logger.error('Ollama generation error:', error.message);
-            }
+            logger.error('Mention generation error:', error.message);
             return null;
         }
     }
@@ -305,9 +342,10 @@ Respond directly to what they said. Keep it short but coherent. Stay on topic:`;
      * Generate a summary of chat messages
      * @param {string} chatLog - The chat messages to summarize
      * @param {number} hours - Number of hours being summarized
+     * @param {string} roomId - Room the summary is for (picks the provider)
      * @returns {Promise<string[]|null>} Array of summary messages or null if failed
      */
-    async generateSummary(chatLog, hours) {
+    async generateSummary(chatLog, hours, roomId = null) {
         try {
             const summarySystemPrompt = `You are a chat summarizer. CRITICAL: Output ONE message only, max 240 chars total.
 
@@ -322,63 +360,33 @@ RULES:
 
             const summaryPrompt = `Below is a ${hours}-hour chat log. Summarize what these specific users discussed:`;
 
-            // Log what we're sending to Ollama
-            const fullPrompt = `${summarySystemPrompt}\n\n${summaryPrompt}\n\n${chatLog}`;
-            logger.debug('Sending to Ollama for summary:', {
-                promptLength: fullPrompt.length,
+            logger.debug('Sending chat log for summary:', {
+                promptLength: summarySystemPrompt.length + summaryPrompt.length + chatLog.length,
                 chatLogLines: chatLog.split('\n').length,
                 firstLine: chatLog.split('\n')[0],
                 lastLine: chatLog.split('\n').slice(-1)[0]
             });
 
-            const controller = new AbortController();
-            const summaryTimeout = 30000; // 30 seconds for summaries
-            const timeout = setTimeout(() => controller.abort(), summaryTimeout);
-            
-            const response = await fetch(`${this.baseUrl}/api/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    prompt: fullPrompt,  // Use the full prompt with chat log!
-                    stream: false,
-                    options: {
-                        temperature: 0.1,      // Very low for maximum accuracy
-                        top_p: 0.5,           // Lower to reduce creativity
-                        num_predict: 300,      // Enough tokens to think and craft a good summary
-                        repeat_penalty: 1.2,   // Higher to prevent repetition
-                        stop: ['\n\n\n', 'User:', 'Assistant:', '```', 'Human:', 'AI:'],
-                        num_thread: 8,
-                        num_ctx: 8192,        // Even larger context window
-                        seed: 42,             // Fixed seed for consistency
-                        top_k: 10,            // Much lower for factual responses
-                        mirostat: 2,          // Enable mirostat for better coherence
-                        mirostat_tau: 2.0,    // Lower perplexity target
-                        mirostat_eta: 0.05    // Conservative learning rate
-                    }
-                }),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeout);
-            
-            if (!response.ok) {
-                logger.error('Ollama summary API error:', response.status);
+            const provider = this.getProvider(roomId);
+            if (!provider) {
                 return null;
             }
             
-            const data = await response.json();
+            const summary = await provider.complete({
+                purpose: 'summary',
+                system: summarySystemPrompt,
+                prompt: `${summaryPrompt}\n\n${chatLog}`,
+                temperature: 0.1,  // Very low for maximum accuracy
+                topP: 0.5,         // Lower to reduce creativity
+                stop: ['\n\n\n', 'User:', 'Assistant:', '```', 'Human:', 'AI:'],
+                seed: 42           // Fixed seed for consistency
+            });
             
-            if (!data.response || data.response.trim() === '') {
-                logger.error('Empty summary response from Ollama');
+            if (!summary) {
+                logger.error(`Empty summary response from ${provider.name}`);
                 return null;
             }
             
-            // Clean the response
-            let summary = data.response.trim();
-            
             // If the summary is too long for one message, split it into two
             if (summary.length > 240) {
                 const messages = [];
@@ -445,7 +453,7 @@ RULES:
     }
     
     /**
-     * Get fallback response when Ollama is unavailable
+     * Get fallback response when the LLM is unavailable
      * @returns {string}
      */
     getFallbackResponse() {
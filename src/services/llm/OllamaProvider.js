@@ -0,0 +1,69 @@
+import fetch from 'node-fetch';
+import { LLMProvider, LLMError } from './LLMProvider.js';
+
+// Ollama-only sampling knobs for each kind of request
+const TUNING = {
+    mention: {
+        repeat_penalty: 1.1,
+        num_thread: 8,
+        num_ctx: 2048,
+        top_k: 40
+    },
+    summary: {
+        repeat_penalty: 1.2,
+        num_thread: 8,
+        num_ctx: 8192,
+        top_k: 10,
+        mirostat: 2,
+        mirostat_tau: 2.0,
+        mirostat_eta: 0.05
+    }
+};
+
+/**
+ * Ollama's native API (/api/generate, /api/tags)
+ */
+export class OllamaProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('ollama', options);
+        this.baseUrl = (options.url || 'http://localhost:11434').replace(/\/+$/, '');
+        this.model = options.model || 'dolphin-mistral:7b-v2.8-q4_0';
+        this.tuning = options.tuning || TUNING;
+    }
+
+    async ping(signal) {
+        const response = await fetch(`${this.baseUrl}/api/tags`, { signal });
+        return response.ok;
+    }
+
+    async generate(request, signal) {
+        const response = await fetch(`${this.baseUrl}/api/generate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                model: this.model,
+                // /api/generate has no separate system slot that every model honours
+                prompt: request.system ? `${request.system}\n\n${request.prompt}` : request.prompt,
+                stream: false,
+                options: {
+                    ...this.tuning[request.purpose],
+                    temperature: request.temperature,
+                    top_p: request.topP,
+                    num_predict: request.maxTokens,
+                    stop: request.stop,
+                    seed: request.seed ?? -1
+                }
+            }),
+            signal
+        });
+
+        await this.checkResponse(response);
+
+        const data = await response.json().catch(() => {
+            throw new LLMError('response was not JSON');
+        });
+        return data.response || '';
+    }
+}
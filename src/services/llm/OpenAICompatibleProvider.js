@@ -0,0 +1,68 @@
+import fetch from 'node-fetch';
+import { LLMProvider, LLMError } from './LLMProvider.js';
+
+// The OpenAI API rejects more than four stop sequences
+const MAX_STOP_SEQUENCES = 4;
+
+/**
+ * Any server speaking the OpenAI chat completions API (OpenAI itself,
+ * llama.cpp, vLLM, LM Studio, OpenRouter...). url is the API root that
+ * /chat/completions and /models hang off, usually ending in /v1
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('openai', options);
+        this.baseUrl = (options.url || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.model = options.model || 'gpt-4o-mini';
+        this.apiKey = options.apiKey || null;
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async ping(signal) {
+        const response = await fetch(`${this.baseUrl}/models`, { headers: this.headers(), signal });
+        return response.ok;
+    }
+
+    async generate(request, signal) {
+        const messages = [];
+        if (request.system) {
+            messages.push({ role: 'system', content: request.system });
+        }
+        messages.push({ role: 'user', content: request.prompt });
+
+        const body = {
+            model: this.model,
+            messages,
+            max_tokens: request.maxTokens,
+            temperature: request.temperature,
+            top_p: request.topP
+        };
+        if (request.stop?.length) {
+            body.stop = request.stop.slice(0, MAX_STOP_SEQUENCES);
+        }
+        if (request.seed !== undefined && request.seed >= 0) {
+            body.seed = request.seed;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify(body),
+            signal
+        });
+
+        await this.checkResponse(response);
+
+        const data = await response.json().catch(() => {
+            throw new LLMError('response was not JSON');
+        });
+        return data.choices?.[0]?.message?.content || '';
+    }
+}
@@ -0,0 +1,6 @@
+export { LLMService } from './LLMService.js';
+export { LLMProvider, LLMError, DEFAULT_MAX_TOKENS } from './LLMProvider.js';
+export { OllamaProvider } from './OllamaProvider.js';
+export { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+export { CannedProvider } from './CannedProvider.js';
+export { LLM_PROVIDERS, createProvider } from './providers.js';
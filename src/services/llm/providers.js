@@ -0,0 +1,23 @@
+import { OllamaProvider } from './OllamaProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { CannedProvider } from './CannedProvider.js';
+
+export const LLM_PROVIDERS = {
+    ollama: OllamaProvider,
+    openai: OpenAICompatibleProvider,
+    canned: CannedProvider
+};
+
+/**
+ * Build a provider by name
+ * @param {string} name - ollama | openai | canned
+ * @param {Object} options - Provider settings (url, model, timeout, retries, maxTokens...)
+ * @returns {LLMProvider}
+ */
+export function createProvider(name, options = {}) {
+    const Provider = LLM_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}" (expected one of ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+    }
+    return new Provider(options);
+}
@@ -1,17 +1,23 @@
 /**
  * Cash Monitor - Logs all balance changes for users
- * Polls the database every 5-10 seconds and reports changes
+ * Follows the economy ledger and prints every posted transfer as it happens.
+ * A slow poll of user_economy still runs to catch any balance change that
+ * didn't go through the ledger.
  */
 
 export class CashMonitor {
-    constructor(database, logger, interval = 10000) {
+    constructor(database, logger, interval = 10000, ledger = null) {
         this.db = database;
         this.logger = logger;
         this.interval = interval;
+        this.ledger = ledger;
         this.previousBalances = new Map();
         this.isRunning = false;
         this.intervalId = null;
         this.debugMode = false; // Set to true for verbose logging
+        this.transactionsSeen = 0;
+        this.unledgeredChanges = 0;
+        this.onTransaction = (transaction) => this.handleTransaction(transaction);
     }
 
     async start() {
@@ -28,6 +34,10 @@ export class CashMonitor {
         this.previousBalances = initialBalances;
         this.logger.info(`Cash monitor initialized with ${initialBalances.size} users`);
 
+        if (this.ledger) {
+            this.ledger.on('transaction', this.onTransaction);
+        }
+
         // Start polling
         this.intervalId = setInterval(async () => {
             await this.checkForChanges();
@@ -42,6 +52,10 @@ export class CashMonitor {
         this.logger.info('Stopping cash monitor...');
         this.isRunning = false;
 
+        if (this.ledger) {
+            this.ledger.off('transaction', this.onTransaction);
+        }
+
         if (this.intervalId) {
             clearInterval(this.intervalId);
             this.intervalId = null;
@@ -66,6 +80,47 @@ export class CashMonitor {
         }
     }
 
+    printChange(change, username, detail, prefix = '') {
+        const arrow = change > 0 ? '↑' : '↓';
+        const color = change > 0 ? '\x1b[32m' : '\x1b[31m'; // green for up, red for down
+        const reset = '\x1b[0m';
+        const changeStr = change > 0 ? `+$${change}` : `-$${Math.abs(change)}`;
+
+        console.log(
+            `${prefix}${color}${arrow}${reset} ${username.padEnd(20)} ` +
+            `${color}${changeStr.padStart(10)}${reset} ` +
+            detail
+        );
+    }
+
+    /**
+     * Log a transfer posted to the ledger and keep our balance snapshot in step,
+     * so the poll only reports changes the ledger never saw
+     */
+    handleTransaction(transaction) {
+        this.transactionsSeen++;
+        const timestamp = new Date(transaction.createdAt).toISOString().substring(11, 19); // HH:MM:SS
+
+        for (const entry of transaction.entries) {
+            const oldBalance = entry.balanceAfter - entry.amount;
+            this.previousBalances.set(entry.username, entry.balanceAfter);
+
+            if (entry.amount === 0 && !this.debugMode) continue;
+
+            if (entry.amount === 0) {
+                console.log(`[${timestamp}] ${entry.type} ${entry.username} (no change) [${transaction.roomId}]`);
+                continue;
+            }
+
+            this.printChange(
+                entry.amount,
+                entry.username,
+                `($${oldBalance} → $${entry.balanceAfter}) ${entry.type} ↔ ${entry.counterparty} [${transaction.roomId}]`,
+                `[${timestamp}] 💰 `
+            );
+        }
+    }
+
     async checkForChanges() {
         try {
             const currentBalances = await this.updateBalances();
@@ -82,13 +137,11 @@ export class CashMonitor {
                 const oldBalance = this.previousBalances.get(username);
                 
                 if (oldBalance !== undefined && oldBalance !== newBalance) {
-                    const change = newBalance - oldBalance;
                     changes.push({
                         username,
                         oldBalance,
                         newBalance,
-                        change,
-                        changeStr: change > 0 ? `+$${change}` : `-$${Math.abs(change)}`
+                        change: newBalance - oldBalance
                     });
                 }
             }
@@ -100,30 +153,27 @@ export class CashMonitor {
                         username,
                         oldBalance,
                         newBalance: 0,
-                        change: -oldBalance,
-                        changeStr: `-$${oldBalance}`
+                        change: -oldBalance
                     });
                 }
             }
 
-            // Log changes if any
+            // Log changes if any - with a ledger attached these bypassed it
             if (changes.length > 0) {
-                console.log(`\n[${timestamp}] 💰 BALANCE CHANGES DETECTED:`);
+                const heading = this.ledger ? 'BALANCE CHANGES OUTSIDE THE LEDGER' : 'BALANCE CHANGES DETECTED';
+                console.log(`\n[${timestamp}] 💰 ${heading}:`);
                 console.log('─'.repeat(60));
                 
                 for (const change of changes) {
-                    const arrow = change.change > 0 ? '↑' : '↓';
-                    const color = change.change > 0 ? '\x1b[32m' : '\x1b[31m'; // green for up, red for down
-                    const reset = '\x1b[0m';
-                    
-                    console.log(
-                        `${color}${arrow}${reset} ${change.username.padEnd(20)} ` +
-                        `${color}${change.changeStr.padStart(10)}${reset} ` +
-                        `($${change.oldBalance} → $${change.newBalance})`
-                    );
+                    this.printChange(change.change, change.username, `($${change.oldBalance} → $${change.newBalance})`);
                 }
                 
                 console.log('─'.repeat(60));
+
+                if (this.ledger) {
+                    this.unledgeredChanges += changes.length;
+                    this.logger.warn(`Cash monitor found ${changes.length} balance changes that didn't go through the ledger`);
+                }
             } else if (this.debugMode) {
                 console.log(`[${timestamp}] Cash monitor: No changes detected (${currentBalances.size} users tracked)`);
             }
@@ -142,7 +192,10 @@ export class CashMonitor {
             isRunning: this.isRunning,
             usersTracked: this.previousBalances.size,
             totalBalance: Array.from(this.previousBalances.values()).reduce((sum, bal) => sum + bal, 0),
-            interval: this.interval
+            interval: this.interval,
+            ledger: Boolean(this.ledger),
+            transactionsSeen: this.transactionsSeen,
+            unledgeredChanges: this.unledgeredChanges
         };
     }
 
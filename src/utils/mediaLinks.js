@@ -0,0 +1,45 @@
+// CyTube media types we know how to queue from a link
+const MEDIA_PATTERNS = [
+    { type: 'yt', pattern: /(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|v\/|shorts\/|live\/)|youtu\.be\/)([\w-]{11})/i },
+    { type: 'vi', pattern: /vimeo\.com\/(?:video\/)?(\d+)/i },
+    { type: 'dm', pattern: /dailymotion\.com\/video\/([a-z0-9]+)/i },
+    { type: 'tw', pattern: /twitch\.tv\/videos\/(\d+)/i },
+    { type: 'gd', pattern: /drive\.google\.com\/file\/d\/([\w-]+)/i }
+];
+
+/**
+ * Work out the CyTube media id and type for a link
+ * @param {string} url - e.g. https://youtu.be/dQw4w9WgXcQ
+ * @returns {{ id: string, type: string }|null} null when it's not something CyTube can play
+ */
+export function parseMediaLink(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    for (const { type, pattern } of MEDIA_PATTERNS) {
+        const match = url.match(pattern);
+        if (match) {
+            return { id: match[1], type };
+        }
+    }
+    return null;
+}
+
+/**
+ * Link back to a piece of media from its CyTube id and type
+ */
+export function mediaLinkUrl(id, type) {
+    switch (type) {
+        case 'yt':
+            return `https://youtu.be/${id}`;
+        case 'vi':
+            return `https://vimeo.com/${id}`;
+        case 'dm':
+            return `https://www.dailymotion.com/video/${id}`;
+        case 'tw':
+            return `https://www.twitch.tv/videos/${id}`;
+        case 'gd':
+            return `https://drive.google.com/file/d/${id}/view`;
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Seedable random numbers, for anything that has to play out the same way
+ * twice. Pissing contests and heists roll their outcomes through one of these
+ * and store the seed, so a match can be replayed exactly and thousands can be
+ * simulated repeatably (see src/scripts/simulate.js).
+ *
+ * An rng is a drop-in for Math.random: call it for a number in [0, 1).
+ */
+
+/**
+ * A fresh seed for something that's about to be rolled
+ * @returns {number} unsigned 32-bit integer
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * Squash a seed (or a seed plus stream names) into 32 bits. Seeds that are
+ * already 32-bit integers are used as they are
+ */
+export function hashSeed(value) {
+    if (Number.isInteger(value) && value >= 0 && value < 2 ** 32) {
+        return value;
+    }
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (const char of String(value)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * A seeded stand-in for Math.random (mulberry32)
+ * Extra arguments split off an independent stream from the same seed, so
+ * parts of a match rolled at different times (or after a restart) don't
+ * depend on how many numbers were drawn before them: createRng(seed, 'haul')
+ * @param {number|string} seed
+ * @returns {Function} () => number in [0, 1), with the seed on rng.seed
+ */
+export function createRng(seed = randomSeed(), ...streams) {
+    let state = hashSeed(streams.length > 0 ? [seed, ...streams].join(':') : seed);
+
+    const rng = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    rng.seed = seed;
+    return rng;
+}
@@ -0,0 +1,87 @@
+import { createRng, hashSeed, randomSeed } from './rng.js';
+
+// The first few numbers out of an rng
+const draw = (rng, count = 5) => Array.from({ length: count }, () => rng());
+
+// Test cases
+const testCases = [
+    // Repeatability
+    { run: () => JSON.stringify(draw(createRng(42))) === JSON.stringify(draw(createRng(42))), expected: true, description: 'Same seed, same numbers' },
+    { run: () => draw(createRng(42))[0] === draw(createRng(43))[0], expected: false, description: 'Different seed, different numbers' },
+    { run: () => JSON.stringify(draw(createRng('contest'))) === JSON.stringify(draw(createRng('contest'))), expected: true, description: 'String seeds are repeatable too' },
+    { run: () => createRng(1234).seed, expected: 1234, description: 'Seed is kept on the rng' },
+    { run: () => Number.isInteger(createRng().seed), expected: true, description: 'A seed is picked if none is given' },
+
+    // Streams
+    {
+        run: () => JSON.stringify(draw(createRng(42, 'haul'))) === JSON.stringify(draw(createRng(42, 'haul'))),
+        expected: true,
+        description: 'Same seed and stream, same numbers'
+    },
+    { run: () => draw(createRng(42, 'haul'))[0] === draw(createRng(42))[0], expected: false, description: 'A stream is independent of the main sequence' },
+    { run: () => draw(createRng(42, 'haul'))[0] === draw(createRng(42, 'stages'))[0], expected: false, description: 'Streams are independent of each other' },
+    {
+        run: () => {
+            const main = createRng(42);
+            draw(main, 100);
+            return draw(createRng(42, 'haul'))[0] === draw(createRng(42, 'haul'))[0];
+        },
+        expected: true,
+        description: 'A stream doesn\'t care how much was drawn from the main sequence'
+    },
+
+    // Range and spread
+    {
+        run: () => draw(createRng(7), 10000).every(value => value >= 0 && value < 1),
+        expected: true,
+        description: 'Always in [0, 1)'
+    },
+    {
+        run: () => {
+            const values = draw(createRng(7), 10000);
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            return Math.abs(mean - 0.5) < 0.02;
+        },
+        expected: true,
+        description: 'Averages out around a half'
+    },
+    {
+        run: () => {
+            const buckets = new Array(10).fill(0);
+            for (const value of draw(createRng(99), 10000)) buckets[Math.floor(value * 10)]++;
+            return buckets.every(count => count > 850 && count < 1150);
+        },
+        expected: true,
+        description: 'Spread evenly across tenths'
+    },
+
+    // Seeds
+    { run: () => hashSeed(12345), expected: 12345, description: '32-bit integer seeds are used as they are' },
+    { run: () => hashSeed('abc') === hashSeed('abc'), expected: true, description: 'Hashing is stable' },
+    { run: () => hashSeed(-1) >= 0 && hashSeed(2 ** 40) < 2 ** 32, expected: true, description: 'Out of range numbers are hashed into 32 bits' },
+    { run: () => { const seed = randomSeed(); return seed >= 0 && seed < 2 ** 32 && Number.isInteger(seed); }, expected: true, description: 'Random seeds are unsigned 32-bit' }
+];
+
+console.log('Seeded RNG Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
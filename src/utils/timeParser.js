@@ -0,0 +1,345 @@
+/**
+ * Parsing "when" expressions for reminders and events, in a user's timezone:
+ *   5m, 2h30m, in 3 days     relative
+ *   at 8pm, 20:30, noon      today (or tomorrow once it's passed)
+ *   tomorrow 9am, fri 5pm    a named day
+ *   2025-12-25, 2025-12-25T09:00, 25/12 7pm   a date
+ *   every 2h, every day 8am, daily at 8am, every friday 5pm   recurring
+ */
+
+export const DEFAULT_TIMEZONE = 'Australia/Sydney';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const UNITS = { s: 1000, m: MINUTE, h: HOUR, d: DAY, w: 7 * DAY };
+const DEFAULT_HOUR = 9; // "tomorrow" on its own means 9am
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const UNIT_WORDS = { sec: 's', second: 's', min: 'm', minute: 'm', hr: 'h', hour: 'h', day: 'd', wk: 'w', week: 'w' };
+
+// Shorthands people actually type, anything else has to be an IANA name
+const TIMEZONE_ALIASES = {
+    sydney: 'Australia/Sydney',
+    melbourne: 'Australia/Melbourne',
+    canberra: 'Australia/Sydney',
+    brisbane: 'Australia/Brisbane',
+    adelaide: 'Australia/Adelaide',
+    darwin: 'Australia/Darwin',
+    perth: 'Australia/Perth',
+    hobart: 'Australia/Hobart',
+    aest: 'Australia/Brisbane',
+    awst: 'Australia/Perth',
+    nz: 'Pacific/Auckland',
+    auckland: 'Pacific/Auckland',
+    uk: 'Europe/London',
+    london: 'Europe/London',
+    utc: 'UTC',
+    gmt: 'UTC'
+};
+
+const formatters = new Map();
+
+function partsFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'long'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * Turn a user-supplied timezone into an IANA name
+ * @returns {string|null} null if it isn't one we know
+ */
+export function resolveTimezone(input) {
+    if (!input) return null;
+    const alias = TIMEZONE_ALIASES[input.toLowerCase()];
+    if (alias) return alias;
+
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: input }).resolvedOptions().timeZone;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Wall-clock fields of a timestamp in a timezone
+ * @returns {{year, month, day, hour, minute, second, weekday}} month is 1-12, weekday 0 (Sunday) - 6
+ */
+export function zonedParts(timestamp, timezone) {
+    const parts = {};
+    for (const { type, value } of partsFormatter(timezone).formatToParts(new Date(timestamp))) {
+        parts[type] = value;
+    }
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+/**
+ * Timestamp for a wall-clock time in a timezone. Days and times that overflow
+ * (day 32, hour 25) roll over like Date.UTC does
+ */
+export function zonedTime(timezone, year, month, day, hour = 0, minute = 0) {
+    const wanted = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (timestamp) => {
+        const p = zonedParts(timestamp, timezone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(timestamp / 1000) * 1000;
+    };
+
+    // Twice so a time near a DST change settles on the right offset
+    let guess = wanted - offsetAt(wanted);
+    guess = wanted - offsetAt(guess);
+    return guess;
+}
+
+function formatClock(hour, minute) {
+    return `${hour % 12 || 12}:${String(minute).padStart(2, '0')}${hour < 12 ? 'am' : 'pm'}`;
+}
+
+/**
+ * Format a timestamp for chat in a timezone, e.g. "fri 20/12 5:00pm AEDT"
+ */
+export function formatInTimezone(timestamp, timezone) {
+    const p = zonedParts(timestamp, timezone);
+    const zone = new Intl.DateTimeFormat('en-AU', { timeZone: timezone, timeZoneName: 'short' })
+        .formatToParts(new Date(timestamp))
+        .find(part => part.type === 'timeZoneName')?.value || timezone;
+    return `${WEEKDAYS[p.weekday].slice(0, 3)} ${p.day}/${p.month} ${formatClock(p.hour, p.minute)} ${zone}`;
+}
+
+/**
+ * "5m", "2h30m", "1w" -> milliseconds, or null
+ */
+export function parseDuration(token) {
+    if (!/^(\d+[smhdw])+$/i.test(token)) return null;
+    let total = 0;
+    for (const [, value, unit] of token.toLowerCase().matchAll(/(\d+)([smhdw])/g)) {
+        total += parseInt(value) * UNITS[unit];
+    }
+    return total;
+}
+
+// "8pm", "8:30pm", "20:30", "noon", "midnight" -> { hour, minute }
+function parseClock(token) {
+    if (!token) return null;
+    const lower = token.toLowerCase();
+    if (lower === 'noon' || lower === 'midday') return { hour: 12, minute: 0 };
+    if (lower === 'midnight') return { hour: 0, minute: 0 };
+
+    const match = lower.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    if (!match || (!match[2] && !match[3])) return null;
+
+    let hour = parseInt(match[1]);
+    const minute = match[2] ? parseInt(match[2]) : 0;
+    if (minute > 59) return null;
+    if (match[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = hour % 12 + (match[3] === 'pm' ? 12 : 0);
+    } else if (hour > 23) {
+        return null;
+    }
+    return { hour, minute };
+}
+
+function parseWeekday(token) {
+    if (!token || token.length < 3) return -1;
+    const lower = token.toLowerCase().replace(/s$/, '');
+    return WEEKDAYS.findIndex(day => day.startsWith(lower) || day === lower);
+}
+
+// Date.UTC rolls 31/2 over into March, so check the day exists first
+function isRealDate({ year, month, day }) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// "2025-12-25" or "25/12" or "25/12/2025" -> { year, month, day }, or null if there's no such day
+export function parseDate(token, today) {
+    let date = null;
+    let match = token.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        date = { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]), explicitYear: true };
+    }
+
+    match = token.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+    if (match) {
+        const year = match[3] ? parseInt(match[3].length === 2 ? `20${match[3]}` : match[3]) : today.year;
+        date = { year, month: parseInt(match[2]), day: parseInt(match[1]), explicitYear: !!match[3] };
+    }
+    return date && isRealDate(date) ? date : null;
+}
+
+/**
+ * Next time a recurrence fires strictly after `after`
+ * @param {Object} recurrence - { type: 'interval', every } | { type: 'daily', hour, minute } | { type: 'weekly', weekday, hour, minute }
+ */
+export function nextOccurrence(recurrence, after, timezone) {
+    if (recurrence.type === 'interval') {
+        return after + recurrence.every;
+    }
+
+    const today = zonedParts(after, timezone);
+    for (let offset = 0; offset <= 7; offset++) {
+        const weekday = (today.weekday + offset) % 7;
+        if (recurrence.type === 'weekly' && weekday !== recurrence.weekday) continue;
+        const at = zonedTime(timezone, today.year, today.month, today.day + offset, recurrence.hour, recurrence.minute);
+        if (at > after) return at;
+    }
+    return zonedTime(timezone, today.year, today.month, today.day + 8, recurrence.hour, recurrence.minute);
+}
+
+/**
+ * Plain-English version of a recurrence, e.g. "every friday at 5:00pm"
+ */
+export function describeRecurrence(recurrence) {
+    if (!recurrence) return null;
+    if (recurrence.type === 'interval') {
+        const [unit, size] = Object.entries(UNITS).reverse().find(([, ms]) => recurrence.every % ms === 0);
+        return `every ${recurrence.every / size}${unit}`;
+    }
+    const time = formatClock(recurrence.hour, recurrence.minute);
+    return recurrence.type === 'daily' ? `every day at ${time}` : `every ${WEEKDAYS[recurrence.weekday]} at ${time}`;
+}
+
+/**
+ * Read a "when" from the front of the args
+ * @param {string[]} args - Command arguments
+ * @param {Object} options
+ * @param {string} options.timezone - IANA timezone the times are in
+ * @param {number} options.now - Current time (for tests)
+ * @returns {{ at: number, recurrence: Object|null, consumed: number, relative?: boolean } | { error: string } | null}
+ *   null when the args don't start with a time at all
+ */
+export function parseWhen(args, { timezone = DEFAULT_TIMEZONE, now = Date.now() } = {}) {
+    const tokens = args.map(arg => arg.toLowerCase());
+    let i = 0;
+    const skip = (...words) => {
+        if (words.includes(tokens[i])) i++;
+    };
+    const today = zonedParts(now, timezone);
+
+    // Recurring
+    if (tokens[0] === 'every' || tokens[0] === 'daily') {
+        i = 1;
+        let recurrence = null;
+        const every = parseDuration(tokens[i] || '');
+
+        if (tokens[0] === 'every' && every) {
+            i++;
+            return { at: now + every, recurrence: { type: 'interval', every }, consumed: i };
+        }
+
+        if (tokens[0] === 'daily' || tokens[i] === 'day') {
+            if (tokens[0] === 'every') i++;
+            recurrence = { type: 'daily' };
+        } else if (parseWeekday(tokens[i]) !== -1) {
+            recurrence = { type: 'weekly', weekday: parseWeekday(tokens[i]) };
+            i++;
+        } else {
+            return { error: 'every what? try "every 2h", "every day 8am" or "every friday 5pm"' };
+        }
+
+        skip('at');
+        const clock = parseClock(tokens[i]);
+        if (!clock) {
+            return { error: 'what time though? try like "every friday 5pm"' };
+        }
+        i++;
+        recurrence = { ...recurrence, ...clock };
+        return { at: nextOccurrence(recurrence, now, timezone), recurrence, consumed: i };
+    }
+
+    // Relative: "5m", "in 2h30m", "in 3 days"
+    skip('in');
+    const relative = parseDuration(tokens[i] || '');
+    if (relative) {
+        return { at: now + relative, recurrence: null, consumed: i + 1, relative: true };
+    }
+    if (tokens[0] === 'in' && /^\d+$/.test(tokens[1] || '')) {
+        const unit = UNIT_WORDS[(tokens[2] || '').replace(/s$/, '')];
+        if (unit) {
+            return { at: now + parseInt(tokens[1]) * UNITS[unit], recurrence: null, consumed: 3, relative: true };
+        }
+    }
+    i = 0;
+
+    // A day, then optionally a time
+    let date = null;
+    if (tokens[i] === 'today' || tokens[i] === 'tonight') {
+        date = { ...today };
+        i++;
+    } else if (tokens[i] === 'tomorrow' || tokens[i] === 'tmrw' || tokens[i] === 'tmr') {
+        date = { year: today.year, month: today.month, day: today.day + 1 };
+        i++;
+    } else {
+        skip('on', 'next');
+        const weekday = parseWeekday(tokens[i]);
+        const isoMatch = (args[i] || '').match(/^(\d{4}-\d{2}-\d{2})[tT](\d{1,2}:\d{2})$/);
+        if (weekday !== -1) {
+            // Today if it's still to come, otherwise next week
+            const ahead = (weekday - today.weekday + 7) % 7;
+            date = { year: today.year, month: today.month, day: today.day + ahead, weekly: true };
+            i++;
+        } else if (isoMatch && parseDate(isoMatch[1], today)) {
+            date = parseDate(isoMatch[1], today);
+            date.clock = parseClock(isoMatch[2]);
+            i++;
+        } else if (parseDate(tokens[i] || '', today)) {
+            date = parseDate(tokens[i], today);
+            i++;
+        } else {
+            i = 0;
+        }
+    }
+
+    skip('at', '@');
+    let clock = date?.clock || null;
+    if (!clock) {
+        clock = parseClock(tokens[i]);
+        if (clock) i++;
+    }
+
+    if (!date && !clock) {
+        return null;
+    }
+
+    if (date) {
+        const hour = clock?.hour ?? DEFAULT_HOUR;
+        const minute = clock?.minute ?? 0;
+        let at = zonedTime(timezone, date.year, date.month, date.day, hour, minute);
+        if (at <= now && date.weekly) {
+            at = zonedTime(timezone, date.year, date.month, date.day + 7, hour, minute);
+        } else if (at <= now && date.explicitYear === false) {
+            // "25/12" in January means next Christmas
+            at = zonedTime(timezone, date.year + 1, date.month, date.day, hour, minute);
+        }
+        if (at <= now) {
+            return { error: 'that time\'s already been and gone mate' };
+        }
+        return { at, recurrence: null, consumed: i };
+    }
+
+    // Just a time: today, or tomorrow if it's passed
+    let at = zonedTime(timezone, today.year, today.month, today.day, clock.hour, clock.minute);
+    if (at <= now) {
+        at = zonedTime(timezone, today.year, today.month, today.day + 1, clock.hour, clock.minute);
+    }
+    return { at, recurrence: null, consumed: i };
+}
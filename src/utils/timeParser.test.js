@@ -0,0 +1,103 @@
+import { parseWhen, parseDate, parseDuration, nextOccurrence, describeRecurrence, resolveTimezone, formatInTimezone } from './timeParser.js';
+
+// Saturday 10 January 2026, 12:00pm in UTC
+const NOW = Date.UTC(2026, 0, 10, 12, 0);
+const TODAY = { year: 2026, month: 1, day: 10 };
+
+// What a "when" comes out as, in UTC so the results don't move with daylight saving
+const when = (text, timezone = 'UTC') => {
+    const result = parseWhen(text.split(' '), { timezone, now: NOW });
+    if (!result) return null;
+    if (result.error) return 'error';
+    return `${formatInTimezone(result.at, timezone)}${result.recurrence ? ` (${describeRecurrence(result.recurrence)})` : ''} +${result.consumed}`;
+};
+
+// Test cases
+const testCases = [
+    // Durations
+    { run: () => parseDuration('5m'), expected: 5 * 60000, description: 'Minutes' },
+    { run: () => parseDuration('2h30m'), expected: 150 * 60000, description: 'Hours and minutes' },
+    { run: () => parseDuration('1w'), expected: 7 * 24 * 3600000, description: 'A week' },
+    { run: () => parseDuration('5x'), expected: null, description: 'Unknown unit' },
+    { run: () => parseDuration('soon'), expected: null, description: 'Not a duration' },
+
+    // Dates
+    { run: () => parseDate('25/12', TODAY), expected: { year: 2026, month: 12, day: 25, explicitYear: false }, description: 'Day/month is this year' },
+    { run: () => parseDate('25/12/27', TODAY), expected: { year: 2027, month: 12, day: 25, explicitYear: true }, description: 'Two digit year' },
+    { run: () => parseDate('2026-03-01', TODAY), expected: { year: 2026, month: 3, day: 1, explicitYear: true }, description: 'ISO date' },
+    { run: () => parseDate('29/2/28', TODAY), expected: { year: 2028, month: 2, day: 29, explicitYear: true }, description: '29 February in a leap year' },
+
+    // Regression: Date.UTC used to roll impossible dates over into the next month or year
+    { run: () => parseDate('31/2', TODAY), expected: null, description: '31 February doesn\'t exist' },
+    { run: () => parseDate('29/2', TODAY), expected: null, description: '29 February outside a leap year' },
+    { run: () => parseDate('31/4', TODAY), expected: null, description: '31 April doesn\'t exist' },
+    { run: () => parseDate('25/13', TODAY), expected: null, description: 'Month 13' },
+    { run: () => parseDate('0/5', TODAY), expected: null, description: 'Day 0' },
+    { run: () => parseDate('2026-13-45', TODAY), expected: null, description: 'ISO date with month 13, day 45' },
+    { run: () => when('31/2 remind me'), expected: null, description: 'Impossible date isn\'t read as a time at all' },
+    { run: () => when('2026-02-30T09:00 remind me'), expected: null, description: 'Impossible ISO date and time' },
+
+    // Relative
+    { run: () => when('5m put the kettle on'), expected: 'sat 10/1 12:05pm UTC +1', description: 'Bare duration' },
+    { run: () => when('in 2h30m'), expected: 'sat 10/1 2:30pm UTC +2', description: '"in" and a duration' },
+    { run: () => when('in 3 days'), expected: 'tue 13/1 12:00pm UTC +3', description: '"in" and a unit word' },
+
+    // Times and days
+    { run: () => when('at 8pm'), expected: 'sat 10/1 8:00pm UTC +2', description: 'Later today' },
+    { run: () => when('9am'), expected: 'sun 11/1 9:00am UTC +1', description: 'Time that\'s passed today is tomorrow' },
+    { run: () => when('noon'), expected: 'sun 11/1 12:00pm UTC +1', description: 'Noon right now is tomorrow' },
+    { run: () => when('20:30'), expected: 'sat 10/1 8:30pm UTC +1', description: '24 hour time' },
+    { run: () => when('tomorrow'), expected: 'sun 11/1 9:00am UTC +1', description: 'Tomorrow on its own is 9am' },
+    { run: () => when('tomorrow at 7:15pm'), expected: 'sun 11/1 7:15pm UTC +3', description: 'Tomorrow at a time' },
+    { run: () => when('fri 5pm'), expected: 'fri 16/1 5:00pm UTC +2', description: 'Weekday' },
+    { run: () => when('saturday 9am'), expected: 'sat 17/1 9:00am UTC +2', description: 'Today\'s weekday once it\'s passed is next week' },
+    { run: () => when('25/12 7pm'), expected: 'fri 25/12 7:00pm UTC +2', description: 'Date and time' },
+    { run: () => when('1/1'), expected: 'fri 1/1 9:00am UTC +1', description: 'Date gone this year is next year' },
+    { run: () => when('2025-12-25'), expected: 'error', description: 'Date with a year that\'s been and gone' },
+    { run: () => when('2026-12-25T09:00'), expected: 'fri 25/12 9:00am UTC +1', description: 'ISO date and time' },
+    { run: () => when('13pm'), expected: null, description: 'No such time' },
+    { run: () => when('bob 5m'), expected: null, description: 'Doesn\'t start with a time' },
+    { run: () => when('at 8pm', 'Australia/Sydney'), expected: 'sun 11/1 8:00pm AEDT +2', description: 'Times are in the user\'s timezone' },
+
+    // Recurring
+    { run: () => when('every 2h'), expected: 'sat 10/1 2:00pm UTC (every 2h) +2', description: 'Interval' },
+    { run: () => when('every day 8am'), expected: 'sun 11/1 8:00am UTC (every day at 8:00am) +3', description: 'Daily' },
+    { run: () => when('daily at 6pm'), expected: 'sat 10/1 6:00pm UTC (every day at 6:00pm) +3', description: 'Daily, still to come today' },
+    { run: () => when('every friday 5pm'), expected: 'fri 16/1 5:00pm UTC (every friday at 5:00pm) +3', description: 'Weekly' },
+    { run: () => when('every blue moon'), expected: 'error', description: 'Every what' },
+    { run: () => when('every friday'), expected: 'error', description: 'Weekly with no time' },
+    {
+        run: () => formatInTimezone(nextOccurrence({ type: 'weekly', weekday: 5, hour: 17, minute: 0 }, Date.UTC(2026, 0, 16, 17, 0), 'UTC'), 'UTC'),
+        expected: 'fri 23/1 5:00pm UTC',
+        description: 'Next weekly occurrence is strictly after the last'
+    },
+
+    // Timezones
+    { run: () => resolveTimezone('perth'), expected: 'Australia/Perth', description: 'Alias' },
+    { run: () => resolveTimezone('Europe/Berlin'), expected: 'Europe/Berlin', description: 'IANA name' },
+    { run: () => resolveTimezone('Mars/Olympus'), expected: null, description: 'Unknown timezone' }
+];
+
+console.log('Time Parser Test Results\n' + '='.repeat(80));
+
+let passed = 0;
+let failed = 0;
+
+for (const test of testCases) {
+    const result = test.run();
+
+    if (JSON.stringify(result) === JSON.stringify(test.expected)) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`\n✗ FAIL: ${test.description}`);
+        console.log(`  Expected: ${JSON.stringify(test.expected)}, Got: ${JSON.stringify(result)}`);
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log(`Summary: ${passed} passed, ${failed} failed`);
+
+if (failed > 0) {
+    process.exitCode = 1;
+}
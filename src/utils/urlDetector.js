@@ -10,6 +10,9 @@ const URL_PATTERNS = {
     youtubeGeneral: /(?:^|[\s])(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com(?:\/[\w\-._~:/?#[\]@!$&'()*+,;=.]*)?/gi
 };
 
+// Anything that looks like a link, allowed or not (bare domains included)
+const ANY_LINK_PATTERN = /(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?::\d+)?(?:\/[^\s]*)?/gi;
+
 /**
  * Detects URLs in a message - only from allowed domains
  * @param {string} message - The message to scan for URLs
@@ -157,4 +160,23 @@ export function extractDomain(url) {
         const match = url.match(/(?:https?:\/\/)?(?:www\.)?([^\/]+)/);
         return match ? match[1] : url;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Finds the domain of every link in a message, not just allowed ones
+ * (used by automod to catch blocked domains)
+ * @param {string} message - The message to scan
+ * @returns {string[]} Lowercase domains with www. removed, no duplicates
+ */
+export function extractLinkDomains(message) {
+    if (!message || typeof message !== 'string') {
+        return [];
+    }
+    
+    // Same HTML handling as detectUrls
+    const hrefUrls = Array.from(message.matchAll(/href="([^"]+)"/g), match => match[1]);
+    const combinedText = `${message.replace(/<[^>]*>/g, ' ')} ${hrefUrls.join(' ')}`;
+    
+    const matches = combinedText.match(ANY_LINK_PATTERN) || [];
+    return [...new Set(matches.map(url => extractDomain(url)))];
+}